@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const AbsenceAlertRule = require('../models/absenceAlertRuleModel');
+const AbsenceAlert = require('../models/absenceAlertModel');
+const absenceAlertService = require('../services/absenceAlertService');
+const { validateAlertRule, runAbsenceAlerts } = require('../utils/absenceAlerts');
+const { getTransportName, getStubOutbox } = require('../utils/alertChannels');
+
+const ALERT_STATUSES = AbsenceAlert.schema.path('status').enumValues;
+const ALERT_CHANNELS = AbsenceAlert.schema.path('channel').enumValues;
+
+const findRule = async (req, res) => {
+  const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await AbsenceAlertRule.findById(req.params.id)
+    : null;
+
+  if (!rule) {
+    res.status(404);
+    throw new Error('Alert rule not found');
+  }
+  return rule;
+};
+
+// @desc    List absence alert rules, with the job and channel setup
+// @route   GET /api/absence-alerts/rules
+// @access  Private/Admin
+const getAlertRules = asyncHandler(async (req, res) => {
+  const rules = await AbsenceAlertRule.find()
+    .populate('createdBy', 'name')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    rules,
+    service: absenceAlertService.getStatus(),
+    transports: {
+      email: getTransportName('email'),
+      sms: getTransportName('sms'),
+    },
+  });
+});
+
+// @desc    Create an absence alert rule
+// @route   POST /api/absence-alerts/rules
+// @access  Private/Admin
+const createAlertRule = asyncHandler(async (req, res) => {
+  const { data, errors } = validateAlertRule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+
+  const rule = await AbsenceAlertRule.create({ ...data, createdBy: req.user._id });
+  res.status(201).json(rule);
+});
+
+// @desc    Update an absence alert rule
+// @route   PUT /api/absence-alerts/rules/:id
+// @access  Private/Admin
+const updateAlertRule = asyncHandler(async (req, res) => {
+  const rule = await findRule(req, res);
+
+  const { data, errors } = validateAlertRule(req.body, rule);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+
+  // Fields that do not apply to the (possibly new) type are cleared
+  for (const field of ['threshold', 'windowDays']) {
+    if (data[field] === undefined) rule[field] = undefined;
+  }
+  rule.set(data);
+  await rule.save();
+
+  res.json(rule);
+});
+
+// @desc    Delete an absence alert rule; its alert log is kept
+// @route   DELETE /api/absence-alerts/rules/:id
+// @access  Private/Admin
+const deleteAlertRule = asyncHandler(async (req, res) => {
+  const rule = await findRule(req, res);
+  await rule.deleteOne();
+
+  res.json({ message: 'Alert rule deleted' });
+});
+
+// @desc    Search the log of alerts sent
+// @route   GET /api/absence-alerts
+// @access  Private/Admin
+const getAbsenceAlerts = asyncHandler(async (req, res) => {
+  const { rule, student, batch, status, channel, from, to, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  for (const [field, value] of Object.entries({ rule, student, batch })) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${field} id`);
+    }
+    filter[field] = value;
+  }
+
+  for (const [field, value, allowed] of [['status', status, ALERT_STATUSES], ['channel', channel, ALERT_CHANNELS]]) {
+    if (!value) continue;
+    if (!allowed.includes(value)) {
+      res.status(400);
+      throw new Error(`${field[0].toUpperCase()}${field.slice(1)} must be one of: ${allowed.join(', ')}`);
+    }
+    filter[field] = value;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(`${from}T00:00:00`);
+    if (to) filter.createdAt.$lte = new Date(`${to}T23:59:59.999`);
+    if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+      res.status(400);
+      throw new Error('Please provide valid dates');
+    }
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+  const [alerts, total] = await Promise.all([
+    AbsenceAlert.find(filter)
+      .populate('student', 'name rollNo')
+      .populate('batch', 'name')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    AbsenceAlert.countDocuments(filter),
+  ]);
+
+  res.json({
+    alerts,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  });
+});
+
+// @desc    Run the alert rules now, or preview what they would send
+// @route   POST /api/absence-alerts/run
+// @access  Private/Admin
+const runAlertRules = asyncHandler(async (req, res) => {
+  const { dryRun = false, rule } = req.body;
+
+  if (rule && !mongoose.Types.ObjectId.isValid(rule)) {
+    res.status(400);
+    throw new Error('Invalid rule id');
+  }
+
+  // Real runs go through the service, which never runs two at once
+  const ruleIds = rule ? [rule] : undefined;
+  const result = dryRun
+    ? await runAbsenceAlerts({ dryRun: true, ruleIds })
+    : await absenceAlertService.run({ ruleIds });
+
+  if (!result) {
+    res.status(500);
+    throw new Error('Alert run failed, please try again');
+  }
+
+  res.json({
+    message: dryRun
+      ? `${result.deliveries.length} alerts would be sent`
+      : `${result.sent} alerts sent, ${result.failed} failed, ${result.skipped} skipped`,
+    ...result,
+  });
+});
+
+// @desc    Messages held by the stub email/SMS transports
+// @route   GET /api/absence-alerts/outbox
+// @access  Private/Admin
+const getAlertOutbox = asyncHandler(async (req, res) => {
+  res.json({
+    messages: getStubOutbox().reverse(),
+  });
+});
+
+module.exports = {
+  getAlertRules,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getAbsenceAlerts,
+  runAlertRules,
+  getAlertOutbox,
+};
@@ -7,6 +7,8 @@ const Department = require('../models/departmentModel');
 const Attendance = require('../models/attendanceModel');
 const PC = require('../models/pcModel');
 const Booking = require('../models/bookingModel');
+const { getExcusedPolicy, summarizeAttendance } = require('../utils/attendancePolicy');
+const { toDateKey, getWorkingCalendar } = require('../utils/workingCalendar');
 
 // @desc    Get comprehensive dashboard summary for admin
 // @route   GET /api/analytics/dashboard-summary
@@ -80,6 +82,7 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       present: 0,
       absent: 0,
       late: 0,
+      excused: 0,
       percentage: 0
     };
 
@@ -88,9 +91,8 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
       attendanceStats[stat._id] = stat.count;
     });
 
-    if (attendanceStats.total > 0) {
-      attendanceStats.percentage = Math.round((attendanceStats.present / attendanceStats.total) * 100);
-    }
+    const excusedPolicy = await getExcusedPolicy();
+    attendanceStats.percentage = Math.round(summarizeAttendance(attendanceStats, excusedPolicy).percentage);
 
     // Calculate lab utilization
     const labUtilization = activePCs > 0 ? Math.round((todayBookings / activePCs) * 100) : 0;
@@ -116,6 +118,7 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
           present: attendanceStats.present,
           absent: attendanceStats.absent,
           late: attendanceStats.late,
+          excused: attendanceStats.excused,
           percentage: attendanceStats.percentage
         },
         lab: {
@@ -143,8 +146,12 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
 // Helper function to generate weekly trends
 const generateWeeklyTrends = async (startDate, endDate) => {
   const trends = [];
+  const calendar = await getWorkingCalendar({ startDate, endDate });
 
   for (let d = new Date(startDate); d < endDate; d.setDate(d.getDate() + 1)) {
+    // Institute closures and weekly offs are not part of the trend
+    if (!calendar.isWorkingDay(d)) continue;
+
     const dayStart = new Date(d);
     dayStart.setHours(0, 0, 0, 0);
     const dayEnd = new Date(d);
@@ -162,7 +169,7 @@ const generateWeeklyTrends = async (startDate, endDate) => {
     ]);
 
     trends.push({
-      date: dayStart.toISOString().split('T')[0],
+      date: toDateKey(dayStart),
       attendance: attendanceCount,
       bookings: bookingCount
     });
@@ -257,11 +264,11 @@ const getAttendanceAnalytics = asyncHandler(async (req, res) => {
       presentCount: attendanceRecords.filter(r => r.status === 'present').length,
       absentCount: attendanceRecords.filter(r => r.status === 'absent').length,
       lateCount: attendanceRecords.filter(r => r.status === 'late').length,
+      excusedCount: attendanceRecords.filter(r => r.status === 'excused').length,
     };
 
-    analytics.presentPercentage = analytics.totalRecords > 0
-      ? Math.round((analytics.presentCount / analytics.totalRecords) * 100)
-      : 0;
+    const excusedPolicy = await getExcusedPolicy();
+    analytics.presentPercentage = Math.round(summarizeAttendance(attendanceRecords, excusedPolicy).percentage);
 
     res.json({ analytics });
   } catch (error) {
@@ -1,13 +1,80 @@
 const Attendance = require('../models/attendanceModel');
 const Student = require('../models/studentModel');
 const Batch = require('../models/batchModel');
+const LeaveRequest = require('../models/leaveRequestModel');
+const User = require('../models/userModel');
 const asyncHandler = require('express-async-handler');
+const {
+  getExcusedPolicy,
+  summarizeAttendance,
+  applyExcusedPolicy,
+  resolveAttendanceStatus,
+} = require('../utils/attendancePolicy');
+const {
+  toDateKey,
+  getWorkingCalendar,
+  getBatchDepartmentId,
+  filterWorkingDayRecords,
+} = require('../utils/workingCalendar');
+const { snapshot, recordAudit } = require('../utils/auditTrail');
+const { getWeekdays } = require('../utils/scheduleConflicts');
+
+// Reject attendance on days the batch's department (or the institute) is closed
+const ensureWorkingDay = async (batch, date, res) => {
+  const departmentId = await getBatchDepartmentId(batch);
+  const calendar = await getWorkingCalendar({ startDate: date, endDate: date, departmentId });
+  const closure = calendar.getClosure(date);
+
+  if (closure) {
+    res.status(400);
+    throw new Error(`Attendance cannot be marked on a closed day (${closure.name})`);
+  }
+};
+
+// The version a client expects to overwrite (0 when it saw no record), or
+// undefined when it did not say and the write should simply win
+const parseExpectedVersion = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 0 ? version : undefined;
+};
+
+const hasVersionConflict = (existing, expectedVersion) =>
+  expectedVersion !== undefined && (existing ? existing.version || 1 : 0) !== expectedVersion;
+
+// Local and server values of a rejected write, for the client to choose from
+const describeConflicts = async (conflicts) => {
+  const markedByIds = conflicts.map(({ existing }) => existing?.markedBy).filter(Boolean);
+  const users = await User.find({ _id: { $in: markedByIds } }).select('name role').lean();
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return conflicts.map(({ existing, record, student, batchId, date }) => ({
+    student: { _id: student._id, name: student.name, rollNo: student.rollNo },
+    batch: batchId,
+    date,
+    local: {
+      status: record.status,
+      remarks: record.remarks,
+      expectedVersion: parseExpectedVersion(record.expectedVersion)
+    },
+    server: existing
+      ? {
+          status: existing.status,
+          remarks: existing.remarks,
+          version: existing.version || 1,
+          markedBy: userById.get(existing.markedBy?.toString()) || null,
+          updatedAt: existing.updatedAt
+        }
+      : null
+  }));
+};
 
 // @desc    Mark attendance for a student
 // @route   POST /api/attendance
 // @access  Private/Teacher
 const markAttendance = asyncHandler(async (req, res) => {
   const { studentId, batchId, date, status, remarks } = req.body;
+  const expectedVersion = parseExpectedVersion(req.body.expectedVersion);
 
   // Check if student exists
   const student = await Student.findById(studentId);
@@ -39,6 +106,16 @@ const markAttendance = asyncHandler(async (req, res) => {
   const attendanceDate = new Date(date);
   attendanceDate.setHours(0, 0, 0, 0);
 
+  await ensureWorkingDay(batch, attendanceDate, res);
+
+  // Absences covered by approved leave are recorded as excused
+  const [approvedLeave] = await LeaveRequest.findApprovedForDate(studentId, attendanceDate);
+  const resolved = resolveAttendanceStatus(status, approvedLeave);
+  if (!resolved) {
+    res.status(400);
+    throw new Error('Excused status requires an approved leave request for this date');
+  }
+
   // Check if attendance already exists for this student on this date
   const existingAttendance = await Attendance.findOne({
     student: studentId,
@@ -48,12 +125,30 @@ const markAttendance = asyncHandler(async (req, res) => {
     },
   });
 
+  if (hasVersionConflict(existingAttendance, expectedVersion)) {
+    const [conflict] = await describeConflicts([{
+      existing: existingAttendance,
+      record: req.body,
+      student,
+      batchId,
+      date: attendanceDate
+    }]);
+    return res.status(409).json({
+      message: 'This attendance was changed by someone else',
+      conflict
+    });
+  }
+
+  const previous = snapshot(existingAttendance, 'attendance');
+
   let attendanceRecord;
   if (existingAttendance) {
     // Update existing attendance
-    existingAttendance.status = status;
+    existingAttendance.status = resolved.status;
+    existingAttendance.leaveRequest = resolved.leaveRequest;
     existingAttendance.remarks = remarks;
     existingAttendance.markedBy = req.user._id;
+    existingAttendance.version = (existingAttendance.version || 1) + 1;
 
     attendanceRecord = await existingAttendance.save();
   } else {
@@ -62,12 +157,24 @@ const markAttendance = asyncHandler(async (req, res) => {
       student: studentId,
       batch: batchId,
       date: attendanceDate,
-      status,
+      status: resolved.status,
+      leaveRequest: resolved.leaveRequest,
       remarks,
       markedBy: req.user._id,
     });
   }
 
+  await recordAudit(req, {
+    entityType: 'attendance',
+    entity: attendanceRecord,
+    action: existingAttendance ? 'update' : 'create',
+    before: previous,
+    after: attendanceRecord,
+    student: studentId,
+    batch: batchId,
+    sessionDate: attendanceDate,
+  });
+
   res.status(existingAttendance ? 200 : 201).json({
     attendance: attendanceRecord,
     message: 'Attendance marked successfully'
@@ -102,6 +209,25 @@ const markBulkAttendance = asyncHandler(async (req, res) => {
   const attendanceDate = new Date(date);
   attendanceDate.setHours(0, 0, 0, 0);
 
+  await ensureWorkingDay(batch, attendanceDate, res);
+
+  // Approved leave covering this date, keyed by student
+  const approvedLeaves = await LeaveRequest.findApprovedForDate(
+    attendanceRecords.map(record => record.studentId),
+    attendanceDate
+  );
+  const leaveByStudent = new Map(approvedLeaves.map(leave => [leave.student.toString(), leave]));
+
+  // Records as they were before this submission, for the audit trail
+  const existingRecords = await Attendance.find({
+    student: { $in: attendanceRecords.map(record => record.studentId) },
+    date: {
+      $gte: attendanceDate,
+      $lt: new Date(attendanceDate.getTime() + 24 * 60 * 60 * 1000),
+    },
+  });
+  const existingByStudent = new Map(existingRecords.map(record => [record.student.toString(), record]));
+
   // Process each attendance record
   const operations = attendanceRecords.map(async (record) => {
     const { studentId, status, remarks } = record;
@@ -112,8 +238,21 @@ const markBulkAttendance = asyncHandler(async (req, res) => {
       return { error: `Student with ID ${studentId} not found or does not belong to this batch` };
     }
 
+    // Absences covered by approved leave are recorded as excused
+    const resolved = resolveAttendanceStatus(status, leaveByStudent.get(studentId.toString()));
+    if (!resolved) {
+      return { error: `Student with ID ${studentId} has no approved leave for this date and cannot be marked excused` };
+    }
+
+    // Someone else changed this record since the client last saw it
+    const previous = existingByStudent.get(studentId.toString());
+    const expectedVersion = parseExpectedVersion(record.expectedVersion);
+    if (hasVersionConflict(previous, expectedVersion)) {
+      return { conflict: { existing: previous, record, student } };
+    }
+
     // Update or create attendance record
-    const filter = {
+    const dayFilter = {
       student: studentId,
       date: {
         $gte: attendanceDate,
@@ -121,29 +260,61 @@ const markBulkAttendance = asyncHandler(async (req, res) => {
       },
     };
 
+    // Only overwrite the version the client saw, in case it changed since
+    // the records above were read
+    const filter = previous && expectedVersion !== undefined
+      ? { ...dayFilter, _id: previous._id, version: previous.version || 1 }
+      : dayFilter;
+
     const update = {
       student: studentId,
       batch: batchId,
       date: attendanceDate,
-      status,
+      status: resolved.status,
+      leaveRequest: resolved.leaveRequest,
       remarks,
       markedBy: req.user._id,
+      $inc: { version: 1 },
     };
 
-    const options = { upsert: true, new: true };
+    const options = { upsert: filter === dayFilter, new: true };
 
-    return Attendance.findOneAndUpdate(filter, update, options);
+    const saved = await Attendance.findOneAndUpdate(filter, update, options);
+    if (!saved) {
+      const latest = await Attendance.findOne(dayFilter);
+      return { conflict: { existing: latest, record, student } };
+    }
+    await recordAudit(req, {
+      entityType: 'attendance',
+      entity: saved,
+      action: previous ? 'update' : 'create',
+      before: snapshot(previous, 'attendance'),
+      after: saved,
+      student: studentId,
+      batch: batchId,
+      sessionDate: attendanceDate,
+    });
+
+    return saved;
   });
 
   try {
     const results = await Promise.all(operations);
+    const saved = results.filter(result => !result.conflict);
+    const conflicts = await describeConflicts(results
+      .filter(result => result.conflict)
+      .map(result => ({ ...result.conflict, batchId, date: attendanceDate })));
 
     res.status(201).json({
-      attendanceResults: results,
+      attendanceResults: saved,
+      conflicts,
       summary: {
-        attendanceRecordsProcessed: results.length
+        attendanceRecordsProcessed: saved.length,
+        conflicts: conflicts.length
       },
-      message: 'Bulk attendance marked successfully'
+      message: conflicts.length > 0
+        ? `Attendance marked; ${conflicts.length} record${conflicts.length > 1 ? 's were' : ' was'} changed by someone else and not saved`
+        : 'Bulk attendance marked successfully'
     });
   } catch (error) {
     res.status(500);
@@ -187,6 +358,16 @@ const getBatchAttendance = asyncHandler(async (req, res) => {
     },
   }).populate('student', 'name rollNo');
 
+  // Approved leave covering this date
+  const approvedLeaves = await LeaveRequest.findApprovedForDate(
+    students.map(student => student._id),
+    attendanceDate
+  );
+  const leaveMap = {};
+  approvedLeaves.forEach((leave) => {
+    leaveMap[leave.student.toString()] = leave;
+  });
+
   // Create a map of student ID to attendance record
   const attendanceMap = {};
   attendanceRecords.forEach((record) => {
@@ -196,6 +377,7 @@ const getBatchAttendance = asyncHandler(async (req, res) => {
   // Create response with attendance status for each student
   const response = students.map((student) => {
     const attendanceRecord = attendanceMap[student._id.toString()];
+    const leave = leaveMap[student._id.toString()];
     return {
       student: {
         _id: student._id,
@@ -208,6 +390,16 @@ const getBatchAttendance = asyncHandler(async (req, res) => {
             status: attendanceRecord.status,
             remarks: attendanceRecord.remarks,
             date: attendanceRecord.date,
+            version: attendanceRecord.version || 1,
+          }
+        : null,
+      leave: leave
+        ? {
+            _id: leave._id,
+            type: leave.type,
+            reason: leave.reason,
+            startDate: leave.startDate,
+            endDate: leave.endDate,
           }
         : null,
     };
@@ -304,37 +496,69 @@ const getBatchAttendanceStats = asyncHandler(async (req, res) => {
     query.date = dateFilter;
   }
 
-  const attendanceRecords = await Attendance.find(query);
+  const [batchRecords, excusedPolicy, departmentId] = await Promise.all([
+    Attendance.find(query),
+    getExcusedPolicy(),
+    getBatchDepartmentId(batch),
+  ]);
+
+  // Only sessions on working days count towards the statistics
+  const today = new Date();
+  today.setHours(23, 59, 59, 999);
+  const periodStart = dateFilter.$gte && dateFilter.$gte > batch.startDate ? dateFilter.$gte : batch.startDate;
+  const periodEnd = [dateFilter.$lte, batch.endDate, today]
+    .filter(Boolean)
+    .reduce((earliest, date) => (date < earliest ? date : earliest));
+  const calendar = await getWorkingCalendar({ startDate: periodStart, endDate: periodEnd, departmentId });
+  const attendanceRecords = batchRecords.filter(record => calendar.isWorkingDay(record.date));
 
   // Calculate statistics
   const totalRecords = attendanceRecords.length;
   const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
   const absentCount = attendanceRecords.filter(record => record.status === 'absent').length;
   const lateCount = attendanceRecords.filter(record => record.status === 'late').length;
+  const excusedCount = attendanceRecords.filter(record => record.status === 'excused').length;
 
   // Get unique dates
-  const uniqueDates = [...new Set(attendanceRecords.map(record =>
-    record.date.toISOString().split('T')[0]
-  ))];
+  const uniqueDates = [...new Set(attendanceRecords.map(record => toDateKey(record.date)))];
+
+  // Class days are the working days the batch meets in the period, whether or
+  // not attendance was marked, plus any other working day that was marked
+  const meetingDays = getWeekdays(batch);
+  const workingDays = periodStart && periodStart <= periodEnd
+    ? calendar.getWorkingDays(periodStart, periodEnd)
+    : [];
+  const classDays = new Set([
+    ...workingDays.filter(day => meetingDays.includes(day.getDay())).map(toDateKey),
+    ...uniqueDates,
+  ]);
 
   // Get student count
   const studentCount = await Student.countDocuments({ batch: batchId });
 
-  // Calculate expected total records (students × class days)
-  const expectedTotalRecords = studentCount * uniqueDates.length;
+  // Calculate expected total records (students × class days), adjusted for excused days
+  const expectedTotalRecords = studentCount * classDays.size;
+  const adjusted = applyExcusedPolicy(presentCount, expectedTotalRecords, excusedCount, excusedPolicy);
+  const expectedCountable = adjusted.total;
+  const absentTotal = absentCount + (excusedPolicy === 'absent' ? excusedCount : 0);
 
   res.json({
     totalRecords,
     presentCount,
     absentCount,
     lateCount,
-    presentPercentage: expectedTotalRecords > 0 ? (presentCount / expectedTotalRecords) * 100 : 0,
-    absentPercentage: expectedTotalRecords > 0 ? (absentCount / expectedTotalRecords) * 100 : 0,
-    latePercentage: expectedTotalRecords > 0 ? (lateCount / expectedTotalRecords) * 100 : 0,
+    excusedCount,
+    excusedPolicy,
+    presentPercentage: adjusted.percentage,
+    absentPercentage: expectedCountable > 0 ? (absentTotal / expectedCountable) * 100 : 0,
+    latePercentage: expectedCountable > 0 ? (lateCount / expectedCountable) * 100 : 0,
+    excusedPercentage: expectedTotalRecords > 0 ? (excusedCount / expectedTotalRecords) * 100 : 0,
     uniqueDatesCount: uniqueDates.length,
+    workingDays: workingDays.length,
+    classDaysCount: classDays.size,
     studentCount,
     expectedTotalRecords,
-    averageAttendance: expectedTotalRecords > 0 ? (presentCount / expectedTotalRecords) * 100 : 0,
+    averageAttendance: adjusted.percentage,
   });
 });
 
@@ -363,13 +587,21 @@ const getOverallAttendanceAnalytics = asyncHandler(async (req, res) => {
     query.date = dateFilter;
   }
 
-  const attendanceRecords = await Attendance.find(query);
+  const [periodRecords, excusedPolicy] = await Promise.all([
+    Attendance.find(query),
+    getExcusedPolicy(),
+  ]);
+  const attendanceRecords = await filterWorkingDayRecords(periodRecords, {
+    startDate: dateFilter.$gte,
+    endDate: dateFilter.$lte,
+  });
 
   // Calculate overall statistics
   const totalRecords = attendanceRecords.length;
   const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
   const absentCount = attendanceRecords.filter(record => record.status === 'absent').length;
   const lateCount = attendanceRecords.filter(record => record.status === 'late').length;
+  const excusedCount = attendanceRecords.filter(record => record.status === 'excused').length;
 
   // Get unique dates and students for more accurate calculations
   const uniqueDates = [...new Set(attendanceRecords.map(record => record.date.toDateString()))];
@@ -380,17 +612,21 @@ const getOverallAttendanceAnalytics = asyncHandler(async (req, res) => {
   const previousPeriodStart = new Date(startDate);
   previousPeriodStart.setDate(previousPeriodStart.getDate() - periodDays);
 
-  const previousPeriodRecords = await Attendance.find({
-    date: {
-      $gte: previousPeriodStart,
-      $lt: new Date(startDate)
-    }
-  });
+  const previousPeriodRecords = await filterWorkingDayRecords(
+    await Attendance.find({
+      date: {
+        $gte: previousPeriodStart,
+        $lt: new Date(startDate)
+      }
+    }),
+    { startDate: previousPeriodStart, endDate: new Date(startDate) }
+  );
 
-  const currentPeriodAttendance = totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
-  const previousPeriodAttendance = previousPeriodRecords.length > 0
-    ? (previousPeriodRecords.filter(r => r.status === 'present').length / previousPeriodRecords.length) * 100
-    : 0;
+  const currentPeriod = summarizeAttendance(attendanceRecords, excusedPolicy);
+  const currentPeriodAttendance = currentPeriod.percentage;
+  const previousPeriodAttendance = summarizeAttendance(previousPeriodRecords, excusedPolicy).percentage;
+  const countableRecords = currentPeriod.total;
+  const absentTotal = absentCount + (excusedPolicy === 'absent' ? excusedCount : 0);
 
   const trend = currentPeriodAttendance - previousPeriodAttendance;
 
@@ -399,9 +635,12 @@ const getOverallAttendanceAnalytics = asyncHandler(async (req, res) => {
     presentCount,
     absentCount,
     lateCount,
-    presentPercentage: totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0,
-    absentPercentage: totalRecords > 0 ? (absentCount / totalRecords) * 100 : 0,
-    latePercentage: totalRecords > 0 ? (lateCount / totalRecords) * 100 : 0,
+    excusedCount,
+    excusedPolicy,
+    presentPercentage: currentPeriodAttendance,
+    absentPercentage: countableRecords > 0 ? (absentTotal / countableRecords) * 100 : 0,
+    latePercentage: countableRecords > 0 ? (lateCount / countableRecords) * 100 : 0,
+    excusedPercentage: totalRecords > 0 ? (excusedCount / totalRecords) * 100 : 0,
     uniqueDatesCount: uniqueDates.length,
     uniqueStudentsCount: uniqueStudents.length,
     averageAttendance: currentPeriodAttendance,
@@ -419,34 +658,48 @@ const getOverallAttendanceAnalytics = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const getAttendanceTrends = asyncHandler(async (req, res) => {
   const { days = 14 } = req.query;
+  const requestedDays = Math.max(1, parseInt(days) || 14);
   const trends = [];
 
-  for (let i = parseInt(days) - 1; i >= 0; i--) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    date.setHours(0, 0, 0, 0);
+  // Walk back over the last `days` working days, skipping institute closures
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const lookbackStart = new Date(today);
+  lookbackStart.setDate(lookbackStart.getDate() - requestedDays * 3);
+
+  const [excusedPolicy, calendar] = await Promise.all([
+    getExcusedPolicy(),
+    getWorkingCalendar({ startDate: lookbackStart, endDate: today }),
+  ]);
+
+  const workingDays = calendar
+    .getWorkingDays(lookbackStart, today)
+    .slice(-requestedDays);
 
+  for (const date of workingDays) {
     const nextDay = new Date(date);
     nextDay.setDate(nextDay.getDate() + 1);
 
-    const dayRecords = await Attendance.find({
-      date: {
-        $gte: date,
-        $lt: nextDay
-      }
-    });
+    const dayRecords = await filterWorkingDayRecords(
+      await Attendance.find({
+        date: {
+          $gte: date,
+          $lt: nextDay
+        }
+      }),
+      { startDate: date, endDate: date }
+    );
 
-    const totalRecords = dayRecords.length;
-    const presentCount = dayRecords.filter(record => record.status === 'present').length;
-    const percentage = totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
+    const summary = summarizeAttendance(dayRecords, excusedPolicy);
 
     trends.push({
-      date: date.toISOString().split('T')[0],
-      percentage: Math.round(percentage * 10) / 10,
-      present: presentCount,
-      total: totalRecords,
-      absent: dayRecords.filter(record => record.status === 'absent').length,
-      late: dayRecords.filter(record => record.status === 'late').length
+      date: toDateKey(date),
+      percentage: Math.round(summary.percentage * 10) / 10,
+      present: summary.present,
+      total: summary.recordCount,
+      absent: summary.absent,
+      late: summary.late,
+      excused: summary.excused
     });
   }
 
@@ -499,21 +752,30 @@ const getTodayAttendanceSummary = asyncHandler(async (req, res) => {
     const presentToday = todayAttendance.filter(record => record.status === 'present').length;
     const absentToday = todayAttendance.filter(record => record.status === 'absent').length;
     const lateToday = todayAttendance.filter(record => record.status === 'late').length;
+    const excusedToday = todayAttendance.filter(record => record.status === 'excused').length;
 
     // Get unique batches that have attendance marked today
     const batchesWithAttendanceToday = [...new Set(todayAttendance.map(record => record.batch.toString()))];
 
-    const attendanceRate = totalStudents > 0 ? (presentToday / totalStudents) * 100 : 0;
+    const [excusedPolicy, calendar] = await Promise.all([
+      getExcusedPolicy(),
+      getWorkingCalendar({ startDate: today, endDate: today }),
+    ]);
+    const attendanceRate = applyExcusedPolicy(presentToday, totalStudents, excusedToday, excusedPolicy).percentage;
+    const closure = calendar.getClosure(today);
 
     res.json({
       totalStudents,
       presentToday,
       absentToday,
       lateToday,
+      excusedToday,
       attendanceRate: Math.round(attendanceRate * 10) / 10,
       batchesWithAttendance: batchesWithAttendanceToday.length,
       totalBatches: batches.length,
-      date: today.toISOString().split('T')[0]
+      isWorkingDay: !closure,
+      closure: closure ? closure.name : null,
+      date: toDateKey(today)
     });
   } catch (error) {
     console.error('Error fetching today\'s attendance summary:', error);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const AuditLog = require('../models/auditLogModel');
+
+const ENTITY_TYPES = AuditLog.schema.path('entityType').enumValues;
+
+// @desc    Search the change history
+// @route   GET /api/audit
+// @access  Private/Admin
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { student, batch, user, entityType, entity, from, to, flagged, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  for (const [field, value] of Object.entries({ student, batch, user, entity })) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${field} id`);
+    }
+    filter[field] = value;
+  }
+
+  if (entityType) {
+    if (!ENTITY_TYPES.includes(entityType)) {
+      res.status(400);
+      throw new Error(`Entity type must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+    filter.entityType = entityType;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(`${from}T00:00:00`);
+    if (to) filter.createdAt.$lte = new Date(`${to}T23:59:59.999`);
+    if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+      res.status(400);
+      throw new Error('Please provide valid dates');
+    }
+  }
+
+  if (flagged === 'true') {
+    filter.flagged = true;
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+  const [logs, total, flaggedCount] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('student', 'name rollNo studentId')
+      .populate('batch', 'name')
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    AuditLog.countDocuments(filter),
+    AuditLog.countDocuments({ ...filter, flagged: true }),
+  ]);
+
+  res.json({
+    logs,
+    flaggedCount,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+    },
+  });
+});
+
+module.exports = {
+  getAuditLogs,
+};
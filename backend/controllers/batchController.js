@@ -3,21 +3,64 @@ const asyncHandler = require('express-async-handler');
 const Batch = require('../models/batchModel');
 const Student = require('../models/studentModel');
 const Attendance = require('../models/attendanceModel');
+const { getExcusedPolicy, applyExcusedPolicy, summarizeAttendance } = require('../utils/attendancePolicy');
+const { toDateKey, loadHolidays, buildWorkingCalendar } = require('../utils/workingCalendar');
+const { findTimeSlot } = require('../utils/timeSlots');
+const { checkBatchConflicts } = require('../utils/scheduleConflicts');
+
+/**
+ * Resolve the schedule fields of a batch from a request body. The slot may be
+ * given by id (`timeSlot`) or by its label (`timing`); a batch keeping its
+ * current slot may keep it even after the slot was retired.
+ */
+const resolveSchedule = async (body, current = null) => {
+  const slotValue = body.timeSlot || body.timing;
+  const result = {};
+
+  if (slotValue) {
+    const slot = await findTimeSlot(slotValue);
+    const keepsCurrent = slot && current && current.schedule?.slot?.toString() === slot._id.toString();
+
+    if (!slot && current && slotValue === current.timing) {
+      // A batch not linked to a slot yet may keep its old timing label
+    } else if (!slot || (!slot.isActive && !keepsCurrent)) {
+      return { error: 'Please select one of the institute time slots' };
+    } else {
+      result.timing = slot.label;
+      result.slot = slot._id;
+    }
+  }
+
+  if (body.weekdays !== undefined) {
+    const weekdays = [...new Set((Array.isArray(body.weekdays) ? body.weekdays : []).map(Number))];
+    if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Please select the days the batch meets' };
+    }
+    result.weekdays = weekdays.sort((a, b) => a - b);
+  }
+
+  return result;
+};
 
 // @desc    Create a new batch
 // @route   POST /api/batches
 // @access  Private/Admin or Teacher
 const createBatch = async (req, res) => {
   try {
-    const { name, course, academicYear, section, timing, startDate, endDate, maxStudents, assignedTeacher } = req.body;
+    const { name, course, academicYear, section, timing, timeSlot, startDate, endDate, maxStudents, assignedTeacher } = req.body;
 
     // Validate required fields
-    if (!name || !course || !academicYear || !section || !timing || !startDate) {
+    if (!name || !course || !academicYear || !section || !(timing || timeSlot) || !startDate) {
       return res.status(400).json({
         message: 'Please provide all required fields: name, course, academicYear, section, timing, startDate'
       });
     }
 
+    const schedule = await resolveSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
     // Check if course exists
     const Course = require('../models/courseModel');
     const courseExists = await Course.findById(course);
@@ -55,7 +98,11 @@ const createBatch = async (req, res) => {
       course,
       academicYear,
       section,
-      timing,
+      timing: schedule.timing,
+      schedule: {
+        slot: schedule.slot,
+        ...(schedule.weekdays ? { weekdays: schedule.weekdays } : {}),
+      },
       startDate: start,
       maxStudents: maxStudents || courseExists.maxStudentsPerBatch || 20,
       createdBy: batchCreatedBy,
@@ -66,13 +113,19 @@ const createBatch = async (req, res) => {
       batchData.endDate = end;
     }
 
+    // Teacher clashes block the batch; capacity problems are only reported
+    const conflicts = await checkBatchConflicts(batchData);
+    if (conflicts.errors.length > 0) {
+      return res.status(409).json({ message: conflicts.errors[0].message, conflicts });
+    }
+
     const batch = await Batch.create(batchData);
 
     // Populate course information
     await batch.populate('course', 'name code department');
     await batch.populate('course.department', 'name');
 
-    res.status(201).json(batch);
+    res.status(201).json({ ...batch.toObject(), conflicts });
   } catch (error) {
     console.error('Error creating batch:', error);
     res.status(500).json({ message: error.message || 'Server error creating batch' });
@@ -100,6 +153,16 @@ const getBatches = async (req, res) => {
       })
       .sort('-createdAt');
 
+    // Recent attendance window (last 30 days)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    thirtyDaysAgo.setHours(0, 0, 0, 0);
+
+    const [excusedPolicy, holidays] = await Promise.all([
+      getExcusedPolicy(),
+      loadHolidays({ startDate: thirtyDaysAgo, endDate: new Date() }),
+    ]);
+
     // Get student count and attendance stats for each batch
     const batchesWithStats = await Promise.all(
       batches.map(async (batch) => {
@@ -107,31 +170,30 @@ const getBatches = async (req, res) => {
           // Get student count for this batch
           const studentCount = await Student.countDocuments({ batch: batch._id });
 
-          // Get recent attendance stats (last 30 days)
-          const thirtyDaysAgo = new Date();
-          thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-          const attendanceRecords = await Attendance.find({
+          // Get recent attendance stats, counting working days only
+          const calendar = buildWorkingCalendar(holidays, batch.course?.department?._id);
+          const attendanceRecords = (await Attendance.find({
             batch: batch._id,
             date: { $gte: thirtyDaysAgo }
-          });
+          })).filter(record => calendar.isWorkingDay(record.date));
 
           // Calculate accurate attendance percentage
           let attendancePercentage = 0;
           if (attendanceRecords.length > 0 && studentCount > 0) {
             // Get unique dates when attendance was marked for this batch
-            const uniqueDates = [...new Set(attendanceRecords.map(record =>
-              record.date.toISOString().split('T')[0]
-            ))];
+            const uniqueDates = [...new Set(attendanceRecords.map(record => toDateKey(record.date)))];
 
             // Calculate expected total attendance records (students × class days)
             const expectedTotalRecords = studentCount * uniqueDates.length;
 
-            // Count present records
+            // Count present and excused records
             const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
+            const excusedCount = attendanceRecords.filter(record => record.status === 'excused').length;
 
-            // Calculate percentage: (actual present) / (expected total) * 100
-            attendancePercentage = expectedTotalRecords > 0 ? (presentCount / expectedTotalRecords) * 100 : 0;
+            // Calculate percentage: (actual present) / (expected total) * 100, per excused policy
+            attendancePercentage = applyExcusedPolicy(
+              presentCount, expectedTotalRecords, excusedCount, excusedPolicy
+            ).percentage;
           }
 
           const batchObj = batch.toObject()
@@ -197,7 +259,7 @@ const getBatchById = async (req, res) => {
 // @access  Private/Teacher
 const updateBatch = async (req, res) => {
   try {
-    const { name, course, academicYear, section, timing, startDate, endDate, maxStudents, isArchived, isFinished } = req.body;
+    const { name, course, academicYear, section, startDate, endDate, maxStudents, isArchived, isFinished } = req.body;
 
     const batch = await Batch.findById(req.params.id);
 
@@ -210,6 +272,11 @@ const updateBatch = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this batch' });
     }
 
+    const schedule = await resolveSchedule(req.body, batch);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
     // Validate course if provided
     if (course && course !== batch.course.toString()) {
       const Course = require('../models/courseModel');
@@ -239,7 +306,13 @@ const updateBatch = async (req, res) => {
     batch.name = name || batch.name;
     batch.academicYear = academicYear || batch.academicYear;
     batch.section = section || batch.section;
-    batch.timing = timing || batch.timing;
+    if (schedule.slot) {
+      batch.timing = schedule.timing;
+      batch.schedule.slot = schedule.slot;
+    }
+    if (schedule.weekdays) {
+      batch.schedule.weekdays = schedule.weekdays;
+    }
 
     if (maxStudents !== undefined) {
       batch.maxStudents = maxStudents;
@@ -253,6 +326,17 @@ const updateBatch = async (req, res) => {
       batch.isFinished = isFinished;
     }
 
+    // Check the timetable again when the batch moves or comes back into use
+    const rescheduled = ['timing', 'schedule.slot', 'schedule.weekdays', 'startDate', 'endDate', 'maxStudents', 'isFinished', 'isArchived']
+      .some(path => batch.isModified(path));
+    let conflicts = { errors: [], warnings: [] };
+    if (rescheduled && !batch.isFinished && !batch.isArchived) {
+      conflicts = await checkBatchConflicts(batch);
+      if (conflicts.errors.length > 0) {
+        return res.status(409).json({ message: conflicts.errors[0].message, conflicts });
+      }
+    }
+
     const updatedBatch = await batch.save();
 
     // Populate course information for response
@@ -265,13 +349,62 @@ const updateBatch = async (req, res) => {
       }
     });
 
-    res.json(updatedBatch);
+    res.json({ ...updatedBatch.toObject(), conflicts });
   } catch (error) {
     console.error('Error updating batch:', error);
     res.status(500).json({ message: error.message || 'Server error updating batch' });
   }
 };
 
+// @desc    Check a batch schedule for clashes before saving it
+// @route   POST /api/batches/conflicts
+// @access  Private/Admin or Teacher
+const checkScheduleConflicts = async (req, res) => {
+  try {
+    const { batchId, startDate, endDate, maxStudents, assignedTeacher } = req.body;
+
+    let current = null;
+    if (batchId) {
+      current = await Batch.findById(batchId);
+      if (!current) {
+        return res.status(404).json({ message: 'Batch not found' });
+      }
+      if (req.user.role !== 'admin' && current.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized to update this batch' });
+      }
+    }
+
+    const schedule = await resolveSchedule(req.body, current);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const timing = schedule.timing || current?.timing;
+    if (!timing) {
+      return res.json({ errors: [], warnings: [] });
+    }
+
+    const teacher = (req.user.role === 'admin' && assignedTeacher) || current?.createdBy || req.user._id;
+    const conflicts = await checkBatchConflicts({
+      _id: current?._id,
+      createdBy: teacher,
+      timing,
+      schedule: {
+        slot: schedule.slot || current?.schedule?.slot || null,
+        weekdays: schedule.weekdays || current?.schedule?.weekdays,
+      },
+      startDate: startDate ? new Date(startDate) : current?.startDate,
+      endDate: endDate ? new Date(endDate) : current?.endDate,
+      maxStudents: Number(maxStudents) || current?.maxStudents || 0,
+    });
+
+    res.json(conflicts);
+  } catch (error) {
+    console.error('Error checking batch conflicts:', error);
+    res.status(500).json({ message: error.message || 'Server error checking batch conflicts' });
+  }
+};
+
 // @desc    Delete batch
 // @route   DELETE /api/batches/:id
 // @access  Private/Teacher
@@ -516,16 +649,16 @@ const getBatchStats = async (req, res) => {
       total: totalAttendanceRecords,
       present: 0,
       absent: 0,
-      late: 0
+      late: 0,
+      excused: 0
     };
 
     attendanceStats.forEach(stat => {
       attendanceBreakdown[stat._id] = stat.count;
     });
 
-    const attendanceRate = totalAttendanceRecords > 0
-      ? Math.round((attendanceBreakdown.present / totalAttendanceRecords) * 100)
-      : 0;
+    const excusedPolicy = await getExcusedPolicy();
+    const attendanceRate = Math.round(summarizeAttendance(attendanceBreakdown, excusedPolicy).percentage);
 
     // Calculate capacity utilization
     const capacityUtilization = batch.maxStudents > 0
@@ -629,6 +762,7 @@ const getBatchesOverview = async (req, res) => {
 
 module.exports = {
   createBatch,
+  checkScheduleConflicts,
   getBatches,
   getBatchById,
   updateBatch,
@@ -0,0 +1,365 @@
+const asyncHandler = require('express-async-handler');
+const BookingSeries = require('../models/bookingSeriesModel');
+const Booking = require('../models/bookingModel');
+const PC = require('../models/pcModel');
+const Batch = require('../models/batchModel');
+const Student = require('../models/studentModel');
+const {
+  toBookingKey,
+  addDays,
+  getTodayKey,
+  expandSeries,
+  removeFutureOccurrences,
+} = require('../utils/bookingSeries');
+
+// A series is limited to a year so that a typo cannot create thousands of bookings
+const MAX_SERIES_DAYS = 366;
+
+// Fields that may change in a "this and future occurrences" edit
+const EDITABLE_FIELDS = ['pc', 'timeSlot', 'weekdays', 'endDate', 'teacherName', 'purpose', 'notes'];
+
+const parseDateKey = (value, label, res) => {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error(`Please provide a valid ${label}`);
+  }
+  return toBookingKey(date);
+};
+
+const parseWeekdays = (weekdays, res) => {
+  const days = [...new Set((Array.isArray(weekdays) ? weekdays : []).map(Number))];
+  if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    res.status(400);
+    throw new Error('Select at least one weekday');
+  }
+  return days.sort((a, b) => a - b);
+};
+
+const ensurePcExists = async (pcId, res) => {
+  const pc = await PC.findById(pcId).select('pcNumber status');
+  if (!pc) {
+    res.status(404);
+    throw new Error('PC not found');
+  }
+  return pc;
+};
+
+const ensureSpan = (startKey, endKey, res) => {
+  if (endKey < startKey) {
+    res.status(400);
+    throw new Error('End date cannot be before start date');
+  }
+  if ((new Date(endKey) - new Date(startKey)) / (24 * 60 * 60 * 1000) >= MAX_SERIES_DAYS) {
+    res.status(400);
+    throw new Error('A booking series cannot run for more than a year');
+  }
+};
+
+/**
+ * Validate a new series from the request body and resolve who it is for.
+ */
+const buildSeriesFields = async (req, res) => {
+  const { pc, timeSlot, weekdays, startDate, endDate, batch, student, bookedFor, teacherName, purpose, notes } = req.body;
+
+  if (!pc || !timeSlot) {
+    res.status(400);
+    throw new Error('Missing required fields: pc and timeSlot are required');
+  }
+  if (!batch && !student) {
+    res.status(400);
+    throw new Error('Select a batch or a student for the series');
+  }
+
+  await ensurePcExists(pc, res);
+
+  const startKey = parseDateKey(startDate, 'start date', res);
+  const endKey = parseDateKey(endDate, 'end date', res);
+  ensureSpan(startKey, endKey, res);
+
+  const fields = {
+    pc,
+    timeSlot,
+    weekdays: parseWeekdays(weekdays, res),
+    startDate: new Date(startKey),
+    endDate: new Date(endKey),
+    teacherName: teacherName || req.user.name || 'Unknown Teacher',
+    purpose: purpose || 'Lab Session',
+    notes: notes || '',
+    createdBy: req.user._id,
+  };
+
+  if (student) {
+    const studentRecord = await Student.findById(student).select('name batch isActive');
+    if (!studentRecord) {
+      res.status(404);
+      throw new Error('Student not found');
+    }
+    if (!studentRecord.isActive) {
+      res.status(400);
+      throw new Error('Student is not active and cannot be booked');
+    }
+    fields.student = studentRecord._id;
+    fields.batch = studentRecord.batch || null;
+    fields.bookedFor = studentRecord.name;
+  } else {
+    const batchRecord = await Batch.findById(batch).select('name');
+    if (!batchRecord) {
+      res.status(404);
+      throw new Error('Batch not found');
+    }
+    fields.batch = batchRecord._id;
+    fields.bookedFor = bookedFor || batchRecord.name;
+  }
+
+  return fields;
+};
+
+const getManagedSeries = async (req, res) => {
+  const series = await BookingSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404);
+    throw new Error('Booking series not found');
+  }
+
+  if (req.user.role !== 'admin' && series.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to manage this booking series');
+  }
+
+  return series;
+};
+
+// First day a "this and future occurrences" change applies to
+const getFromKey = (req, series, res) => {
+  const todayKey = getTodayKey();
+  const fromKey = req.body.fromDate ? parseDateKey(req.body.fromDate, 'date', res) : todayKey;
+
+  if (fromKey < todayKey) {
+    res.status(400);
+    throw new Error('Past occurrences cannot be changed');
+  }
+  if (fromKey > toBookingKey(series.endDate)) {
+    res.status(400);
+    throw new Error('The series has already ended by this date');
+  }
+  return fromKey;
+};
+
+const populateSeries = (query) => query
+  .populate('pc', 'pcNumber row position status')
+  .populate('batch', 'name timing')
+  .populate('student', 'name rollNo')
+  .populate('createdBy', 'name');
+
+const summarizeReport = (report) => {
+  const parts = [`${report.created.length} booking${report.created.length === 1 ? '' : 's'} created`];
+  if (report.skipped.length) parts.push(`${report.skipped.length} skipped`);
+  if (report.conflicts.length) parts.push(`${report.conflicts.length} in conflict`);
+  return parts.join(', ');
+};
+
+// @desc    Preview the bookings a series would create
+// @route   POST /api/lab/bookings/series/preview
+// @access  Private/Teacher
+const previewBookingSeries = asyncHandler(async (req, res) => {
+  const series = new BookingSeries(await buildSeriesFields(req, res));
+  const report = await expandSeries(series, { dryRun: true });
+
+  res.json({ report });
+});
+
+// @desc    Create a recurring booking series and its bookings
+// @route   POST /api/lab/bookings/series
+// @access  Private/Teacher
+const createBookingSeries = asyncHandler(async (req, res) => {
+  const series = await BookingSeries.create(await buildSeriesFields(req, res));
+  const report = await expandSeries(series, { userId: req.user._id });
+
+  res.status(201).json({
+    message: summarizeReport(report),
+    series: await populateSeries(BookingSeries.findById(series._id)),
+    report,
+  });
+});
+
+// @desc    Get booking series
+// @route   GET /api/lab/bookings/series
+// @access  Private
+const getBookingSeries = asyncHandler(async (req, res) => {
+  const { pc, batch, student, status } = req.query;
+  const query = {};
+
+  if (pc) query.pc = pc;
+  if (batch) query.batch = batch;
+  if (student) query.student = student;
+  if (status) query.status = status;
+
+  const seriesList = await populateSeries(BookingSeries.find(query)).sort({ createdAt: -1 });
+
+  // Number of upcoming bookings still held by each series
+  const upcoming = await Booking.aggregate([
+    {
+      $match: {
+        series: { $in: seriesList.map(series => series._id) },
+        date: { $gte: new Date(getTodayKey()) },
+        status: 'booked',
+      },
+    },
+    { $group: { _id: '$series', count: { $sum: 1 } } },
+  ]);
+  const upcomingBySeries = new Map(upcoming.map(entry => [entry._id.toString(), entry.count]));
+
+  res.json(seriesList.map(series => ({
+    ...series.toObject(),
+    upcomingBookings: upcomingBySeries.get(series._id.toString()) || 0,
+  })));
+});
+
+// @desc    Get a booking series with its bookings
+// @route   GET /api/lab/bookings/series/:id
+// @access  Private
+const getBookingSeriesById = asyncHandler(async (req, res) => {
+  const series = await populateSeries(BookingSeries.findById(req.params.id));
+
+  if (!series) {
+    res.status(404);
+    throw new Error('Booking series not found');
+  }
+
+  const bookings = await Booking.find({ series: series._id })
+    .populate('pc', 'pcNumber')
+    .select('date timeSlot status pc')
+    .sort({ date: 1 });
+
+  res.json({ series, bookings });
+});
+
+// @desc    Change this and future occurrences of a series
+// @route   PUT /api/lab/bookings/series/:id
+// @access  Private/Teacher
+const updateBookingSeries = asyncHandler(async (req, res) => {
+  const series = await getManagedSeries(req, res);
+
+  if (series.status !== 'active') {
+    res.status(400);
+    throw new Error('A cancelled series cannot be edited');
+  }
+
+  const fromKey = getFromKey(req, series, res);
+  const changes = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+
+  if (changes.pc) await ensurePcExists(changes.pc, res);
+  if (changes.weekdays) changes.weekdays = parseWeekdays(changes.weekdays, res);
+  if (changes.endDate) {
+    const endKey = parseDateKey(changes.endDate, 'end date', res);
+    ensureSpan(fromKey, endKey, res);
+    changes.endDate = new Date(endKey);
+  }
+
+  // Occurrences before `fromKey` stay with the original series, which ends the
+  // day before; the rest continues as a new series with the changes applied
+  const splits = fromKey > toBookingKey(series.startDate);
+  let target = series;
+
+  if (splits) {
+    const { _id, createdAt, updatedAt, __v, ...fields } = series.toObject();
+    target = new BookingSeries({
+      ...fields,
+      ...changes,
+      startDate: new Date(fromKey),
+      exceptions: (fields.exceptions || []).filter(key => key >= fromKey),
+      parentSeries: series._id,
+      createdBy: req.user._id,
+    });
+  } else {
+    target.set(changes);
+  }
+
+  try {
+    await target.validate();
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+
+  const removed = await removeFutureOccurrences(series._id, fromKey);
+
+  if (splits) {
+    series.endDate = new Date(addDays(fromKey, -1));
+    await series.save();
+  }
+  await target.save();
+
+  const report = await expandSeries(target, { fromDate: fromKey, userId: req.user._id });
+
+  res.json({
+    message: `Series updated from ${fromKey}: ${summarizeReport(report)}`,
+    series: await populateSeries(BookingSeries.findById(target._id)),
+    removed,
+    report,
+  });
+});
+
+// @desc    Cancel this and future occurrences of a series
+// @route   PUT /api/lab/bookings/series/:id/cancel
+// @access  Private/Teacher
+const cancelBookingSeries = asyncHandler(async (req, res) => {
+  const series = await getManagedSeries(req, res);
+
+  if (series.status !== 'active') {
+    res.status(400);
+    throw new Error('Booking series is already cancelled');
+  }
+
+  const fromKey = getFromKey(req, series, res);
+  const removed = await removeFutureOccurrences(series._id, fromKey);
+
+  if (fromKey > toBookingKey(series.startDate)) {
+    series.endDate = new Date(addDays(fromKey, -1));
+  } else {
+    series.status = 'cancelled';
+    series.cancelledBy = req.user._id;
+    series.cancelledAt = new Date();
+  }
+  await series.save();
+
+  res.json({
+    message: `${removed} upcoming booking${removed === 1 ? '' : 's'} cancelled`,
+    series,
+    removed,
+  });
+});
+
+// @desc    Create any missing bookings of a series, e.g. after PC maintenance
+// @route   POST /api/lab/bookings/series/:id/expand
+// @access  Private/Teacher
+const expandBookingSeries = asyncHandler(async (req, res) => {
+  const series = await getManagedSeries(req, res);
+
+  if (series.status !== 'active') {
+    res.status(400);
+    throw new Error('A cancelled series cannot be expanded');
+  }
+
+  const report = await expandSeries(series, { userId: req.user._id });
+
+  res.json({
+    message: summarizeReport(report),
+    report,
+  });
+});
+
+module.exports = {
+  previewBookingSeries,
+  createBookingSeries,
+  getBookingSeries,
+  getBookingSeriesById,
+  updateBookingSeries,
+  cancelBookingSeries,
+  expandBookingSeries,
+};
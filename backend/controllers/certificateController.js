@@ -0,0 +1,262 @@
+const Certificate = require('../models/certificateModel');
+const Batch = require('../models/batchModel');
+const asyncHandler = require('express-async-handler');
+const {
+  getEligibilityCriteria,
+  evaluateBatchEligibility,
+  generateSerialNumber,
+  getVerificationUrl,
+  renderCertificatePdf,
+} = require('../utils/certificates');
+
+// Load a batch the current user manages, with its course certification details
+const getManagedBatch = async (req, res) => {
+  const batch = await Batch.findById(req.params.batchId)
+    .populate('course', 'name code certification');
+
+  if (!batch) {
+    res.status(404);
+    throw new Error('Batch not found');
+  }
+
+  if (req.user.role !== 'admin' && batch.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to manage certificates for this batch');
+  }
+
+  return batch;
+};
+
+const sendCertificatePdf = (res, certificate) => {
+  const pdf = renderCertificatePdf(certificate);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${certificate.serialNumber}.pdf"`);
+  res.send(pdf);
+};
+
+// @desc    Check which students of a batch are eligible for a certificate
+// @route   GET /api/certificates/batches/:batchId/eligibility
+// @access  Private/Teacher
+const getBatchEligibility = asyncHandler(async (req, res) => {
+  const batch = await getManagedBatch(req, res);
+  const criteria = await getEligibilityCriteria();
+
+  const [{ finalProject, students }, certificates] = await Promise.all([
+    evaluateBatchEligibility(batch, criteria),
+    Certificate.find({ batch: batch._id, status: 'issued' })
+      .select('student serialNumber issuedAt'),
+  ]);
+
+  const certificateByStudent = new Map(
+    certificates.map(certificate => [certificate.student.toString(), certificate])
+  );
+
+  res.json({
+    batch: {
+      _id: batch._id,
+      name: batch.name,
+      isFinished: batch.isFinished,
+      endDate: batch.endDate,
+      course: batch.course,
+    },
+    certificationProvided: batch.course?.certification?.provided !== false,
+    criteria,
+    finalProject,
+    students: students.map(entry => ({
+      ...entry,
+      certificate: certificateByStudent.get(entry.student._id.toString()) || null,
+    })),
+  });
+});
+
+// @desc    Issue certificates to eligible students of a finished batch
+// @route   POST /api/certificates/batches/:batchId/issue
+// @access  Private/Teacher
+const issueBatchCertificates = asyncHandler(async (req, res) => {
+  const batch = await getManagedBatch(req, res);
+  const { studentIds } = req.body;
+
+  if (!batch.isFinished) {
+    res.status(400);
+    throw new Error('Certificates can only be issued once the batch is marked as finished');
+  }
+
+  if (batch.course?.certification?.provided === false) {
+    res.status(400);
+    throw new Error('This course does not provide a certificate');
+  }
+
+  const criteria = await getEligibilityCriteria();
+  const { students } = await evaluateBatchEligibility(batch, criteria);
+  const existing = new Set(
+    (await Certificate.find({ batch: batch._id, status: 'issued' }).distinct('student'))
+      .map(id => id.toString())
+  );
+  const requested = Array.isArray(studentIds) && studentIds.length > 0
+    ? new Set(studentIds.map(String))
+    : null;
+
+  const issued = [];
+  const skipped = [];
+
+  for (const entry of students) {
+    const studentId = entry.student._id.toString();
+    if (requested && !requested.has(studentId)) continue;
+
+    if (existing.has(studentId)) {
+      skipped.push({ student: entry.student, reason: 'Certificate already issued' });
+      continue;
+    }
+    if (!entry.eligible) {
+      skipped.push({ student: entry.student, reason: entry.reasons.join('; ') });
+      continue;
+    }
+
+    const certificate = await Certificate.create({
+      serialNumber: await generateSerialNumber(),
+      student: entry.student._id,
+      batch: batch._id,
+      course: batch.course._id,
+      studentName: entry.student.name,
+      studentCode: entry.student.studentId,
+      courseName: batch.course.name,
+      courseCode: batch.course.code,
+      batchName: batch.name,
+      certificateName: batch.course.certification?.certificateName,
+      issuingAuthority: batch.course.certification?.issuingAuthority,
+      completionDate: batch.endDate || new Date(),
+      issuedBy: req.user._id,
+      attendancePercentage: entry.attendancePercentage,
+      projectScore: entry.projectScore,
+      criteria,
+    });
+    issued.push(certificate);
+  }
+
+  res.status(201).json({
+    message: `${issued.length} certificate${issued.length === 1 ? '' : 's'} issued`,
+    issued,
+    skipped,
+  });
+});
+
+// @desc    Get certificates
+// @route   GET /api/certificates
+// @access  Private/Teacher
+const getCertificates = asyncHandler(async (req, res) => {
+  const { batchId, studentId, status, search } = req.query;
+  const query = {};
+
+  if (batchId) query.batch = batchId;
+  if (studentId) query.student = studentId;
+  if (status) query.status = status;
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ serialNumber: pattern }, { studentName: pattern }];
+  }
+
+  // Teachers only see certificates of their own batches
+  if (req.user.role !== 'admin') {
+    const batchIds = await Batch.find({ createdBy: req.user._id }).distinct('_id');
+    query.batch = batchId
+      ? (batchIds.some(id => id.toString() === batchId) ? batchId : null)
+      : { $in: batchIds };
+  }
+
+  const certificates = await Certificate.find(query)
+    .populate('issuedBy', 'name')
+    .populate('revokedBy', 'name')
+    .sort({ issuedAt: -1 });
+
+  res.json(certificates);
+});
+
+// @desc    Download a certificate as PDF
+// @route   GET /api/certificates/:id/pdf
+// @access  Private/Teacher
+const downloadCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findById(req.params.id)
+    .populate('batch', 'createdBy');
+
+  if (!certificate) {
+    res.status(404);
+    throw new Error('Certificate not found');
+  }
+
+  if (req.user.role !== 'admin' && certificate.batch?.createdBy?.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to download this certificate');
+  }
+
+  sendCertificatePdf(res, certificate);
+});
+
+// @desc    Revoke a certificate
+// @route   PUT /api/certificates/:id/revoke
+// @access  Private/Admin
+const revokeCertificate = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason?.trim()) {
+    res.status(400);
+    throw new Error('Please provide a reason for revoking this certificate');
+  }
+
+  const certificate = await Certificate.findById(req.params.id);
+  if (!certificate) {
+    res.status(404);
+    throw new Error('Certificate not found');
+  }
+
+  if (certificate.status === 'revoked') {
+    res.status(400);
+    throw new Error('Certificate is already revoked');
+  }
+
+  certificate.status = 'revoked';
+  certificate.revokedAt = new Date();
+  certificate.revokedBy = req.user._id;
+  certificate.revokeReason = reason.trim();
+  await certificate.save();
+
+  res.json(certificate);
+});
+
+// @desc    Verify a certificate by its serial number
+// @route   GET /api/certificates/verify/:serialNumber
+// @access  Public
+const verifyCertificate = asyncHandler(async (req, res) => {
+  const serialNumber = req.params.serialNumber.trim().toUpperCase();
+  const certificate = await Certificate.findOne({ serialNumber });
+
+  if (!certificate) {
+    res.status(404);
+    throw new Error('No certificate found with this number');
+  }
+
+  // Only what is printed on the certificate is disclosed
+  res.json({
+    valid: certificate.status === 'issued',
+    status: certificate.status,
+    serialNumber: certificate.serialNumber,
+    studentName: certificate.studentName,
+    courseName: certificate.courseName,
+    courseCode: certificate.courseCode,
+    batchName: certificate.batchName,
+    certificateName: certificate.certificateName,
+    issuingAuthority: certificate.issuingAuthority,
+    completionDate: certificate.completionDate,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revokedAt,
+    verificationUrl: getVerificationUrl(certificate.serialNumber),
+  });
+});
+
+module.exports = {
+  getBatchEligibility,
+  issueBatchCertificates,
+  getCertificates,
+  downloadCertificate,
+  revokeCertificate,
+  verifyCertificate,
+};
@@ -20,6 +20,7 @@ const createCourse = asyncHandler(async (req, res) => {
     level,
     category,
     software,
+    labRequirements,
     maxStudentsPerBatch
   } = req.body;
 
@@ -50,6 +51,7 @@ const createCourse = asyncHandler(async (req, res) => {
     level,
     category,
     software,
+    labRequirements,
     maxStudentsPerBatch,
     createdBy: req.user._id,
   });
@@ -0,0 +1,394 @@
+const FeeSchedule = require('../models/feeScheduleModel');
+const FeePayment = require('../models/feePaymentModel');
+const Student = require('../models/studentModel');
+const asyncHandler = require('express-async-handler');
+const {
+  PAYMENT_MODES,
+  roundAmount,
+  summarizeLedger,
+  recalculateStudentFees,
+  createFeeSchedule,
+  generateReceiptNumber,
+} = require('../utils/feeLedger');
+const { snapshot, recordAudit } = require('../utils/auditTrail');
+
+const MODE_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  upi: 'UPI',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  online: 'Online',
+  other: 'Other',
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+});
+
+// Load a student the current user may view fees for
+const getAccessibleStudent = async (req, res) => {
+  const student = await Student.findById(req.params.studentId)
+    .populate('batch', 'name createdBy')
+    .populate('course', 'name code fees duration');
+
+  if (!student) {
+    res.status(404);
+    throw new Error('Student not found');
+  }
+
+  if (
+    req.user.role !== 'admin' &&
+    student.batch?.createdBy?.toString() !== req.user._id.toString()
+  ) {
+    res.status(403);
+    throw new Error('Not authorized to view fees for this student');
+  }
+
+  return student;
+};
+
+const buildLedgerResponse = async (studentId) => {
+  const [schedule, payments] = await Promise.all([
+    FeeSchedule.findOne({ student: studentId }).populate('course', 'name code'),
+    FeePayment.find({ student: studentId })
+      .populate('receivedBy', 'name')
+      .populate('voidedBy', 'name')
+      .sort({ paidAt: -1 }),
+  ]);
+
+  return {
+    schedule,
+    payments,
+    summary: summarizeLedger(schedule, payments),
+  };
+};
+
+// @desc    Get a student's fee schedule, payments and balance
+// @route   GET /api/fees/students/:studentId
+// @access  Private/Teacher
+const getStudentLedger = asyncHandler(async (req, res) => {
+  const student = await getAccessibleStudent(req, res);
+  const ledger = await buildLedgerResponse(student._id);
+
+  res.json({
+    student: {
+      _id: student._id,
+      name: student.name,
+      studentId: student.studentId,
+      rollNo: student.rollNo,
+      course: student.course,
+      batch: student.batch ? { _id: student.batch._id, name: student.batch.name } : null,
+      admissionDate: student.admissionDate,
+    },
+    paymentModes: PAYMENT_MODES,
+    ...ledger,
+  });
+});
+
+// @desc    Regenerate a student's installment schedule from the course fees
+// @route   POST /api/fees/students/:studentId/schedule
+// @access  Private/Admin
+const generateSchedule = asyncHandler(async (req, res) => {
+  const student = await getAccessibleStudent(req, res);
+
+  await createFeeSchedule(student, req.user._id);
+
+  res.status(201).json(await buildLedgerResponse(student._id));
+});
+
+// @desc    Adjust installment amounts and due dates
+// @route   PUT /api/fees/students/:studentId/schedule
+// @access  Private/Admin
+const updateSchedule = asyncHandler(async (req, res) => {
+  const student = await getAccessibleStudent(req, res);
+  const { installments, notes } = req.body;
+
+  const schedule = await FeeSchedule.findOne({ student: student._id });
+  if (!schedule) {
+    res.status(404);
+    throw new Error('Fee schedule not found. Generate one first.');
+  }
+
+  const previousSchedule = snapshot(schedule, 'feeSchedule');
+
+  if (installments !== undefined) {
+    if (!Array.isArray(installments) || installments.length === 0) {
+      res.status(400);
+      throw new Error('Please provide at least one installment');
+    }
+
+    const cleaned = installments.map((installment, index) => {
+      const amount = roundAmount(Number(installment.amount));
+      const dueDate = new Date(installment.dueDate);
+
+      if (!Number.isFinite(amount) || amount < 0) {
+        res.status(400);
+        throw new Error(`Installment ${index + 1} has an invalid amount`);
+      }
+      if (isNaN(dueDate.getTime())) {
+        res.status(400);
+        throw new Error(`Installment ${index + 1} has an invalid due date`);
+      }
+
+      return { amount, dueDate };
+    }).sort((a, b) => a.dueDate - b.dueDate);
+
+    const totalAmount = roundAmount(cleaned.reduce((sum, installment) => sum + installment.amount, 0));
+    const payments = await FeePayment.find({ student: student._id, status: 'completed' });
+    const totalPaid = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    if (totalAmount < totalPaid) {
+      res.status(400);
+      throw new Error(`Total fees cannot be less than the amount already paid (${totalPaid})`);
+    }
+
+    schedule.installments = cleaned.map((installment, index) => ({
+      ...installment,
+      number: index + 1,
+    }));
+    schedule.totalAmount = totalAmount;
+  }
+
+  if (notes !== undefined) {
+    schedule.notes = notes;
+  }
+
+  await schedule.save();
+  await recalculateStudentFees(student._id);
+
+  await recordAudit(req, {
+    entityType: 'feeSchedule',
+    entity: schedule,
+    action: 'update',
+    before: previousSchedule,
+    after: await FeeSchedule.findById(schedule._id),
+    student: student._id,
+    batch: student.batch?._id,
+  });
+
+  res.json(await buildLedgerResponse(student._id));
+});
+
+// @desc    Record a fee payment
+// @route   POST /api/fees/students/:studentId/payments
+// @access  Private/Admin
+const recordPayment = asyncHandler(async (req, res) => {
+  const student = await getAccessibleStudent(req, res);
+  const { amount, mode, reference, paidAt, notes } = req.body;
+
+  const value = roundAmount(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    res.status(400);
+    throw new Error('Please enter a valid amount');
+  }
+
+  if (!PAYMENT_MODES.includes(mode)) {
+    res.status(400);
+    throw new Error('Please select a valid payment mode');
+  }
+
+  if (mode !== 'cash' && !reference?.trim()) {
+    res.status(400);
+    throw new Error('Please add a payment reference');
+  }
+
+  const schedule = await FeeSchedule.findOne({ student: student._id });
+  if (!schedule) {
+    res.status(400);
+    throw new Error('This student has no fee schedule yet');
+  }
+
+  const payments = await FeePayment.find({ student: student._id, status: 'completed' });
+  const { balance } = summarizeLedger(schedule, payments);
+
+  if (value > balance) {
+    res.status(400);
+    throw new Error(`Amount exceeds the outstanding balance (${balance})`);
+  }
+
+  const paymentDate = paidAt ? new Date(paidAt) : new Date();
+  if (isNaN(paymentDate.getTime()) || paymentDate > new Date()) {
+    res.status(400);
+    throw new Error('Payment date cannot be in the future');
+  }
+
+  const payment = await FeePayment.create({
+    student: student._id,
+    amount: value,
+    mode,
+    reference: reference?.trim() || undefined,
+    paidAt: paymentDate,
+    notes,
+    receiptNumber: await generateReceiptNumber(paymentDate),
+    receivedBy: req.user._id,
+  });
+
+  await recalculateStudentFees(student._id);
+
+  await recordAudit(req, {
+    entityType: 'feePayment',
+    entity: payment,
+    action: 'create',
+    after: payment,
+    student: student._id,
+    batch: student.batch?._id,
+  });
+
+  res.status(201).json({
+    payment,
+    ...(await buildLedgerResponse(student._id)),
+  });
+});
+
+// @desc    Void a payment recorded in error
+// @route   PUT /api/fees/payments/:id/void
+// @access  Private/Admin
+const voidPayment = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason?.trim()) {
+    res.status(400);
+    throw new Error('Please provide a reason for voiding this payment');
+  }
+
+  const payment = await FeePayment.findById(req.params.id);
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found');
+  }
+
+  if (payment.status === 'voided') {
+    res.status(400);
+    throw new Error('Payment is already voided');
+  }
+
+  const previousPayment = snapshot(payment, 'feePayment');
+
+  payment.status = 'voided';
+  payment.voidedBy = req.user._id;
+  payment.voidedAt = new Date();
+  payment.voidReason = reason.trim();
+  await payment.save();
+
+  await recalculateStudentFees(payment.student);
+
+  const paidBy = await Student.findById(payment.student).select('batch');
+  await recordAudit(req, {
+    entityType: 'feePayment',
+    entity: payment,
+    action: 'void',
+    before: previousPayment,
+    after: payment,
+    student: payment.student,
+    batch: paidBy?.batch,
+  });
+
+  res.json(await buildLedgerResponse(payment.student));
+});
+
+// @desc    Download a printable receipt for a payment
+// @route   GET /api/fees/payments/:id/receipt
+// @access  Private/Admin
+const getPaymentReceipt = asyncHandler(async (req, res) => {
+  const payment = await FeePayment.findById(req.params.id)
+    .populate({
+      path: 'student',
+      select: 'name studentId rollNo course batch',
+      populate: [
+        { path: 'course', select: 'name code' },
+        { path: 'batch', select: 'name' },
+      ],
+    })
+    .populate('receivedBy', 'name');
+
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found');
+  }
+
+  const schedule = await FeeSchedule.findOne({ student: payment.student._id });
+  const currency = schedule?.currency || 'INR';
+
+  // Balance as it stood right after this payment
+  const paidUpTo = await FeePayment.find({
+    student: payment.student._id,
+    status: 'completed',
+    paidAt: { $lte: payment.paidAt },
+  });
+  const totalPaid = roundAmount(paidUpTo.reduce((sum, p) => sum + p.amount, 0));
+  const balance = roundAmount(Math.max(0, (schedule?.totalAmount || 0) - totalPaid));
+
+  const student = payment.student;
+  const rows = [
+    ['Receipt No.', payment.receiptNumber],
+    ['Date', formatDate(payment.paidAt)],
+    ['Student', `${student.name} (${student.studentId || student.rollNo})`],
+    ['Course', student.course ? `${student.course.name} (${student.course.code})` : '-'],
+    ['Batch', student.batch?.name || '-'],
+    ['Amount Paid', formatMoney(payment.amount, currency)],
+    ['Payment Mode', MODE_LABELS[payment.mode] || payment.mode],
+    ['Reference', payment.reference || '-'],
+    ['Total Fees', formatMoney(schedule?.totalAmount, currency)],
+    ['Total Paid', formatMoney(totalPaid, currency)],
+    ['Balance', formatMoney(balance, currency)],
+    ['Received By', payment.receivedBy?.name || '-'],
+  ];
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(payment.receiptNumber)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #111827; margin: 40px; }
+  .receipt { max-width: 640px; margin: 0 auto; border: 1px solid #d1d5db; padding: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .subtitle { color: #6b7280; margin-bottom: 24px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
+  td:first-child { color: #6b7280; width: 40%; }
+  .voided { color: #b91c1c; font-weight: bold; margin-bottom: 16px; }
+  .footer { margin-top: 24px; font-size: 12px; color: #6b7280; }
+  @media print { body { margin: 0; } .receipt { border: none; } }
+</style>
+</head>
+<body onload="window.print()">
+<div class="receipt">
+  <h1>CDC - Fee Receipt</h1>
+  <div class="subtitle">${escapeHtml(payment.receiptNumber)}</div>
+  ${payment.status === 'voided'
+    ? `<div class="voided">VOIDED on ${escapeHtml(formatDate(payment.voidedAt))}: ${escapeHtml(payment.voidReason)}</div>`
+    : ''}
+  <table>
+    ${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+  <div class="footer">This is a computer generated receipt.</div>
+</div>
+</body>
+</html>`;
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${payment.receiptNumber}.html"`);
+  res.send(html);
+});
+
+module.exports = {
+  getStudentLedger,
+  generateSchedule,
+  updateSchedule,
+  recordPayment,
+  voidPayment,
+  getPaymentReceipt,
+};
@@ -0,0 +1,186 @@
+const Holiday = require('../models/holidayModel');
+const Batch = require('../models/batchModel');
+const asyncHandler = require('express-async-handler');
+const {
+  getWorkingCalendar,
+  getBatchDepartmentId,
+} = require('../utils/workingCalendar');
+
+const HOLIDAY_FIELDS = [
+  'name',
+  'type',
+  'weekday',
+  'startDate',
+  'endDate',
+  'effectiveFrom',
+  'effectiveUntil',
+  'department',
+  'description',
+  'isActive',
+];
+
+// @desc    Create a holiday, weekly off or closure
+// @route   POST /api/holidays
+// @access  Private/Admin
+const createHoliday = asyncHandler(async (req, res) => {
+  const data = {};
+  HOLIDAY_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined && req.body[field] !== '') {
+      data[field] = req.body[field];
+    }
+  });
+
+  if (data.type === 'weekly_off') {
+    const existing = await Holiday.findOne({
+      type: 'weekly_off',
+      weekday: data.weekday,
+      department: data.department || null,
+      isActive: true,
+    });
+
+    if (existing) {
+      res.status(400);
+      throw new Error('This weekday is already a weekly off for the selected scope');
+    }
+  }
+
+  const holiday = await Holiday.create({
+    ...data,
+    createdBy: req.user._id,
+  });
+
+  await holiday.populate('department', 'name code');
+
+  res.status(201).json(holiday);
+});
+
+// @desc    Get holidays
+// @route   GET /api/holidays
+// @access  Private
+const getHolidays = asyncHandler(async (req, res) => {
+  const { type, departmentId, year, active } = req.query;
+
+  const query = {};
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (active !== undefined) {
+    query.isActive = active === 'true';
+  }
+
+  // Institute-wide entries plus the department's own
+  if (departmentId) {
+    query.department = { $in: [null, departmentId] };
+  }
+
+  // Weekly offs always apply; closures are limited to the requested year
+  if (year) {
+    const yearStart = new Date(parseInt(year), 0, 1);
+    const yearEnd = new Date(parseInt(year), 11, 31, 23, 59, 59, 999);
+    query.$or = [
+      { type: 'weekly_off' },
+      { type: 'closure', startDate: { $lte: yearEnd }, endDate: { $gte: yearStart } },
+    ];
+  }
+
+  const holidays = await Holiday.find(query)
+    .populate('department', 'name code')
+    .populate('createdBy', 'name')
+    .sort({ type: -1, weekday: 1, startDate: 1 });
+
+  res.json(holidays);
+});
+
+// @desc    Update a holiday
+// @route   PUT /api/holidays/:id
+// @access  Private/Admin
+const updateHoliday = asyncHandler(async (req, res) => {
+  const holiday = await Holiday.findById(req.params.id);
+
+  if (!holiday) {
+    res.status(404);
+    throw new Error('Holiday not found');
+  }
+
+  HOLIDAY_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      holiday[field] = req.body[field] === '' ? null : req.body[field];
+    }
+  });
+
+  const updatedHoliday = await holiday.save();
+  await updatedHoliday.populate('department', 'name code');
+
+  res.json(updatedHoliday);
+});
+
+// @desc    Delete a holiday
+// @route   DELETE /api/holidays/:id
+// @access  Private/Admin
+const deleteHoliday = asyncHandler(async (req, res) => {
+  const holiday = await Holiday.findById(req.params.id);
+
+  if (!holiday) {
+    res.status(404);
+    throw new Error('Holiday not found');
+  }
+
+  await holiday.deleteOne();
+  res.json({ message: 'Holiday removed' });
+});
+
+// @desc    Get closed and working days for a period
+// @route   GET /api/holidays/calendar
+// @access  Private
+const getCalendar = asyncHandler(async (req, res) => {
+  const { startDate, endDate, batchId } = req.query;
+  let { departmentId } = req.query;
+
+  if (!startDate || !endDate) {
+    res.status(400);
+    throw new Error('Please provide start date and end date');
+  }
+
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+    res.status(400);
+    throw new Error('Invalid date range');
+  }
+
+  // A batch follows its course's department calendar
+  if (batchId) {
+    const batch = await Batch.findById(batchId).populate('course', 'department');
+    if (!batch) {
+      res.status(404);
+      throw new Error('Batch not found');
+    }
+    departmentId = await getBatchDepartmentId(batch);
+  }
+
+  const calendar = await getWorkingCalendar({ startDate: start, endDate: end, departmentId });
+  const closedDays = calendar.getClosedDays(start, end);
+  const totalDays = Math.round((end - start) / (1000 * 60 * 60 * 24));
+
+  res.json({
+    startDate: start,
+    endDate: end,
+    departmentId: departmentId || null,
+    totalDays,
+    workingDays: totalDays - closedDays.length,
+    closedDays,
+  });
+});
+
+module.exports = {
+  createHoliday,
+  getHolidays,
+  updateHoliday,
+  deleteHoliday,
+  getCalendar,
+};
@@ -2,6 +2,20 @@ const asyncHandler = require('express-async-handler');
 const PC = require('../models/pcModel');
 const Booking = require('../models/bookingModel');
 const LabInfo = require('../models/labInfoModel');
+const BookingSeries = require('../models/bookingSeriesModel');
+const Batch = require('../models/batchModel');
+const {
+  toMinutes,
+  formatSlotLabel,
+  getLabInfoDocument,
+  getTimeSlots,
+  validateTimeSlots
+} = require('../utils/timeSlots');
+const { checkBookingConflicts } = require('../utils/scheduleConflicts');
+const { findBlockingHold, releaseSeatHolds } = require('../utils/seatHolds');
+const { getNoShowWarning } = require('../utils/noShows');
+const { getUtilizationReport, getDefaultRange } = require('../utils/labUtilization');
+const labEventService = require('../services/labEventService');
 
 // @desc    Get all PCs
 // @route   GET /api/lab/pcs
@@ -47,7 +61,7 @@ const getPC = asyncHandler(async (req, res) => {
 // @route   POST /api/lab/pcs
 // @access  Private (Admin/Teacher)
 const createPC = asyncHandler(async (req, res) => {
-  const { pcNumber, row, position, specifications, notes } = req.body;
+  const { pcNumber, row, position, specifications, installedSoftware, notes } = req.body;
 
   // Check if PC number already exists
   const existingPC = await PC.findOne({ pcNumber });
@@ -61,6 +75,7 @@ const createPC = asyncHandler(async (req, res) => {
     row,
     position,
     specifications,
+    installedSoftware,
     notes
   });
 
@@ -336,6 +351,13 @@ const createBooking = asyncHandler(async (req, res) => {
     throw new Error(`PC ${pcExists.pcNumber} is already booked for ${timeSlot} on ${date}`);
   }
 
+  // Another user has the booking form for this PC open
+  const blockingHold = await findBlockingHold({ pc, date, timeSlot, userId: req.user._id });
+  if (blockingHold) {
+    res.status(409);
+    throw new Error(`PC ${pcExists.pcNumber} is being booked by ${blockingHold.heldByName || 'another user'}`);
+  }
+
   // Validate student if provided
   let studentRecord = null;
   if (student) {
@@ -405,18 +427,34 @@ const createBooking = asyncHandler(async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    // Emit lab availability update event (if using WebSocket or similar)
-    // This would be handled by your real-time service
-    console.log('🔄 Triggering lab availability update:', updateEvent);
+    // Open lab screens get the booking from the model hooks; the seat no
+    // longer needs to be held
+    await releaseSeatHolds({ pc, date, timeSlot });
+
+    // Capacity and timetable problems don't block the booking, they are reported
+    const { warnings } = await checkBookingConflicts({ date, timeSlot, batch: booking.batch });
+    const noShowWarning = await getNoShowWarning(booking.student);
+    if (noShowWarning) {
+      warnings.push(noShowWarning);
+    }
+    if (warnings.length > 0) {
+      console.log('⚠️ Booking conflicts:', warnings.map(warning => warning.message));
+    }
 
     res.status(201).json({
       success: true,
       message: `PC ${pcExists.pcNumber} booked successfully for ${studentName}`,
       booking: populatedBooking,
+      warnings,
       updateEvent
     });
   } catch (error) {
     console.error('❌ Error creating booking:', error);
+    // Lost a race with another booking for the same seat
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error(`PC ${pcExists.pcNumber} has just been booked for ${timeSlot} on ${date}`);
+    }
     res.status(500);
     throw new Error('Failed to create booking: ' + error.message);
   }
@@ -476,6 +514,14 @@ const deleteBooking = asyncHandler(async (req, res) => {
 
   await Booking.findByIdAndDelete(req.params.id);
 
+  // Keep the day out of its series so re-expanding does not bring it back
+  if (booking.series) {
+    await BookingSeries.updateOne(
+      { _id: booking.series },
+      { $addToSet: { exceptions: deletedBookingInfo.date } }
+    );
+  }
+
   // Trigger real-time update event
   const updateEvent = {
     type: 'booking_deleted',
@@ -636,39 +682,104 @@ const clearBookedSlotsBulk = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Stream live booking, PC status and seat hold changes
+// @route   GET /api/lab/events
+// @access  Private (Admin/Teacher)
+const streamLabEvents = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+
+  if (date && isNaN(new Date(date).getTime())) {
+    res.status(400);
+    throw new Error('Please provide a valid date');
+  }
+
+  labEventService.subscribe(req, res, {
+    date: date ? new Date(date).toISOString().split('T')[0] : null
+  });
+});
+
 // @desc    Get lab information
 // @route   GET /api/lab/info
 // @access  Private
 const getLabInfo = asyncHandler(async (req, res) => {
-  let labInfo = await LabInfo.findOne({});
-
-  if (!labInfo) {
-    // Create default lab info if none exists
-    labInfo = await LabInfo.create({
-      instituteName: 'CADD Centre',
-      labName: 'Computer Lab',
-      address: {
-        city: 'Your City',
-        state: 'Your State',
-        country: 'India'
-      },
-      contact: {
-        phone: '+91-XXXXXXXXXX',
-        email: 'info@caddcentre.com'
-      },
-      capacity: {
-        totalPCs: 0,
-        totalRows: 4
-      },
-      timeSlots: [
-        { name: 'Morning', startTime: '09:00', endTime: '12:00', duration: 180 },
-        { name: 'Afternoon', startTime: '13:00', endTime: '16:00', duration: 180 },
-        { name: 'Evening', startTime: '17:00', endTime: '20:00', duration: 180 }
-      ]
-    });
+  const labInfo = await getLabInfoDocument();
+  res.json(labInfo);
+});
+
+// @desc    Get institute time slots
+// @route   GET /api/lab/time-slots
+// @access  Private
+const getLabTimeSlots = asyncHandler(async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true';
+  res.json(await getTimeSlots({ includeInactive }));
+});
+
+// @desc    Replace the institute time slots
+// @route   PUT /api/lab/time-slots
+// @access  Private/Admin
+const updateLabTimeSlots = asyncHandler(async (req, res) => {
+  const { timeSlots } = req.body;
+
+  const error = validateTimeSlots(timeSlots);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
   }
 
-  res.json(labInfo);
+  const labInfo = await getLabInfoDocument();
+  const submittedIds = new Set(timeSlots.filter(slot => slot._id).map(slot => String(slot._id)));
+
+  // Slots still used by a batch can be retired but not deleted
+  const removed = labInfo.timeSlots.filter(slot => !submittedIds.has(slot._id.toString()));
+  for (const slot of removed) {
+    const batchCount = await Batch.countDocuments({ 'schedule.slot': slot._id });
+    if (batchCount > 0) {
+      res.status(400);
+      throw new Error(`"${slot.name}" is used by ${batchCount} batch${batchCount === 1 ? '' : 'es'}; mark it inactive instead`);
+    }
+  }
+
+  const previousLabels = new Map(labInfo.timeSlots.map(slot => [slot._id.toString(), formatSlotLabel(slot)]));
+
+  labInfo.timeSlots = timeSlots.map(slot => ({
+    ...(slot._id ? { _id: slot._id } : {}),
+    name: slot.name.trim(),
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    duration: toMinutes(slot.endTime) - toMinutes(slot.startTime),
+    isActive: slot.isActive !== false
+  }));
+  await labInfo.save();
+
+  // Batches and upcoming bookings store the slot label, so follow any time change
+  const today = new Date(new Date().toISOString().split('T')[0]);
+  const relabels = labInfo.timeSlots
+    .map(slot => ({
+      slot,
+      previousLabel: previousLabels.get(slot._id.toString()),
+      label: formatSlotLabel(slot),
+      // Unique placeholder, so slots that swap times do not merge into one label
+      tempLabel: `relabel:${slot._id}`
+    }))
+    .filter(({ previousLabel, label }) => previousLabel && previousLabel !== label);
+
+  const relabelBookings = (from, to) => Promise.all([
+    Booking.updateMany({ timeSlot: from, date: { $gte: today } }, { timeSlot: to }),
+    BookingSeries.updateMany({ timeSlot: from, status: 'active' }, { timeSlot: to })
+  ]);
+
+  // Move every changed slot to its placeholder before giving out new labels
+  for (const { previousLabel, tempLabel } of relabels) {
+    await relabelBookings(previousLabel, tempLabel);
+  }
+  for (const { slot, label, tempLabel } of relabels) {
+    await Promise.all([
+      Batch.updateMany({ 'schedule.slot': slot._id }, { timing: label }),
+      relabelBookings(tempLabel, label)
+    ]);
+  }
+
+  res.json(await getTimeSlots({ includeInactive: true }));
 });
 
 // @desc    Get lab overview statistics
@@ -701,6 +812,33 @@ const getOverviewStats = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Historical utilization by slot and weekday, row and PC
+// @route   GET /api/lab/stats/utilization
+// @access  Private/Teacher
+const getUtilizationStats = asyncHandler(async (req, res) => {
+  const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+  const defaults = getDefaultRange();
+  const fromKey = req.query.from || defaults.fromKey;
+  const toKey = req.query.to || defaults.toKey;
+
+  if (!DATE_KEY.test(fromKey) || !DATE_KEY.test(toKey) || isNaN(new Date(fromKey)) || isNaN(new Date(toKey))) {
+    res.status(400);
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  if (fromKey > toKey) {
+    res.status(400);
+    throw new Error('Start date must be before end date');
+  }
+
+  if ((new Date(toKey) - new Date(fromKey)) / (24 * 60 * 60 * 1000) > 366) {
+    res.status(400);
+    throw new Error('Please choose a period of at most one year');
+  }
+
+  res.json(await getUtilizationReport({ fromKey, toKey }));
+});
+
 module.exports = {
   getPCs,
   getPCsByRow,
@@ -720,6 +858,10 @@ module.exports = {
   getPreviousBookings,
   applyPreviousBookings,
   clearBookedSlotsBulk,
+  streamLabEvents,
   getLabInfo,
-  getOverviewStats
+  getLabTimeSlots,
+  updateLabTimeSlots,
+  getOverviewStats,
+  getUtilizationStats
 };
@@ -0,0 +1,304 @@
+const asyncHandler = require('express-async-handler');
+const LeaveRequest = require('../models/leaveRequestModel');
+const Attendance = require('../models/attendanceModel');
+const Student = require('../models/studentModel');
+const Batch = require('../models/batchModel');
+const { snapshot, recordAudit } = require('../utils/auditTrail');
+
+// Check whether the current user may review/manage leave for a batch
+const canManageBatch = (user, batch) =>
+  user.role === 'admin' ||
+  (user.role === 'teacher' && batch && batch.createdBy &&
+    batch.createdBy.toString() === user._id.toString());
+
+// Load a leave request and check the current user may access it
+const getAccessibleLeaveRequest = async (req, res) => {
+  const leaveRequest = await LeaveRequest.findById(req.params.id)
+    .populate('student', 'name rollNo studentId')
+    .populate('batch', 'name timing createdBy')
+    .populate('requestedBy', 'name role')
+    .populate('reviewedBy', 'name');
+
+  if (!leaveRequest) {
+    res.status(404);
+    throw new Error('Leave request not found');
+  }
+
+  if (req.user.role === 'student') {
+    if (leaveRequest.student._id.toString() !== req.student._id.toString()) {
+      res.status(403);
+      throw new Error('Not authorized to access this leave request');
+    }
+  } else if (!canManageBatch(req.user, leaveRequest.batch)) {
+    res.status(403);
+    throw new Error('Not authorized to access this leave request');
+  }
+
+  return leaveRequest;
+};
+
+// Record leave-driven attendance changes in the audit trail
+const auditLeaveChanges = (req, records, changes, reason) =>
+  Promise.all(records.map(record => recordAudit(req, {
+    entityType: 'attendance',
+    entity: record,
+    action: 'update',
+    before: snapshot(record, 'attendance'),
+    after: { ...snapshot(record, 'attendance'), ...changes },
+    student: record.student,
+    batch: record.batch,
+    sessionDate: record.date,
+    reason,
+  })));
+
+// Mark already-recorded absences in the leave range as excused
+const excuseRecordedAbsences = async (leaveRequest, req) => {
+  const filter = {
+    student: leaveRequest.student._id || leaveRequest.student,
+    date: { $gte: leaveRequest.startDate, $lte: leaveRequest.endDate },
+    status: 'absent',
+  };
+  const records = await Attendance.find(filter);
+  const result = await Attendance.updateMany(filter, { $set: { status: 'excused', leaveRequest: leaveRequest._id }, $inc: { version: 1 } });
+
+  await auditLeaveChanges(req, records, { status: 'excused', leaveRequest: leaveRequest._id.toString() }, 'Leave request approved');
+  return result;
+};
+
+// Revert sessions excused by this leave request back to absent
+const revertExcusedSessions = async (leaveRequest, req, reason) => {
+  const filter = { leaveRequest: leaveRequest._id, status: 'excused' };
+  const records = await Attendance.find(filter);
+  const result = await Attendance.updateMany(filter, { $set: { status: 'absent', leaveRequest: null }, $inc: { version: 1 } });
+
+  await auditLeaveChanges(req, records, { status: 'absent', leaveRequest: null }, reason);
+  return result;
+};
+
+// @desc    Create a leave request
+// @route   POST /api/leave-requests
+// @access  Private (Student for self, Teacher/Admin for their students)
+const createLeaveRequest = asyncHandler(async (req, res) => {
+  const { studentId, startDate, endDate, type, reason } = req.body;
+
+  if (!startDate || !endDate || !reason) {
+    res.status(400);
+    throw new Error('Please provide start date, end date and reason');
+  }
+
+  let student;
+  if (req.user.role === 'student') {
+    student = req.student;
+  } else {
+    if (!studentId) {
+      res.status(400);
+      throw new Error('Student ID is required');
+    }
+
+    student = await Student.findById(studentId);
+    if (!student) {
+      res.status(404);
+      throw new Error('Student not found');
+    }
+
+    const batch = await Batch.findById(student.batch).select('createdBy');
+    if (!canManageBatch(req.user, batch)) {
+      res.status(403);
+      throw new Error('Not authorized to create leave requests for this student');
+    }
+  }
+
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    res.status(400);
+    throw new Error('Invalid date range');
+  }
+
+  if (end < start) {
+    res.status(400);
+    throw new Error('End date cannot be before start date');
+  }
+
+  // Reject overlapping open requests for the same student
+  const overlapping = await LeaveRequest.findOne({
+    student: student._id,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  });
+
+  if (overlapping) {
+    res.status(400);
+    throw new Error('An existing leave request already covers part of this date range');
+  }
+
+  const leaveRequest = await LeaveRequest.create({
+    student: student._id,
+    batch: student.batch,
+    startDate: start,
+    endDate: end,
+    type,
+    reason,
+    requestedBy: req.user._id,
+  });
+
+  await leaveRequest.populate([
+    { path: 'student', select: 'name rollNo studentId' },
+    { path: 'batch', select: 'name timing' },
+  ]);
+
+  res.status(201).json(leaveRequest);
+});
+
+// @desc    Get leave requests
+// @route   GET /api/leave-requests
+// @access  Private (Student: own, Teacher: own batches, Admin: all)
+const getLeaveRequests = asyncHandler(async (req, res) => {
+  const { status, batchId, studentId, startDate, endDate } = req.query;
+
+  const query = {};
+
+  if (req.user.role === 'student') {
+    query.student = req.student._id;
+  } else {
+    if (req.user.role === 'teacher') {
+      const teacherBatches = await Batch.find({ createdBy: req.user._id }).select('_id');
+      const batchIds = teacherBatches.map(batch => batch._id.toString());
+
+      if (batchId && !batchIds.includes(batchId)) {
+        res.status(403);
+        throw new Error('Not authorized to view leave requests for this batch');
+      }
+
+      query.batch = batchId || { $in: batchIds };
+    } else if (batchId) {
+      query.batch = batchId;
+    }
+
+    if (studentId) {
+      query.student = studentId;
+    }
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  // Requests overlapping the given period
+  if (startDate) {
+    query.endDate = { $gte: new Date(startDate) };
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    query.startDate = { $lte: end };
+  }
+
+  const leaveRequests = await LeaveRequest.find(query)
+    .populate('student', 'name rollNo studentId')
+    .populate('batch', 'name timing')
+    .populate('requestedBy', 'name role')
+    .populate('reviewedBy', 'name')
+    .sort({ createdAt: -1 });
+
+  res.json(leaveRequests);
+});
+
+// @desc    Get a leave request
+// @route   GET /api/leave-requests/:id
+// @access  Private
+const getLeaveRequestById = asyncHandler(async (req, res) => {
+  const leaveRequest = await getAccessibleLeaveRequest(req, res);
+  res.json(leaveRequest);
+});
+
+// @desc    Approve or reject a leave request
+// @route   PUT /api/leave-requests/:id/review
+// @access  Private/Teacher
+const reviewLeaveRequest = asyncHandler(async (req, res) => {
+  const { status, reviewNotes } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    res.status(400);
+    throw new Error('Status must be either approved or rejected');
+  }
+
+  const leaveRequest = await getAccessibleLeaveRequest(req, res);
+
+  if (leaveRequest.status === 'cancelled') {
+    res.status(400);
+    throw new Error('Cannot review a cancelled leave request');
+  }
+
+  const previousStatus = leaveRequest.status;
+
+  leaveRequest.status = status;
+  leaveRequest.reviewNotes = reviewNotes;
+  leaveRequest.reviewedBy = req.user._id;
+  leaveRequest.reviewedAt = new Date();
+  await leaveRequest.save();
+
+  // Keep already-marked attendance in line with the decision
+  let attendanceUpdated = 0;
+  if (status === 'approved' && previousStatus !== 'approved') {
+    const result = await excuseRecordedAbsences(leaveRequest, req);
+    attendanceUpdated = result.modifiedCount;
+  } else if (status === 'rejected' && previousStatus === 'approved') {
+    const result = await revertExcusedSessions(leaveRequest, req, 'Leave request rejected');
+    attendanceUpdated = result.modifiedCount;
+  }
+
+  await leaveRequest.populate('reviewedBy', 'name');
+
+  res.json({
+    leaveRequest,
+    attendanceUpdated,
+    message: `Leave request ${status}`,
+  });
+});
+
+// @desc    Cancel a leave request
+// @route   PUT /api/leave-requests/:id/cancel
+// @access  Private (Student: own pending requests, Teacher/Admin)
+const cancelLeaveRequest = asyncHandler(async (req, res) => {
+  const leaveRequest = await getAccessibleLeaveRequest(req, res);
+
+  if (['cancelled', 'rejected'].includes(leaveRequest.status)) {
+    res.status(400);
+    throw new Error(`Leave request is already ${leaveRequest.status}`);
+  }
+
+  if (req.user.role === 'student' && leaveRequest.status !== 'pending') {
+    res.status(400);
+    throw new Error('Only pending leave requests can be cancelled');
+  }
+
+  const wasApproved = leaveRequest.status === 'approved';
+
+  leaveRequest.status = 'cancelled';
+  await leaveRequest.save();
+
+  let attendanceUpdated = 0;
+  if (wasApproved) {
+    const result = await revertExcusedSessions(leaveRequest, req, 'Leave request cancelled');
+    attendanceUpdated = result.modifiedCount;
+  }
+
+  res.json({
+    leaveRequest,
+    attendanceUpdated,
+    message: 'Leave request cancelled',
+  });
+});
+
+module.exports = {
+  createLeaveRequest,
+  getLeaveRequests,
+  getLeaveRequestById,
+  reviewLeaveRequest,
+  cancelLeaveRequest,
+};
@@ -0,0 +1,328 @@
+const asyncHandler = require('express-async-handler');
+const MaintenanceTicket = require('../models/maintenanceTicketModel');
+const PC = require('../models/pcModel');
+const Booking = require('../models/bookingModel');
+const User = require('../models/userModel');
+const {
+  generateTicketNumber,
+  getUpcomingBookings,
+  getReliabilityStats,
+} = require('../utils/maintenance');
+const { notifyTeachers } = require('../utils/teacherNotifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const populateTicket = (query) => query
+  .populate('pc', 'pcNumber row position status')
+  .populate('reportedBy', 'name')
+  .populate('assignedTo', 'name email')
+  .populate('closedBy', 'name');
+
+const sanitizeParts = (parts) => (Array.isArray(parts) ? parts : [])
+  .filter(part => part && String(part.name || '').trim())
+  .map(part => ({
+    name: String(part.name).trim(),
+    quantity: Math.max(parseInt(part.quantity, 10) || 1, 1),
+    notes: part.notes ? String(part.notes).trim() : undefined,
+  }));
+
+const validateAssignee = async (assignedTo, res) => {
+  if (!assignedTo) return null;
+  const assignee = await User.findOne({ _id: assignedTo, role: { $in: ['teacher', 'admin'] } }).select('_id');
+  if (!assignee) {
+    res.status(400);
+    throw new Error('Tickets can only be assigned to a teacher or admin');
+  }
+  return assignee._id;
+};
+
+const formatBookingLine = (booking) => {
+  const day = new Date(booking.date).toLocaleDateString('en-IN', {
+    weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC',
+  });
+  return `• ${day}, ${booking.timeSlot} – ${booking.studentName}`;
+};
+
+// One notice per teacher listing only their own bookings
+const notifyAffectedTeachers = async ({ ticket, pc, bookings, cancelled, user }) => {
+  const byTeacher = new Map();
+  bookings.forEach(booking => {
+    if (!booking.teacher) return;
+    const key = booking.teacher.toString();
+    if (!byTeacher.has(key)) byTeacher.set(key, []);
+    byTeacher.get(key).push(booking);
+  });
+
+  const results = await Promise.all([...byTeacher.entries()].map(async ([teacherId, teacherBookings]) => {
+    try {
+      const lines = teacherBookings.map(formatBookingLine).join('\n');
+      const message = cancelled
+        ? `PC ${pc.pcNumber} is under maintenance (${ticket.ticketNumber}: ${ticket.issue}). ` +
+          `The following bookings have been cancelled, please move these students to another PC:\n${lines}`
+        : `PC ${pc.pcNumber} is under maintenance (${ticket.ticketNumber}: ${ticket.issue}). ` +
+          `The following bookings are kept but the PC may not be ready in time:\n${lines}`;
+
+      return await notifyTeachers({
+        teacherIds: [teacherId],
+        title: cancelled
+          ? `PC ${pc.pcNumber} bookings cancelled for maintenance`
+          : `PC ${pc.pcNumber} under maintenance`,
+        message,
+        type: 'warning',
+        priority: cancelled ? 'high' : 'medium',
+        createdBy: user._id,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to notify teacher ${teacherId} about ${ticket.ticketNumber}:`, error.message);
+      return null;
+    }
+  }));
+
+  return results.filter(Boolean).length;
+};
+
+// @desc    Get maintenance tickets
+// @route   GET /api/lab/maintenance/tickets
+// @access  Private/Teacher
+const getTickets = asyncHandler(async (req, res) => {
+  const { pc, status, assignedTo } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (pc) query.pc = pc;
+  if (assignedTo) query.assignedTo = assignedTo;
+  if (status === 'active') {
+    query.status = { $ne: 'closed' };
+  } else if (status) {
+    query.status = status;
+  }
+
+  const [items, total] = await Promise.all([
+    populateTicket(MaintenanceTicket.find(query))
+      .sort({ openedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    MaintenanceTicket.countDocuments(query),
+  ]);
+
+  res.json({
+    items,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  });
+});
+
+// @desc    Get a maintenance ticket
+// @route   GET /api/lab/maintenance/tickets/:id
+// @access  Private/Teacher
+const getTicket = asyncHandler(async (req, res) => {
+  const ticket = await populateTicket(MaintenanceTicket.findById(req.params.id))
+    .populate('affectedBookings.teacher', 'name');
+
+  if (!ticket) {
+    res.status(404);
+    throw new Error('Maintenance ticket not found');
+  }
+
+  res.json(ticket);
+});
+
+// @desc    Preview the upcoming bookings a ticket would affect
+// @route   GET /api/lab/maintenance/pcs/:id/upcoming-bookings
+// @access  Private/Teacher
+const getPCUpcomingBookings = asyncHandler(async (req, res) => {
+  const pc = await PC.findById(req.params.id).select('pcNumber status');
+  if (!pc) {
+    res.status(404);
+    throw new Error('PC not found');
+  }
+
+  const openTicket = await MaintenanceTicket.findOne({ pc: pc._id, status: { $ne: 'closed' } })
+    .select('ticketNumber');
+
+  res.json({
+    pc,
+    openTicket,
+    bookings: await getUpcomingBookings(pc._id),
+  });
+});
+
+// @desc    Open a maintenance ticket and take the PC out of service
+// @route   POST /api/lab/maintenance/tickets
+// @access  Private/Teacher
+const createTicket = asyncHandler(async (req, res) => {
+  const { pc: pcId, issue, category, priority, assignedTo, bookingAction = 'cancel' } = req.body;
+
+  if (!pcId || !issue || !String(issue).trim()) {
+    res.status(400);
+    throw new Error('Please select a PC and describe the issue');
+  }
+
+  if (!['cancel', 'keep'].includes(bookingAction)) {
+    res.status(400);
+    throw new Error('Booking action must be cancel or keep');
+  }
+
+  const pc = await PC.findById(pcId);
+  if (!pc) {
+    res.status(404);
+    throw new Error('PC not found');
+  }
+
+  const openTicket = await MaintenanceTicket.findOne({ pc: pc._id, status: { $ne: 'closed' } })
+    .select('ticketNumber');
+  if (openTicket) {
+    res.status(400);
+    throw new Error(`PC ${pc.pcNumber} already has an open ticket (${openTicket.ticketNumber})`);
+  }
+
+  const assignee = await validateAssignee(assignedTo, res);
+  const bookings = await getUpcomingBookings(pc._id);
+  const cancel = bookingAction === 'cancel';
+
+  const ticket = await MaintenanceTicket.create({
+    ticketNumber: await generateTicketNumber(),
+    pc: pc._id,
+    issue,
+    category,
+    priority,
+    reportedBy: req.user._id,
+    assignedTo: assignee,
+    previousPcStatus: pc.status,
+    bookingAction,
+    affectedBookings: bookings.map(booking => ({
+      booking: booking.booking,
+      date: booking.date,
+      timeSlot: booking.timeSlot,
+      studentName: booking.studentName,
+      teacher: booking.teacher,
+      cancelled: cancel,
+    })),
+  });
+
+  if (cancel && bookings.length > 0) {
+    await Booking.updateMany(
+      { _id: { $in: bookings.map(booking => booking.booking) }, status: 'booked' },
+      { $set: { status: 'cancelled', notes: `Cancelled for maintenance (${ticket.ticketNumber})` } }
+    );
+  }
+
+  if (pc.status !== 'maintenance') {
+    pc.status = 'maintenance';
+    await pc.save();
+  }
+
+  const teachersNotified = await notifyAffectedTeachers({ ticket, pc, bookings, cancelled: cancel, user: req.user });
+
+  console.log(`🔧 ${ticket.ticketNumber} opened for PC ${pc.pcNumber} (${bookings.length} upcoming bookings, ${bookingAction})`);
+
+  res.status(201).json({
+    ticket: await populateTicket(MaintenanceTicket.findById(ticket._id)),
+    bookingsAffected: bookings.length,
+    bookingsCancelled: cancel ? bookings.length : 0,
+    teachersNotified,
+  });
+});
+
+// @desc    Update a maintenance ticket (assignee, progress, parts)
+// @route   PUT /api/lab/maintenance/tickets/:id
+// @access  Private/Teacher
+const updateTicket = asyncHandler(async (req, res) => {
+  const ticket = await MaintenanceTicket.findById(req.params.id);
+
+  if (!ticket) {
+    res.status(404);
+    throw new Error('Maintenance ticket not found');
+  }
+
+  if (ticket.status === 'closed') {
+    res.status(400);
+    throw new Error('Closed tickets cannot be edited');
+  }
+
+  const { issue, category, priority, status, assignedTo, partsReplaced } = req.body;
+
+  if (status && !['open', 'in-progress'].includes(status)) {
+    res.status(400);
+    throw new Error('Use the close action to close a ticket');
+  }
+
+  if (issue !== undefined) ticket.issue = issue;
+  if (category) ticket.category = category;
+  if (priority) ticket.priority = priority;
+  if (status) ticket.status = status;
+  if (assignedTo !== undefined) ticket.assignedTo = await validateAssignee(assignedTo, res);
+  if (partsReplaced !== undefined) ticket.partsReplaced = sanitizeParts(partsReplaced);
+
+  await ticket.save();
+
+  res.json(await populateTicket(MaintenanceTicket.findById(ticket._id)));
+});
+
+// @desc    Close a maintenance ticket and return the PC to service
+// @route   PUT /api/lab/maintenance/tickets/:id/close
+// @access  Private/Teacher
+const closeTicket = asyncHandler(async (req, res) => {
+  const ticket = await MaintenanceTicket.findById(req.params.id);
+
+  if (!ticket) {
+    res.status(404);
+    throw new Error('Maintenance ticket not found');
+  }
+
+  if (ticket.status === 'closed') {
+    res.status(400);
+    throw new Error('Ticket is already closed');
+  }
+
+  const { resolution, partsReplaced } = req.body;
+  if (!resolution || !String(resolution).trim()) {
+    res.status(400);
+    throw new Error('Please describe the resolution');
+  }
+
+  ticket.status = 'closed';
+  ticket.resolution = resolution;
+  ticket.closedAt = new Date();
+  ticket.closedBy = req.user._id;
+  if (partsReplaced !== undefined) ticket.partsReplaced = sanitizeParts(partsReplaced);
+  await ticket.save();
+
+  // Only bring the PC back once no other ticket keeps it down
+  const pc = await PC.findById(ticket.pc);
+  const stillOpen = await MaintenanceTicket.exists({ pc: ticket.pc, status: { $ne: 'closed' } });
+  if (pc && !stillOpen) {
+    pc.status = ticket.previousPcStatus === 'inactive' ? 'inactive' : 'active';
+    pc.lastMaintenance = ticket.closedAt;
+    await pc.save();
+  }
+
+  console.log(`✅ ${ticket.ticketNumber} closed for PC ${pc?.pcNumber || ticket.pc}`);
+
+  res.json(await populateTicket(MaintenanceTicket.findById(ticket._id)));
+});
+
+// @desc    Per-PC downtime, MTBF and MTTR
+// @route   GET /api/lab/maintenance/stats
+// @access  Private/Teacher
+const getMaintenanceStats = asyncHandler(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 90 * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    res.status(400);
+    throw new Error('Please provide a valid date range');
+  }
+
+  res.json(await getReliabilityStats({ from, to }));
+});
+
+module.exports = {
+  getTickets,
+  getTicket,
+  getPCUpcomingBookings,
+  createTicket,
+  updateTicket,
+  closeTicket,
+  getMaintenanceStats,
+};
@@ -0,0 +1,53 @@
+const asyncHandler = require('express-async-handler');
+const noShowService = require('../services/noShowService');
+const { getNoShowReport } = require('../utils/noShows');
+const { getSetting } = require('../utils/systemSettings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    No-show rates per student and batch, and wasted seat-hours
+// @route   GET /api/lab/no-shows
+// @access  Private/Admin
+const getNoShows = asyncHandler(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    res.status(400);
+    throw new Error('Please provide a valid date range');
+  }
+
+  const [report, threshold, windowDays] = await Promise.all([
+    getNoShowReport({ from, to, batch: req.query.batch }),
+    getSetting('lab', 'noShowPriorityThreshold'),
+    getSetting('lab', 'noShowWindowDays'),
+  ]);
+
+  res.json({
+    ...report,
+    priorityRule: { threshold, windowDays },
+    service: noShowService.getStatus(),
+  });
+});
+
+// @desc    Reconcile finished bookings with attendance now
+// @route   POST /api/lab/no-shows/reconcile
+// @access  Private/Admin
+const runReconciliation = asyncHandler(async (req, res) => {
+  const result = await noShowService.run();
+
+  if (!result) {
+    res.status(500);
+    throw new Error('Reconciliation failed, please try again');
+  }
+
+  res.json({
+    message: `Reconciled ${result.checked} bookings`,
+    ...result,
+  });
+});
+
+module.exports = {
+  getNoShows,
+  runReconciliation,
+};
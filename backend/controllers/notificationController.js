@@ -1,10 +1,12 @@
 const asyncHandler = require('express-async-handler')
 const Notification = require('../models/notificationModel')
-const User = require('../models/userModel')
-const Department = require('../models/departmentModel')
-const emailService = require('../utils/emailService')
+const {
+  schedulePublish,
+  cancelNotificationJobs,
+  validateNotificationDelivery
+} = require('../utils/notificationDelivery')
 
-// @desc    Create and send notification to teachers
+// @desc    Create a notification, sent now, at a set time or on a repeat schedule
 // @route   POST /api/notifications
 // @access  Private/Admin
 const createNotification = asyncHandler(async (req, res) => {
@@ -13,9 +15,6 @@ const createNotification = asyncHandler(async (req, res) => {
     message,
     type = 'info',
     priority = 'medium',
-    targetAudience = 'all_teachers',
-    targetTeachers = [],
-    targetDepartment,
     sendEmail = true
   } = req.body
 
@@ -36,145 +35,57 @@ const createNotification = asyncHandler(async (req, res) => {
     throw new Error('Message must be 2000 characters or less')
   }
 
-  try {
-    // Create notification
-    const notification = await Notification.create({
-      title: title.trim(),
-      message: message.trim(),
-      type,
-      priority,
-      targetAudience,
-      targetTeachers: targetAudience === 'specific_teachers' ? targetTeachers : [],
-      targetDepartment: targetAudience === 'department' ? targetDepartment : null,
-      createdBy: req.user._id
-    })
-
-    // Populate the created notification
-    await notification.populate('createdBy', 'name email')
-    await notification.populate('targetDepartment', 'name')
-
-    // Get target teachers for email
-    let teachersToNotify = []
-    
-    if (targetAudience === 'all_teachers') {
-      teachersToNotify = await User.find({ 
-        role: 'teacher', 
-        active: true 
-      }).select('name email')
-    } else if (targetAudience === 'specific_teachers') {
-      teachersToNotify = await User.find({ 
-        _id: { $in: targetTeachers },
-        role: 'teacher', 
-        active: true 
-      }).select('name email')
-    } else if (targetAudience === 'department' && targetDepartment) {
-      teachersToNotify = await User.find({ 
-        role: 'teacher', 
-        department: targetDepartment,
-        active: true 
-      }).select('name email')
-    }
-
-    console.log(`📢 Notification created: "${title}" for ${teachersToNotify.length} teachers`)
+  const { data, errors } = await validateNotificationDelivery(req.body)
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', errors })
+  }
 
-    // Send emails if requested
-    let emailResults = []
-    if (sendEmail && teachersToNotify.length > 0) {
-      console.log(`📧 Sending notification emails to ${teachersToNotify.length} teachers...`)
-      
-      try {
-        const emailPromises = teachersToNotify.map(async (teacher) => {
-          try {
-            const emailResult = await emailService.sendNotificationEmail({
-              teacher: {
-                name: teacher.name,
-                email: teacher.email
-              },
-              notification: {
-                title: notification.title,
-                message: notification.message,
-                type: notification.type,
-                priority: notification.priority,
-                createdBy: notification.createdBy.name,
-                createdAt: notification.createdAt
-              }
-            })
-            
-            return {
-              email: teacher.email,
-              name: teacher.name,
-              status: emailResult.success ? 'sent' : 'failed'
-            }
-          } catch (error) {
-            console.error(`Failed to send email to ${teacher.email}:`, error)
-            return {
-              email: teacher.email,
-              name: teacher.name,
-              status: 'failed'
-            }
-          }
-        })
+  const notification = await Notification.create({
+    title: title.trim(),
+    message: message.trim(),
+    type,
+    priority,
+    sendEmail: Boolean(sendEmail),
+    ...data,
+    status: 'scheduled',
+    createdBy: req.user._id
+  })
 
-        emailResults = await Promise.all(emailPromises)
-        
-        // Update notification with email results
-        notification.emailSent = emailResults.some(result => result.status === 'sent')
-        notification.emailSentAt = new Date()
-        notification.emailRecipients = emailResults
-        await notification.save()
+  // Delivery happens in the job queue, right away when it is due now
+  await schedulePublish(notification)
 
-        const successCount = emailResults.filter(result => result.status === 'sent').length
-        const failCount = emailResults.filter(result => result.status === 'failed').length
-        
-        console.log(`📧 Email results: ${successCount} sent, ${failCount} failed`)
-        
-      } catch (error) {
-        console.error('Error sending notification emails:', error)
-      }
-    }
+  await notification.populate('createdBy', 'name email')
+  await notification.populate('targetDepartment', 'name')
 
-    res.status(201).json({
-      success: true,
-      message: 'Notification created successfully',
-      notification: {
-        _id: notification._id,
-        title: notification.title,
-        message: notification.message,
-        type: notification.type,
-        priority: notification.priority,
-        targetAudience: notification.targetAudience,
-        createdBy: notification.createdBy,
-        createdAt: notification.createdAt,
-        emailSent: notification.emailSent,
-        emailSentAt: notification.emailSentAt
-      },
-      emailResults: {
-        total: teachersToNotify.length,
-        sent: emailResults.filter(r => r.status === 'sent').length,
-        failed: emailResults.filter(r => r.status === 'failed').length
-      }
-    })
+  const sendsNow = !notification.recurrence && notification.scheduledFor <= new Date()
+  console.log(`📢 Notification queued: "${notification.title}" for ${notification.scheduledFor.toISOString()}`)
 
-  } catch (error) {
-    console.error('Error creating notification:', error)
-    res.status(500)
-    throw new Error('Failed to create notification')
-  }
+  res.status(201).json({
+    success: true,
+    message: notification.recurrence
+      ? 'Recurring reminder scheduled'
+      : sendsNow ? 'Notification queued for delivery' : 'Notification scheduled',
+    notification
+  })
 })
 
 // @desc    Get all notifications (Admin view)
 // @route   GET /api/notifications
 // @access  Private/Admin
 const getNotifications = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, type, priority } = req.query
+  const { page = 1, limit = 20, type, priority, status } = req.query
 
   const filter = { active: true }
   if (type) filter.type = type
   if (priority) filter.priority = priority
+  if (status) filter.status = status
 
   const notifications = await Notification.find(filter)
     .populate('createdBy', 'name email')
     .populate('targetDepartment', 'name')
+    .populate('targetBatch', 'name')
+    .populate('targetCourse', 'name')
+    .populate('parent', 'title')
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit)
@@ -238,7 +149,7 @@ const markNotificationAsRead = asyncHandler(async (req, res) => {
   })
 })
 
-// @desc    Delete notification (Admin only)
+// @desc    Delete notification, or cancel a scheduled one (Admin only)
 // @route   DELETE /api/notifications/:id
 // @access  Private/Admin
 const deleteNotification = asyncHandler(async (req, res) => {
@@ -249,9 +160,13 @@ const deleteNotification = asyncHandler(async (req, res) => {
     throw new Error('Notification not found')
   }
 
-  // Soft delete by setting active to false
+  // Soft delete by setting active to false; anything still to be sent is called off
   notification.active = false
+  if (notification.status === 'scheduled') {
+    notification.status = 'cancelled'
+  }
   await notification.save()
+  await cancelNotificationJobs(notification._id)
 
   res.json({
     success: true,
@@ -264,7 +179,7 @@ const deleteNotification = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const getNotificationStats = asyncHandler(async (req, res) => {
   const stats = await Notification.aggregate([
-    { $match: { active: true } },
+    { $match: { active: true, status: 'sent' } },
     {
       $group: {
         _id: null,
@@ -0,0 +1,173 @@
+const asyncHandler = require('express-async-handler');
+const Batch = require('../models/batchModel');
+const Booking = require('../models/bookingModel');
+const PC = require('../models/pcModel');
+const Student = require('../models/studentModel');
+const {
+  getCourseRequirements,
+  checkPcCompatibility,
+  getDayRange,
+  buildAllocationPlan,
+} = require('../utils/pcAllocation');
+const { checkBookingConflicts } = require('../utils/scheduleConflicts');
+const { getActiveHolds } = require('../utils/seatHolds');
+
+// Load the batch being seated, with the course details allocation depends on
+const getAllocationBatch = async (req, res) => {
+  const { batch: batchId, date, timeSlot } = req.body;
+
+  if (!batchId || !date || !timeSlot) {
+    res.status(400);
+    throw new Error('Missing required fields: batch, date and timeSlot are required');
+  }
+
+  if (isNaN(new Date(date).getTime())) {
+    res.status(400);
+    throw new Error('Please provide a valid date');
+  }
+
+  const batch = await Batch.findById(batchId)
+    .populate('course', 'name software labRequirements');
+
+  if (!batch) {
+    res.status(404);
+    throw new Error('Batch not found');
+  }
+
+  if (req.user.role !== 'admin' && batch.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to allocate PCs for this batch');
+  }
+
+  return batch;
+};
+
+// @desc    Preview a seating plan for a whole batch in a time slot
+// @route   POST /api/lab/allocations/preview
+// @access  Private/Teacher
+const previewAllocation = asyncHandler(async (req, res) => {
+  const batch = await getAllocationBatch(req, res);
+  const plan = await buildAllocationPlan({
+    batch,
+    date: req.body.date,
+    timeSlot: req.body.timeSlot,
+  });
+
+  res.json({
+    batch: { _id: batch._id, name: batch.name, course: batch.course?.name },
+    ...plan,
+  });
+});
+
+// @desc    Book the seats of a (previewed) seating plan
+// @route   POST /api/lab/allocations
+// @access  Private/Teacher
+const commitAllocation = asyncHandler(async (req, res) => {
+  const batch = await getAllocationBatch(req, res);
+  const { date, timeSlot, seats } = req.body;
+
+  if (!Array.isArray(seats) || seats.length === 0) {
+    res.status(400);
+    throw new Error('The seating plan has no seats to book');
+  }
+
+  // The plan may be stale by now, so every seat is checked again
+  const requirements = getCourseRequirements(batch.course);
+  const [pcs, students, bookings, holds] = await Promise.all([
+    PC.find({ _id: { $in: seats.map(seat => seat.pc) } }),
+    Student.find({ _id: { $in: seats.map(seat => seat.student) }, batch: batch._id, isActive: true })
+      .select('name'),
+    Booking.find({ date: getDayRange(date), timeSlot, status: { $ne: 'cancelled' } })
+      .select('pc student'),
+    getActiveHolds({ date, timeSlot }),
+  ]);
+
+  const pcById = new Map(pcs.map(pc => [pc._id.toString(), pc]));
+  const studentById = new Map(students.map(student => [student._id.toString(), student]));
+  const takenPcs = new Set(bookings.map(booking => booking.pc.toString()));
+  const seatedStudents = new Set(bookings.filter(booking => booking.student).map(booking => booking.student.toString()));
+  // Seats another user is booking right now
+  const heldPcs = new Map(holds
+    .filter(hold => hold.heldBy.toString() !== req.user._id.toString())
+    .map(hold => [hold.pc.toString(), hold]));
+
+  const created = [];
+  const failed = [];
+
+  for (const seat of seats) {
+    const pc = pcById.get(String(seat.pc));
+    const student = studentById.get(String(seat.student));
+    const fail = (reason) => failed.push({
+      student: student ? { _id: student._id, name: student.name } : { _id: seat.student },
+      pc: pc ? { _id: pc._id, pcNumber: pc.pcNumber } : { _id: seat.pc },
+      reason,
+    });
+
+    let problem = null;
+    if (!student) {
+      problem = 'Student is not an active member of this batch';
+    } else if (!pc || !pc.isActive) {
+      problem = 'PC not found';
+    } else if (pc.status !== 'active') {
+      problem = `PC ${pc.pcNumber} is ${pc.status}`;
+    } else if (takenPcs.has(pc._id.toString())) {
+      problem = `PC ${pc.pcNumber} has been booked meanwhile`;
+    } else if (heldPcs.has(pc._id.toString())) {
+      problem = `PC ${pc.pcNumber} is being booked by ${heldPcs.get(pc._id.toString()).heldByName || 'another user'}`;
+    } else if (seatedStudents.has(student._id.toString())) {
+      problem = `${student.name} already has a PC in this slot`;
+    } else {
+      const { problems } = checkPcCompatibility(pc, requirements);
+      if (problems.length > 0) problem = problems.join('; ');
+    }
+
+    if (problem) {
+      fail(problem);
+      continue;
+    }
+
+    try {
+      const bookingDate = new Date(new Date(date).toISOString().split('T')[0]);
+      // A cancelled booking still occupies the unique pc/date/slot index
+      await Booking.deleteOne({ pc: pc._id, date: bookingDate, timeSlot, status: 'cancelled' });
+
+      const booking = await Booking.create({
+        pc: pc._id,
+        date: bookingDate,
+        timeSlot,
+        bookedFor: student.name,
+        student: student._id,
+        studentName: student.name,
+        teacherName: req.user.name || 'Unknown Teacher',
+        batch: batch._id,
+        purpose: 'Lab Session',
+        notes: 'Allocated with batch seating plan',
+        bookedBy: req.user._id,
+      });
+      takenPcs.add(pc._id.toString());
+      seatedStudents.add(student._id.toString());
+      created.push({
+        booking: booking._id,
+        student: { _id: student._id, name: student.name },
+        pc: { _id: pc._id, pcNumber: pc.pcNumber, row: pc.row, position: pc.position },
+      });
+    } catch (error) {
+      fail(error.code === 11000 ? `PC ${pc.pcNumber} has been booked meanwhile` : error.message);
+    }
+  }
+
+  const { warnings } = await checkBookingConflicts({ date, timeSlot, batch: batch._id });
+
+  res.status(created.length > 0 ? 201 : 200).json({
+    message: `${created.length} PC${created.length === 1 ? '' : 's'} booked for ${batch.name}` +
+      (failed.length ? `, ${failed.length} could not be booked` : ''),
+    created,
+    failed,
+    warnings,
+  });
+});
+
+module.exports = {
+  previewAllocation,
+  commitAllocation,
+};
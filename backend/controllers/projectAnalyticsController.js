@@ -4,6 +4,7 @@ const ProjectSubmission = require('../models/projectSubmissionModel');
 const Project = require('../models/projectModel');
 const Student = require('../models/studentModel');
 const Batch = require('../models/batchModel');
+const { COUNTED_FILTER } = require('../utils/submissionVersions');
 
 // @desc    Get project analytics
 // @route   GET /api/projects/:id/analytics
@@ -130,10 +131,10 @@ const getStudentProjectPerformance = asyncHandler(async (req, res) => {
     throw new Error('Student not found');
   }
   
-  // Get all submissions by this student
+  // Get all submissions by this student (the counted version of each)
   const submissions = await ProjectSubmission.find({
     student: studentId,
-    isActive: true
+    ...COUNTED_FILTER
   })
     .populate('project', 'title deadlineDate maxScore assignedDate')
     .populate('gradedBy', 'name email')
@@ -173,7 +174,7 @@ const getStudentProjectPerformance = asyncHandler(async (req, res) => {
     const projectSubmissions = await ProjectSubmission.find({
       project: submission.project._id,
       finalScore: { $ne: null },
-      isActive: true
+      ...COUNTED_FILTER
     }).countDocuments();
     
     projectRanks.push({
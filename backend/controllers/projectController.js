@@ -3,17 +3,35 @@ const mongoose = require('mongoose');
 const Project = require('../models/projectModel');
 const ProjectSubmission = require('../models/projectSubmissionModel');
 const ProjectAnalytics = require('../models/projectAnalyticsModel');
+const ProjectTeam = require('../models/projectTeamModel');
 const Batch = require('../models/batchModel');
 const Student = require('../models/studentModel');
 const Attendance = require('../models/attendanceModel');
+const { getExcusedPolicy, summarizeAttendance } = require('../utils/attendancePolicy');
+const { snapshot, recordAudit } = require('../utils/auditTrail');
+const { buildRubric, scoreRubric } = require('../utils/rubrics');
+const { buildPolicy, evaluateTiming, getEffectiveDeadline, calculateFinalScore } = require('../utils/submissionPolicy');
+const { LATEST_FILTER, getCountedVersion, getVersionHistory, updateProjectRankings } = require('../utils/submissionVersions');
+const {
+  isTeamProject,
+  buildTeamSettings,
+  findStudentTeam,
+  getTeamCopies,
+  getPeerAdjustments,
+  applyPeerAdjustment
+} = require('../utils/projectTeams');
+const { storeUploads, openFile, fileExists, contentDisposition, getSignedDownloadUrl, verifyToken, getStorage } = require('../utils/fileStorage');
+const { parseStatusFilter, sanitizeName, streamSubmissionArchive } = require('../utils/submissionArchive');
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
 
-// Configure multer for file uploads
+// Uploads land in a temp directory and are then moved to the configured
+// storage (see utils/fileStorage)
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/projects');
+    const uploadPath = path.join(os.tmpdir(), 'cdc-uploads');
     try {
       await fs.mkdir(uploadPath, { recursive: true });
       cb(null, uploadPath);
@@ -159,10 +177,10 @@ const getProject = asyncHandler(async (req, res) => {
     .populate('assignedBy', 'name email')
     .populate({
       path: 'submissions',
-      populate: {
-        path: 'student',
-        select: 'name rollNo email studentId'
-      }
+      populate: [
+        { path: 'student', select: 'name rollNo email studentId' },
+        { path: 'files.uploadedBy', select: 'name' }
+      ]
     });
   
   if (!project) {
@@ -180,6 +198,32 @@ const getProject = asyncHandler(async (req, res) => {
       res.status(403);
       throw new Error('Not authorized to access this project');
     }
+  } else if (req.user.role === 'student') {
+    // Students can only access projects for their own batch, and only see their own submission
+    if (!project.batch || !req.student.batch || project.batch._id.toString() !== req.student.batch.toString()) {
+      res.status(403);
+      throw new Error('Not authorized to access this project');
+    }
+
+    const projectData = project.toObject();
+    projectData.submissions = (projectData.submissions || []).filter(
+      sub => sub.student && sub.student._id.toString() === req.student._id.toString()
+    );
+
+    // Only the student's own extension, and the deadline that applies to them
+    const { deadline, extension } = getEffectiveDeadline(project, req.student._id);
+    projectData.extensions = extension ? [extension.toObject()] : [];
+    projectData.myDeadline = {
+      deadline,
+      extended: !!extension,
+      closesAt: evaluateTiming(project, req.student._id).closesAt
+    };
+
+    if (isTeamProject(project)) {
+      projectData.myTeam = await findStudentTeam(project._id, req.student._id)
+        .populate('members', 'name rollNo studentId');
+    }
+    return res.json(projectData);
   }
   
   res.json(project);
@@ -205,7 +249,10 @@ const createProject = asyncHandler(async (req, res) => {
     maxScore,
     weightage,
     instructions,
-    resources
+    resources,
+    rubric,
+    submissionPolicy,
+    teamSettings
   } = req.body;
 
   // Validate required fields
@@ -234,6 +281,24 @@ const createProject = asyncHandler(async (req, res) => {
     res.status(403);
     throw new Error('Not authorized to assign project to this batch');
   }
+
+  const grading = buildRubric(rubric, requirements);
+  if (grading.error) {
+    res.status(400);
+    throw new Error(grading.error);
+  }
+
+  const timing = buildPolicy(submissionPolicy);
+  if (timing.error) {
+    res.status(400);
+    throw new Error(timing.error);
+  }
+
+  const teams = buildTeamSettings(teamSettings);
+  if (teams.error) {
+    res.status(400);
+    throw new Error(teams.error);
+  }
   
   const project = await Project.create({
     title,
@@ -242,9 +307,12 @@ const createProject = asyncHandler(async (req, res) => {
     course: projectCourse,
     assignedDate: assignedDate || new Date(),
     deadlineDate,
-    requirements: requirements || [],
+    requirements: grading.requirements,
     deliverables: deliverables || [],
     maxScore: maxScore || 100,
+    rubric: grading.rubric,
+    submissionPolicy: timing.policy,
+    teamSettings: teams.teamSettings,
     weightage: weightage || {
       projectScore: 70,
       attendanceScore: 20,
@@ -290,9 +358,15 @@ const updateProject = asyncHandler(async (req, res) => {
   }
   
   // Prevent updating if submissions exist (except for score and feedback)
-  const submissionCount = await ProjectSubmission.countDocuments({ project: req.params.id });
+  const submissionCount = await ProjectSubmission.countDocuments({ project: req.params.id, ...LATEST_FILTER });
   if (submissionCount > 0) {
     const allowedFields = ['instructions', 'resources', 'status'];
+
+    // The rubric can still change until the first submission is graded
+    const gradedCount = await ProjectSubmission.countDocuments({ project: req.params.id, status: 'graded', isActive: true });
+    if (gradedCount === 0) {
+      allowedFields.push('rubric');
+    }
     const updateFields = Object.keys(req.body);
     const hasRestrictedFields = updateFields.some(field => !allowedFields.includes(field));
     
@@ -301,10 +375,42 @@ const updateProject = asyncHandler(async (req, res) => {
       throw new Error('Cannot modify project details after submissions have been made');
     }
   }
+
+  const updates = { ...req.body };
+  if (updates.rubric !== undefined || updates.requirements !== undefined) {
+    const grading = buildRubric(
+      updates.rubric !== undefined ? updates.rubric : project.rubric.map(criterion => criterion.toObject()),
+      updates.requirements !== undefined ? updates.requirements : project.requirements.map(requirement => requirement.toObject())
+    );
+    if (grading.error) {
+      res.status(400);
+      throw new Error(grading.error);
+    }
+    updates.rubric = grading.rubric;
+    updates.requirements = grading.requirements;
+  }
+
+  if (updates.submissionPolicy !== undefined) {
+    const timing = buildPolicy(updates.submissionPolicy);
+    if (timing.error) {
+      res.status(400);
+      throw new Error(timing.error);
+    }
+    updates.submissionPolicy = timing.policy;
+  }
+
+  if (updates.teamSettings !== undefined) {
+    const teams = buildTeamSettings(updates.teamSettings);
+    if (teams.error) {
+      res.status(400);
+      throw new Error(teams.error);
+    }
+    updates.teamSettings = teams.teamSettings;
+  }
   
   const updatedProject = await Project.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    updates,
     { new: true, runValidators: true }
   )
     .populate('batch', 'name timing section academicYear')
@@ -389,7 +495,7 @@ const getStudentProjects = asyncHandler(async (req, res) => {
   const submissions = await ProjectSubmission.find({
     project: { $in: projectIds },
     student: studentId,
-    isActive: true
+    ...LATEST_FILTER
   });
   
   // Combine project data with submission status
@@ -417,14 +523,14 @@ const getMyProjects = asyncHandler(async (req, res) => {
   }
 
   // Get student's batch
-  if (!req.user.batch) {
+  if (!req.student || !req.student.batch) {
     res.status(400);
     throw new Error('Student is not assigned to any batch');
   }
 
   // Get projects for student's batch
   const projects = await Project.find({
-    batch: req.user.batch,
+    batch: req.student.batch,
     status: { $in: ['assigned', 'in_progress', 'completed'] },
     isActive: true
   })
@@ -437,8 +543,8 @@ const getMyProjects = asyncHandler(async (req, res) => {
   const projectIds = projects.map(p => p._id);
   const submissions = await ProjectSubmission.find({
     project: { $in: projectIds },
-    student: req.user._id,
-    isActive: true
+    student: req.student._id,
+    ...LATEST_FILTER
   });
 
   // Combine project data with submission status
@@ -471,14 +577,14 @@ const submitProject = asyncHandler(async (req, res) => {
 
   if (req.user.role === 'student') {
     // Student submitting their own project
-    studentId = req.user._id;
+    studentId = req.student._id;
 
-    if (!req.user.batch || req.user.batch.toString() !== project.batch._id.toString()) {
+    if (!req.student.batch || req.student.batch.toString() !== project.batch._id.toString()) {
       res.status(403);
       throw new Error('Student not authorized for this project');
     }
 
-    studentRecord = req.user;
+    studentRecord = req.student;
   } else if (req.user.role === 'teacher' || req.user.role === 'admin') {
     // Teacher/Admin submitting on behalf of a student
     if (!providedStudentId) {
@@ -517,64 +623,103 @@ const submitProject = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to submit projects');
   }
 
-  // Check if already submitted
-  const existingSubmission = await ProjectSubmission.findOne({
+  // Team projects: the submission is shared by every member of the team and
+  // each member gets their own copy
+  let team = null;
+  if (isTeamProject(project)) {
+    team = await findStudentTeam(projectId, studentId);
+    if (!team) {
+      res.status(400);
+      throw new Error('Join a team before submitting this project');
+    }
+    if (team.members.length < project.teamSettings.minSize) {
+      res.status(400);
+      throw new Error(`Your team needs at least ${project.teamSettings.minSize} members to submit`);
+    }
+  }
+  const memberIds = team ? team.members.map(member => member.toString()) : [studentId.toString()];
+
+  // Check if already submitted; a submission returned for revision can be
+  // resubmitted as a new version linked to the old one
+  const existingSubmissions = await ProjectSubmission.find({
     project: projectId,
-    student: studentId,
-    isActive: true
+    student: { $in: memberIds },
+    ...LATEST_FILTER
   });
 
-  if (existingSubmission) {
+  if (existingSubmissions.some(existing => existing.status !== 'returned')) {
     res.status(400);
-    throw new Error('Project already submitted');
+    throw new Error(team
+      ? 'Your team has already submitted this project. Ask your teacher to return it if you need to resubmit'
+      : 'Project already submitted. Ask your teacher to return it if you need to resubmit');
   }
 
-  // Process uploaded files
-  const files = req.files ? req.files.map(file => ({
-    originalName: file.originalname,
-    fileName: file.filename,
-    filePath: file.path,
-    fileSize: file.size,
-    fileType: file.mimetype
-  })) : [];
-
-  // Calculate attendance score for the student
-  const attendanceScore = await calculateStudentAttendanceScore(studentId, project.batch._id);
+  // Removed submissions keep their version numbers, so carry on after the highest
+  const lastVersion = await ProjectSubmission.findOne({ project: projectId, student: { $in: memberIds } })
+    .sort({ version: -1 })
+    .select('version');
 
   // Use custom submission date if provided, otherwise use current date
-  const submissionDate = customSubmissionDate ? new Date(customSubmissionDate) : new Date();
+  // (students cannot backdate their own submissions)
+  const submissionDate = customSubmissionDate && req.user.role !== 'student'
+    ? new Date(customSubmissionDate)
+    : new Date();
 
-  // Calculate timing analysis
-  const deadlineDate = new Date(project.deadlineDate);
-  const daysFromDeadline = Math.ceil((submissionDate - deadlineDate) / (1000 * 60 * 60 * 24));
+  // Calculate timing analysis against each member's deadline and the project policy
+  const timings = new Map(memberIds.map(memberId => [memberId, evaluateTiming(project, memberId, submissionDate)]));
 
-  let submissionTiming;
-  if (daysFromDeadline < 0) {
-    submissionTiming = 'early';
-  } else if (daysFromDeadline === 0) {
-    submissionTiming = 'on_time';
-  } else {
-    submissionTiming = 'late';
+  // Resubmissions were asked for by the teacher, so the cutoff does not apply.
+  // A team can submit while any member's deadline is still open.
+  if (existingSubmissions.length === 0 && [...timings.values()].every(timing => timing.pastCutoff)) {
+    res.status(400);
+    throw new Error(`Submissions for this project closed on ${timings.get(studentId.toString()).closesAt.toLocaleString()}`);
   }
 
+  // Store the uploaded files once every check has passed
+  const files = (await storeUploads(req.files, 'projects')).map(file => ({
+    ...file,
+    uploadedBy: team ? studentId : null
+  }));
 
+  const copies = [];
+  for (const memberId of memberIds) {
+    const timing = timings.get(memberId);
+    const previous = existingSubmissions.find(existing => existing.student.toString() === memberId);
 
-  const submission = await ProjectSubmission.create({
-    project: projectId,
-    student: studentId,
-    batch: project.batch._id,
-    files,
-    description,
-    notes,
-    attendanceScore,
-    submittedDate: submissionDate,
-    daysFromDeadline,
-    submissionTiming
-  });
+    copies.push(await ProjectSubmission.create({
+      project: projectId,
+      student: memberId,
+      batch: project.batch._id,
+      files,
+      description,
+      notes,
+      attendanceScore: await calculateStudentAttendanceScore(memberId, project.batch._id),
+      submittedDate: submissionDate,
+      daysFromDeadline: timing.daysFromDeadline,
+      hoursFromDeadline: timing.hoursFromDeadline,
+      effectiveDeadline: timing.effectiveDeadline,
+      submissionTiming: timing.submissionTiming,
+      timingScore: timing.timingScore,
+      version: lastVersion ? lastVersion.version + 1 : 1,
+      previousSubmission: previous ? previous._id : null,
+      team: team ? team._id : null,
+      submittedBy: team ? studentId : null
+    }));
+  }
+  const submission = copies.find(copy => copy.student.toString() === studentId.toString());
+
+  if (existingSubmissions.length > 0) {
+    await ProjectSubmission.updateMany(
+      { _id: { $in: existingSubmissions.map(existing => existing._id) } },
+      { status: 'resubmitted', isLatest: false }
+    );
+    await updateProjectRankings(projectId);
+  }
 
   const populatedSubmission = await ProjectSubmission.findById(submission._id)
     .populate('student', 'name rollNo email studentId')
-    .populate('project', 'title maxScore weightage');
+    .populate('project', 'title maxScore weightage')
+    .populate('team', 'name members');
 
   // Update project analytics
   await ProjectAnalytics.calculateAnalytics(projectId);
@@ -586,11 +731,11 @@ const submitProject = asyncHandler(async (req, res) => {
 // @route   PUT /api/projects/submissions/:id/grade
 // @access  Private (Admin/Teacher)
 const gradeSubmission = asyncHandler(async (req, res) => {
-  const { score, grade, feedback } = req.body;
+  const { score, grade, feedback, rubricScores } = req.body;
   const submissionId = req.params.id;
 
   // Accept both 'score' and 'grade' for compatibility
-  const submissionScore = score || grade;
+  let submissionScore = score || grade;
 
   const submission = await ProjectSubmission.findById(submissionId)
     .populate({
@@ -620,43 +765,78 @@ const gradeSubmission = asyncHandler(async (req, res) => {
 
   // Calculate final score based on weightage
   const project = submission.project;
-  const weightage = project.weightage;
-
-  const projectScoreWeighted = (submissionScore / project.maxScore) * 100 * (weightage.projectScore / 100);
-  const attendanceScoreWeighted = submission.attendanceScore * (weightage.attendanceScore / 100);
 
-  // Calculate timing score
-  let timingScore = 0;
-  if (submission.submissionTiming === 'early') {
-    timingScore = 100;
-  } else if (submission.submissionTiming === 'on_time') {
-    timingScore = 90;
-  } else {
-    // Late submission - reduce score based on days late
-    const daysLate = Math.abs(submission.daysFromDeadline);
-    timingScore = Math.max(0, 70 - (daysLate * 10)); // 10 points per day late
+  // With a rubric the score is the total of the criterion levels
+  let breakdown = [];
+  if (project.rubric && project.rubric.length > 0) {
+    const graded = scoreRubric(project, rubricScores);
+    if (graded.error) {
+      res.status(400);
+      throw new Error(graded.error);
+    }
+    submissionScore = graded.score;
+    breakdown = graded.rubricScores;
   }
 
-  const timingScoreWeighted = timingScore * (weightage.submissionTiming / 100);
-  const finalScore = Math.round(projectScoreWeighted + attendanceScoreWeighted + timingScoreWeighted);
+  // Team submissions: every member's copy gets the team's score, moved by
+  // their peer rating when the project uses peer evaluation
+  const team = submission.team ? await ProjectTeam.findById(submission.team) : null;
+  const adjustments = team ? await getPeerAdjustments(project, team) : null;
 
-  const updatedSubmission = await ProjectSubmission.findByIdAndUpdate(
-    submissionId,
-    {
-      score: submissionScore,
-      grade: submissionScore, // For compatibility
+  // Timing follows the project's submission policy and the student's extension
+  const gradeFields = (copy) => {
+    const adjustment = team ? adjustments.get((copy.student._id || copy.student).toString()) || 0 : null;
+    const memberScore = team ? applyPeerAdjustment(submissionScore, adjustment, project.maxScore) : submissionScore;
+    return {
+      score: memberScore,
+      grade: memberScore, // For compatibility
       feedback,
-      finalScore,
+      rubricScores: breakdown,
+      teamScore: team ? submissionScore : null,
+      peerAdjustment: adjustment,
+      finalScore: calculateFinalScore(project, copy, memberScore),
       gradedBy: req.user._id,
       gradedDate: new Date(),
       status: 'graded'
-    },
+    };
+  };
+
+  const previousGrade = snapshot(submission, 'submission');
+  const grades = gradeFields(submission);
+
+  const updatedSubmission = await ProjectSubmission.findByIdAndUpdate(
+    submissionId,
+    grades,
     { new: true }
   )
     .populate('student', 'name rollNo email studentId')
-    .populate('project', 'title maxScore weightage')
+    .populate('project', 'title maxScore weightage rubric')
     .populate('gradedBy', 'name email');
 
+  if (team) {
+    const copies = await getTeamCopies(submission);
+    for (const copy of copies.filter(copy => !copy._id.equals(submission._id))) {
+      await ProjectSubmission.findByIdAndUpdate(copy._id, gradeFields(copy));
+    }
+  }
+
+  await recordAudit(req, {
+    entityType: 'submission',
+    entity: submissionId,
+    action: 'update',
+    before: previousGrade,
+    after: {
+      score: grades.score,
+      feedback,
+      rubricScores: breakdown,
+      finalScore: grades.finalScore,
+      status: 'graded',
+      gradedBy: req.user._id,
+    },
+    student: submission.student?._id,
+    batch: project.batch?._id,
+  });
+
   // Update rankings for all submissions in this project
   await updateProjectRankings(submission.project._id);
 
@@ -666,6 +846,110 @@ const gradeSubmission = asyncHandler(async (req, res) => {
   res.json(updatedSubmission);
 });
 
+// @desc    Grant or change a student's deadline extension
+// @route   PUT /api/projects/:id/extensions
+// @access  Private (Admin/Teacher)
+const grantExtension = asyncHandler(async (req, res) => {
+  const { studentId, deadline, reason } = req.body;
+
+  const project = await Project.findById(req.params.id).populate('batch', 'createdBy');
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found');
+  }
+
+  if (req.user.role === 'teacher') {
+    const isAssignedByTeacher = project.assignedBy && project.assignedBy.toString() === req.user._id.toString();
+    const isBatchOwner = project.batch && project.batch.createdBy && project.batch.createdBy.toString() === req.user._id.toString();
+
+    if (!isAssignedByTeacher && !isBatchOwner) {
+      res.status(403);
+      throw new Error('Not authorized to grant extensions for this project');
+    }
+  }
+
+  const extendedDeadline = new Date(deadline);
+  if (!studentId || !mongoose.Types.ObjectId.isValid(studentId) || isNaN(extendedDeadline.getTime())) {
+    res.status(400);
+    throw new Error('Please provide a student and a new deadline');
+  }
+
+  if (extendedDeadline <= new Date(project.deadlineDate)) {
+    res.status(400);
+    throw new Error('Extended deadline must be after the project deadline');
+  }
+
+  const student = await Student.findById(studentId).select('name batch');
+  if (!student || !student.batch || student.batch.toString() !== project.batch._id.toString()) {
+    res.status(400);
+    throw new Error('Student is not in this project\'s batch');
+  }
+
+  const previous = project.extensions.find(entry => entry.student.toString() === studentId);
+  if (previous) {
+    previous.deadline = extendedDeadline;
+    previous.reason = reason;
+    previous.grantedBy = req.user._id;
+    previous.grantedAt = new Date();
+  } else {
+    project.extensions.push({
+      student: studentId,
+      deadline: extendedDeadline,
+      reason,
+      grantedBy: req.user._id
+    });
+  }
+  await project.save();
+
+  const submission = await refreshSubmissionTiming(project, studentId);
+
+  res.json({
+    message: `Deadline extended for ${student.name}`,
+    extensions: project.extensions,
+    submission
+  });
+});
+
+// @desc    Remove a student's deadline extension
+// @route   DELETE /api/projects/:id/extensions/:studentId
+// @access  Private (Admin/Teacher)
+const revokeExtension = asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+
+  const project = await Project.findById(req.params.id).populate('batch', 'createdBy');
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found');
+  }
+
+  if (req.user.role === 'teacher') {
+    const isAssignedByTeacher = project.assignedBy && project.assignedBy.toString() === req.user._id.toString();
+    const isBatchOwner = project.batch && project.batch.createdBy && project.batch.createdBy.toString() === req.user._id.toString();
+
+    if (!isAssignedByTeacher && !isBatchOwner) {
+      res.status(403);
+      throw new Error('Not authorized to change extensions for this project');
+    }
+  }
+
+  const remaining = project.extensions.filter(entry => entry.student.toString() !== studentId);
+  if (remaining.length === project.extensions.length) {
+    res.status(404);
+    throw new Error('No extension found for this student');
+  }
+
+  project.extensions = remaining;
+  await project.save();
+
+  const submission = await refreshSubmissionTiming(project, studentId);
+
+  res.json({
+    message: 'Extension removed',
+    extensions: project.extensions,
+    submission
+  });
+});
+
 // @desc    Get project submissions
 // @route   GET /api/projects/:id/submissions
 // @access  Private (Admin/Teacher)
@@ -696,8 +980,15 @@ const getProjectSubmissions = asyncHandler(async (req, res) => {
     }
   }
 
-  let filter = { project: projectId, isActive: true };
-  if (status) filter.status = status;
+  const { statuses, error } = parseStatusFilter(status, ProjectSubmission.schema.path('status').enumValues);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  // Only the current version of each student's submission
+  let filter = { project: projectId, ...LATEST_FILTER };
+  if (statuses) filter.status = { $in: statuses };
 
   const sortOrder = order === 'desc' ? -1 : 1;
   const sortObj = {};
@@ -706,11 +997,76 @@ const getProjectSubmissions = asyncHandler(async (req, res) => {
   const submissions = await ProjectSubmission.find(filter)
     .populate('student', 'name rollNo email studentId')
     .populate('gradedBy', 'name email')
+    .populate('team', 'name')
     .sort(sortObj);
 
   res.json(submissions);
 });
 
+// @desc    Download a project's submissions as a ZIP, one folder per
+//          student plus a CSV manifest
+// @route   GET /api/projects/:id/submissions/archive
+// @access  Private (Admin/Teacher)
+const downloadSubmissionArchive = asyncHandler(async (req, res) => {
+  const projectId = req.params.id;
+
+  if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
+    res.status(400);
+    throw new Error('Invalid project ID');
+  }
+
+  const project = await Project.findById(projectId).populate('batch', 'name createdBy');
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found');
+  }
+
+  // Check permissions
+  if (req.user.role === 'teacher') {
+    const isAssignedByTeacher = project.assignedBy && project.assignedBy.toString() === req.user._id.toString();
+    const isBatchOwner = project.batch && project.batch.createdBy && project.batch.createdBy.toString() === req.user._id.toString();
+
+    if (!isAssignedByTeacher && !isBatchOwner) {
+      res.status(403);
+      throw new Error('Not authorized to download submissions for this project');
+    }
+  }
+
+  const { statuses, error } = parseStatusFilter(
+    req.query.status,
+    ProjectSubmission.schema.path('status').enumValues
+  );
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const filter = { project: projectId, ...LATEST_FILTER };
+  if (statuses) filter.status = { $in: statuses };
+
+  const submissions = await ProjectSubmission.find(filter)
+    .populate('student', 'name rollNo studentId')
+    .populate('team', 'name')
+    .sort({ submittedDate: 1 });
+
+  if (submissions.length === 0) {
+    res.status(404);
+    throw new Error('No submissions match this filter');
+  }
+
+  const archiveName = sanitizeName(`${project.title}${req.query.status ? ` - ${req.query.status}` : ''} - submissions`, 'submissions');
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition(`${archiveName}.zip`));
+
+  try {
+    await streamSubmissionArchive(project, submissions, res);
+  } catch (archiveError) {
+    // The download has already started, so it can only be cut off
+    console.error('Error building submission archive:', archiveError);
+    res.destroy(archiveError);
+  }
+});
+
 // @desc    Get all submissions for teacher/admin
 // @route   GET /api/projects/submissions/all
 // @access  Private (Admin/Teacher)
@@ -725,7 +1081,7 @@ const getAllSubmissions = asyncHandler(async (req, res) => {
   } = req.query;
 
   // Build filter based on user role
-  let filter = { isActive: true };
+  let filter = { ...LATEST_FILTER };
 
   if (req.user.role === 'teacher') {
     // Get projects assigned by this teacher or for batches they own
@@ -754,6 +1110,7 @@ const getAllSubmissions = asyncHandler(async (req, res) => {
     .populate('student', 'name rollNo email studentId')
     .populate('project', 'title deadlineDate maxScore')
     .populate('gradedBy', 'name email')
+    .populate('team', 'name')
     .sort(sort);
 
   // Apply search if provided
@@ -774,6 +1131,7 @@ const getAllSubmissions = asyncHandler(async (req, res) => {
       .populate('student', 'name rollNo email studentId')
       .populate('project', 'title deadlineDate maxScore')
       .populate('gradedBy', 'name email')
+      .populate('team', 'name')
       .sort(sort);
   }
 
@@ -799,7 +1157,7 @@ const getAllSubmissions = asyncHandler(async (req, res) => {
 // @route   PUT /api/projects/submissions/:id/status
 // @access  Private (Admin/Teacher)
 const updateSubmissionStatus = asyncHandler(async (req, res) => {
-  const { status, notes } = req.body;
+  const { status, notes, feedback } = req.body;
   const submissionId = req.params.id;
 
   const submission = await ProjectSubmission.findById(submissionId)
@@ -834,13 +1192,32 @@ const updateSubmissionStatus = asyncHandler(async (req, res) => {
     throw new Error('Invalid status');
   }
 
+  // Only the current version can go back to the student
+  if (status === 'returned' && submission.isLatest === false) {
+    res.status(400);
+    throw new Error('A newer version of this submission exists');
+  }
+
+  const statusUpdate = {
+    status,
+    ...(notes && { notes: notes }),
+    ...(status === 'under_review' && { reviewedBy: req.user._id, reviewedDate: new Date() }),
+    ...(status === 'returned' && {
+      returnedBy: req.user._id,
+      returnedDate: new Date(),
+      ...(feedback !== undefined && { feedback })
+    })
+  };
+
+  // A team submission moves through review together
+  if (submission.team) {
+    const copies = await getTeamCopies(submission);
+    await ProjectSubmission.updateMany({ _id: { $in: copies.map(copy => copy._id) } }, statusUpdate);
+  }
+
   const updatedSubmission = await ProjectSubmission.findByIdAndUpdate(
     submissionId,
-    {
-      status,
-      ...(notes && { notes: notes }),
-      ...(status === 'under_review' && { reviewedBy: req.user._id, reviewedDate: new Date() })
-    },
+    statusUpdate,
     { new: true }
   )
     .populate('student', 'name rollNo email studentId')
@@ -848,6 +1225,20 @@ const updateSubmissionStatus = asyncHandler(async (req, res) => {
     .populate('gradedBy', 'name email')
     .populate('reviewedBy', 'name email');
 
+  await recordAudit(req, {
+    entityType: 'submission',
+    entity: submissionId,
+    action: 'update',
+    before: snapshot(submission, 'submission'),
+    after: {
+      ...snapshot(submission, 'submission'),
+      status,
+      ...(status === 'returned' && feedback !== undefined && { feedback })
+    },
+    student: submission.student,
+    batch: submission.project.batch?._id,
+  });
+
   res.json(updatedSubmission);
 });
 
@@ -862,6 +1253,13 @@ const getSubmissionDetails = asyncHandler(async (req, res) => {
     .populate('project', 'title description deadlineDate maxScore requirements')
     .populate('gradedBy', 'name email')
     .populate('reviewedBy', 'name email')
+    .populate('returnedBy', 'name email')
+    .populate({
+      path: 'team',
+      select: 'name members',
+      populate: { path: 'members', select: 'name rollNo studentId' }
+    })
+    .populate('files.uploadedBy', 'name')
     .populate({
       path: 'project',
       populate: {
@@ -877,7 +1275,7 @@ const getSubmissionDetails = asyncHandler(async (req, res) => {
 
   // Check permissions
   if (req.user.role === 'student') {
-    if (submission.student._id.toString() !== req.user.studentId) {
+    if (submission.student._id.toString() !== req.student._id.toString()) {
       res.status(403);
       throw new Error('Not authorized to view this submission');
     }
@@ -894,6 +1292,49 @@ const getSubmissionDetails = asyncHandler(async (req, res) => {
   res.json(submission);
 });
 
+// @desc    Get every version of a submission, oldest first
+// @route   GET /api/projects/submissions/:id/versions
+// @access  Private (Admin/Teacher/Student)
+const getSubmissionVersions = asyncHandler(async (req, res) => {
+  const submission = await ProjectSubmission.findById(req.params.id)
+    .populate({
+      path: 'project',
+      select: 'title assignedBy batch submissionPolicy',
+      populate: {
+        path: 'batch',
+        select: 'createdBy'
+      }
+    });
+
+  if (!submission) {
+    res.status(404);
+    throw new Error('Submission not found');
+  }
+
+  // Check permissions
+  if (req.user.role === 'student') {
+    if (submission.student.toString() !== req.student._id.toString()) {
+      res.status(403);
+      throw new Error('Not authorized to view this submission');
+    }
+  } else if (req.user.role === 'teacher') {
+    const isAssignedByTeacher = submission.project.assignedBy && submission.project.assignedBy.toString() === req.user._id.toString();
+    const isBatchOwner = submission.project.batch && submission.project.batch.createdBy && submission.project.batch.createdBy.toString() === req.user._id.toString();
+
+    if (!isAssignedByTeacher && !isBatchOwner) {
+      res.status(403);
+      throw new Error('Not authorized to view this submission');
+    }
+  }
+
+  const versions = await getVersionHistory(submission);
+
+  res.json({
+    countedVersion: getCountedVersion(submission.project),
+    versions
+  });
+});
+
 // @desc    Mark project as completed
 // @route   PUT /api/projects/:id/complete
 // @access  Private (Admin/Teacher)
@@ -938,13 +1379,13 @@ const completeProject = asyncHandler(async (req, res) => {
   // Get project statistics
   const totalSubmissions = await ProjectSubmission.countDocuments({
     project: projectId,
-    isActive: true
+    ...LATEST_FILTER
   });
 
   const gradedSubmissions = await ProjectSubmission.countDocuments({
     project: projectId,
     status: 'graded',
-    isActive: true
+    ...LATEST_FILTER
   });
 
   const pendingSubmissions = totalSubmissions - gradedSubmissions;
@@ -970,7 +1411,7 @@ const completeProject = asyncHandler(async (req, res) => {
     await ProjectSubmission.updateMany(
       {
         project: projectId,
-        isActive: true,
+        ...LATEST_FILTER,
         $or: [
           { grade: { $exists: false } },
           { grade: null },
@@ -1049,25 +1490,25 @@ const getProjectCompletionStatus = asyncHandler(async (req, res) => {
   // Get detailed statistics
   const totalSubmissions = await ProjectSubmission.countDocuments({
     project: projectId,
-    isActive: true
+    ...LATEST_FILTER
   });
 
   const gradedSubmissions = await ProjectSubmission.countDocuments({
     project: projectId,
     status: 'graded',
-    isActive: true
+    ...LATEST_FILTER
   });
 
   const submittedSubmissions = await ProjectSubmission.countDocuments({
     project: projectId,
     status: 'submitted',
-    isActive: true
+    ...LATEST_FILTER
   });
 
   const underReviewSubmissions = await ProjectSubmission.countDocuments({
     project: projectId,
     status: 'under_review',
-    isActive: true
+    ...LATEST_FILTER
   });
 
   // Get batch student count for completion rate
@@ -1107,10 +1548,17 @@ const getProjectCompletionStatus = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Download submission file
-// @route   GET /api/projects/submissions/:id/download/:fileName
-// @access  Private (Admin/Teacher)
-const downloadSubmissionFile = asyncHandler(async (req, res) => {
+// A read error after the headers went out can only end the response
+const pipeFile = (fileStream, res) => {
+  fileStream.on('error', (error) => {
+    console.error('Error streaming file:', error);
+    res.destroy(error);
+  });
+  fileStream.pipe(res);
+};
+
+// Find a file of a submission the current user may download
+const getDownloadableFile = async (req, res) => {
   const { id: submissionId, fileName } = req.params;
 
   const submission = await ProjectSubmission.findById(submissionId)
@@ -1136,6 +1584,11 @@ const downloadSubmissionFile = asyncHandler(async (req, res) => {
       res.status(403);
       throw new Error('Not authorized to download files for this submission');
     }
+  } else if (req.user.role === 'student') {
+    if (submission.student.toString() !== req.student._id.toString()) {
+      res.status(403);
+      throw new Error('Not authorized to download files for this submission');
+    }
   }
 
   // Find the file in submission
@@ -1145,24 +1598,71 @@ const downloadSubmissionFile = asyncHandler(async (req, res) => {
     throw new Error('File not found');
   }
 
-  const path = require('path');
-  const fs = require('fs');
-
-  const filePath = path.join(__dirname, '..', file.filePath);
-
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
+  if (!(await fileExists(file))) {
     res.status(404);
     throw new Error('File not found on server');
   }
 
+  return file;
+};
+
+// @desc    Download submission file
+// @route   GET /api/projects/submissions/:id/download/:fileName
+// @access  Private (Admin/Teacher/Student)
+const downloadSubmissionFile = asyncHandler(async (req, res) => {
+  const file = await getDownloadableFile(req, res);
+
   // Set headers for file download
-  res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
+  res.setHeader('Content-Disposition', contentDisposition(file.originalName));
   res.setHeader('Content-Type', file.fileType || 'application/octet-stream');
+  if (file.checksum) {
+    res.setHeader('X-Checksum-SHA256', file.checksum);
+  }
 
   // Stream the file
-  const fileStream = fs.createReadStream(filePath);
-  fileStream.pipe(res);
+  pipeFile(await openFile(file), res);
+});
+
+// @desc    Get a time-limited download link for a submission file
+// @route   GET /api/projects/submissions/:id/files/:fileName/url
+// @access  Private (Admin/Teacher/Student)
+const getSubmissionFileUrl = asyncHandler(async (req, res) => {
+  const file = await getDownloadableFile(req, res);
+
+  // Local links come back to this API, so they need its public address
+  const baseUrl = process.env.PROD_API_URL || process.env.RENDER_EXTERNAL_URL
+    || `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+  const { url, expiresAt } = await getSignedDownloadUrl(file, baseUrl.replace(/\/$/, ''));
+
+  res.json({
+    url,
+    expiresAt,
+    fileName: file.originalName,
+    checksum: file.checksum
+  });
+});
+
+// @desc    Download a locally stored file through a signed link
+// @route   GET /api/projects/files/:token
+// @access  Public (signed link)
+const serveSignedFile = asyncHandler(async (req, res) => {
+  const { payload, error } = verifyToken(req.params.token);
+  if (error) {
+    res.status(403);
+    throw new Error(error);
+  }
+
+  const storage = getStorage('local');
+  if (!(await storage.exists(payload.key))) {
+    res.status(404);
+    throw new Error('File not found on server');
+  }
+
+  res.setHeader('Content-Disposition', contentDisposition(payload.name));
+  res.setHeader('Content-Type', payload.type || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  pipeFile(await storage.get(payload.key), res);
 });
 
 // Helper function to calculate student attendance score
@@ -1175,33 +1675,46 @@ const calculateStudentAttendanceScore = async (studentId, batchId) => {
 
     if (attendanceRecords.length === 0) return 0;
 
-    const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-    const attendancePercentage = (presentCount / attendanceRecords.length) * 100;
+    const excusedPolicy = await getExcusedPolicy();
+    const { percentage } = summarizeAttendance(attendanceRecords, excusedPolicy);
 
-    return Math.round(attendancePercentage);
+    return Math.round(percentage);
   } catch (error) {
     console.error('Error calculating attendance score:', error);
     return 0;
   }
 };
 
-// Helper function to update project rankings
-const updateProjectRankings = async (projectId) => {
-  try {
-    const submissions = await ProjectSubmission.find({
-      project: projectId,
-      finalScore: { $ne: null },
-      isActive: true
-    }).sort({ finalScore: -1 });
-
-    for (let i = 0; i < submissions.length; i++) {
-      await ProjectSubmission.findByIdAndUpdate(submissions[i]._id, {
-        rank: i + 1
-      });
+// Helper function to re-score a student's submissions after their deadline changed.
+// Returns the current version.
+const refreshSubmissionTiming = async (project, studentId) => {
+  const versions = await ProjectSubmission.find({ project: project._id, student: studentId, isActive: true });
+  if (versions.length === 0) return null;
+
+  let latest = null;
+  for (const submission of versions) {
+    const timing = evaluateTiming(project, studentId, submission.submittedDate);
+    const updates = {
+      daysFromDeadline: timing.daysFromDeadline,
+      hoursFromDeadline: timing.hoursFromDeadline,
+      effectiveDeadline: timing.effectiveDeadline,
+      submissionTiming: timing.submissionTiming,
+      timingScore: timing.timingScore
+    };
+    if (submission.score !== null) {
+      updates.finalScore = calculateFinalScore(project, submission, submission.score);
     }
-  } catch (error) {
-    console.error('Error updating rankings:', error);
+
+    const updated = await ProjectSubmission.findByIdAndUpdate(submission._id, updates, { new: true });
+    if (updated.isLatest !== false) latest = updated;
+  }
+
+  if (versions.some(submission => submission.score !== null)) {
+    await updateProjectRankings(project._id);
   }
+  await ProjectAnalytics.calculateAnalytics(project._id);
+
+  return latest;
 };
 
 // @desc    Remove submission (mark as inactive)
@@ -1235,8 +1748,24 @@ const removeSubmission = asyncHandler(async (req, res) => {
     }
   }
 
-  // Mark as inactive instead of deleting
-  await ProjectSubmission.findByIdAndUpdate(submissionId, { isActive: false });
+  // A team submission is removed for every member
+  const removed = submission.team ? await getTeamCopies(submission) : [submission];
+
+  for (const copy of removed) {
+    // Mark as inactive instead of deleting
+    await ProjectSubmission.findByIdAndUpdate(copy._id, { isActive: false, isLatest: false });
+
+    // Removing a resubmission hands the student's work back to the previous version
+    if (copy.isLatest !== false && copy.previousSubmission) {
+      await ProjectSubmission.findOneAndUpdate(
+        { _id: copy.previousSubmission, isActive: true },
+        { isLatest: true, status: 'returned' }
+      );
+    }
+  }
+
+  await updateProjectRankings(submission.project._id);
+  await ProjectAnalytics.calculateAnalytics(submission.project._id);
 
   res.json({ message: 'Submission removed successfully' });
 });
@@ -1252,13 +1781,19 @@ module.exports = {
   getMyProjects,
   submitProject,
   gradeSubmission,
+  grantExtension,
+  revokeExtension,
   getProjectSubmissions,
   downloadSubmissionFile,
+  downloadSubmissionArchive,
+  getSubmissionFileUrl,
+  serveSignedFile,
   completeProject,
   getProjectCompletionStatus,
   getAllSubmissions,
   updateSubmissionStatus,
   getSubmissionDetails,
+  getSubmissionVersions,
   removeSubmission,
   upload
 };
@@ -0,0 +1,438 @@
+const asyncHandler = require('express-async-handler');
+const Project = require('../models/projectModel');
+const ProjectTeam = require('../models/projectTeamModel');
+const ProjectSubmission = require('../models/projectSubmissionModel');
+const PeerEvaluation = require('../models/peerEvaluationModel');
+const ProjectAnalytics = require('../models/projectAnalyticsModel');
+const Student = require('../models/studentModel');
+const { LATEST_FILTER, updateProjectRankings } = require('../utils/submissionVersions');
+const { storeUploads } = require('../utils/fileStorage');
+const {
+  isTeamProject,
+  findStudentTeam,
+  validateMembers,
+  hasTeamSubmitted,
+  regradeTeamCopies,
+  summarizePeerEvaluations,
+} = require('../utils/projectTeams');
+
+const populateTeam = (query) => query
+  .populate('members', 'name rollNo studentId')
+  .populate('createdBy', 'name');
+
+/**
+ * Load a team project the current user may work with. Teachers need to have
+ * assigned it or own its batch; students need to be in its batch.
+ */
+const getTeamProject = async (req, res) => {
+  const project = await Project.findById(req.params.id).populate('batch', 'createdBy');
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found');
+  }
+
+  if (req.user.role === 'teacher') {
+    const isAssignedByTeacher = project.assignedBy && project.assignedBy.toString() === req.user._id.toString();
+    const isBatchOwner = project.batch && project.batch.createdBy && project.batch.createdBy.toString() === req.user._id.toString();
+
+    if (!isAssignedByTeacher && !isBatchOwner) {
+      res.status(403);
+      throw new Error('Not authorized to manage teams for this project');
+    }
+  } else if (req.user.role === 'student') {
+    if (!req.student.batch || req.student.batch.toString() !== project.batch._id.toString()) {
+      res.status(403);
+      throw new Error('Not authorized to access this project');
+    }
+  }
+
+  if (!isTeamProject(project)) {
+    res.status(400);
+    throw new Error('This is not a team project');
+  }
+
+  return project;
+};
+
+const getProjectTeamById = async (project, teamId, res) => {
+  const team = await ProjectTeam.findOne({ _id: teamId, project: project._id, isActive: true });
+  if (!team) {
+    res.status(404);
+    throw new Error('Team not found');
+  }
+  return team;
+};
+
+const assertUnlocked = async (team, res) => {
+  if (await hasTeamSubmitted(team)) {
+    res.status(400);
+    throw new Error('This team has already submitted, so its members cannot change');
+  }
+};
+
+const assertSelfSelection = (project, res) => {
+  if (project.teamSettings.formation !== 'self') {
+    res.status(403);
+    throw new Error('Teams for this project are formed by the teacher');
+  }
+};
+
+// @desc    Get the teams of a project
+// @route   GET /api/projects/:id/teams
+// @access  Private
+const getProjectTeams = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+
+  const teams = await populateTeam(ProjectTeam.find({ project: project._id, isActive: true }))
+    .sort({ name: 1 });
+
+  const submitted = await ProjectSubmission.distinct('team', {
+    project: project._id,
+    team: { $ne: null },
+    ...LATEST_FILTER,
+  });
+  const submittedIds = new Set(submitted.map(id => id.toString()));
+
+  const teamList = teams.map(team => ({
+    ...team.toObject(),
+    hasSubmitted: submittedIds.has(team._id.toString()),
+    isFull: team.members.length >= project.teamSettings.maxSize,
+  }));
+
+  // Students only see who is in which team
+  if (req.user.role === 'student') {
+    const myTeam = teamList.find(team => team.members.some(member => member._id.toString() === req.student._id.toString()));
+    return res.json({
+      teamSettings: project.teamSettings,
+      teams: teamList.map(({ createdBy, ...team }) => team),
+      myTeam: myTeam || null,
+    });
+  }
+
+  const [students, responses] = await Promise.all([
+    Student.find({ batch: project.batch._id, isActive: true }).select('name rollNo studentId').sort({ rollNo: 1 }),
+    PeerEvaluation.aggregate([
+      { $match: { project: project._id } },
+      { $group: { _id: '$team', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const assigned = new Set(teams.flatMap(team => team.members.map(member => member._id.toString())));
+  const responseCounts = new Map(responses.map(entry => [entry._id.toString(), entry.count]));
+
+  res.json({
+    teamSettings: project.teamSettings,
+    teams: teamList.map(team => ({
+      ...team,
+      peerEvaluations: responseCounts.get(team._id.toString()) || 0,
+    })),
+    unassignedStudents: students.filter(student => !assigned.has(student._id.toString())),
+  });
+});
+
+// @desc    Create a team. Teachers pick the members; with self-selected
+//          teams a student starts a team of their own
+// @route   POST /api/projects/:id/teams
+// @access  Private
+const createTeam = asyncHandler(async (req, res) => {
+  const { name, members } = req.body;
+  const project = await getTeamProject(req, res);
+
+  if (!name || !name.trim()) {
+    res.status(400);
+    throw new Error('Please add a team name');
+  }
+
+  let memberIds;
+  if (req.user.role === 'student') {
+    assertSelfSelection(project, res);
+    memberIds = [req.student._id];
+  } else {
+    memberIds = members || [];
+  }
+
+  const checked = await validateMembers(project, memberIds);
+  if (checked.error) {
+    res.status(400);
+    throw new Error(req.user.role === 'student' && checked.error.includes('already belong')
+      ? 'You are already in a team for this project'
+      : checked.error);
+  }
+
+  const nameTaken = await ProjectTeam.exists({ project: project._id, name: name.trim(), isActive: true });
+  if (nameTaken) {
+    res.status(400);
+    throw new Error(`A team named ${name.trim()} already exists`);
+  }
+
+  const team = await ProjectTeam.create({
+    project: project._id,
+    batch: project.batch._id,
+    name: name.trim(),
+    members: checked.members,
+    createdBy: req.user.role === 'student' ? null : req.user._id,
+    createdByStudent: req.user.role === 'student' ? req.student._id : null,
+  });
+
+  res.status(201).json(await populateTeam(ProjectTeam.findById(team._id)));
+});
+
+// @desc    Rename a team or change its members
+// @route   PUT /api/projects/:id/teams/:teamId
+// @access  Private (Admin/Teacher)
+const updateTeam = asyncHandler(async (req, res) => {
+  const { name, members } = req.body;
+  const project = await getTeamProject(req, res);
+  const team = await getProjectTeamById(project, req.params.teamId, res);
+
+  if (name !== undefined) {
+    if (!name.trim()) {
+      res.status(400);
+      throw new Error('Please add a team name');
+    }
+    const nameTaken = await ProjectTeam.exists({
+      project: project._id,
+      name: name.trim(),
+      isActive: true,
+      _id: { $ne: team._id },
+    });
+    if (nameTaken) {
+      res.status(400);
+      throw new Error(`A team named ${name.trim()} already exists`);
+    }
+    team.name = name.trim();
+  }
+
+  if (members !== undefined) {
+    await assertUnlocked(team, res);
+    const checked = await validateMembers(project, members, team._id);
+    if (checked.error) {
+      res.status(400);
+      throw new Error(checked.error);
+    }
+    team.members = checked.members;
+  }
+
+  await team.save();
+  res.json(await populateTeam(ProjectTeam.findById(team._id)));
+});
+
+// @desc    Disband a team that has not submitted
+// @route   DELETE /api/projects/:id/teams/:teamId
+// @access  Private (Admin/Teacher)
+const deleteTeam = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+  const team = await getProjectTeamById(project, req.params.teamId, res);
+  await assertUnlocked(team, res);
+
+  team.isActive = false;
+  await team.save();
+
+  res.json({ message: `Team ${team.name} disbanded` });
+});
+
+// @desc    Join a self-selected team
+// @route   PUT /api/projects/:id/teams/:teamId/join
+// @access  Private (Student)
+const joinTeam = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+  assertSelfSelection(project, res);
+  const team = await getProjectTeamById(project, req.params.teamId, res);
+  await assertUnlocked(team, res);
+
+  if (await findStudentTeam(project._id, req.student._id)) {
+    res.status(400);
+    throw new Error('Leave your current team before joining another');
+  }
+  if (team.members.length >= project.teamSettings.maxSize) {
+    res.status(400);
+    throw new Error(`Team ${team.name} is full`);
+  }
+
+  team.members.push(req.student._id);
+  await team.save();
+
+  res.json(await populateTeam(ProjectTeam.findById(team._id)));
+});
+
+// @desc    Leave a self-selected team; the last member to leave disbands it
+// @route   PUT /api/projects/:id/teams/:teamId/leave
+// @access  Private (Student)
+const leaveTeam = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+  assertSelfSelection(project, res);
+  const team = await getProjectTeamById(project, req.params.teamId, res);
+
+  if (!team.members.some(member => member.toString() === req.student._id.toString())) {
+    res.status(400);
+    throw new Error('You are not a member of this team');
+  }
+  await assertUnlocked(team, res);
+
+  team.members = team.members.filter(member => member.toString() !== req.student._id.toString());
+  if (team.members.length === 0) {
+    team.isActive = false;
+  }
+  await team.save();
+
+  res.json({ message: `You left team ${team.name}` });
+});
+
+// @desc    Add files to the team's shared submission before it is reviewed
+// @route   POST /api/projects/:id/team-files
+// @access  Private (Student)
+const addTeamFiles = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+
+  const team = await findStudentTeam(project._id, req.student._id);
+  if (!team) {
+    res.status(400);
+    throw new Error('You are not in a team for this project');
+  }
+
+  const copies = await ProjectSubmission.find({ team: team._id, ...LATEST_FILTER });
+  if (copies.length === 0) {
+    res.status(400);
+    throw new Error('Your team has not submitted yet');
+  }
+  if (copies.some(copy => copy.status !== 'submitted')) {
+    res.status(400);
+    throw new Error('Files cannot be added once your teacher has started reviewing the submission');
+  }
+  if (!req.files || req.files.length === 0) {
+    res.status(400);
+    throw new Error('Please upload at least one file');
+  }
+
+  const files = (await storeUploads(req.files, 'projects')).map(file => ({
+    ...file,
+    uploadedBy: req.student._id,
+  }));
+
+  await ProjectSubmission.updateMany(
+    { _id: { $in: copies.map(copy => copy._id) } },
+    { $push: { files: { $each: files } } }
+  );
+
+  const submission = await ProjectSubmission.findOne({ team: team._id, student: req.student._id, ...LATEST_FILTER })
+    .populate('files.uploadedBy', 'name');
+
+  res.json(submission);
+});
+
+// @desc    Get the current student's peer evaluation form
+// @route   GET /api/projects/:id/peer-evaluation
+// @access  Private (Student)
+const getMyPeerEvaluation = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+
+  const team = await findStudentTeam(project._id, req.student._id)
+    .populate('members', 'name rollNo studentId');
+  if (!team) {
+    res.status(404);
+    throw new Error('You are not in a team for this project');
+  }
+
+  const evaluation = await PeerEvaluation.findOne({ team: team._id, evaluator: req.student._id });
+
+  res.json({
+    enabled: !!project.teamSettings.peerEvaluation,
+    open: await hasTeamSubmitted(team),
+    team: { _id: team._id, name: team.name },
+    teammates: team.members.filter(member => member._id.toString() !== req.student._id.toString()),
+    ratings: evaluation ? evaluation.ratings : [],
+    submittedAt: evaluation ? evaluation.updatedAt : null,
+  });
+});
+
+// @desc    Submit or update the current student's confidential ratings of
+//          their teammates
+// @route   PUT /api/projects/:id/peer-evaluation
+// @access  Private (Student)
+const submitPeerEvaluation = asyncHandler(async (req, res) => {
+  const { ratings } = req.body;
+  const project = await getTeamProject(req, res);
+
+  if (!project.teamSettings.peerEvaluation) {
+    res.status(400);
+    throw new Error('This project does not use peer evaluation');
+  }
+
+  const team = await findStudentTeam(project._id, req.student._id);
+  if (!team) {
+    res.status(400);
+    throw new Error('You are not in a team for this project');
+  }
+  if (!(await hasTeamSubmitted(team))) {
+    res.status(400);
+    throw new Error('Peer evaluation opens once your team has submitted');
+  }
+
+  const teammateIds = team.members
+    .map(member => member.toString())
+    .filter(id => id !== req.student._id.toString());
+  const entries = Array.isArray(ratings) ? ratings : [];
+
+  const sanitized = [];
+  for (const teammateId of teammateIds) {
+    const entry = entries.find(rating => rating && String(rating.student) === teammateId);
+    const score = entry ? Number(entry.score) : NaN;
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      res.status(400);
+      throw new Error('Rate every teammate from 1 to 5');
+    }
+    sanitized.push({
+      student: teammateId,
+      score,
+      comment: entry.comment ? String(entry.comment).trim() : undefined,
+    });
+  }
+
+  const evaluation = await PeerEvaluation.findOneAndUpdate(
+    { team: team._id, evaluator: req.student._id },
+    { project: project._id, team: team._id, evaluator: req.student._id, ratings: sanitized },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  // Grades already given move with the new ratings
+  if (await regradeTeamCopies(project, team)) {
+    await updateProjectRankings(project._id);
+    await ProjectAnalytics.calculateAnalytics(project._id);
+  }
+
+  res.json({
+    message: 'Peer evaluation submitted',
+    ratings: evaluation.ratings,
+    submittedAt: evaluation.updatedAt,
+  });
+});
+
+// @desc    Get every rating within a team, with the resulting adjustments
+// @route   GET /api/projects/:id/teams/:teamId/peer-evaluations
+// @access  Private (Admin/Teacher)
+const getTeamPeerEvaluations = asyncHandler(async (req, res) => {
+  const project = await getTeamProject(req, res);
+  const team = await getProjectTeamById(project, req.params.teamId, res);
+  await team.populate('members', 'name rollNo studentId');
+
+  const evaluations = await PeerEvaluation.find({ team: team._id })
+    .populate('evaluator', 'name rollNo');
+
+  res.json({
+    team: { _id: team._id, name: team.name },
+    peerWeight: project.teamSettings.peerWeight,
+    members: summarizePeerEvaluations(team, evaluations, project.teamSettings.peerWeight),
+  });
+});
+
+module.exports = {
+  getProjectTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  joinTeam,
+  leaveTeam,
+  addTeamFiles,
+  getMyPeerEvaluation,
+  submitPeerEvaluation,
+  getTeamPeerEvaluations,
+};
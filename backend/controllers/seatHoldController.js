@@ -0,0 +1,88 @@
+const asyncHandler = require('express-async-handler');
+const SeatHold = require('../models/seatHoldModel');
+const Booking = require('../models/bookingModel');
+const PC = require('../models/pcModel');
+const {
+  serializeHold,
+  getActiveHolds,
+  placeHold,
+  releaseHolds,
+} = require('../utils/seatHolds');
+
+const parseDate = (value, res) => {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error('Please provide a valid date');
+  }
+  return new Date(date.toISOString().split('T')[0]);
+};
+
+// @desc    Get the live seat holds for a day
+// @route   GET /api/lab/holds
+// @access  Private/Teacher
+const getSeatHolds = asyncHandler(async (req, res) => {
+  const date = parseDate(req.query.date, res);
+  const holds = await getActiveHolds({ date, timeSlot: req.query.timeSlot });
+
+  res.json(holds.map(serializeHold));
+});
+
+// @desc    Hold a PC while its booking form is open (renews an own hold)
+// @route   POST /api/lab/holds
+// @access  Private/Teacher
+const createSeatHold = asyncHandler(async (req, res) => {
+  const { pc: pcId, timeSlot } = req.body;
+
+  if (!pcId || !timeSlot) {
+    res.status(400);
+    throw new Error('Missing required fields: pc, date and timeSlot are required');
+  }
+  const date = parseDate(req.body.date, res);
+
+  const pc = await PC.findById(pcId).select('pcNumber status');
+  if (!pc) {
+    res.status(404);
+    throw new Error('PC not found');
+  }
+
+  const booked = await Booking.exists({ pc: pc._id, date, timeSlot, status: { $ne: 'cancelled' } });
+  if (booked) {
+    res.status(409);
+    throw new Error(`PC ${pc.pcNumber} has just been booked`);
+  }
+
+  const { hold, conflict } = await placeHold({ pc: pc._id, date, timeSlot, user: req.user });
+  if (conflict) {
+    res.status(409);
+    throw new Error(`PC ${pc.pcNumber} is being booked by ${conflict.heldByName || 'another user'}`);
+  }
+
+  res.status(201).json(serializeHold(hold));
+});
+
+// @desc    Release a seat hold
+// @route   DELETE /api/lab/holds/:id
+// @access  Private/Teacher
+const releaseSeatHold = asyncHandler(async (req, res) => {
+  const hold = await SeatHold.findById(req.params.id);
+
+  if (!hold) {
+    res.status(404);
+    throw new Error('Seat hold not found or already expired');
+  }
+
+  if (req.user.role !== 'admin' && hold.heldBy.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to release this seat hold');
+  }
+
+  await releaseHolds({ _id: hold._id });
+  res.json({ message: 'Seat hold released' });
+});
+
+module.exports = {
+  getSeatHolds,
+  createSeatHold,
+  releaseSeatHold,
+};
@@ -3,10 +3,17 @@ const Batch = require('../models/batchModel');
 const Course = require('../models/courseModel');
 const Department = require('../models/departmentModel');
 const Attendance = require('../models/attendanceModel');
+const User = require('../models/userModel');
+const FeeSchedule = require('../models/feeScheduleModel');
+const FeePayment = require('../models/feePaymentModel');
+const emailService = require('../utils/emailService');
+const { getExcusedPolicy, summarizeAttendance } = require('../utils/attendancePolicy');
+const { createFeeSchedule } = require('../utils/feeLedger');
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const { applyPopulation, applyRoleBasedPopulation, optimizeQuery } = require('../utils/populationHelpers');
 const { validateModelOperation, validateStudentHierarchy } = require('../utils/modelValidation');
+const { MAX_IMPORT_ROWS, validateImportRows } = require('../utils/studentImport');
 
 // @desc    Create a new student
 // @route   POST /api/students
@@ -41,9 +48,6 @@ const createStudent = asyncHandler(async (req, res) => {
     department,
     course,
     batch,
-    feesPaid = 0,
-    totalFees = 0,
-    paymentStatus = 'pending',
     isActive = true,
     profilePhoto
   } = req.body;
@@ -81,17 +85,6 @@ const createStudent = asyncHandler(async (req, res) => {
     finalStudentId = `TEMP${Date.now().toString().slice(-8)}`;
   }
 
-  // Validate fees
-  if (feesPaid < 0 || totalFees < 0) {
-    res.status(400);
-    throw new Error('Fees cannot be negative');
-  }
-
-  if (feesPaid > totalFees) {
-    res.status(400);
-    throw new Error('Fees paid cannot exceed total fees');
-  }
-
   // Map rollNumber from frontend to rollNo for the model BEFORE validation
   // Ensure we always have a valid rollNo
   const finalRollNo = (rollNo && rollNo.trim() !== '') ? rollNo.trim() :
@@ -144,9 +137,6 @@ const createStudent = asyncHandler(async (req, res) => {
     department,
     course,
     batch,
-    feesPaid: Number(feesPaid),
-    totalFees: Number(totalFees),
-    paymentStatus,
     isActive,
     profilePhoto: profilePhoto || 'default-profile.jpg',
     // Keep legacy contactInfo for backward compatibility
@@ -157,6 +147,17 @@ const createStudent = asyncHandler(async (req, res) => {
     }
   });
 
+  // Generate the installment schedule from the course fees. The student is
+  // kept if this fails; the caller is told so the schedule can be generated
+  // from the fee ledger.
+  let feeScheduleError;
+  try {
+    await createFeeSchedule(student, req.user._id);
+  } catch (error) {
+    console.error('❌ Failed to create fee schedule:', error.message);
+    feeScheduleError = error.message;
+  }
+
   // Use optimized population
   const populatedStudent = await applyPopulation(
     Student.findById(student._id),
@@ -164,7 +165,9 @@ const createStudent = asyncHandler(async (req, res) => {
     'basic'
   );
 
-  res.status(201).json(populatedStudent);
+  res.status(201).json(feeScheduleError
+    ? { ...populatedStudent.toObject(), feeScheduleError }
+    : populatedStudent);
 });
 
 // @desc    Get all students
@@ -339,9 +342,6 @@ const updateStudent = asyncHandler(async (req, res) => {
     department,
     course,
     batch,
-    feesPaid,
-    totalFees,
-    paymentStatus,
     isActive,
     profilePhoto
   } = req.body;
@@ -457,19 +457,8 @@ const updateStudent = asyncHandler(async (req, res) => {
     }
   }
 
-  // Validate fees
-  const newFeesPaid = feesPaid !== undefined ? Number(feesPaid) : student.feesPaid;
-  const newTotalFees = totalFees !== undefined ? Number(totalFees) : student.totalFees;
-
-  if (newFeesPaid < 0 || newTotalFees < 0) {
-    res.status(400);
-    throw new Error('Fees cannot be negative');
-  }
-
-  if (newFeesPaid > newTotalFees) {
-    res.status(400);
-    throw new Error('Fees paid cannot exceed total fees');
-  }
+  // Fees follow the course, so a course change regenerates the schedule
+  const previousCourseId = (student.course?._id || student.course).toString();
 
   // Update fields
   student.name = name || student.name;
@@ -489,9 +478,6 @@ const updateStudent = asyncHandler(async (req, res) => {
   student.department = department || student.department;
   student.course = course || student.course;
   student.batch = batch || student.batch;
-  student.feesPaid = newFeesPaid;
-  student.totalFees = newTotalFees;
-  student.paymentStatus = paymentStatus || student.paymentStatus;
   student.isActive = isActive !== undefined ? isActive : student.isActive;
   student.profilePhoto = profilePhoto || student.profilePhoto;
 
@@ -504,6 +490,21 @@ const updateStudent = asyncHandler(async (req, res) => {
 
   const updatedStudent = await student.save();
 
+  // A new course means new fees; the caller is told if the schedule could
+  // not be regenerated, as the student's fee figures are then out of date
+  let feeScheduleError;
+  if (course && course.toString() !== previousCourseId) {
+    try {
+      const { summary } = await createFeeSchedule(updatedStudent, req.user._id);
+      updatedStudent.totalFees = summary.totalAmount;
+      updatedStudent.feesPaid = summary.totalPaid;
+      updatedStudent.paymentStatus = summary.paymentStatus;
+    } catch (error) {
+      console.error('❌ Failed to regenerate fee schedule:', error.message);
+      feeScheduleError = error.message;
+    }
+  }
+
   // Populate related fields for response
   await updatedStudent.populate([
     { path: 'department', select: 'name code' },
@@ -511,7 +512,9 @@ const updateStudent = asyncHandler(async (req, res) => {
     { path: 'batch', select: 'name academicYear section timing' }
   ]);
 
-  res.json(updatedStudent);
+  res.json(feeScheduleError
+    ? { ...updatedStudent.toObject(), feeScheduleError }
+    : updatedStudent);
 });
 
 // @desc    Delete student
@@ -539,6 +542,13 @@ const deleteStudent = async (req, res) => {
   // Delete all attendance records for this student
   await Attendance.deleteMany({ student: student._id });
 
+  // Delete the fee ledger
+  await FeeSchedule.deleteOne({ student: student._id });
+  await FeePayment.deleteMany({ student: student._id });
+
+  // Remove the student's portal account, if any
+  await User.deleteOne({ student: student._id, role: 'student' });
+
   // Delete the student
   await student.deleteOne();
 
@@ -548,7 +558,7 @@ const deleteStudent = async (req, res) => {
 // @desc    Bulk create students
 // @route   POST /api/students/bulk
 // @access  Private/Teacher
-const bulkCreateStudents = async (req, res) => {
+const bulkCreateStudents = asyncHandler(async (req, res) => {
   const { students, batchId } = req.body;
 
   if (!students || !Array.isArray(students) || students.length === 0) {
@@ -569,6 +579,19 @@ const bulkCreateStudents = async (req, res) => {
     throw new Error('Not authorized to add students to this batch');
   }
 
+  // Reject the whole request if any row would fail; use the import
+  // endpoint to keep the valid rows of a spreadsheet
+  const { results } = await validateImportRows(students, batch, req.user);
+  const rowErrors = results
+    .filter(result => result.errors.length > 0)
+    .map(result => `Row ${result.row}: ${result.errors.join('; ')}`);
+  if (rowErrors.length > 0) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: rowErrors
+    });
+  }
+
   // Prepare students data
   const studentsToCreate = students.map(student => ({
     ...student,
@@ -580,9 +603,150 @@ const bulkCreateStudents = async (req, res) => {
   // Create students
   const createdStudents = await Student.insertMany(studentsToCreate);
 
-  res.status(201).json(createdStudents);
+  // Students whose fee schedule failed carry `feeScheduleError`
+  const response = [];
+  for (const student of createdStudents) {
+    try {
+      await createFeeSchedule(student, req.user._id);
+      response.push(student);
+    } catch (error) {
+      console.error(`❌ Failed to create fee schedule for ${student.name}:`, error.message);
+      response.push({ ...student.toObject(), feeScheduleError: error.message });
+    }
+  }
+
+  res.status(201).json(response);
+});
+
+// Student ID for an imported row: admins get the next STU number, teachers
+// a placeholder the admin replaces later (see createStudent)
+const importStudentIds = async (count, user) => {
+  if (user.role === 'admin') {
+    const lastStudent = await Student.findOne({}, {}, { sort: { 'createdAt': -1 } });
+    const lastNumber = lastStudent ? parseInt(lastStudent.studentId?.replace(/\D/g, '') || '0') : 0;
+    return Array.from({ length: count }, (_, index) => `STU${(lastNumber + index + 1).toString().padStart(4, '0')}`);
+  }
+  const stamp = Date.now().toString().slice(-8);
+  return Array.from({ length: count }, (_, index) => `TEMP${stamp}${index.toString().padStart(3, '0')}`);
 };
 
+// @desc    Import students from spreadsheet rows, or preview the import
+// @route   POST /api/students/import
+// @access  Private/Teacher
+const importStudents = asyncHandler(async (req, res) => {
+  const { rows, batchId, dryRun = true } = req.body;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    res.status(400);
+    throw new Error('Please provide the rows to import');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    res.status(400);
+    throw new Error(`A single import can hold at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(batchId)) {
+    res.status(400);
+    throw new Error('Please select a batch');
+  }
+
+  const batch = await Batch.findById(batchId).populate('course', 'name department');
+  if (!batch) {
+    res.status(404);
+    throw new Error('Batch not found');
+  }
+
+  if (req.user.role !== 'admin' && batch.createdBy.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to add students to this batch');
+  }
+
+  if (!batch.course?.department) {
+    res.status(400);
+    throw new Error('The batch course has no department');
+  }
+
+  const { results, capacity } = await validateImportRows(rows, batch, req.user);
+  const valid = results.filter(result => result.errors.length === 0);
+
+  const respond = () => res.status(dryRun ? 200 : 201).json({
+    dryRun,
+    batch: { _id: batch._id, name: batch.name },
+    capacity,
+    summary: {
+      total: results.length,
+      valid: valid.length,
+      rejected: results.length - valid.length,
+      imported: dryRun ? 0 : results.filter(result => result.status === 'imported').length
+    },
+    rows: results.map(({ row, errors, status, studentId, feeScheduleError }) => ({
+      row,
+      status: status || (errors.length > 0 ? 'rejected' : 'valid'),
+      errors,
+      studentId,
+      feeScheduleError
+    }))
+  });
+
+  if (dryRun || valid.length === 0) {
+    return respond();
+  }
+
+  const studentIds = await importStudentIds(valid.length, req.user);
+  const studentsToCreate = valid.map((result, index) => ({
+    ...result.data,
+    studentId: result.data.studentId || studentIds[index],
+    department: batch.course.department,
+    course: batch.course._id,
+    batch: batch._id,
+    admissionDate: result.data.admissionDate || new Date(),
+    contactInfo: {
+      email: result.data.email,
+      phone: result.data.phone,
+      address: result.data.address
+    }
+  }));
+
+  // Unordered so one row losing a race (e.g. a roll number taken since the
+  // preview) does not stop the rest
+  let created;
+  let writeError;
+  try {
+    created = await Student.insertMany(studentsToCreate, { ordered: false });
+  } catch (error) {
+    if (!error.insertedDocs) throw error;
+    created = error.insertedDocs;
+    writeError = error.writeErrors?.[0]?.errmsg || error.message;
+  }
+
+  // Roll numbers are unique within the batch, so they identify the rows
+  const createdByRollNo = new Map(created.map(student => [student.rollNo, student]));
+  for (const result of valid) {
+    const student = createdByRollNo.get(result.data.rollNo);
+    if (student) {
+      result.status = 'imported';
+      result.studentId = student._id;
+    } else {
+      result.errors.push(`Could not be saved: ${writeError || 'validation failed'}`);
+    }
+  }
+
+  const resultByStudentId = new Map(valid.map(result => [result.studentId?.toString(), result]));
+  for (const student of created) {
+    try {
+      await createFeeSchedule(student, req.user._id);
+    } catch (error) {
+      console.error(`❌ Failed to create fee schedule for ${student.name}:`, error.message);
+      const result = resultByStudentId.get(student._id.toString());
+      if (result) result.feeScheduleError = error.message;
+    }
+  }
+
+  console.log(`📥 Imported ${created.length} of ${results.length} students into ${batch.name}`);
+  respond();
+});
+
 // @desc    Get students by department
 // @route   GET /api/students/department/:departmentId
 // @access  Private
@@ -707,16 +871,16 @@ const getStudentStats = async (req, res) => {
       total: totalAttendanceRecords,
       present: 0,
       absent: 0,
-      late: 0
+      late: 0,
+      excused: 0
     };
 
     attendanceStats.forEach(stat => {
       attendanceBreakdown[stat._id] = stat.count;
     });
 
-    const attendanceRate = totalAttendanceRecords > 0
-      ? Math.round((attendanceBreakdown.present / totalAttendanceRecords) * 100)
-      : 0;
+    const excusedPolicy = await getExcusedPolicy();
+    const attendanceRate = Math.round(summarizeAttendance(attendanceBreakdown, excusedPolicy).percentage);
 
     // Calculate fee information
     const feeInfo = {
@@ -772,6 +936,7 @@ const getStudentsOverview = async (req, res) => {
       .sort({ name: 1 });
 
     const studentsOverview = [];
+    const excusedPolicy = await getExcusedPolicy();
 
     for (const student of students) {
       const [attendanceCount, attendanceStats] = await Promise.all([
@@ -791,16 +956,15 @@ const getStudentsOverview = async (req, res) => {
         total: attendanceCount,
         present: 0,
         absent: 0,
-        late: 0
+        late: 0,
+        excused: 0
       };
 
       attendanceStats.forEach(stat => {
         attendanceBreakdown[stat._id] = stat.count;
       });
 
-      const attendanceRate = attendanceCount > 0
-        ? Math.round((attendanceBreakdown.present / attendanceCount) * 100)
-        : 0;
+      const attendanceRate = Math.round(summarizeAttendance(attendanceBreakdown, excusedPolicy).percentage);
 
       studentsOverview.push({
         _id: student._id,
@@ -893,6 +1057,174 @@ const getNextRollNumber = asyncHandler(async (req, res) => {
   });
 });
 
+// Generate a temporary portal password, e.g. STU0001@Rifad3028
+const generateStudentPassword = (studentId, fullName) => {
+  const firstName = fullName.trim().split(' ')[0];
+  const capitalizedFirstName = firstName.charAt(0).toUpperCase() + firstName.slice(1).toLowerCase();
+  const randomNumber = Math.floor(1000 + Math.random() * 9000);
+  return `${studentId}@${capitalizedFirstName}${randomNumber}`;
+};
+
+// Load a student and check the current user may manage their portal account
+const getManagedStudent = async (req, res) => {
+  const student = await Student.findById(req.params.id)
+    .populate('batch', 'name createdBy');
+
+  if (!student) {
+    res.status(404);
+    throw new Error('Student not found');
+  }
+
+  if (
+    req.user.role !== 'admin' &&
+    (!student.batch || student.batch.createdBy.toString() !== req.user._id.toString())
+  ) {
+    res.status(403);
+    throw new Error('Not authorized to manage this student account');
+  }
+
+  return student;
+};
+
+const formatAccount = (account) => (account ? {
+  exists: true,
+  _id: account._id,
+  email: account.email,
+  active: account.active,
+  lastLogin: account.lastLogin,
+  createdAt: account.createdAt,
+} : { exists: false });
+
+// @desc    Get student portal account status
+// @route   GET /api/students/:id/account
+// @access  Private/Teacher
+const getStudentAccount = asyncHandler(async (req, res) => {
+  const student = await getManagedStudent(req, res);
+  const account = await User.findOne({ student: student._id, role: 'student' });
+
+  res.json(formatAccount(account));
+});
+
+// @desc    Create student portal account
+// @route   POST /api/students/:id/account
+// @access  Private/Teacher
+const createStudentAccount = asyncHandler(async (req, res) => {
+  const student = await getManagedStudent(req, res);
+
+  if (!student.isActive) {
+    res.status(400);
+    throw new Error('Cannot create an account for an inactive student');
+  }
+
+  if (!student.studentId) {
+    res.status(400);
+    throw new Error('Student must have a Student ID before a portal account can be created');
+  }
+
+  const existingAccount = await User.findOne({ student: student._id, role: 'student' });
+  if (existingAccount) {
+    res.status(400);
+    throw new Error('Student already has a portal account');
+  }
+
+  const email = (req.body.email || student.email || '').toLowerCase().trim();
+  if (!email) {
+    res.status(400);
+    throw new Error('An email address is required to create a portal account');
+  }
+
+  const emailExists = await User.findOne({ email });
+  if (emailExists) {
+    res.status(400);
+    throw new Error('Email is already used by another account');
+  }
+
+  const password = generateStudentPassword(student.studentId, student.name);
+
+  const account = await User.create({
+    name: student.name,
+    email,
+    password,
+    role: 'student',
+    student: student._id,
+    phone: student.phone,
+  });
+
+  // Keep the student record's email in sync with the login email
+  if (!student.email) {
+    student.email = email;
+    await student.save();
+  }
+
+  let emailResult = { success: false, message: 'Email not attempted' };
+  try {
+    emailResult = await emailService.sendStudentWelcomeEmail({
+      name: student.name,
+      email,
+      studentId: student.studentId,
+      password,
+      batch: student.batch,
+    });
+  } catch (error) {
+    console.error('❌ Failed to send student welcome email:', error.message);
+  }
+
+  res.status(201).json({
+    ...formatAccount(account),
+    emailSent: emailResult.success,
+    // Only return the temporary password when it could not be emailed
+    ...(!emailResult.success && { temporaryPassword: password }),
+  });
+});
+
+// @desc    Activate/deactivate student portal account or reset its password
+// @route   PUT /api/students/:id/account
+// @access  Private/Teacher
+const updateStudentAccount = asyncHandler(async (req, res) => {
+  const student = await getManagedStudent(req, res);
+  const { active, resetPassword } = req.body;
+
+  const account = await User.findOne({ student: student._id, role: 'student' });
+  if (!account) {
+    res.status(404);
+    throw new Error('Student does not have a portal account');
+  }
+
+  if (active !== undefined) {
+    account.active = Boolean(active);
+    if (!account.active) {
+      // Force sign-out on next token refresh
+      account.refreshToken = undefined;
+    }
+  }
+
+  let password;
+  if (resetPassword) {
+    password = generateStudentPassword(student.studentId, student.name);
+    account.password = password;
+  }
+
+  await account.save();
+
+  let emailSent = false;
+  if (password) {
+    const emailResult = await emailService.sendStudentWelcomeEmail({
+      name: student.name,
+      email: account.email,
+      studentId: student.studentId,
+      password,
+      batch: student.batch,
+    });
+    emailSent = emailResult.success;
+  }
+
+  res.json({
+    ...formatAccount(account),
+    ...(password && { emailSent }),
+    ...(password && !emailSent && { temporaryPassword: password }),
+  });
+});
+
 module.exports = {
   createStudent,
   getStudents,
@@ -900,9 +1232,13 @@ module.exports = {
   updateStudent,
   deleteStudent,
   bulkCreateStudents,
+  importStudents,
   getStudentsByDepartment,
   getStudentsByBatch,
   getStudentStats,
   getStudentsOverview,
   getNextRollNumber,
+  getStudentAccount,
+  createStudentAccount,
+  updateStudentAccount,
 };
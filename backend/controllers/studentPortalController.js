@@ -0,0 +1,245 @@
+const asyncHandler = require('express-async-handler');
+const Attendance = require('../models/attendanceModel');
+const Booking = require('../models/bookingModel');
+const Project = require('../models/projectModel');
+const ProjectSubmission = require('../models/projectSubmissionModel');
+const Certificate = require('../models/certificateModel');
+const Notification = require('../models/notificationModel');
+const { getExcusedPolicy, summarizeAttendance } = require('../utils/attendancePolicy');
+const { renderCertificatePdf } = require('../utils/certificates');
+const { LATEST_FILTER } = require('../utils/submissionVersions');
+
+// Build a { $gte, $lte } filter from optional startDate/endDate query params
+const buildDateFilter = (startDate, endDate) => {
+  const dateFilter = {};
+  if (startDate) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    dateFilter.$gte = start;
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    dateFilter.$lte = end;
+  }
+  return dateFilter;
+};
+
+// @desc    Get dashboard summary for the logged-in student
+// @route   GET /api/student-portal/dashboard
+// @access  Private/Student
+const getStudentDashboard = asyncHandler(async (req, res) => {
+  const student = await req.student.populate([
+    { path: 'department', select: 'name' },
+    { path: 'course', select: 'name code' },
+    { path: 'batch', select: 'name timing startDate endDate isFinished' },
+  ]);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const [attendanceCounts, upcomingBookings, projects, submissions] = await Promise.all([
+    Attendance.aggregate([
+      { $match: { student: student._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    Booking.find({
+      student: student._id,
+      isActive: true,
+      status: 'booked',
+      date: { $gte: today },
+    })
+      .populate('pc', 'pcNumber row position')
+      .sort({ date: 1, timeSlot: 1 })
+      .limit(5),
+    Project.find({
+      batch: student.batch._id,
+      status: { $in: ['assigned', 'in_progress', 'completed'] },
+      isActive: true,
+    }).select('title deadlineDate status maxScore'),
+    ProjectSubmission.find({ student: student._id, ...LATEST_FILTER })
+      .select('project status finalScore submittedDate'),
+  ]);
+
+  const statusCounts = {};
+  attendanceCounts.forEach(({ _id, count }) => {
+    statusCounts[_id] = count;
+  });
+  const excusedPolicy = await getExcusedPolicy();
+  const summary = summarizeAttendance(statusCounts, excusedPolicy, { includeLate: true });
+  const attendance = {
+    present: summary.present,
+    absent: summary.absent,
+    late: summary.late,
+    excused: summary.excused,
+    total: summary.recordCount,
+    percentage: Math.round(summary.percentage),
+  };
+
+  const submittedProjectIds = new Set(submissions.map(sub => sub.project.toString()));
+  const pendingProjects = projects.filter(
+    project => project.status !== 'completed' && !submittedProjectIds.has(project._id.toString())
+  );
+
+  res.json({
+    student: {
+      _id: student._id,
+      name: student.name,
+      studentId: student.studentId,
+      rollNo: student.rollNo,
+      department: student.department,
+      course: student.course,
+      batch: student.batch,
+    },
+    attendance,
+    upcomingBookings,
+    projects: {
+      total: projects.length,
+      submitted: submissions.length,
+      pending: pendingProjects.length,
+      nextDeadline: pendingProjects
+        .map(project => project.deadlineDate)
+        .sort((a, b) => a - b)[0] || null,
+    },
+  });
+});
+
+// @desc    Get attendance records for the logged-in student
+// @route   GET /api/student-portal/attendance
+// @access  Private/Student
+const getMyAttendance = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const query = { student: req.student._id };
+  const dateFilter = buildDateFilter(startDate, endDate);
+  if (Object.keys(dateFilter).length > 0) {
+    query.date = dateFilter;
+  }
+
+  const [attendanceRecords, excusedPolicy] = await Promise.all([
+    Attendance.find(query)
+      .sort('-date')
+      .populate('batch', 'name timing')
+      .populate('markedBy', 'name')
+      .populate('leaveRequest', 'type reason startDate endDate'),
+    getExcusedPolicy(),
+  ]);
+
+  const summary = summarizeAttendance(attendanceRecords, excusedPolicy, { includeLate: true });
+
+  res.json({
+    records: attendanceRecords,
+    summary: {
+      present: summary.present,
+      absent: summary.absent,
+      late: summary.late,
+      excused: summary.excused,
+      total: summary.recordCount,
+      percentage: Math.round(summary.percentage),
+      excusedPolicy,
+    },
+  });
+});
+
+// @desc    Get lab bookings for the logged-in student
+// @route   GET /api/student-portal/lab-bookings
+// @access  Private/Student
+const getMyLabBookings = asyncHandler(async (req, res) => {
+  const { startDate, endDate, status } = req.query;
+
+  const query = { student: req.student._id, isActive: true };
+  const dateFilter = buildDateFilter(startDate, endDate);
+  if (Object.keys(dateFilter).length > 0) {
+    query.date = dateFilter;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const bookings = await Booking.find(query)
+    .populate('pc', 'pcNumber row position')
+    .populate('batch', 'name timing')
+    .select('-bookedBy')
+    .sort({ date: -1, timeSlot: 1 });
+
+  res.json(bookings);
+});
+
+// @desc    Get certificates issued to the logged-in student
+// @route   GET /api/student-portal/certificates
+// @access  Private/Student
+const getMyCertificates = asyncHandler(async (req, res) => {
+  const certificates = await Certificate.find({ student: req.student._id })
+    .select('serialNumber courseName courseCode batchName certificateName completionDate issuedAt status')
+    .sort({ issuedAt: -1 });
+
+  res.json(certificates);
+});
+
+// @desc    Download one of the logged-in student's certificates as PDF
+// @route   GET /api/student-portal/certificates/:id/pdf
+// @access  Private/Student
+const downloadMyCertificate = asyncHandler(async (req, res) => {
+  const certificate = await Certificate.findOne({
+    _id: req.params.id,
+    student: req.student._id,
+    status: 'issued',
+  });
+
+  if (!certificate) {
+    res.status(404);
+    throw new Error('Certificate not found');
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${certificate.serialNumber}.pdf"`);
+  res.send(renderCertificatePdf(certificate));
+});
+
+// @desc    Get notifications sent to the logged-in student
+// @route   GET /api/student-portal/notifications
+// @access  Private/Student
+const getMyNotifications = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const notifications = await Notification.getAllForStudent(req.user._id, limit);
+
+  const withReadStatus = notifications.map(notification => {
+    const { readBy, ...rest } = notification.toObject();
+    return { ...rest, isRead: notification.isReadBy(req.user._id) };
+  });
+
+  res.json({
+    notifications: withReadStatus,
+    unreadCount: withReadStatus.filter(notification => !notification.isRead).length,
+  });
+});
+
+// @desc    Mark a notification as read by the logged-in student
+// @route   PUT /api/student-portal/notifications/:id/read
+// @access  Private/Student
+const markMyNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    recipients: req.user._id,
+    status: 'sent',
+  });
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found');
+  }
+
+  await notification.markAsRead(req.user._id);
+
+  res.json({ message: 'Notification marked as read' });
+});
+
+module.exports = {
+  getStudentDashboard,
+  getMyAttendance,
+  getMyLabBookings,
+  getMyCertificates,
+  downloadMyCertificate,
+  getMyNotifications,
+  markMyNotificationRead,
+};
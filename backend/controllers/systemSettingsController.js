@@ -0,0 +1,231 @@
+const asyncHandler = require('express-async-handler');
+const SystemSetting = require('../models/systemSettingModel');
+const {
+  DEFAULT_SETTINGS,
+  getSettingDefinition,
+  validateSettingValue,
+} = require('../utils/systemSettings');
+
+// Merge stored documents with the defaults registry for one category
+const buildCategorySettings = (category, storedSettings) => {
+  const definitions = DEFAULT_SETTINGS[category] || {};
+
+  return Object.entries(definitions).map(([key, definition]) => {
+    const stored = storedSettings.find(s => s.category === category && s.key === key);
+    return {
+      category,
+      key,
+      value: stored ? stored.value : definition.value,
+      defaultValue: definition.value,
+      allowedValues: definition.allowedValues,
+      description: definition.description,
+      isDefault: !stored,
+      updatedBy: stored ? stored.updatedBy : null,
+      updatedAt: stored ? stored.updatedAt : null,
+    };
+  });
+};
+
+// Look up a setting definition or respond 404
+const requireDefinition = (req, res) => {
+  const { category, key } = req.params;
+  const definition = getSettingDefinition(category, key);
+
+  if (!definition) {
+    res.status(404);
+    throw new Error(`Unknown setting: ${category}.${key}`);
+  }
+
+  return definition;
+};
+
+// @desc    Get all settings
+// @route   GET /api/settings
+// @access  Private/Admin
+const getAllSettings = asyncHandler(async (req, res) => {
+  const storedSettings = await SystemSetting.find({})
+    .select('-history')
+    .populate('updatedBy', 'name');
+
+  const settings = Object.keys(DEFAULT_SETTINGS).reduce((acc, category) => {
+    acc[category] = buildCategorySettings(category, storedSettings);
+    return acc;
+  }, {});
+
+  res.json(settings);
+});
+
+// @desc    Get settings for a category
+// @route   GET /api/settings/category/:category
+// @access  Private/Admin
+const getSettingsByCategory = asyncHandler(async (req, res) => {
+  const { category } = req.params;
+
+  if (!DEFAULT_SETTINGS[category]) {
+    res.status(404);
+    throw new Error(`Unknown settings category: ${category}`);
+  }
+
+  const storedSettings = await SystemSetting.find({ category })
+    .select('-history')
+    .populate('updatedBy', 'name');
+
+  res.json(buildCategorySettings(category, storedSettings));
+});
+
+// @desc    Get a single setting value
+// @route   GET /api/settings/:category/:key
+// @access  Private
+const getSettingValue = asyncHandler(async (req, res) => {
+  const { category, key } = req.params;
+  const definition = requireDefinition(req, res);
+
+  const stored = await SystemSetting.findOne({ category, key }).select('value');
+
+  res.json({
+    category,
+    key,
+    value: stored ? stored.value : definition.value,
+    defaultValue: definition.value,
+    allowedValues: definition.allowedValues,
+    description: definition.description,
+    isDefault: !stored,
+  });
+});
+
+// @desc    Update a setting value
+// @route   PUT /api/settings/:category/:key
+// @access  Private/Admin
+const updateSettingValue = asyncHandler(async (req, res) => {
+  const { category, key } = req.params;
+  const { value, reason } = req.body;
+  const definition = requireDefinition(req, res);
+
+  const validationError = validateSettingValue(definition, value);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  let setting = await SystemSetting.findOne({ category, key });
+  if (!setting) {
+    setting = new SystemSetting({
+      category,
+      key,
+      description: definition.description,
+    });
+  }
+
+  setting.value = value;
+  setting.updatedBy = req.user._id;
+  setting.history.push({ value, changedBy: req.user._id, reason });
+  await setting.save();
+
+  console.log(`⚙️ Setting ${category}.${key} changed to ${JSON.stringify(value)} by ${req.user.name}`);
+
+  res.json({
+    category,
+    key,
+    value: setting.value,
+    defaultValue: definition.value,
+    isDefault: false,
+    updatedAt: setting.updatedAt,
+  });
+});
+
+// @desc    Reset a setting to its default value
+// @route   POST /api/settings/:category/:key/reset
+// @access  Private/Admin
+const resetSettingToDefault = asyncHandler(async (req, res) => {
+  const { category, key } = req.params;
+  const definition = requireDefinition(req, res);
+
+  const setting = await SystemSetting.findOne({ category, key });
+  if (setting) {
+    setting.value = definition.value;
+    setting.updatedBy = req.user._id;
+    setting.history.push({
+      value: definition.value,
+      changedBy: req.user._id,
+      reason: req.body.reason || 'Reset to default',
+    });
+    await setting.save();
+  }
+
+  res.json({
+    category,
+    key,
+    value: definition.value,
+    defaultValue: definition.value,
+    isDefault: true,
+  });
+});
+
+// @desc    Get change history of a setting
+// @route   GET /api/settings/:category/:key/history
+// @access  Private/Admin
+const getSettingHistory = asyncHandler(async (req, res) => {
+  const { category, key } = req.params;
+  requireDefinition(req, res);
+
+  const setting = await SystemSetting.findOne({ category, key })
+    .populate('history.changedBy', 'name email');
+
+  const history = setting ? [...setting.history].reverse() : [];
+  const limit = parseInt(req.query.limit) || history.length;
+
+  res.json(history.slice(0, limit));
+});
+
+// @desc    Create documents for all settings that still use defaults
+// @route   POST /api/settings/initialize
+// @access  Private/Admin
+const initializeDefaultSettings = asyncHandler(async (req, res) => {
+  let created = 0;
+
+  for (const [category, definitions] of Object.entries(DEFAULT_SETTINGS)) {
+    for (const [key, definition] of Object.entries(definitions)) {
+      const exists = await SystemSetting.exists({ category, key });
+      if (!exists) {
+        await SystemSetting.create({
+          category,
+          key,
+          value: definition.value,
+          description: definition.description,
+          updatedBy: req.user._id,
+        });
+        created++;
+      }
+    }
+  }
+
+  res.json({ message: `Initialized ${created} setting(s)`, created });
+});
+
+// @desc    Export effective settings as a flat object
+// @route   GET /api/settings/export
+// @access  Private/Admin
+const exportSettings = asyncHandler(async (req, res) => {
+  const storedSettings = await SystemSetting.find({}).select('category key value');
+
+  const exported = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(category => {
+    exported[category] = {};
+    buildCategorySettings(category, storedSettings).forEach(setting => {
+      exported[category][setting.key] = setting.value;
+    });
+  });
+
+  res.json({ exportedAt: new Date(), settings: exported });
+});
+
+module.exports = {
+  getAllSettings,
+  getSettingsByCategory,
+  getSettingValue,
+  updateSettingValue,
+  resetSettingToDefault,
+  getSettingHistory,
+  initializeDefaultSettings,
+  exportSettings,
+};
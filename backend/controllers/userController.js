@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Student = require('../models/studentModel');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const asyncHandler = require('express-async-handler');
 const { generateEmployeeId } = require('../utils/employeeIdGenerator');
 const emailService = require('../utils/emailService');
+const { getExcusedPolicy, summarizeAttendance } = require('../utils/attendancePolicy');
 
 // Password validation regex
 const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
@@ -111,21 +113,26 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new Error('Please provide email and password');
   }
 
-  // Normalize input - could be email or employee ID
+  // Normalize input - could be email, employee ID or student ID
   const normalizedInput = email.toLowerCase().trim();
 
-  // Check if input is email format or employee ID format
+  // Check if input is email format, employee ID format or student ID format
   const isEmail = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(normalizedInput);
   const isEmployeeId = /^(CADD|LW|DZ|SY)-\d{3}$/i.test(normalizedInput);
+  const isStudentId = /^[A-Z0-9]{3,20}$/i.test(normalizedInput);
 
   let searchQuery;
   if (isEmail) {
     searchQuery = { email: normalizedInput };
   } else if (isEmployeeId) {
     searchQuery = { employeeId: normalizedInput.toUpperCase() };
+  } else if (isStudentId) {
+    // Student portal accounts sign in with their Student ID
+    const studentRecord = await Student.findOne({ studentId: normalizedInput.toUpperCase() }).select('_id');
+    searchQuery = { student: studentRecord ? studentRecord._id : null, role: 'student' };
   } else {
     res.status(400);
-    throw new Error('Please provide a valid email address or Employee ID');
+    throw new Error('Please provide a valid email address, Employee ID or Student ID');
   }
 
   // Check for user and include password field
@@ -150,6 +157,16 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new Error('Account is inactive');
   }
 
+  // Student accounts are only usable while the linked student record is active
+  let linkedStudent = null;
+  if (user.role === 'student') {
+    linkedStudent = await Student.findById(user.student).select('name studentId rollNo batch isActive');
+    if (!linkedStudent || !linkedStudent.isActive) {
+      res.status(401);
+      throw new Error('Account is inactive');
+    }
+  }
+
   // Use the model's matchPassword method which handles failed attempts
   const isMatch = await user.matchPassword(password);
 
@@ -195,6 +212,14 @@ const loginUser = asyncHandler(async (req, res) => {
     name: user.name,
     email: user.email,
     role: user.role,
+    ...(linkedStudent && {
+      student: {
+        _id: linkedStudent._id,
+        studentId: linkedStudent.studentId,
+        rollNo: linkedStudent.rollNo,
+        batch: linkedStudent.batch
+      }
+    }),
     token: accessToken
   });
 });
@@ -218,6 +243,14 @@ const refreshToken = async (req, res) => {
       return res.status(401).json({ message: 'Invalid refresh token' });
     }
 
+    // Do not refresh sessions for deactivated student accounts
+    if (user.role === 'student') {
+      const linkedStudent = await Student.findById(user.student).select('isActive');
+      if (!user.active || !linkedStudent || !linkedStudent.isActive) {
+        return res.status(401).json({ message: 'Account is inactive' });
+      }
+    }
+
     // Generate new access token
     const accessToken = generateToken(user._id);
 
@@ -321,6 +354,15 @@ const getUserProfile = async (req, res) => {
       profileData.specialization = user.specialization;
     }
 
+    // Add linked student record if user is a student
+    if (user.role === 'student') {
+      profileData.student = await Student.findById(user.student)
+        .select('name studentId rollNo email phone admissionDate department course batch')
+        .populate('department', 'name')
+        .populate('course', 'name code')
+        .populate('batch', 'name timing startDate endDate');
+    }
+
     res.json(profileData);
   } catch (error) {
     generateAlert(SecurityEventType.SYSTEM_ERROR, {
@@ -365,8 +407,8 @@ const updateUserProfile = async (req, res) => {
       }
     }
 
-    // Update allowed fields
-    if (name) user.name = name.trim();
+    // Update allowed fields (student names are managed through the student record)
+    if (name && user.role !== 'student') user.name = name.trim();
     if (email) user.email = email.toLowerCase().trim();
 
     // Teacher-specific fields (only if user is a teacher)
@@ -1606,7 +1648,8 @@ const getTeacherStats = async (req, res) => {
       total: 0,
       present: 0,
       absent: 0,
-      late: 0
+      late: 0,
+      excused: 0
     };
 
     recentAttendance.forEach(stat => {
@@ -1614,9 +1657,10 @@ const getTeacherStats = async (req, res) => {
       attendanceStats[stat._id] = stat.count;
     });
 
-    attendanceStats.presentPercentage = attendanceStats.total > 0
-      ? Math.round((attendanceStats.present / attendanceStats.total) * 100)
-      : 0;
+    const excusedPolicy = await getExcusedPolicy();
+    attendanceStats.presentPercentage = Math.round(
+      summarizeAttendance(attendanceStats, excusedPolicy).percentage
+    );
 
     const stats = {
       batches: {
@@ -1767,12 +1811,15 @@ const getTeacherAttendanceExport = async (req, res) => {
 
     // Get start and end dates for the month
     const startDate = new Date(targetYear, targetMonth - 1, 1);
-    const endDate = new Date(targetYear, targetMonth, 0);
+    const endDate = new Date(targetYear, targetMonth, 0, 23, 59, 59, 999);
 
     // Get all batches created by this teacher
     const Batch = require('../models/batchModel');
     const Student = require('../models/studentModel');
     const Attendance = require('../models/attendanceModel');
+    const { toDateKey, loadHolidays, buildWorkingCalendar } = require('../utils/workingCalendar');
+
+    const holidays = await loadHolidays({ startDate, endDate });
 
     const batches = await Batch.find({ createdBy: id })
       .populate({
@@ -1818,7 +1865,7 @@ const getTeacherAttendanceExport = async (req, res) => {
       // Create attendance map for quick lookup
       const attendanceMap = {};
       attendanceRecords.forEach(record => {
-        const dateKey = record.date.toISOString().split('T')[0];
+        const dateKey = toDateKey(record.date);
         const studentId = record.student._id.toString();
 
         if (!attendanceMap[dateKey]) {
@@ -1827,17 +1874,14 @@ const getTeacherAttendanceExport = async (req, res) => {
         attendanceMap[dateKey][studentId] = record.status;
       });
 
-      // Generate days array for the month
-      const daysInMonth = new Date(targetYear, targetMonth, 0).getDate();
-      const days = [];
-      for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(targetYear, targetMonth - 1, day);
-        days.push({
-          day: day,
-          date: date.toISOString().split('T')[0],
-          dayName: date.toLocaleDateString('en-US', { weekday: 'short' })
-        });
-      }
+      // Generate working days of the month for this batch's department
+      const calendar = buildWorkingCalendar(holidays, batch.course?.department?._id);
+      const days = calendar.getWorkingDays(startDate, endDate).map(date => ({
+        day: date.getDate(),
+        date: toDateKey(date),
+        dayName: date.toLocaleDateString('en-US', { weekday: 'short' })
+      }));
+      const closedDays = calendar.getClosedDays(startDate, endDate);
 
       // Process student attendance data
       const studentAttendance = students.map(student => {
@@ -1847,10 +1891,15 @@ const getTeacherAttendanceExport = async (req, res) => {
             date: day.date,
             day: day.day,
             status: status || '', // Empty if no attendance record
-            displayStatus: status ? (status === 'present' ? 'P' : status === 'absent' ? 'A' : 'L') : ''
+            displayStatus: status ? ({ present: 'P', absent: 'A', late: 'L', excused: 'E' }[status] || '') : ''
           };
         });
 
+        const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+        attendance.forEach(({ status }) => {
+          if (counts[status] !== undefined) counts[status]++;
+        });
+
         return {
           student: {
             id: student._id,
@@ -1858,7 +1907,8 @@ const getTeacherAttendanceExport = async (req, res) => {
             rollNo: student.rollNo,
             email: student.email
           },
-          attendance: attendance
+          attendance: attendance,
+          summary: counts
         };
       });
 
@@ -1873,6 +1923,8 @@ const getTeacherAttendanceExport = async (req, res) => {
           academicYear: batch.academicYear
         },
         days: days,
+        workingDays: days.length,
+        closedDays: closedDays,
         students: studentAttendance,
         totalStudents: students.length
       });
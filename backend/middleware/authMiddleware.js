@@ -1,6 +1,44 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/userModel');
+const Student = require('../models/studentModel');
+
+// Endpoints a student portal account may reach. Everything else that only
+// sits behind `protect` is staff-facing and is rejected for students here,
+// so individual route files do not need to opt out one by one.
+const STUDENT_ALLOWED_ROUTES = [
+  { method: 'GET', path: /^\/api\/users\/profile$/ },
+  { method: 'PUT', path: /^\/api\/users\/profile$/ },
+  { method: 'PUT', path: /^\/api\/users\/change-password$/ },
+  { method: 'POST', path: /^\/api\/users\/(request|verify)-password-change-otp$/ },
+  { method: 'PUT', path: /^\/api\/users\/verify-otp-change-password$/ },
+  { method: '*', path: /^\/api\/student-portal(\/.*)?$/ },
+  { method: 'GET', path: /^\/api\/projects\/my-projects$/ },
+  { method: 'GET', path: /^\/api\/projects\/[a-f\d]{24}$/i },
+  { method: 'POST', path: /^\/api\/projects\/[a-f\d]{24}\/submit$/i },
+  { method: 'GET', path: /^\/api\/projects\/[a-f\d]{24}\/teams$/i },
+  { method: 'POST', path: /^\/api\/projects\/[a-f\d]{24}\/teams$/i },
+  { method: 'PUT', path: /^\/api\/projects\/[a-f\d]{24}\/teams\/[a-f\d]{24}\/(join|leave)$/i },
+  { method: 'POST', path: /^\/api\/projects\/[a-f\d]{24}\/team-files$/i },
+  { method: 'GET', path: /^\/api\/projects\/[a-f\d]{24}\/peer-evaluation$/i },
+  { method: 'PUT', path: /^\/api\/projects\/[a-f\d]{24}\/peer-evaluation$/i },
+  { method: 'GET', path: /^\/api\/projects\/submissions\/[a-f\d]{24}$/i },
+  { method: 'GET', path: /^\/api\/projects\/submissions\/[a-f\d]{24}\/versions$/i },
+  { method: 'GET', path: /^\/api\/projects\/submissions\/[a-f\d]{24}\/download\/[^/]+$/i },
+  { method: 'GET', path: /^\/api\/projects\/submissions\/[a-f\d]{24}\/files\/[^/]+\/url$/i },
+  { method: 'GET', path: /^\/api\/lab\/time-slots$/ },
+  { method: 'GET', path: /^\/api\/leave-requests$/ },
+  { method: 'POST', path: /^\/api\/leave-requests$/ },
+  { method: 'GET', path: /^\/api\/leave-requests\/[a-f\d]{24}$/i },
+  { method: 'PUT', path: /^\/api\/leave-requests\/[a-f\d]{24}\/cancel$/i },
+];
+
+const isStudentRouteAllowed = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+  return STUDENT_ALLOWED_ROUTES.some(
+    (route) => (route.method === '*' || route.method === req.method) && route.path.test(path)
+  );
+};
 
 // Protect routes
 const protect = async (req, res, next) => {
@@ -59,6 +97,27 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Student accounts: attach the linked student record and restrict scope
+    if (user.role === 'student') {
+      const student = await Student.findById(user.student);
+
+      if (!student || !student.isActive) {
+        return res.status(401).json({
+          message: 'Student record not found or inactive',
+          error: 'StudentNotFoundOrInactive'
+        });
+      }
+
+      if (!isStudentRouteAllowed(req)) {
+        return res.status(403).json({
+          message: 'Not authorized to access this resource',
+          error: 'StudentAccessDenied'
+        });
+      }
+
+      req.student = student;
+    }
+
     // Attach user to request
     req.user = user;
     next();
@@ -158,6 +217,18 @@ const teacher = (req, res, next) => {
   }
 };
 
+// Student middleware
+const student = (req, res, next) => {
+  if (req.user && req.user.role === 'student' && req.student) {
+    next();
+  } else {
+    return res.status(403).json({
+      message: 'Not authorized as a student',
+      error: 'StudentAccessRequired'
+    });
+  }
+};
+
 // Lab access middleware (admin or teacher)
 const labAccess = (req, res, next) => {
   if (req.user && (req.user.role === 'admin' || req.user.role === 'teacher')) {
@@ -175,5 +246,6 @@ module.exports = {
   verifyRefreshToken,
   admin, 
   teacher, 
+  student,
   labAccess 
 };
@@ -0,0 +1,99 @@
+/**
+ * Idempotency-Key support for write endpoints
+ *
+ * A client that may send the same write twice (the offline sync queue
+ * replays requests whose response it never saw) sends an Idempotency-Key
+ * header. The first request with a key runs normally and its response is
+ * stored; a repeat gets the stored response back with an
+ * Idempotent-Replayed header instead of running again.
+ *
+ * Requests without the header are not affected.
+ */
+
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const IdempotencyKey = require('../models/idempotencyKeyModel');
+
+// How long a key is remembered
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ method: req.method, path: req.originalUrl.split('?')[0], body: req.body || {} }))
+  .digest('hex');
+
+// Must run after protect: keys are scoped to the signed-in user
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    res.status(400);
+    throw new Error('Idempotency-Key is too long');
+  }
+
+  const requestHash = hashRequest(req);
+  const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+  if (existing) {
+    if (existing.requestHash !== requestHash) {
+      res.status(422);
+      throw new Error('This Idempotency-Key was already used for a different request');
+    }
+    if (existing.state === 'processing') {
+      res.status(409).set('Retry-After', '1');
+      throw new Error('A request with this Idempotency-Key is still being processed');
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.response);
+  }
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    // Another request with the same key got in first
+    if (error.code === 11000) {
+      res.status(409).set('Retry-After', '1');
+      throw new Error('A request with this Idempotency-Key is still being processed');
+    }
+    throw error;
+  }
+
+  // Keep the response for repeats. Server errors are not kept so the
+  // client can retry with the same key.
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const settle = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { state: 'completed', statusCode: res.statusCode, response: body }
+      );
+    settle.catch(error => console.error('Failed to store idempotent response:', error.message));
+    return json(body);
+  };
+
+  // A request that ends without a JSON body must not leave the key stuck
+  // in "processing"
+  res.on('close', () => {
+    if (!settled) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error('Failed to release idempotency key:', error.message));
+    }
+  });
+
+  next();
+});
+
+module.exports = { idempotent };
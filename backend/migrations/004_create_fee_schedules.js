@@ -0,0 +1,126 @@
+/**
+ * Migration: Create Fee Schedules
+ *
+ * Moves existing students from the hand-edited feesPaid / totalFees fields
+ * to the fee ledger.
+ *
+ * Changes:
+ * 1. Create an installment schedule for every student without one. The
+ *    student's existing totalFees is kept when set, otherwise the course fee is used
+ * 2. Record any existing feesPaid as a single "opening balance" payment
+ * 3. Re-derive feesPaid / totalFees / paymentStatus from the ledger
+ *
+ * Run this migration after deploying the fee ledger models
+ */
+
+const mongoose = require('mongoose');
+const Student = require('../models/studentModel');
+const Course = require('../models/courseModel');
+const FeeSchedule = require('../models/feeScheduleModel');
+const FeePayment = require('../models/feePaymentModel');
+const {
+  buildInstallmentSchedule,
+  recalculateStudentFees,
+  generateReceiptNumber,
+} = require('../utils/feeLedger');
+
+const OPENING_BALANCE_REFERENCE = 'OPENING-BALANCE';
+
+async function up() {
+  try {
+    console.log('🔄 Starting fee schedule migration...');
+
+    const existing = await FeeSchedule.distinct('student');
+    const students = await Student.find({ _id: { $nin: existing } })
+      .select('name course admissionDate feesPaid totalFees');
+
+    console.log(`📊 Found ${students.length} students without a fee schedule`);
+
+    const courses = new Map(
+      (await Course.find({}).select('fees duration').lean()).map(course => [course._id.toString(), course])
+    );
+
+    let created = 0;
+    let openingBalances = 0;
+    let skipped = 0;
+
+    for (const student of students) {
+      const course = courses.get(student.course?.toString());
+      if (!course) {
+        console.log(`   ⚠️  Skipping ${student.name}: course not found`);
+        skipped++;
+        continue;
+      }
+
+      const legacyTotal = Number(student.totalFees) || 0;
+      const legacyPaid = Number(student.feesPaid) || 0;
+      const fees = { ...course.fees };
+      if (legacyTotal > 0) {
+        fees.amount = Math.max(legacyTotal, legacyPaid);
+      }
+
+      const schedule = buildInstallmentSchedule(
+        { fees, duration: course.duration },
+        student.admissionDate || student._id.getTimestamp()
+      );
+
+      await FeeSchedule.create({
+        student: student._id,
+        course: course._id,
+        ...schedule,
+        notes: legacyTotal > 0 ? 'Migrated from existing student fee totals' : undefined,
+      });
+      created++;
+
+      if (legacyPaid > 0) {
+        const paidAt = student.admissionDate || student._id.getTimestamp();
+        await FeePayment.create({
+          student: student._id,
+          amount: legacyPaid,
+          mode: 'other',
+          reference: OPENING_BALANCE_REFERENCE,
+          paidAt,
+          receiptNumber: await generateReceiptNumber(paidAt),
+          notes: 'Fees paid before the fee ledger was introduced',
+        });
+        openingBalances++;
+      }
+
+      await recalculateStudentFees(student._id);
+    }
+
+    console.log('📊 Migration verification:');
+    console.log(`   - Schedules created: ${created}`);
+    console.log(`   - Opening balance payments: ${openingBalances}`);
+    console.log(`   - Students skipped: ${skipped}`);
+
+    console.log('✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  try {
+    console.log('🔄 Rolling back fee schedule migration...');
+
+    // Student feesPaid / totalFees are left as last derived from the ledger
+    const db = mongoose.connection.db;
+
+    const payments = await db.collection('feepayments').deleteMany({});
+    console.log(`🗑️  Removed ${payments.deletedCount} fee payments`);
+
+    const schedules = await db.collection('feeschedules').deleteMany({});
+    console.log(`🗑️  Removed ${schedules.deletedCount} fee schedules`);
+
+    console.log('✅ Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,117 @@
+/**
+ * Migration: Batch Schedules
+ *
+ * Moves batch timings from the fixed list of five strings to the institute
+ * time slots kept in LabInfo.
+ *
+ * Changes:
+ * 1. Seed LabInfo.timeSlots with the five standard slots. The placeholder
+ *    Morning / Afternoon / Evening slots of older installs were never used
+ *    and are replaced
+ * 2. Add a slot for any batch timing that is not covered yet
+ * 3. Link every batch to its slot and give it a Monday to Saturday schedule
+ *
+ * Run this migration after deploying the batch schedule model
+ */
+
+const mongoose = require('mongoose');
+const Batch = require('../models/batchModel');
+const {
+  DEFAULT_TIME_SLOTS,
+  toMinutes,
+  formatSlotLabel,
+  parseSlotLabel,
+  getLabInfoDocument,
+} = require('../utils/timeSlots');
+
+const DEFAULT_WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+const withDuration = (slot) => ({
+  ...slot,
+  duration: toMinutes(slot.endTime) - toMinutes(slot.startTime),
+  isActive: true,
+});
+
+async function up() {
+  try {
+    console.log('🔄 Starting batch schedule migration...');
+
+    const labInfo = await getLabInfoDocument();
+    const timings = (await Batch.distinct('timing')).filter(Boolean);
+    const defaultLabels = new Set(DEFAULT_TIME_SLOTS.map(formatSlotLabel));
+
+    const inUse = labInfo.timeSlots.some(slot => {
+      const label = formatSlotLabel(slot);
+      return defaultLabels.has(label) || timings.includes(label);
+    });
+    if (!inUse) {
+      labInfo.timeSlots = DEFAULT_TIME_SLOTS.map(withDuration);
+      console.log(`✅ Seeded ${DEFAULT_TIME_SLOTS.length} standard time slots`);
+    }
+
+    const labels = new Set(labInfo.timeSlots.map(formatSlotLabel));
+    for (const timing of timings) {
+      if (labels.has(timing)) continue;
+
+      const times = parseSlotLabel(timing);
+      if (!times) {
+        console.log(`   ⚠️  Cannot read batch timing "${timing}", leaving it unlinked`);
+        continue;
+      }
+      labInfo.timeSlots.push(withDuration({ name: timing, ...times }));
+      labels.add(timing);
+      console.log(`✅ Added time slot for batch timing ${timing}`);
+    }
+    await labInfo.save();
+
+    const slotByLabel = new Map(labInfo.timeSlots.map(slot => [formatSlotLabel(slot), slot._id]));
+    const batches = await Batch.find({}).select('timing schedule');
+
+    let linked = 0;
+    let unlinked = 0;
+    for (const batch of batches) {
+      const slotId = slotByLabel.get(batch.timing);
+      const weekdays = batch.schedule?.weekdays?.length ? batch.schedule.weekdays : DEFAULT_WEEKDAYS;
+
+      await Batch.updateOne(
+        { _id: batch._id },
+        { $set: { 'schedule.slot': slotId || null, 'schedule.weekdays': weekdays } }
+      );
+      if (slotId) {
+        linked++;
+      } else {
+        unlinked++;
+      }
+    }
+
+    console.log('📊 Migration verification:');
+    console.log(`   - Time slots configured: ${labInfo.timeSlots.length}`);
+    console.log(`   - Batches linked to a slot: ${linked}`);
+    console.log(`   - Batches left unlinked: ${unlinked}`);
+
+    console.log('✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  try {
+    console.log('🔄 Rolling back batch schedule migration...');
+
+    // Batch timing labels are untouched, only the schedule link is removed
+    const db = mongoose.connection.db;
+    const result = await db.collection('batches').updateMany({}, { $unset: { schedule: '' } });
+    console.log(`🗑️  Removed schedules from ${result.modifiedCount} batches`);
+
+    console.log('✅ Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,111 @@
+/**
+ * Migration: Submission Versions
+ *
+ * A student who gets a submission returned for revision resubmits it as a
+ * new document linked to the old one, so one project and student can now
+ * have several submissions.
+ *
+ * Changes:
+ * 1. Drop the unique index on { project, student }
+ * 2. Create a unique index on { project, student, version }
+ * 3. Mark existing submissions as the latest, counted version
+ *
+ * Run this migration after updating the ProjectSubmission model
+ */
+
+const mongoose = require('mongoose');
+
+async function up() {
+  try {
+    console.log('🔄 Starting submission versions migration...');
+
+    const db = mongoose.connection.db;
+    const collection = db.collection('projectsubmissions');
+
+    const indexes = await collection.indexes();
+    console.log('📋 Current indexes:', indexes.map(idx => ({ name: idx.name, key: idx.key, unique: idx.unique })));
+
+    const oldIndex = indexes.find(idx =>
+      idx.unique === true && idx.key && Object.keys(idx.key).join(',') === 'project,student'
+    );
+
+    if (oldIndex) {
+      console.log(`🗑️  Dropping unique index ${oldIndex.name}...`);
+      await collection.dropIndex(oldIndex.name);
+      console.log('✅ Successfully dropped old submission index');
+    } else {
+      console.log('ℹ️  Unique project/student index not found');
+    }
+
+    const versionIndex = indexes.find(idx =>
+      idx.unique === true && idx.key && Object.keys(idx.key).join(',') === 'project,student,version'
+    );
+
+    if (!versionIndex) {
+      console.log('🔧 Creating unique index on project, student and version...');
+      await collection.createIndex(
+        { project: 1, student: 1, version: 1 },
+        { unique: true, name: 'project_1_student_1_version_1' }
+      );
+      console.log('✅ Successfully created version index');
+    } else {
+      console.log('ℹ️  Version index already exists');
+    }
+
+    const result = await collection.updateMany(
+      { isLatest: { $exists: false } },
+      { $set: { isLatest: true, isCounted: true } }
+    );
+    console.log(`📝 Marked ${result.modifiedCount} existing submissions as the latest version`);
+
+    console.log('✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  try {
+    console.log('🔄 Rolling back submission versions migration...');
+
+    const db = mongoose.connection.db;
+    const collection = db.collection('projectsubmissions');
+
+    // The old index only allows one document per project and student
+    const resubmitted = await collection.countDocuments({ version: { $gt: 1 } });
+    if (resubmitted > 0) {
+      throw new Error(`${resubmitted} resubmitted versions exist; remove them before rolling back`);
+    }
+
+    console.log('🗑️  Dropping version index...');
+    try {
+      await collection.dropIndex('project_1_student_1_version_1');
+      console.log('✅ Successfully dropped version index');
+    } catch (error) {
+      if (error.code === 27) {
+        console.log('ℹ️  Version index not found (already dropped)');
+      } else {
+        throw error;
+      }
+    }
+
+    console.log('🔧 Recreating unique index on project and student...');
+    await collection.createIndex(
+      { project: 1, student: 1 },
+      { unique: true, name: 'project_1_student_1' }
+    );
+    console.log('✅ Successfully recreated submission index');
+
+    await collection.updateMany({}, { $unset: { isLatest: '', isCounted: '', returnedBy: '', returnedDate: '' } });
+
+    console.log('✅ Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,161 @@
+/**
+ * Migration: Submission File Storage
+ *
+ * Submission files used to be written to backend/uploads/projects and
+ * referenced by their absolute path on the server. Files now go through a
+ * storage driver (STORAGE_DRIVER=local|s3) and are referenced by a storage
+ * key with a SHA-256 checksum.
+ *
+ * Changes:
+ * 1. Copy every file that is not yet in the configured storage into it,
+ *    under the key "projects/<fileName>"
+ * 2. Record the key, driver and checksum on every submission holding the
+ *    file (team members share files)
+ * 3. Re-hash files that were already migrated and report any that are
+ *    missing or no longer match their checksum
+ *
+ * Run it from a machine that still has the old uploads directory, with the
+ * storage settings of the target deployment. It is safe to run again.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { getStorage, getUploadRoot, hashFile, verifyFile } = require('../utils/fileStorage');
+
+// Where a file written by the old upload code may be
+const findLegacyFile = async (file) => {
+  const candidates = [
+    path.isAbsolute(file.filePath) ? file.filePath : path.join(getUploadRoot(), file.filePath),
+    path.join(getUploadRoot(), 'projects', file.fileName),
+    path.join(__dirname, '..', 'uploads', 'projects', file.fileName),
+  ];
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch (error) {
+      // try the next location
+    }
+  }
+  return null;
+};
+
+async function up() {
+  try {
+    console.log('🔄 Starting submission file storage migration...');
+
+    const target = getStorage();
+    console.log(`📦 Target storage: ${target.name}`);
+
+    const collection = mongoose.connection.db.collection('projectsubmissions');
+
+    // Team copies hold the same files, so work per file name
+    const files = await collection.aggregate([
+      { $unwind: '$files' },
+      { $group: { _id: '$files.fileName', file: { $first: '$files' } } },
+    ]).toArray();
+    console.log(`📋 Found ${files.length} stored files`);
+
+    const counts = { migrated: 0, verified: 0, missing: 0, mismatched: 0 };
+
+    for (const { file } of files) {
+      const key = `projects/${file.fileName}`;
+
+      if (file.storage === target.name && file.filePath === key && file.checksum) {
+        const result = await verifyFile(file);
+        if (result.missing) {
+          counts.missing += 1;
+          console.log(`⚠️  Missing from ${target.name} storage: ${key}`);
+        } else if (!result.ok) {
+          counts.mismatched += 1;
+          console.log(`❌ Checksum mismatch: ${key}`);
+        } else {
+          counts.verified += 1;
+        }
+        continue;
+      }
+
+      const source = await findLegacyFile(file);
+      if (!source) {
+        counts.missing += 1;
+        console.log(`⚠️  File not found on disk: ${file.fileName} (${file.originalName})`);
+        continue;
+      }
+
+      const checksum = await hashFile(source);
+      if (file.checksum && file.checksum !== checksum) {
+        counts.mismatched += 1;
+        console.log(`❌ Checksum mismatch, not migrated: ${file.fileName}`);
+        continue;
+      }
+
+      // Drivers move the file they are given, so hand them a copy and
+      // leave the original in place
+      const tempPath = path.join(os.tmpdir(), `migrate-${file.fileName}`);
+      await fs.copyFile(source, tempPath);
+      await target.put(key, tempPath, {
+        size: file.fileSize,
+        contentType: file.fileType,
+        checksum,
+      });
+
+      await collection.updateMany(
+        { 'files.fileName': file.fileName },
+        {
+          $set: {
+            'files.$[entry].filePath': key,
+            'files.$[entry].storage': target.name,
+            'files.$[entry].checksum': checksum,
+          },
+        },
+        { arrayFilters: [{ 'entry.fileName': file.fileName }] }
+      );
+      counts.migrated += 1;
+    }
+
+    console.log(`📝 Migrated ${counts.migrated}, verified ${counts.verified}, missing ${counts.missing}, mismatched ${counts.mismatched}`);
+    if (counts.missing > 0 || counts.mismatched > 0) {
+      console.log('⚠️  Some files could not be migrated; their downloads will return 404');
+    }
+
+    console.log('✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  try {
+    console.log('🔄 Rolling back submission file storage migration...');
+
+    const collection = mongoose.connection.db.collection('projectsubmissions');
+
+    // The old code can only read files from local disk
+    const remote = await collection.countDocuments({ 'files.storage': { $nin: ['local', null] } });
+    if (remote > 0) {
+      throw new Error(`${remote} submissions have files in remote storage; copy them to local disk before rolling back`);
+    }
+
+    const submissions = await collection.find({ 'files.0': { $exists: true } }).toArray();
+    for (const submission of submissions) {
+      const files = submission.files.map(({ storage, checksum, ...file }) => ({
+        ...file,
+        filePath: path.isAbsolute(file.filePath) ? file.filePath : path.join(getUploadRoot(), file.filePath),
+      }));
+      await collection.updateOne({ _id: submission._id }, { $set: { files } });
+    }
+    console.log(`📝 Restored absolute file paths on ${submissions.length} submissions`);
+
+    console.log('✅ Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
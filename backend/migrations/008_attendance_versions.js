@@ -0,0 +1,56 @@
+/**
+ * Migration: Attendance Versions
+ *
+ * Attendance records carry a version number that every write bumps, so an
+ * offline change replayed after someone else edited the same record is
+ * reported as a conflict instead of silently overwriting it.
+ *
+ * Changes:
+ * 1. Set version 1 on every attendance record that has none
+ *
+ * Run this migration after updating the Attendance model
+ */
+
+const mongoose = require('mongoose');
+
+async function up() {
+  try {
+    console.log('🔄 Starting attendance versions migration...');
+
+    const collection = mongoose.connection.db.collection('attendances');
+
+    const result = await collection.updateMany(
+      { version: { $exists: false } },
+      { $set: { version: 1 } }
+    );
+    console.log(`📝 Set version 1 on ${result.modifiedCount} attendance records`);
+
+    console.log('✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  try {
+    console.log('🔄 Rolling back attendance versions migration...');
+
+    const collection = mongoose.connection.db.collection('attendances');
+
+    const result = await collection.updateMany(
+      { version: { $exists: true } },
+      { $unset: { version: '' } }
+    );
+    console.log(`📝 Removed version from ${result.modifiedCount} attendance records`);
+
+    console.log('✅ Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+/**
+ * Migration: Notification Delivery
+ *
+ * Notifications are now delivered through the job queue and can be
+ * scheduled, so dashboards only show notifications with status `sent`.
+ *
+ * Changes:
+ * 1. Mark existing notifications as sent, at their creation time
+ *
+ * Run this migration after updating the Notification model
+ */
+
+const mongoose = require('mongoose');
+
+async function up() {
+  try {
+    console.log('🔄 Starting notification delivery migration...');
+
+    const collection = mongoose.connection.db.collection('notifications');
+
+    const result = await collection.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'sent', sentAt: '$createdAt' } }]
+    );
+    console.log(`📝 Marked ${result.modifiedCount} existing notifications as sent`);
+
+    console.log('✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  try {
+    console.log('🔄 Rolling back notification delivery migration...');
+
+    const collection = mongoose.connection.db.collection('notifications');
+
+    const result = await collection.updateMany(
+      { status: 'sent', scheduledFor: { $exists: false }, parent: { $exists: false } },
+      { $unset: { status: '', sentAt: '' } }
+    );
+    console.log(`📝 Removed delivery status from ${result.modifiedCount} notifications`);
+
+    console.log('✅ Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
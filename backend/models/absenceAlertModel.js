@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One delivery attempt of an absence alert, kept as the alert log
+const absenceAlertSchema = mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AbsenceAlertRule',
+      required: true,
+    },
+    // Copied from the rule so the log still reads after it changes
+    ruleName: {
+      type: String,
+    },
+    ruleType: {
+      type: String,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch',
+    },
+    // What set the rule off (e.g. the first day of an absence streak);
+    // a student is alerted once per trigger, recipient and channel
+    triggerKey: {
+      type: String,
+      required: true,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    recipientType: {
+      type: String,
+      enum: ['guardian', 'teacher'],
+      required: true,
+    },
+    recipientName: {
+      type: String,
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms'],
+      required: true,
+    },
+    transport: {
+      type: String,
+    },
+    to: {
+      type: String,
+    },
+    subject: {
+      type: String,
+    },
+    message: {
+      type: String,
+    },
+    // skipped: the recipient has no address for this channel
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+absenceAlertSchema.index({ rule: 1, student: 1, triggerKey: 1 });
+absenceAlertSchema.index({ student: 1, createdAt: -1 });
+absenceAlertSchema.index({ batch: 1, createdAt: -1 });
+absenceAlertSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AbsenceAlert', absenceAlertSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A condition on a student's attendance that should alert the guardian
+// and/or batch teacher, checked by the absence alert job
+const absenceAlertRuleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a rule name'],
+      trim: true,
+      maxlength: [100, 'Rule name cannot be more than 100 characters'],
+    },
+    // consecutive_absences: `threshold` absences in a row
+    // low_attendance: below `threshold` percent over the last `windowDays`
+    // absent_without_leave: absent in the last `windowDays` with no leave
+    //   request submitted beforehand
+    type: {
+      type: String,
+      required: true,
+      enum: ['consecutive_absences', 'low_attendance', 'absent_without_leave'],
+    },
+    threshold: {
+      type: Number,
+      min: [0, 'Threshold cannot be negative'],
+    },
+    windowDays: {
+      type: Number,
+      min: [1, 'Window must be at least 1 day'],
+      max: [365, 'Window cannot be more than 365 days'],
+    },
+    // Low attendance is only judged once a student has this many sessions
+    // in the window, so one early absence is not reported as 0%
+    minSessions: {
+      type: Number,
+      default: 5,
+      min: [1, 'Minimum sessions must be at least 1'],
+    },
+    // A student still matching a low attendance rule is alerted again
+    // after this many days
+    repeatAfterDays: {
+      type: Number,
+      default: 7,
+      min: [1, 'Repeat interval must be at least 1 day'],
+      max: [365, 'Repeat interval cannot be more than 365 days'],
+    },
+    recipients: [{
+      type: String,
+      enum: ['guardian', 'teacher'],
+    }],
+    channels: [{
+      type: String,
+      enum: ['email', 'sms'],
+    }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+absenceAlertRuleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('AbsenceAlertRule', absenceAlertRuleSchema);
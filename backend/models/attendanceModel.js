@@ -20,9 +20,15 @@ const attendanceSchema = mongoose.Schema(
     status: {
       type: String,
       required: [true, 'Please add a status'],
-      enum: ['present', 'absent', 'late'],
+      enum: ['present', 'absent', 'late', 'excused'],
       default: 'present',
     },
+    // Approved leave request that excused this session
+    leaveRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeaveRequest',
+      default: null,
+    },
     markedBy: {
       type: mongoose.Schema.Types.ObjectId,
       required: true,
@@ -32,6 +38,13 @@ const attendanceSchema = mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Bumped on every write. Clients send the version they last saw so a
+    // change made in the meantime (e.g. by an admin while a teacher was
+    // offline) is reported as a conflict instead of being overwritten.
+    version: {
+      type: Number,
+      default: 1,
+    },
   },
   {
     timestamps: true,
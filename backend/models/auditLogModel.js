@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = mongoose.Schema(
+  {
+    // What was changed
+    entityType: {
+      type: String,
+      required: true,
+      enum: ['attendance', 'submission', 'feeSchedule', 'feePayment'],
+    },
+    entity: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ['create', 'update', 'void'],
+    },
+    // Field values before and after the change
+    changes: [{
+      _id: false,
+      field: {
+        type: String,
+        required: true,
+      },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    }],
+    // Why the change was made, when it was not a direct edit (e.g. leave approval)
+    reason: {
+      type: String,
+      trim: true,
+    },
+
+    // Who the change is about, for searching
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch',
+    },
+
+    // Who made the change and from where
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    userName: {
+      type: String,
+    },
+    userRole: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+
+    // Attendance session the change applies to
+    sessionDate: {
+      type: Date,
+    },
+    // Set for attendance changed long after the session
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    flagReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ student: 1, createdAt: -1 });
+auditLogSchema.index({ batch: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+auditLogSchema.index({ flagged: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
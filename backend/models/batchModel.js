@@ -22,16 +22,27 @@ const batchSchema = mongoose.Schema(
       required: [true, 'Please add a section'],
       trim: true,
     },
+    // Label of the institute time slot, e.g. "09:00 AM - 10:30 AM". Kept in
+    // step with `schedule.slot` when the slot's times change.
     timing: {
       type: String,
       required: [true, 'Please add batch timing'],
-      enum: [
-        '09:00 AM - 10:30 AM',
-        '10:30 AM - 12:00 PM',
-        '12:00 PM - 01:30 PM',
-        '02:00 PM - 03:30 PM',
-        '03:30 PM - 05:00 PM'
-      ],
+    },
+    schedule: {
+      // Days of the week the batch meets (0 = Sunday ... 6 = Saturday)
+      weekdays: {
+        type: [{
+          type: Number,
+          min: 0,
+          max: 6,
+        }],
+        default: [1, 2, 3, 4, 5, 6],
+      },
+      // _id of the slot in LabInfo.timeSlots
+      slot: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
     },
     startDate: {
       type: Date,
@@ -92,6 +103,7 @@ batchSchema.index({ isArchived: 1 });
 batchSchema.index({ isFinished: 1 });
 batchSchema.index({ startDate: 1 });
 batchSchema.index({ timing: 1 });
+batchSchema.index({ 'schedule.slot': 1 });
 
 // Compound indexes for common queries
 batchSchema.index({ course: 1, academicYear: 1 });
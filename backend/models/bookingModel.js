@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const labEventService = require('../services/labEventService');
+const { toEventDate, getFilterDate } = require('../utils/labEvents');
 
 const bookingSchema = mongoose.Schema({
   pc: {
@@ -54,6 +56,22 @@ const bookingSchema = mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Recurring series this booking was expanded from, if any
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    default: null
+  },
+  // Set when the slot is over and the booking is checked against attendance
+  attendanceStatus: {
+    type: String,
+    enum: ['present', 'late', 'absent', 'excused', 'not-marked'],
+    default: null
+  },
+  reconciledAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -66,11 +84,13 @@ bookingSchema.index({ status: 1 });
 bookingSchema.index({ bookedBy: 1 });
 bookingSchema.index({ student: 1 });
 bookingSchema.index({ batch: 1 });
+bookingSchema.index({ series: 1, date: 1 });
 
 // Compound indexes for common queries
 bookingSchema.index({ pc: 1, date: 1, timeSlot: 1 }, { unique: true });
 bookingSchema.index({ date: 1, status: 1 });
 bookingSchema.index({ batch: 1, date: 1 });
+bookingSchema.index({ student: 1, status: 1, date: -1 });
 
 // Validation middleware
 bookingSchema.pre('save', async function(next) {
@@ -97,4 +117,50 @@ bookingSchema.pre('save', async function(next) {
   next();
 });
 
+// Push changes to open lab screens
+const publishBooking = (type, booking) => {
+  labEventService.publish({
+    type,
+    date: toEventDate(booking.date),
+    timeSlot: booking.timeSlot,
+    booking: {
+      _id: booking._id,
+      pc: booking.pc?._id || booking.pc,
+      student: booking.student?._id || booking.student,
+      studentName: booking.studentName,
+      status: booking.status
+    }
+  });
+};
+
+bookingSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+bookingSchema.post('save', function(doc) {
+  publishBooking(doc.$locals.wasNew ? 'booking_created' : 'booking_updated', doc);
+});
+
+bookingSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) publishBooking('booking_updated', doc);
+});
+
+bookingSchema.post('findOneAndDelete', function(doc) {
+  if (doc) publishBooking('booking_deleted', doc);
+});
+
+// Bulk writes only report counts, so screens reload the affected day
+bookingSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, function(result) {
+  if (result && (result.modifiedCount || result.deletedCount || result.upsertedCount)) {
+    labEventService.publish({ type: 'bookings_changed', date: getFilterDate(this.getFilter()) });
+  }
+});
+
+bookingSchema.post('insertMany', function(docs) {
+  new Set(docs.map(doc => toEventDate(doc.date))).forEach(date => {
+    labEventService.publish({ type: 'bookings_changed', date });
+  });
+});
+
 module.exports = mongoose.model('Booking', bookingSchema);
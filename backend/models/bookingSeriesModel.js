@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A recurring lab booking. Occurrences are expanded into Booking documents
+// (see utils/bookingSeries.js) which point back here through `series`.
+const bookingSeriesSchema = mongoose.Schema({
+  pc: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PC',
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  // Days of the week the series runs on (0 = Sunday ... 6 = Saturday)
+  weekdays: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'Select at least one weekday'
+    }
+  },
+  // Stored like booking dates: midnight UTC of the calendar day
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  bookedFor: {
+    type: String,
+    required: true
+  },
+  teacherName: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    default: 'Lab Session'
+  },
+  notes: String,
+  // Days removed from the series one at a time; they are not re-created
+  exceptions: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Set when this series was split off another by a "this and future" edit
+  parentSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+bookingSeriesSchema.pre('validate', function(next) {
+  if (!this.batch && !this.student) {
+    return next(new Error('A booking series must be for a batch or a student'));
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+  next();
+});
+
+bookingSeriesSchema.index({ pc: 1, status: 1 });
+bookingSeriesSchema.index({ batch: 1 });
+bookingSeriesSchema.index({ student: 1 });
+bookingSeriesSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
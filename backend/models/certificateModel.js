@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Certificates keep a snapshot of the names printed on them so that later
+// renames of a student, course or batch do not change an issued certificate
+const certificateSchema = mongoose.Schema(
+  {
+    serialNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Student',
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Batch',
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Course',
+    },
+    studentName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    studentCode: {
+      type: String,
+      trim: true,
+    },
+    courseName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    courseCode: {
+      type: String,
+      trim: true,
+    },
+    batchName: {
+      type: String,
+      trim: true,
+    },
+    certificateName: {
+      type: String,
+      trim: true,
+    },
+    issuingAuthority: {
+      type: String,
+      trim: true,
+    },
+    completionDate: {
+      type: Date,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Figures and rules the student was assessed against
+    attendancePercentage: {
+      type: Number,
+    },
+    projectScore: {
+      type: Number,
+      default: null,
+    },
+    criteria: {
+      minAttendance: Number,
+      minProjectScore: Number,
+    },
+    status: {
+      type: String,
+      enum: ['issued', 'revoked'],
+      default: 'issued',
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    revokeReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One valid certificate per student per batch; revoked ones are kept for history
+certificateSchema.index(
+  { student: 1, batch: 1 },
+  { unique: true, partialFilterExpression: { status: 'issued' } }
+);
+certificateSchema.index({ batch: 1, status: 1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -130,6 +130,18 @@ const courseSchema = mongoose.Schema(
         default: true,
       },
     }],
+    // Hardware a lab PC needs for this course, used when allocating seats
+    labRequirements: {
+      minRamGB: {
+        type: Number,
+        min: [0, 'Minimum RAM cannot be negative'],
+        default: 0,
+      },
+      dedicatedGraphics: {
+        type: Boolean,
+        default: false,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_MODES = ['cash', 'card', 'upi', 'bank_transfer', 'cheque', 'online', 'other'];
+
+const feePaymentSchema = mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Student',
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Please add the amount paid'],
+      min: [0.01, 'Amount must be greater than zero'],
+    },
+    mode: {
+      type: String,
+      required: [true, 'Please select a payment mode'],
+      enum: PAYMENT_MODES,
+    },
+    // Transaction ID, cheque number, UPI reference, etc.
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      required: [
+        function() { return this.mode !== 'cash'; },
+        'Please add a payment reference',
+      ],
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['completed', 'voided'],
+      default: 'completed',
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    voidedAt: {
+      type: Date,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+feePaymentSchema.index({ student: 1, paidAt: 1 });
+feePaymentSchema.index({ status: 1 });
+
+feePaymentSchema.statics.PAYMENT_MODES = PAYMENT_MODES;
+
+module.exports = mongoose.model('FeePayment', feePaymentSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const installmentSchema = mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Installment amount cannot be negative'],
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    // Derived from payments, see utils/feeLedger.js
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'partial', 'paid', 'overdue'],
+      default: 'pending',
+    },
+    paidAt: {
+      type: Date,
+    },
+  },
+  { _id: true }
+);
+
+const feeScheduleSchema = mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Student',
+      unique: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Course',
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Total fees cannot be negative'],
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+      enum: ['INR', 'USD', 'EUR'],
+    },
+    installments: [installmentSchema],
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+feeScheduleSchema.index({ 'installments.dueDate': 1, 'installments.status': 1 });
+
+// Installment amounts must add up to the total
+feeScheduleSchema.pre('validate', function(next) {
+  const sum = this.installments.reduce((total, installment) => total + installment.amount, 0);
+  if (this.installments.length > 0 && Math.abs(sum - this.totalAmount) > 0.01) {
+    return next(new Error('Installment amounts must add up to the total fees'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a holiday name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // weekly_off: recurring every week on `weekday`
+    // closure: one-off closure from `startDate` to `endDate`
+    type: {
+      type: String,
+      required: true,
+      enum: ['weekly_off', 'closure'],
+    },
+    weekday: {
+      type: Number,
+      min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+      required: [
+        function() { return this.type === 'weekly_off'; },
+        'Please select a weekday for a weekly off',
+      ],
+    },
+    startDate: {
+      type: Date,
+      required: [
+        function() { return this.type === 'closure'; },
+        'Please add a start date for the closure',
+      ],
+    },
+    endDate: {
+      type: Date,
+    },
+    // Weekly offs can be limited to a period (e.g. a summer schedule)
+    effectiveFrom: {
+      type: Date,
+    },
+    effectiveUntil: {
+      type: Date,
+    },
+    // Null applies to the whole institute
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+holidaySchema.index({ type: 1, isActive: 1 });
+holidaySchema.index({ startDate: 1, endDate: 1 });
+holidaySchema.index({ department: 1 });
+
+// Normalize closure ranges to whole days; single-day closures end on their start date
+holidaySchema.pre('validate', function(next) {
+  if (this.type === 'closure' && this.startDate) {
+    this.startDate.setHours(0, 0, 0, 0);
+    if (!this.endDate) {
+      this.endDate = new Date(this.startDate);
+    }
+    this.endDate.setHours(23, 59, 59, 999);
+
+    if (this.endDate < this.startDate) {
+      return next(new Error('End date cannot be before start date'));
+    }
+  }
+
+  if (this.type === 'weekly_off') {
+    this.startDate = undefined;
+    this.endDate = undefined;
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
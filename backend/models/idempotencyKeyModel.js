@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Response of a write request, kept so a client retrying with the same
+// Idempotency-Key (e.g. an offline replay) gets it back instead of the
+// write running twice
+const idempotencyKeySchema = mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request body, to catch a key reused for another request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: {
+    type: Number
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A unit of background work kept in the database, so queued work survives
+// a restart. Processed by the job queue service.
+const jobSchema = mongoose.Schema(
+  {
+    // Handler to run, e.g. `notification:email`
+    name: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'queued',
+    },
+    // Not run before this time
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    // When the current attempt started; a running job whose lock is old
+    // was cut off by a restart and is queued again
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ name: 1, 'data.notificationId': 1, status: 1 });
+// Finished jobs are kept for 30 days
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -58,11 +58,30 @@ const labInfoSchema = mongoose.Schema({
       }
     }
   },
+  // Institute time slots used by batch schedules and lab bookings,
+  // see utils/timeSlots.js
   timeSlots: [{
-    name: String,
-    startTime: String,
-    endTime: String,
-    duration: Number // in minutes
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format']
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:mm format']
+    },
+    duration: Number, // in minutes
+    // Retired slots are kept so that older batches and bookings still resolve
+    isActive: {
+      type: Boolean,
+      default: true
+    }
   }],
   isActive: {
     type: Boolean,
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const leaveRequestSchema = mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Student',
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Batch',
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Please add a start date'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Please add an end date'],
+    },
+    type: {
+      type: String,
+      enum: ['medical', 'personal', 'family', 'academic', 'other'],
+      default: 'other',
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please add a reason'],
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review notes cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+leaveRequestSchema.index({ student: 1, startDate: 1, endDate: 1 });
+leaveRequestSchema.index({ batch: 1, status: 1 });
+leaveRequestSchema.index({ status: 1 });
+
+// Number of calendar days covered by the request
+leaveRequestSchema.virtual('days').get(function() {
+  if (!this.startDate || !this.endDate) return 0;
+  return Math.round((this.endDate - this.startDate) / (1000 * 60 * 60 * 24)) + 1;
+});
+
+// Normalize the range to whole days and validate it
+leaveRequestSchema.pre('save', function(next) {
+  if (this.isModified('startDate')) {
+    this.startDate.setHours(0, 0, 0, 0);
+  }
+  if (this.isModified('endDate')) {
+    this.endDate.setHours(23, 59, 59, 999);
+  }
+
+  if (this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+
+  next();
+});
+
+// Find approved leave requests covering a date for the given student(s)
+leaveRequestSchema.statics.findApprovedForDate = function(studentIds, date) {
+  const ids = Array.isArray(studentIds) ? studentIds : [studentIds];
+  return this.find({
+    student: { $in: ids },
+    status: 'approved',
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  });
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const TICKET_CATEGORIES = ['hardware', 'software', 'network', 'peripheral', 'other'];
+
+const maintenanceTicketSchema = mongoose.Schema(
+  {
+    ticketNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    pc: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PC',
+      required: true,
+    },
+    issue: {
+      type: String,
+      required: [true, 'Please describe the issue'],
+      trim: true,
+      maxlength: [1000, 'Issue cannot exceed 1000 characters'],
+    },
+    category: {
+      type: String,
+      enum: TICKET_CATEGORIES,
+      default: 'hardware',
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'in-progress', 'closed'],
+      default: 'open',
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    partsReplaced: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      quantity: {
+        type: Number,
+        min: 1,
+        default: 1,
+      },
+      notes: {
+        type: String,
+        trim: true,
+      },
+    }],
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolution: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Resolution cannot exceed 1000 characters'],
+    },
+    // PC status before the ticket moved it into maintenance
+    previousPcStatus: {
+      type: String,
+      enum: ['active', 'maintenance', 'inactive'],
+      default: 'active',
+    },
+    // Upcoming bookings of the PC when the ticket was opened
+    bookingAction: {
+      type: String,
+      enum: ['cancel', 'keep'],
+      default: 'cancel',
+    },
+    affectedBookings: [{
+      _id: false,
+      booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+      },
+      date: Date,
+      timeSlot: String,
+      studentName: String,
+      teacher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      cancelled: {
+        type: Boolean,
+        default: false,
+      },
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+maintenanceTicketSchema.index({ pc: 1, openedAt: -1 });
+maintenanceTicketSchema.index({ status: 1, openedAt: -1 });
+maintenanceTicketSchema.index({ assignedTo: 1, status: 1 });
+
+maintenanceTicketSchema.statics.TICKET_CATEGORIES = TICKET_CATEGORIES;
+
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
@@ -1,5 +1,41 @@
 const mongoose = require('mongoose')
 
+// When a recurring reminder goes out, as wall-clock time in the institute's
+// timezone (TZ, default Asia/Kolkata)
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  // HH:mm
+  time: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Weekly: 0 (Sunday) to 6 (Saturday)
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly: falls on the last day in shorter months
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  endsAt: {
+    type: Date
+  },
+  // Skip days the institute is closed (holiday calendar)
+  skipHolidays: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false })
+
 const notificationSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -25,7 +61,15 @@ const notificationSchema = new mongoose.Schema({
   },
   targetAudience: {
     type: String,
-    enum: ['all_teachers', 'specific_teachers', 'department'],
+    enum: [
+      'all_teachers',
+      'specific_teachers',
+      'department',
+      'batch_teachers',
+      'course_teachers',
+      'batch_students',
+      'course_students'
+    ],
     default: 'all_teachers'
   },
   targetTeachers: [{
@@ -36,6 +80,48 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Department'
   },
+  targetBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  targetCourse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Users the notification was delivered to, resolved from the audience
+  // when it is sent
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // scheduled: waiting in the job queue (recurring reminders stay scheduled
+  // until they end); sent: visible to its recipients; completed: a
+  // recurring reminder past its end date
+  status: {
+    type: String,
+    enum: ['scheduled', 'sent', 'cancelled', 'completed'],
+    default: 'sent'
+  },
+  // Next time it goes out
+  scheduledFor: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  // Set on each notification sent by a recurring reminder
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  sendEmail: {
+    type: Boolean,
+    default: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -48,14 +134,27 @@ const notificationSchema = new mongoose.Schema({
   emailSentAt: {
     type: Date
   },
+  // Delivery status per recipient; failed emails are retried by the job
+  // queue, skipped ones cannot be sent (email not configured)
   emailRecipients: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     email: String,
     name: String,
     status: {
       type: String,
-      enum: ['sent', 'failed'],
-      default: 'sent'
-    }
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    sentAt: Date,
+    error: String
   }],
   readBy: [{
     teacher: {
@@ -89,6 +188,8 @@ notificationSchema.index({ type: 1 })
 notificationSchema.index({ priority: 1 })
 notificationSchema.index({ active: 1 })
 notificationSchema.index({ expiresAt: 1 })
+notificationSchema.index({ recipients: 1, status: 1 })
+notificationSchema.index({ parent: 1, scheduledFor: 1 })
 
 // Virtual for unread count
 notificationSchema.virtual('unreadCount').get(function() {
@@ -115,18 +216,25 @@ notificationSchema.methods.isReadBy = function(teacherId) {
   return this.readBy.some(read => read.teacher.toString() === teacherId.toString())
 }
 
+// Sent, unexpired notifications addressed to a teacher
+const teacherFilter = (teacherId) => ({
+  active: true,
+  status: 'sent',
+  expiresAt: { $gt: new Date() },
+  $or: [
+    { targetAudience: 'all_teachers' },
+    {
+      targetAudience: 'specific_teachers',
+      targetTeachers: teacherId
+    },
+    { recipients: teacherId }
+  ]
+})
+
 // Static method to get unread notifications for a teacher
 notificationSchema.statics.getUnreadForTeacher = function(teacherId) {
   return this.find({
-    active: true,
-    expiresAt: { $gt: new Date() },
-    $or: [
-      { targetAudience: 'all_teachers' },
-      { 
-        targetAudience: 'specific_teachers',
-        targetTeachers: teacherId
-      }
-    ],
+    ...teacherFilter(teacherId),
     'readBy.teacher': { $ne: teacherId }
   }).populate('createdBy', 'name email')
     .populate('targetDepartment', 'name')
@@ -135,18 +243,21 @@ notificationSchema.statics.getUnreadForTeacher = function(teacherId) {
 
 // Static method to get all notifications for a teacher (read and unread)
 notificationSchema.statics.getAllForTeacher = function(teacherId, limit = 50) {
+  return this.find(teacherFilter(teacherId)).populate('createdBy', 'name email')
+    .populate('targetDepartment', 'name')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+}
+
+// Static method to get notifications for a student portal account
+notificationSchema.statics.getAllForStudent = function(userId, limit = 50) {
   return this.find({
     active: true,
+    status: 'sent',
     expiresAt: { $gt: new Date() },
-    $or: [
-      { targetAudience: 'all_teachers' },
-      { 
-        targetAudience: 'specific_teachers',
-        targetTeachers: teacherId
-      }
-    ]
-  }).populate('createdBy', 'name email')
-    .populate('targetDepartment', 'name')
+    recipients: userId
+  }).populate('createdBy', 'name')
+    .select('-emailRecipients -recipients -targetTeachers')
     .sort({ createdAt: -1 })
     .limit(limit)
 }
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const labEventService = require('../services/labEventService');
 
 const pcSchema = mongoose.Schema({
   pcNumber: {
@@ -33,6 +34,17 @@ const pcSchema = mongoose.Schema({
     graphics: String,
     monitor: String
   },
+  // Software installed on the PC, matched against course requirements
+  installedSoftware: [{
+    name: {
+      type: String,
+      trim: true
+    },
+    version: {
+      type: String,
+      trim: true
+    }
+  }],
   lastMaintenance: {
     type: Date,
     default: Date.now
@@ -50,4 +62,41 @@ const pcSchema = mongoose.Schema({
 pcSchema.index({ row: 1, position: 1 });
 pcSchema.index({ status: 1 });
 
+// Push status changes to open lab screens
+const publishPC = (type, pc) => {
+  labEventService.publish({
+    type,
+    pc: {
+      _id: pc._id,
+      pcNumber: pc.pcNumber,
+      row: pc.row,
+      position: pc.position,
+      status: pc.status,
+      isActive: pc.isActive
+    }
+  });
+};
+
+pcSchema.post('save', function(doc) {
+  publishPC('pc_updated', doc);
+});
+
+pcSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) publishPC('pc_updated', doc);
+});
+
+pcSchema.post('findOneAndDelete', function(doc) {
+  if (doc) publishPC('pc_deleted', doc);
+});
+
+pcSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, function(result) {
+  if (result && (result.modifiedCount || result.deletedCount || result.upsertedCount)) {
+    labEventService.publish({ type: 'pcs_changed' });
+  }
+});
+
+pcSchema.post('insertMany', function() {
+  labEventService.publish({ type: 'pcs_changed' });
+});
+
 module.exports = mongoose.model('PC', pcSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One member's confidential ratings of their teammates. Students only ever
+// see their own form; teachers see every rating.
+const peerEvaluationSchema = mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProjectTeam',
+      required: true,
+    },
+    evaluator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    ratings: [{
+      _id: false,
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+      },
+      score: {
+        type: Number,
+        required: true,
+        min: [1, 'Ratings range from 1 to 5'],
+        max: [5, 'Ratings range from 1 to 5'],
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comment cannot exceed 500 characters'],
+      },
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+peerEvaluationSchema.index({ team: 1, evaluator: 1 }, { unique: true });
+peerEvaluationSchema.index({ project: 1 });
+
+module.exports = mongoose.model('PeerEvaluation', peerEvaluationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { evaluateTiming, getEffectiveDeadline } = require('../utils/submissionPolicy');
+const { getCountedSubmissions } = require('../utils/submissionVersions');
 
 const projectAnalyticsSchema = mongoose.Schema(
   {
@@ -46,6 +48,45 @@ const projectAnalyticsSchema = mongoose.Schema(
         type: Number,
         default: 0,
       },
+      extended: {
+        type: Number, // submissions from students with a deadline extension
+        default: 0,
+      },
+      pastCutoff: {
+        type: Number, // recorded after the policy cutoff, e.g. by a teacher
+        default: 0,
+      },
+      averageTimingScore: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Team projects only; the other stats count each member separately
+    teamStats: {
+      totalTeams: {
+        type: Number,
+        default: 0,
+      },
+      submittedTeams: {
+        type: Number,
+        default: 0,
+      },
+      gradedTeams: {
+        type: Number,
+        default: 0,
+      },
+      unassignedStudents: {
+        type: Number,
+        default: 0,
+      },
+      averageTeamScore: {
+        type: Number,
+        default: 0, // team scores before peer adjustments, one per team
+      },
+      peerEvaluationRate: {
+        type: Number,
+        default: 0, // percent of members of submitted teams who rated their teammates
+      },
     },
     scoreStats: {
       average: {
@@ -193,7 +234,6 @@ projectAnalyticsSchema.virtual('performanceSummary').get(function() {
 
 // Static method to calculate analytics for a project
 projectAnalyticsSchema.statics.calculateAnalytics = async function(projectId) {
-  const ProjectSubmission = mongoose.model('ProjectSubmission');
   const Student = mongoose.model('Student');
   const Project = mongoose.model('Project');
   
@@ -202,17 +242,25 @@ projectAnalyticsSchema.statics.calculateAnalytics = async function(projectId) {
     if (!project) throw new Error('Project not found');
     
     const totalStudents = await Student.countDocuments({ batch: project.batch._id, isActive: true });
-    const submissions = await ProjectSubmission.find({ project: projectId, isActive: true });
+    // One submission per student: the version the project's policy counts
+    const submissions = await getCountedSubmissions(project);
     
     const submittedCount = submissions.length;
     const pendingCount = totalStudents - submittedCount;
     const gradedCount = submissions.filter(sub => sub.score !== null).length;
     
-    // Submission timing stats
+    // Submission timing stats, classified by the project's current policy
+    // so extensions granted after submitting are taken into account
+    const timings = submissions.map(sub => evaluateTiming(project, sub.student, sub.submittedDate));
     const submissionStats = {
-      early: submissions.filter(sub => sub.submissionTiming === 'early').length,
-      onTime: submissions.filter(sub => sub.submissionTiming === 'on_time').length,
-      late: submissions.filter(sub => sub.submissionTiming === 'late').length,
+      early: timings.filter(timing => timing.submissionTiming === 'early').length,
+      onTime: timings.filter(timing => timing.submissionTiming === 'on_time').length,
+      late: timings.filter(timing => timing.submissionTiming === 'late').length,
+      extended: submissions.filter(sub => getEffectiveDeadline(project, sub.student).extension).length,
+      pastCutoff: timings.filter(timing => timing.pastCutoff).length,
+      averageTimingScore: timings.length > 0
+        ? Math.round((timings.reduce((sum, timing) => sum + timing.timingScore, 0) / timings.length) * 10) / 10
+        : 0,
     };
     
     // Score statistics
@@ -262,8 +310,42 @@ projectAnalyticsSchema.statics.calculateAnalytics = async function(projectId) {
       student: sub.student,
       submission: sub._id,
       finalScore: sub.finalScore,
-      rank: index + 1,
+      rank: sub.rank || index + 1,
     }));
+
+    // Team projects: each member holds a copy of the team's submission, so
+    // team-level figures count every team once
+    let teamStats = null;
+    if (project.teamSettings && project.teamSettings.enabled) {
+      const ProjectTeam = mongoose.model('ProjectTeam');
+      const PeerEvaluation = mongoose.model('PeerEvaluation');
+      const teams = await ProjectTeam.find({ project: projectId, isActive: true }).select('members');
+
+      const byTeam = new Map();
+      submissions.filter(sub => sub.team).forEach(sub => {
+        const key = sub.team.toString();
+        if (!byTeam.has(key)) byTeam.set(key, sub);
+      });
+      const teamScores = [...byTeam.values()]
+        .filter(sub => sub.teamScore !== null && sub.teamScore !== undefined)
+        .map(sub => sub.teamScore);
+
+      const submittedMembers = teams
+        .filter(team => byTeam.has(team._id.toString()))
+        .reduce((sum, team) => sum + team.members.length, 0);
+      const evaluations = project.teamSettings.peerEvaluation
+        ? await PeerEvaluation.countDocuments({ team: { $in: [...byTeam.keys()] } })
+        : 0;
+
+      teamStats = {
+        totalTeams: teams.length,
+        submittedTeams: byTeam.size,
+        gradedTeams: teamScores.length,
+        unassignedStudents: Math.max(0, totalStudents - teams.reduce((sum, team) => sum + team.members.length, 0)),
+        averageTeamScore: calculateStats(teamScores).average,
+        peerEvaluationRate: submittedMembers > 0 ? Math.round((evaluations / submittedMembers) * 100) : 0,
+      };
+    }
     
     // Rates
     const completionRate = totalStudents > 0 ? Math.round((submittedCount / totalStudents) * 100) : 0;
@@ -282,6 +364,7 @@ projectAnalyticsSchema.statics.calculateAnalytics = async function(projectId) {
         pendingCount,
         gradedCount,
         submissionStats,
+        ...(teamStats && { teamStats }),
         scoreStats,
         attendanceStats,
         finalScoreStats,
@@ -101,6 +101,159 @@ const projectSchema = mongoose.Schema(
         default: 10, // 10% weightage for submission timing
       },
     },
+    // How submission timing is classified and scored, see utils/submissionPolicy.js
+    submissionPolicy: {
+      earlyHours: {
+        type: Number,
+        min: [0, 'Early window cannot be negative'],
+        default: 24, // submitted at least this long before the deadline counts as early
+      },
+      gracePeriodHours: {
+        type: Number,
+        min: [0, 'Grace period cannot be negative'],
+        default: 0,
+      },
+      penaltyUnit: {
+        type: String,
+        enum: ['day', 'hour'],
+        default: 'day',
+      },
+      penaltyPerUnit: {
+        type: Number,
+        min: [0, 'Penalty cannot be negative'],
+        max: [100, 'Penalty cannot exceed 100'],
+        default: 10, // timing points lost per started unit after the grace period
+      },
+      earlyScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100,
+      },
+      onTimeScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 90,
+      },
+      lateScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 70, // timing score of a late submission before the penalty
+      },
+      cutoffHours: {
+        type: Number,
+        min: [0, 'Cutoff cannot be negative'],
+        default: null, // hours after the deadline when submissions close; null = never
+      },
+      countedVersion: {
+        type: String,
+        enum: ['latest', 'best'],
+        default: 'latest', // which resubmission version counts toward rankings
+      },
+    },
+    // Team projects, see utils/projectTeams.js
+    teamSettings: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      formation: {
+        type: String,
+        enum: ['teacher', 'self'],
+        default: 'teacher', // formed by the teacher or self-selected by students
+      },
+      minSize: {
+        type: Number,
+        min: [1, 'Teams need at least one member'],
+        default: 2,
+      },
+      maxSize: {
+        type: Number,
+        min: [1, 'Teams need at least one member'],
+        max: [20, 'Teams cannot have more than 20 members'],
+        default: 4,
+      },
+      peerEvaluation: {
+        type: Boolean,
+        default: false,
+      },
+      peerWeight: {
+        type: Number,
+        min: 0,
+        max: [50, 'Peer adjustment cannot exceed 50%'],
+        default: 20, // furthest a member's score can move, in percent, with peer ratings
+      },
+    },
+    // Per-student deadline extensions granted by the teacher
+    extensions: [{
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+      },
+      deadline: {
+        type: Date,
+        required: true,
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Extension reason cannot exceed 300 characters'],
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      grantedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Optional grading rubric; when present the project score is the
+    // weighted sum of the criterion levels instead of a single number
+    rubric: [{
+      title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [100, 'Criterion title cannot exceed 100 characters'],
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Criterion description cannot exceed 500 characters'],
+      },
+      weight: {
+        type: Number,
+        required: true,
+        min: [1, 'Criterion weight must be at least 1'],
+        max: [100, 'Criterion weight cannot exceed 100'],
+        default: 1,
+      },
+      requirement: {
+        type: mongoose.Schema.Types.ObjectId, // _id of an entry in requirements
+        default: null,
+      },
+      levels: [{
+        label: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+        score: {
+          type: Number, // percentage of the criterion earned at this level
+          required: true,
+          min: 0,
+          max: 100,
+        },
+      }],
+    }],
     status: {
       type: String,
       enum: ['draft', 'assigned', 'in_progress', 'completed', 'archived'],
@@ -157,12 +310,13 @@ const projectSchema = mongoose.Schema(
   }
 );
 
-// Virtual for submissions
+// Virtual for submissions (current version of each student's submission)
 projectSchema.virtual('submissions', {
   ref: 'ProjectSubmission',
   localField: '_id',
   foreignField: 'project',
   justOne: false,
+  match: { isActive: true, isLatest: { $ne: false } },
 });
 
 // Virtual for submission count
@@ -171,6 +325,7 @@ projectSchema.virtual('submissionCount', {
   localField: '_id',
   foreignField: 'project',
   count: true,
+  match: { isActive: true, isLatest: { $ne: false } },
 });
 
 // Virtual for days remaining
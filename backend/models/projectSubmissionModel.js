@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { evaluateTiming } = require('../utils/submissionPolicy');
 
 const projectSubmissionSchema = mongoose.Schema(
   {
@@ -31,10 +32,22 @@ const projectSubmissionSchema = mongoose.Schema(
         type: String,
         required: true,
       },
+      // Storage key, e.g. "projects/files-1712-123.pdf". Files uploaded
+      // before storage drivers have an absolute path on the server's disk.
       filePath: {
         type: String,
         required: true,
       },
+      storage: {
+        type: String,
+        enum: ['local', 's3'],
+        default: 'local',
+      },
+      // SHA-256 of the content, hex
+      checksum: {
+        type: String,
+        default: null,
+      },
       fileSize: {
         type: Number,
         required: true,
@@ -47,6 +60,12 @@ const projectSubmissionSchema = mongoose.Schema(
         type: Date,
         default: Date.now,
       },
+      // Member who uploaded the file, on team submissions
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        default: null,
+      },
     }],
     description: {
       type: String,
@@ -69,6 +88,51 @@ const projectSubmissionSchema = mongoose.Schema(
       trim: true,
       maxlength: [1000, 'Feedback cannot exceed 1000 characters'],
     },
+    // Per-criterion breakdown, copied from the rubric at grading time so
+    // later rubric edits do not change past grades
+    rubricScores: [{
+      criterion: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      title: {
+        type: String,
+        required: true,
+      },
+      weight: {
+        type: Number,
+        required: true,
+      },
+      requirement: {
+        type: String, // requirement title, if the criterion maps to one
+        default: null,
+      },
+      level: {
+        type: String,
+        required: true,
+      },
+      percent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true,
+      },
+      points: {
+        type: Number,
+        min: 0,
+        required: true,
+      },
+      maxPoints: {
+        type: Number,
+        min: 0,
+        required: true,
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Criterion comment cannot exceed 500 characters'],
+      },
+    }],
     gradedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -89,9 +153,23 @@ const projectSubmissionSchema = mongoose.Schema(
       required: true,
     },
     daysFromDeadline: {
-      type: Number,
+      type: Number, // positive = early, negative = late, to two decimals
       required: true,
     },
+    hoursFromDeadline: {
+      type: Number, // same as daysFromDeadline, in hours
+      default: null,
+    },
+    effectiveDeadline: {
+      type: Date, // project deadline, or the student's extension
+      default: null,
+    },
+    timingScore: {
+      type: Number,
+      min: [0, 'Timing score cannot be negative'],
+      max: [100, 'Timing score cannot exceed 100'],
+      default: null,
+    },
     attendanceScore: {
       type: Number,
       min: [0, 'Attendance score cannot be negative'],
@@ -122,6 +200,45 @@ const projectSubmissionSchema = mongoose.Schema(
       ref: 'ProjectSubmission',
       default: null,
     },
+    // False once the student resubmits; the new version takes over
+    isLatest: {
+      type: Boolean,
+      default: true,
+    },
+    // Whether this version is the one counted toward rankings
+    isCounted: {
+      type: Boolean,
+      default: true,
+    },
+    returnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    returnedDate: {
+      type: Date,
+      default: null,
+    },
+    // Team projects: every member holds a copy of the team's shared
+    // submission, so per-student grades, rankings and analytics keep working
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProjectTeam',
+      default: null,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      default: null,
+    },
+    teamScore: {
+      type: Number,
+      default: null, // the team's project score before the peer adjustment
+    },
+    peerAdjustment: {
+      type: Number,
+      default: null, // percent the member's score moved with peer ratings
+    },
   },
   {
     timestamps: true,
@@ -132,15 +249,18 @@ const projectSubmissionSchema = mongoose.Schema(
 
 // Virtual for submission timing analysis
 projectSubmissionSchema.virtual('timingAnalysis').get(function() {
-  const daysFromDeadline = this.daysFromDeadline;
+  const hours = this.hoursFromDeadline ?? this.daysFromDeadline * 24;
+  const amount = Math.abs(hours) < 24
+    ? `${Math.round(Math.abs(hours))} hour(s)`
+    : `${Math.round(Math.abs(hours) / 24 * 10) / 10} day(s)`;
   let analysis = '';
   
-  if (daysFromDeadline > 0) {
-    analysis = `Submitted ${daysFromDeadline} day(s) early`;
-  } else if (daysFromDeadline === 0) {
+  if (Math.round(hours) === 0) {
     analysis = 'Submitted on deadline';
+  } else if (hours > 0) {
+    analysis = `Submitted ${amount} early`;
   } else {
-    analysis = `Submitted ${Math.abs(daysFromDeadline)} day(s) late`;
+    analysis = `Submitted ${amount} late`;
   }
   
   return analysis;
@@ -167,23 +287,12 @@ projectSubmissionSchema.pre('save', async function(next) {
       const project = await Project.findById(this.project);
       
       if (project) {
-        const submissionDate = new Date(this.submittedDate);
-        const deadlineDate = new Date(project.deadlineDate);
-        
-        // Calculate days from deadline (positive = early, negative = late, 0 = on time)
-        const diffTime = deadlineDate - submissionDate;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        this.daysFromDeadline = diffDays;
-        
-        // Determine submission timing
-        if (diffDays > 0) {
-          this.submissionTiming = 'early';
-        } else if (diffDays === 0) {
-          this.submissionTiming = 'on_time';
-        } else {
-          this.submissionTiming = 'late';
-        }
+        const timing = evaluateTiming(project, this.student, this.submittedDate);
+        this.daysFromDeadline = timing.daysFromDeadline;
+        this.hoursFromDeadline = timing.hoursFromDeadline;
+        this.effectiveDeadline = timing.effectiveDeadline;
+        this.submissionTiming = timing.submissionTiming;
+        this.timingScore = timing.timingScore;
       }
     } catch (error) {
       console.error('Error calculating submission timing:', error);
@@ -193,8 +302,10 @@ projectSubmissionSchema.pre('save', async function(next) {
 });
 
 // Indexes for efficient queries
-projectSubmissionSchema.index({ project: 1, student: 1 }, { unique: true });
+// One document per version, see migrations/006_submission_versions.js
+projectSubmissionSchema.index({ project: 1, student: 1, version: 1 }, { unique: true });
 projectSubmissionSchema.index({ student: 1 });
+projectSubmissionSchema.index({ team: 1, version: 1 });
 projectSubmissionSchema.index({ batch: 1 });
 projectSubmissionSchema.index({ status: 1 });
 projectSubmissionSchema.index({ submittedDate: 1 });
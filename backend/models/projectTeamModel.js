@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const projectTeamSchema = mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please add a team name'],
+      trim: true,
+      maxlength: [60, 'Team name cannot exceed 60 characters'],
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+    }],
+    // Set when the teacher formed the team; self-selected teams record the
+    // student who started them instead
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdByStudent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Team names are unique within a project among active teams
+projectTeamSchema.index(
+  { project: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+projectTeamSchema.index({ project: 1, members: 1 });
+
+module.exports = mongoose.model('ProjectTeam', projectTeamSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Short-lived claim on a PC while a booking form is open for it
+const seatHoldSchema = mongoose.Schema({
+  pc: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PC',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  heldByName: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+seatHoldSchema.index({ pc: 1, date: 1, timeSlot: 1 }, { unique: true });
+seatHoldSchema.index({ date: 1, timeSlot: 1 });
+// MongoDB removes expired holds in the background; reads also filter on expiresAt
+seatHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
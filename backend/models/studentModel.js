@@ -148,6 +148,14 @@ studentSchema.virtual('attendance', {
   justOne: false,
 });
 
+// Virtual for student portal account
+studentSchema.virtual('account', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'student',
+  justOne: true,
+});
+
 // Indexes for performance optimization
 // Student ID should be globally unique when provided, but allow null values (sparse index)
 studentSchema.index({ studentId: 1 }, { unique: true, sparse: true });
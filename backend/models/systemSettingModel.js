@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const systemSettingSchema = mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: [true, 'Please add a setting category'],
+      trim: true,
+      lowercase: true,
+    },
+    key: {
+      type: String,
+      required: [true, 'Please add a setting key'],
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    history: [{
+      value: mongoose.Schema.Types.Mixed,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      reason: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+systemSettingSchema.index({ category: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
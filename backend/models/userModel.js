@@ -30,9 +30,19 @@ const userSchema = mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['admin', 'teacher'],
+      enum: ['admin', 'teacher', 'student'],
       default: 'teacher',
     },
+    // Linked Student record for student portal accounts
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      unique: true,
+      sparse: true,
+      required: function() {
+        return this.role === 'student';
+      },
+    },
     department: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Department',
@@ -119,7 +129,7 @@ const userSchema = mongoose.Schema(
 // Encrypt password using bcrypt
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(12);
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAlertRules,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getAbsenceAlerts,
+  runAlertRules,
+  getAlertOutbox,
+} = require('../controllers/absenceAlertController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+// Routes for /api/absence-alerts
+router.route('/rules')
+  .get(protect, admin, getAlertRules)
+  .post(protect, admin, createAlertRule);
+
+router.route('/rules/:id')
+  .put(protect, admin, updateAlertRule)
+  .delete(protect, admin, deleteAlertRule);
+
+router.post('/run', protect, admin, runAlertRules);
+router.get('/outbox', protect, admin, getAlertOutbox);
+router.get('/', protect, admin, getAbsenceAlerts);
+
+module.exports = router;
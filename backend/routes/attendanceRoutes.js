@@ -12,11 +12,12 @@ const {
 } = require('../controllers/attendanceController');
 const { protect, teacher, admin } = require('../middleware/authMiddleware');
 const { validateAttendance } = require('../middleware/validationMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 
 router.route('/')
-  .post(protect, teacher, validateAttendance, markAttendance);
+  .post(protect, teacher, idempotent, validateAttendance, markAttendance);
 
-router.post('/bulk', protect, teacher, markBulkAttendance);
+router.post('/bulk', protect, teacher, idempotent, markBulkAttendance);
 
 router.get('/batch/:batchId', protect, getBatchAttendance);
 router.get('/student/:studentId', protect, getStudentAttendance);
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+// Routes for /api/audit
+router.get('/', protect, admin, getAuditLogs);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const {
   createBatch,
+  checkScheduleConflicts,
   getBatches,
   getBatchById,
   updateBatch,
@@ -33,6 +34,8 @@ router.route('/')
 
 router.get('/overview', protect, getBatchesOverview);
 
+router.post('/conflicts', protect, adminOrTeacher, checkScheduleConflicts);
+
 router.route('/course/:courseId')
   .get(protect, getBatchesByCourse);
 
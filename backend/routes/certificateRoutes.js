@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBatchEligibility,
+  issueBatchCertificates,
+  getCertificates,
+  downloadCertificate,
+  revokeCertificate,
+  verifyCertificate,
+} = require('../controllers/certificateController');
+const { protect, admin, teacher } = require('../middleware/authMiddleware');
+
+// Routes for /api/certificates
+
+// Public, so employers can check a certificate without an account
+router.get('/verify/:serialNumber', verifyCertificate);
+
+router.get('/', protect, teacher, getCertificates);
+router.get('/batches/:batchId/eligibility', protect, teacher, getBatchEligibility);
+router.post('/batches/:batchId/issue', protect, teacher, issueBatchCertificates);
+
+router.get('/:id/pdf', protect, teacher, downloadCertificate);
+router.put('/:id/revoke', protect, admin, revokeCertificate);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStudentLedger,
+  generateSchedule,
+  updateSchedule,
+  recordPayment,
+  voidPayment,
+  getPaymentReceipt,
+} = require('../controllers/feeController');
+const { protect, admin, teacher } = require('../middleware/authMiddleware');
+
+// Routes for /api/fees
+router.get('/students/:studentId', protect, teacher, getStudentLedger);
+
+router.route('/students/:studentId/schedule')
+  .post(protect, admin, generateSchedule)
+  .put(protect, admin, updateSchedule);
+
+router.post('/students/:studentId/payments', protect, admin, recordPayment);
+
+router.put('/payments/:id/void', protect, admin, voidPayment);
+router.get('/payments/:id/receipt', protect, admin, getPaymentReceipt);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createHoliday,
+  getHolidays,
+  updateHoliday,
+  deleteHoliday,
+  getCalendar,
+} = require('../controllers/holidayController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+// Routes for /api/holidays
+router.route('/')
+  .post(protect, admin, createHoliday)
+  .get(protect, getHolidays);
+
+router.get('/calendar', protect, getCalendar);
+
+router.route('/:id')
+  .put(protect, admin, updateHoliday)
+  .delete(protect, admin, deleteHoliday);
+
+module.exports = router;
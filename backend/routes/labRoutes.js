@@ -19,10 +19,46 @@ const {
   getPreviousBookings,
   applyPreviousBookings,
   clearBookedSlotsBulk,
+  streamLabEvents,
   getLabInfo,
-  getOverviewStats
+  getLabTimeSlots,
+  updateLabTimeSlots,
+  getOverviewStats,
+  getUtilizationStats
 } = require('../controllers/labController');
+const {
+  previewBookingSeries,
+  createBookingSeries,
+  getBookingSeries,
+  getBookingSeriesById,
+  updateBookingSeries,
+  cancelBookingSeries,
+  expandBookingSeries
+} = require('../controllers/bookingSeriesController');
+const {
+  getSeatHolds,
+  createSeatHold,
+  releaseSeatHold
+} = require('../controllers/seatHoldController');
+const {
+  previewAllocation,
+  commitAllocation
+} = require('../controllers/pcAllocationController');
+const {
+  getTickets,
+  getTicket,
+  getPCUpcomingBookings,
+  createTicket,
+  updateTicket,
+  closeTicket,
+  getMaintenanceStats
+} = require('../controllers/maintenanceController');
+const {
+  getNoShows,
+  runReconciliation
+} = require('../controllers/noShowController');
 const { protect, teacher, admin } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 
 // PC Management Routes
 router.route('/pcs')
@@ -41,25 +77,76 @@ router.route('/pcs/:id')
 // Booking Management Routes
 router.route('/bookings')
   .get(protect, getBookings)
-  .post(protect, createBooking); // Allow both admin and teacher
+  .post(protect, idempotent, createBooking); // Allow both admin and teacher
 
 router.get('/bookings/with-attendance', protect, getBookingsWithAttendance);
 router.get('/bookings/previous', protect, getPreviousBookings);
 router.post('/bookings/apply-previous', protect, teacher, applyPreviousBookings);
 router.delete('/bookings/clear-bulk', protect, teacher, clearBookedSlotsBulk);
 
+// Recurring Booking Series Routes
+router.route('/bookings/series')
+  .get(protect, getBookingSeries)
+  .post(protect, teacher, createBookingSeries);
+
+router.post('/bookings/series/preview', protect, teacher, previewBookingSeries);
+
+router.route('/bookings/series/:id')
+  .get(protect, getBookingSeriesById)
+  .put(protect, teacher, updateBookingSeries);
+
+router.put('/bookings/series/:id/cancel', protect, teacher, cancelBookingSeries);
+router.post('/bookings/series/:id/expand', protect, teacher, expandBookingSeries);
+
+// Batch Seat Allocation Routes
+router.post('/allocations/preview', protect, teacher, previewAllocation);
+router.post('/allocations', protect, teacher, commitAllocation);
+
 router.route('/bookings/:id')
   .get(protect, getBooking)
-  .put(protect, teacher, updateBooking)
-  .delete(protect, teacher, deleteBooking);
+  .put(protect, teacher, idempotent, updateBooking)
+  .delete(protect, teacher, idempotent, deleteBooking);
 
 // Lab Availability Routes
 router.get('/availability/:date', protect, getAvailability);
 
+// Live Updates and Seat Hold Routes
+router.get('/events', protect, teacher, streamLabEvents);
+
+router.route('/holds')
+  .get(protect, teacher, getSeatHolds)
+  .post(protect, teacher, createSeatHold);
+
+router.delete('/holds/:id', protect, teacher, releaseSeatHold);
+
+// PC Maintenance Ticket Routes
+router.route('/maintenance/tickets')
+  .get(protect, teacher, getTickets)
+  .post(protect, teacher, createTicket);
+
+router.get('/maintenance/stats', protect, teacher, getMaintenanceStats);
+router.get('/maintenance/pcs/:id/upcoming-bookings', protect, teacher, getPCUpcomingBookings);
+
+router.route('/maintenance/tickets/:id')
+  .get(protect, teacher, getTicket)
+  .put(protect, teacher, updateTicket);
+
+router.put('/maintenance/tickets/:id/close', protect, teacher, closeTicket);
+
+// No-Show Reconciliation Routes
+router.get('/no-shows', protect, admin, getNoShows);
+router.post('/no-shows/reconcile', protect, admin, runReconciliation);
+
 // Lab Information Routes
 router.get('/info', protect, getLabInfo);
 
+// Institute Time Slot Routes
+router.route('/time-slots')
+  .get(protect, getLabTimeSlots)
+  .put(protect, admin, updateLabTimeSlots);
+
 // Lab Statistics Routes
 router.get('/stats/overview', protect, getOverviewStats);
+router.get('/stats/utilization', protect, teacher, getUtilizationStats);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLeaveRequest,
+  getLeaveRequests,
+  getLeaveRequestById,
+  reviewLeaveRequest,
+  cancelLeaveRequest,
+} = require('../controllers/leaveRequestController');
+const { protect, teacher } = require('../middleware/authMiddleware');
+
+router.route('/')
+  .post(protect, createLeaveRequest)
+  .get(protect, getLeaveRequests);
+
+router.get('/:id', protect, getLeaveRequestById);
+router.put('/:id/review', protect, teacher, reviewLeaveRequest);
+router.put('/:id/cancel', protect, cancelLeaveRequest);
+
+module.exports = router;
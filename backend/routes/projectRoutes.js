@@ -11,13 +11,19 @@ const {
   getMyProjects,
   submitProject,
   gradeSubmission,
+  grantExtension,
+  revokeExtension,
   getProjectSubmissions,
   downloadSubmissionFile,
+  downloadSubmissionArchive,
+  getSubmissionFileUrl,
+  serveSignedFile,
   completeProject,
   getProjectCompletionStatus,
   getAllSubmissions,
   updateSubmissionStatus,
   getSubmissionDetails,
+  getSubmissionVersions,
   removeSubmission,
   upload
 } = require('../controllers/projectController');
@@ -29,7 +35,20 @@ const {
   getProjectDashboard
 } = require('../controllers/projectAnalyticsController');
 
-const { protect, admin, teacher } = require('../middleware/authMiddleware');
+const {
+  getProjectTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  joinTeam,
+  leaveTeam,
+  addTeamFiles,
+  getMyPeerEvaluation,
+  submitPeerEvaluation,
+  getTeamPeerEvaluations
+} = require('../controllers/projectTeamController');
+
+const { protect, admin, teacher, student } = require('../middleware/authMiddleware');
 
 // Project CRUD routes
 router.route('/')
@@ -45,6 +64,14 @@ router.route('/dashboard')
 router.route('/analytics/batch-comparison')
   .get(protect, teacher, getBatchProjectComparison);
 
+// Student-specific routes (registered before /:id so they are not shadowed)
+router.route('/my-projects')
+  .get(protect, getMyProjects);
+
+// Signed download links carry their own authorization
+router.route('/files/:token')
+  .get(serveSignedFile);
+
 router.route('/:id')
   .get(protect, getProject)
   .put(protect, teacher, updateProject)
@@ -57,6 +84,40 @@ router.route('/:id/submit')
 router.route('/:id/submissions')
   .get(protect, teacher, getProjectSubmissions);
 
+router.route('/:id/submissions/archive')
+  .get(protect, teacher, downloadSubmissionArchive);
+
+// Team project routes
+router.route('/:id/teams')
+  .get(protect, getProjectTeams)
+  .post(protect, createTeam);
+
+router.route('/:id/teams/:teamId')
+  .put(protect, teacher, updateTeam)
+  .delete(protect, teacher, deleteTeam);
+
+router.route('/:id/teams/:teamId/join')
+  .put(protect, student, joinTeam);
+
+router.route('/:id/teams/:teamId/leave')
+  .put(protect, student, leaveTeam);
+
+router.route('/:id/teams/:teamId/peer-evaluations')
+  .get(protect, teacher, getTeamPeerEvaluations);
+
+router.route('/:id/team-files')
+  .post(protect, student, upload.array('files', 10), addTeamFiles);
+
+router.route('/:id/peer-evaluation')
+  .get(protect, student, getMyPeerEvaluation)
+  .put(protect, student, submitPeerEvaluation);
+
+router.route('/:id/extensions')
+  .put(protect, teacher, grantExtension);
+
+router.route('/:id/extensions/:studentId')
+  .delete(protect, teacher, revokeExtension);
+
 router.route('/:id/complete')
   .put(protect, teacher, completeProject);
 
@@ -70,6 +131,9 @@ router.route('/submissions/:id')
   .get(protect, getSubmissionDetails)
   .delete(protect, teacher, removeSubmission);
 
+router.route('/submissions/:id/versions')
+  .get(protect, getSubmissionVersions);
+
 router.route('/submissions/:id/status')
   .put(protect, teacher, updateSubmissionStatus);
 
@@ -77,7 +141,10 @@ router.route('/submissions/:id/grade')
   .put(protect, teacher, gradeSubmission);
 
 router.route('/submissions/:id/download/:fileName')
-  .get(protect, teacher, downloadSubmissionFile);
+  .get(protect, downloadSubmissionFile);
+
+router.route('/submissions/:id/files/:fileName/url')
+  .get(protect, getSubmissionFileUrl);
 
 // Analytics routes
 router.route('/:id/analytics')
@@ -86,11 +153,7 @@ router.route('/:id/analytics')
 router.route('/analytics/student-performance/:studentId')
   .get(protect, getStudentProjectPerformance);
 
-// Student-specific routes
 router.route('/student/:studentId')
   .get(protect, getStudentProjects);
 
-router.route('/my-projects')
-  .get(protect, getMyProjects);
-
 module.exports = router;
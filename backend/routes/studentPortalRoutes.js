@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStudentDashboard,
+  getMyAttendance,
+  getMyLabBookings,
+  getMyCertificates,
+  downloadMyCertificate,
+  getMyNotifications,
+  markMyNotificationRead,
+} = require('../controllers/studentPortalController');
+const { protect, student } = require('../middleware/authMiddleware');
+
+router.get('/dashboard', protect, student, getStudentDashboard);
+router.get('/attendance', protect, student, getMyAttendance);
+router.get('/lab-bookings', protect, student, getMyLabBookings);
+router.get('/certificates', protect, student, getMyCertificates);
+router.get('/certificates/:id/pdf', protect, student, downloadMyCertificate);
+router.get('/notifications', protect, student, getMyNotifications);
+router.put('/notifications/:id/read', protect, student, markMyNotificationRead);
+
+module.exports = router;
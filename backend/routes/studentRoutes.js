@@ -7,11 +7,15 @@ const {
   updateStudent,
   deleteStudent,
   bulkCreateStudents,
+  importStudents,
   getStudentsByDepartment,
   getStudentsByBatch,
   getStudentStats,
   getStudentsOverview,
   getNextRollNumber,
+  getStudentAccount,
+  createStudentAccount,
+  updateStudentAccount,
 } = require('../controllers/studentController');
 const { protect, teacher } = require('../middleware/authMiddleware');
 const { validateStudentRegistration } = require('../middleware/validationMiddleware');
@@ -24,6 +28,8 @@ router.get('/overview', protect, getStudentsOverview);
 
 router.post('/bulk', protect, teacher, bulkCreateStudents);
 
+router.post('/import', protect, teacher, importStudents);
+
 router.route('/department/:departmentId')
   .get(protect, getStudentsByDepartment);
 
@@ -39,4 +45,10 @@ router.route('/:id')
 
 router.get('/:id/stats', protect, getStudentStats);
 
+// Student portal account management
+router.route('/:id/account')
+  .get(protect, teacher, getStudentAccount)
+  .post(protect, teacher, createStudentAccount)
+  .put(protect, teacher, updateStudentAccount);
+
 module.exports = router;
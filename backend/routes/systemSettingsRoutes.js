@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllSettings,
+  getSettingsByCategory,
+  getSettingValue,
+  updateSettingValue,
+  resetSettingToDefault,
+  getSettingHistory,
+  initializeDefaultSettings,
+  exportSettings,
+} = require('../controllers/systemSettingsController');
+const { protect, admin, teacher } = require('../middleware/authMiddleware');
+
+router.get('/', protect, admin, getAllSettings);
+router.get('/export', protect, admin, exportSettings);
+router.post('/initialize', protect, admin, initializeDefaultSettings);
+router.get('/category/:category', protect, admin, getSettingsByCategory);
+
+router.route('/:category/:key')
+  .get(protect, teacher, getSettingValue)
+  .put(protect, admin, updateSettingValue);
+
+router.post('/:category/:key/reset', protect, admin, resetSettingToDefault);
+router.get('/:category/:key/history', protect, admin, getSettingHistory);
+
+module.exports = router;
@@ -19,9 +19,21 @@ const analyticsRoutes = require('./routes/analyticsRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const keepAliveRoutes = require('./routes/keepAliveRoutes');
 const projectRoutes = require('./routes/projectRoutes');
+const studentPortalRoutes = require('./routes/studentPortalRoutes');
+const leaveRequestRoutes = require('./routes/leaveRequestRoutes');
+const systemSettingsRoutes = require('./routes/systemSettingsRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const feeRoutes = require('./routes/feeRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const absenceAlertRoutes = require('./routes/absenceAlertRoutes');
 
 // Import keep-alive service
 const keepAliveService = require('./services/keepAliveService');
+const feeStatusService = require('./services/feeStatusService');
+const noShowService = require('./services/noShowService');
+const absenceAlertService = require('./services/absenceAlertService');
+const jobQueueService = require('./services/jobQueueService');
 
 // Load environment variables
 dotenv.config();
@@ -67,9 +79,10 @@ app.use(cors({
     'Accept',
     'Origin',
     'Cache-Control',
-    'X-File-Name'
+    'X-File-Name',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['set-cookie'],
+  exposedHeaders: ['set-cookie', 'Idempotent-Replayed', 'Retry-After'],
   preflightContinue: false,
   optionsSuccessStatus: 200
 }));
@@ -156,6 +169,14 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/keep-alive', keepAliveRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/student-portal', studentPortalRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/settings', systemSettingsRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/absence-alerts', absenceAlertRoutes);
 
 // Health check endpoint
 app.get('/api/test', (req, res) => {
@@ -272,4 +293,16 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   } else {
     console.log('⚠️ Keep-alive service disabled for development');
   }
+
+  // Daily job that marks installments past their due date as overdue
+  feeStatusService.init();
+
+  // Marks finished lab bookings completed or no-show from attendance
+  noShowService.init();
+
+  // Alerts guardians and teachers about absences after classes each day
+  absenceAlertService.init();
+
+  // Delivers queued and scheduled notifications
+  jobQueueService.init();
 });
@@ -0,0 +1,91 @@
+const cron = require('node-cron');
+const { runAbsenceAlerts } = require('../utils/absenceAlerts');
+
+/**
+ * Absence Alert Service
+ * Checks the absence alert rules against recent attendance once a day,
+ * after classes, and alerts guardians and batch teachers
+ */
+class AbsenceAlertService {
+  constructor() {
+    this.isRunning = false;
+    this.cronJob = null;
+    this.schedule = process.env.ABSENCE_ALERT_CRON || '0 19 * * *'; // Daily at 7 PM
+    this.timezone = process.env.TZ || 'Asia/Kolkata';
+    this.lastRun = null;
+    this.lastResult = null;
+    // Tail of the runs queued so far
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start the job. Unlike the other jobs it does not run on startup: a
+   * restart during the day would alert on attendance still being marked.
+   */
+  init() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      this.cronJob = cron.schedule(this.schedule, () => this.run(), {
+        scheduled: false,
+        timezone: this.timezone,
+      });
+      this.cronJob.start();
+      this.isRunning = true;
+
+      console.log(`📣 Absence alert service started (${this.schedule})`);
+    } catch (error) {
+      console.error('❌ Failed to start absence alert service:', error);
+    }
+  }
+
+  /**
+   * Check the rules (all, or only `ruleIds`) and send the alerts. Runs wait
+   * for each other: two runs at once would both read the alert log before
+   * either wrote to it and send the same alerts twice.
+   */
+  run({ ruleIds } = {}) {
+    const run = this.queue.then(() => this.execute(ruleIds));
+    this.queue = run;
+    return run;
+  }
+
+  async execute(ruleIds) {
+    try {
+      const { deliveries, ...result } = await runAbsenceAlerts({ ruleIds });
+      this.lastResult = result;
+      this.lastRun = new Date();
+      if (result.matches > 0) {
+        console.log(`📣 Absence alerts: ${result.matches} matches ` +
+          `(${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped)`);
+      }
+      return this.lastResult;
+    } catch (error) {
+      console.error('❌ Absence alert run failed:', error.message);
+      return null;
+    }
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+    }
+    this.isRunning = false;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Create singleton instance
+const absenceAlertService = new AbsenceAlertService();
+
+module.exports = absenceAlertService;
@@ -0,0 +1,75 @@
+const cron = require('node-cron');
+const { refreshOverdueStatuses } = require('../utils/feeLedger');
+
+/**
+ * Fee Status Service
+ * Marks fee installments as overdue once their due date has passed and
+ * keeps each student's paymentStatus in sync with their schedule
+ */
+class FeeStatusService {
+  constructor() {
+    this.isRunning = false;
+    this.cronJob = null;
+    this.schedule = process.env.FEE_STATUS_CRON || '15 0 * * *'; // Daily at 00:15
+    this.timezone = process.env.TZ || 'Asia/Kolkata';
+    this.lastRun = null;
+    this.lastUpdatedCount = 0;
+  }
+
+  /**
+   * Start the daily job and run once on startup to catch up
+   */
+  init() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      this.cronJob = cron.schedule(this.schedule, () => this.run(), {
+        scheduled: false,
+        timezone: this.timezone,
+      });
+      this.cronJob.start();
+      this.isRunning = true;
+
+      console.log(`💰 Fee status service started (${this.schedule})`);
+
+      setTimeout(() => this.run(), 10000);
+    } catch (error) {
+      console.error('❌ Failed to start fee status service:', error);
+    }
+  }
+
+  async run() {
+    try {
+      this.lastUpdatedCount = await refreshOverdueStatuses();
+      this.lastRun = new Date();
+      if (this.lastUpdatedCount > 0) {
+        console.log(`💰 Refreshed fee status for ${this.lastUpdatedCount} students`);
+      }
+    } catch (error) {
+      console.error('❌ Fee status refresh failed:', error.message);
+    }
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+    }
+    this.isRunning = false;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastRun: this.lastRun,
+      lastUpdatedCount: this.lastUpdatedCount,
+    };
+  }
+}
+
+// Create singleton instance
+const feeStatusService = new FeeStatusService();
+
+module.exports = feeStatusService;
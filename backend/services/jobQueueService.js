@@ -0,0 +1,105 @@
+const cron = require('node-cron');
+const { jobEvents, recoverStaleJobs, processDueJobs } = require('../utils/jobQueue');
+// Job handlers register themselves when loaded
+require('../utils/notificationDelivery');
+
+/**
+ * Job Queue Service
+ * Works through the persistent job queue: polls for due jobs every minute
+ * and right after a job is queued for now
+ */
+class JobQueueService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.runAgain = false;
+    this.cronJob = null;
+    this.schedule = process.env.JOB_QUEUE_CRON || '* * * * *'; // Every minute
+    this.timezone = process.env.TZ || 'Asia/Kolkata';
+    this.lastRun = null;
+    this.lastResult = null;
+    this.onEnqueued = (job) => {
+      if (job.runAt <= new Date()) {
+        setImmediate(() => this.run());
+      }
+    };
+  }
+
+  /**
+   * Start the worker and catch up on jobs that fell due while the server
+   * was down
+   */
+  init() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      this.cronJob = cron.schedule(this.schedule, () => this.run(), {
+        scheduled: false,
+        timezone: this.timezone,
+      });
+      this.cronJob.start();
+      jobEvents.on('enqueued', this.onEnqueued);
+      this.isRunning = true;
+
+      console.log(`📬 Job queue service started (${this.schedule})`);
+
+      setTimeout(() => this.run(), 5000);
+    } catch (error) {
+      console.error('❌ Failed to start job queue service:', error);
+    }
+  }
+
+  async run() {
+    // One pass at a time; a run requested meanwhile starts when it ends
+    if (this.isProcessing) {
+      this.runAgain = true;
+      return this.lastResult;
+    }
+
+    this.isProcessing = true;
+    try {
+      const recovered = await recoverStaleJobs();
+      this.lastResult = { recovered, ...(await processDueJobs()) };
+      this.lastRun = new Date();
+      if (this.lastResult.processed > 0 || recovered > 0) {
+        console.log(`📬 Processed ${this.lastResult.processed} jobs ` +
+          `(${this.lastResult.completed} completed, ${this.lastResult.retrying} retrying, ` +
+          `${this.lastResult.failed} failed${recovered > 0 ? `, ${recovered} recovered` : ''})`);
+      }
+      return this.lastResult;
+    } catch (error) {
+      console.error('❌ Job queue run failed:', error.message);
+      return null;
+    } finally {
+      this.isProcessing = false;
+      if (this.runAgain) {
+        this.runAgain = false;
+        setImmediate(() => this.run());
+      }
+    }
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+    }
+    jobEvents.off('enqueued', this.onEnqueued);
+    this.isRunning = false;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueueService = new JobQueueService();
+
+module.exports = jobQueueService;
@@ -0,0 +1,86 @@
+/**
+ * Lab Event Service
+ * Pushes booking, PC status and seat hold changes to open lab screens over
+ * Server-Sent Events. Each stream is scoped to one booking date; events
+ * without a date (PC changes, bulk changes across days) go to every stream.
+ */
+class LabEventService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.heartbeatInterval = 25000; // Keeps proxies from closing idle streams
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Open an event stream on `res` for the lab grid of `date` (YYYY-MM-DD)
+   */
+  subscribe(req, res, { date = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, date, user: req.user?._id?.toString() };
+    this.clients.add(client);
+    this.send(client, { type: 'connected', date });
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Broadcast an event to the streams of its date
+   * @param {Object} event - { type, date?, ...payload }
+   */
+  publish(event) {
+    const message = { ...event, timestamp: new Date().toISOString() };
+    this.clients.forEach(client => {
+      if (!message.date || !client.date || client.date === message.date) {
+        this.send(client, message);
+      }
+    });
+  }
+
+  send(client, message) {
+    try {
+      client.res.write(`id: ${this.nextEventId++}\nevent: lab\ndata: ${JSON.stringify(message)}\n\n`);
+    } catch (error) {
+      console.error('❌ Failed to push lab event:', error.message);
+      this.clients.delete(client);
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      dates: [...new Set([...this.clients].map(client => client.date).filter(Boolean))],
+    };
+  }
+}
+
+// Create singleton instance
+const labEventService = new LabEventService();
+
+module.exports = labEventService;
@@ -0,0 +1,78 @@
+const cron = require('node-cron');
+const { reconcileBookings } = require('../utils/noShows');
+
+/**
+ * No-Show Service
+ * Reconciles lab bookings with attendance once their time slot is over:
+ * bookings of students marked present become completed, the rest no-shows
+ */
+class NoShowService {
+  constructor() {
+    this.isRunning = false;
+    this.cronJob = null;
+    this.schedule = process.env.NO_SHOW_CRON || '*/15 * * * *'; // Every 15 minutes
+    this.timezone = process.env.TZ || 'Asia/Kolkata';
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Start the job and run once on startup to catch up
+   */
+  init() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      this.cronJob = cron.schedule(this.schedule, () => this.run(), {
+        scheduled: false,
+        timezone: this.timezone,
+      });
+      this.cronJob.start();
+      this.isRunning = true;
+
+      console.log(`🪑 No-show reconciliation service started (${this.schedule})`);
+
+      setTimeout(() => this.run(), 15000);
+    } catch (error) {
+      console.error('❌ Failed to start no-show reconciliation service:', error);
+    }
+  }
+
+  async run() {
+    try {
+      this.lastResult = await reconcileBookings();
+      this.lastRun = new Date();
+      if (this.lastResult.checked > 0) {
+        console.log(`🪑 Reconciled ${this.lastResult.checked} bookings ` +
+          `(${this.lastResult.completed} completed, ${this.lastResult.noShows} no-shows)`);
+      }
+      return this.lastResult;
+    } catch (error) {
+      console.error('❌ No-show reconciliation failed:', error.message);
+      return null;
+    }
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+    }
+    this.isRunning = false;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: this.schedule,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    };
+  }
+}
+
+// Create singleton instance
+const noShowService = new NoShowService();
+
+module.exports = noShowService;
@@ -0,0 +1,375 @@
+const AbsenceAlertRule = require('../models/absenceAlertRuleModel');
+const AbsenceAlert = require('../models/absenceAlertModel');
+const Attendance = require('../models/attendanceModel');
+const Student = require('../models/studentModel');
+const LeaveRequest = require('../models/leaveRequestModel');
+const { getExcusedPolicy, summarizeAttendance } = require('./attendancePolicy');
+const { toDateKey, filterWorkingDayRecords } = require('./workingCalendar');
+const { deliverAlert } = require('./alertChannels');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_TYPES = AbsenceAlertRule.schema.path('type').enumValues;
+const RECIPIENTS = ['guardian', 'teacher'];
+const CHANNELS = ['email', 'sms'];
+
+// How far back absence streaks are traced
+const STREAK_LOOKBACK_DAYS = 90;
+
+// Per-type threshold limits and defaults for rules created without them
+const RULE_DEFAULTS = {
+  consecutive_absences: { threshold: 3, min: 2, max: 60 },
+  low_attendance: { threshold: 75, min: 1, max: 100, windowDays: 30 },
+  absent_without_leave: { windowDays: 1 },
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+/**
+ * Check and normalize a rule from a request body. `existing` is the rule
+ * being updated, whose values fill in anything the body leaves out.
+ *
+ * @returns {{ data: Object, errors: string[] }}
+ */
+const validateAlertRule = (body = {}, existing = null) => {
+  const errors = [];
+  const merged = { ...(existing ? existing.toObject() : {}), ...body };
+  const data = {};
+
+  data.name = typeof merged.name === 'string' ? merged.name.trim() : '';
+  if (!data.name) errors.push('Rule name is required');
+  else if (data.name.length > 100) errors.push('Rule name cannot be more than 100 characters');
+
+  if (!RULE_TYPES.includes(merged.type)) {
+    errors.push(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+    return { data, errors };
+  }
+  data.type = merged.type;
+  const defaults = RULE_DEFAULTS[data.type];
+
+  if (defaults.min !== undefined) {
+    const threshold = Number(merged.threshold ?? defaults.threshold);
+    if (!Number.isFinite(threshold) || threshold < defaults.min || threshold > defaults.max) {
+      errors.push(`Threshold must be between ${defaults.min} and ${defaults.max}`);
+    }
+    data.threshold = data.type === 'consecutive_absences' ? Math.round(threshold) : threshold;
+  }
+
+  if (defaults.windowDays !== undefined) {
+    const windowDays = Number(merged.windowDays ?? defaults.windowDays);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 365) {
+      errors.push('Window must be a whole number of days between 1 and 365');
+    }
+    data.windowDays = windowDays;
+  }
+
+  if (data.type === 'low_attendance') {
+    for (const [field, label, fallback] of [['minSessions', 'Minimum sessions', 5], ['repeatAfterDays', 'Repeat interval', 7]]) {
+      const value = Number(merged[field] ?? fallback);
+      if (!Number.isInteger(value) || value < 1 || value > 365) {
+        errors.push(`${label} must be a whole number between 1 and 365`);
+      }
+      data[field] = value;
+    }
+  }
+
+  for (const [field, allowed] of [['recipients', RECIPIENTS], ['channels', CHANNELS]]) {
+    const values = Array.isArray(merged[field]) ? [...new Set(merged[field])] : [];
+    if (values.length === 0 || values.some(value => !allowed.includes(value))) {
+      errors.push(`Choose at least one of ${field}: ${allowed.join(', ')}`);
+    }
+    data[field] = values;
+  }
+
+  if (merged.isActive !== undefined) {
+    data.isActive = Boolean(merged.isActive);
+  }
+
+  return { data, errors };
+};
+
+// Students with a run of `threshold` or more absences up to their latest
+// session. Excused days (approved leave) neither count nor break the run.
+const findAbsenceStreaks = (rule, recordsByStudent) => {
+  const matches = [];
+  for (const [studentId, records] of recordsByStudent) {
+    const streak = [];
+    for (let i = records.length - 1; i >= 0; i--) {
+      if (records[i].status === 'excused') continue;
+      if (records[i].status !== 'absent') break;
+      streak.push(records[i]);
+    }
+    if (streak.length < rule.threshold) continue;
+
+    const since = streak[streak.length - 1].date;
+    matches.push({
+      studentId,
+      triggerKey: `streak:${toDateKey(since)}`,
+      details: { consecutiveAbsences: streak.length, since, lastAbsence: streak[0].date },
+      describe: name => `${name} has been absent for ${streak.length} consecutive classes since ${formatDate(since)}.`,
+    });
+  }
+  return matches;
+};
+
+// Students below `threshold` percent over the window, once they have
+// enough sessions to judge. Alerted again every `repeatAfterDays`.
+const findLowAttendance = (rule, recordsByStudent, { now, policy }) => {
+  const windowStart = startOfDay(now.getTime() - (rule.windowDays - 1) * DAY_MS);
+  const period = Math.floor(startOfDay(now).getTime() / DAY_MS / rule.repeatAfterDays);
+  const matches = [];
+
+  for (const [studentId, records] of recordsByStudent) {
+    const inWindow = records.filter(record => record.date >= windowStart);
+    if (inWindow.length < rule.minSessions) continue;
+
+    const summary = summarizeAttendance(inWindow, policy, { includeLate: true });
+    if (summary.total === 0 || summary.percentage >= rule.threshold) continue;
+
+    const percentage = Math.round(summary.percentage * 10) / 10;
+    matches.push({
+      studentId,
+      triggerKey: `low:${period}`,
+      details: { percentage, attended: summary.attended, total: summary.total, windowDays: rule.windowDays },
+      describe: name => `${name}'s attendance over the last ${rule.windowDays} days is ${percentage}% ` +
+        `(${summary.attended} of ${summary.total} classes), below the required ${rule.threshold}%.`,
+    });
+  }
+  return matches;
+};
+
+// Absences in the window with no leave request (pending or approved)
+// covering the day that was submitted by the end of that day
+const findAbsencesWithoutLeave = async (rule, recordsByStudent, { now }) => {
+  const windowStart = startOfDay(now.getTime() - (rule.windowDays - 1) * DAY_MS);
+  const absences = [];
+  for (const [studentId, records] of recordsByStudent) {
+    records
+      .filter(record => record.status === 'absent' && record.date >= windowStart)
+      .forEach(record => absences.push({ studentId, date: record.date }));
+  }
+  if (absences.length === 0) return [];
+
+  const leaves = await LeaveRequest.find({
+    student: { $in: [...new Set(absences.map(absence => absence.studentId))] },
+    status: { $in: ['pending', 'approved'] },
+    endDate: { $gte: windowStart },
+  }).select('student startDate endDate createdAt').lean();
+
+  return absences
+    .filter(({ studentId, date }) => !leaves.some(leave =>
+      leave.student.toString() === studentId &&
+      leave.startDate <= date && leave.endDate >= date &&
+      leave.createdAt < new Date(date.getTime() + DAY_MS)
+    ))
+    .map(({ studentId, date }) => ({
+      studentId,
+      triggerKey: `absent:${toDateKey(date)}`,
+      details: { absenceDate: date },
+      describe: name => `${name} was absent on ${formatDate(date)} without applying for leave.`,
+    }));
+};
+
+const findMatches = (rule, recordsByStudent, context) => {
+  switch (rule.type) {
+    case 'consecutive_absences':
+      return findAbsenceStreaks(rule, recordsByStudent);
+    case 'low_attendance':
+      return findLowAttendance(rule, recordsByStudent, context);
+    case 'absent_without_leave':
+      return findAbsencesWithoutLeave(rule, recordsByStudent, context);
+    default:
+      return [];
+  }
+};
+
+// Who receives an alert about a student, and where, per channel
+const getRecipients = (student, recipientType) => {
+  if (recipientType === 'guardian') {
+    return {
+      name: student.guardianName || `Parent/Guardian of ${student.name}`,
+      email: student.email,
+      sms: student.guardianPhone,
+    };
+  }
+
+  const teacher = student.batch?.createdBy;
+  if (!teacher || teacher.active === false) return null;
+  return { name: teacher.name, email: teacher.email, sms: teacher.phone };
+};
+
+const buildMessage = (match, student, recipientType, channel) => {
+  const batchName = student.batch?.name || 'their batch';
+  const fact = match.describe(`${student.name} (Roll No ${student.rollNo}, ${batchName})`);
+
+  if (channel === 'sms') {
+    return { subject: null, message: `CDC Attendance: ${fact}` };
+  }
+
+  const closing = recipientType === 'guardian'
+    ? 'Please contact the institute if there is a reason for these absences, or apply for leave in advance next time.'
+    : 'Please follow up with the student and their guardian.';
+  return {
+    subject: `Attendance alert: ${student.name}`,
+    message: `${fact}\n${closing}`,
+  };
+};
+
+/**
+ * Run the active absence alert rules (or the given ones) and send alerts
+ * for what they find. Attendance on days that turned out to be holidays is
+ * ignored, and a student is only alerted once per trigger (e.g. per
+ * absence streak), recipient and channel; failed deliveries are tried
+ * again on the next run. Every delivery attempt is logged as an
+ * AbsenceAlert. With `dryRun`, nothing is sent or logged and the planned
+ * deliveries are returned instead.
+ *
+ * Real runs must not overlap, so they go through absenceAlertService.run().
+ *
+ * @returns {Promise<Object>} { rules, matches, sent, failed, skipped, deliveries }
+ */
+const runAbsenceAlerts = async ({ now = new Date(), dryRun = false, ruleIds } = {}) => {
+  const ruleFilter = ruleIds ? { _id: { $in: ruleIds } } : { isActive: true };
+  const rules = await AbsenceAlertRule.find(ruleFilter);
+  const result = { rules: rules.length, matches: 0, sent: 0, failed: 0, skipped: 0, deliveries: [] };
+  if (rules.length === 0) return result;
+
+  // One attendance read covering the longest window of any rule
+  const lookbackDays = Math.max(...rules.map(rule =>
+    rule.type === 'consecutive_absences' ? STREAK_LOOKBACK_DAYS : rule.windowDays
+  ));
+  const startDate = startOfDay(now.getTime() - (lookbackDays - 1) * DAY_MS);
+  const records = await filterWorkingDayRecords(
+    await Attendance.find({ date: { $gte: startDate, $lte: now } })
+      .select('student batch date status')
+      .sort({ date: 1 })
+      .lean(),
+    { startDate, endDate: now }
+  );
+
+  const students = await Student.find({
+    _id: { $in: [...new Set(records.map(record => record.student.toString()))] },
+    isActive: true,
+  })
+    .select('name rollNo email guardianName guardianPhone batch')
+    .populate({
+      path: 'batch',
+      select: 'name createdBy',
+      populate: { path: 'createdBy', select: 'name email phone active' },
+    })
+    .lean();
+  const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+
+  // Each student's sessions in their current batch, oldest first
+  const recordsByStudent = new Map();
+  records.forEach(record => {
+    const student = studentsById.get(record.student.toString());
+    if (!student?.batch || record.batch.toString() !== student.batch._id.toString()) return;
+    const key = record.student.toString();
+    if (!recordsByStudent.has(key)) recordsByStudent.set(key, []);
+    recordsByStudent.get(key).push(record);
+  });
+
+  const context = { now, policy: await getExcusedPolicy() };
+  const matchesByRule = await Promise.all(rules.map(async rule => ({
+    rule,
+    matches: await findMatches(rule, recordsByStudent, context),
+  })));
+
+  // Deliveries already made (or impossible) for these triggers
+  const allMatches = matchesByRule.flatMap(({ rule, matches }) => matches.map(match => ({ rule, match })));
+  result.matches = allMatches.length;
+  if (allMatches.length === 0) return result;
+
+  const previous = await AbsenceAlert.find({
+    rule: { $in: rules.map(rule => rule._id) },
+    student: { $in: [...new Set(allMatches.map(({ match }) => match.studentId))] },
+    triggerKey: { $in: [...new Set(allMatches.map(({ match }) => match.triggerKey))] },
+    status: { $in: ['sent', 'skipped'] },
+  }).select('rule student triggerKey recipientType channel').lean();
+  const deliveryKey = (ruleId, studentId, triggerKey, recipientType, channel) =>
+    [ruleId, studentId, triggerKey, recipientType, channel].join('|');
+  const done = new Set(previous.map(alert => deliveryKey(
+    alert.rule, alert.student, alert.triggerKey, alert.recipientType, alert.channel
+  )));
+
+  for (const { rule, match } of allMatches) {
+    const student = studentsById.get(match.studentId);
+
+    for (const recipientType of rule.recipients) {
+      const recipient = getRecipients(student, recipientType);
+      if (!recipient) continue;
+
+      for (const channel of rule.channels) {
+        const key = deliveryKey(rule._id, match.studentId, match.triggerKey, recipientType, channel);
+        if (done.has(key)) continue;
+        done.add(key);
+
+        const { subject, message } = buildMessage(match, student, recipientType, channel);
+        const delivery = {
+          rule: rule._id,
+          ruleName: rule.name,
+          ruleType: rule.type,
+          student: student._id,
+          batch: student.batch._id,
+          triggerKey: match.triggerKey,
+          details: match.details,
+          recipientType,
+          recipientName: recipient.name,
+          channel,
+          to: recipient[channel],
+          subject,
+          message,
+        };
+
+        if (dryRun) {
+          result.deliveries.push({
+            ...delivery,
+            studentName: student.name,
+            rollNo: student.rollNo,
+            batchName: student.batch.name,
+            status: delivery.to ? 'planned' : 'skipped',
+          });
+          continue;
+        }
+
+        if (!delivery.to) {
+          delivery.status = 'skipped';
+          delivery.error = `No ${channel === 'sms' ? 'phone number' : 'email address'} on file`;
+        } else {
+          const outcome = await deliverAlert(channel, {
+            to: delivery.to,
+            recipientName: recipient.name,
+            subject,
+            message,
+          });
+          delivery.transport = outcome.transport;
+          delivery.status = outcome.success ? 'sent' : 'failed';
+          delivery.error = outcome.error;
+        }
+
+        await AbsenceAlert.create(delivery);
+        result[delivery.status]++;
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  RULE_TYPES,
+  RULE_DEFAULTS,
+  validateAlertRule,
+  runAbsenceAlerts,
+};
@@ -0,0 +1,126 @@
+const emailService = require('./emailService');
+
+/**
+ * Delivery channels for absence alerts. Each channel has interchangeable
+ * transports, picked by environment variable:
+ *
+ *  - email (ALERT_EMAIL_TRANSPORT): `nodemailer` (default) sends through
+ *    emailService; `stub` only records the message.
+ *  - sms (ALERT_SMS_TRANSPORT): `stub` (default) only records the message;
+ *    `http` POSTs { to, message, sender } as JSON to SMS_API_URL with
+ *    SMS_API_KEY as a bearer token, which fits most SMS gateways or a small
+ *    adapter in front of one.
+ *
+ * A transport is `async ({ to, recipientName, subject, message }) =>
+ * { success, error? }`. registerTransport() adds one, e.g. for another SMS
+ * provider.
+ */
+
+const DEFAULT_TRANSPORTS = {
+  email: 'nodemailer',
+  sms: 'stub',
+};
+
+const TRANSPORT_ENV = {
+  email: 'ALERT_EMAIL_TRANSPORT',
+  sms: 'ALERT_SMS_TRANSPORT',
+};
+
+// Messages accepted by the stub transports, newest last, for local testing
+const STUB_OUTBOX_SIZE = 200;
+const stubOutbox = [];
+
+const createStubTransport = (channel) => async ({ to, subject, message }) => {
+  stubOutbox.push({ channel, to, subject, message, sentAt: new Date() });
+  if (stubOutbox.length > STUB_OUTBOX_SIZE) {
+    stubOutbox.shift();
+  }
+  console.log(`📭 [${channel} stub] to ${to}: ${subject || message.split('\n')[0]}`);
+  return { success: true };
+};
+
+const sendWithNodemailer = async (alert) => {
+  const result = await emailService.sendAttendanceAlertEmail(alert);
+  return { success: result.success, error: result.success ? undefined : result.message };
+};
+
+const sendSmsOverHttp = async ({ to, message }) => {
+  if (!process.env.SMS_API_URL) {
+    return { success: false, error: 'SMS_API_URL is not set' };
+  }
+
+  const response = await fetch(process.env.SMS_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.SMS_API_KEY && { Authorization: `Bearer ${process.env.SMS_API_KEY}` }),
+    },
+    body: JSON.stringify({ to, message, sender: process.env.SMS_SENDER_ID }),
+    signal: AbortSignal.timeout(15000),
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    return { success: false, error: `SMS gateway responded ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}` };
+  }
+  return { success: true };
+};
+
+const transports = {
+  email: {
+    nodemailer: sendWithNodemailer,
+    stub: createStubTransport('email'),
+  },
+  sms: {
+    http: sendSmsOverHttp,
+    stub: createStubTransport('sms'),
+  },
+};
+
+const CHANNELS = Object.keys(transports);
+
+const registerTransport = (channel, name, transport) => {
+  if (!transports[channel]) {
+    throw new Error(`Unknown alert channel: ${channel}`);
+  }
+  transports[channel][name] = transport;
+};
+
+// Name of the transport a channel currently uses
+const getTransportName = (channel) => process.env[TRANSPORT_ENV[channel]] || DEFAULT_TRANSPORTS[channel];
+
+/**
+ * Deliver one alert over a channel. Transport errors are returned, not
+ * thrown, so one bad address does not stop the remaining alerts.
+ *
+ * @returns {Promise<{ transport: string, success: boolean, error?: string }>}
+ */
+const deliverAlert = async (channel, alert) => {
+  const name = getTransportName(channel);
+  const transport = transports[channel]?.[name];
+  if (!transport) {
+    return { transport: name, success: false, error: `Unknown ${channel} transport: ${name}` };
+  }
+
+  try {
+    const result = await transport(alert);
+    return { transport: name, success: Boolean(result.success), error: result.error };
+  } catch (error) {
+    return { transport: name, success: false, error: error.message };
+  }
+};
+
+const getStubOutbox = () => [...stubOutbox];
+
+const clearStubOutbox = () => {
+  stubOutbox.length = 0;
+};
+
+module.exports = {
+  CHANNELS,
+  registerTransport,
+  getTransportName,
+  deliverAlert,
+  getStubOutbox,
+  clearStubOutbox,
+};
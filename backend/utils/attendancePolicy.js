@@ -0,0 +1,100 @@
+const { getSetting } = require('./systemSettings');
+
+const EXCUSED_POLICIES = ['exclude', 'present', 'absent'];
+
+/**
+ * Current policy for excused (approved leave) days, see DEFAULT_SETTINGS.
+ */
+const getExcusedPolicy = async () => {
+  const policy = await getSetting('attendance', 'excusedPolicy');
+  return EXCUSED_POLICIES.includes(policy) ? policy : 'exclude';
+};
+
+/**
+ * Count attendance statuses from a list of records or a { status: count } map.
+ */
+const countStatuses = (recordsOrCounts) => {
+  const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+
+  if (Array.isArray(recordsOrCounts)) {
+    recordsOrCounts.forEach(record => {
+      if (counts[record.status] !== undefined) {
+        counts[record.status]++;
+      }
+    });
+  } else if (recordsOrCounts) {
+    Object.keys(counts).forEach(status => {
+      counts[status] = recordsOrCounts[status] || 0;
+    });
+  }
+
+  return counts;
+};
+
+/**
+ * Apply the excused policy to attended/total figures.
+ *
+ * @param {number} attended  Sessions counted as attended before excused days
+ * @param {number} total     Sessions in the denominator, including excused ones
+ * @param {number} excused   Excused sessions included in `total`
+ * @param {string} policy    One of EXCUSED_POLICIES
+ * @returns {{ attended: number, total: number, percentage: number }}
+ */
+const applyExcusedPolicy = (attended, total, excused, policy) => {
+  let adjustedAttended = attended;
+  let adjustedTotal = total;
+
+  if (policy === 'exclude') {
+    adjustedTotal = Math.max(total - excused, 0);
+  } else if (policy === 'present') {
+    adjustedAttended = attended + excused;
+  }
+
+  return {
+    attended: adjustedAttended,
+    total: adjustedTotal,
+    percentage: adjustedTotal > 0 ? (adjustedAttended / adjustedTotal) * 100 : 0,
+  };
+};
+
+/**
+ * Summarize attendance records (or status counts) under the excused policy.
+ * `includeLate` controls whether late arrivals count as attended.
+ */
+const summarizeAttendance = (recordsOrCounts, policy, { includeLate = false } = {}) => {
+  const counts = countStatuses(recordsOrCounts);
+  const total = counts.present + counts.absent + counts.late + counts.excused;
+  const attended = counts.present + (includeLate ? counts.late : 0);
+
+  // `total`/`attended` are policy-adjusted; `recordCount` is the raw number of records
+  return {
+    ...counts,
+    recordCount: total,
+    ...applyExcusedPolicy(attended, total, counts.excused, policy),
+  };
+};
+
+/**
+ * Status to store for a session given the requested status and any approved
+ * leave covering that day. Absences covered by leave become `excused`; students
+ * who attended keep their status. Returns null when `excused` is requested
+ * without an approved leave request.
+ */
+const resolveAttendanceStatus = (status, approvedLeave) => {
+  if (approvedLeave && (status === 'absent' || status === 'excused')) {
+    return { status: 'excused', leaveRequest: approvedLeave._id };
+  }
+  if (status === 'excused') {
+    return null;
+  }
+  return { status, leaveRequest: null };
+};
+
+module.exports = {
+  EXCUSED_POLICIES,
+  getExcusedPolicy,
+  countStatuses,
+  applyExcusedPolicy,
+  summarizeAttendance,
+  resolveAttendanceStatus,
+};
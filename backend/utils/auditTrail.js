@@ -0,0 +1,122 @@
+const AuditLog = require('../models/auditLogModel');
+const { getSetting } = require('./systemSettings');
+const { toDateKey } = require('./workingCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields recorded for each audited model
+const AUDITED_FIELDS = {
+  attendance: ['status', 'remarks', 'leaveRequest', 'markedBy'],
+  submission: ['score', 'feedback', 'rubricScores', 'finalScore', 'status', 'gradedBy'],
+  feeSchedule: ['totalAmount', 'installments', 'notes'],
+  feePayment: ['amount', 'mode', 'reference', 'paidAt', 'status', 'voidReason'],
+};
+
+// Plain, comparable form of a field value
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (typeof value.toObject === 'function') return normalizeValue(value.toObject());
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== '_id')
+        .map(([key, item]) => [key, normalizeValue(item)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Field-by-field differences between two versions of a document.
+ * `before` is null for a created document.
+ */
+const diffFields = (before, after, fields) => fields
+  .map(field => ({
+    field,
+    before: before ? normalizeValue(before[field]) : null,
+    after: after ? normalizeValue(after[field]) : null,
+  }))
+  .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+/**
+ * Snapshot the audited fields of a document before it is changed.
+ */
+const snapshot = (doc, entityType) => {
+  if (!doc) return null;
+  return Object.fromEntries(AUDITED_FIELDS[entityType].map(field => [field, normalizeValue(doc[field])]));
+};
+
+// Client address, taking the first proxy hop into account
+const getClientIp = (req) => {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return req.ip || req.connection?.remoteAddress || null;
+};
+
+/**
+ * Whether an attendance change for `sessionDate` is late enough to flag,
+ * per the attendance.lateEditDays setting.
+ */
+const getLateEditFlag = async (sessionDate, now = new Date()) => {
+  const limit = await getSetting('attendance', 'lateEditDays');
+  const session = new Date(`${toDateKey(sessionDate)}T00:00:00`);
+  const today = new Date(`${toDateKey(now)}T00:00:00`);
+  const daysAfter = Math.round((today - session) / DAY_MS);
+
+  if (daysAfter > limit) {
+    return { flagged: true, flagReason: `Changed ${daysAfter} days after the session (limit ${limit})` };
+  }
+  return { flagged: false };
+};
+
+/**
+ * Record a change in the audit trail. Nothing is written when an update
+ * leaves every audited field as it was. Failures are logged, never thrown,
+ * so auditing cannot break the change itself.
+ *
+ * @param {Object} req - Request of the acting user
+ * @param {Object} entry - { entityType, entity, action, before, after,
+ *   student, batch, sessionDate, reason }
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    const { entityType, entity, action, before = null, after = null } = entry;
+    const changes = diffFields(before, after, AUDITED_FIELDS[entityType]);
+    if (action === 'update' && changes.length === 0) return null;
+
+    const flag = entityType === 'attendance' && entry.sessionDate
+      ? await getLateEditFlag(entry.sessionDate)
+      : { flagged: false };
+
+    return await AuditLog.create({
+      entityType,
+      entity: entity._id || entity,
+      action,
+      changes,
+      reason: entry.reason,
+      student: entry.student?._id || entry.student,
+      batch: entry.batch?._id || entry.batch,
+      user: req.user?._id,
+      userName: req.user?.name,
+      userRole: req.user?.role,
+      ipAddress: getClientIp(req),
+      sessionDate: entry.sessionDate,
+      ...flag,
+    });
+  } catch (error) {
+    console.error('❌ Failed to record audit entry:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  AUDITED_FIELDS,
+  diffFields,
+  snapshot,
+  getClientIp,
+  getLateEditFlag,
+  recordAudit,
+};
@@ -0,0 +1,207 @@
+const Booking = require('../models/bookingModel');
+const PC = require('../models/pcModel');
+const Batch = require('../models/batchModel');
+const { getWorkingCalendar, getBatchDepartmentId } = require('./workingCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * YYYY-MM-DD key of a booking date. Booking dates are stored at midnight UTC
+ * (`new Date('YYYY-MM-DD')`), so the key is read in UTC.
+ */
+const toBookingKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const addDays = (key, days) => toBookingKey(new Date(key).getTime() + days * DAY_MS);
+
+// Key of today's calendar date, as a booking date would be stored for it
+const getTodayKey = () => {
+  const now = new Date();
+  return toBookingKey(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+
+// Local midnight of a key, which is what the holiday calendar works with
+const toLocalDay = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Calendar days of a series from `fromKey` (inclusive) to its end date that
+ * fall on one of its weekdays. Days removed as exceptions are left out.
+ */
+const getOccurrenceKeys = (series, fromKey) => {
+  const startKey = toBookingKey(series.startDate);
+  const endKey = toBookingKey(series.endDate);
+  const exceptions = new Set(series.exceptions || []);
+  const keys = [];
+
+  for (let key = fromKey && fromKey > startKey ? fromKey : startKey; key <= endKey; key = addDays(key, 1)) {
+    if (series.weekdays.includes(new Date(key).getUTCDay()) && !exceptions.has(key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+};
+
+const getSeriesDepartmentId = async (series) => {
+  if (!series.batch) return null;
+
+  const batch = await Batch.findById(series.batch).select('course').populate('course', 'department').lean();
+  return batch ? getBatchDepartmentId(batch) : null;
+};
+
+/**
+ * Create the Booking documents of a series from `fromDate` (default today)
+ * onwards. Days that are already booked by this series are left alone, so a
+ * series can be expanded again safely, e.g. once its PC is back in service.
+ *
+ * Returns a report of what was created and which days were skipped (holidays,
+ * PC out of service) or are in conflict with other bookings. With `dryRun`
+ * nothing is written, which is used to preview a series before saving it.
+ */
+const expandSeries = async (series, { fromDate, dryRun = false, userId } = {}) => {
+  const todayKey = getTodayKey();
+  const fromKey = fromDate && toBookingKey(fromDate) > todayKey ? toBookingKey(fromDate) : todayKey;
+  const keys = getOccurrenceKeys(series, fromKey);
+
+  const report = {
+    totalOccurrences: keys.length,
+    created: [],
+    existing: 0,
+    skipped: [],
+    conflicts: [],
+  };
+
+  if (keys.length === 0) return report;
+
+  const pc = await PC.findById(series.pc).select('pcNumber status');
+  if (!pc) {
+    throw new Error('PC not found');
+  }
+
+  const rangeStart = new Date(keys[0]);
+  const rangeEnd = new Date(keys[keys.length - 1]);
+
+  const calendar = await getWorkingCalendar({
+    startDate: toLocalDay(keys[0]),
+    endDate: toLocalDay(keys[keys.length - 1]),
+    departmentId: await getSeriesDepartmentId(series),
+  });
+
+  const [pcBookings, studentBookings] = await Promise.all([
+    Booking.find({
+      pc: series.pc,
+      timeSlot: series.timeSlot,
+      date: { $gte: rangeStart, $lte: rangeEnd },
+    }).select('date status series studentName'),
+    series.student
+      ? Booking.find({
+        student: series.student,
+        timeSlot: series.timeSlot,
+        date: { $gte: rangeStart, $lte: rangeEnd },
+        status: { $ne: 'cancelled' },
+      }).select('date pc series').populate('pc', 'pcNumber')
+      : [],
+  ]);
+
+  const pcBookingByDay = new Map(pcBookings.map(booking => [toBookingKey(booking.date), booking]));
+  const studentBookingByDay = new Map(
+    studentBookings
+      .filter(booking => !booking.series || booking.series.toString() !== series._id.toString())
+      .map(booking => [toBookingKey(booking.date), booking])
+  );
+
+  for (const date of keys) {
+    const closure = calendar.getClosure(toLocalDay(date));
+    if (closure) {
+      report.skipped.push({ date, reason: `Holiday: ${closure.name}` });
+      continue;
+    }
+
+    const existing = pcBookingByDay.get(date);
+    if (existing && existing.series && existing.series.toString() === series._id.toString()) {
+      report.existing += 1;
+      continue;
+    }
+
+    // Only days that would otherwise be booked are skipped while the PC is
+    // out of service; expanding again once it is back fills them in
+    if (pc.status !== 'active') {
+      report.skipped.push({ date, reason: `PC ${pc.pcNumber} is ${pc.status}` });
+      continue;
+    }
+
+    if (existing && existing.status !== 'cancelled') {
+      report.conflicts.push({
+        date,
+        reason: `PC ${pc.pcNumber} is already booked for ${existing.studentName}`,
+        booking: existing._id,
+      });
+      continue;
+    }
+
+    const studentBooking = studentBookingByDay.get(date);
+    if (studentBooking) {
+      report.conflicts.push({
+        date,
+        reason: `${series.bookedFor} already has PC ${studentBooking.pc?.pcNumber || '(removed)'} booked in this slot`,
+        booking: studentBooking._id,
+      });
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        // A cancelled booking no longer holds the seat, but still occupies the
+        // unique pc/date/slot index
+        if (existing) {
+          await Booking.deleteOne({ _id: existing._id });
+        }
+
+        await Booking.create({
+          pc: series.pc,
+          date: new Date(date),
+          timeSlot: series.timeSlot,
+          bookedFor: series.bookedFor,
+          student: series.student || null,
+          studentName: series.bookedFor,
+          teacherName: series.teacherName,
+          batch: series.batch || null,
+          purpose: series.purpose,
+          notes: series.notes || '',
+          bookedBy: userId || series.createdBy,
+          series: series._id,
+        });
+      } catch (error) {
+        // Lost a race with a single booking for the same seat
+        report.conflicts.push({ date, reason: error.code === 11000 ? `PC ${pc.pcNumber} is already booked` : error.message });
+        continue;
+      }
+    }
+
+    report.created.push(date);
+  }
+
+  return report;
+};
+
+/**
+ * Remove the not yet attended occurrences of a series from `fromDate` onwards.
+ */
+const removeFutureOccurrences = async (seriesId, fromDate) => {
+  const result = await Booking.deleteMany({
+    series: seriesId,
+    date: { $gte: new Date(toBookingKey(fromDate)) },
+    status: 'booked',
+  });
+  return result.deletedCount;
+};
+
+module.exports = {
+  toBookingKey,
+  addDays,
+  getTodayKey,
+  getOccurrenceKeys,
+  expandSeries,
+  removeFutureOccurrences,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const Student = require('../models/studentModel');
+const Attendance = require('../models/attendanceModel');
+const Project = require('../models/projectModel');
+const Counter = require('../models/counterModel');
+const { getSetting } = require('./systemSettings');
+const { getExcusedPolicy, summarizeAttendance } = require('./attendancePolicy');
+const { filterWorkingDayRecords } = require('./workingCalendar');
+const { createPdfDocument } = require('./pdfDocument');
+const { getCountedSubmissions } = require('./submissionVersions');
+
+// Unambiguous characters for the random part of a serial number
+const SERIAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const getEligibilityCriteria = async () => ({
+  minAttendance: await getSetting('certificates', 'minAttendance'),
+  minProjectScore: await getSetting('certificates', 'minProjectScore'),
+});
+
+/**
+ * The batch's final project is its latest assigned project by deadline.
+ */
+const getFinalProject = (batchId) => Project.findOne({
+  batch: batchId,
+  isActive: true,
+  status: { $ne: 'draft' },
+})
+  .sort({ deadlineDate: -1 })
+  .select('title deadlineDate maxScore submissionPolicy');
+
+/**
+ * Assess every active student of a batch against the certificate criteria.
+ * Attendance only counts working days and follows the excused-leave policy;
+ * late arrivals count as attended.
+ */
+const evaluateBatchEligibility = async (batch, criteria) => {
+  const [students, records, finalProject, excusedPolicy] = await Promise.all([
+    Student.find({ batch: batch._id, isActive: true })
+      .select('name studentId rollNo')
+      .sort({ rollNo: 1 }),
+    Attendance.find({ batch: batch._id }).select('student batch date status').lean(),
+    getFinalProject(batch._id),
+    getExcusedPolicy(),
+  ]);
+
+  const workingDayRecords = await filterWorkingDayRecords(records);
+  const recordsByStudent = new Map();
+  workingDayRecords.forEach(record => {
+    const key = record.student.toString();
+    if (!recordsByStudent.has(key)) recordsByStudent.set(key, []);
+    recordsByStudent.get(key).push(record);
+  });
+
+  const scores = new Map();
+  if (finalProject) {
+    // The version the project's policy counts, when work was resubmitted.
+    // The marks out of maxScore, not finalScore, which also weighs in
+    // attendance and timing.
+    const submissions = await getCountedSubmissions(finalProject);
+    submissions.forEach(submission => {
+      if (submission.score !== null && submission.score !== undefined) {
+        scores.set(submission.student.toString(), submission.score);
+      }
+    });
+  }
+
+  return {
+    finalProject,
+    students: students.map(student => {
+      const summary = summarizeAttendance(
+        recordsByStudent.get(student._id.toString()) || [],
+        excusedPolicy,
+        { includeLate: true }
+      );
+      const attendancePercentage = Math.round(summary.percentage * 10) / 10;
+      const projectScore = scores.has(student._id.toString()) ? scores.get(student._id.toString()) : null;
+      // The threshold is a percentage, so projects marked out of any maximum compare alike
+      const projectPercentage = projectScore !== null && finalProject?.maxScore
+        ? Math.round((projectScore / finalProject.maxScore) * 1000) / 10
+        : null;
+
+      const reasons = [];
+      if (summary.recordCount === 0) {
+        reasons.push('No attendance recorded');
+      } else if (attendancePercentage < criteria.minAttendance) {
+        reasons.push(`Attendance ${attendancePercentage}% is below ${criteria.minAttendance}%`);
+      }
+      if (finalProject) {
+        if (projectScore === null) {
+          reasons.push('Final project not graded');
+        } else if (projectPercentage < criteria.minProjectScore) {
+          reasons.push(`Final project score ${projectScore}/${finalProject.maxScore} (${projectPercentage}%) is below ${criteria.minProjectScore}%`);
+        }
+      }
+
+      return {
+        student,
+        attendancePercentage,
+        projectScore,
+        projectPercentage,
+        eligible: reasons.length === 0,
+        reasons,
+      };
+    }),
+  };
+};
+
+/**
+ * Next serial number, e.g. CDC-2026-000042-K7QD. The sequence keeps serials
+ * unique and the random suffix stops anyone guessing valid numbers.
+ */
+const generateSerialNumber = async (date = new Date()) => {
+  const year = new Date(date).getFullYear();
+  const seq = await Counter.next(`certificate-${year}`);
+  const suffix = [...crypto.randomBytes(4)]
+    .map(byte => SERIAL_ALPHABET[byte % SERIAL_ALPHABET.length])
+    .join('');
+  return `CDC-${year}-${seq.toString().padStart(6, '0')}-${suffix}`;
+};
+
+const getVerificationUrl = (serialNumber) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'https://cdc-attendance-com.vercel.app').replace(/\/$/, '');
+  return `${frontendUrl}/verify/${serialNumber}`;
+};
+
+const formatLongDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+/**
+ * Render a certificate as a printable A4 landscape PDF. Returns a Buffer.
+ */
+const renderCertificatePdf = (certificate) => {
+  const doc = createPdfDocument({
+    size: 'A4_LANDSCAPE',
+    title: `Certificate ${certificate.serialNumber}`,
+  });
+  const { width, height } = doc;
+  const center = width / 2;
+  const accent = '#B91C1C';
+  const muted = '#4B5563';
+
+  doc
+    .rect(20, 20, width - 40, height - 40, { color: accent, lineWidth: 3 })
+    .rect(30, 30, width - 60, height - 60, { color: accent, lineWidth: 0.75 });
+
+  if (certificate.status === 'revoked') {
+    doc.text('REVOKED', center, 70, { font: 'bold', size: 20, color: accent, align: 'center' });
+  }
+
+  doc
+    .text((certificate.certificateName || 'Certificate of Completion').toUpperCase(), center, 120, {
+      font: 'bold', size: 30, color: accent, align: 'center', maxWidth: width - 140,
+    })
+    .line(center - 120, 138, center + 120, 138, { color: accent, lineWidth: 1 })
+    .text('This is to certify that', center, 185, { font: 'italic', size: 15, color: muted, align: 'center' })
+    .text(certificate.studentName, center, 230, {
+      font: 'bold', size: 32, align: 'center', maxWidth: width - 160,
+    })
+    .text(certificate.studentCode ? `Student ID: ${certificate.studentCode}` : '', center, 255, {
+      size: 11, color: muted, align: 'center',
+    })
+    .text('has successfully completed the course', center, 295, {
+      font: 'italic', size: 15, color: muted, align: 'center',
+    })
+    .text(
+      certificate.courseCode ? `${certificate.courseName} (${certificate.courseCode})` : certificate.courseName,
+      center, 335,
+      { font: 'bold', size: 22, align: 'center', maxWidth: width - 160 }
+    )
+    .text(
+      `${certificate.batchName ? `Batch ${certificate.batchName}, c` : 'C'}ompleted on ${formatLongDate(certificate.completionDate)}`,
+      center, 365,
+      { size: 12, color: muted, align: 'center', maxWidth: width - 160 }
+    );
+
+  // Signature block
+  const signatureX = width - 230;
+  doc
+    .line(signatureX - 90, 470, signatureX + 90, 470, { color: muted, lineWidth: 0.75 })
+    .text(certificate.issuingAuthority || 'CDC', signatureX, 488, {
+      font: 'bold', size: 12, align: 'center', maxWidth: 200,
+    })
+    .text('Issuing Authority', signatureX, 503, { size: 10, color: muted, align: 'center' });
+
+  // Serial and verification details
+  doc
+    .text(`Certificate No: ${certificate.serialNumber}`, 70, 470, { font: 'bold', size: 11 })
+    .text(`Issued on: ${formatLongDate(certificate.issuedAt)}`, 70, 488, { size: 10, color: muted })
+    .text(`Verify at: ${getVerificationUrl(certificate.serialNumber)}`, 70, 503, {
+      size: 9, color: muted, maxWidth: 360,
+    });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  getEligibilityCriteria,
+  getFinalProject,
+  evaluateBatchEligibility,
+  generateSerialNumber,
+  getVerificationUrl,
+  renderCertificatePdf,
+};
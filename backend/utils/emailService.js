@@ -322,6 +322,167 @@ This is an automated message. Please do not reply to this email.
     }
   }
 
+  /**
+   * Generate student portal welcome email template
+   */
+  generateStudentWelcomeEmail(studentData) {
+    const { name, email, studentId, password, batch } = studentData;
+
+    // Get frontend URL from environment variables
+    const frontendUrl = process.env.FRONTEND_URL || 'https://cdc-attendance-com.vercel.app';
+
+    const subject = 'Your CDC Student Portal Account - Login Credentials';
+
+    const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>CDC Student Portal</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #dc2626, #ec4899); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+            .credentials-box { background: white; border: 2px solid #e5e7eb; border-radius: 8px; padding: 20px; margin: 20px 0; }
+            .credential-item { margin: 10px 0; padding: 10px; background: #f3f4f6; border-radius: 5px; }
+            .credential-label { font-weight: bold; color: #374151; }
+            .credential-value { font-family: monospace; color: #dc2626; font-size: 16px; }
+            .warning { background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>CDC Student Portal</h1>
+                <p>Your student account has been created successfully!</p>
+            </div>
+
+            <div class="content">
+                <h2>Hello ${name},</h2>
+
+                <p>You can now sign in to the CDC Student Portal to view your attendance, lab bookings and projects${batch ? ` for <strong>${batch.name}</strong>` : ''}.</p>
+
+                <div class="credentials-box">
+                    <h3>Your Login Credentials</h3>
+
+                    <div class="credential-item">
+                        <div class="credential-label">Student ID:</div>
+                        <div class="credential-value">${studentId}</div>
+                    </div>
+
+                    <div class="credential-item">
+                        <div class="credential-label">Email Address:</div>
+                        <div class="credential-value">${email}</div>
+                    </div>
+
+                    <div class="credential-item">
+                        <div class="credential-label">Temporary Password:</div>
+                        <div class="credential-value">${password}</div>
+                    </div>
+                </div>
+
+                <div class="warning">
+                    <strong>⚠️ Important Security Notice:</strong>
+                    <ul>
+                        <li>This is a temporary password. Please change it immediately after your first login.</li>
+                        <li>Select "Student Login" and use either your email address or Student ID.</li>
+                        <li>Keep your credentials secure and do not share them with anyone.</li>
+                    </ul>
+                </div>
+
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${frontendUrl}" style="display: inline-block; background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                        🚀 Open Student Portal
+                    </a>
+                </div>
+
+                <div class="footer">
+                    <p>If you have any questions, please contact your teacher or the institute office.</p>
+                    <p><strong>CDC Attendance Management System</strong><br>
+                    This is an automated message. Please do not reply to this email.</p>
+                </div>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    const textContent = `
+CDC Student Portal
+
+Hello ${name},
+
+Your student account has been created successfully!
+
+Login Credentials:
+- Student ID: ${studentId}
+- Email: ${email}
+- Temporary Password: ${password}
+
+IMPORTANT: This is a temporary password. Please change it immediately after your first login.
+
+Login URL: ${frontendUrl}
+Select "Student Login" and use either your email address or Student ID.
+
+CDC Attendance Management System
+This is an automated message. Please do not reply to this email.
+    `;
+
+    return {
+      subject,
+      html: htmlContent,
+      text: textContent
+    };
+  }
+
+  /**
+   * Send welcome email to new student portal account
+   */
+  async sendStudentWelcomeEmail(studentData) {
+    if (!this.transporter) {
+      console.log('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    try {
+      if (!studentData.email || !studentData.name) {
+        throw new Error('Student email and name are required');
+      }
+
+      const emailTemplate = this.generateStudentWelcomeEmail(studentData);
+
+      const mailOptions = {
+        from: `"CDC Attendance System" <${process.env.EMAIL_USER}>`,
+        to: studentData.email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+      };
+
+      await this.verifyConnection();
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      console.log('Student welcome email sent successfully:', info.messageId);
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl: process.env.NODE_ENV === 'development' ? nodemailer.getTestMessageUrl(info) : null
+      };
+    } catch (error) {
+      console.error('Error sending student welcome email:', error);
+      return {
+        success: false,
+        message: error.message,
+        errorType: error.code || 'EMAIL_SEND_ERROR'
+      };
+    }
+  }
+
   // Send password change OTP email
   async sendPasswordChangeOTP(userData) {
     try {
@@ -1002,6 +1163,74 @@ This is an automated message. Please do not reply to this email.
       };
     }
   }
+
+  /**
+   * Send an attendance alert (see utils/absenceAlerts) to a guardian or teacher
+   */
+  async sendAttendanceAlertEmail({ to, recipientName, subject, message }) {
+    if (!this.transporter) {
+      console.log('Email service not configured. Skipping attendance alert email.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    try {
+      const paragraphs = message.split('\n').filter(Boolean).map(line => `<p>${line}</p>`).join('');
+
+      const mailOptions = {
+        from: `"CDC Attendance System" <${process.env.EMAIL_USER}>`,
+        to,
+        subject,
+        text: `Dear ${recipientName || 'Sir/Madam'},\n\n${message}\n\nCDC Attendance Management System`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Attendance Alert</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+              .container { max-width: 600px; margin: 0 auto; background: white; padding: 20px; border-radius: 10px; }
+              .header { background: linear-gradient(135deg, #dc2626, #ef4444); color: white; padding: 24px; text-align: center; border-radius: 10px 10px 0 0; margin: -20px -20px 20px -20px; }
+              .alert-box { background: #fff7ed; border-left: 4px solid #ea580c; padding: 16px 20px; margin: 20px 0; border-radius: 4px; }
+              .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #666; font-size: 14px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2 style="margin: 0;">⚠️ Attendance Alert</h2>
+              </div>
+              <p>Dear ${recipientName || 'Sir/Madam'},</p>
+              <div class="alert-box">${paragraphs}</div>
+              <div class="footer">
+                <p><strong>CDC Attendance Management System</strong></p>
+                <p>This is an automated notification. Please do not reply to this email.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      console.log(`Attendance alert email sent to ${to}:`, info.messageId);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+
+    } catch (error) {
+      console.error(`Error sending attendance alert email to ${to}:`, error);
+      return {
+        success: false,
+        message: error.message,
+        errorType: error.code || 'ATTENDANCE_ALERT_EMAIL_ERROR'
+      };
+    }
+  }
 }
 
 // Create singleton instance
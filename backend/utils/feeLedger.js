@@ -0,0 +1,248 @@
+const FeeSchedule = require('../models/feeScheduleModel');
+const FeePayment = require('../models/feePaymentModel');
+const Counter = require('../models/counterModel');
+const Student = require('../models/studentModel');
+const Course = require('../models/courseModel');
+
+/**
+ * Fee ledger helpers
+ *
+ * A student's fees are described by a FeeSchedule (installments with due
+ * dates, generated from the course fees on admission) and a list of
+ * FeePayments. Installment balances and the Student's feesPaid / totalFees /
+ * paymentStatus fields are always derived from those two, never edited by hand.
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date = new Date()) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  // Clamp to the last day of the month (e.g. 31 Jan + 1 month -> 28/29 Feb)
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+};
+
+/**
+ * Split the course fees into installments.
+ * The first installment is due on admission and the rest are spread evenly
+ * over the course duration; any rounding remainder goes on the last one.
+ */
+const buildInstallmentSchedule = (course, admissionDate = new Date()) => {
+  const totalAmount = roundAmount(Number(course?.fees?.amount) || 0);
+  const count = course?.fees?.installments?.allowed
+    ? Math.max(1, Number(course.fees.installments.numberOfInstallments) || 1)
+    : 1;
+  const interval = Math.max(1, Math.floor((Number(course?.duration?.months) || count) / count));
+  const base = Math.floor((totalAmount / count) * 100) / 100;
+  const firstDue = startOfDay(admissionDate);
+
+  const installments = [];
+  for (let i = 0; i < count; i++) {
+    const isLast = i === count - 1;
+    installments.push({
+      number: i + 1,
+      amount: isLast ? roundAmount(totalAmount - base * (count - 1)) : base,
+      dueDate: addMonths(firstDue, i * interval),
+    });
+  }
+
+  return { totalAmount, currency: course?.fees?.currency || 'INR', installments };
+};
+
+/**
+ * Apply completed payments to installments in due-date order and set each
+ * installment's amountPaid / status / paidAt. Mutates and returns `installments`.
+ */
+const allocatePayments = (installments, payments, asOf = new Date()) => {
+  const today = startOfDay(asOf);
+  const ordered = [...payments]
+    .filter(payment => payment.status !== 'voided')
+    .sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt))
+    .map(payment => ({ remaining: payment.amount, paidAt: payment.paidAt }));
+
+  let cursor = 0;
+  [...installments]
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate) || a.number - b.number)
+    .forEach(installment => {
+      let paid = 0;
+      let paidAt = null;
+
+      while (cursor < ordered.length && paid < installment.amount) {
+        const payment = ordered[cursor];
+        const applied = Math.min(payment.remaining, roundAmount(installment.amount - paid));
+        paid = roundAmount(paid + applied);
+        payment.remaining = roundAmount(payment.remaining - applied);
+        paidAt = payment.paidAt;
+        if (payment.remaining <= 0) cursor++;
+      }
+
+      installment.amountPaid = paid;
+      if (paid >= installment.amount) {
+        installment.status = 'paid';
+        installment.paidAt = paidAt;
+      } else {
+        installment.paidAt = undefined;
+        if (new Date(installment.dueDate) < today) {
+          installment.status = 'overdue';
+        } else {
+          installment.status = paid > 0 ? 'partial' : 'pending';
+        }
+      }
+    });
+
+  return installments;
+};
+
+// Overall status for the Student record, derived from the installments
+const derivePaymentStatus = (installments, totalAmount, totalPaid) => {
+  if (totalAmount > 0 && totalPaid >= totalAmount) return 'completed';
+  if (totalAmount === 0 && installments.length > 0) return 'completed';
+  if (installments.some(installment => installment.status === 'overdue')) return 'overdue';
+  if (totalPaid > 0) return 'partial';
+  return 'pending';
+};
+
+const summarizeLedger = (schedule, payments) => {
+  const completed = payments.filter(payment => payment.status !== 'voided');
+  const totalPaid = roundAmount(completed.reduce((sum, payment) => sum + payment.amount, 0));
+  const totalAmount = schedule ? schedule.totalAmount : 0;
+  const today = startOfDay();
+  const overdueAmount = schedule
+    ? roundAmount(schedule.installments
+      .filter(installment => installment.status === 'overdue')
+      .reduce((sum, installment) => sum + (installment.amount - installment.amountPaid), 0))
+    : 0;
+  const nextDue = schedule
+    ? schedule.installments
+      .filter(installment => installment.status !== 'paid' && new Date(installment.dueDate) >= today)
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))[0] || null
+    : null;
+
+  return {
+    totalAmount,
+    totalPaid,
+    balance: roundAmount(Math.max(0, totalAmount - totalPaid)),
+    overdueAmount,
+    nextDue,
+    paymentStatus: schedule
+      ? derivePaymentStatus(schedule.installments, totalAmount, totalPaid)
+      : 'pending',
+  };
+};
+
+/**
+ * Re-derive installment balances and sync the Student's fee fields.
+ * Returns { schedule, payments, summary }.
+ */
+const recalculateStudentFees = async (studentId) => {
+  const [schedule, payments] = await Promise.all([
+    FeeSchedule.findOne({ student: studentId }),
+    FeePayment.find({ student: studentId }).sort({ paidAt: 1 }),
+  ]);
+
+  if (schedule) {
+    allocatePayments(schedule.installments, payments);
+    await schedule.save();
+  }
+
+  const summary = summarizeLedger(schedule, payments);
+
+  await Student.updateOne(
+    { _id: studentId },
+    {
+      $set: {
+        totalFees: summary.totalAmount,
+        feesPaid: summary.totalPaid,
+        paymentStatus: summary.paymentStatus,
+      },
+    }
+  );
+
+  return { schedule, payments, summary };
+};
+
+/**
+ * Create (or replace) the schedule for a student from their course fees.
+ * Existing payments are kept and re-applied to the new installments.
+ */
+const createFeeSchedule = async (student, userId) => {
+  const course = student.course?.fees
+    ? student.course
+    : await Course.findById(student.course?._id || student.course).select('fees duration');
+
+  if (!course) {
+    throw new Error('Course not found for fee schedule');
+  }
+
+  const { totalAmount, currency, installments } = buildInstallmentSchedule(
+    course,
+    student.admissionDate || new Date()
+  );
+
+  await FeeSchedule.findOneAndUpdate(
+    { student: student._id },
+    {
+      student: student._id,
+      course: course._id,
+      totalAmount,
+      currency,
+      installments,
+      generatedBy: userId,
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return recalculateStudentFees(student._id);
+};
+
+// Next receipt number for the year, e.g. RCPT-2026-000042
+const generateReceiptNumber = async (date = new Date()) => {
+  const year = new Date(date).getFullYear();
+  const seq = await Counter.next(`receipt-${year}`);
+  return `RCPT-${year}-${seq.toString().padStart(6, '0')}`;
+};
+
+/**
+ * Mark installments that passed their due date as overdue and sync the
+ * affected students. Run daily by services/feeStatusService.js.
+ */
+const refreshOverdueStatuses = async () => {
+  const today = startOfDay();
+  const studentIds = await FeeSchedule.distinct('student', {
+    installments: {
+      $elemMatch: {
+        dueDate: { $lt: today },
+        status: { $in: ['pending', 'partial'] },
+      },
+    },
+  });
+
+  for (const studentId of studentIds) {
+    await recalculateStudentFees(studentId);
+  }
+
+  return studentIds.length;
+};
+
+module.exports = {
+  PAYMENT_MODES: FeePayment.PAYMENT_MODES,
+  roundAmount,
+  buildInstallmentSchedule,
+  allocatePayments,
+  derivePaymentStatus,
+  summarizeLedger,
+  recalculateStudentFees,
+  createFeeSchedule,
+  generateReceiptNumber,
+  refreshOverdueStatuses,
+};
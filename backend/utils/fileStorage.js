@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+/**
+ * Where uploaded files live. STORAGE_DRIVER picks the driver:
+ *
+ *  - local (default): files on disk under UPLOAD_PATH. Fine for development,
+ *    but on hosts with an ephemeral disk (Render) they vanish on redeploy.
+ *  - s3: any S3-compatible bucket, including a local MinIO (see s3Storage).
+ *
+ * Every driver implements put(key, sourcePath, meta), get(key) -> stream,
+ * exists(key) and signedUrl(key, options). Files are addressed by a storage
+ * key such as "projects/files-1712-123.pdf", stored in the submission's
+ * files[].filePath together with the driver name and a SHA-256 checksum.
+ */
+
+const DEFAULT_URL_TTL = 300; // seconds
+
+const getUploadRoot = () => path.resolve(__dirname, '..', process.env.UPLOAD_PATH || 'uploads');
+
+const getUrlTtl = () => {
+  const ttl = parseInt(process.env.SIGNED_URL_TTL, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_URL_TTL;
+};
+
+// Signs local download links; falls back to the JWT secret so a separate
+// secret is optional
+const getSigningSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * SHA-256 of a file on disk, as hex.
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Content-Disposition header that downloads a file under its original name.
+ */
+const contentDisposition = (fileName = 'download') => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+const signToken = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', getSigningSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+/**
+ * Check a local download token.
+ *
+ * @returns {{ payload?: Object, error?: string }}
+ */
+const verifyToken = (token = '') => {
+  const [body, signature] = token.split('.');
+  if (!body || !signature) {
+    return { error: 'Invalid download link' };
+  }
+
+  const expected = crypto.createHmac('sha256', getSigningSecret()).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { error: 'Invalid download link' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid download link' };
+  }
+  if (!payload.exp || payload.exp < Date.now()) {
+    return { error: 'This download link has expired' };
+  }
+  return { payload };
+};
+
+const createLocalDriver = () => {
+  const root = getUploadRoot();
+
+  // Files uploaded before storage keys were stored by absolute path
+  const resolve = (key) => (path.isAbsolute(key) ? key : path.join(root, key));
+
+  return {
+    name: 'local',
+
+    async put(key, sourcePath) {
+      const target = resolve(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fsp.rename(sourcePath, target);
+      } catch (error) {
+        // The temp directory can be on another device
+        if (error.code !== 'EXDEV') throw error;
+        await fsp.copyFile(sourcePath, target);
+        await fsp.unlink(sourcePath);
+      }
+    },
+
+    async get(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async exists(key) {
+      try {
+        await fsp.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    // Links point back at this API, which checks the signature and streams
+    // the file; see serveSignedFile
+    async signedUrl(key, { baseUrl, fileName, contentType, expiresIn }) {
+      const token = signToken({
+        key,
+        name: fileName,
+        type: contentType,
+        exp: Date.now() + expiresIn * 1000,
+      });
+      return `${baseUrl}/api/projects/files/${token}`;
+    },
+  };
+};
+
+const drivers = {};
+
+/**
+ * A storage driver by name, defaulting to the configured one.
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!drivers[name]) {
+    if (name === 'local') {
+      drivers[name] = createLocalDriver();
+    } else if (name === 's3') {
+      drivers[name] = require('./s3Storage').createS3Driver();
+    } else {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+  }
+  return drivers[name];
+};
+
+/**
+ * Move a multer upload into storage.
+ *
+ * @param {Object} file   multer file, written to a temp directory
+ * @param {string} folder key prefix, e.g. "projects"
+ * @returns {Promise<Object>} files[] entry fields
+ */
+const storeUpload = async (file, folder) => {
+  const storage = getStorage();
+  const checksum = await hashFile(file.path);
+  const key = `${folder}/${file.filename}`;
+
+  await storage.put(key, file.path, {
+    size: file.size,
+    contentType: file.mimetype,
+    checksum,
+  });
+
+  return {
+    originalName: file.originalname,
+    fileName: file.filename,
+    filePath: key,
+    fileSize: file.size,
+    fileType: file.mimetype,
+    storage: storage.name,
+    checksum,
+  };
+};
+
+/**
+ * Store every file of a request, removing the temp copies of anything not
+ * stored if one fails.
+ */
+const storeUploads = async (files = [], folder) => {
+  const stored = [];
+  try {
+    // One at a time keeps memory flat for large uploads
+    for (const file of files) {
+      stored.push(await storeUpload(file, folder));
+    }
+  } catch (error) {
+    await discardUploads(files.slice(stored.length));
+    throw error;
+  }
+  return stored;
+};
+
+/**
+ * Delete the temp copies of uploads that will not be stored, e.g. when the
+ * submission is rejected.
+ */
+const discardUploads = async (files = []) => {
+  await Promise.all(files.map(file => fsp.unlink(file.path).catch(() => {})));
+};
+
+// Files from before drivers were recorded are on local disk
+const getFileStorage = (file) => getStorage(file.storage || 'local');
+
+/**
+ * Stream a stored file.
+ */
+const openFile = (file) => getFileStorage(file).get(file.filePath);
+
+const fileExists = (file) => getFileStorage(file).exists(file.filePath);
+
+/**
+ * A time-limited download link for a stored file.
+ *
+ * @param {Object} file
+ * @param {string} baseUrl Public URL of this API, for local links
+ * @returns {Promise<{ url: string, expiresAt: Date }>}
+ */
+const getSignedDownloadUrl = async (file, baseUrl) => {
+  const expiresIn = getUrlTtl();
+  const url = await getFileStorage(file).signedUrl(file.filePath, {
+    baseUrl,
+    fileName: file.originalName,
+    disposition: contentDisposition(file.originalName),
+    contentType: file.fileType,
+    expiresIn,
+  });
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+/**
+ * Re-hash a stored file and compare it with the recorded checksum.
+ *
+ * @returns {Promise<{ ok: boolean, checksum?: string, missing?: boolean }>}
+ */
+const verifyFile = async (file) => {
+  if (!(await fileExists(file))) {
+    return { ok: false, missing: true };
+  }
+  const stream = await openFile(file);
+  const checksum = await new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    stream.on('error', reject);
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+  return { ok: !file.checksum || file.checksum === checksum, checksum };
+};
+
+module.exports = {
+  getUploadRoot,
+  getStorage,
+  hashFile,
+  contentDisposition,
+  verifyToken,
+  storeUploads,
+  discardUploads,
+  openFile,
+  fileExists,
+  getSignedDownloadUrl,
+  verifyFile,
+};
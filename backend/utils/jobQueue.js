@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const Job = require('../models/jobModel');
+
+/**
+ * Persistent job queue. Jobs are stored in the `jobs` collection and claimed
+ * one at a time with an atomic update, so several server instances can
+ * share the queue. A failed attempt is retried with exponential backoff
+ * until `maxAttempts`; jobs cut off by a restart are picked up again once
+ * their lock goes stale.
+ *
+ * A handler is `async (data, job) => {}` registered under the job name;
+ * throwing fails the attempt.
+ */
+
+// A running job not finished within this time is assumed lost
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// First retry after 1 minute, then 2, 4, 8... capped at 1 hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+const handlers = new Map();
+
+// Emits `enqueued` with each new job so the worker can pick up due jobs
+// without waiting for its next poll
+const jobEvents = new EventEmitter();
+
+const registerJobHandler = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Queue a job to run at `runAt` (default: now).
+ */
+const enqueueJob = async (name, data = {}, { runAt = new Date(), maxAttempts } = {}) => {
+  if (!handlers.has(name)) {
+    throw new Error(`No handler registered for job: ${name}`);
+  }
+
+  const job = await Job.create({
+    name,
+    data,
+    runAt,
+    ...(maxAttempts && { maxAttempts }),
+  });
+  jobEvents.emit('enqueued', job);
+  return job;
+};
+
+/**
+ * Cancel queued jobs matching a filter, e.g. { name, 'data.notificationId': id }.
+ */
+const cancelJobs = async (filter) => {
+  const result = await Job.updateMany(
+    { ...filter, status: 'queued' },
+    { $set: { status: 'cancelled', completedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Put jobs whose attempt was cut off (e.g. by a restart) back in the queue.
+ */
+const recoverStaleJobs = async () => {
+  const result = await Job.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'queued', runAt: new Date() }, $unset: { lockedAt: '' } }
+  );
+  return result.modifiedCount;
+};
+
+const claimNextJob = () => Job.findOneAndUpdate(
+  {
+    status: 'queued',
+    runAt: { $lte: new Date() },
+    name: { $in: [...handlers.keys()] },
+  },
+  { $set: { status: 'running', lockedAt: new Date() }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1 }, new: true }
+);
+
+const runJob = async (job) => {
+  try {
+    await handlers.get(job.name)(job.data, job);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedAt: '', lastError: '' } }
+    );
+    return 'completed';
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: exhausted ? 'failed' : 'queued',
+          lastError: error.message,
+          ...(!exhausted && { runAt: new Date(Date.now() + delay) }),
+        },
+        $unset: { lockedAt: '' },
+      }
+    );
+    console.error(`❌ Job ${job.name} (${job._id}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error.message);
+    return exhausted ? 'failed' : 'retrying';
+  }
+};
+
+/**
+ * Run due jobs one after another, up to `limit`.
+ *
+ * @returns {Promise<Object>} { processed, completed, retrying, failed }
+ */
+const processDueJobs = async ({ limit = 100 } = {}) => {
+  const result = { processed: 0, completed: 0, retrying: 0, failed: 0 };
+
+  while (result.processed < limit) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    result.processed++;
+    result[await runJob(job)]++;
+  }
+
+  return result;
+};
+
+module.exports = {
+  jobEvents,
+  registerJobHandler,
+  enqueueJob,
+  cancelJobs,
+  recoverStaleJobs,
+  processDueJobs,
+};
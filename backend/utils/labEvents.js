@@ -0,0 +1,27 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Booking date key (YYYY-MM-DD) an event is scoped to
+const toEventDate = (date) => {
+  if (!date) return null;
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+};
+
+/**
+ * Day a bulk booking query applies to: an exact date or a single-day range.
+ * Returns null when the query may span several days.
+ */
+const getFilterDate = (filter) => {
+  const date = filter?.date;
+  if (!date) return null;
+  if (date instanceof Date || typeof date === 'string') return toEventDate(date);
+  if (date.$gte && date.$lt && new Date(date.$lt) - new Date(date.$gte) <= DAY_MS) {
+    return toEventDate(date.$gte);
+  }
+  return null;
+};
+
+module.exports = {
+  toEventDate,
+  getFilterDate,
+};
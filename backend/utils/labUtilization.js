@@ -0,0 +1,190 @@
+const PC = require('../models/pcModel');
+const Booking = require('../models/bookingModel');
+const { getTimeSlots, parseSlotLabel, toMinutes } = require('./timeSlots');
+const { toDateKey, getWorkingCalendar } = require('./workingCalendar');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Peak and idle lists show this many slots each
+const RANKED_SLOTS = 5;
+
+const percent = (used, capacity) => (capacity > 0 ? Math.round((used / capacity) * 1000) / 10 : 0);
+
+/**
+ * Working days between two date keys (inclusive), counted per weekday.
+ * Institute-wide closures and weekly offs are left out.
+ */
+const countWorkingWeekdays = async (fromKey, toKey) => {
+  const start = new Date(`${fromKey}T00:00:00`);
+  const end = new Date(`${toKey}T23:59:59`);
+  const calendar = await getWorkingCalendar({ startDate: start, endDate: end });
+
+  const counts = Array(7).fill(0);
+  calendar.getWorkingDays(start, end).forEach(day => {
+    counts[day.getDay()] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Historical lab utilization between two YYYY-MM-DD keys (inclusive).
+ *
+ * Every booking that was not cancelled counts as a used seat. Capacity is
+ * the PCs currently in the lab (inactive ones excluded) times the working
+ * days of each weekday, so a slot's utilization is booked seats over seats
+ * that could have been booked.
+ *
+ * @returns {Promise<Object>} { heatmap, rows, pcs, peakSlots, idleSlots, summary }
+ */
+const getUtilizationReport = async ({ fromKey, toKey }) => {
+  const [slots, pcs, weekdayCounts, cells, pcUsage] = await Promise.all([
+    getTimeSlots(),
+    PC.find({ isActive: true, status: { $ne: 'inactive' } })
+      .select('pcNumber row position status')
+      .sort({ row: 1, position: 1 })
+      .lean(),
+    countWorkingWeekdays(fromKey, toKey),
+    Booking.aggregate([
+      { $match: { date: { $gte: new Date(fromKey), $lte: new Date(toKey) }, status: { $ne: 'cancelled' } } },
+      {
+        $group: {
+          _id: { timeSlot: '$timeSlot', weekday: { $subtract: [{ $dayOfWeek: '$date' }, 1] } },
+          booked: { $sum: 1 },
+          noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+        },
+      },
+    ]),
+    Booking.aggregate([
+      { $match: { date: { $gte: new Date(fromKey), $lte: new Date(toKey) }, status: { $ne: 'cancelled' } } },
+      {
+        $group: {
+          _id: '$pc',
+          booked: { $sum: 1 },
+          noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const seats = pcs.length;
+  const workingDays = weekdayCounts.reduce((sum, count) => sum + count, 0);
+
+  // Slots that were retired since still show up while they have bookings
+  const labels = slots.map(slot => slot.label);
+  cells.forEach(cell => {
+    if (!labels.includes(cell._id.timeSlot)) labels.push(cell._id.timeSlot);
+  });
+  const slotHours = (label) => {
+    const slot = parseSlotLabel(label);
+    return slot ? (toMinutes(slot.endTime) - toMinutes(slot.startTime)) / 60 : 0;
+  };
+  const activeLabels = new Set(slots.map(slot => slot.label));
+
+  const weekdays = WEEKDAYS
+    .map((name, index) => ({ index, name, workingDays: weekdayCounts[index] }))
+    .filter(day => day.workingDays > 0 || cells.some(cell => cell._id.weekday === day.index));
+
+  const cellMap = new Map(cells.map(cell => [`${cell._id.timeSlot}|${cell._id.weekday}`, cell]));
+  const heatmap = labels.map(label => {
+    const capacityPerDay = activeLabels.has(label) ? seats : 0;
+    const days = weekdays.map(day => {
+      const cell = cellMap.get(`${label}|${day.index}`);
+      const booked = cell ? cell.booked : 0;
+      const capacity = capacityPerDay * day.workingDays;
+      return {
+        weekday: day.index,
+        booked,
+        noShows: cell ? cell.noShows : 0,
+        capacity,
+        utilization: percent(booked, capacity),
+      };
+    });
+    const booked = days.reduce((sum, day) => sum + day.booked, 0);
+    const capacity = days.reduce((sum, day) => sum + day.capacity, 0);
+    return {
+      timeSlot: label,
+      active: activeLabels.has(label),
+      hours: slotHours(label),
+      days,
+      booked,
+      capacity,
+      utilization: percent(booked, capacity),
+    };
+  });
+
+  // Every active slot on every working day, per PC
+  const slotsPerPc = slots.length * workingDays;
+  const usageMap = new Map(pcUsage.map(entry => [entry._id?.toString(), entry]));
+  const pcRows = pcs.map(pc => {
+    const usage = usageMap.get(pc._id.toString());
+    const booked = usage ? usage.booked : 0;
+    return {
+      pc: { _id: pc._id, pcNumber: pc.pcNumber, row: pc.row, position: pc.position, status: pc.status },
+      booked,
+      noShows: usage ? usage.noShows : 0,
+      capacity: slotsPerPc,
+      utilization: percent(booked, slotsPerPc),
+    };
+  });
+
+  const rowMap = new Map();
+  pcRows.forEach(entry => {
+    const row = entry.pc.row;
+    if (!rowMap.has(row)) rowMap.set(row, { row, pcs: 0, booked: 0, noShows: 0, capacity: 0 });
+    const total = rowMap.get(row);
+    total.pcs += 1;
+    total.booked += entry.booked;
+    total.noShows += entry.noShows;
+    total.capacity += entry.capacity;
+  });
+  const rows = [...rowMap.values()]
+    .map(row => ({ ...row, utilization: percent(row.booked, row.capacity) }))
+    .sort((a, b) => String(a.row).localeCompare(String(b.row), undefined, { numeric: true }));
+
+  const ranked = heatmap
+    .flatMap(slot => slot.days
+      .filter(day => day.capacity > 0)
+      .map(day => ({ timeSlot: slot.timeSlot, weekday: day.weekday, weekdayName: WEEKDAYS[day.weekday], ...day })));
+  const byUtilization = [...ranked].sort((a, b) => b.utilization - a.utilization);
+
+  const booked = heatmap.reduce((sum, slot) => sum + slot.booked, 0);
+  const capacity = heatmap.reduce((sum, slot) => sum + slot.capacity, 0);
+  const bookedHours = cells.reduce((sum, cell) => sum + cell.booked * slotHours(cell._id.timeSlot), 0);
+
+  return {
+    from: fromKey,
+    to: toKey,
+    weekdays,
+    heatmap,
+    rows,
+    pcs: pcRows,
+    peakSlots: byUtilization.slice(0, RANKED_SLOTS),
+    idleSlots: byUtilization.slice(-RANKED_SLOTS).reverse(),
+    summary: {
+      seats,
+      workingDays,
+      booked,
+      capacity,
+      noShows: cells.reduce((sum, cell) => sum + cell.noShows, 0),
+      bookedSeatHours: Math.round(bookedHours * 10) / 10,
+      utilization: percent(booked, capacity),
+    },
+  };
+};
+
+/**
+ * Default report period: the 30 days up to today, as date keys.
+ */
+const getDefaultRange = () => {
+  const today = new Date();
+  const start = new Date(today);
+  start.setDate(start.getDate() - 29);
+  return { fromKey: toDateKey(start), toKey: toDateKey(today) };
+};
+
+module.exports = {
+  WEEKDAYS,
+  countWorkingWeekdays,
+  getUtilizationReport,
+  getDefaultRange,
+};
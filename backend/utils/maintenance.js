@@ -0,0 +1,138 @@
+const PC = require('../models/pcModel');
+const Booking = require('../models/bookingModel');
+const Counter = require('../models/counterModel');
+const MaintenanceTicket = require('../models/maintenanceTicketModel');
+const { toDateKey } = require('./workingCalendar');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundHours = (ms) => Math.round((ms / HOUR_MS) * 10) / 10;
+
+/**
+ * Next ticket number, e.g. MT-2026-0042
+ */
+const generateTicketNumber = async (date = new Date()) => {
+  const year = new Date(date).getFullYear();
+  const seq = await Counter.next(`maintenance-${year}`);
+  return `MT-${year}-${seq.toString().padStart(4, '0')}`;
+};
+
+/**
+ * Bookings of a PC from today onwards that have not taken place yet, with
+ * the teacher responsible for each: the batch teacher, or whoever booked it.
+ */
+const getUpcomingBookings = async (pcId) => {
+  const bookings = await Booking.find({
+    pc: pcId,
+    date: { $gte: new Date(toDateKey(new Date())) },
+    status: 'booked',
+  })
+    .populate('batch', 'name createdBy')
+    .populate('bookedBy', 'name')
+    .sort({ date: 1, timeSlot: 1 });
+
+  return bookings.map(booking => ({
+    booking: booking._id,
+    date: booking.date,
+    timeSlot: booking.timeSlot,
+    studentName: booking.studentName,
+    batchName: booking.batch?.name || null,
+    teacher: booking.batch?.createdBy || booking.bookedBy?._id || null,
+    teacherName: booking.teacherName,
+    series: booking.series,
+  }));
+};
+
+// Merge overlapping [start, end] intervals so parallel tickets count once
+const mergeIntervals = (intervals) => intervals
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+
+/**
+ * Downtime and reliability of every PC between `from` and `to`.
+ *
+ * Downtime is the time covered by maintenance tickets (open tickets count up
+ * to `to`). MTBF is the time in service divided by the tickets opened in the
+ * period, and is null for a PC without failures. MTTR averages the repair
+ * time of the tickets closed in the period.
+ */
+const getReliabilityStats = async ({ from, to }) => {
+  const start = from.getTime();
+  const end = to.getTime();
+
+  const [pcs, tickets] = await Promise.all([
+    PC.find({ isActive: true })
+      .select('pcNumber row position status createdAt')
+      .sort({ row: 1, position: 1 }),
+    MaintenanceTicket.find({
+      openedAt: { $lt: to },
+      $or: [{ closedAt: null }, { closedAt: { $gt: from } }],
+    }).select('pc openedAt closedAt status'),
+  ]);
+
+  const ticketsByPc = new Map();
+  tickets.forEach(ticket => {
+    const key = ticket.pc.toString();
+    if (!ticketsByPc.has(key)) ticketsByPc.set(key, []);
+    ticketsByPc.get(key).push(ticket);
+  });
+
+  const rows = pcs.map(pc => {
+    const pcTickets = ticketsByPc.get(pc._id.toString()) || [];
+    const periodStart = Math.max(start, pc.createdAt ? pc.createdAt.getTime() : start);
+    const periodMs = Math.max(end - periodStart, 0);
+
+    const downtimeMs = mergeIntervals(pcTickets
+      .map(ticket => ({
+        start: Math.max(ticket.openedAt.getTime(), periodStart),
+        end: Math.min(ticket.closedAt ? ticket.closedAt.getTime() : end, end),
+      }))
+      .filter(interval => interval.end > interval.start))
+      .reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+
+    const failures = pcTickets.filter(ticket => ticket.openedAt.getTime() >= periodStart).length;
+    const repairs = pcTickets.filter(ticket => ticket.closedAt && ticket.closedAt.getTime() <= end);
+    const repairMs = repairs.reduce((sum, ticket) => sum + (ticket.closedAt - ticket.openedAt), 0);
+
+    return {
+      pc: { _id: pc._id, pcNumber: pc.pcNumber, row: pc.row, position: pc.position, status: pc.status },
+      periodHours: roundHours(periodMs),
+      tickets: failures,
+      openTickets: pcTickets.filter(ticket => ticket.status !== 'closed').length,
+      downtimeHours: roundHours(downtimeMs),
+      mtbfHours: failures > 0 ? roundHours((periodMs - downtimeMs) / failures) : null,
+      mttrHours: repairs.length > 0 ? roundHours(repairMs / repairs.length) : null,
+      availability: periodMs > 0 ? Math.round((1 - downtimeMs / periodMs) * 1000) / 10 : 100,
+    };
+  });
+
+  const totalDowntime = rows.reduce((sum, row) => sum + row.downtimeHours, 0);
+  const totalFailures = rows.reduce((sum, row) => sum + row.tickets, 0);
+  const totalServiceHours = rows.reduce((sum, row) => sum + row.periodHours, 0) - totalDowntime;
+
+  return {
+    from,
+    to,
+    pcs: rows,
+    summary: {
+      tickets: totalFailures,
+      openTickets: rows.reduce((sum, row) => sum + row.openTickets, 0),
+      downtimeHours: Math.round(totalDowntime * 10) / 10,
+      mtbfHours: totalFailures > 0 ? Math.round((totalServiceHours / totalFailures) * 10) / 10 : null,
+    },
+  };
+};
+
+module.exports = {
+  generateTicketNumber,
+  getUpcomingBookings,
+  getReliabilityStats,
+};
@@ -0,0 +1,238 @@
+const Booking = require('../models/bookingModel');
+const Attendance = require('../models/attendanceModel');
+const Student = require('../models/studentModel');
+const { getSetting } = require('./systemSettings');
+const { parseSlotLabel, toMinutes } = require('./timeSlots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attendance that means the student used their seat
+const ATTENDED = ['present', 'late'];
+
+const toKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * When the slot of a booking ends, in server local time. Slots whose label
+ * cannot be read are treated as lasting the whole day.
+ */
+const getSlotEnd = (date, timeSlot) => {
+  const slot = parseSlotLabel(timeSlot);
+  return new Date(`${toKey(date)}T${slot ? slot.endTime : '23:59'}:00`);
+};
+
+// Length of a slot in hours, 0 when its label cannot be read
+const getSlotHours = (timeSlot) => {
+  const slot = parseSlotLabel(timeSlot);
+  return slot ? (toMinutes(slot.endTime) - toMinutes(slot.startTime)) / 60 : 0;
+};
+
+/**
+ * Mark finished bookings `completed` when the student was marked present
+ * (or late) for the batch that day and `no-show` otherwise. A booking is
+ * only reconciled once its slot has been over for the grace period, so
+ * teachers have time to mark attendance. Bookings without a student
+ * record cannot be checked and are left alone.
+ *
+ * @returns {Promise<Object>} { checked, completed, noShows }
+ */
+const reconcileBookings = async ({ now = new Date() } = {}) => {
+  const graceMinutes = await getSetting('lab', 'noShowGraceMinutes');
+  const cutoff = now.getTime() - graceMinutes * 60 * 1000;
+
+  const candidates = await Booking.find({
+    status: 'booked',
+    student: { $ne: null },
+    date: { $lte: new Date(toKey(now)) },
+  }).select('date timeSlot student batch');
+
+  const due = candidates.filter(booking => getSlotEnd(booking.date, booking.timeSlot).getTime() <= cutoff);
+  if (due.length === 0) {
+    return { checked: 0, completed: 0, noShows: 0 };
+  }
+
+  // Attendance is stored at local midnight, bookings at UTC midnight
+  const byDate = new Map();
+  due.forEach(booking => {
+    const key = toKey(booking.date);
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push(booking);
+  });
+
+  const updates = new Map();
+  for (const [key, bookings] of byDate) {
+    const start = new Date(`${key}T00:00:00`);
+    const records = await Attendance.find({
+      student: { $in: bookings.map(booking => booking.student) },
+      date: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+    }).select('student batch status');
+
+    bookings.forEach(booking => {
+      const studentRecords = records.filter(record => record.student.toString() === booking.student.toString());
+      const record = booking.batch
+        ? studentRecords.find(item => item.batch.toString() === booking.batch.toString())
+        : studentRecords[0];
+      const attendanceStatus = record ? record.status : 'not-marked';
+      const status = ATTENDED.includes(attendanceStatus) ? 'completed' : 'no-show';
+
+      const groupKey = `${status}|${attendanceStatus}`;
+      if (!updates.has(groupKey)) updates.set(groupKey, { status, attendanceStatus, ids: [] });
+      updates.get(groupKey).ids.push(booking._id);
+    });
+  }
+
+  const reconciledAt = new Date();
+  const counts = { checked: due.length, completed: 0, noShows: 0 };
+  for (const { status, attendanceStatus, ids } of updates.values()) {
+    // Only bookings nobody has changed since they were read
+    const result = await Booking.updateMany(
+      { _id: { $in: ids }, status: 'booked' },
+      { $set: { status, attendanceStatus, reconciledAt } }
+    );
+    counts[status === 'completed' ? 'completed' : 'noShows'] += result.modifiedCount;
+  }
+
+  return counts;
+};
+
+/**
+ * Unexcused no-shows per student within the priority window, for the
+ * students that have reached the threshold. Empty when the rule is off.
+ *
+ * @param {Array} studentIds - Limit the check to these students
+ * @returns {Promise<Map<string, number>>} student id -> no-show count
+ */
+const getLowPriorityStudents = async (studentIds) => {
+  const [threshold, windowDays] = await Promise.all([
+    getSetting('lab', 'noShowPriorityThreshold'),
+    getSetting('lab', 'noShowWindowDays'),
+  ]);
+  if (!threshold || (Array.isArray(studentIds) && studentIds.length === 0)) {
+    return new Map();
+  }
+
+  const match = {
+    status: 'no-show',
+    attendanceStatus: { $ne: 'excused' },
+    date: { $gte: new Date(Date.now() - windowDays * DAY_MS) },
+  };
+  if (Array.isArray(studentIds)) match.student = { $in: studentIds };
+
+  const counts = await Booking.aggregate([
+    { $match: match },
+    { $group: { _id: '$student', noShows: { $sum: 1 } } },
+    { $match: { noShows: { $gte: threshold } } },
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.noShows]));
+};
+
+const rate = (noShows, total) => (total > 0 ? Math.round((noShows / total) * 1000) / 10 : 0);
+
+/**
+ * No-show rates per student and per batch, and the seat-hours lost to
+ * no-shows, over reconciled bookings between `from` and `to`.
+ */
+const getNoShowReport = async ({ from, to, batch }) => {
+  const query = {
+    status: { $in: ['completed', 'no-show'] },
+    date: { $gte: from, $lte: to },
+  };
+  if (batch) query.batch = batch;
+
+  const bookings = await Booking.find(query)
+    .select('date timeSlot status attendanceStatus student studentName batch')
+    .populate('batch', 'name')
+    .lean();
+
+  const students = new Map();
+  const batches = new Map();
+  const slots = new Map();
+  const totals = { bookings: 0, noShows: 0, excused: 0, wastedSeatHours: 0 };
+
+  bookings.forEach(booking => {
+    const noShow = booking.status === 'no-show';
+    const hours = noShow ? getSlotHours(booking.timeSlot) : 0;
+    const excused = noShow && booking.attendanceStatus === 'excused';
+
+    totals.bookings += 1;
+    if (noShow) totals.noShows += 1;
+    if (excused) totals.excused += 1;
+    totals.wastedSeatHours += hours;
+
+    const studentKey = booking.student.toString();
+    if (!students.has(studentKey)) {
+      students.set(studentKey, {
+        student: { _id: booking.student, name: booking.studentName },
+        batch: booking.batch,
+        bookings: 0,
+        noShows: 0,
+        excused: 0,
+        wastedSeatHours: 0,
+      });
+    }
+    const batchKey = booking.batch?._id?.toString() || 'none';
+    if (!batches.has(batchKey)) {
+      batches.set(batchKey, { batch: booking.batch || null, bookings: 0, noShows: 0, excused: 0, wastedSeatHours: 0 });
+    }
+    if (!slots.has(booking.timeSlot)) {
+      slots.set(booking.timeSlot, { timeSlot: booking.timeSlot, bookings: 0, noShows: 0, wastedSeatHours: 0 });
+    }
+
+    [students.get(studentKey), batches.get(batchKey), slots.get(booking.timeSlot)].forEach(entry => {
+      entry.bookings += 1;
+      if (noShow) entry.noShows += 1;
+      if (excused && entry.excused !== undefined) entry.excused += 1;
+      entry.wastedSeatHours += hours;
+    });
+  });
+
+  const lowPriority = await getLowPriorityStudents([...students.keys()]);
+  const finish = (entry) => ({
+    ...entry,
+    noShowRate: rate(entry.noShows, entry.bookings),
+    wastedSeatHours: Math.round(entry.wastedSeatHours * 10) / 10,
+  });
+
+  return {
+    from,
+    to,
+    summary: finish(totals),
+    students: [...students.values()]
+      .map(entry => ({
+        ...finish(entry),
+        lowPriority: lowPriority.has(entry.student._id.toString()),
+      }))
+      .sort((a, b) => b.noShows - a.noShows || b.noShowRate - a.noShowRate),
+    batches: [...batches.values()].map(finish).sort((a, b) => b.noShowRate - a.noShowRate),
+    timeSlots: [...slots.values()].map(finish).sort((a, b) => b.wastedSeatHours - a.wastedSeatHours),
+  };
+};
+
+/**
+ * Warning for a manual booking of a student who has lost booking priority,
+ * or null.
+ */
+const getNoShowWarning = async (studentId) => {
+  if (!studentId) return null;
+  const lowPriority = await getLowPriorityStudents([studentId]);
+  if (!lowPriority.has(studentId.toString())) return null;
+
+  const [student, windowDays] = await Promise.all([
+    Student.findById(studentId).select('name'),
+    getSetting('lab', 'noShowWindowDays'),
+  ]);
+  return {
+    type: 'repeat-no-show',
+    message: `${student?.name || 'This student'} missed ${lowPriority.get(studentId.toString())} lab bookings ` +
+      `in the last ${windowDays} days`,
+  };
+};
+
+module.exports = {
+  getSlotEnd,
+  getSlotHours,
+  reconcileBookings,
+  getLowPriorityStudents,
+  getNoShowReport,
+  getNoShowWarning,
+};
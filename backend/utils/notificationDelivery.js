@@ -0,0 +1,455 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const Batch = require('../models/batchModel');
+const Course = require('../models/courseModel');
+const Student = require('../models/studentModel');
+const Job = require('../models/jobModel');
+const emailService = require('./emailService');
+const { registerJobHandler, enqueueJob, cancelJobs } = require('./jobQueue');
+const { getWorkingCalendar } = require('./workingCalendar');
+
+/**
+ * Notification delivery through the job queue. Creating a notification
+ * queues a `publish` job for its send time; publishing resolves the audience
+ * into recipients, makes the notification visible on their dashboards and
+ * queues an `email` job, which retries failed recipients with backoff. A
+ * recurring reminder is never shown itself: each run publishes a copy (with
+ * `parent` set) and queues the next run.
+ */
+
+const NOTIFICATION_JOBS = {
+  publish: 'notification:publish',
+  email: 'notification:email',
+};
+
+const AUDIENCES = Notification.schema.path('targetAudience').enumValues;
+const STUDENT_AUDIENCES = ['batch_students', 'course_students'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Fields copied from a recurring reminder to each notification it sends
+const CONTENT_FIELDS = [
+  'title', 'message', 'type', 'priority', 'targetAudience', 'targetTeachers',
+  'targetDepartment', 'targetBatch', 'targetCourse', 'sendEmail', 'createdBy',
+];
+
+// Scheduling more than a year ahead is almost certainly a typo
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Reminder times and dates are wall-clock times in the institute's timezone,
+// the same one the cron services run in, whatever the host clock is set to
+const TIMEZONE = process.env.TZ || 'Asia/Kolkata';
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+// Calendar date and time of an instant in TIMEZONE (month 0-based)
+const getZonedParts = (date) => {
+  const parts = Object.fromEntries(zoneFormat.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+// Milliseconds TIMEZONE is ahead of UTC at an instant
+const getZoneOffset = (date) => {
+  const { year, month, day, hours, minutes, seconds } = getZonedParts(date);
+  return Date.UTC(year, month, day, hours, minutes, seconds) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall-clock time in TIMEZONE falls on; days past the end of
+// the month roll over as with Date
+const zonedTime = (year, month, day, hours = 0, minutes = 0) => {
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  const guess = wallClock - getZoneOffset(new Date(wallClock));
+  // Recheck in case the offset changes between the guess and the answer
+  return new Date(wallClock - getZoneOffset(new Date(guess)));
+};
+
+// Parse a YYYY-MM-DD date as the start of that day in TIMEZONE
+const parseZonedDate = (value, dayOffset = 0) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return new Date(NaN);
+  return zonedTime(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset);
+};
+
+const isSameTime = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+// Users a notification goes to, by audience; only active accounts
+const resolveRecipients = async (notification) => {
+  const select = 'name email';
+  const teachersOf = batchFilter => Batch.find(batchFilter).distinct('createdBy')
+    .then(ids => User.find({ _id: { $in: ids }, role: { $in: ['teacher', 'admin'] }, active: true }).select(select));
+  const studentAccountsOf = studentFilter => Student.find({ ...studentFilter, isActive: true }).distinct('_id')
+    .then(ids => User.find({ student: { $in: ids }, role: 'student', active: true }).select(select));
+
+  switch (notification.targetAudience) {
+    case 'all_teachers':
+      return User.find({ role: 'teacher', active: true }).select(select);
+    case 'specific_teachers':
+      return User.find({
+        _id: { $in: notification.targetTeachers },
+        role: { $in: ['teacher', 'admin'] },
+        active: true,
+      }).select(select);
+    case 'department':
+      return User.find({ role: 'teacher', department: notification.targetDepartment, active: true }).select(select);
+    case 'batch_teachers':
+      return teachersOf({ _id: notification.targetBatch });
+    case 'course_teachers':
+      return teachersOf({ course: notification.targetCourse, isArchived: false, isFinished: false });
+    case 'batch_students':
+      return studentAccountsOf({ batch: notification.targetBatch });
+    case 'course_students':
+      return studentAccountsOf({ course: notification.targetCourse });
+    default:
+      return [];
+  }
+};
+
+/**
+ * Queue the publish job for a scheduled notification's next send time,
+ * unless one is already queued for it.
+ */
+const schedulePublish = async (notification) => {
+  const pending = await Job.exists({
+    name: NOTIFICATION_JOBS.publish,
+    'data.notificationId': notification._id.toString(),
+    'data.scheduledFor': notification.scheduledFor,
+    status: { $in: ['queued', 'running'] },
+  });
+  if (pending) return;
+
+  await enqueueJob(
+    NOTIFICATION_JOBS.publish,
+    { notificationId: notification._id.toString(), scheduledFor: notification.scheduledFor },
+    { runAt: notification.scheduledFor }
+  );
+};
+
+// Queue the email job for recipients not yet emailed, unless one is queued
+const scheduleEmails = async (notification) => {
+  if (!notification.emailRecipients.some(recipient => ['pending', 'failed'].includes(recipient.status))) return;
+
+  const pending = await Job.exists({
+    name: NOTIFICATION_JOBS.email,
+    'data.notificationId': notification._id.toString(),
+    status: 'queued',
+  });
+  if (pending) return;
+
+  await enqueueJob(NOTIFICATION_JOBS.email, { notificationId: notification._id.toString() });
+};
+
+// Show a notification to its audience and queue its emails
+const publish = async (notification) => {
+  const now = new Date();
+  const recipients = await resolveRecipients(notification);
+  // Keep the lifetime it was created with, counted from now
+  const lifetime = notification.expiresAt - notification.createdAt;
+
+  notification.recipients = recipients.map(user => user._id);
+  notification.status = 'sent';
+  notification.sentAt = now;
+  notification.expiresAt = new Date(now.getTime() + lifetime);
+  notification.emailRecipients = notification.sendEmail
+    ? recipients.filter(user => user.email).map(user => ({ user: user._id, email: user.email, name: user.name }))
+    : [];
+  await notification.save();
+
+  console.log(`📢 Notification sent: "${notification.title}" to ${recipients.length} recipients`);
+  await scheduleEmails(notification);
+};
+
+/**
+ * Next run of a recurring reminder strictly after `after`, or null once
+ * past its end date.
+ */
+const getNextOccurrence = (recurrence, after) => {
+  const [hours, minutes] = recurrence.time.split(':').map(Number);
+  const start = getZonedParts(after);
+
+  for (let offset = 0; offset <= 366; offset++) {
+    // Calendar arithmetic in UTC, which has no DST jumps
+    const date = new Date(Date.UTC(start.year, start.month, start.day + offset));
+    const day = zonedTime(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes);
+    if (day <= after) continue;
+    if (recurrence.endsAt && day > recurrence.endsAt) return null;
+
+    if (recurrence.frequency === 'weekly' && !recurrence.daysOfWeek.includes(date.getUTCDay())) continue;
+    if (recurrence.frequency === 'monthly') {
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      if (date.getUTCDate() !== Math.min(recurrence.dayOfMonth, lastDay)) continue;
+    }
+    return day;
+  }
+  return null;
+};
+
+// Send this run of a recurring reminder and queue the next one. Runs missed
+// while the server was down are not sent late; the next one is.
+const publishOccurrence = async (series) => {
+  const runAt = series.scheduledFor;
+  // The working calendar keys days by server-local date
+  const { year, month, day } = getZonedParts(runAt);
+  const runDay = new Date(year, month, day);
+  const calendar = series.recurrence.skipHolidays
+    ? await getWorkingCalendar({ startDate: runDay, endDate: runDay })
+    : null;
+
+  if (!calendar || calendar.isWorkingDay(runDay)) {
+    // The same run may be retried after a crash; send it only once
+    const occurrence = await Notification.findOne({ parent: series._id, scheduledFor: runAt }) ||
+      await Notification.create({
+        ...Object.fromEntries(CONTENT_FIELDS.map(field => [field, series[field]])),
+        parent: series._id,
+        scheduledFor: runAt,
+        status: 'scheduled',
+        expiresAt: new Date(Date.now() + (series.expiresAt - series.createdAt)),
+      });
+    if (occurrence.status === 'scheduled') {
+      await publish(occurrence);
+    } else {
+      await scheduleEmails(occurrence);
+    }
+    series.sentAt = new Date();
+  }
+
+  const next = getNextOccurrence(series.recurrence, new Date(Math.max(runAt.getTime(), Date.now())));
+  if (next) {
+    series.scheduledFor = next;
+    await series.save();
+    await schedulePublish(series);
+  } else {
+    series.status = 'completed';
+    await series.save();
+  }
+};
+
+const handlePublish = async ({ notificationId, scheduledFor }) => {
+  const notification = await Notification.findById(notificationId);
+  if (!notification || !notification.active) return;
+
+  // Finish a publish cut off after the notification was marked sent
+  if (notification.status === 'sent') {
+    await scheduleEmails(notification);
+    return;
+  }
+  if (notification.status !== 'scheduled') return;
+
+  // A recurring reminder that already moved on still needs its next run queued
+  if (!isSameTime(notification.scheduledFor, scheduledFor)) {
+    await schedulePublish(notification);
+    return;
+  }
+
+  if (notification.recurrence) {
+    await publishOccurrence(notification);
+  } else {
+    await publish(notification);
+  }
+};
+
+// Email every recipient not yet reached. Failures fail the job so the queue
+// retries them; recipients already emailed are not emailed again.
+const handleEmail = async ({ notificationId }) => {
+  const notification = await Notification.findById(notificationId).populate('createdBy', 'name');
+  if (!notification || !notification.active) return;
+
+  const pending = notification.emailRecipients.filter(recipient => ['pending', 'failed'].includes(recipient.status));
+  if (pending.length === 0) return;
+
+  await Promise.all(pending.map(async (recipient) => {
+    recipient.attempts += 1;
+    recipient.lastAttemptAt = new Date();
+    try {
+      const result = await emailService.sendNotificationEmail({
+        teacher: { name: recipient.name, email: recipient.email },
+        notification: {
+          title: notification.title,
+          message: notification.message,
+          type: notification.type,
+          priority: notification.priority,
+          createdBy: notification.createdBy?.name || 'System',
+          createdAt: notification.sentAt || notification.createdAt,
+        },
+      });
+
+      if (result.success) {
+        recipient.status = 'sent';
+        recipient.sentAt = new Date();
+        recipient.error = undefined;
+      } else {
+        // Retrying cannot help until email is configured
+        recipient.status = emailService.transporter ? 'failed' : 'skipped';
+        recipient.error = result.message;
+      }
+    } catch (error) {
+      console.error(`Failed to send email to ${recipient.email}:`, error.message);
+      recipient.status = 'failed';
+      recipient.error = error.message;
+    }
+  }));
+
+  notification.emailSent = notification.emailRecipients.some(recipient => recipient.status === 'sent');
+  notification.emailSentAt = new Date();
+  await notification.save();
+
+  const failed = pending.filter(recipient => recipient.status === 'failed').length;
+  console.log(`📧 Email results for "${notification.title}": ${pending.length - failed} of ${pending.length} delivered`);
+  if (failed > 0) {
+    throw new Error(`${failed} of ${pending.length} notification emails failed`);
+  }
+};
+
+registerJobHandler(NOTIFICATION_JOBS.publish, handlePublish);
+registerJobHandler(NOTIFICATION_JOBS.email, handleEmail);
+
+/**
+ * Stop a scheduled notification or recurring reminder from going out.
+ */
+const cancelNotificationJobs = (notificationId) => cancelJobs({
+  name: { $in: Object.values(NOTIFICATION_JOBS) },
+  'data.notificationId': notificationId.toString(),
+});
+
+/**
+ * Check the audience and schedule of a new notification.
+ *
+ * `scheduledFor` sends it once at that time; `recurrence` ({ frequency,
+ * time, daysOfWeek, dayOfMonth, startDate, endDate, skipHolidays }) sends
+ * it repeatedly. With neither it is sent right away.
+ *
+ * @returns {Promise<{ data: Object, errors: string[] }>} data holds the
+ *   target, scheduledFor and recurrence fields to store
+ */
+const validateNotificationDelivery = async (body, now = new Date()) => {
+  const errors = [];
+  const data = { targetAudience: body.targetAudience || 'all_teachers' };
+
+  if (!AUDIENCES.includes(data.targetAudience)) {
+    errors.push(`Target audience must be one of: ${AUDIENCES.join(', ')}`);
+    return { data, errors };
+  }
+
+  const requireId = (field, label) => {
+    const value = body[field];
+    if (!value || !mongoose.Types.ObjectId.isValid(value)) {
+      errors.push(`Please select a ${label}`);
+      return null;
+    }
+    data[field] = value;
+    return value;
+  };
+
+  switch (data.targetAudience) {
+    case 'specific_teachers': {
+      const ids = Array.isArray(body.targetTeachers) ? body.targetTeachers : [];
+      if (ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        errors.push('Please select at least one teacher');
+      }
+      data.targetTeachers = ids;
+      break;
+    }
+    case 'department':
+      requireId('targetDepartment', 'department');
+      break;
+    case 'batch_teachers':
+    case 'batch_students':
+      if (requireId('targetBatch', 'batch') && !(await Batch.exists({ _id: data.targetBatch }))) {
+        errors.push('Batch not found');
+      }
+      break;
+    case 'course_teachers':
+    case 'course_students':
+      if (requireId('targetCourse', 'course') && !(await Course.exists({ _id: data.targetCourse }))) {
+        errors.push('Course not found');
+      }
+      break;
+    default:
+      break;
+  }
+
+  const { scheduledFor, recurrence } = body;
+  if (scheduledFor && recurrence) {
+    errors.push('Choose either a send time or a repeat schedule, not both');
+  } else if (recurrence) {
+    const { frequency, time, startDate, endDate, skipHolidays = true } = recurrence;
+    const daysOfWeek = [...new Set((recurrence.daysOfWeek || []).map(Number))].sort();
+    const dayOfMonth = Number(recurrence.dayOfMonth);
+
+    if (!FREQUENCIES.includes(frequency)) {
+      errors.push(`Repeat must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+      errors.push('Please provide the reminder time as HH:mm');
+    }
+    if (frequency === 'weekly' && (daysOfWeek.length === 0 || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      errors.push('Please select the days of the week');
+    }
+    if (frequency === 'monthly' && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      errors.push('Day of month must be between 1 and 31');
+    }
+
+    const starts = startDate ? parseZonedDate(startDate) : now;
+    const endsAt = endDate ? new Date(parseZonedDate(endDate, 1).getTime() - 1) : undefined;
+    if (isNaN(starts.getTime()) || (endsAt && isNaN(endsAt.getTime()))) {
+      errors.push('Please provide valid start and end dates');
+    } else if (endsAt && endsAt < starts) {
+      errors.push('End date must be after the start date');
+    }
+
+    if (errors.length === 0) {
+      data.recurrence = {
+        frequency,
+        time,
+        ...(frequency === 'weekly' && { daysOfWeek }),
+        ...(frequency === 'monthly' && { dayOfMonth }),
+        endsAt,
+        skipHolidays: Boolean(skipHolidays),
+      };
+      const after = new Date(Math.max(now.getTime(), starts.getTime() - 1));
+      data.scheduledFor = getNextOccurrence(data.recurrence, after);
+      if (!data.scheduledFor) {
+        errors.push('This schedule has no reminder before its end date');
+      }
+    }
+  } else if (scheduledFor) {
+    const sendAt = new Date(scheduledFor);
+    if (isNaN(sendAt.getTime())) {
+      errors.push('Please provide a valid send time');
+    } else if (sendAt.getTime() > now.getTime() + MAX_SCHEDULE_AHEAD_MS) {
+      errors.push('Notifications can be scheduled up to a year ahead');
+    } else if (sendAt.getTime() < now.getTime() - 60 * 1000) {
+      errors.push('Send time must be in the future');
+    } else {
+      data.scheduledFor = sendAt;
+    }
+  } else {
+    data.scheduledFor = now;
+  }
+
+  return { data, errors };
+};
+
+module.exports = {
+  NOTIFICATION_JOBS,
+  STUDENT_AUDIENCES,
+  getNextOccurrence,
+  schedulePublish,
+  cancelNotificationJobs,
+  validateNotificationDelivery,
+};
@@ -0,0 +1,245 @@
+const PC = require('../models/pcModel');
+const Booking = require('../models/bookingModel');
+const Student = require('../models/studentModel');
+const { getLowPriorityStudents } = require('./noShows');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Graphics descriptions that mean the PC has no dedicated card
+const INTEGRATED_GRAPHICS = /integrated|intel\s*(uhd|hd|iris)|radeon\s+graphics|vega\s*\d*\s*graphics/i;
+
+/**
+ * Size in GB from a free-text spec such as "16GB DDR4" or "1 TB SSD".
+ * Returns null when no size can be read.
+ */
+const parseGigabytes = (text) => {
+  const match = String(text || '').match(/(\d+(?:\.\d+)?)\s*(TB|GB)/i);
+  if (!match) return null;
+  return Number(match[1]) * (match[2].toUpperCase() === 'TB' ? 1024 : 1);
+};
+
+// Compare dotted version strings numerically ("2024.1" > "2023.2")
+const compareVersions = (a, b) => {
+  const left = String(a).split(/[^0-9]+/).filter(Boolean).map(Number);
+  const right = String(b).split(/[^0-9]+/).filter(Boolean).map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * What a course needs from a lab PC: its required software and hardware.
+ */
+const getCourseRequirements = (course) => ({
+  software: (course?.software || [])
+    .filter(item => item.name && item.required !== false)
+    .map(item => ({ name: item.name, version: item.version || '' })),
+  minRamGB: course?.labRequirements?.minRamGB || 0,
+  dedicatedGraphics: Boolean(course?.labRequirements?.dedicatedGraphics),
+});
+
+/**
+ * Check a PC against course requirements. `problems` rule the PC out;
+ * `warnings` are requirements that cannot be checked because the PC's
+ * details are not recorded, so the PC is still offered.
+ */
+const checkPcCompatibility = (pc, requirements) => {
+  const problems = [];
+  const warnings = [];
+  const installed = pc.installedSoftware || [];
+
+  if (requirements.software.length > 0) {
+    if (installed.length === 0) {
+      warnings.push('Installed software not recorded');
+    } else {
+      requirements.software.forEach(required => {
+        const match = installed.find(item => item.name?.trim().toLowerCase() === required.name.trim().toLowerCase());
+        if (!match) {
+          problems.push(`${required.name} is not installed`);
+        } else if (required.version && match.version && compareVersions(match.version, required.version) < 0) {
+          problems.push(`${required.name} ${match.version} is older than ${required.version}`);
+        }
+      });
+    }
+  }
+
+  if (requirements.minRamGB > 0) {
+    const ram = parseGigabytes(pc.specifications?.ram);
+    if (ram === null) {
+      warnings.push('RAM not recorded');
+    } else if (ram < requirements.minRamGB) {
+      problems.push(`${ram} GB RAM is below the required ${requirements.minRamGB} GB`);
+    }
+  }
+
+  if (requirements.dedicatedGraphics) {
+    const graphics = pc.specifications?.graphics;
+    if (!graphics) {
+      warnings.push('Graphics card not recorded');
+    } else if (INTEGRATED_GRAPHICS.test(graphics)) {
+      problems.push('No dedicated graphics card');
+    }
+  }
+
+  return { compatible: problems.length === 0, problems, warnings };
+};
+
+/**
+ * Split PCs (sorted by row and position) into runs of side-by-side seats.
+ */
+const getSeatRuns = (pcs) => {
+  const runs = [];
+  let current = [];
+
+  pcs.forEach(pc => {
+    const previous = current[current.length - 1];
+    if (previous && (previous.row !== pc.row || pc.position !== previous.position + 1)) {
+      runs.push(current);
+      current = [];
+    }
+    current.push(pc);
+  });
+  if (current.length > 0) runs.push(current);
+
+  return runs;
+};
+
+/**
+ * Choose `count` seats so the group sits together: the smallest run of
+ * adjacent PCs that fits everyone, otherwise the longest runs first.
+ * Seats are returned in row and position order.
+ */
+const chooseSeats = (pcs, count) => {
+  const runs = getSeatRuns(pcs);
+
+  const fitting = runs.filter(run => run.length >= count).sort((a, b) => a.length - b.length);
+  if (fitting.length > 0) {
+    return fitting[0].slice(0, count);
+  }
+
+  const seats = [];
+  [...runs]
+    .sort((a, b) => b.length - a.length)
+    .forEach(run => {
+      if (seats.length < count) seats.push(...run.slice(0, count - seats.length));
+    });
+
+  const order = new Map(pcs.map((pc, index) => [pc._id.toString(), index]));
+  return seats.sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
+};
+
+const getDayRange = (date) => {
+  const start = new Date(new Date(date).toISOString().split('T')[0]);
+  return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+};
+
+/**
+ * Seating plan for every active student of a batch in one lab time slot.
+ * Students that already have a seat in the slot keep it; the others are
+ * given free, active PCs that meet the course requirements, seated next to
+ * each other where possible. Nothing is written.
+ */
+const buildAllocationPlan = async ({ batch, date, timeSlot }) => {
+  const requirements = getCourseRequirements(batch.course);
+
+  const [students, pcs, bookings] = await Promise.all([
+    Student.find({ batch: batch._id, isActive: true })
+      .select('name rollNo studentId')
+      .sort({ rollNo: 1, name: 1 }),
+    PC.find({ isActive: true })
+      .select('pcNumber row position status specifications installedSoftware')
+      .sort({ row: 1, position: 1 }),
+    Booking.find({ date: getDayRange(date), timeSlot, status: { $ne: 'cancelled' } })
+      .select('pc student studentName')
+      .populate('pc', 'pcNumber row position'),
+  ]);
+
+  const bookedPcIds = new Set(bookings.map(booking => (booking.pc?._id || booking.pc).toString()));
+  const bookingByStudent = new Map(
+    bookings.filter(booking => booking.student).map(booking => [booking.student.toString(), booking])
+  );
+
+  const excludedPCs = [];
+  const candidates = [];
+  pcs.forEach(pc => {
+    if (bookedPcIds.has(pc._id.toString())) return;
+
+    if (pc.status !== 'active') {
+      excludedPCs.push({ pc, reasons: [`PC is ${pc.status}`] });
+      return;
+    }
+
+    const { compatible, problems, warnings } = checkPcCompatibility(pc, requirements);
+    if (!compatible) {
+      excludedPCs.push({ pc, reasons: problems });
+      return;
+    }
+    candidates.push({ pc, warnings });
+  });
+
+  const alreadySeated = [];
+  const waiting = [];
+  students.forEach(student => {
+    const booking = bookingByStudent.get(student._id.toString());
+    if (booking) {
+      alreadySeated.push({ student, pc: booking.pc });
+    } else {
+      waiting.push(student);
+    }
+  });
+
+  // Repeat no-shows are seated last, so they are the ones left out when PCs run short
+  const lowPriority = await getLowPriorityStudents(waiting.map(student => student._id));
+  const isLowPriority = (student) => lowPriority.has(student._id.toString());
+  waiting.sort((a, b) => isLowPriority(a) - isLowPriority(b));
+
+  const warningsByPc = new Map(candidates.map(entry => [entry.pc._id.toString(), entry.warnings]));
+  const chosen = chooseSeats(candidates.map(entry => entry.pc), waiting.length);
+
+  const seats = chosen.map((pc, index) => ({
+    student: waiting[index],
+    pc: { _id: pc._id, pcNumber: pc.pcNumber, row: pc.row, position: pc.position },
+    warnings: warningsByPc.get(pc._id.toString()),
+    lowPriority: isLowPriority(waiting[index]),
+  }));
+  const unassigned = waiting.slice(chosen.length).map(student => ({
+    student,
+    reason: isLowPriority(student)
+      ? `No compatible PC is free in this slot (${lowPriority.get(student._id.toString())} recent no-shows)`
+      : 'No compatible PC is free in this slot',
+    lowPriority: isLowPriority(student),
+  }));
+
+  return {
+    date: new Date(date).toISOString().split('T')[0],
+    timeSlot,
+    requirements,
+    seats,
+    unassigned,
+    alreadySeated,
+    excludedPCs: excludedPCs.map(({ pc, reasons }) => ({
+      pc: { _id: pc._id, pcNumber: pc.pcNumber, row: pc.row, position: pc.position, status: pc.status },
+      reasons,
+    })),
+    summary: {
+      students: students.length,
+      seated: seats.length,
+      alreadySeated: alreadySeated.length,
+      unassigned: unassigned.length,
+      lowPriority: lowPriority.size,
+      freeCompatiblePCs: candidates.length,
+    },
+  };
+};
+
+module.exports = {
+  parseGigabytes,
+  compareVersions,
+  getCourseRequirements,
+  checkPcCompatibility,
+  chooseSeats,
+  getDayRange,
+  buildAllocationPlan,
+};
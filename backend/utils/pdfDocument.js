@@ -0,0 +1,185 @@
+/**
+ * Minimal single-page PDF writer.
+ *
+ * Supports text in the standard Helvetica fonts (no embedding needed), lines
+ * and rectangles, which is all the printable documents in this app use.
+ * Text is written with WinAnsiEncoding; characters outside Latin-1 print as "?".
+ */
+
+// Glyph widths (per 1000 units of font size) for ASCII 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+  // Oblique shares the regular glyph widths
+  italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS },
+};
+
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  A4_LANDSCAPE: [841.89, 595.28],
+};
+
+// Keep Latin-1 characters, replace anything else
+const toLatin1 = (text) => String(text ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const toRgb = (hex = '#000000') => {
+  const value = hex.replace('#', '');
+  return [0, 2, 4].map(i => formatNumber(parseInt(value.slice(i, i + 2), 16) / 255)).join(' ');
+};
+
+/**
+ * Width of a string in points for the given font and size.
+ */
+const measureText = (text, { font = 'regular', size = 12 } = {}) => {
+  const { widths } = FONTS[font] || FONTS.regular;
+  const units = [...toLatin1(text)].reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+  }, 0);
+  return (units * size) / 1000;
+};
+
+/**
+ * Create a one-page document. Coordinates are in points from the top-left
+ * corner, which is converted to PDF's bottom-left origin on output.
+ */
+const createPdfDocument = ({ size = 'A4', title } = {}) => {
+  const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.A4;
+  const operations = [];
+
+  const doc = {
+    width,
+    height,
+
+    text(content, x, y, { font = 'regular', size: fontSize = 12, color, align = 'left', maxWidth } = {}) {
+      let actualSize = fontSize;
+      // Shrink long text to fit instead of overflowing the page
+      if (maxWidth) {
+        const measured = measureText(content, { font, size: fontSize });
+        if (measured > maxWidth) {
+          actualSize = (fontSize * maxWidth) / measured;
+        }
+      }
+
+      const textWidth = measureText(content, { font, size: actualSize });
+      let left = x;
+      if (align === 'center') left = x - textWidth / 2;
+      if (align === 'right') left = x - textWidth;
+
+      const { resource } = FONTS[font] || FONTS.regular;
+      operations.push(
+        'BT',
+        `${toRgb(color)} rg`,
+        `/${resource} ${formatNumber(actualSize)} Tf`,
+        `${formatNumber(left)} ${formatNumber(height - y)} Td`,
+        `(${escapeText(content)}) Tj`,
+        'ET'
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { color, lineWidth = 1 } = {}) {
+      operations.push(
+        `${toRgb(color)} RG`,
+        `${formatNumber(lineWidth)} w`,
+        `${formatNumber(x1)} ${formatNumber(height - y1)} m`,
+        `${formatNumber(x2)} ${formatNumber(height - y2)} l`,
+        'S'
+      );
+      return doc;
+    },
+
+    rect(x, y, w, h, { color, lineWidth = 1, fill } = {}) {
+      const box = `${formatNumber(x)} ${formatNumber(height - y - h)} ${formatNumber(w)} ${formatNumber(h)} re`;
+      if (fill) {
+        operations.push(`${toRgb(fill)} rg`, box, 'f');
+      }
+      if (color || !fill) {
+        operations.push(`${toRgb(color)} RG`, `${formatNumber(lineWidth)} w`, box, 'S');
+      }
+      return doc;
+    },
+
+    /**
+     * Serialize the document to a Buffer.
+     */
+    toBuffer() {
+      const content = operations.join('\n');
+      const fontIds = {};
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      addObject('<< /Type /Catalog /Pages 2 0 R >>');
+      addObject('<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+      const pageIndex = addObject(null);
+      const contentId = addObject(
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+      );
+      Object.values(FONTS).forEach(({ resource, baseFont }) => {
+        fontIds[resource] = addObject(
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`
+        );
+      });
+      const infoId = addObject(
+        `<< /Title (${escapeText(title || '')}) /Producer (CDC Attendance System) >>`
+      );
+
+      const fontResources = Object.entries(fontIds)
+        .map(([resource, id]) => `/${resource} ${id} 0 R`)
+        .join(' ');
+      objects[pageIndex - 1] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${offset.toString().padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\n`;
+      output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    },
+  };
+
+  return doc;
+};
+
+module.exports = {
+  PAGE_SIZES,
+  measureText,
+  createPdfDocument,
+};
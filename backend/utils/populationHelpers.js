@@ -277,6 +277,14 @@ function createAggregationPipeline(model, matchStage = {}, options = {}) {
                 cond: { $eq: ['$$this.status', 'present'] }
               }
             }
+          },
+          excused: {
+            $size: {
+              $filter: {
+                input: '$attendanceRecords',
+                cond: { $eq: ['$$this.status', 'excused'] }
+              }
+            }
           }
         }
       }
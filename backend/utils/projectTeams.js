@@ -0,0 +1,242 @@
+const ProjectTeam = require('../models/projectTeamModel');
+const PeerEvaluation = require('../models/peerEvaluationModel');
+const ProjectSubmission = require('../models/projectSubmissionModel');
+const Student = require('../models/studentModel');
+const { calculateFinalScore } = require('./submissionPolicy');
+
+// Same defaults as the project model
+const DEFAULT_TEAM_SETTINGS = {
+  enabled: false,
+  formation: 'teacher',
+  minSize: 2,
+  maxSize: 4,
+  peerEvaluation: false,
+  peerWeight: 20,
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const isTeamProject = (project) => !!(project.teamSettings && project.teamSettings.enabled);
+
+/**
+ * Validate team settings sent by the project forms.
+ *
+ * @returns {{ teamSettings?: Object, error?: string }}
+ */
+const buildTeamSettings = (input = {}) => {
+  const settings = { ...DEFAULT_TEAM_SETTINGS, ...input };
+
+  const teamSettings = {
+    enabled: settings.enabled === true || settings.enabled === 'true',
+    formation: settings.formation,
+    minSize: Number(settings.minSize),
+    maxSize: Number(settings.maxSize),
+    peerEvaluation: settings.peerEvaluation === true || settings.peerEvaluation === 'true',
+    peerWeight: Number(settings.peerWeight),
+  };
+
+  if (!['teacher', 'self'].includes(teamSettings.formation)) {
+    return { error: 'Teams must be formed by the teacher or self-selected' };
+  }
+  if (!Number.isInteger(teamSettings.minSize) || !Number.isInteger(teamSettings.maxSize)
+    || teamSettings.minSize < 1 || teamSettings.maxSize > 20) {
+    return { error: 'Team sizes must be whole numbers between 1 and 20' };
+  }
+  if (teamSettings.minSize > teamSettings.maxSize) {
+    return { error: 'Minimum team size cannot exceed the maximum' };
+  }
+  if (!Number.isFinite(teamSettings.peerWeight) || teamSettings.peerWeight < 0 || teamSettings.peerWeight > 50) {
+    return { error: 'Peer adjustment must be between 0 and 50%' };
+  }
+
+  return { teamSettings };
+};
+
+/**
+ * The active team a student belongs to for a project, if any.
+ */
+const findStudentTeam = (projectId, studentId) => ProjectTeam.findOne({
+  project: projectId,
+  members: studentId,
+  isActive: true,
+});
+
+/**
+ * Check a proposed member list: active students of the project's batch,
+ * within the size limit and not already in another team.
+ *
+ * @param {Object} project
+ * @param {Array}  memberIds
+ * @param {string} [teamId] Team being edited, whose own members are allowed
+ * @returns {Promise<{ members?: Array, error?: string }>}
+ */
+const validateMembers = async (project, memberIds = [], teamId = null) => {
+  const uniqueIds = [...new Set((memberIds || []).map(idOf))];
+  const maxSize = project.teamSettings?.maxSize || DEFAULT_TEAM_SETTINGS.maxSize;
+
+  if (uniqueIds.length > maxSize) {
+    return { error: `Teams can have at most ${maxSize} members` };
+  }
+
+  const students = await Student.find({
+    _id: { $in: uniqueIds },
+    batch: project.batch._id || project.batch,
+    isActive: true,
+  }).select('_id');
+  if (students.length !== uniqueIds.length) {
+    return { error: 'Team members must be active students of the project batch' };
+  }
+
+  const taken = await ProjectTeam.findOne({
+    project: project._id,
+    isActive: true,
+    members: { $in: uniqueIds },
+    ...(teamId && { _id: { $ne: teamId } }),
+  }).populate('members', 'name');
+  if (taken) {
+    const names = taken.members.filter(member => uniqueIds.includes(idOf(member))).map(member => member.name);
+    return { error: `${names.join(', ')} already belong${names.length === 1 ? 's' : ''} to team ${taken.name}` };
+  }
+
+  return { members: uniqueIds };
+};
+
+/**
+ * Whether the team has an active submission, which locks its membership.
+ */
+const hasTeamSubmitted = async (team) => !!(await ProjectSubmission.exists({ team: team._id, isActive: true }));
+
+/**
+ * Every member's copy of the same version of a team submission.
+ */
+const getTeamCopies = (submission) => ProjectSubmission.find({
+  project: submission.project._id || submission.project,
+  team: submission.team._id || submission.team,
+  version: submission.version,
+  isActive: true,
+});
+
+/**
+ * Score adjustment for each member from their teammates' ratings.
+ *
+ * A member's average received rating is compared with the team's mean; the
+ * relative difference moves their score, capped at `peerWeight` percent
+ * either way. Self-ratings are ignored and unrated members keep the team
+ * score.
+ *
+ * @returns {Map<string, number>} student id -> percent adjustment
+ */
+const calculatePeerAdjustments = (memberIds, evaluations, peerWeight) => {
+  const received = new Map(memberIds.map(id => [idOf(id), []]));
+  evaluations.forEach(evaluation => {
+    (evaluation.ratings || []).forEach(rating => {
+      const target = idOf(rating.student);
+      if (target !== idOf(evaluation.evaluator) && received.has(target)) {
+        received.get(target).push(rating.score);
+      }
+    });
+  });
+
+  const averages = new Map();
+  received.forEach((scores, id) => {
+    if (scores.length > 0) averages.set(id, scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  });
+
+  const adjustments = new Map(memberIds.map(id => [idOf(id), 0]));
+  if (averages.size < 2) return adjustments;
+
+  const teamMean = [...averages.values()].reduce((sum, value) => sum + value, 0) / averages.size;
+  averages.forEach((average, id) => {
+    const relative = ((average - teamMean) / teamMean) * 100;
+    adjustments.set(id, round(Math.max(-peerWeight, Math.min(peerWeight, relative))));
+  });
+  return adjustments;
+};
+
+/**
+ * Peer adjustments for a team under the project's settings; all zero when
+ * peer evaluation is off.
+ */
+const getPeerAdjustments = async (project, team) => {
+  const memberIds = team.members.map(idOf);
+  if (!project.teamSettings || !project.teamSettings.peerEvaluation) {
+    return new Map(memberIds.map(id => [id, 0]));
+  }
+  const evaluations = await PeerEvaluation.find({ team: team._id });
+  return calculatePeerAdjustments(memberIds, evaluations, project.teamSettings.peerWeight);
+};
+
+const applyPeerAdjustment = (teamScore, adjustment, maxScore) =>
+  Math.max(0, Math.min(maxScore, round(teamScore * (1 + (adjustment || 0) / 100))));
+
+/**
+ * Re-apply peer adjustments to a team's graded copies, after a member sent
+ * their evaluation. Returns whether anything was regraded.
+ */
+const regradeTeamCopies = async (project, team) => {
+  const copies = await ProjectSubmission.find({ team: team._id, isActive: true, teamScore: { $ne: null } });
+  if (copies.length === 0) return false;
+
+  const adjustments = await getPeerAdjustments(project, team);
+  for (const copy of copies) {
+    const adjustment = adjustments.get(idOf(copy.student)) || 0;
+    const score = applyPeerAdjustment(copy.teamScore, adjustment, project.maxScore);
+    await ProjectSubmission.findByIdAndUpdate(copy._id, {
+      score,
+      grade: score,
+      peerAdjustment: adjustment,
+      finalScore: calculateFinalScore(project, copy, score),
+    });
+  }
+  return true;
+};
+
+/**
+ * Teacher's view of a team's peer evaluations: who has responded and what
+ * each member received.
+ */
+const summarizePeerEvaluations = (team, evaluations, peerWeight) => {
+  const adjustments = calculatePeerAdjustments(team.members.map(idOf), evaluations, peerWeight);
+  const evaluatorIds = new Set(evaluations.map(evaluation => idOf(evaluation.evaluator)));
+
+  return team.members.map(member => {
+    const id = idOf(member);
+    const received = [];
+    evaluations.forEach(evaluation => {
+      (evaluation.ratings || [])
+        .filter(rating => idOf(rating.student) === id && idOf(evaluation.evaluator) !== id)
+        .forEach(rating => received.push({
+          from: evaluation.evaluator,
+          score: rating.score,
+          comment: rating.comment,
+        }));
+    });
+
+    return {
+      student: member,
+      responded: evaluatorIds.has(id),
+      averageRating: received.length > 0
+        ? round(received.reduce((sum, rating) => sum + rating.score, 0) / received.length)
+        : null,
+      adjustment: adjustments.get(id) || 0,
+      ratings: received,
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_TEAM_SETTINGS,
+  isTeamProject,
+  buildTeamSettings,
+  findStudentTeam,
+  validateMembers,
+  hasTeamSubmitted,
+  getTeamCopies,
+  calculatePeerAdjustments,
+  getPeerAdjustments,
+  applyPeerAdjustment,
+  regradeTeamCopies,
+  summarizePeerEvaluations,
+};
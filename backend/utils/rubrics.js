@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// Levels a new criterion starts with when none are given
+const DEFAULT_LEVELS = [
+  { label: 'Excellent', description: 'Fully meets the criterion', score: 100 },
+  { label: 'Good', description: 'Meets the criterion with minor gaps', score: 75 },
+  { label: 'Satisfactory', description: 'Partly meets the criterion', score: 50 },
+  { label: 'Needs work', description: 'Attempted but mostly incomplete', score: 25 },
+  { label: 'Missing', description: 'Not attempted', score: 0 },
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Clean up a rubric sent by the project forms.
+ *
+ * Criteria may point at a requirement either by its `requirement` _id or,
+ * when the requirements are created in the same request, by
+ * `requirementIndex`. Requirements are given _ids up front so both forms
+ * resolve to a stored id.
+ *
+ * @param {Array} rubric        Criteria from the request body
+ * @param {Array} requirements  The project's requirements
+ * @returns {{ rubric?: Array, requirements?: Array, error?: string }}
+ */
+const buildRubric = (rubric = [], requirements = []) => {
+  if (!Array.isArray(rubric)) {
+    return { error: 'Rubric must be a list of criteria' };
+  }
+
+  const linkedRequirements = (requirements || []).map(requirement => ({
+    ...requirement,
+    _id: requirement._id || new mongoose.Types.ObjectId(),
+  }));
+  const requirementIds = new Set(linkedRequirements.map(requirement => requirement._id.toString()));
+
+  const criteria = [];
+  for (const [index, criterion] of rubric.entries()) {
+    const title = (criterion.title || '').trim();
+    if (!title) {
+      return { error: `Criterion ${index + 1} needs a title` };
+    }
+
+    const weight = Number(criterion.weight ?? 1);
+    if (!Number.isFinite(weight) || weight < 1 || weight > 100) {
+      return { error: `Weight of "${title}" must be between 1 and 100` };
+    }
+
+    const levels = (criterion.levels && criterion.levels.length > 0 ? criterion.levels : DEFAULT_LEVELS)
+      .map(level => ({
+        label: (level.label || '').trim(),
+        description: (level.description || '').trim(),
+        score: Number(level.score),
+      }));
+    if (levels.some(level => !level.label || !Number.isFinite(level.score) || level.score < 0 || level.score > 100)) {
+      return { error: `Every level of "${title}" needs a label and a score between 0 and 100` };
+    }
+    if (new Set(levels.map(level => level.label.toLowerCase())).size !== levels.length) {
+      return { error: `Level labels of "${title}" must be unique` };
+    }
+
+    let requirement = null;
+    if (criterion.requirementIndex !== undefined && criterion.requirementIndex !== null && criterion.requirementIndex !== '') {
+      const linked = linkedRequirements[Number(criterion.requirementIndex)];
+      if (!linked) {
+        return { error: `"${title}" is mapped to a requirement that does not exist` };
+      }
+      requirement = linked._id;
+    } else if (criterion.requirement) {
+      if (!requirementIds.has(criterion.requirement.toString())) {
+        return { error: `"${title}" is mapped to a requirement that does not exist` };
+      }
+      requirement = criterion.requirement;
+    }
+
+    criteria.push({
+      ...(criterion._id && { _id: criterion._id }),
+      title,
+      description: (criterion.description || '').trim(),
+      weight,
+      requirement,
+      levels: levels.sort((a, b) => b.score - a.score),
+    });
+  }
+
+  return { rubric: criteria, requirements: linkedRequirements };
+};
+
+/**
+ * Score a submission against the project's rubric.
+ *
+ * Each criterion is worth its share of maxScore (weight over total weight)
+ * and earns the percentage of the level picked for it, so the total is on
+ * the same scale as a score entered by hand.
+ *
+ * @param {Object} project       Project with rubric, requirements and maxScore
+ * @param {Array}  rubricScores  [{ criterion, level, comment }] from the grader
+ * @returns {{ score?: number, rubricScores?: Array, error?: string }}
+ */
+const scoreRubric = (project, rubricScores = []) => {
+  const rubric = project.rubric || [];
+  const totalWeight = rubric.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const picked = new Map((rubricScores || []).map(entry => [entry.criterion?.toString(), entry]));
+
+  const breakdown = [];
+  for (const criterion of rubric) {
+    const entry = picked.get(criterion._id.toString());
+    if (!entry || !entry.level) {
+      return { error: `Please pick a level for "${criterion.title}"` };
+    }
+
+    const level = criterion.levels.find(option => option.label === entry.level);
+    if (!level) {
+      return { error: `"${entry.level}" is not a level of "${criterion.title}"` };
+    }
+
+    const requirement = criterion.requirement
+      ? (project.requirements || []).find(item => item._id.toString() === criterion.requirement.toString())
+      : null;
+    const maxPoints = totalWeight > 0 ? (project.maxScore * criterion.weight) / totalWeight : 0;
+
+    breakdown.push({
+      criterion: criterion._id,
+      title: criterion.title,
+      weight: criterion.weight,
+      requirement: requirement ? requirement.title : null,
+      level: level.label,
+      percent: level.score,
+      points: round((maxPoints * level.score) / 100),
+      maxPoints: round(maxPoints),
+      comment: (entry.comment || '').trim(),
+    });
+  }
+
+  const score = round(breakdown.reduce((sum, entry) => sum + entry.points, 0));
+  return { score, rubricScores: breakdown };
+};
+
+module.exports = {
+  DEFAULT_LEVELS,
+  buildRubric,
+  scoreRubric,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver, used when STORAGE_DRIVER=s3.
+ *
+ *   S3_BUCKET              bucket name (required)
+ *   S3_REGION              defaults to us-east-1
+ *   S3_ENDPOINT            for non-AWS services, e.g. http://localhost:9000 for MinIO
+ *   S3_FORCE_PATH_STYLE    "true" for MinIO
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ *                          optional; the AWS default credential chain is used otherwise
+ */
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  return {
+    name: 's3',
+
+    // The bucket recomputes the SHA-256 and rejects the upload on a mismatch
+    async put(key, sourcePath, { size, contentType, checksum }) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType,
+        ChecksumSHA256: Buffer.from(checksum, 'hex').toString('base64'),
+      }));
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    // Links go straight to the bucket; the API only hands them out
+    async signedUrl(key, { disposition, contentType, expiresIn }) {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: disposition,
+        ResponseContentType: contentType || 'application/octet-stream',
+      }), { expiresIn });
+    },
+  };
+};
+
+module.exports = { createS3Driver };
@@ -0,0 +1,222 @@
+const Batch = require('../models/batchModel');
+const Booking = require('../models/bookingModel');
+const PC = require('../models/pcModel');
+const Student = require('../models/studentModel');
+const { getTimeSlots, parseSlotLabel, toMinutes } = require('./timeSlots');
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const formatDays = (days) => [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+  .map(day => WEEKDAY_NAMES[day])
+  .join(', ');
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Resolves batches and bookings to start and end minutes. Batches linked to
+ * a slot follow the slot; others (and bookings) are read from their label.
+ */
+const createSlotResolver = async () => {
+  const slots = await getTimeSlots({ includeInactive: true });
+  const byKey = new Map();
+  slots.forEach(slot => {
+    const times = { start: toMinutes(slot.startTime), end: toMinutes(slot.endTime) };
+    byKey.set(slot._id.toString(), times);
+    byKey.set(slot.label, times);
+  });
+
+  return (slotId, label) => {
+    const known = (slotId && byKey.get(slotId.toString())) || byKey.get(label);
+    if (known) return known;
+
+    const parsed = parseSlotLabel(label);
+    return parsed ? { start: toMinutes(parsed.startTime), end: toMinutes(parsed.endTime) } : null;
+  };
+};
+
+const timesOverlap = (a, b) => Boolean(a && b) && a.start < b.end && b.start < a.end;
+
+// Date ranges overlap; a missing end date means the batch runs on
+const datesOverlap = (aStart, aEnd, bStart, bEnd) =>
+  (!aEnd || !bStart || new Date(bStart) <= new Date(aEnd)) &&
+  (!bEnd || !aStart || new Date(aStart) <= new Date(bEnd));
+
+// Days a batch meets. Without a schedule that is every day; weekly offs
+// come from the holiday calendar, not from here.
+const getWeekdays = (batch) => (batch.schedule?.weekdays?.length ? batch.schedule.weekdays : ALL_WEEKDAYS);
+
+// PCs that can take a booking
+const countAvailablePCs = () => PC.countDocuments({ isActive: true, status: 'active' });
+
+const summarizeBatch = (batch) => ({
+  _id: batch._id,
+  name: batch.name,
+  timing: batch.timing,
+  weekdays: getWeekdays(batch),
+  startDate: batch.startDate,
+  endDate: batch.endDate || null,
+  teacher: batch.createdBy?.name,
+});
+
+/**
+ * Check a new or rescheduled batch against the other running batches.
+ *
+ * `batch` needs createdBy, timing, schedule ({ slot, weekdays }), startDate,
+ * endDate and maxStudents; `_id` is set when an existing batch is checked.
+ * Only batches sharing a weekday, an overlapping date range and an
+ * overlapping time can clash:
+ * - `teacher-clash` (error): the same teacher already teaches then
+ * - `lab-capacity` (warning): the batches running together need more seats
+ *   than the lab has PCs
+ */
+const checkBatchConflicts = async (batch) => {
+  const errors = [];
+  const warnings = [];
+
+  const [resolveSlot, others, pcCount] = await Promise.all([
+    createSlotResolver(),
+    Batch.find({
+      _id: { $ne: batch._id || null },
+      isFinished: false,
+      isArchived: false,
+    })
+      .select('name timing schedule startDate endDate maxStudents createdBy')
+      .populate('createdBy', 'name'),
+    countAvailablePCs(),
+  ]);
+
+  const times = resolveSlot(batch.schedule?.slot, batch.timing);
+  if (!times) return { errors, warnings };
+
+  const weekdays = getWeekdays(batch);
+  const teacherId = (batch.createdBy?._id || batch.createdBy)?.toString();
+
+  const concurrent = others
+    .map(other => ({
+      other,
+      sharedDays: getWeekdays(other).filter(day => weekdays.includes(day)),
+    }))
+    .filter(({ other, sharedDays }) => sharedDays.length > 0 &&
+      datesOverlap(batch.startDate, batch.endDate, other.startDate, other.endDate) &&
+      timesOverlap(times, resolveSlot(other.schedule?.slot, other.timing)));
+
+  concurrent.forEach(({ other, sharedDays }) => {
+    if (other.createdBy?._id?.toString() !== teacherId) return;
+
+    errors.push({
+      type: 'teacher-clash',
+      message: `${other.createdBy.name || 'The teacher'} already teaches ${other.name} at ${other.timing} on ${formatDays(sharedDays)}`,
+      batch: summarizeBatch(other),
+      weekdays: sharedDays,
+    });
+  });
+
+  // Seats needed on the busiest shared day
+  let peak = null;
+  weekdays.forEach(day => {
+    const sameDay = concurrent.filter(({ sharedDays }) => sharedDays.includes(day));
+    const seats = (batch.maxStudents || 0) + sameDay.reduce((sum, { other }) => sum + (other.maxStudents || 0), 0);
+    if (!peak || seats > peak.seats) {
+      peak = { day, seats, batches: sameDay.map(({ other }) => other) };
+    }
+  });
+
+  if (peak && peak.batches.length > 0 && peak.seats > pcCount) {
+    warnings.push({
+      type: 'lab-capacity',
+      message: `Up to ${peak.seats} students are scheduled in the lab on ${WEEKDAY_NAMES[peak.day]} at ${batch.timing}, ` +
+        `but only ${pcCount} PC${pcCount === 1 ? ' is' : 's are'} available`,
+      seatsNeeded: peak.seats,
+      availablePCs: pcCount,
+      batches: peak.batches.map(summarizeBatch),
+    });
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Check a lab booking against the batch timetable. Returns warnings only,
+ * since a PC can never be double-booked:
+ * - `lab-capacity`: the batches meeting in the slot have more students
+ *   without a seat than there are free PCs
+ * - `outside-schedule`: the booking's batch does not meet at that time
+ */
+const checkBookingConflicts = async ({ date, timeSlot, batch = null }) => {
+  const warnings = [];
+  const day = new Date(formatDate(date));
+  const weekday = day.getUTCDay();
+
+  const [resolveSlot, batches, bookings, pcCount] = await Promise.all([
+    createSlotResolver(),
+    Batch.find({
+      isFinished: false,
+      isArchived: false,
+      startDate: { $lte: day },
+      $or: [{ endDate: null }, { endDate: { $gte: day } }],
+    }).select('name timing schedule startDate endDate'),
+    Booking.find({
+      date: day,
+      timeSlot,
+      status: { $ne: 'cancelled' },
+    }).select('student'),
+    countAvailablePCs(),
+  ]);
+
+  const times = resolveSlot(null, timeSlot);
+  const meeting = batches.filter(candidate => getWeekdays(candidate).includes(weekday) &&
+    timesOverlap(times, resolveSlot(candidate.schedule?.slot, candidate.timing)));
+
+  if (meeting.length > 0) {
+    const seatedStudents = new Set(bookings.filter(booking => booking.student).map(booking => booking.student.toString()));
+    const students = await Student.find({ batch: { $in: meeting.map(candidate => candidate._id) }, isActive: true })
+      .select('_id');
+    const waiting = students.filter(student => !seatedStudents.has(student._id.toString())).length;
+    const freePCs = pcCount - bookings.length;
+
+    if (waiting > freePCs) {
+      warnings.push({
+        type: 'lab-capacity',
+        message: `${waiting} student${waiting === 1 ? '' : 's'} of ${meeting.map(candidate => candidate.name).join(', ')} ` +
+          `still need a PC at ${timeSlot}, but only ${Math.max(freePCs, 0)} ${freePCs === 1 ? 'is' : 'are'} free`,
+        seatsNeeded: waiting,
+        availablePCs: Math.max(freePCs, 0),
+        batches: meeting.map(summarizeBatch),
+      });
+    }
+  }
+
+  if (batch) {
+    const booked = batches.find(candidate => candidate._id.toString() === batch.toString()) ||
+      await Batch.findById(batch).select('name timing schedule startDate endDate');
+
+    if (booked) {
+      const problems = [];
+      if (!datesOverlap(booked.startDate, booked.endDate, day, day)) {
+        problems.push('the batch is not running on that date');
+      } else if (!getWeekdays(booked).includes(weekday)) {
+        problems.push(`the batch does not meet on ${WEEKDAY_NAMES[weekday]}`);
+      }
+      if (!timesOverlap(times, resolveSlot(booked.schedule?.slot, booked.timing))) {
+        problems.push(`the batch meets at ${booked.timing}`);
+      }
+
+      if (problems.length > 0) {
+        warnings.push({
+          type: 'outside-schedule',
+          message: `Booked outside the timetable of ${booked.name}: ${problems.join(' and ')}`,
+          batch: summarizeBatch(booked),
+        });
+      }
+    }
+  }
+
+  return { errors: [], warnings };
+};
+
+module.exports = {
+  getWeekdays,
+  checkBatchConflicts,
+  checkBookingConflicts,
+};
@@ -0,0 +1,134 @@
+const SeatHold = require('../models/seatHoldModel');
+const labEventService = require('../services/labEventService');
+const { getSetting } = require('./systemSettings');
+const { toEventDate } = require('./labEvents');
+
+// Pending expiry announcements, by hold id
+const expiryTimers = new Map();
+
+const serializeHold = (hold) => ({
+  _id: hold._id,
+  pc: hold.pc,
+  date: toEventDate(hold.date),
+  timeSlot: hold.timeSlot,
+  heldBy: hold.heldBy,
+  heldByName: hold.heldByName,
+  expiresAt: hold.expiresAt,
+});
+
+const publishHold = (type, hold) => {
+  labEventService.publish({
+    type,
+    date: toEventDate(hold.date),
+    timeSlot: hold.timeSlot,
+    hold: serializeHold(hold),
+  });
+};
+
+// Bookings and holds are stored at UTC midnight of their day
+const toHoldDay = (date) => new Date(toEventDate(date));
+
+/**
+ * Holds that have not run out yet for a day, optionally in one slot
+ */
+const getActiveHolds = ({ date, timeSlot }) => SeatHold.find({
+  date: toHoldDay(date),
+  ...(timeSlot ? { timeSlot } : {}),
+  expiresAt: { $gt: new Date() },
+});
+
+/**
+ * A live hold on the seat by anyone other than `userId`
+ */
+const findBlockingHold = ({ pc, date, timeSlot, userId }) => SeatHold.findOne({
+  pc,
+  date: toHoldDay(date),
+  timeSlot,
+  heldBy: { $ne: userId },
+  expiresAt: { $gt: new Date() },
+});
+
+// MongoDB's TTL monitor only runs once a minute, so expiry is announced here
+const scheduleExpiry = (hold) => {
+  const key = hold._id.toString();
+  clearTimeout(expiryTimers.get(key));
+
+  const timer = setTimeout(async () => {
+    expiryTimers.delete(key);
+    try {
+      const result = await SeatHold.deleteOne({ _id: hold._id, expiresAt: { $lte: new Date() } });
+      if (result.deletedCount > 0) {
+        publishHold('hold_expired', hold);
+      }
+    } catch (error) {
+      console.error('❌ Failed to expire seat hold:', error.message);
+    }
+  }, Math.max(hold.expiresAt.getTime() - Date.now(), 0) + 100);
+
+  timer.unref();
+  expiryTimers.set(key, timer);
+};
+
+/**
+ * Place or renew the user's hold on a seat for lab.seatHoldSeconds.
+ * Returns { hold } on success or { conflict } with the other user's hold.
+ */
+const placeHold = async ({ pc, date, timeSlot, user }) => {
+  const seconds = await getSetting('lab', 'seatHoldSeconds');
+  const now = new Date();
+  const day = toHoldDay(date);
+
+  try {
+    // Renews the user's own hold or takes over one that has run out; a live
+    // hold by someone else makes the upsert hit the unique index instead
+    const hold = await SeatHold.findOneAndUpdate(
+      {
+        pc,
+        date: day,
+        timeSlot,
+        $or: [{ heldBy: user._id }, { expiresAt: { $lte: now } }],
+      },
+      {
+        heldBy: user._id,
+        heldByName: user.name,
+        expiresAt: new Date(now.getTime() + seconds * 1000),
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    scheduleExpiry(hold);
+    publishHold('hold_placed', hold);
+    return { hold };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const conflict = await SeatHold.findOne({ pc, date: day, timeSlot });
+    return { conflict };
+  }
+};
+
+/**
+ * Drop the holds matching `filter` (e.g. once the seat has been booked)
+ */
+const releaseHolds = async (filter) => {
+  const holds = await SeatHold.find(filter);
+  if (holds.length === 0) return 0;
+
+  await SeatHold.deleteMany({ _id: { $in: holds.map(hold => hold._id) } });
+  holds.forEach(hold => {
+    clearTimeout(expiryTimers.get(hold._id.toString()));
+    expiryTimers.delete(hold._id.toString());
+    publishHold('hold_released', hold);
+  });
+  return holds.length;
+};
+
+const releaseSeatHolds = ({ pc, date, timeSlot }) => releaseHolds({ pc, date: toHoldDay(date), timeSlot });
+
+module.exports = {
+  serializeHold,
+  getActiveHolds,
+  findBlockingHold,
+  placeHold,
+  releaseHolds,
+  releaseSeatHolds,
+};
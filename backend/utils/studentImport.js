@@ -0,0 +1,184 @@
+const Student = require('../models/studentModel');
+const { validateEmail, validatePhone } = require('../middleware/validationMiddleware');
+
+// Largest file accepted by one import request
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns an import row may carry; the wizard maps spreadsheet headers
+// onto these keys before sending the rows
+const IMPORT_FIELDS = [
+  'name',
+  'rollNo',
+  'studentId',
+  'email',
+  'phone',
+  'address',
+  'dateOfBirth',
+  'gender',
+  'guardianName',
+  'guardianPhone',
+  'emergencyContact',
+  'qualification',
+  'admissionDate',
+];
+
+const GENDERS = ['Male', 'Female', 'Other'];
+
+const clean = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Trim a raw row down to the known fields and check what can be checked
+ * without the database.
+ *
+ * @returns {{ data: Object, errors: string[] }}
+ */
+const normalizeRow = (raw = {}, user) => {
+  const data = {};
+  const errors = [];
+
+  for (const field of IMPORT_FIELDS) {
+    const value = clean(raw[field]);
+    if (value) data[field] = value;
+  }
+
+  if (!data.name) errors.push('Name is required');
+  if (!data.rollNo) errors.push('Roll number is required');
+
+  if (data.studentId) {
+    if (user.role !== 'admin') {
+      errors.push('Only administrators can set student ID');
+    }
+    data.studentId = data.studentId.toUpperCase();
+  }
+
+  if (data.email) {
+    const emailValidation = validateEmail(data.email);
+    if (emailValidation.isValid) {
+      data.email = data.email.toLowerCase();
+    } else {
+      errors.push(emailValidation.message);
+    }
+  }
+
+  for (const [field, label] of [['phone', 'Phone'], ['guardianPhone', 'Guardian phone'], ['emergencyContact', 'Emergency contact']]) {
+    if (!data[field]) continue;
+    const phoneValidation = validatePhone(data[field]);
+    if (!phoneValidation.isValid) {
+      errors.push(`${label}: ${phoneValidation.message}`);
+    }
+  }
+
+  if (data.gender) {
+    const gender = GENDERS.find(option => option.toLowerCase() === data.gender.toLowerCase());
+    if (gender) {
+      data.gender = gender;
+    } else {
+      errors.push(`Gender must be one of: ${GENDERS.join(', ')}`);
+    }
+  }
+
+  for (const [field, label] of [['dateOfBirth', 'Date of birth'], ['admissionDate', 'Admission date']]) {
+    if (!data[field]) continue;
+    const date = parseDate(data[field]);
+    if (date) {
+      data[field] = date;
+    } else {
+      errors.push(`${label} is not a valid date`);
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Validate spreadsheet rows for one batch without writing anything.
+ *
+ * Each row is checked on its own (required fields, email, phone numbers,
+ * gender, dates), then for duplicates inside the file and against existing
+ * students (roll number within the batch, student ID and email globally),
+ * and finally against the batch's maxStudents: once the free seats are
+ * used up, the remaining valid rows are rejected in file order.
+ *
+ * @param {Object[]} rows  Raw rows keyed by IMPORT_FIELDS
+ * @param {Object}   batch Target batch with maxStudents
+ * @param {Object}   user  The importing user
+ * @returns {Promise<{ results: Object[], capacity: Object }>} One result per
+ *   row ({ row, data, errors }, row numbers 1-based) and the seat counts
+ */
+const validateImportRows = async (rows, batch, user) => {
+  const results = rows.map((raw, index) => ({ row: index + 1, ...normalizeRow(raw, user) }));
+
+  // Duplicates inside the file: every repeat after the first is rejected
+  const seen = { rollNo: new Set(), studentId: new Set(), email: new Set() };
+  const labels = { rollNo: 'Roll number', studentId: 'Student ID', email: 'Email' };
+  for (const result of results) {
+    for (const field of Object.keys(seen)) {
+      const value = result.data[field];
+      if (!value) continue;
+      const key = value.toLowerCase();
+      if (seen[field].has(key)) {
+        result.errors.push(`${labels[field]} '${value}' appears more than once in the file`);
+      } else {
+        seen[field].add(key);
+      }
+    }
+  }
+
+  // Duplicates against students already in the database
+  const values = (field) => results.map(result => result.data[field]).filter(Boolean);
+  const [rollNoTaken, studentIdTaken, emailTaken, currentStudents] = await Promise.all([
+    Student.find({ batch: batch._id, rollNo: { $in: values('rollNo') } }).select('rollNo').lean(),
+    Student.find({ studentId: { $in: values('studentId') } }).select('studentId').lean(),
+    Student.find({ email: { $in: values('email') } }).select('email').lean(),
+    Student.countDocuments({ batch: batch._id, isActive: true }),
+  ]);
+
+  const existing = {
+    rollNo: new Set(rollNoTaken.map(student => student.rollNo)),
+    studentId: new Set(studentIdTaken.map(student => student.studentId)),
+    email: new Set(emailTaken.map(student => student.email)),
+  };
+  for (const result of results) {
+    const { rollNo, studentId, email } = result.data;
+    if (rollNo && existing.rollNo.has(rollNo)) {
+      result.errors.push(`Roll number '${rollNo}' already exists in this batch`);
+    }
+    if (studentId && existing.studentId.has(studentId)) {
+      result.errors.push(`Student ID '${studentId}' already exists`);
+    }
+    if (email && existing.email.has(email)) {
+      result.errors.push(`Email '${email}' already exists`);
+    }
+  }
+
+  // Batch capacity
+  const availableSlots = Math.max(batch.maxStudents - currentStudents, 0);
+  let accepted = 0;
+  for (const result of results) {
+    if (result.errors.length > 0) continue;
+    if (accepted >= availableSlots) {
+      result.errors.push(`Batch is full (${batch.maxStudents} students maximum)`);
+    } else {
+      accepted += 1;
+    }
+  }
+
+  return {
+    results,
+    capacity: {
+      currentStudents,
+      maxStudents: batch.maxStudents,
+      availableSlots,
+    },
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  validateImportRows,
+};
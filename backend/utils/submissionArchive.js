@@ -0,0 +1,223 @@
+const archiver = require('archiver');
+const { openFile, fileExists } = require('./fileStorage');
+
+// Statuses a teacher can pick when downloading; "ungraded" covers
+// everything still waiting for a grade
+const ARCHIVE_STATUS_GROUPS = {
+  ungraded: ['submitted', 'under_review'],
+};
+
+const MANIFEST_COLUMNS = [
+  'Roll No',
+  'Student ID',
+  'Name',
+  'Team',
+  'Folder',
+  'Version',
+  'Status',
+  'Submitted At',
+  'Timing',
+  'Hours From Deadline',
+  'Score',
+  'Max Score',
+  'Final Score',
+  'Feedback',
+  'Files',
+  'Missing Files',
+];
+
+/**
+ * Turn a status query ("graded", "submitted,under_review", "ungraded")
+ * into the statuses to include.
+ *
+ * @returns {{ statuses?: string[], error?: string }}
+ */
+const parseStatusFilter = (status, allowedStatuses) => {
+  if (!status) return { statuses: null };
+
+  const statuses = [...new Set(String(status).split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .flatMap(value => ARCHIVE_STATUS_GROUPS[value] || [value]))];
+
+  const unknown = statuses.filter(value => !allowedStatuses.includes(value));
+  if (unknown.length > 0) {
+    return { error: `Unknown submission status: ${unknown.join(', ')}` };
+  }
+  return { statuses };
+};
+
+/**
+ * Safe file or folder name inside the archive.
+ */
+const sanitizeName = (value, fallback = 'file') => {
+  const cleaned = String(value || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+  return (cleaned || fallback).slice(0, 120);
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheet apps from running free text such as feedback as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text with a byte order mark so Excel reads it as UTF-8.
+ */
+const toCsv = (header, rows) => `\uFEFF${[header, ...rows]
+  .map(row => row.map(csvCell).join(','))
+  .join('\r\n')}\r\n`;
+
+// Two files with the same original name get "(2)", "(3)"... suffixes
+const uniqueName = (name, used) => {
+  if (!used.has(name)) {
+    used.add(name);
+    return name;
+  }
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : '';
+  let counter = 2;
+  while (used.has(`${base} (${counter})${ext}`)) counter += 1;
+  const unique = `${base} (${counter})${ext}`;
+  used.add(unique);
+  return unique;
+};
+
+// Settle with `work` unless the client goes away first. An aborted download
+// unpipes the archive, which then stalls under backpressure and never fires
+// its events, so the archive is aborted here and `onAbort` releases whatever
+// is still open.
+const whileConnected = (output, archive, work, onAbort = () => {}) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    output.off('close', onClose);
+    output.off('error', onClose);
+  };
+  function onClose() {
+    cleanup();
+    onAbort();
+    archive.abort();
+    reject(new Error('Download closed by the client'));
+  }
+
+  if (output.destroyed) {
+    onClose();
+    return;
+  }
+  output.once('close', onClose);
+  output.once('error', onClose);
+  work.then(
+    value => { cleanup(); resolve(value); },
+    error => { cleanup(); reject(error); }
+  );
+});
+
+// Wait for each file to be written before opening the next, so only one
+// storage stream is open at a time
+const appendEntry = (archive, source, data, output) => {
+  const written = new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, data);
+  });
+  return whileConnected(output, archive, written, () => source.destroy?.());
+};
+
+/**
+ * Stream a ZIP of submissions: one folder per student named
+ * "<rollNo> - <name>" holding their files, plus manifest.csv describing
+ * every submission. Files missing from storage are listed in the manifest
+ * instead of failing the download.
+ *
+ * @param {Object}   project     Project with title and maxScore
+ * @param {Object[]} submissions Submissions with student and team populated
+ * @param {Stream}   output      Writable to pipe the archive into
+ * @returns {Promise<void>} Resolves once the archive is finalized
+ */
+const streamSubmissionArchive = async (project, submissions, output) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('warning', error => console.warn('Archive warning:', error.message));
+  archive.pipe(output);
+
+  const usedFolders = new Set();
+  const rows = [];
+
+  for (const submission of submissions) {
+    // The client went away; stop reading from storage
+    if (output.destroyed) {
+      archive.abort();
+      return;
+    }
+
+    const student = submission.student || {};
+    const folder = uniqueName(
+      sanitizeName(`${student.rollNo || 'unknown'} - ${student.name || 'Student'}`, 'student'),
+      usedFolders
+    );
+
+    const usedFiles = new Set();
+    const missing = [];
+    for (const file of submission.files || []) {
+      if (!(await fileExists(file))) {
+        missing.push(file.originalName);
+        continue;
+      }
+      const name = uniqueName(sanitizeName(file.originalName), usedFiles);
+      const source = await openFile(file);
+      try {
+        await appendEntry(archive, source, { name: `${folder}/${name}`, date: file.uploadedAt }, output);
+      } catch (error) {
+        // The client went away; stop reading from storage
+        if (output.destroyed) return;
+        throw error;
+      }
+    }
+
+    rows.push([
+      student.rollNo,
+      student.studentId,
+      student.name,
+      submission.team?.name,
+      folder,
+      submission.version || 1,
+      submission.status,
+      submission.submittedDate,
+      submission.submissionTiming,
+      submission.hoursFromDeadline,
+      submission.score,
+      project.maxScore,
+      submission.finalScore,
+      submission.feedback,
+      (submission.files || []).length - missing.length,
+      missing.join('; '),
+    ]);
+  }
+
+  archive.append(toCsv(MANIFEST_COLUMNS, rows), { name: 'manifest.csv' });
+  try {
+    await whileConnected(output, archive, archive.finalize());
+  } catch (error) {
+    if (!output.destroyed) throw error;
+  }
+};
+
+module.exports = {
+  parseStatusFilter,
+  sanitizeName,
+  toCsv,
+  streamSubmissionArchive,
+};
@@ -0,0 +1,155 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used for fields a project has not set; matches the old hard-coded rules
+const DEFAULT_POLICY = {
+  earlyHours: 24,
+  gracePeriodHours: 0,
+  penaltyUnit: 'day',
+  penaltyPerUnit: 10,
+  earlyScore: 100,
+  onTimeScore: 90,
+  lateScore: 70,
+  cutoffHours: null,
+  countedVersion: 'latest',
+};
+
+const PENALTY_UNIT_HOURS = { day: 24, hour: 1 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A project's submission policy with defaults filled in.
+ */
+const getPolicy = (project) => {
+  const policy = project.submissionPolicy && typeof project.submissionPolicy.toObject === 'function'
+    ? project.submissionPolicy.toObject()
+    : project.submissionPolicy || {};
+
+  return Object.fromEntries(Object.entries(DEFAULT_POLICY).map(([key, value]) => [
+    key,
+    policy[key] === undefined ? value : policy[key],
+  ]));
+};
+
+/**
+ * Validate a policy sent by the project forms.
+ *
+ * @returns {{ policy?: Object, error?: string }}
+ */
+const buildPolicy = (input = {}) => {
+  const policy = getPolicy({ submissionPolicy: input });
+
+  const numbers = ['earlyHours', 'gracePeriodHours', 'penaltyPerUnit', 'earlyScore', 'onTimeScore', 'lateScore'];
+  for (const key of numbers) {
+    policy[key] = Number(policy[key]);
+    if (!Number.isFinite(policy[key]) || policy[key] < 0) {
+      return { error: `Submission policy ${key} must be zero or more` };
+    }
+  }
+  if (['earlyScore', 'onTimeScore', 'lateScore', 'penaltyPerUnit'].some(key => policy[key] > 100)) {
+    return { error: 'Timing scores and penalty cannot exceed 100' };
+  }
+  if (!PENALTY_UNIT_HOURS[policy.penaltyUnit]) {
+    return { error: 'Penalty must be charged per day or per hour' };
+  }
+  if (!['latest', 'best'].includes(policy.countedVersion)) {
+    return { error: 'Counted version must be the latest or the best resubmission' };
+  }
+
+  if (policy.cutoffHours === '' || policy.cutoffHours === null) {
+    policy.cutoffHours = null;
+  } else {
+    policy.cutoffHours = Number(policy.cutoffHours);
+    if (!Number.isFinite(policy.cutoffHours) || policy.cutoffHours < policy.gracePeriodHours) {
+      return { error: 'Submission cutoff must be at least as long as the grace period' };
+    }
+  }
+
+  return { policy };
+};
+
+/**
+ * Deadline that applies to one student: the project deadline, or a later
+ * extension granted to them.
+ */
+const getEffectiveDeadline = (project, studentId) => {
+  const deadline = new Date(project.deadlineDate);
+  const extension = studentId && (project.extensions || [])
+    .find(entry => entry.student && (entry.student._id || entry.student).toString() === studentId.toString());
+
+  if (extension && new Date(extension.deadline) > deadline) {
+    return { deadline: new Date(extension.deadline), extension };
+  }
+  return { deadline, extension: null };
+};
+
+/**
+ * Classify and score a submission's timing under the project's policy.
+ *
+ * Lateness is measured to the hour from the student's effective deadline.
+ * Submissions inside the grace period are on time; after it the late score
+ * loses `penaltyPerUnit` for every started day or hour.
+ *
+ * @returns {Object} { effectiveDeadline, hoursFromDeadline, daysFromDeadline,
+ *   hoursLate, submissionTiming, penalty, timingScore, pastCutoff, closesAt }
+ */
+const evaluateTiming = (project, studentId, submittedDate = new Date()) => {
+  const policy = getPolicy(project);
+  const { deadline } = getEffectiveDeadline(project, studentId);
+
+  const hoursFromDeadline = (deadline - new Date(submittedDate)) / HOUR_MS;
+  const hoursLate = Math.max(0, -hoursFromDeadline);
+
+  let submissionTiming;
+  let timingScore;
+  let penalty = 0;
+
+  if (hoursFromDeadline >= policy.earlyHours) {
+    submissionTiming = 'early';
+    timingScore = policy.earlyScore;
+  } else if (hoursLate <= policy.gracePeriodHours) {
+    submissionTiming = 'on_time';
+    timingScore = policy.onTimeScore;
+  } else {
+    submissionTiming = 'late';
+    const units = Math.ceil((hoursLate - policy.gracePeriodHours) / PENALTY_UNIT_HOURS[policy.penaltyUnit]);
+    penalty = units * policy.penaltyPerUnit;
+    timingScore = Math.max(0, policy.lateScore - penalty);
+  }
+
+  return {
+    effectiveDeadline: deadline,
+    hoursFromDeadline: round(hoursFromDeadline),
+    daysFromDeadline: round(hoursFromDeadline / 24),
+    hoursLate: round(hoursLate),
+    submissionTiming,
+    penalty,
+    timingScore,
+    pastCutoff: policy.cutoffHours !== null && hoursLate > policy.cutoffHours,
+    closesAt: policy.cutoffHours !== null ? new Date(deadline.getTime() + policy.cutoffHours * HOUR_MS) : null,
+  };
+};
+
+/**
+ * Final score of a graded submission from the project weightage:
+ * project score, attendance and the policy's timing score.
+ */
+const calculateFinalScore = (project, submission, score) => {
+  const weightage = project.weightage;
+  const { timingScore } = evaluateTiming(project, submission.student?._id || submission.student, submission.submittedDate);
+
+  const projectScoreWeighted = (score / project.maxScore) * 100 * (weightage.projectScore / 100);
+  const attendanceScoreWeighted = (submission.attendanceScore || 0) * (weightage.attendanceScore / 100);
+  const timingScoreWeighted = timingScore * (weightage.submissionTiming / 100);
+
+  return Math.round(projectScoreWeighted + attendanceScoreWeighted + timingScoreWeighted);
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  buildPolicy,
+  getEffectiveDeadline,
+  evaluateTiming,
+  calculateFinalScore,
+};
@@ -0,0 +1,125 @@
+const Project = require('../models/projectModel');
+const ProjectSubmission = require('../models/projectSubmissionModel');
+
+// Current version of each student's submission. Submissions made before
+// versioning have no isLatest flag and count as current.
+const LATEST_FILTER = { isActive: true, isLatest: { $ne: false } };
+
+// The version of each student's submission that counts toward rankings,
+// as last marked by the project rankings update
+const COUNTED_FILTER = { isActive: true, isCounted: { $ne: false } };
+
+const COUNTED_VERSIONS = ['latest', 'best'];
+
+/**
+ * Which version counts toward rankings, from the project's submission policy.
+ */
+const getCountedVersion = (project) => {
+  const countedVersion = project.submissionPolicy && project.submissionPolicy.countedVersion;
+  return COUNTED_VERSIONS.includes(countedVersion) ? countedVersion : 'latest';
+};
+
+/**
+ * One submission per student out of all their versions.
+ *
+ * 'latest' keeps the current version. 'best' keeps the graded version with
+ * the highest final score, falling back to the current one while nothing
+ * has been graded.
+ *
+ * @param {Array}  submissions    Active versions of one project's submissions
+ * @param {string} countedVersion One of COUNTED_VERSIONS
+ * @returns {Array} The counted version for each student
+ */
+const pickCountedVersions = (submissions, countedVersion = 'latest') => {
+  const byStudent = new Map();
+  submissions.forEach(submission => {
+    const key = (submission.student?._id || submission.student).toString();
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(submission);
+  });
+
+  return [...byStudent.values()].map(versions => {
+    const latest = versions.find(version => version.isLatest !== false)
+      || versions.reduce((newest, version) => ((version.version || 1) > (newest.version || 1) ? version : newest));
+
+    if (countedVersion !== 'best') return latest;
+
+    const graded = versions.filter(version => version.finalScore !== null && version.finalScore !== undefined);
+    if (graded.length === 0) return latest;
+    return graded.reduce((best, version) => (version.finalScore > best.finalScore ? version : best));
+  });
+};
+
+/**
+ * Counted submissions of a project, one per student.
+ */
+const getCountedSubmissions = async (project) => {
+  const submissions = await ProjectSubmission.find({ project: project._id, isActive: true });
+  return pickCountedVersions(submissions, getCountedVersion(project));
+};
+
+/**
+ * All versions of the submission chain a submission belongs to, oldest first.
+ */
+const getVersionHistory = async (submission) => {
+  return ProjectSubmission.find({
+    project: submission.project._id || submission.project,
+    student: submission.student._id || submission.student,
+    isActive: true,
+  })
+    .populate('gradedBy', 'name email')
+    .populate('returnedBy', 'name email')
+    .sort({ version: 1 });
+};
+
+/**
+ * Rank a project's submissions by final score. Only the version the
+ * project's policy counts (latest or best) is ranked; the others are marked
+ * uncounted. Equal scores share a rank, so members of a team that were not
+ * separated by peer ratings rank together.
+ */
+const updateProjectRankings = async (projectId) => {
+  try {
+    const project = await Project.findById(projectId).select('submissionPolicy');
+    if (!project) return;
+
+    const submissions = await ProjectSubmission.find({ project: projectId, isActive: true });
+    const counted = pickCountedVersions(submissions, getCountedVersion(project));
+    const countedIds = new Set(counted.map(submission => submission._id.toString()));
+
+    const ranked = counted
+      .filter(submission => submission.finalScore !== null && submission.finalScore !== undefined)
+      .sort((a, b) => b.finalScore - a.finalScore);
+    const rankedIds = new Set(ranked.map(submission => submission._id.toString()));
+
+    for (let i = 0; i < ranked.length; i++) {
+      const rank = ranked.findIndex(submission => submission.finalScore === ranked[i].finalScore) + 1;
+      await ProjectSubmission.findByIdAndUpdate(ranked[i]._id, {
+        rank,
+        isCounted: true,
+      });
+    }
+
+    for (const submission of submissions) {
+      const id = submission._id.toString();
+      if (!countedIds.has(id)) {
+        await ProjectSubmission.findByIdAndUpdate(id, { rank: null, isCounted: false });
+      } else if (!rankedIds.has(id)) {
+        await ProjectSubmission.findByIdAndUpdate(id, { rank: null, isCounted: true });
+      }
+    }
+  } catch (error) {
+    console.error('Error updating rankings:', error);
+  }
+};
+
+module.exports = {
+  LATEST_FILTER,
+  COUNTED_FILTER,
+  COUNTED_VERSIONS,
+  getCountedVersion,
+  pickCountedVersions,
+  getCountedSubmissions,
+  getVersionHistory,
+  updateProjectRankings,
+};
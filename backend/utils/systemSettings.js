@@ -0,0 +1,119 @@
+const SystemSetting = require('../models/systemSettingModel');
+
+/**
+ * Registry of known settings with their defaults and allowed values.
+ * A setting only needs a database document once an admin changes it;
+ * until then the default below is used.
+ */
+const DEFAULT_SETTINGS = {
+  attendance: {
+    excusedPolicy: {
+      value: 'exclude',
+      allowedValues: ['exclude', 'present', 'absent'],
+      description: 'How excused (approved leave) days count in attendance percentages: ' +
+        '"exclude" removes them from the total, "present" counts them as attended, ' +
+        '"absent" counts them as missed',
+    },
+    lateEditDays: {
+      value: 7,
+      min: 0,
+      max: 365,
+      description: 'Attendance marked or changed more than this many days after the session ' +
+        'is flagged in the audit trail',
+    },
+  },
+  lab: {
+    seatHoldSeconds: {
+      value: 120,
+      min: 30,
+      max: 900,
+      description: 'How long a PC stays reserved for a user who has opened its booking form ' +
+        'before other users can book it',
+    },
+    noShowGraceMinutes: {
+      value: 60,
+      min: 0,
+      max: 1440,
+      description: 'Minutes after a time slot ends before its bookings are reconciled with attendance, ' +
+        'giving teachers time to mark it',
+    },
+    noShowPriorityThreshold: {
+      value: 0,
+      min: 0,
+      max: 50,
+      description: 'Students with at least this many unexcused no-shows in the no-show window are seated ' +
+        'last by batch allocation and flagged when booked. 0 turns this off',
+    },
+    noShowWindowDays: {
+      value: 30,
+      min: 1,
+      max: 365,
+      description: 'How many days back no-shows count towards losing booking priority',
+    },
+  },
+  certificates: {
+    minAttendance: {
+      value: 75,
+      min: 0,
+      max: 100,
+      description: 'Minimum attendance percentage a student needs for a course certificate',
+    },
+    minProjectScore: {
+      value: 40,
+      min: 0,
+      max: 100,
+      description: "Minimum final score on the batch's final project for a course certificate, " +
+        "as a percentage of the project's maximum score. " +
+        'Batches without a project skip this check',
+    },
+  },
+};
+
+const getSettingDefinition = (category, key) =>
+  (DEFAULT_SETTINGS[category] && DEFAULT_SETTINGS[category][key]) || null;
+
+/**
+ * Validate a value against a setting definition.
+ * Returns an error message, or null when the value is acceptable.
+ */
+const validateSettingValue = (definition, value) => {
+  if (value === undefined || value === null) {
+    return 'Setting value is required';
+  }
+  if (definition.allowedValues && !definition.allowedValues.includes(value)) {
+    return `Value must be one of: ${definition.allowedValues.join(', ')}`;
+  }
+  if (typeof definition.value === 'number' && (typeof value !== 'number' || Number.isNaN(value))) {
+    return 'Value must be a number';
+  }
+  if (typeof definition.value === 'boolean' && typeof value !== 'boolean') {
+    return 'Value must be true or false';
+  }
+  if (definition.min !== undefined && value < definition.min) {
+    return `Value must be at least ${definition.min}`;
+  }
+  if (definition.max !== undefined && value > definition.max) {
+    return `Value must be at most ${definition.max}`;
+  }
+  return null;
+};
+
+/**
+ * Read the effective value of a setting, falling back to its default.
+ */
+const getSetting = async (category, key) => {
+  const setting = await SystemSetting.findOne({ category, key }).select('value').lean();
+  if (setting) {
+    return setting.value;
+  }
+
+  const definition = getSettingDefinition(category, key);
+  return definition ? definition.value : undefined;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettingDefinition,
+  validateSettingValue,
+  getSetting,
+};
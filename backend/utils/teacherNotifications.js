@@ -0,0 +1,39 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const { schedulePublish } = require('./notificationDelivery');
+
+/**
+ * Post a dashboard notification to specific teachers and email them, through
+ * the job queue. Used for system-generated notices (e.g. bookings cancelled
+ * by PC maintenance). Delivery happens after this returns, and email
+ * failures are recorded per recipient on the notification, so the action
+ * that triggered the notice still succeeds.
+ *
+ * @param {Object} options - { teacherIds, title, message, type, priority, createdBy }
+ * @returns {Promise<Object|null>} The notification, or null when nobody is left to notify
+ */
+const notifyTeachers = async ({ teacherIds, title, message, type = 'info', priority = 'medium', createdBy }) => {
+  const ids = [...new Set((teacherIds || []).filter(Boolean).map(id => id.toString()))];
+  const teachers = await User.find({ _id: { $in: ids }, role: { $in: ['teacher', 'admin'] }, active: true })
+    .select('_id');
+  if (teachers.length === 0) return null;
+
+  const notification = await Notification.create({
+    title: title.slice(0, 200),
+    message: message.slice(0, 2000),
+    type,
+    priority,
+    targetAudience: 'specific_teachers',
+    targetTeachers: teachers.map(teacher => teacher._id),
+    status: 'scheduled',
+    scheduledFor: new Date(),
+    createdBy,
+  });
+
+  await schedulePublish(notification);
+  return notification;
+};
+
+module.exports = {
+  notifyTeachers,
+};
@@ -0,0 +1,156 @@
+const LabInfo = require('../models/labInfoModel');
+
+// Slots used before they became configurable; seeded into a new LabInfo
+const DEFAULT_TIME_SLOTS = [
+  { name: 'Morning 1', startTime: '09:00', endTime: '10:30' },
+  { name: 'Morning 2', startTime: '10:30', endTime: '12:00' },
+  { name: 'Midday', startTime: '12:00', endTime: '13:30' },
+  { name: 'Afternoon', startTime: '14:00', endTime: '15:30' },
+  { name: 'Late Afternoon', startTime: '15:30', endTime: '17:00' },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// "14:00" -> "02:00 PM"
+const to12Hour = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${String(displayHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${period}`;
+};
+
+// "02:00 PM" -> "14:00"
+const to24Hour = (time) => {
+  const match = String(time).trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!match) return null;
+  let hours = Number(match[1]) % 12;
+  if (match[3].toUpperCase() === 'PM') hours += 12;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+/**
+ * Label of a slot, e.g. "09:00 AM - 10:30 AM". Batches and bookings store
+ * this label, so it doubles as the slot's id in the API.
+ */
+const formatSlotLabel = ({ startTime, endTime }) => `${to12Hour(startTime)} - ${to12Hour(endTime)}`;
+
+/**
+ * Start and end times of a slot label, or null when it cannot be read.
+ */
+const parseSlotLabel = (label) => {
+  const [start, end] = String(label || '').split(' - ');
+  const startTime = start && to24Hour(start);
+  const endTime = end && to24Hour(end);
+  return startTime && endTime ? { startTime, endTime } : null;
+};
+
+const serializeSlot = (slot) => ({
+  _id: slot._id,
+  id: formatSlotLabel(slot),
+  label: formatSlotLabel(slot),
+  name: slot.name,
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  duration: toMinutes(slot.endTime) - toMinutes(slot.startTime),
+  isActive: slot.isActive !== false,
+});
+
+/**
+ * The institute's LabInfo document, created with defaults on first use.
+ */
+const getLabInfoDocument = async () => {
+  let labInfo = await LabInfo.findOne({});
+
+  if (!labInfo) {
+    labInfo = await LabInfo.create({
+      instituteName: 'CADD Centre',
+      labName: 'Computer Lab',
+      address: {
+        city: 'Your City',
+        state: 'Your State',
+        country: 'India'
+      },
+      contact: {
+        phone: '+91-XXXXXXXXXX',
+        email: 'info@caddcentre.com'
+      },
+      capacity: {
+        totalPCs: 0,
+        totalRows: 4
+      },
+      timeSlots: DEFAULT_TIME_SLOTS.map(slot => ({
+        ...slot,
+        duration: toMinutes(slot.endTime) - toMinutes(slot.startTime),
+      })),
+    });
+  }
+
+  return labInfo;
+};
+
+/**
+ * Institute time slots in start time order. Inactive slots are only
+ * included on request (they still label older batches and bookings).
+ */
+const getTimeSlots = async ({ includeInactive = false } = {}) => {
+  const labInfo = await getLabInfoDocument();
+  return labInfo.timeSlots
+    .filter(slot => includeInactive || slot.isActive !== false)
+    .map(serializeSlot)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+};
+
+/**
+ * Find a slot by its _id or label.
+ */
+const findTimeSlot = async (value, options = { includeInactive: true }) => {
+  if (!value) return null;
+  const slots = await getTimeSlots(options);
+  return slots.find(slot => slot._id.toString() === String(value) || slot.label === value) || null;
+};
+
+/**
+ * Validate a submitted list of slots. Returns an error message or null.
+ */
+const validateTimeSlots = (slots) => {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return 'Please define at least one time slot';
+  }
+
+  const labels = new Set();
+  for (const slot of slots) {
+    if (!slot.name || !slot.name.trim()) {
+      return 'Every time slot needs a name';
+    }
+    if (!TIME_PATTERN.test(slot.startTime || '') || !TIME_PATTERN.test(slot.endTime || '')) {
+      return `Times of "${slot.name}" must be in HH:mm format`;
+    }
+    if (toMinutes(slot.endTime) <= toMinutes(slot.startTime)) {
+      return `"${slot.name}" must end after it starts`;
+    }
+    const label = formatSlotLabel(slot);
+    if (labels.has(label)) {
+      return `More than one slot runs ${label}`;
+    }
+    labels.add(label);
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIME_SLOTS,
+  toMinutes,
+  formatSlotLabel,
+  parseSlotLabel,
+  serializeSlot,
+  getLabInfoDocument,
+  getTimeSlots,
+  findTimeSlot,
+  validateTimeSlots,
+};
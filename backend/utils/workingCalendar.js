@@ -0,0 +1,177 @@
+const Holiday = require('../models/holidayModel');
+const Course = require('../models/courseModel');
+const Batch = require('../models/batchModel');
+
+/**
+ * Local YYYY-MM-DD key for a date (attendance dates are stored at local midnight).
+ */
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Whether a holiday entry closes the institute (or its department) on `day`
+const appliesOn = (holiday, day) => {
+  if (holiday.type === 'weekly_off') {
+    if (day.getDay() !== holiday.weekday) return false;
+    if (holiday.effectiveFrom && day < startOfDay(holiday.effectiveFrom)) return false;
+    if (holiday.effectiveUntil && day > holiday.effectiveUntil) return false;
+    return true;
+  }
+
+  return day >= holiday.startDate && day <= holiday.endDate;
+};
+
+/**
+ * Build a calendar from holiday entries. When `departmentId` is given, that
+ * department's entries apply on top of the institute-wide ones; otherwise only
+ * institute-wide entries are used.
+ */
+const buildWorkingCalendar = (holidays, departmentId = null) => {
+  const deptKey = departmentId ? departmentId.toString() : null;
+  const entries = holidays.filter(holiday => {
+    const holidayDept = holiday.department?._id || holiday.department;
+    return !holidayDept || (deptKey && holidayDept.toString() === deptKey);
+  });
+
+  // One-off closures take precedence over weekly offs when describing a day
+  const ordered = [
+    ...entries.filter(entry => entry.type === 'closure'),
+    ...entries.filter(entry => entry.type === 'weekly_off'),
+  ];
+
+  const getClosure = (date) => {
+    const day = startOfDay(date);
+    return ordered.find(entry => appliesOn(entry, day)) || null;
+  };
+
+  const isWorkingDay = (date) => !getClosure(date);
+
+  const eachDay = (startDate, endDate, callback) => {
+    for (let d = startOfDay(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+      callback(new Date(d));
+    }
+  };
+
+  const getWorkingDays = (startDate, endDate) => {
+    const days = [];
+    eachDay(startDate, endDate, day => {
+      if (isWorkingDay(day)) days.push(day);
+    });
+    return days;
+  };
+
+  const getClosedDays = (startDate, endDate) => {
+    const days = [];
+    eachDay(startDate, endDate, day => {
+      const closure = getClosure(day);
+      if (closure) {
+        days.push({
+          date: toDateKey(day),
+          name: closure.name,
+          type: closure.type,
+          department: closure.department || null,
+        });
+      }
+    });
+    return days;
+  };
+
+  return {
+    entries,
+    getClosure,
+    isWorkingDay,
+    getWorkingDays,
+    getClosedDays,
+    countWorkingDays: (startDate, endDate) => getWorkingDays(startDate, endDate).length,
+  };
+};
+
+/**
+ * Active holiday entries that may affect the given period (all departments).
+ */
+const loadHolidays = ({ startDate, endDate } = {}) => {
+  const closureFilter = { type: 'closure' };
+  if (startDate) closureFilter.endDate = { $gte: startOfDay(startDate) };
+  if (endDate) closureFilter.startDate = { $lte: endDate };
+
+  return Holiday.find({
+    isActive: true,
+    $or: [{ type: 'weekly_off' }, closureFilter],
+  }).lean();
+};
+
+/**
+ * Load the working calendar for a period, optionally for one department.
+ */
+const getWorkingCalendar = async ({ startDate, endDate, departmentId } = {}) => {
+  const holidays = await loadHolidays({ startDate, endDate });
+  return buildWorkingCalendar(holidays, departmentId);
+};
+
+/**
+ * Department of a batch via its course; accepts populated or unpopulated batches.
+ */
+const getBatchDepartmentId = async (batch) => {
+  const course = batch.course;
+  if (course && course.department !== undefined) {
+    return course.department?._id || course.department || null;
+  }
+
+  const found = await Course.findById(course?._id || course).select('department').lean();
+  return found ? found.department : null;
+};
+
+/**
+ * Keep only attendance records that fall on working days for their batch's
+ * department. Records marked on a day that was later closed are left out of
+ * statistics.
+ */
+const filterWorkingDayRecords = async (records, { startDate, endDate } = {}) => {
+  if (records.length === 0) return records;
+
+  const holidays = await loadHolidays({ startDate, endDate });
+  if (holidays.length === 0) return records;
+
+  const batchKey = record => (record.batch?._id || record.batch).toString();
+  const batchIds = [...new Set(records.map(batchKey))];
+  const batches = await Batch.find({ _id: { $in: batchIds } })
+    .select('course')
+    .populate('course', 'department')
+    .lean();
+
+  // One calendar per department, shared by its batches
+  const instituteCalendar = buildWorkingCalendar(holidays);
+  const departmentCalendars = new Map();
+  const batchCalendars = new Map();
+  batches.forEach(batch => {
+    const departmentId = batch.course?.department || null;
+    const key = departmentId ? departmentId.toString() : '';
+    if (!departmentCalendars.has(key)) {
+      departmentCalendars.set(key, buildWorkingCalendar(holidays, departmentId));
+    }
+    batchCalendars.set(batch._id.toString(), departmentCalendars.get(key));
+  });
+
+  return records.filter(record => {
+    const calendar = batchCalendars.get(batchKey(record)) || instituteCalendar;
+    return calendar.isWorkingDay(record.date);
+  });
+};
+
+module.exports = {
+  toDateKey,
+  buildWorkingCalendar,
+  loadHolidays,
+  getWorkingCalendar,
+  getBatchDepartmentId,
+  filterWorkingDayRecords,
+};
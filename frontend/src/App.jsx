@@ -5,6 +5,7 @@ import { useAuth } from './context/AuthContext'
 // Components
 import SplashScreen from './components/SplashScreen'
 import OfflineIndicator from './components/OfflineIndicator'
+import UpdateNotice from './components/UpdateNotice'
 
 // Layouts
 import AuthLayout from './layouts/AuthLayout'
@@ -48,10 +49,13 @@ import LabOverviewFixed from './pages/admin/LabOverviewFixed'
 import LabManagementSimple from './pages/admin/lab/LabManagementSimple'
 
 import LabBooking from './pages/admin/lab/LabBooking'
+import TimeSlotSettings from './pages/admin/lab/TimeSlotSettings'
 import AdminPCForm from './pages/admin/lab/PCForm'
 import AdminPCList from './pages/admin/lab/PCList'
 import AdminLabControl from './pages/admin/lab/LabControl'
 import AdminMaintenancePage from './pages/admin/lab/MaintenancePage'
+import NoShowReport from './pages/admin/lab/NoShowReport'
+import LabUtilization from './pages/admin/lab/LabUtilization'
 
 import BatchesList from './pages/teacher/batches/BatchesList'
 import AdminBatchesList from './pages/admin/batches/AdminBatchesList'
@@ -76,6 +80,11 @@ import AttendanceDashboard from './pages/teacher/attendance/AttendanceDashboard'
 import AttendanceCalendar from './pages/teacher/attendance/AttendanceCalendar'
 import AttendanceForm from './pages/teacher/attendance/AttendanceForm'
 import AttendanceReport from './pages/teacher/attendance/AttendanceReport'
+import LeaveRequests from './pages/teacher/attendance/LeaveRequests'
+import HolidayCalendar from './pages/admin/holidays/HolidayCalendar'
+import AuditTrail from './pages/admin/audit/AuditTrail'
+import AbsenceAlerts from './pages/admin/alerts/AbsenceAlerts'
+import BatchCertificates from './pages/teacher/batches/BatchCertificates'
 import TeacherBatchAttendanceDetails from './pages/teacher/attendance/TeacherBatchAttendanceDetails'
 import AdminAttendanceReport from './pages/admin/attendance/AdminAttendanceReport'
 
@@ -95,6 +104,16 @@ import SimpleAdminProjects from './pages/admin/projects/SimpleAdminProjects'
 import SimpleAdminProjectEdit from './pages/admin/projects/SimpleAdminProjectEdit'
 import RoleBasedProjectRoutes from './components/routing/RoleBasedProjectRoutes'
 
+// Student Portal Pages
+import StudentDashboard from './pages/student/StudentDashboard'
+import StudentAttendance from './pages/student/StudentAttendance'
+import StudentLabBookings from './pages/student/StudentLabBookings'
+import StudentLeaveRequests from './pages/student/StudentLeaveRequests'
+import StudentCertificates from './pages/student/StudentCertificates'
+
+// Public Pages
+import VerifyCertificate from './pages/public/VerifyCertificate'
+
 function App() {
   const { user, loading } = useAuth()
   const [showSplash, setShowSplash] = useState(() => {
@@ -132,6 +151,7 @@ function App() {
         {/* Public Routes */}
         <Route element={<AuthLayout />}>
           <Route path="/login" element={!user ? <Login /> : <Navigate to="/" replace />} />
+          <Route path="/verify/:serialNumber?" element={<VerifyCertificate />} />
         </Route>
 
         {/* Admin Routes */}
@@ -183,6 +203,10 @@ function App() {
           <Route path="attendance/reports" element={<AdminAttendanceReport />} />
           <Route path="attendance/calendar" element={<AttendanceCalendar />} />
           <Route path="attendance/report" element={<AdminAttendanceReport />} />
+          <Route path="leave-requests" element={<LeaveRequests />} />
+          <Route path="holidays" element={<HolidayCalendar />} />
+          <Route path="audit" element={<AuditTrail />} />
+          <Route path="alerts" element={<AbsenceAlerts />} />
           <Route path="batches" element={<AdminBatchesList />} />
           <Route path="batches/new" element={<AdminBatchForm />} />
           <Route path="batches/:id/edit" element={<AdminBatchForm />} />
@@ -192,13 +216,17 @@ function App() {
           <Route path="batches/:id/students/:studentId/edit" element={<StudentForm />} />
           <Route path="batches/:id/attendance" element={<AttendanceForm />} />
           <Route path="batches/:id/attendance/report" element={<AttendanceReport />} />
+          <Route path="batches/:id/certificates" element={<BatchCertificates />} />
           <Route path="lab" element={<LabOverview />} />
           <Route path="lab/fixed" element={<LabOverviewFixed />} />
           <Route path="lab/management-simple" element={<LabManagementSimple />} />
 
           <Route path="lab/booking" element={<LabBooking />} />
+          <Route path="lab/time-slots" element={<TimeSlotSettings />} />
           <Route path="lab/control" element={<AdminLabControl />} />
           <Route path="lab/maintenance" element={<AdminMaintenancePage />} />
+          <Route path="lab/no-shows" element={<NoShowReport />} />
+          <Route path="lab/utilization" element={<LabUtilization />} />
           <Route path="lab/pcs" element={<AdminPCList />} />
           <Route path="lab/pcs/new" element={<AdminPCForm />} />
           <Route path="lab/pcs/:id/edit" element={<AdminPCForm />} />
@@ -223,23 +251,39 @@ function App() {
             user ? <TeacherLayout /> : <Navigate to="/login" replace />
           }
         >
-          <Route index element={<TeacherDashboard />} />
           <Route path="profile" element={<TeacherProfile />} />
-          <Route path="attendance" element={<AttendancePage />} />
-          <Route path="attendance/calendar" element={<AttendanceCalendar />} />
 
-          <Route path="students" element={<TeacherStudentsList />} />
-          <Route path="lab-availability" element={<LabAvailability />} />
-          <Route path="batches" element={<BatchesList />} />
-          <Route path="batches/new" element={<BatchForm />} />
-          <Route path="batches/:id/edit" element={<BatchForm />} />
-          <Route path="batches/:id" element={<BatchDetails />} />
-          <Route path="batches/:id/students" element={<BatchStudents />} />
-          <Route path="batches/:id/students/new" element={<StudentForm />} />
-          <Route path="batches/:id/students/:studentId/edit" element={<StudentForm />} />
-          <Route path="batches/:id/attendance" element={<AttendanceForm />} />
-          <Route path="batches/:id/attendance/details" element={<TeacherBatchAttendanceDetails />} />
-          <Route path="batches/:id/attendance/report" element={<AttendanceReport />} />
+          {user?.role === 'student' ? (
+            <>
+              {/* Student Portal Routes */}
+              <Route index element={<StudentDashboard />} />
+              <Route path="attendance" element={<StudentAttendance />} />
+              <Route path="lab-bookings" element={<StudentLabBookings />} />
+              <Route path="leave" element={<StudentLeaveRequests />} />
+              <Route path="certificates" element={<StudentCertificates />} />
+            </>
+          ) : (
+            <>
+              <Route index element={<TeacherDashboard />} />
+              <Route path="attendance" element={<AttendancePage />} />
+              <Route path="attendance/calendar" element={<AttendanceCalendar />} />
+              <Route path="leave-requests" element={<LeaveRequests />} />
+
+              <Route path="students" element={<TeacherStudentsList />} />
+              <Route path="lab-availability" element={<LabAvailability />} />
+              <Route path="batches" element={<BatchesList />} />
+              <Route path="batches/new" element={<BatchForm />} />
+              <Route path="batches/:id/edit" element={<BatchForm />} />
+              <Route path="batches/:id" element={<BatchDetails />} />
+              <Route path="batches/:id/students" element={<BatchStudents />} />
+              <Route path="batches/:id/students/new" element={<StudentForm />} />
+              <Route path="batches/:id/students/:studentId/edit" element={<StudentForm />} />
+              <Route path="batches/:id/attendance" element={<AttendanceForm />} />
+              <Route path="batches/:id/attendance/details" element={<TeacherBatchAttendanceDetails />} />
+              <Route path="batches/:id/attendance/report" element={<AttendanceReport />} />
+              <Route path="batches/:id/certificates" element={<BatchCertificates />} />
+            </>
+          )}
 
           {/* Role-Based Project Routes */}
           <Route path="projects/*" element={<RoleBasedProjectRoutes />} />
@@ -264,6 +308,9 @@ function App() {
 
       {/* Offline indicator - only show when user is logged in */}
       {user && <OfflineIndicator />}
+
+      {/* New app version installed by the service worker */}
+      <UpdateNotice />
     </>
   )
 }
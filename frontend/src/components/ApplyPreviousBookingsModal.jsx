@@ -10,6 +10,7 @@ import {
   ArrowPathIcon
 } from '@heroicons/react/24/outline'
 import { formatDateLong } from '../utils/dateUtils'
+import { useTimeSlots } from '../utils/timeSlots'
 
 const ApplyPreviousBookingsModal = ({ 
   isOpen, 
@@ -21,13 +22,7 @@ const ApplyPreviousBookingsModal = ({
 }) => {
   const [showDetails, setShowDetails] = useState(false)
 
-  const timeSlots = [
-    '09:00 AM - 10:30 AM',
-    '10:30 AM - 12:00 PM',
-    '12:00 PM - 01:30 PM',
-    '02:00 PM - 03:30 PM',
-    '03:30 PM - 05:00 PM'
-  ]
+  const timeSlots = useTimeSlots().map(slot => slot.id)
 
   const getTimeSlotLabel = (slot) => {
     const [start, end] = slot.split('-')
@@ -0,0 +1,318 @@
+import { useState, useEffect } from 'react'
+import { Dialog } from '@headlessui/react'
+import {
+  XMarkIcon,
+  UserGroupIcon,
+  ExclamationTriangleIcon,
+  ComputerDesktopIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { allocationAPI } from '../services/labAPI'
+import { batchesAPI } from '../services/api'
+
+const BatchAllocationModal = ({ isOpen, onClose, timeSlots, defaultDate, defaultTimeSlot, onChange }) => {
+  const [batches, setBatches] = useState([])
+  const [form, setForm] = useState({ batch: '', date: defaultDate, timeSlot: defaultTimeSlot || '' })
+  const [plan, setPlan] = useState(null)
+  // Seats left out of the plan before it is committed, by student id
+  const [removed, setRemoved] = useState([])
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchBatches()
+      setForm({ batch: '', date: defaultDate, timeSlot: defaultTimeSlot || '' })
+      setPlan(null)
+      setResult(null)
+      setRemoved([])
+    }
+  }, [isOpen])
+
+  const fetchBatches = async () => {
+    try {
+      const res = await batchesAPI.getBatches()
+      setBatches((res.data || []).filter(batch => !batch.isFinished))
+    } catch (error) {
+      setBatches([])
+    }
+  }
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+    setPlan(null)
+    setResult(null)
+  }
+
+  const handlePreview = async () => {
+    if (!form.batch || !form.date || !form.timeSlot) {
+      toast.error('Please select a batch, date and time slot')
+      return
+    }
+    try {
+      setLoading(true)
+      const data = await allocationAPI.previewAllocation(form)
+      setPlan(data)
+      setRemoved([])
+      setResult(null)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to build seating plan')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleSeat = (studentId) => {
+    setRemoved(prev => prev.includes(studentId) ? prev.filter(id => id !== studentId) : [...prev, studentId])
+  }
+
+  const handleCommit = async () => {
+    const seats = plan.seats
+      .filter(seat => !removed.includes(seat.student._id))
+      .map(seat => ({ student: seat.student._id, pc: seat.pc._id }))
+
+    if (seats.length === 0) {
+      toast.error('No seats selected')
+      return
+    }
+
+    try {
+      setLoading(true)
+      const data = await allocationAPI.commitAllocation({ ...form, seats })
+      setResult(data)
+      setPlan(null)
+      if (data.failed.length > 0) {
+        toast.error(data.message)
+      } else {
+        toast.success(data.message)
+      }
+      data.warnings?.forEach(warning => {
+        toast(warning.message, { icon: '⚠️', duration: 6000 })
+      })
+      onChange?.()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to book seats')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Seats grouped by lab row for the seating plan view
+  const seatsByRow = (plan?.seats || []).reduce((rows, seat) => {
+    rows[seat.pc.row] = rows[seat.pc.row] || []
+    rows[seat.pc.row].push(seat)
+    return rows
+  }, {})
+
+  const requirementLabels = plan ? [
+    ...plan.requirements.software.map(item => item.version ? `${item.name} ${item.version}+` : item.name),
+    ...(plan.requirements.minRamGB ? [`${plan.requirements.minRamGB} GB RAM`] : []),
+    ...(plan.requirements.dedicatedGraphics ? ['Dedicated graphics'] : [])
+  ] : []
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30 backdrop-blur-sm" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-4xl w-full max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-2xl">
+          <div className="p-6">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center">
+                <div className="w-10 h-10 bg-green-100 rounded-lg flex items-center justify-center">
+                  <UserGroupIcon className="h-6 w-6 text-green-600" />
+                </div>
+                <div className="ml-4">
+                  <Dialog.Title as="h3" className="text-xl font-bold leading-6 text-gray-900">
+                    Allocate PCs to a Batch
+                  </Dialog.Title>
+                  <p className="mt-1 text-sm text-gray-600">
+                    Seat every student on a free PC that meets the course requirements
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                className="rounded-md bg-white text-gray-400 hover:text-gray-500"
+                onClick={onClose}
+              >
+                <span className="sr-only">Close</span>
+                <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className="form-label">Batch</label>
+                <select
+                  value={form.batch}
+                  onChange={(e) => handleChange('batch', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="">Select batch</option>
+                  {batches.map(batch => (
+                    <option key={batch._id} value={batch._id}>{batch.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Date</label>
+                <input
+                  type="date"
+                  value={form.date}
+                  onChange={(e) => handleChange('date', e.target.value)}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label className="form-label">Time Slot</label>
+                <select
+                  value={form.timeSlot}
+                  onChange={(e) => handleChange('timeSlot', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="">Select time slot</option>
+                  {timeSlots.map(slot => (
+                    <option key={slot.id} value={slot.id}>{slot.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-end mb-6">
+              <button onClick={handlePreview} disabled={loading} className="btn-secondary">
+                {loading && !plan ? 'Planning...' : 'Preview Seating Plan'}
+              </button>
+            </div>
+
+            {plan && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+                  <div className="bg-gray-50 rounded-lg p-3">
+                    <div className="text-xl font-bold text-gray-900">{plan.summary.students}</div>
+                    <div className="text-xs text-gray-500">Students</div>
+                  </div>
+                  <div className="bg-green-50 rounded-lg p-3">
+                    <div className="text-xl font-bold text-green-700">{plan.summary.seated}</div>
+                    <div className="text-xs text-green-700">To be seated</div>
+                  </div>
+                  <div className="bg-blue-50 rounded-lg p-3">
+                    <div className="text-xl font-bold text-blue-700">{plan.summary.alreadySeated}</div>
+                    <div className="text-xs text-blue-700">Already booked</div>
+                  </div>
+                  <div className="bg-red-50 rounded-lg p-3">
+                    <div className="text-xl font-bold text-red-700">{plan.summary.unassigned}</div>
+                    <div className="text-xs text-red-700">Without a PC</div>
+                  </div>
+                </div>
+
+                {requirementLabels.length > 0 && (
+                  <div className="text-sm text-gray-600">
+                    <span className="font-medium">{plan.batch.course} needs:</span> {requirementLabels.join(', ')}
+                  </div>
+                )}
+
+                {/* Seating plan by row */}
+                {Object.keys(seatsByRow).sort().map(row => (
+                  <div key={row}>
+                    <div className="text-sm font-medium text-gray-700 mb-2">Row {row}</div>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                      {seatsByRow[row].map(seat => {
+                        const excluded = removed.includes(seat.student._id)
+                        return (
+                          <button
+                            key={seat.student._id}
+                            type="button"
+                            onClick={() => toggleSeat(seat.student._id)}
+                            title={excluded ? 'Click to include' : 'Click to leave out'}
+                            className={`text-left border rounded-lg p-2 transition-colors ${
+                              excluded ? 'border-gray-200 bg-gray-50 opacity-50' : 'border-green-200 bg-green-50 hover:bg-green-100'
+                            }`}
+                          >
+                            <div className="flex items-center text-xs text-gray-500">
+                              <ComputerDesktopIcon className="h-3 w-3 mr-1" />
+                              {seat.pc.pcNumber}
+                              {seat.warnings?.length > 0 && (
+                                <ExclamationTriangleIcon className="h-3 w-3 ml-1 text-yellow-600" title={seat.warnings.join(', ')} />
+                              )}
+                            </div>
+                            <div className={`text-sm font-medium text-gray-900 truncate ${excluded ? 'line-through' : ''}`}>
+                              {seat.student.name}
+                            </div>
+                            {seat.lowPriority && (
+                              <div className="text-xs text-orange-600">Repeat no-show</div>
+                            )}
+                          </button>
+                        )
+                      })}
+                    </div>
+                  </div>
+                ))}
+
+                {plan.unassigned.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm">
+                    <div className="font-medium text-red-700 mb-1">Students without a PC</div>
+                    <div className="text-red-600">
+                      {plan.unassigned.map(entry => entry.student.name).join(', ')}
+                    </div>
+                    {plan.unassigned.some(entry => entry.lowPriority) && (
+                      <div className="mt-1 text-xs text-red-500">
+                        Students with repeated no-shows were seated last
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {plan.excludedPCs.length > 0 && (
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-gray-600">
+                      {plan.excludedPCs.length} free PC{plan.excludedPCs.length === 1 ? '' : 's'} not suitable
+                    </summary>
+                    <ul className="mt-2 space-y-1 text-gray-600">
+                      {plan.excludedPCs.map(entry => (
+                        <li key={entry.pc._id}>
+                          <span className="font-medium">{entry.pc.pcNumber}</span>: {entry.reasons.join('; ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+
+                <div className="flex justify-end gap-3 pt-4 border-t border-gray-100">
+                  <button onClick={() => setPlan(null)} className="btn-secondary">
+                    Discard
+                  </button>
+                  <button
+                    onClick={handleCommit}
+                    disabled={loading || plan.seats.length === removed.length}
+                    className="btn-primary"
+                  >
+                    {loading ? 'Booking...' : `Book ${plan.seats.length - removed.length} PCs`}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {result && (
+              <div className="space-y-2 text-sm">
+                <div className="font-medium text-gray-900">{result.message}</div>
+                {result.failed.length > 0 && (
+                  <ul className="space-y-1 text-red-600">
+                    {result.failed.map(entry => (
+                      <li key={`${entry.student._id}-${entry.pc._id}`}>
+                        {entry.student.name || 'Student'} on {entry.pc.pcNumber || 'PC'}: {entry.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
+
+export default BatchAllocationModal
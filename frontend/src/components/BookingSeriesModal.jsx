@@ -0,0 +1,581 @@
+import { useState, useEffect } from 'react'
+import { Dialog } from '@headlessui/react'
+import {
+  XMarkIcon,
+  ArrowPathIcon,
+  CalendarDaysIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { bookingSeriesAPI } from '../services/labAPI'
+import { batchesAPI } from '../services/api'
+import { showConfirm } from '../utils/popup'
+import WeekdayPicker, { formatWeekdays } from './WeekdayPicker'
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+})
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0]
+
+const emptyForm = (startDate) => ({
+  batch: '',
+  student: '',
+  pc: '',
+  timeSlot: '',
+  weekdays: [],
+  startDate,
+  endDate: '',
+  purpose: 'Lab Session',
+  notes: ''
+})
+
+// Outcome of expanding a series: what was booked, skipped and in conflict
+const ExpansionReport = ({ report, preview }) => (
+  <div className="border border-gray-200 rounded-lg p-4 space-y-3 text-sm">
+    <div className="flex flex-wrap gap-4">
+      <span className="flex items-center text-green-700">
+        <CheckCircleIcon className="h-4 w-4 mr-1" />
+        {report.created.length} {preview ? 'to be booked' : 'booked'}
+      </span>
+      {report.existing > 0 && (
+        <span className="text-gray-600">{report.existing} already booked</span>
+      )}
+      <span className="text-yellow-700">{report.skipped.length} skipped</span>
+      <span className="text-red-700">{report.conflicts.length} conflicts</span>
+    </div>
+
+    {report.conflicts.length > 0 && (
+      <div>
+        <div className="font-medium text-red-700 mb-1">Conflicts</div>
+        <ul className="max-h-32 overflow-y-auto space-y-1">
+          {report.conflicts.map(conflict => (
+            <li key={conflict.date} className="text-red-600">
+              {formatDay(conflict.date)}: {conflict.reason}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {report.skipped.length > 0 && (
+      <div>
+        <div className="font-medium text-yellow-700 mb-1">Skipped</div>
+        <ul className="max-h-32 overflow-y-auto space-y-1">
+          {report.skipped.map(entry => (
+            <li key={entry.date} className="text-yellow-700">
+              {formatDay(entry.date)}: {entry.reason}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </div>
+)
+
+const BookingSeriesModal = ({ isOpen, onClose, pcs, timeSlots, defaultDate, onChange }) => {
+  const [tab, setTab] = useState('list')
+  const [seriesList, setSeriesList] = useState([])
+  const [batches, setBatches] = useState([])
+  const [students, setStudents] = useState([])
+  const [form, setForm] = useState(emptyForm(defaultDate))
+  const [report, setReport] = useState(null)
+  const [reportIsPreview, setReportIsPreview] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  // Inline "this and future occurrences" edit or cancel of one series
+  const [action, setAction] = useState(null)
+
+  const activePCs = pcs.filter(pc => pc.status === 'active')
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchSeries()
+      fetchBatches()
+      setForm(emptyForm(defaultDate))
+      setReport(null)
+      setAction(null)
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    if (!form.batch) {
+      setStudents([])
+      return
+    }
+    batchesAPI.getBatchStudents(form.batch)
+      .then(res => setStudents(res.data || []))
+      .catch(() => setStudents([]))
+  }, [form.batch])
+
+  const fetchSeries = async () => {
+    try {
+      setLoading(true)
+      const data = await bookingSeriesAPI.getSeries({ status: 'active' })
+      setSeriesList(Array.isArray(data) ? data : [])
+    } catch (error) {
+      toast.error('Failed to load recurring bookings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchBatches = async () => {
+    try {
+      const res = await batchesAPI.getBatches()
+      setBatches((res.data || []).filter(batch => !batch.isFinished))
+    } catch (error) {
+      setBatches([])
+    }
+  }
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value, ...(field === 'batch' ? { student: '' } : {}) }))
+    setReport(null)
+  }
+
+  const buildPayload = () => ({
+    pc: form.pc,
+    timeSlot: form.timeSlot,
+    weekdays: form.weekdays,
+    startDate: form.startDate,
+    endDate: form.endDate,
+    batch: form.batch,
+    student: form.student || undefined,
+    purpose: form.purpose,
+    notes: form.notes
+  })
+
+  const validateForm = () => {
+    if (!form.batch || !form.pc || !form.timeSlot || !form.startDate || !form.endDate) {
+      toast.error('Please fill in batch, PC, time slot and dates')
+      return false
+    }
+    if (form.weekdays.length === 0) {
+      toast.error('Select at least one weekday')
+      return false
+    }
+    return true
+  }
+
+  const handlePreview = async () => {
+    if (!validateForm()) return
+    try {
+      setSaving(true)
+      const data = await bookingSeriesAPI.previewSeries(buildPayload())
+      setReport(data.report)
+      setReportIsPreview(true)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview series')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCreate = async () => {
+    if (!validateForm()) return
+    try {
+      setSaving(true)
+      const data = await bookingSeriesAPI.createSeries(buildPayload())
+      setReport(data.report)
+      setReportIsPreview(false)
+      toast.success(data.message)
+      setForm(emptyForm(defaultDate))
+      fetchSeries()
+      onChange?.()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create series')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const startAction = (series, type) => {
+    const todayKey = toDateKey(new Date())
+    const startKey = toDateKey(series.startDate)
+    setReport(null)
+    setAction({
+      id: series._id,
+      type,
+      fromDate: startKey > todayKey ? startKey : todayKey,
+      pc: series.pc?._id || '',
+      timeSlot: series.timeSlot,
+      weekdays: series.weekdays,
+      endDate: toDateKey(series.endDate)
+    })
+  }
+
+  const handleApplyAction = async () => {
+    try {
+      setSaving(true)
+      if (action.type === 'cancel') {
+        const confirmed = await showConfirm(
+          `Cancel all occurrences from ${formatDay(action.fromDate)} onwards? Their bookings will be removed.`,
+          'Cancel Recurring Booking'
+        )
+        if (!confirmed) return
+        const data = await bookingSeriesAPI.cancelSeries(action.id, { fromDate: action.fromDate })
+        toast.success(data.message)
+      } else {
+        if (action.weekdays.length === 0) {
+          toast.error('Select at least one weekday')
+          return
+        }
+        const data = await bookingSeriesAPI.updateSeries(action.id, {
+          fromDate: action.fromDate,
+          pc: action.pc,
+          timeSlot: action.timeSlot,
+          weekdays: action.weekdays,
+          endDate: action.endDate
+        })
+        setReport(data.report)
+        setReportIsPreview(false)
+        toast.success(data.message)
+      }
+      setAction(null)
+      fetchSeries()
+      onChange?.()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update series')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleExpand = async (series) => {
+    try {
+      setSaving(true)
+      const data = await bookingSeriesAPI.expandSeries(series._id)
+      setReport(data.report)
+      setReportIsPreview(false)
+      toast.success(data.message)
+      fetchSeries()
+      onChange?.()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to refresh series')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30 backdrop-blur-sm" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-4xl w-full max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-2xl">
+          <div className="p-6">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center">
+                <div className="w-10 h-10 bg-purple-100 rounded-lg flex items-center justify-center">
+                  <ArrowPathIcon className="h-6 w-6 text-purple-600" />
+                </div>
+                <div className="ml-4">
+                  <Dialog.Title as="h3" className="text-xl font-bold leading-6 text-gray-900">
+                    Recurring Bookings
+                  </Dialog.Title>
+                  <p className="mt-1 text-sm text-gray-600">
+                    Book a PC on the same slot every week; holidays and PCs under maintenance are skipped
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                className="rounded-md bg-white text-gray-400 hover:text-gray-500"
+                onClick={onClose}
+              >
+                <span className="sr-only">Close</span>
+                <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+              </button>
+            </div>
+
+            {/* Tabs */}
+            <div className="flex border-b border-gray-200 mb-6">
+              {[{ id: 'list', label: 'Active Series' }, { id: 'new', label: 'New Series' }].map(item => (
+                <button
+                  key={item.id}
+                  onClick={() => { setTab(item.id); setReport(null); setAction(null) }}
+                  className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                    tab === item.id ? 'border-cadd-red text-cadd-red' : 'border-transparent text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+
+            {tab === 'new' && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Batch</label>
+                    <select
+                      value={form.batch}
+                      onChange={(e) => handleFormChange('batch', e.target.value)}
+                      className="form-input"
+                    >
+                      <option value="">Select batch</option>
+                      {batches.map(batch => (
+                        <option key={batch._id} value={batch._id}>{batch.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Student</label>
+                    <select
+                      value={form.student}
+                      onChange={(e) => handleFormChange('student', e.target.value)}
+                      className="form-input"
+                      disabled={!form.batch}
+                    >
+                      <option value="">Whole batch</option>
+                      {students.map(student => (
+                        <option key={student._id} value={student._id}>
+                          {student.name}{student.rollNo ? ` (${student.rollNo})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">PC</label>
+                    <select
+                      value={form.pc}
+                      onChange={(e) => handleFormChange('pc', e.target.value)}
+                      className="form-input"
+                    >
+                      <option value="">Select PC</option>
+                      {activePCs.map(pc => (
+                        <option key={pc._id} value={pc._id}>{pc.pcNumber} (Row {pc.row})</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Time Slot</label>
+                    <select
+                      value={form.timeSlot}
+                      onChange={(e) => handleFormChange('timeSlot', e.target.value)}
+                      className="form-input"
+                    >
+                      <option value="">Select time slot</option>
+                      {timeSlots.map(slot => (
+                        <option key={slot.id} value={slot.id}>{slot.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Start Date</label>
+                    <input
+                      type="date"
+                      value={form.startDate}
+                      onChange={(e) => handleFormChange('startDate', e.target.value)}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">End Date</label>
+                    <input
+                      type="date"
+                      value={form.endDate}
+                      min={form.startDate}
+                      onChange={(e) => handleFormChange('endDate', e.target.value)}
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="form-label">Repeat On</label>
+                  <WeekdayPicker value={form.weekdays} onChange={(value) => handleFormChange('weekdays', value)} />
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Purpose</label>
+                    <input
+                      type="text"
+                      value={form.purpose}
+                      onChange={(e) => handleFormChange('purpose', e.target.value)}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Notes</label>
+                    <input
+                      type="text"
+                      value={form.notes}
+                      onChange={(e) => handleFormChange('notes', e.target.value)}
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+
+                {report && <ExpansionReport report={report} preview={reportIsPreview} />}
+
+                <div className="flex justify-end gap-3">
+                  <button onClick={handlePreview} disabled={saving} className="btn-secondary">
+                    Preview
+                  </button>
+                  <button onClick={handleCreate} disabled={saving} className="btn-primary">
+                    {saving ? 'Saving...' : 'Create Series'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {tab === 'list' && (
+              <div className="space-y-4">
+                {report && <ExpansionReport report={report} />}
+
+                {loading ? (
+                  <div className="flex justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-cadd-red"></div>
+                  </div>
+                ) : seriesList.length === 0 ? (
+                  <div className="text-center py-8 text-gray-500">
+                    <CalendarDaysIcon className="h-10 w-10 mx-auto mb-2 text-gray-300" />
+                    No recurring bookings yet
+                  </div>
+                ) : (
+                  seriesList.map(series => (
+                    <div key={series._id} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                        <div>
+                          <div className="font-semibold text-gray-900">
+                            {series.bookedFor}
+                            {series.student && series.batch && (
+                              <span className="text-sm font-normal text-gray-500"> · {series.batch.name}</span>
+                            )}
+                          </div>
+                          <div className="text-sm text-gray-600">
+                            PC {series.pc?.pcNumber || '—'} · {series.timeSlot} · {formatWeekdays(series.weekdays)}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {formatDay(series.startDate)} – {formatDay(series.endDate)} · {series.upcomingBookings} upcoming
+                            {series.pc?.status && series.pc.status !== 'active' && (
+                              <span className="ml-2 inline-flex items-center text-yellow-700">
+                                <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+                                PC {series.pc.status}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleExpand(series)}
+                            disabled={saving}
+                            className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                            title="Create any missing bookings"
+                          >
+                            Refresh
+                          </button>
+                          <button
+                            onClick={() => startAction(series, 'edit')}
+                            className="px-3 py-1 text-sm border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => startAction(series, 'cancel')}
+                            className="px-3 py-1 text-sm border border-red-300 text-red-700 rounded-lg hover:bg-red-50"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+
+                      {action?.id === series._id && (
+                        <div className="mt-4 pt-4 border-t border-gray-100 space-y-4">
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                              <label className="form-label">
+                                {action.type === 'cancel' ? 'Cancel from' : 'Apply changes from'}
+                              </label>
+                              <input
+                                type="date"
+                                value={action.fromDate}
+                                min={toDateKey(new Date())}
+                                max={toDateKey(series.endDate)}
+                                onChange={(e) => setAction(prev => ({ ...prev, fromDate: e.target.value }))}
+                                className="form-input"
+                              />
+                              <p className="mt-1 text-xs text-gray-500">This and all future occurrences</p>
+                            </div>
+                            {action.type === 'edit' && (
+                              <div>
+                                <label className="form-label">End Date</label>
+                                <input
+                                  type="date"
+                                  value={action.endDate}
+                                  min={action.fromDate}
+                                  onChange={(e) => setAction(prev => ({ ...prev, endDate: e.target.value }))}
+                                  className="form-input"
+                                />
+                              </div>
+                            )}
+                          </div>
+
+                          {action.type === 'edit' && (
+                            <>
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                  <label className="form-label">PC</label>
+                                  <select
+                                    value={action.pc}
+                                    onChange={(e) => setAction(prev => ({ ...prev, pc: e.target.value }))}
+                                    className="form-input"
+                                  >
+                                    {pcs.map(pc => (
+                                      <option key={pc._id} value={pc._id}>
+                                        {pc.pcNumber} (Row {pc.row}){pc.status !== 'active' ? ` - ${pc.status}` : ''}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </div>
+                                <div>
+                                  <label className="form-label">Time Slot</label>
+                                  <select
+                                    value={action.timeSlot}
+                                    onChange={(e) => setAction(prev => ({ ...prev, timeSlot: e.target.value }))}
+                                    className="form-input"
+                                  >
+                                    {timeSlots.map(slot => (
+                                      <option key={slot.id} value={slot.id}>{slot.label}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                              </div>
+                              <div>
+                                <label className="form-label">Repeat On</label>
+                                <WeekdayPicker
+                                  value={action.weekdays}
+                                  onChange={(value) => setAction(prev => ({ ...prev, weekdays: value }))}
+                                />
+                              </div>
+                            </>
+                          )}
+
+                          <div className="flex justify-end gap-3">
+                            <button onClick={() => setAction(null)} className="btn-secondary">
+                              Back
+                            </button>
+                            <button onClick={handleApplyAction} disabled={saving} className="btn-primary">
+                              {action.type === 'cancel' ? 'Cancel Occurrences' : 'Save Changes'}
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
+
+export default BookingSeriesModal
@@ -10,6 +10,7 @@ import {
   ArrowPathIcon
 } from '@heroicons/react/24/outline'
 import { formatDateLong } from '../utils/dateUtils'
+import { useTimeSlots } from '../utils/timeSlots'
 
 const ClearBookedSlotsModal = ({ 
   isOpen, 
@@ -28,11 +29,7 @@ const ClearBookedSlotsModal = ({
 
   const timeSlots = [
     { value: 'all', label: 'All Time Slots' },
-    { value: '09:00 AM - 10:30 AM', label: '09:00 AM - 10:30 AM' },
-    { value: '10:30 AM - 12:00 PM', label: '10:30 AM - 12:00 PM' },
-    { value: '12:00 PM - 01:30 PM', label: '12:00 PM - 01:30 PM' },
-    { value: '02:00 PM - 03:30 PM', label: '02:00 PM - 03:30 PM' },
-    { value: '03:30 PM - 05:00 PM', label: '03:30 PM - 05:00 PM' }
+    ...useTimeSlots().map(slot => ({ value: slot.id, label: slot.label }))
   ]
 
   const handleConfirm = () => {
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { Dialog } from '@headlessui/react'
+import {
+  XMarkIcon,
+  CheckCircleIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { maintenanceAPI } from '../services/labAPI'
+
+const emptyPart = () => ({ name: '', quantity: 1, notes: '' })
+
+const CloseTicketModal = ({ isOpen, onClose, ticket, onClosed }) => {
+  const [resolution, setResolution] = useState('')
+  const [parts, setParts] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && ticket) {
+      setResolution('')
+      setParts(ticket.partsReplaced?.length ? ticket.partsReplaced.map(part => ({ ...emptyPart(), ...part })) : [])
+    }
+  }, [isOpen, ticket])
+
+  const updatePart = (index, field, value) => {
+    setParts(prev => prev.map((part, i) => i === index ? { ...part, [field]: value } : part))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!resolution.trim()) {
+      toast.error('Please describe the resolution')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const closed = await maintenanceAPI.closeTicket(ticket._id, {
+        resolution,
+        partsReplaced: parts.filter(part => part.name.trim())
+      })
+      toast.success(`${closed.ticketNumber} closed`)
+      onClosed?.(closed)
+      onClose()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to close ticket')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!ticket) return null
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30 backdrop-blur-sm" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-xl w-full max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-2xl">
+          <form onSubmit={handleSubmit} className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center">
+                <div className="w-10 h-10 bg-green-100 rounded-lg flex items-center justify-center">
+                  <CheckCircleIcon className="h-6 w-6 text-green-600" />
+                </div>
+                <div className="ml-4">
+                  <Dialog.Title as="h3" className="text-xl font-bold leading-6 text-gray-900">
+                    Close {ticket.ticketNumber}
+                  </Dialog.Title>
+                  <p className="mt-1 text-sm text-gray-600">
+                    PC {ticket.pc?.pcNumber} returns to service once no other ticket is open
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                className="rounded-md bg-white text-gray-400 hover:text-gray-500"
+                onClick={onClose}
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="form-label">Resolution</label>
+                <textarea
+                  value={resolution}
+                  onChange={(e) => setResolution(e.target.value)}
+                  rows={3}
+                  maxLength={1000}
+                  className="form-input"
+                  placeholder="What was done to fix the issue?"
+                  required
+                />
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="form-label mb-0">Parts Replaced</label>
+                  <button
+                    type="button"
+                    onClick={() => setParts(prev => [...prev, emptyPart()])}
+                    className="inline-flex items-center text-sm text-cadd-red hover:underline"
+                  >
+                    <PlusIcon className="h-4 w-4 mr-1" />
+                    Add part
+                  </button>
+                </div>
+                {parts.length === 0 ? (
+                  <p className="text-sm text-gray-500">No parts replaced</p>
+                ) : (
+                  <div className="space-y-2">
+                    {parts.map((part, index) => (
+                      <div key={index} className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={part.name}
+                          onChange={(e) => updatePart(index, 'name', e.target.value)}
+                          placeholder="Part (e.g. 8GB RAM)"
+                          className="form-input flex-1"
+                        />
+                        <input
+                          type="number"
+                          min="1"
+                          value={part.quantity}
+                          onChange={(e) => updatePart(index, 'quantity', e.target.value)}
+                          className="form-input w-20"
+                        />
+                        <input
+                          type="text"
+                          value={part.notes || ''}
+                          onChange={(e) => updatePart(index, 'notes', e.target.value)}
+                          placeholder="Notes"
+                          className="form-input flex-1"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setParts(prev => prev.filter((_, i) => i !== index))}
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <TrashIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="mt-6 flex justify-end space-x-3">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Closing...' : 'Close Ticket'}
+              </button>
+            </div>
+          </form>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
+
+export default CloseTicketModal
@@ -7,9 +7,11 @@ import {
   ClockIcon,
   CheckCircleIcon,
   XCircleIcon,
-  InformationCircleIcon
+  InformationCircleIcon,
+  ArrowsRightLeftIcon
 } from '@heroicons/react/24/outline'
 import { useOffline } from '../hooks/useOffline'
+import SyncConflictsModal from './SyncConflictsModal'
 
 const OfflineIndicator = () => {
   const {
@@ -20,16 +22,23 @@ const OfflineIndicator = () => {
     lastSyncFormatted,
     syncError,
     hasPendingOperations,
+    conflicts,
+    failedOperations,
+    hasSyncIssues,
+    updateSyncIssues,
     forceSync
   } = useOffline()
 
   const [showDetails, setShowDetails] = useState(false)
+  const [showConflicts, setShowConflicts] = useState(false)
 
-  // Don't show anything if online and no pending operations
-  if (isOnline && !hasPendingOperations && !isSyncing) {
+  // Don't show anything if online and nothing is waiting or needs review
+  if (isOnline && !hasPendingOperations && !isSyncing && !hasSyncIssues && !showConflicts) {
     return null
   }
 
+  const syncIssueCount = conflicts.length + failedOperations.length
+
   const handleForceSync = async () => {
     await forceSync()
   }
@@ -37,6 +46,7 @@ const OfflineIndicator = () => {
   const getStatusColor = () => {
     if (isOffline) return 'bg-red-500'
     if (isSyncing) return 'bg-blue-500'
+    if (hasSyncIssues) return 'bg-orange-500'
     if (hasPendingOperations) return 'bg-yellow-500'
     if (syncError) return 'bg-red-500'
     return 'bg-green-500'
@@ -45,6 +55,7 @@ const OfflineIndicator = () => {
   const getStatusIcon = () => {
     if (isOffline) return <ExclamationTriangleIcon className="h-4 w-4" />
     if (isSyncing) return <ArrowPathIcon className="h-4 w-4 animate-spin" />
+    if (hasSyncIssues) return <ArrowsRightLeftIcon className="h-4 w-4" />
     if (hasPendingOperations) return <ClockIcon className="h-4 w-4" />
     if (syncError) return <XCircleIcon className="h-4 w-4" />
     return <CheckCircleIcon className="h-4 w-4" />
@@ -53,6 +64,7 @@ const OfflineIndicator = () => {
   const getStatusText = () => {
     if (isOffline) return 'Offline'
     if (isSyncing) return 'Syncing...'
+    if (hasSyncIssues) return `${syncIssueCount} to review`
     if (hasPendingOperations) return `${pendingOperations} pending`
     if (syncError) return 'Sync failed'
     return 'Online'
@@ -121,6 +133,32 @@ const OfflineIndicator = () => {
               </div>
             )}
 
+            {/* Conflicts and failed changes */}
+            {hasSyncIssues && (
+              <div className="bg-orange-50 border border-orange-200 rounded-md p-3">
+                <div className="flex items-start space-x-2">
+                  <ArrowsRightLeftIcon className="h-4 w-4 text-orange-500 mt-0.5 flex-shrink-0" />
+                  <div className="flex-1">
+                    <p className="text-sm font-medium text-orange-800">Needs Review</p>
+                    <p className="text-sm text-orange-600 mt-1">
+                      {conflicts.length > 0 && `${conflicts.length} conflict${conflicts.length > 1 ? 's' : ''}`}
+                      {conflicts.length > 0 && failedOperations.length > 0 && ', '}
+                      {failedOperations.length > 0 && `${failedOperations.length} failed change${failedOperations.length > 1 ? 's' : ''}`}
+                    </p>
+                    <button
+                      onClick={() => {
+                        setShowDetails(false)
+                        setShowConflicts(true)
+                      }}
+                      className="mt-2 text-sm font-medium text-orange-700 hover:text-orange-900 underline"
+                    >
+                      Review conflicts
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Last sync time */}
             <div className="flex items-center justify-between">
               <span className="text-sm font-medium text-gray-700">Last Sync</span>
@@ -210,6 +248,14 @@ const OfflineIndicator = () => {
           onClick={() => setShowDetails(false)}
         />
       )}
+
+      <SyncConflictsModal
+        isOpen={showConflicts}
+        onClose={() => setShowConflicts(false)}
+        conflicts={conflicts}
+        failedOperations={failedOperations}
+        onChange={updateSyncIssues}
+      />
     </div>
   )
 }
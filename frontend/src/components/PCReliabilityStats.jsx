@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { WrenchScrewdriverIcon } from '@heroicons/react/24/outline'
+import { maintenanceAPI } from '../services/labAPI'
+
+const RANGES = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' }
+]
+
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '—'
+  if (hours >= 48) return `${Math.round(hours / 24)}d`
+  return `${hours}h`
+}
+
+// Per-PC downtime and reliability from maintenance tickets
+const PCReliabilityStats = () => {
+  const [days, setDays] = useState(90)
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchStats()
+  }, [days])
+
+  const fetchStats = async () => {
+    try {
+      setLoading(true)
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      setStats(await maintenanceAPI.getStats({ from: from.toISOString() }))
+    } catch (error) {
+      console.error('Error fetching reliability stats:', error)
+      setStats(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // PCs with tickets first, worst availability on top
+  const rows = (stats?.pcs || [])
+    .filter(row => row.tickets > 0 || row.downtimeHours > 0)
+    .sort((a, b) => a.availability - b.availability)
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center">
+          <WrenchScrewdriverIcon className="h-5 w-5 text-yellow-500 mr-2" />
+          <h3 className="text-lg font-medium text-gray-900">PC Reliability</h3>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="text-sm border-gray-300 rounded-md"
+          >
+            {RANGES.map(range => (
+              <option key={range.days} value={range.days}>Last {range.label}</option>
+            ))}
+          </select>
+          <Link to="/admin/lab/maintenance" className="text-sm text-cadd-red hover:underline">
+            Tickets
+          </Link>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="p-6 text-sm text-gray-500">Loading reliability stats...</div>
+      ) : !stats ? (
+        <div className="p-6 text-sm text-gray-500">Reliability stats are unavailable</div>
+      ) : (
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+            <div>
+              <p className="text-2xl font-semibold text-gray-900">{stats.summary.tickets}</p>
+              <p className="text-xs text-gray-500">Tickets</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-yellow-600">{stats.summary.openTickets}</p>
+              <p className="text-xs text-gray-500">Open</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-gray-900">{formatHours(stats.summary.downtimeHours)}</p>
+              <p className="text-xs text-gray-500">Total downtime</p>
+            </div>
+            <div>
+              <p className="text-2xl font-semibold text-gray-900">{formatHours(stats.summary.mtbfHours)}</p>
+              <p className="text-xs text-gray-500">Lab MTBF</p>
+            </div>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">No PC downtime in this period</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">PC</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Tickets</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Downtime</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500" title="Mean time between failures">MTBF</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500" title="Mean time to repair">MTTR</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Availability</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {rows.map(row => (
+                    <tr key={row.pc._id}>
+                      <td className="px-3 py-2 font-medium text-gray-900">
+                        {row.pc.pcNumber}
+                        {row.openTickets > 0 && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">open</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right">{row.tickets}</td>
+                      <td className="px-3 py-2 text-right">{formatHours(row.downtimeHours)}</td>
+                      <td className="px-3 py-2 text-right">{formatHours(row.mtbfHours)}</td>
+                      <td className="px-3 py-2 text-right">{formatHours(row.mttrHours)}</td>
+                      <td className={`px-3 py-2 text-right font-medium ${
+                        row.availability < 90 ? 'text-red-600' : row.availability < 98 ? 'text-yellow-600' : 'text-green-600'
+                      }`}>
+                        {row.availability}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PCReliabilityStats
@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react'
+import { Dialog } from '@headlessui/react'
+import {
+  XMarkIcon,
+  WrenchScrewdriverIcon,
+  ExclamationTriangleIcon,
+  CalendarDaysIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { maintenanceAPI } from '../services/labAPI'
+import { formatDateSimple } from '../utils/dateUtils'
+
+const CATEGORIES = ['hardware', 'software', 'network', 'peripheral', 'other']
+
+const emptyForm = (pcId = '') => ({
+  pc: pcId,
+  issue: '',
+  category: 'hardware',
+  priority: 'medium',
+  assignedTo: '',
+  bookingAction: 'cancel'
+})
+
+const ReportIssueModal = ({ isOpen, onClose, pcs, staff, defaultPcId, onCreated }) => {
+  const [form, setForm] = useState(emptyForm(defaultPcId))
+  const [preview, setPreview] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm(defaultPcId))
+      setPreview(null)
+    }
+  }, [isOpen, defaultPcId])
+
+  useEffect(() => {
+    if (isOpen && form.pc) {
+      fetchPreview(form.pc)
+    } else {
+      setPreview(null)
+    }
+  }, [isOpen, form.pc])
+
+  const fetchPreview = async (pcId) => {
+    try {
+      setPreviewLoading(true)
+      setPreview(await maintenanceAPI.getUpcomingBookings(pcId))
+    } catch (error) {
+      setPreview(null)
+      toast.error(error.response?.data?.message || 'Failed to load upcoming bookings')
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.pc || !form.issue.trim()) {
+      toast.error('Please select a PC and describe the issue')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const result = await maintenanceAPI.createTicket({
+        ...form,
+        assignedTo: form.assignedTo || null
+      })
+      const { ticket, bookingsCancelled, teachersNotified } = result
+      toast.success(
+        `${ticket.ticketNumber} opened` +
+        (bookingsCancelled ? ` · ${bookingsCancelled} booking${bookingsCancelled === 1 ? '' : 's'} cancelled` : '') +
+        (teachersNotified ? ` · ${teachersNotified} teacher${teachersNotified === 1 ? '' : 's'} notified` : '')
+      )
+      onCreated?.(result)
+      onClose()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to open ticket')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const bookings = preview?.bookings || []
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30 backdrop-blur-sm" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto max-w-2xl w-full max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-2xl">
+          <form onSubmit={handleSubmit} className="p-6">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center">
+                <div className="w-10 h-10 bg-yellow-100 rounded-lg flex items-center justify-center">
+                  <WrenchScrewdriverIcon className="h-6 w-6 text-yellow-600" />
+                </div>
+                <div className="ml-4">
+                  <Dialog.Title as="h3" className="text-xl font-bold leading-6 text-gray-900">
+                    Report PC Issue
+                  </Dialog.Title>
+                  <p className="mt-1 text-sm text-gray-600">
+                    Opens a maintenance ticket and takes the PC out of service
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                className="rounded-md bg-white text-gray-400 hover:text-gray-500"
+                onClick={onClose}
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label className="form-label">PC</label>
+                <select
+                  value={form.pc}
+                  onChange={(e) => handleChange('pc', e.target.value)}
+                  className="form-input"
+                  required
+                >
+                  <option value="">Select PC</option>
+                  {pcs.map(pc => (
+                    <option key={pc._id} value={pc._id}>
+                      {pc.pcNumber} (Row {pc.row}){pc.status !== 'active' ? ` – ${pc.status}` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Assign To</label>
+                <select
+                  value={form.assignedTo}
+                  onChange={(e) => handleChange('assignedTo', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="">Unassigned</option>
+                  {staff.map(user => (
+                    <option key={user._id} value={user._id}>{user.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Category</label>
+                <select
+                  value={form.category}
+                  onChange={(e) => handleChange('category', e.target.value)}
+                  className="form-input capitalize"
+                >
+                  {CATEGORIES.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Priority</label>
+                <select
+                  value={form.priority}
+                  onChange={(e) => handleChange('priority', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
+              </div>
+              <div className="sm:col-span-2">
+                <label className="form-label">Issue</label>
+                <textarea
+                  value={form.issue}
+                  onChange={(e) => handleChange('issue', e.target.value)}
+                  rows={3}
+                  maxLength={1000}
+                  className="form-input"
+                  placeholder="e.g. Monitor flickers, no display after boot"
+                  required
+                />
+              </div>
+            </div>
+
+            {/* Affected bookings */}
+            {form.pc && (
+              <div className="mt-6">
+                {previewLoading ? (
+                  <p className="text-sm text-gray-500">Checking upcoming bookings...</p>
+                ) : preview?.openTicket ? (
+                  <div className="flex items-start p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                    <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                    This PC already has an open ticket ({preview.openTicket.ticketNumber}).
+                  </div>
+                ) : bookings.length === 0 ? (
+                  <p className="text-sm text-gray-500">No upcoming bookings on this PC.</p>
+                ) : (
+                  <div className="border border-yellow-200 rounded-lg">
+                    <div className="px-4 py-3 bg-yellow-50 rounded-t-lg flex items-center text-sm font-medium text-yellow-800">
+                      <CalendarDaysIcon className="h-5 w-5 mr-2" />
+                      {bookings.length} upcoming booking{bookings.length === 1 ? '' : 's'} on this PC
+                    </div>
+                    <ul className="max-h-40 overflow-y-auto divide-y divide-gray-100 text-sm">
+                      {bookings.map(booking => (
+                        <li key={booking.booking} className="px-4 py-2 flex justify-between">
+                          <span>
+                            {formatDateSimple(booking.date)} · {booking.timeSlot} · {booking.studentName}
+                          </span>
+                          <span className="text-gray-500">{booking.batchName || booking.teacherName}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="px-4 py-3 border-t border-yellow-200 space-y-2 text-sm">
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="bookingAction"
+                          checked={form.bookingAction === 'cancel'}
+                          onChange={() => handleChange('bookingAction', 'cancel')}
+                          className="mr-2"
+                        />
+                        Cancel these bookings and notify their teachers
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="bookingAction"
+                          checked={form.bookingAction === 'keep'}
+                          onChange={() => handleChange('bookingAction', 'keep')}
+                          className="mr-2"
+                        />
+                        Keep them (quick fix expected) and warn their teachers
+                      </label>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-6 flex justify-end space-x-3">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !!preview?.openTicket}
+                className="btn-primary disabled:opacity-50"
+              >
+                {saving ? 'Opening...' : 'Open Ticket'}
+              </button>
+            </div>
+          </form>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
+
+export default ReportIssueModal
@@ -0,0 +1,52 @@
+import { ExclamationTriangleIcon, XCircleIcon } from '@heroicons/react/24/outline'
+
+/**
+ * Timetable clashes of a batch as returned by the batch conflict check:
+ * errors block saving, warnings are for information.
+ */
+const ScheduleConflicts = ({ conflicts, checking = false }) => {
+  const errors = conflicts?.errors || []
+  const warnings = conflicts?.warnings || []
+
+  if (checking && errors.length === 0 && warnings.length === 0) {
+    return <p className="text-sm text-gray-500">Checking the timetable...</p>
+  }
+
+  if (errors.length === 0 && warnings.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="space-y-2">
+      {errors.map((conflict, index) => (
+        <div key={`error-${index}`} className="flex items-start bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+          <XCircleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          <div>
+            <div className="font-medium">{conflict.message}</div>
+            {conflict.batch && (
+              <div className="text-xs text-red-600 mt-1">
+                {conflict.batch.name} runs from {new Date(conflict.batch.startDate).toLocaleDateString()}
+                {conflict.batch.endDate ? ` to ${new Date(conflict.batch.endDate).toLocaleDateString()}` : ' with no end date'}
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+      {warnings.map((conflict, index) => (
+        <div key={`warning-${index}`} className="flex items-start bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          <div>
+            <div className="font-medium">{conflict.message}</div>
+            {conflict.batches?.length > 0 && (
+              <div className="text-xs text-yellow-700 mt-1">
+                Running at the same time: {conflict.batches.map(batch => batch.name).join(', ')}
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ScheduleConflicts
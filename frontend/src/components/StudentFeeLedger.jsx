@@ -0,0 +1,466 @@
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import {
+  CurrencyRupeeIcon,
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline'
+import { feesAPI } from '../services/api'
+import { showConfirm } from '../utils/popup'
+import { formatDateSimple } from '../utils/dateUtils'
+
+const MODE_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  upi: 'UPI',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  online: 'Online',
+  other: 'Other'
+}
+
+const STATUS_STYLES = {
+  paid: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  overdue: 'bg-red-100 text-red-800',
+  pending: 'bg-gray-100 text-gray-800'
+}
+
+const toInputDate = (date) => new Date(date).toISOString().split('T')[0]
+
+const emptyPayment = () => ({
+  amount: '',
+  mode: 'cash',
+  reference: '',
+  paidAt: toInputDate(new Date()),
+  notes: ''
+})
+
+// Installment schedule, payments and receipts for a single student (admin)
+const StudentFeeLedger = ({ student, onChange }) => {
+  const [ledger, setLedger] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [actionLoading, setActionLoading] = useState(false)
+  const [payment, setPayment] = useState(emptyPayment())
+  const [showPaymentForm, setShowPaymentForm] = useState(false)
+  const [editingInstallments, setEditingInstallments] = useState(null)
+  const [voiding, setVoiding] = useState(null)
+
+  useEffect(() => {
+    fetchLedger()
+  }, [student._id])
+
+  const currency = ledger?.schedule?.currency || 'INR'
+  const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0
+  }).format(amount || 0)
+
+  const fetchLedger = async () => {
+    try {
+      setLoading(true)
+      const res = await feesAPI.getStudentLedger(student._id)
+      setLedger(res.data)
+    } catch (error) {
+      console.error('Error fetching fee ledger:', error)
+      toast.error('Failed to load fee ledger')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Apply a ledger returned by a mutation and let the page refresh its totals
+  const applyLedger = (data) => {
+    setLedger(prev => ({ ...prev, ...data }))
+    if (onChange) onChange(data.summary)
+  }
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setActionLoading(true)
+      const res = await action()
+      applyLedger(res.data)
+      toast.success(successMessage)
+      return true
+    } catch (error) {
+      console.error('Fee ledger action failed:', error)
+      toast.error(error.response?.data?.message || 'Something went wrong')
+      return false
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleGenerate = async () => {
+    const confirmed = await showConfirm(
+      ledger?.schedule
+        ? 'Regenerate the installment schedule from the current course fees? Any manual changes to installments will be lost. Recorded payments are kept.'
+        : 'Generate an installment schedule from the course fees?',
+      'Fee Schedule'
+    )
+    if (confirmed) {
+      runAction(() => feesAPI.generateSchedule(student._id), 'Fee schedule generated')
+    }
+  }
+
+  const handleRecordPayment = async (e) => {
+    e.preventDefault()
+    const saved = await runAction(
+      () => feesAPI.recordPayment(student._id, { ...payment, amount: Number(payment.amount) }),
+      'Payment recorded'
+    )
+    if (saved) {
+      setPayment(emptyPayment())
+      setShowPaymentForm(false)
+    }
+  }
+
+  const handleVoid = async (e) => {
+    e.preventDefault()
+    const saved = await runAction(
+      () => feesAPI.voidPayment(voiding.id, { reason: voiding.reason }),
+      'Payment voided'
+    )
+    if (saved) setVoiding(null)
+  }
+
+  const handleDownloadReceipt = async (item) => {
+    try {
+      const res = await feesAPI.downloadReceipt(item._id)
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: 'text/html' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${item.receiptNumber}.html`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading receipt:', error)
+      toast.error('Failed to download receipt')
+    }
+  }
+
+  const startEditing = () => {
+    setEditingInstallments(ledger.schedule.installments.map(installment => ({
+      amount: installment.amount,
+      dueDate: toInputDate(installment.dueDate)
+    })))
+  }
+
+  const updateInstallment = (index, field, value) => {
+    setEditingInstallments(prev => prev.map((installment, i) =>
+      i === index ? { ...installment, [field]: value } : installment
+    ))
+  }
+
+  const handleSaveInstallments = async () => {
+    const saved = await runAction(
+      () => feesAPI.updateSchedule(student._id, {
+        installments: editingInstallments.map(installment => ({
+          ...installment,
+          amount: Number(installment.amount)
+        }))
+      }),
+      'Fee schedule updated'
+    )
+    if (saved) setEditingInstallments(null)
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white shadow-md md:shadow-lg rounded-xl md:rounded-2xl p-4 md:p-6 mb-6 md:mb-8">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-cadd-red"></div>
+      </div>
+    )
+  }
+
+  const summary = ledger?.summary
+  const editTotal = editingInstallments?.reduce((sum, installment) => sum + (Number(installment.amount) || 0), 0)
+
+  return (
+    <div className="bg-white shadow-md md:shadow-lg rounded-xl md:rounded-2xl p-4 md:p-6 mb-6 md:mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h3 className="text-base md:text-lg font-semibold text-gray-900 flex items-center">
+          <CurrencyRupeeIcon className="h-5 w-5 text-gray-400 mr-2" />
+          Fee Ledger
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={handleGenerate} disabled={actionLoading} className="btn-secondary inline-flex items-center text-sm">
+            <ArrowPathIcon className="h-4 w-4 mr-1" />
+            {ledger?.schedule ? 'Regenerate Schedule' : 'Generate Schedule'}
+          </button>
+          {ledger?.schedule && summary?.balance > 0 && (
+            <button onClick={() => setShowPaymentForm(!showPaymentForm)} disabled={actionLoading} className="btn-primary inline-flex items-center text-sm">
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Record Payment
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!ledger?.schedule ? (
+        <p className="text-sm text-gray-500">No fee schedule has been generated for this student yet.</p>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Total Fees</p>
+              <p className="text-lg font-semibold text-gray-900">{formatCurrency(summary.totalAmount)}</p>
+            </div>
+            <div className="bg-green-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Paid</p>
+              <p className="text-lg font-semibold text-green-700">{formatCurrency(summary.totalPaid)}</p>
+            </div>
+            <div className="bg-yellow-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Balance</p>
+              <p className="text-lg font-semibold text-yellow-700">{formatCurrency(summary.balance)}</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Overdue</p>
+              <p className="text-lg font-semibold text-red-700">{formatCurrency(summary.overdueAmount)}</p>
+              {summary.nextDue && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Next due {formatDateSimple(summary.nextDue.dueDate)}
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Record payment */}
+          {showPaymentForm && (
+            <form onSubmit={handleRecordPayment} className="border border-gray-200 rounded-lg p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-3">
+              <div>
+                <label className="form-label">Amount *</label>
+                <input
+                  type="number"
+                  min="1"
+                  step="0.01"
+                  max={summary.balance}
+                  value={payment.amount}
+                  onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div>
+                <label className="form-label">Mode *</label>
+                <select
+                  value={payment.mode}
+                  onChange={(e) => setPayment({ ...payment, mode: e.target.value })}
+                  className="form-input"
+                >
+                  {(ledger.paymentModes || Object.keys(MODE_LABELS)).map(mode => (
+                    <option key={mode} value={mode}>{MODE_LABELS[mode] || mode}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Reference {payment.mode !== 'cash' && '*'}</label>
+                <input
+                  type="text"
+                  value={payment.reference}
+                  onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                  className="form-input"
+                  placeholder="Txn / cheque no."
+                  required={payment.mode !== 'cash'}
+                />
+              </div>
+              <div>
+                <label className="form-label">Date *</label>
+                <input
+                  type="date"
+                  max={toInputDate(new Date())}
+                  value={payment.paidAt}
+                  onChange={(e) => setPayment({ ...payment, paidAt: e.target.value })}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div className="flex items-end gap-2">
+                <button type="submit" disabled={actionLoading} className="btn-primary flex-1">Save</button>
+                <button type="button" onClick={() => setShowPaymentForm(false)} className="btn-secondary">Cancel</button>
+              </div>
+            </form>
+          )}
+
+          {/* Installments */}
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-semibold text-gray-700">Installments</h4>
+            {!editingInstallments ? (
+              <button onClick={startEditing} className="text-sm text-blue-600 hover:text-blue-800 inline-flex items-center">
+                <PencilIcon className="h-4 w-4 mr-1" />
+                Adjust
+              </button>
+            ) : (
+              <div className="flex items-center gap-3 text-sm">
+                <span className="text-gray-500">Total: {formatCurrency(editTotal)}</span>
+                <button
+                  onClick={() => setEditingInstallments([...editingInstallments, { amount: 0, dueDate: toInputDate(new Date()) }])}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  Add
+                </button>
+                <button onClick={handleSaveInstallments} disabled={actionLoading} className="text-green-600 hover:text-green-800 font-medium">Save</button>
+                <button onClick={() => setEditingInstallments(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+              </div>
+            )}
+          </div>
+          <div className="overflow-x-auto mb-6">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">#</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Due Date</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Amount</th>
+                  {!editingInstallments && (
+                    <>
+                      <th className="px-3 py-2 text-right font-medium text-gray-500">Paid</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                    </>
+                  )}
+                  {editingInstallments && <th className="px-3 py-2"></th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {editingInstallments
+                  ? editingInstallments.map((installment, index) => (
+                    <tr key={index}>
+                      <td className="px-3 py-2 text-gray-500">{index + 1}</td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="date"
+                          value={installment.dueDate}
+                          onChange={(e) => updateInstallment(index, 'dueDate', e.target.value)}
+                          className="form-input py-1"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={installment.amount}
+                          onChange={(e) => updateInstallment(index, 'amount', e.target.value)}
+                          className="form-input py-1 text-right"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {editingInstallments.length > 1 && (
+                          <button
+                            onClick={() => setEditingInstallments(editingInstallments.filter((_, i) => i !== index))}
+                            className="text-red-500 hover:text-red-700"
+                            title="Remove installment"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                  : ledger.schedule.installments.map(installment => (
+                    <tr key={installment._id}>
+                      <td className="px-3 py-2 text-gray-500">{installment.number}</td>
+                      <td className="px-3 py-2 text-gray-900">{formatDateSimple(installment.dueDate)}</td>
+                      <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(installment.amount)}</td>
+                      <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(installment.amountPaid)}</td>
+                      <td className="px-3 py-2">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[installment.status]}`}>
+                          {installment.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {/* Payments */}
+      {ledger?.payments?.length > 0 && (
+        <>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Payments</h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Receipt</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Date</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Amount</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Mode</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Reference</th>
+                  <th className="px-3 py-2 text-right font-medium text-gray-500">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {ledger.payments.map(item => (
+                  <tr key={item._id} className={item.status === 'voided' ? 'opacity-60' : ''}>
+                    <td className="px-3 py-2 font-mono text-gray-900">
+                      {item.receiptNumber}
+                      {item.status === 'voided' && (
+                        <span className="block text-xs font-sans text-red-600" title={item.voidReason}>
+                          Voided: {item.voidReason}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-gray-900">{formatDateSimple(item.paidAt)}</td>
+                    <td className={`px-3 py-2 text-right text-gray-900 ${item.status === 'voided' ? 'line-through' : ''}`}>
+                      {formatCurrency(item.amount)}
+                    </td>
+                    <td className="px-3 py-2 text-gray-900">{MODE_LABELS[item.mode] || item.mode}</td>
+                    <td className="px-3 py-2 text-gray-500">{item.reference || '-'}</td>
+                    <td className="px-3 py-2">
+                      {voiding?.id === item._id ? (
+                        <form onSubmit={handleVoid} className="flex items-center justify-end gap-2">
+                          <input
+                            type="text"
+                            value={voiding.reason}
+                            onChange={(e) => setVoiding({ ...voiding, reason: e.target.value })}
+                            className="form-input py-1"
+                            placeholder="Reason"
+                            required
+                            autoFocus
+                          />
+                          <button type="submit" disabled={actionLoading} className="text-red-600 hover:text-red-800 font-medium">Void</button>
+                          <button type="button" onClick={() => setVoiding(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                        </form>
+                      ) : (
+                        <div className="flex items-center justify-end gap-3">
+                          <button
+                            onClick={() => handleDownloadReceipt(item)}
+                            className="text-blue-600 hover:text-blue-800"
+                            title="Download receipt"
+                          >
+                            <ArrowDownTrayIcon className="h-4 w-4" />
+                          </button>
+                          {item.status !== 'voided' && (
+                            <button
+                              onClick={() => setVoiding({ id: item._id, reason: '' })}
+                              className="text-red-500 hover:text-red-700"
+                              title="Void payment"
+                            >
+                              <NoSymbolIcon className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default StudentFeeLedger
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { KeyIcon, UserPlusIcon, NoSymbolIcon, CheckCircleIcon } from '@heroicons/react/24/outline'
+import { studentsAPI } from '../services/api'
+import { showConfirm, showAlert } from '../utils/popup'
+
+// Portal account management card for a single student (admin/batch teacher)
+const StudentPortalAccount = ({ student }) => {
+  const [account, setAccount] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [actionLoading, setActionLoading] = useState(false)
+  const [email, setEmail] = useState(student.email || '')
+
+  useEffect(() => {
+    fetchAccount()
+  }, [student._id])
+
+  const fetchAccount = async () => {
+    try {
+      setLoading(true)
+      const res = await studentsAPI.getStudentAccount(student._id)
+      setAccount(res.data)
+    } catch (error) {
+      console.error('Error fetching portal account:', error)
+      setAccount(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Show the temporary password when it could not be emailed to the student
+  const announceCredentials = (data) => {
+    if (data.temporaryPassword) {
+      showAlert(
+        `The email could not be sent. Share these credentials with the student:\n\nStudent ID: ${student.studentId}\nPassword: ${data.temporaryPassword}`,
+        'Portal Credentials',
+        'warning'
+      )
+    } else if (data.emailSent) {
+      toast.success('Login credentials emailed to the student')
+    }
+  }
+
+  const handleCreate = async () => {
+    try {
+      setActionLoading(true)
+      const res = await studentsAPI.createStudentAccount(student._id, { email })
+      setAccount(res.data)
+      toast.success('Portal account created')
+      announceCredentials(res.data)
+    } catch (error) {
+      console.error('Error creating portal account:', error)
+      toast.error(error.response?.data?.message || 'Failed to create portal account')
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleUpdate = async (data, successMessage) => {
+    try {
+      setActionLoading(true)
+      const res = await studentsAPI.updateStudentAccount(student._id, data)
+      setAccount(res.data)
+      toast.success(successMessage)
+      announceCredentials(res.data)
+    } catch (error) {
+      console.error('Error updating portal account:', error)
+      toast.error(error.response?.data?.message || 'Failed to update portal account')
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleToggleActive = async () => {
+    const confirmed = await showConfirm(
+      account.active
+        ? `Deactivate the portal account for ${student.name}? They will no longer be able to sign in.`
+        : `Reactivate the portal account for ${student.name}?`,
+      account.active ? 'Deactivate Account' : 'Activate Account'
+    )
+    if (confirmed) {
+      handleUpdate({ active: !account.active }, account.active ? 'Account deactivated' : 'Account activated')
+    }
+  }
+
+  const handleResetPassword = async () => {
+    const confirmed = await showConfirm(
+      `Generate a new temporary password for ${student.name}?`,
+      'Reset Password'
+    )
+    if (confirmed) {
+      handleUpdate({ resetPassword: true }, 'Password reset')
+    }
+  }
+
+  return (
+    <div className="bg-white shadow-md md:shadow-lg rounded-xl md:rounded-2xl p-4 md:p-6 mb-6 md:mb-8">
+      <h3 className="text-base md:text-lg font-semibold text-gray-900 mb-4">Student Portal Account</h3>
+
+      {loading ? (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-cadd-red"></div>
+      ) : account?.exists ? (
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div className="space-y-1 text-sm">
+            <p className="flex items-center">
+              {account.active ? (
+                <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+              ) : (
+                <NoSymbolIcon className="h-5 w-5 text-red-500 mr-2" />
+              )}
+              <span className="font-medium text-gray-900">{account.active ? 'Active' : 'Inactive'}</span>
+              <span className="text-gray-500 ml-2">· {account.email}</span>
+            </p>
+            <p className="text-gray-500">
+              Last login: {account.lastLogin ? new Date(account.lastLogin).toLocaleString() : 'Never'}
+            </p>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <button
+              onClick={handleResetPassword}
+              disabled={actionLoading}
+              className="inline-flex items-center justify-center px-3 py-2 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+            >
+              <KeyIcon className="h-4 w-4 mr-2" />
+              Reset Password
+            </button>
+            <button
+              onClick={handleToggleActive}
+              disabled={actionLoading}
+              className={`inline-flex items-center justify-center px-3 py-2 rounded-lg text-sm font-medium text-white disabled:opacity-50 ${account.active ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}
+            >
+              {account.active ? 'Deactivate' : 'Activate'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-col md:flex-row md:items-end gap-3">
+          <div className="flex-1">
+            <p className="text-sm text-gray-500 mb-2">
+              {student.studentId
+                ? 'This student cannot sign in yet. Create an account to give them access to their attendance, lab bookings and projects.'
+                : 'Assign a Student ID before creating a portal account.'}
+            </p>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Student email address"
+              className="form-input w-full"
+              disabled={!student.studentId}
+            />
+          </div>
+          <button
+            onClick={handleCreate}
+            disabled={actionLoading || !email || !student.studentId}
+            className="inline-flex items-center justify-center px-4 py-2 rounded-lg text-sm font-medium text-white bg-cadd-red hover:bg-cadd-pink disabled:opacity-50"
+          >
+            <UserPlusIcon className="h-4 w-4 mr-2" />
+            {actionLoading ? 'Creating...' : 'Create Account'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StudentPortalAccount
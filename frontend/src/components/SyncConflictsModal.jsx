@@ -0,0 +1,276 @@
+import { Fragment, useState } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import {
+  XMarkIcon,
+  ArrowsRightLeftIcon,
+  DevicePhoneMobileIcon,
+  ServerIcon,
+  ExclamationTriangleIcon,
+  ArrowPathIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { syncService } from '../services/syncService.js'
+import { offlineService } from '../services/offlineService.js'
+
+const STATUS_STYLES = {
+  present: 'bg-green-100 text-green-800',
+  absent: 'bg-red-100 text-red-800',
+  late: 'bg-yellow-100 text-yellow-800',
+  excused: 'bg-blue-100 text-blue-800'
+}
+
+const StatusBadge = ({ status }) => (
+  status ? (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+      {status}
+    </span>
+  ) : (
+    <span className="text-xs text-gray-500">Not marked</span>
+  )
+)
+
+const formatDay = (date) => (date ? format(new Date(date), 'EEE, MMM dd, yyyy') : '')
+
+/**
+ * Sync problems that need a person: attendance changed by someone else
+ * while this device's change was waiting (shown side by side so the user
+ * can keep either), and queued operations that gave up retrying.
+ */
+const SyncConflictsModal = ({ isOpen, onClose, conflicts = [], failedOperations = [], onChange }) => {
+  const [busyId, setBusyId] = useState(null)
+
+  const handleResolve = async (item, choice) => {
+    try {
+      setBusyId(item.id)
+      const result = await syncService.resolveConflict(item, choice)
+      if (result.resolved) {
+        toast.success(choice === 'local' ? 'Your change was saved' : 'Kept the server version')
+      } else {
+        toast.error('The record changed again. Please review the new server value.')
+      }
+    } catch (error) {
+      console.error('Error resolving conflict:', error)
+      toast.error(error.response?.data?.message || 'Failed to resolve the conflict')
+    } finally {
+      setBusyId(null)
+      onChange()
+    }
+  }
+
+  const handleResolveAll = async (choice) => {
+    for (const item of conflicts) {
+      await handleResolve(item, choice)
+    }
+  }
+
+  const handleRetry = async (item) => {
+    try {
+      setBusyId(item.id)
+      await syncService.retryOperation(item)
+      await offlineService.startSync()
+    } catch (error) {
+      console.error('Error retrying operation:', error)
+      toast.error('Failed to retry the change')
+    } finally {
+      setBusyId(null)
+      onChange()
+    }
+  }
+
+  const handleDiscard = async (item) => {
+    try {
+      setBusyId(item.id)
+      await syncService.discardOperation(item)
+      toast.success('Change discarded')
+    } catch (error) {
+      console.error('Error discarding operation:', error)
+      toast.error('Failed to discard the change')
+    } finally {
+      setBusyId(null)
+      onChange()
+    }
+  }
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-3xl transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <div className="flex items-center justify-between mb-4">
+                  <Dialog.Title as="h3" className="flex items-center text-lg font-medium leading-6 text-gray-900">
+                    <ArrowsRightLeftIcon className="h-5 w-5 mr-2 text-orange-600" />
+                    Sync Conflicts
+                  </Dialog.Title>
+                  <button
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+                  >
+                    <XMarkIcon className="w-5 h-5" />
+                  </button>
+                </div>
+
+                {conflicts.length === 0 && failedOperations.length === 0 && (
+                  <p className="text-sm text-gray-600 py-6 text-center">Everything is in sync.</p>
+                )}
+
+                {conflicts.length > 0 && (
+                  <div className="space-y-3">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <p className="text-sm text-gray-600">
+                        These records were changed by someone else before your change reached the server.
+                        Choose which value to keep.
+                      </p>
+                      {conflicts.length > 1 && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleResolveAll('local')}
+                            disabled={busyId !== null}
+                            className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            Keep all mine
+                          </button>
+                          <button
+                            onClick={() => handleResolveAll('server')}
+                            disabled={busyId !== null}
+                            className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                          >
+                            Keep all server
+                          </button>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="max-h-[28rem] overflow-y-auto space-y-3 pr-1">
+                      {conflicts.map(item => {
+                        const { student, local, server } = item.conflict
+                        return (
+                          <div key={item.id} className="border border-orange-200 rounded-lg p-4">
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                              <div>
+                                <p className="text-sm font-medium text-gray-900">
+                                  {student.name} <span className="text-gray-500">({student.rollNo})</span>
+                                </p>
+                                <p className="text-xs text-gray-500">{formatDay(item.data.date)}</p>
+                              </div>
+                            </div>
+
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                              <div className="rounded-md bg-blue-50 p-3">
+                                <p className="flex items-center text-xs font-medium text-blue-800 mb-2">
+                                  <DevicePhoneMobileIcon className="h-4 w-4 mr-1" />
+                                  Your change
+                                </p>
+                                <StatusBadge status={local.status} />
+                                {local.remarks && <p className="text-xs text-gray-700 mt-2">{local.remarks}</p>}
+                                <button
+                                  onClick={() => handleResolve(item, 'local')}
+                                  disabled={busyId !== null}
+                                  className="mt-3 w-full px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                  {busyId === item.id ? 'Saving...' : 'Keep mine'}
+                                </button>
+                              </div>
+
+                              <div className="rounded-md bg-gray-50 p-3">
+                                <p className="flex items-center text-xs font-medium text-gray-700 mb-2">
+                                  <ServerIcon className="h-4 w-4 mr-1" />
+                                  On the server
+                                </p>
+                                <StatusBadge status={server?.status} />
+                                {server?.remarks && <p className="text-xs text-gray-700 mt-2">{server.remarks}</p>}
+                                {server && (
+                                  <p className="text-xs text-gray-500 mt-2">
+                                    {server.markedBy?.name ? `By ${server.markedBy.name}` : 'Changed'}
+                                    {server.updatedAt && ` • ${format(new Date(server.updatedAt), 'MMM dd, HH:mm')}`}
+                                  </p>
+                                )}
+                                <button
+                                  onClick={() => handleResolve(item, 'server')}
+                                  disabled={busyId !== null}
+                                  className="mt-3 w-full px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+                                >
+                                  Keep server
+                                </button>
+                              </div>
+                            </div>
+                          </div>
+                        )
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                {failedOperations.length > 0 && (
+                  <div className={`space-y-3 ${conflicts.length > 0 ? 'mt-6 pt-4 border-t border-gray-200' : ''}`}>
+                    <p className="flex items-center text-sm font-medium text-gray-900">
+                      <ExclamationTriangleIcon className="h-4 w-4 mr-1 text-red-500" />
+                      Changes that could not be synced
+                    </p>
+                    {failedOperations.map(item => (
+                      <div key={item.id} className="flex flex-wrap items-center justify-between gap-2 border border-red-200 rounded-lg p-3">
+                        <div className="min-w-0">
+                          <p className="text-sm text-gray-900 capitalize">
+                            {item.type} • {item.method} {item.endpoint}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            Queued {format(new Date(item.timestamp), 'MMM dd, HH:mm')}
+                            {item.retryCount ? ` • ${item.retryCount} attempt${item.retryCount > 1 ? 's' : ''}` : ''}
+                          </p>
+                          {item.lastError && <p className="text-xs text-red-600 mt-1">{item.lastError}</p>}
+                        </div>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleRetry(item)}
+                            disabled={busyId !== null}
+                            className="inline-flex items-center px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            <ArrowPathIcon className="h-4 w-4 mr-1" />
+                            Retry
+                          </button>
+                          <button
+                            onClick={() => handleDiscard(item)}
+                            disabled={busyId !== null}
+                            className="inline-flex items-center px-3 py-1.5 text-xs font-medium text-red-700 bg-white border border-red-300 rounded-md hover:bg-red-50 disabled:opacity-50"
+                          >
+                            <TrashIcon className="h-4 w-4 mr-1" />
+                            Discard
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
+
+export default SyncConflictsModal
@@ -0,0 +1,50 @@
+// Tells the user a new version of the app has been installed and lets
+// them switch to it when it suits them
+import { useState, useEffect } from 'react'
+import { ArrowPathIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { serviceWorkerService } from '../services/serviceWorker'
+
+const UpdateNotice = () => {
+  const [updateAvailable, setUpdateAvailable] = useState(false)
+  const [dismissed, setDismissed] = useState(false)
+
+  useEffect(() => {
+    return serviceWorkerService.addListener((event) => {
+      if (event.type === 'updateAvailable') {
+        setUpdateAvailable(true)
+        setDismissed(false)
+      }
+    })
+  }, [])
+
+  if (!updateAvailable || dismissed) {
+    return null
+  }
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-md">
+      <div className="flex items-center gap-3 bg-white border border-gray-200 rounded-lg shadow-xl p-4">
+        <ArrowPathIcon className="h-5 w-5 text-cadd-red flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-900">A new version is available</p>
+          <p className="text-sm text-gray-600">Reload to get the latest features and fixes.</p>
+        </div>
+        <button
+          onClick={() => serviceWorkerService.applyUpdate()}
+          className="px-3 py-2 bg-cadd-red text-white rounded-md text-sm font-medium hover:bg-cadd-pink transition-colors"
+        >
+          Reload
+        </button>
+        <button
+          onClick={() => setDismissed(true)}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+          aria-label="Dismiss"
+        >
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default UpdateNotice
@@ -0,0 +1,34 @@
+// Weekdays in display order; values follow Date.getDay() (0 = Sunday)
+export const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+]
+
+export const formatWeekdays = (days) => WEEKDAYS.filter(day => days.includes(day.value)).map(day => day.label).join(', ')
+
+const WeekdayPicker = ({ value, onChange }) => (
+  <div className="flex flex-wrap gap-2">
+    {WEEKDAYS.map(day => {
+      const selected = value.includes(day.value)
+      return (
+        <button
+          key={day.value}
+          type="button"
+          onClick={() => onChange(selected ? value.filter(d => d !== day.value) : [...value, day.value])}
+          className={`px-3 py-1 rounded-lg text-sm font-medium border transition-colors ${
+            selected ? 'bg-cadd-red text-white border-cadd-red' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+          }`}
+        >
+          {day.label}
+        </button>
+      )
+    })}
+  </div>
+)
+
+export default WeekdayPicker
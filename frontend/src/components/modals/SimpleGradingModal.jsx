@@ -1,4 +1,4 @@
-import { Fragment, useState } from 'react'
+import { Fragment, useEffect, useState } from 'react'
 import { Dialog, Transition } from '@headlessui/react'
 import { 
   XMarkIcon,
@@ -6,6 +6,12 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline'
 import toast from 'react-hot-toast'
+import { getCriterionPoints, previewRubricScore } from '../../utils/rubrics'
+
+// Existing breakdown as { [criterionId]: { level, comment } }
+const toPicks = (rubricScores = []) => Object.fromEntries(
+  rubricScores.map(entry => [entry.criterion, { level: entry.level, comment: entry.comment || '' }])
+)
 
 const SimpleGradingModal = ({ 
   isOpen, 
@@ -13,16 +19,51 @@ const SimpleGradingModal = ({
   student,
   submission,
   maxScore = 100,
+  rubric = [],
   onGradeSubmitted
 }) => {
   const [grade, setGrade] = useState(submission?.grade || '')
   const [feedback, setFeedback] = useState(submission?.feedback || '')
+  const [picks, setPicks] = useState(toPicks(submission?.rubricScores))
   const [submitting, setSubmitting] = useState(false)
 
+  const hasRubric = rubric.length > 0
+  const criterionPoints = getCriterionPoints(rubric, maxScore)
+  const rubricPreview = previewRubricScore(rubric, picks, maxScore)
+
+  // The modal stays mounted, so reload the form for each submission
+  useEffect(() => {
+    if (isOpen) {
+      setGrade(submission?.score ?? submission?.grade ?? '')
+      setFeedback(submission?.feedback || '')
+      setPicks(toPicks(submission?.rubricScores))
+    }
+  }, [isOpen, submission])
+
+  // Keep the displayed grade in step with the rubric
+  useEffect(() => {
+    if (hasRubric) {
+      setGrade(rubricPreview.complete ? rubricPreview.score : '')
+    }
+  }, [hasRubric, rubricPreview.complete, rubricPreview.score])
+
+  const pickLevel = (criterionId, level) => {
+    setPicks(prev => ({ ...prev, [criterionId]: { ...prev[criterionId], level } }))
+  }
+
+  const setComment = (criterionId, comment) => {
+    setPicks(prev => ({ ...prev, [criterionId]: { ...prev[criterionId], comment } }))
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
-    
-    if (!grade || grade < 0 || grade > maxScore) {
+
+    if (hasRubric && !rubricPreview.complete) {
+      toast.error('Please pick a level for every criterion')
+      return
+    }
+
+    if (!hasRubric && (grade === '' || grade < 0 || grade > maxScore)) {
       toast.error(`Grade must be between 0 and ${maxScore}`)
       return
     }
@@ -31,13 +72,20 @@ const SimpleGradingModal = ({
       setSubmitting(true)
       await onGradeSubmitted(submission._id, {
         grade: parseFloat(grade),
-        feedback: feedback.trim()
+        feedback: feedback.trim(),
+        ...(hasRubric && {
+          rubricScores: rubric.map(criterion => ({
+            criterion: criterion._id,
+            level: picks[criterion._id]?.level,
+            comment: (picks[criterion._id]?.comment || '').trim()
+          }))
+        })
       })
       toast.success('Grade submitted successfully!')
       onClose()
     } catch (error) {
       console.error('Error submitting grade:', error)
-      toast.error('Failed to submit grade')
+      toast.error(error.response?.data?.message || 'Failed to submit grade')
     } finally {
       setSubmitting(false)
     }
@@ -87,7 +135,7 @@ const SimpleGradingModal = ({
               leaveFrom="opacity-100 scale-100"
               leaveTo="opacity-0 scale-95"
             >
-              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+              <Dialog.Panel className={`w-full ${hasRubric ? 'max-w-2xl' : 'max-w-md'} transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all`}>
                 <div className="flex items-center justify-between mb-4">
                   <Dialog.Title
                     as="h3"
@@ -119,6 +167,74 @@ const SimpleGradingModal = ({
                 </div>
 
                 <form onSubmit={handleSubmit} className="space-y-4">
+                  {hasRubric ? (
+                    <div className="space-y-3">
+                      <div className="flex items-center justify-between">
+                        <label className="text-sm font-medium text-gray-700">Rubric</label>
+                        <div className="flex items-center space-x-2">
+                          <StarIcon className="h-4 w-4 text-gray-400" />
+                          <span className={`text-sm font-semibold ${rubricPreview.complete ? getGradeColor() : 'text-gray-500'}`}>
+                            {rubricPreview.score} / {maxScore}
+                          </span>
+                          {rubricPreview.complete && (
+                            <span className={`text-sm font-medium ${getGradeColor()}`}>{getGradeLetter()}</span>
+                          )}
+                        </div>
+                      </div>
+
+                      <div className="max-h-96 overflow-y-auto space-y-3 pr-1">
+                        {rubric.map((criterion) => {
+                          const picked = criterion.levels.find(level => level.label === picks[criterion._id]?.level)
+                          return (
+                            <div key={criterion._id} className="border border-gray-200 rounded-lg p-3">
+                              <div className="flex items-start justify-between">
+                                <div>
+                                  <h4 className="text-sm font-medium text-gray-900">{criterion.title}</h4>
+                                  {criterion.description && (
+                                    <p className="text-xs text-gray-500 mt-0.5">{criterion.description}</p>
+                                  )}
+                                </div>
+                                <span className="text-xs text-gray-500 whitespace-nowrap ml-2">
+                                  {picked ? Math.round(criterionPoints[criterion._id] * picked.score) / 100 : '–'} / {criterionPoints[criterion._id]} pts
+                                </span>
+                              </div>
+
+                              <div className="flex flex-wrap gap-2 mt-2">
+                                {criterion.levels.map((level) => (
+                                  <button
+                                    key={level.label}
+                                    type="button"
+                                    onClick={() => pickLevel(criterion._id, level.label)}
+                                    title={level.description}
+                                    className={`px-2.5 py-1 rounded-md text-xs font-medium border transition-colors ${
+                                      picked?.label === level.label
+                                        ? 'bg-blue-600 text-white border-blue-600'
+                                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                    }`}
+                                  >
+                                    {level.label} ({level.score}%)
+                                  </button>
+                                ))}
+                              </div>
+                              {picked?.description && (
+                                <p className="text-xs text-gray-600 mt-2">{picked.description}</p>
+                              )}
+
+                              <input
+                                type="text"
+                                value={picks[criterion._id]?.comment || ''}
+                                onChange={(e) => setComment(criterion._id, e.target.value)}
+                                maxLength={500}
+                                className="w-full mt-2 px-2 py-1 text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                placeholder="Comment on this criterion (optional)"
+                              />
+                            </div>
+                          )
+                        })}
+                      </div>
+                    </div>
+                  ) : (
+                  <>
                   {/* Grade Input */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -167,6 +283,8 @@ const SimpleGradingModal = ({
                       </button>
                     ))}
                   </div>
+                  </>
+                  )}
 
                   {/* Feedback */}
                   <div>
@@ -194,7 +312,7 @@ const SimpleGradingModal = ({
                     </button>
                     <button
                       type="submit"
-                      disabled={submitting || !grade}
+                      disabled={submitting || grade === ''}
                       className="flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
                     >
                       {submitting ? (
@@ -0,0 +1,164 @@
+import { Fragment, useEffect, useState } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { XMarkIcon, CalendarDaysIcon } from '@heroicons/react/24/outline'
+import { format, addDays } from 'date-fns'
+import toast from 'react-hot-toast'
+import { projectAPI } from '../../services/api'
+
+const toInputValue = (date) => format(new Date(date), "yyyy-MM-dd'T'HH:mm")
+
+/**
+ * Grant, change or remove one student's deadline extension
+ */
+const ExtensionModal = ({ isOpen, onClose, project, student, extension, onSaved }) => {
+  const [deadline, setDeadline] = useState('')
+  const [reason, setReason] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && project) {
+      setDeadline(toInputValue(extension?.deadline || addDays(new Date(project.deadlineDate), 3)))
+      setReason(extension?.reason || '')
+    }
+  }, [isOpen, project, extension])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const response = await projectAPI.grantExtension(project._id, {
+        studentId: student._id,
+        deadline: new Date(deadline).toISOString(),
+        reason: reason.trim()
+      })
+      toast.success(response.data.message)
+      onSaved()
+      onClose()
+    } catch (error) {
+      console.error('Error granting extension:', error)
+      toast.error(error.response?.data?.message || 'Failed to grant extension')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    try {
+      setSaving(true)
+      await projectAPI.revokeExtension(project._id, student._id)
+      toast.success('Extension removed')
+      onSaved()
+      onClose()
+    } catch (error) {
+      console.error('Error removing extension:', error)
+      toast.error(error.response?.data?.message || 'Failed to remove extension')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <div className="flex items-center justify-between mb-4">
+                  <Dialog.Title as="h3" className="flex items-center text-lg font-medium leading-6 text-gray-900">
+                    <CalendarDaysIcon className="h-5 w-5 mr-2 text-blue-600" />
+                    Deadline Extension
+                  </Dialog.Title>
+                  <button
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+                  >
+                    <XMarkIcon className="w-5 h-5" />
+                  </button>
+                </div>
+
+                <p className="text-sm text-gray-600 mb-4">
+                  {student?.name} • project deadline {project && format(new Date(project.deadlineDate), 'MMM dd, yyyy HH:mm')}
+                </p>
+
+                <form onSubmit={handleSave} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">New deadline</label>
+                    <input
+                      type="datetime-local"
+                      value={deadline}
+                      onChange={(e) => setDeadline(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Reason (Optional)</label>
+                    <input
+                      type="text"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      maxLength={300}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="e.g. Medical leave"
+                    />
+                  </div>
+
+                  <div className="flex space-x-3 pt-4">
+                    {extension && (
+                      <button
+                        type="button"
+                        onClick={handleRemove}
+                        disabled={saving}
+                        className="px-4 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={onClose}
+                      disabled={saving}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving || !deadline}
+                      className="flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save Extension'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
+
+export default ExtensionModal
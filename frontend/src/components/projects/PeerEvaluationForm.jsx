@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react'
+import { StarIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { projectAPI } from '../../services/api'
+
+/**
+ * A student's confidential 1–5 ratings of their teammates
+ * Opens once the team has submitted and can be changed afterwards
+ */
+const PeerEvaluationForm = ({ projectId }) => {
+  const [form, setForm] = useState(null)
+  const [ratings, setRatings] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const fetchForm = async () => {
+      try {
+        const response = await projectAPI.getMyPeerEvaluation(projectId)
+        setForm(response.data)
+        setRatings(Object.fromEntries(response.data.ratings.map(rating => [
+          rating.student,
+          { score: rating.score, comment: rating.comment || '' }
+        ])))
+      } catch (error) {
+        console.error('Error fetching peer evaluation:', error)
+      }
+    }
+    fetchForm()
+  }, [projectId])
+
+  if (!form || !form.enabled || form.teammates.length === 0) {
+    return null
+  }
+
+  const updateRating = (studentId, field, value) => {
+    setRatings(prev => ({
+      ...prev,
+      [studentId]: { score: 0, comment: '', ...prev[studentId], [field]: value }
+    }))
+  }
+
+  const complete = form.teammates.every(teammate => ratings[teammate._id]?.score >= 1)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const response = await projectAPI.submitPeerEvaluation(projectId, {
+        ratings: form.teammates.map(teammate => ({
+          student: teammate._id,
+          score: ratings[teammate._id].score,
+          comment: ratings[teammate._id].comment
+        }))
+      })
+      setForm(prev => ({ ...prev, submittedAt: response.data.submittedAt }))
+      toast.success(response.data.message)
+    } catch (error) {
+      console.error('Error submitting peer evaluation:', error)
+      toast.error(error.response?.data?.message || 'Failed to submit peer evaluation')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Peer Evaluation</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Rate each teammate's contribution. Only your teacher sees these ratings.
+      </p>
+
+      {!form.open ? (
+        <p className="text-sm text-gray-500">Peer evaluation opens once your team has submitted.</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {form.teammates.map(teammate => (
+            <div key={teammate._id} className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">{teammate.name}</span>
+                <div className="flex space-x-1">
+                  {[1, 2, 3, 4, 5].map(score => (
+                    <button
+                      key={score}
+                      type="button"
+                      onClick={() => updateRating(teammate._id, 'score', score)}
+                      className="p-0.5"
+                      title={`${score}/5`}
+                    >
+                      <StarIcon className={`h-5 w-5 ${
+                        (ratings[teammate._id]?.score || 0) >= score ? 'text-yellow-500 fill-yellow-400' : 'text-gray-300'
+                      }`} />
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <input
+                type="text"
+                value={ratings[teammate._id]?.comment || ''}
+                onChange={(e) => updateRating(teammate._id, 'comment', e.target.value)}
+                maxLength={500}
+                placeholder="Comment (Optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between pt-2">
+            <span className="text-xs text-gray-500">
+              {form.submittedAt && `Last sent ${format(new Date(form.submittedAt), 'MMM dd, yyyy HH:mm')}`}
+            </span>
+            <button
+              type="submit"
+              disabled={saving || !complete}
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              {saving ? 'Sending...' : form.submittedAt ? 'Update Ratings' : 'Send Ratings'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default PeerEvaluationForm
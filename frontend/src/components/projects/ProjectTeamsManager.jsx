@@ -0,0 +1,262 @@
+import { useEffect, useState } from 'react'
+import {
+  UserGroupIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { projectAPI } from '../../services/api'
+import ConfirmationModal from '../modals/ConfirmationModal'
+import TeamFormModal from './TeamFormModal'
+
+const formatAdjustment = (value) => `${value > 0 ? '+' : ''}${value}%`
+
+/**
+ * Peer ratings within one team, loaded when the teacher expands it
+ */
+const PeerEvaluationSummary = ({ projectId, teamId }) => {
+  const [summary, setSummary] = useState(null)
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        const response = await projectAPI.getTeamPeerEvaluations(projectId, teamId)
+        setSummary(response.data)
+      } catch (error) {
+        console.error('Error fetching peer evaluations:', error)
+        toast.error(error.response?.data?.message || 'Failed to fetch peer evaluations')
+      }
+    }
+    fetchSummary()
+  }, [projectId, teamId])
+
+  if (!summary) {
+    return <div className="text-sm text-gray-500 py-2">Loading peer evaluations...</div>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 uppercase">
+            <th className="py-2 pr-4">Member</th>
+            <th className="py-2 pr-4">Responded</th>
+            <th className="py-2 pr-4">Avg. rating</th>
+            <th className="py-2 pr-4">Adjustment</th>
+            <th className="py-2">Comments</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {summary.members.map(entry => (
+            <tr key={entry.student._id} className="align-top">
+              <td className="py-2 pr-4 text-gray-900">{entry.student.name}</td>
+              <td className="py-2 pr-4">
+                {entry.responded
+                  ? <CheckCircleIcon className="h-4 w-4 text-green-600" />
+                  : <span className="text-gray-400">—</span>}
+              </td>
+              <td className="py-2 pr-4">{entry.averageRating ?? '—'}</td>
+              <td className={`py-2 pr-4 font-medium ${entry.adjustment > 0 ? 'text-green-600' : entry.adjustment < 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                {formatAdjustment(entry.adjustment)}
+              </td>
+              <td className="py-2 text-gray-600">
+                {entry.ratings.filter(rating => rating.comment).map((rating, index) => (
+                  <div key={index} className="text-xs">
+                    <span className="font-medium">{rating.from?.name}</span> ({rating.score}/5): {rating.comment}
+                  </div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        Adjustments are capped at ±{summary.peerWeight}% of the team grade.
+      </p>
+    </div>
+  )
+}
+
+/**
+ * Teacher's view of a team project's teams: form, edit and disband teams and
+ * review peer evaluations
+ */
+const ProjectTeamsManager = ({ project, onChanged }) => {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [formModal, setFormModal] = useState({ isOpen: false, team: null })
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+  const [expandedTeam, setExpandedTeam] = useState(null)
+
+  useEffect(() => {
+    if (project?._id) {
+      fetchTeams()
+    }
+  }, [project?._id])
+
+  const fetchTeams = async () => {
+    try {
+      setLoading(true)
+      const response = await projectAPI.getProjectTeams(project._id)
+      setData(response.data)
+    } catch (error) {
+      console.error('Error fetching teams:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch teams')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaved = () => {
+    fetchTeams()
+    onChanged?.()
+  }
+
+  const handleDelete = async () => {
+    try {
+      setDeleting(true)
+      const response = await projectAPI.deleteTeam(project._id, deleteTarget._id)
+      toast.success(response.data.message)
+      setDeleteTarget(null)
+      handleSaved()
+    } catch (error) {
+      console.error('Error deleting team:', error)
+      toast.error(error.response?.data?.message || 'Failed to disband team')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  const settings = data?.teamSettings || project.teamSettings
+  const teams = data?.teams || []
+  const unassigned = data?.unassignedStudents || []
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-4 sm:px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="flex items-center text-lg font-medium text-gray-900">
+            <UserGroupIcon className="h-5 w-5 mr-2 text-red-600" />
+            Teams
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {settings.formation === 'self' ? 'Students form their own teams' : 'Teams are formed by the teacher'}
+            {` • ${settings.minSize}–${settings.maxSize} members`}
+            {settings.peerEvaluation && ` • peer evaluation up to ±${settings.peerWeight}%`}
+          </p>
+        </div>
+        <button
+          onClick={() => setFormModal({ isOpen: true, team: null })}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          New Team
+        </button>
+      </div>
+
+      {loading && !data ? (
+        <div className="px-6 py-8 text-center text-sm text-gray-500">Loading teams...</div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {teams.length === 0 && (
+            <div className="px-6 py-8 text-center text-sm text-gray-500">No teams yet</div>
+          )}
+
+          {teams.map(team => (
+            <div key={team._id} className="px-4 sm:px-6 py-4">
+              <div className="flex items-start justify-between">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900">{team.name}</span>
+                    {team.hasSubmitted && (
+                      <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">Submitted</span>
+                    )}
+                    {team.members.length < settings.minSize && (
+                      <span className="text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full">
+                        Needs {settings.minSize - team.members.length} more
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-500 mt-1">
+                    {team.members.map(member => member.name).join(', ') || 'No members'}
+                  </div>
+                  {settings.peerEvaluation && team.hasSubmitted && (
+                    <button
+                      onClick={() => setExpandedTeam(expandedTeam === team._id ? null : team._id)}
+                      className="inline-flex items-center text-xs text-red-600 hover:text-red-700 mt-1"
+                    >
+                      Peer evaluations {team.peerEvaluations}/{team.members.length}
+                      {expandedTeam === team._id
+                        ? <ChevronUpIcon className="h-3 w-3 ml-1" />
+                        : <ChevronDownIcon className="h-3 w-3 ml-1" />}
+                    </button>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setFormModal({ isOpen: true, team })}
+                    className="p-1.5 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+                    title="Edit team"
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  {!team.hasSubmitted && (
+                    <button
+                      onClick={() => setDeleteTarget(team)}
+                      className="p-1.5 text-gray-400 hover:text-red-600 rounded-md hover:bg-red-50"
+                      title="Disband team"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {expandedTeam === team._id && (
+                <div className="mt-3 bg-gray-50 rounded-md p-3">
+                  <PeerEvaluationSummary projectId={project._id} teamId={team._id} />
+                </div>
+              )}
+            </div>
+          ))}
+
+          {unassigned.length > 0 && (
+            <div className="px-4 sm:px-6 py-3 bg-amber-50">
+              <p className="text-xs text-amber-800">
+                Not in a team ({unassigned.length}): {unassigned.map(student => student.name).join(', ')}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      <TeamFormModal
+        isOpen={formModal.isOpen}
+        onClose={() => setFormModal({ isOpen: false, team: null })}
+        project={project}
+        team={formModal.team}
+        unassignedStudents={unassigned}
+        onSaved={handleSaved}
+      />
+
+      <ConfirmationModal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title="Disband Team"
+        message={`Disband ${deleteTarget?.name}? Its members become unassigned and can join other teams.`}
+        confirmText="Disband"
+        type="danger"
+        loading={deleting}
+      />
+    </div>
+  )
+}
+
+export default ProjectTeamsManager
@@ -0,0 +1,125 @@
+import { Fragment, useEffect, useState } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { XMarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { projectAPI } from '../../services/api'
+
+/**
+ * Return a submission to the student for revision with feedback.
+ * The student's next submission becomes a new version linked to this one.
+ */
+const ReturnSubmissionModal = ({ isOpen, onClose, submission, onReturned }) => {
+  const [feedback, setFeedback] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      setFeedback('')
+    }
+  }, [isOpen])
+
+  const handleReturn = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      await projectAPI.updateSubmissionStatus(submission._id, {
+        status: 'returned',
+        feedback: feedback.trim()
+      })
+      toast.success('Submission returned for revision')
+      onReturned()
+      onClose()
+    } catch (error) {
+      console.error('Error returning submission:', error)
+      toast.error(error.response?.data?.message || 'Failed to return submission')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <div className="flex items-center justify-between mb-4">
+                  <Dialog.Title as="h3" className="flex items-center text-lg font-medium leading-6 text-gray-900">
+                    <ArrowUturnLeftIcon className="h-5 w-5 mr-2 text-orange-600" />
+                    Return for Revision
+                  </Dialog.Title>
+                  <button
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+                  >
+                    <XMarkIcon className="w-5 h-5" />
+                  </button>
+                </div>
+
+                <p className="text-sm text-gray-600 mb-4">
+                  {submission?.student?.name} • version {submission?.version || 1}
+                </p>
+
+                <form onSubmit={handleReturn} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Feedback for the student</label>
+                    <textarea
+                      value={feedback}
+                      onChange={(e) => setFeedback(e.target.value)}
+                      rows={5}
+                      maxLength={1000}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                      placeholder="What needs to change before resubmitting"
+                      required
+                    />
+                  </div>
+
+                  <div className="flex space-x-3 pt-4">
+                    <button
+                      type="button"
+                      onClick={onClose}
+                      disabled={saving}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving || !feedback.trim()}
+                      className="flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 disabled:opacity-50"
+                    >
+                      {saving ? 'Returning...' : 'Return for Revision'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
+
+export default ReturnSubmissionModal
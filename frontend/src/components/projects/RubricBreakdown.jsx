@@ -0,0 +1,73 @@
+import { ClipboardDocumentCheckIcon } from '@heroicons/react/24/outline'
+
+const levelColor = (percent) => {
+  if (percent >= 90) return 'bg-green-100 text-green-800'
+  if (percent >= 70) return 'bg-blue-100 text-blue-800'
+  if (percent >= 50) return 'bg-yellow-100 text-yellow-800'
+  if (percent > 0) return 'bg-orange-100 text-orange-800'
+  return 'bg-red-100 text-red-800'
+}
+
+/**
+ * Per-criterion breakdown of a rubric-graded submission
+ * @param {Array} rubricScores - Snapshot stored on the submission at grading time
+ */
+const RubricBreakdown = ({ rubricScores = [] }) => {
+  if (!rubricScores || rubricScores.length === 0) return null
+
+  const total = rubricScores.reduce((sum, entry) => sum + entry.points, 0)
+  const maxTotal = rubricScores.reduce((sum, entry) => sum + entry.maxPoints, 0)
+
+  return (
+    <div>
+      <h3 className="flex items-center text-sm font-medium text-gray-900 mb-2">
+        <ClipboardDocumentCheckIcon className="h-4 w-4 mr-1" />
+        Rubric Breakdown
+      </h3>
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Criterion</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Level</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Points</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rubricScores.map((entry) => (
+              <tr key={entry.criterion}>
+                <td className="px-4 py-2 text-sm text-gray-900">
+                  <div className="font-medium">{entry.title}</div>
+                  {entry.requirement && (
+                    <div className="text-xs text-gray-500">Requirement: {entry.requirement}</div>
+                  )}
+                  {entry.comment && (
+                    <div className="text-xs text-gray-600 mt-1 whitespace-pre-wrap">{entry.comment}</div>
+                  )}
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap">
+                  <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${levelColor(entry.percent)}`}>
+                    {entry.level} ({entry.percent}%)
+                  </span>
+                </td>
+                <td className="px-4 py-2 text-sm text-right text-gray-900 whitespace-nowrap">
+                  {entry.points} / {entry.maxPoints}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="bg-gray-50">
+            <tr>
+              <td colSpan={2} className="px-4 py-2 text-sm font-medium text-gray-900">Total</td>
+              <td className="px-4 py-2 text-sm text-right font-semibold text-gray-900 whitespace-nowrap">
+                {Math.round(total * 100) / 100} / {Math.round(maxTotal * 100) / 100}
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default RubricBreakdown
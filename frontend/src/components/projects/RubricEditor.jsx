@@ -0,0 +1,223 @@
+import { useState } from 'react'
+import {
+  PlusIcon,
+  TrashIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  ClipboardDocumentCheckIcon
+} from '@heroicons/react/24/outline'
+import { getCriterionPoints, newCriterion } from '../../utils/rubrics'
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500'
+
+/**
+ * Editor for a project's grading rubric
+ * Criteria carry a relative weight and a list of levels, each worth a
+ * percentage of the criterion; they can be mapped to a project requirement
+ */
+const RubricEditor = ({ rubric = [], onChange, requirements = [], maxScore = 100, disabled = false }) => {
+  const [expanded, setExpanded] = useState(null)
+
+  // Criteria without an _id yet are keyed by position for the points preview
+  const keyed = rubric.map((criterion, index) => ({ ...criterion, _id: criterion._id || `new-${index}` }))
+  const points = getCriterionPoints(keyed, Number(maxScore) || 100)
+
+  const updateCriterion = (index, field, value) => {
+    onChange(rubric.map((criterion, i) => (i === index ? { ...criterion, [field]: value } : criterion)))
+  }
+
+  const updateLevel = (index, levelIndex, field, value) => {
+    const levels = rubric[index].levels.map((level, i) => (i === levelIndex ? { ...level, [field]: value } : level))
+    updateCriterion(index, 'levels', levels)
+  }
+
+  const addLevel = (index) => {
+    updateCriterion(index, 'levels', [...rubric[index].levels, { label: '', description: '', score: 0 }])
+  }
+
+  const removeLevel = (index, levelIndex) => {
+    updateCriterion(index, 'levels', rubric[index].levels.filter((_, i) => i !== levelIndex))
+  }
+
+  const addCriterion = () => {
+    onChange([...rubric, newCriterion()])
+    setExpanded(null)
+  }
+
+  const removeCriterion = (index) => {
+    onChange(rubric.filter((_, i) => i !== index))
+    setExpanded(null)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm font-medium text-gray-700">
+          <ClipboardDocumentCheckIcon className="h-4 w-4 mr-1" />
+          Grading Rubric
+        </label>
+        {!disabled && (
+          <button
+            type="button"
+            onClick={addCriterion}
+            className="inline-flex items-center px-2.5 py-1 text-xs font-medium text-red-700 bg-red-50 rounded-md hover:bg-red-100"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Criterion
+          </button>
+        )}
+      </div>
+
+      {rubric.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No rubric. Submissions are graded with a single score out of {maxScore}.
+        </p>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Each criterion is worth its share of {maxScore} points by weight. The levels picked while grading add up to the project score.
+        </p>
+      )}
+
+      {rubric.map((criterion, index) => (
+        <div key={criterion._id || index} className="border border-gray-200 rounded-lg p-3 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-6 gap-3">
+            <div className="sm:col-span-4">
+              <input
+                type="text"
+                value={criterion.title}
+                onChange={(e) => updateCriterion(index, 'title', e.target.value)}
+                className={inputClass}
+                placeholder="Criterion, e.g. Code quality"
+                maxLength={100}
+                disabled={disabled}
+                required
+              />
+            </div>
+            <div className="sm:col-span-2 flex items-center space-x-2">
+              <input
+                type="number"
+                value={criterion.weight}
+                onChange={(e) => updateCriterion(index, 'weight', e.target.value)}
+                min="1"
+                max="100"
+                className={inputClass}
+                title="Relative weight"
+                disabled={disabled}
+                required
+              />
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                = {points[keyed[index]._id]} pts
+              </span>
+            </div>
+          </div>
+
+          <textarea
+            value={criterion.description || ''}
+            onChange={(e) => updateCriterion(index, 'description', e.target.value)}
+            rows={2}
+            maxLength={500}
+            className={inputClass}
+            placeholder="What graders should look for (optional)"
+            disabled={disabled}
+          />
+
+          {requirements.length > 0 && (
+            <select
+              value={criterion.requirement || ''}
+              onChange={(e) => updateCriterion(index, 'requirement', e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            >
+              <option value="">Not mapped to a requirement</option>
+              {requirements.map(requirement => (
+                <option key={requirement._id} value={requirement._id}>
+                  Requirement: {requirement.title}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setExpanded(expanded === index ? null : index)}
+              className="inline-flex items-center text-xs font-medium text-gray-600 hover:text-gray-900"
+            >
+              {expanded === index ? <ChevronUpIcon className="h-4 w-4 mr-1" /> : <ChevronDownIcon className="h-4 w-4 mr-1" />}
+              Levels: {criterion.levels.map(level => `${level.label || '?'} ${level.score}%`).join(' · ')}
+            </button>
+            {!disabled && (
+              <button
+                type="button"
+                onClick={() => removeCriterion(index)}
+                className="p-1 text-gray-400 hover:text-red-600"
+                title="Remove criterion"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+
+          {expanded === index && (
+            <div className="space-y-2 bg-gray-50 rounded-md p-3">
+              {criterion.levels.map((level, levelIndex) => (
+                <div key={levelIndex} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={level.label}
+                    onChange={(e) => updateLevel(index, levelIndex, 'label', e.target.value)}
+                    className={`${inputClass} col-span-3`}
+                    placeholder="Level"
+                    disabled={disabled}
+                    required
+                  />
+                  <input
+                    type="number"
+                    value={level.score}
+                    onChange={(e) => updateLevel(index, levelIndex, 'score', e.target.value)}
+                    min="0"
+                    max="100"
+                    className={`${inputClass} col-span-2`}
+                    title="Percentage of the criterion"
+                    disabled={disabled}
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={level.description || ''}
+                    onChange={(e) => updateLevel(index, levelIndex, 'description', e.target.value)}
+                    className={`${inputClass} col-span-6`}
+                    placeholder="Descriptor"
+                    disabled={disabled}
+                  />
+                  {!disabled && criterion.levels.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => removeLevel(index, levelIndex)}
+                      className="col-span-1 p-1 text-gray-400 hover:text-red-600"
+                      title="Remove level"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              {!disabled && (
+                <button
+                  type="button"
+                  onClick={() => addLevel(index)}
+                  className="inline-flex items-center text-xs font-medium text-red-700 hover:text-red-800"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Add Level
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default RubricEditor
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react'
+import { UserGroupIcon, PaperClipIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { projectAPI } from '../../services/api'
+
+/**
+ * A student's team for a team project: who is in it, and with self-selected
+ * teams, starting, joining and leaving one. Members can add files to the
+ * shared submission until the teacher starts reviewing it.
+ */
+const StudentTeamPanel = ({ project, submission, onChanged }) => {
+  const [data, setData] = useState(null)
+  const [teamName, setTeamName] = useState('')
+  const [files, setFiles] = useState([])
+  const [working, setWorking] = useState(false)
+
+  const settings = project.teamSettings
+  const isSelf = settings.formation === 'self'
+
+  useEffect(() => {
+    fetchTeams()
+  }, [project._id])
+
+  const fetchTeams = async () => {
+    try {
+      const response = await projectAPI.getProjectTeams(project._id)
+      setData(response.data)
+    } catch (error) {
+      console.error('Error fetching teams:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch teams')
+    }
+  }
+
+  // Runs a team action, then refreshes both the team list and the project
+  const run = async (action, successMessage) => {
+    try {
+      setWorking(true)
+      const response = await action()
+      toast.success(response.data?.message || successMessage)
+      await fetchTeams()
+      onChanged?.()
+      return true
+    } catch (error) {
+      console.error('Error updating team:', error)
+      toast.error(error.response?.data?.message || 'Failed to update team')
+      return false
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (await run(() => projectAPI.createTeam(project._id, { name: teamName.trim() }), `Team ${teamName.trim()} created`)) {
+      setTeamName('')
+    }
+  }
+
+  const handleAddFiles = async (e) => {
+    e.preventDefault()
+    const formData = new FormData()
+    files.forEach(file => formData.append('files', file))
+    if (await run(() => projectAPI.addTeamFiles(project._id, formData), 'Files added to your team submission')) {
+      setFiles([])
+      e.target.reset()
+    }
+  }
+
+  if (!data) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-sm text-gray-500">
+        Loading team...
+      </div>
+    )
+  }
+
+  const myTeam = data.myTeam
+  const canAddFiles = myTeam && submission?.team && submission.status === 'submitted'
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-1">
+        <UserGroupIcon className="h-5 w-5 mr-2 text-red-600" />
+        {myTeam ? `Team ${myTeam.name}` : 'Team'}
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Teams of {settings.minSize}–{settings.maxSize} • one shared submission
+      </p>
+
+      {myTeam ? (
+        <div className="space-y-4">
+          <ul className="space-y-1">
+            {myTeam.members.map(member => (
+              <li key={member._id} className="text-sm text-gray-700">
+                {member.name} <span className="text-gray-400">{member.rollNo}</span>
+              </li>
+            ))}
+          </ul>
+
+          {myTeam.members.length < settings.minSize && (
+            <p className="text-xs text-amber-700 bg-amber-50 rounded-md p-2">
+              Your team needs {settings.minSize - myTeam.members.length} more member(s) before it can submit.
+            </p>
+          )}
+
+          {isSelf && !myTeam.hasSubmitted && (
+            <button
+              onClick={() => run(() => projectAPI.leaveTeam(project._id, myTeam._id), 'You left the team')}
+              disabled={working}
+              className="w-full px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Leave Team
+            </button>
+          )}
+
+          {canAddFiles && (
+            <form onSubmit={handleAddFiles} className="space-y-2 pt-2 border-t border-gray-100">
+              <label className="block text-sm font-medium text-gray-700">Add files to the team submission</label>
+              <input
+                type="file"
+                multiple
+                onChange={(e) => setFiles(Array.from(e.target.files).slice(0, 10))}
+                className="block w-full text-sm text-gray-600"
+              />
+              <button
+                type="submit"
+                disabled={working || files.length === 0}
+                className="w-full inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                <PaperClipIcon className="h-4 w-4 mr-2" />
+                Add {files.length > 0 ? files.length : ''} File{files.length === 1 ? '' : 's'}
+              </button>
+            </form>
+          )}
+        </div>
+      ) : isSelf ? (
+        <div className="space-y-4">
+          <form onSubmit={handleCreate} className="flex space-x-2">
+            <input
+              type="text"
+              value={teamName}
+              onChange={(e) => setTeamName(e.target.value)}
+              maxLength={60}
+              placeholder="New team name"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+            />
+            <button
+              type="submit"
+              disabled={working || !teamName.trim()}
+              className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              Create
+            </button>
+          </form>
+
+          {data.teams.length > 0 && (
+            <div className="divide-y divide-gray-100">
+              {data.teams.map(team => (
+                <div key={team._id} className="py-2 flex items-center justify-between">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">{team.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {team.members.map(member => member.name).join(', ')}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => run(() => projectAPI.joinTeam(project._id, team._id), `You joined ${team.name}`)}
+                    disabled={working || team.isFull || team.hasSubmitted}
+                    className="px-3 py-1 rounded-md text-xs font-medium bg-red-100 text-red-700 hover:bg-red-200 disabled:opacity-50"
+                  >
+                    {team.isFull ? 'Full' : 'Join'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">Your teacher has not placed you in a team yet.</p>
+      )}
+    </div>
+  )
+}
+
+export default StudentTeamPanel
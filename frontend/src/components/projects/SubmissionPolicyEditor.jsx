@@ -0,0 +1,149 @@
+import { ClockIcon } from '@heroicons/react/24/outline'
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500'
+
+// Same defaults as backend/utils/submissionPolicy.js
+export const DEFAULT_SUBMISSION_POLICY = {
+  earlyHours: 24,
+  gracePeriodHours: 0,
+  penaltyUnit: 'day',
+  penaltyPerUnit: 10,
+  earlyScore: 100,
+  onTimeScore: 90,
+  lateScore: 70,
+  cutoffHours: '',
+  countedVersion: 'latest'
+}
+
+/**
+ * Policy from a saved project, shaped for the form
+ */
+export const toPolicyForm = (policy) => ({
+  ...DEFAULT_SUBMISSION_POLICY,
+  ...(policy || {}),
+  cutoffHours: policy?.cutoffHours ?? ''
+})
+
+/**
+ * Editor for a project's late-submission policy
+ * Controls the grace period, penalty curve, cutoff and timing scores,
+ * and which resubmitted version counts toward rankings
+ */
+const SubmissionPolicyEditor = ({ policy, onChange, disabled = false }) => {
+  const update = (field, value) => onChange({ ...policy, [field]: value })
+
+  const unitLabel = policy.penaltyUnit === 'hour' ? 'hour' : 'day'
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center text-sm font-medium text-gray-700">
+        <ClockIcon className="h-4 w-4 mr-1" />
+        Submission Policy
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Grace period (hours)</label>
+          <input
+            type="number"
+            min="0"
+            value={policy.gracePeriodHours}
+            onChange={(e) => update('gracePeriodHours', e.target.value)}
+            className={inputClass}
+            disabled={disabled}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Penalty per {unitLabel}</label>
+          <div className="flex space-x-2">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={policy.penaltyPerUnit}
+              onChange={(e) => update('penaltyPerUnit', e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            />
+            <select
+              value={policy.penaltyUnit}
+              onChange={(e) => update('penaltyUnit', e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            >
+              <option value="day">per day</option>
+              <option value="hour">per hour</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Close submissions after (hours late)</label>
+          <input
+            type="number"
+            min="0"
+            value={policy.cutoffHours}
+            onChange={(e) => update('cutoffHours', e.target.value)}
+            className={inputClass}
+            placeholder="Never"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Early if (hours before)</label>
+          <input
+            type="number"
+            min="0"
+            value={policy.earlyHours}
+            onChange={(e) => update('earlyHours', e.target.value)}
+            className={inputClass}
+            disabled={disabled}
+          />
+        </div>
+        {[
+          { field: 'earlyScore', label: 'Early score' },
+          { field: 'onTimeScore', label: 'On-time score' },
+          { field: 'lateScore', label: 'Late score' }
+        ].map(({ field, label }) => (
+          <div key={field}>
+            <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={policy[field]}
+              onChange={(e) => update(field, e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="sm:w-1/3">
+        <label className="block text-xs font-medium text-gray-600 mb-1">Resubmissions count</label>
+        <select
+          value={policy.countedVersion}
+          onChange={(e) => update('countedVersion', e.target.value)}
+          className={inputClass}
+          disabled={disabled}
+        >
+          <option value="latest">Latest version</option>
+          <option value="best">Best graded version</option>
+        </select>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Timing scores feed the submission timing part of the final score. Late work starts at the late score
+        and loses {policy.penaltyPerUnit || 0} for every started {unitLabel} after the grace period.
+        {policy.cutoffHours !== '' && ` Submissions are refused ${policy.cutoffHours} hours after the deadline.`}
+        {' '}Students with an extension are measured against their own deadline.
+        {' '}When work is returned and resubmitted, the {policy.countedVersion === 'best' ? 'best graded' : 'latest'} version counts toward rankings.
+      </p>
+    </div>
+  )
+}
+
+export default SubmissionPolicyEditor
@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Square2StackIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import { projectAPI } from '../../services/api'
+import { compareVersionFiles, formatFileSize } from '../../utils/submissionVersions'
+
+const FileList = ({ title, files, color, renderSize }) => {
+  if (files.length === 0) return null
+  return (
+    <div>
+      <p className={`text-xs font-medium mb-1 ${color}`}>{title} ({files.length})</p>
+      <ul className="space-y-1">
+        {files.map(file => (
+          <li key={file.originalName} className="text-sm text-gray-700 flex justify-between">
+            <span className="truncate mr-2">{file.originalName}</span>
+            <span className="text-xs text-gray-500 whitespace-nowrap">{renderSize(file)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * Version history of a resubmitted project with a side-by-side comparison
+ * of the files and descriptions of any two versions
+ * @param {string} submissionId - Any version of the submission
+ * @param {string} projectId - Used to link to each version's details
+ */
+const SubmissionVersions = ({ submissionId, projectId }) => {
+  const [versions, setVersions] = useState([])
+  const [countedVersion, setCountedVersion] = useState('latest')
+  const [fromId, setFromId] = useState('')
+  const [toId, setToId] = useState('')
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const response = await projectAPI.getSubmissionVersions(submissionId)
+        const list = response.data.versions || []
+        setVersions(list)
+        setCountedVersion(response.data.countedVersion)
+        if (list.length > 1) {
+          setFromId(list[list.length - 2]._id)
+          setToId(list[list.length - 1]._id)
+        }
+      } catch (error) {
+        console.error('Error fetching submission versions:', error)
+      }
+    }
+    fetchVersions()
+  }, [submissionId])
+
+  if (versions.length < 2) return null
+
+  const from = versions.find(version => version._id === fromId)
+  const to = versions.find(version => version._id === toId)
+  const diff = compareVersionFiles(from, to)
+
+  const selectClass = 'px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500'
+  const versionLabel = (version) => `Version ${version.version} • ${format(new Date(version.submittedDate), 'MMM dd, yyyy')}`
+
+  return (
+    <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border border-gray-200">
+      <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-1">
+        <Square2StackIcon className="h-5 w-5 mr-2" />
+        Versions
+      </h2>
+      <p className="text-xs text-gray-500 mb-4">
+        The {countedVersion === 'best' ? 'best graded' : 'latest'} version counts toward rankings.
+      </p>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-lg mb-6">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submitted</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Final Score</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {versions.map(version => (
+              <tr key={version._id} className={version._id === submissionId ? 'bg-red-50' : ''}>
+                <td className="px-4 py-2 text-sm text-gray-900">
+                  <Link to={`/projects/${projectId}/submissions/${version._id}`} className="text-red-600 hover:text-red-800 font-medium">
+                    v{version.version}
+                  </Link>
+                  {version.isCounted !== false && (
+                    <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Counted</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-600">{format(new Date(version.submittedDate), 'MMM dd, yyyy HH:mm')}</td>
+                <td className="px-4 py-2 text-sm text-gray-600 capitalize">{version.status.replace('_', ' ')}</td>
+                <td className="px-4 py-2 text-sm text-gray-900 text-right">{version.finalScore ?? '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4">
+        <span className="text-sm font-medium text-gray-700">Compare</span>
+        <select value={fromId} onChange={(e) => setFromId(e.target.value)} className={selectClass}>
+          {versions.map(version => <option key={version._id} value={version._id}>{versionLabel(version)}</option>)}
+        </select>
+        <span className="text-sm text-gray-500">with</span>
+        <select value={toId} onChange={(e) => setToId(e.target.value)} className={selectClass}>
+          {versions.map(version => <option key={version._id} value={version._id}>{versionLabel(version)}</option>)}
+        </select>
+      </div>
+
+      {from && to && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 bg-gray-50 rounded-lg p-4">
+            <FileList
+              title="Added"
+              files={diff.added}
+              color="text-green-700"
+              renderSize={(file) => formatFileSize(file.fileSize)}
+            />
+            <FileList
+              title="Removed"
+              files={diff.removed}
+              color="text-red-700"
+              renderSize={(file) => formatFileSize(file.fileSize)}
+            />
+            <FileList
+              title="Changed"
+              files={diff.changed}
+              color="text-yellow-700"
+              renderSize={(file) => `${formatFileSize(file.previousSize)} → ${formatFileSize(file.fileSize)}`}
+            />
+            <FileList
+              title="Unchanged"
+              files={diff.unchanged}
+              color="text-gray-600"
+              renderSize={(file) => formatFileSize(file.fileSize)}
+            />
+            {diff.added.length + diff.removed.length + diff.changed.length + diff.unchanged.length === 0 && (
+              <p className="text-sm text-gray-500">Neither version has files.</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {[from, to].map((version, index) => (
+              <div key={index}>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Version {version.version} description</h3>
+                <div className="bg-gray-50 rounded-lg p-4 h-full">
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{version.description || 'No description'}</p>
+                  {version.feedback && (
+                    <p className="text-xs text-gray-500 mt-3 whitespace-pre-wrap">
+                      <span className="font-medium">Feedback:</span> {version.feedback}
+                    </p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SubmissionVersions
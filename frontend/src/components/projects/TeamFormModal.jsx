@@ -0,0 +1,167 @@
+import { Fragment, useEffect, useState } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { XMarkIcon, UserGroupIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { projectAPI } from '../../services/api'
+
+/**
+ * Create a team or change its name and members
+ * Members are picked from the team's current members and unassigned students
+ */
+const TeamFormModal = ({ isOpen, onClose, project, team, unassignedStudents = [], onSaved }) => {
+  const [name, setName] = useState('')
+  const [members, setMembers] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const maxSize = project?.teamSettings?.maxSize || 4
+  const locked = !!team?.hasSubmitted
+  const candidates = [...(team?.members || []), ...unassignedStudents]
+
+  useEffect(() => {
+    if (isOpen) {
+      setName(team?.name || '')
+      setMembers((team?.members || []).map(member => member._id))
+    }
+  }, [isOpen, team])
+
+  const toggleMember = (studentId) => {
+    setMembers(prev => prev.includes(studentId)
+      ? prev.filter(id => id !== studentId)
+      : [...prev, studentId])
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const data = locked ? { name: name.trim() } : { name: name.trim(), members }
+      if (team) {
+        await projectAPI.updateTeam(project._id, team._id, data)
+        toast.success('Team updated')
+      } else {
+        await projectAPI.createTeam(project._id, data)
+        toast.success(`Team ${name.trim()} created`)
+      }
+      onSaved()
+      onClose()
+    } catch (error) {
+      console.error('Error saving team:', error)
+      toast.error(error.response?.data?.message || 'Failed to save team')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <div className="flex items-center justify-between mb-4">
+                  <Dialog.Title as="h3" className="flex items-center text-lg font-medium leading-6 text-gray-900">
+                    <UserGroupIcon className="h-5 w-5 mr-2 text-red-600" />
+                    {team ? 'Edit Team' : 'New Team'}
+                  </Dialog.Title>
+                  <button
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+                  >
+                    <XMarkIcon className="w-5 h-5" />
+                  </button>
+                </div>
+
+                <form onSubmit={handleSave} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Team name</label>
+                    <input
+                      type="text"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      maxLength={60}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                      placeholder="e.g. Team Alpha"
+                      required
+                    />
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">Members</label>
+                      <span className={`text-xs ${members.length > maxSize ? 'text-red-600' : 'text-gray-500'}`}>
+                        {members.length}/{maxSize}
+                      </span>
+                    </div>
+                    {locked ? (
+                      <p className="text-xs text-amber-700 bg-amber-50 rounded-md p-2">
+                        This team has submitted, so only its name can change.
+                      </p>
+                    ) : candidates.length === 0 ? (
+                      <p className="text-sm text-gray-500">Every student is already in a team.</p>
+                    ) : (
+                      <div className="max-h-60 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+                        {candidates.map(student => (
+                          <label key={student._id} className="flex items-center px-3 py-2 text-sm hover:bg-gray-50">
+                            <input
+                              type="checkbox"
+                              checked={members.includes(student._id)}
+                              onChange={() => toggleMember(student._id)}
+                              className="h-4 w-4 mr-3 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                            />
+                            <span className="text-gray-900">{student.name}</span>
+                            <span className="ml-2 text-gray-500">{student.rollNo}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="flex space-x-3 pt-4">
+                    <button
+                      type="button"
+                      onClick={onClose}
+                      disabled={saving}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving || !name.trim() || (!locked && members.length > maxSize)}
+                      className="flex-1 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save Team'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
+
+export default TeamFormModal
@@ -0,0 +1,122 @@
+import { UserGroupIcon } from '@heroicons/react/24/outline'
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500'
+
+// Same defaults as backend/utils/projectTeams.js
+export const DEFAULT_TEAM_SETTINGS = {
+  enabled: false,
+  formation: 'teacher',
+  minSize: 2,
+  maxSize: 4,
+  peerEvaluation: false,
+  peerWeight: 20
+}
+
+/**
+ * Team settings from a saved project, shaped for the form
+ */
+export const toTeamSettingsForm = (teamSettings) => ({
+  ...DEFAULT_TEAM_SETTINGS,
+  ...(teamSettings || {})
+})
+
+/**
+ * Editor for a project's team settings
+ * Turns a project into a team project and sets how teams form and are graded
+ */
+const TeamSettingsEditor = ({ settings, onChange, disabled = false }) => {
+  const update = (field, value) => onChange({ ...settings, [field]: value })
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update('enabled', e.target.checked)}
+          className="h-4 w-4 mr-2 text-red-600 border-gray-300 rounded focus:ring-red-500"
+          disabled={disabled}
+        />
+        <UserGroupIcon className="h-4 w-4 mr-1" />
+        Team Project
+      </label>
+
+      {settings.enabled && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Teams formed by</label>
+              <select
+                value={settings.formation}
+                onChange={(e) => update('formation', e.target.value)}
+                className={inputClass}
+                disabled={disabled}
+              >
+                <option value="teacher">Teacher</option>
+                <option value="self">Students (self-selected)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Minimum size</label>
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={settings.minSize}
+                onChange={(e) => update('minSize', e.target.value)}
+                className={inputClass}
+                disabled={disabled}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Maximum size</label>
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={settings.maxSize}
+                onChange={(e) => update('maxSize', e.target.value)}
+                className={inputClass}
+                disabled={disabled}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+            <label className="flex items-center text-sm text-gray-700 sm:col-span-2">
+              <input
+                type="checkbox"
+                checked={settings.peerEvaluation}
+                onChange={(e) => update('peerEvaluation', e.target.checked)}
+                className="h-4 w-4 mr-2 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                disabled={disabled}
+              />
+              Adjust member scores with a confidential peer evaluation
+            </label>
+            {settings.peerEvaluation && (
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Largest adjustment (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="50"
+                  value={settings.peerWeight}
+                  onChange={(e) => update('peerWeight', e.target.value)}
+                  className={inputClass}
+                  disabled={disabled}
+                />
+              </div>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Each team makes one shared submission and every member receives the team's grade.
+            {settings.peerEvaluation && ` Members rate each other from 1 to 5; a member rated above or below the team average moves up or down by at most ${settings.peerWeight || 0}%.`}
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TeamSettingsEditor
@@ -7,6 +7,7 @@ import SimpleProjectAssign from '../../pages/teacher/projects/SimpleProjectAssig
 import SimpleProjectManage from '../../pages/teacher/projects/SimpleProjectManage'
 import SimpleProjectEdit from '../../pages/teacher/projects/SimpleProjectEdit'
 import TeacherProjectSubmissions from '../../pages/teacher/projects/TeacherProjectSubmissions'
+import SubmissionDetailView from '../../pages/teacher/submissions/SubmissionDetailView'
 import ProjectAnalytics from '../../pages/admin/projects/ProjectAnalytics'
 import SimpleProjectAnalytics from '../../pages/teacher/projects/SimpleProjectAnalytics'
 
@@ -26,6 +27,7 @@ const RoleBasedProjectRoutes = () => {
         <Route path="edit/:projectId" element={<SimpleProjectEdit />} />
         <Route path=":projectId/manage" element={<SimpleProjectManage />} />
         <Route path=":projectId/submissions" element={<TeacherProjectSubmissions />} />
+        <Route path=":projectId/submissions/:submissionId" element={<SubmissionDetailView />} />
         <Route path=":projectId/results" element={<ProjectAnalytics />} />
         <Route path=":projectId/analytics" element={<SimpleProjectAnalytics />} />
       </Routes>
@@ -0,0 +1,478 @@
+import { Fragment, useEffect, useMemo, useState } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import {
+  XMarkIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  DocumentArrowUpIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import { studentsAPI } from '../../services/api'
+import { useAuth } from '../../context/AuthContext'
+import {
+  IMPORT_COLUMNS,
+  readSpreadsheet,
+  guessMapping,
+  buildImportRows,
+  downloadErrorSheet
+} from '../../utils/studentImport'
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'map', label: 'Map Columns' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'done', label: 'Done' }
+]
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  imported: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+}
+
+/**
+ * Import students into a batch from an .xlsx or .csv file: pick the file
+ * and batch, map its columns, review a dry run with row-level errors, then
+ * save the valid rows. Rejected rows can be downloaded as a sheet to fix.
+ */
+const StudentImportWizard = ({ isOpen, onClose, batches = [], onImported }) => {
+  const { user } = useAuth()
+  const [step, setStep] = useState('upload')
+  const [batchId, setBatchId] = useState('')
+  const [file, setFile] = useState(null)
+  const [sheet, setSheet] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [preview, setPreview] = useState(null)
+  const [result, setResult] = useState(null)
+  const [rejectedOnly, setRejectedOnly] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      setStep('upload')
+      setBatchId('')
+      setFile(null)
+      setSheet(null)
+      setMapping({})
+      setPreview(null)
+      setResult(null)
+      setRejectedOnly(false)
+    }
+  }, [isOpen])
+
+  const columns = IMPORT_COLUMNS.filter(column => !column.adminOnly || user?.role === 'admin')
+  const rows = useMemo(
+    () => (sheet ? buildImportRows(sheet.rows, mapping) : []),
+    [sheet, mapping]
+  )
+  const report = result || preview
+  const missingRequired = columns.filter(column => column.required && mapping[column.key] === undefined)
+
+  const handleFile = async (selected) => {
+    if (!selected) return
+    try {
+      setLoading(true)
+      const parsed = await readSpreadsheet(selected)
+      setFile(selected)
+      setSheet(parsed)
+      setMapping(guessMapping(parsed.headers))
+    } catch (error) {
+      console.error('Error reading spreadsheet:', error)
+      toast.error(error.message || 'Failed to read the file')
+      setFile(null)
+      setSheet(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleMappingChange = (key, value) => {
+    setMapping(prev => {
+      const next = { ...prev }
+      if (value === '') {
+        delete next[key]
+      } else {
+        next[key] = Number(value)
+      }
+      return next
+    })
+  }
+
+  const handlePreview = async () => {
+    try {
+      setLoading(true)
+      const response = await studentsAPI.importStudents({ batchId, rows, dryRun: true })
+      setPreview(response.data)
+      setRejectedOnly(false)
+      setStep('preview')
+    } catch (error) {
+      console.error('Error previewing import:', error)
+      toast.error(error.response?.data?.message || 'Failed to check the file')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleImport = async () => {
+    try {
+      setLoading(true)
+      const response = await studentsAPI.importStudents({ batchId, rows, dryRun: false })
+      setResult(response.data)
+      setStep('done')
+      toast.success(`${response.data.summary.imported} students imported`)
+      const withoutSchedule = response.data.rows.filter(row => row.feeScheduleError).length
+      if (withoutSchedule > 0) {
+        toast(`Fee schedule could not be created for ${withoutSchedule} students. Generate it from their fee ledger.`, { icon: '⚠️', duration: 6000 })
+      }
+      onImported?.()
+    } catch (error) {
+      console.error('Error importing students:', error)
+      toast.error(error.response?.data?.message || 'Failed to import students')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDownloadErrors = async () => {
+    try {
+      await downloadErrorSheet({
+        headers: sheet.headers,
+        rows: sheet.rows,
+        lines: sheet.lines,
+        results: report.rows,
+        fileName: file.name
+      })
+    } catch (error) {
+      console.error('Error creating error sheet:', error)
+      toast.error('Failed to create the error sheet')
+    }
+  }
+
+  const visibleRows = report
+    ? report.rows.filter(row => !rejectedOnly || row.status === 'rejected')
+    : []
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={() => !loading && onClose()}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-4xl transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <div className="flex items-center justify-between mb-4">
+                  <Dialog.Title as="h3" className="flex items-center text-lg font-medium leading-6 text-gray-900">
+                    <ArrowUpTrayIcon className="h-5 w-5 mr-2 text-cadd-red" />
+                    Import Students
+                  </Dialog.Title>
+                  <button
+                    onClick={onClose}
+                    disabled={loading}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-md hover:bg-gray-100"
+                  >
+                    <XMarkIcon className="w-5 h-5" />
+                  </button>
+                </div>
+
+                {/* Steps */}
+                <ol className="flex items-center gap-2 mb-6 text-xs sm:text-sm">
+                  {STEPS.map((item, index) => {
+                    const current = STEPS.findIndex(s => s.key === step)
+                    return (
+                      <li key={item.key} className="flex items-center">
+                        <span className={`px-2 py-1 rounded-full font-medium ${
+                          index === current ? 'bg-cadd-red text-white' :
+                          index < current ? 'bg-red-100 text-cadd-red' : 'bg-gray-100 text-gray-500'
+                        }`}>
+                          {index + 1}. {item.label}
+                        </span>
+                        {index < STEPS.length - 1 && <span className="mx-1 text-gray-300">›</span>}
+                      </li>
+                    )
+                  })}
+                </ol>
+
+                {step === 'upload' && (
+                  <div className="space-y-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Batch</label>
+                      <select
+                        value={batchId}
+                        onChange={(e) => setBatchId(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cadd-red focus:border-cadd-red"
+                      >
+                        <option value="">Select a batch</option>
+                        {batches.map(batch => (
+                          <option key={batch._id} value={batch._id}>
+                            {batch.name}{batch.course?.name ? ` - ${batch.course.name}` : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <label className="flex flex-col items-center justify-center w-full px-4 py-8 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-cadd-red">
+                      <DocumentArrowUpIcon className="h-10 w-10 text-gray-400 mb-2" />
+                      <span className="text-sm font-medium text-gray-700">
+                        {file ? file.name : 'Choose an .xlsx or .csv file'}
+                      </span>
+                      <span className="text-xs text-gray-500 mt-1">
+                        {sheet ? `${sheet.rows.length} rows, ${sheet.headers.length} columns` : 'The first row must hold the column names'}
+                      </span>
+                      <input
+                        type="file"
+                        accept=".xlsx,.csv"
+                        className="hidden"
+                        onChange={(e) => {
+                          handleFile(e.target.files[0])
+                          e.target.value = ''
+                        }}
+                      />
+                    </label>
+
+                    <div className="flex justify-end gap-3">
+                      <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setStep('map')}
+                        disabled={!batchId || !sheet || loading}
+                        className="px-4 py-2 text-sm font-medium text-white bg-cadd-red rounded-md hover:bg-cadd-red/90 disabled:opacity-50"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {step === 'map' && sheet && (
+                  <div className="space-y-4">
+                    <p className="text-sm text-gray-600">
+                      Choose the column in <span className="font-medium">{file.name}</span> that holds each field.
+                      Department and course come from the selected batch.
+                    </p>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 max-h-96 overflow-y-auto pr-1">
+                      {columns.map(column => (
+                        <div key={column.key}>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            {column.label}{column.required && <span className="text-red-500"> *</span>}
+                          </label>
+                          <select
+                            value={mapping[column.key] ?? ''}
+                            onChange={(e) => handleMappingChange(column.key, e.target.value)}
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cadd-red focus:border-cadd-red"
+                          >
+                            <option value="">Not in file</option>
+                            {sheet.headers.map((header, index) => (
+                              <option key={index} value={index}>
+                                {header}{sheet.rows[0]?.[index] ? ` (e.g. ${sheet.rows[0][index]})` : ''}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+
+                    {missingRequired.length > 0 && (
+                      <p className="text-sm text-red-600">
+                        Map {missingRequired.map(column => column.label).join(' and ')} to continue.
+                      </p>
+                    )}
+
+                    <div className="flex justify-between gap-3">
+                      <button
+                        type="button"
+                        onClick={() => setStep('upload')}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                      >
+                        Back
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handlePreview}
+                        disabled={missingRequired.length > 0 || loading}
+                        className="px-4 py-2 text-sm font-medium text-white bg-cadd-red rounded-md hover:bg-cadd-red/90 disabled:opacity-50"
+                      >
+                        {loading ? 'Checking...' : 'Check Rows'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {(step === 'preview' || step === 'done') && report && (
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                      <div className="rounded-lg bg-gray-50 p-3">
+                        <p className="text-xs text-gray-500">Rows</p>
+                        <p className="text-xl font-bold text-gray-900">{report.summary.total}</p>
+                      </div>
+                      <div className="rounded-lg bg-green-50 p-3">
+                        <p className="text-xs text-green-700">{step === 'done' ? 'Imported' : 'Ready to import'}</p>
+                        <p className="text-xl font-bold text-green-700">
+                          {step === 'done' ? report.summary.imported : report.summary.valid}
+                        </p>
+                      </div>
+                      <div className="rounded-lg bg-red-50 p-3">
+                        <p className="text-xs text-red-700">Rejected</p>
+                        <p className="text-xl font-bold text-red-700">
+                          {report.rows.filter(row => row.status === 'rejected').length}
+                        </p>
+                      </div>
+                      <div className="rounded-lg bg-blue-50 p-3">
+                        <p className="text-xs text-blue-700">Free seats in {report.batch.name}</p>
+                        <p className="text-xl font-bold text-blue-700">
+                          {report.capacity.availableSlots} / {report.capacity.maxStudents}
+                        </p>
+                      </div>
+                    </div>
+
+                    {step === 'done' && (
+                      <div className="flex items-center p-3 rounded-lg bg-green-50 text-sm text-green-800">
+                        <CheckCircleIcon className="h-5 w-5 mr-2" />
+                        {report.summary.imported} students were added to {report.batch.name}.
+                      </div>
+                    )}
+
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={rejectedOnly}
+                          onChange={(e) => setRejectedOnly(e.target.checked)}
+                          className="mr-2 rounded border-gray-300 text-cadd-red focus:ring-cadd-red"
+                        />
+                        Show rejected rows only
+                      </label>
+                      {report.rows.some(row => row.status === 'rejected') && (
+                        <button
+                          type="button"
+                          onClick={handleDownloadErrors}
+                          className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-md hover:bg-red-100"
+                        >
+                          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                          Download Error Sheet
+                        </button>
+                      )}
+                    </div>
+
+                    <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50 sticky top-0">
+                          <tr>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Row</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Name</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Roll No</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Problems</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {visibleRows.map(row => {
+                            const data = rows[row.row - 1] || {}
+                            return (
+                              <tr key={row.row} className={row.status === 'rejected' ? 'bg-red-50/40' : ''}>
+                                <td className="px-3 py-2 text-gray-500">{sheet.lines[row.row - 1]}</td>
+                                <td className="px-3 py-2 text-gray-900">{data.name || '-'}</td>
+                                <td className="px-3 py-2 text-gray-700">{data.rollNo || '-'}</td>
+                                <td className="px-3 py-2">
+                                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[row.status]}`}>
+                                    {row.status}
+                                  </span>
+                                </td>
+                                <td className="px-3 py-2 text-red-700">
+                                  {row.errors.length > 0 && (
+                                    <ul className="space-y-0.5">
+                                      {row.errors.map((error, index) => (
+                                        <li key={index} className="flex items-start">
+                                          <ExclamationTriangleIcon className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                                          {error}
+                                        </li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                  {row.feeScheduleError && (
+                                    <p className="flex items-start text-yellow-700">
+                                      <ExclamationTriangleIcon className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                                      Fee schedule not created: {row.feeScheduleError}
+                                    </p>
+                                  )}
+                                </td>
+                              </tr>
+                            )
+                          })}
+                          {visibleRows.length === 0 && (
+                            <tr>
+                              <td colSpan="5" className="px-3 py-6 text-center text-gray-500">No rows to show</td>
+                            </tr>
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <div className="flex justify-between gap-3">
+                      {step === 'preview' ? (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => setStep('map')}
+                            disabled={loading}
+                            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                          >
+                            Back
+                          </button>
+                          <button
+                            type="button"
+                            onClick={handleImport}
+                            disabled={report.summary.valid === 0 || loading}
+                            className="px-4 py-2 text-sm font-medium text-white bg-cadd-red rounded-md hover:bg-cadd-red/90 disabled:opacity-50"
+                          >
+                            {loading ? 'Importing...' : `Import ${report.summary.valid} Valid Rows`}
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={onClose}
+                          className="ml-auto px-4 py-2 text-sm font-medium text-white bg-cadd-red rounded-md hover:bg-cadd-red/90"
+                        >
+                          Close
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
+
+export default StudentImportWizard
@@ -81,9 +81,11 @@ export const AuthProvider = ({ children }) => {
       } catch (error) {
         console.error('Profile check error:', error)
         
-        // Handle rate limiting (429)
-        if (error.response?.status === 429) {
-          console.log('Rate limited, using cached data if available')
+        // Handle rate limiting (429), and opening the app with no network,
+        // where the installed app should still show cached data
+        const networkUnavailable = !error.response && !navigator.onLine
+        if (error.response?.status === 429 || networkUnavailable) {
+          console.log(networkUnavailable ? 'Offline, using cached profile if available' : 'Rate limited, using cached data if available')
           const cachedUser = localStorage.getItem('cachedUser')
 
           if (cachedUser) {
@@ -9,6 +9,8 @@ export const useOffline = () => {
   const [pendingOperations, setPendingOperations] = useState(0)
   const [lastSyncTime, setLastSyncTime] = useState(null)
   const [syncError, setSyncError] = useState(null)
+  const [conflicts, setConflicts] = useState([])
+  const [failedOperations, setFailedOperations] = useState([])
 
   // Update pending operations count
   const updatePendingCount = useCallback(async () => {
@@ -20,6 +22,13 @@ export const useOffline = () => {
     }
   }, [])
 
+  // Writes waiting for the user: conflicts and operations that gave up
+  const updateSyncIssues = useCallback(async () => {
+    const issues = await offlineService.getSyncIssues()
+    setConflicts(issues.conflicts)
+    setFailedOperations(issues.failed)
+  }, [])
+
   // Update sync status
   const updateSyncStatus = useCallback(async () => {
     try {
@@ -66,11 +75,16 @@ export const useOffline = () => {
             setSyncError(event.error || 'Sync failed')
           }
           updatePendingCount()
+          updateSyncIssues()
           break
           
         case 'operationQueued':
           updatePendingCount()
           break
+
+        case 'conflictsDetected':
+          updateSyncIssues()
+          break
           
         default:
           break
@@ -84,9 +98,10 @@ export const useOffline = () => {
     setIsOnline(offlineService.isOnline)
     setIsSyncing(offlineService.isSyncing())
     updateSyncStatus()
+    updateSyncIssues()
     
     return unsubscribe
-  }, [updatePendingCount, updateSyncStatus])
+  }, [updatePendingCount, updateSyncStatus, updateSyncIssues])
 
   // Force sync function
   const forceSync = useCallback(async () => {
@@ -136,6 +151,8 @@ export const useOffline = () => {
     try {
       await offlineService.clearAllData()
       setPendingOperations(0)
+      setConflicts([])
+      setFailedOperations([])
       setLastSyncTime(null)
     } catch (error) {
       console.error('useOffline: Failed to clear local data:', error)
@@ -178,11 +195,14 @@ export const useOffline = () => {
     pendingOperations,
     lastSyncTime,
     syncError,
+    conflicts,
+    failedOperations,
     
     // Computed values
     lastSyncFormatted: getLastSyncFormatted(),
     isDataStale: isDataStale(),
     hasPendingOperations: pendingOperations > 0,
+    hasSyncIssues: conflicts.length > 0 || failedOperations.length > 0,
     
     // Actions
     forceSync,
@@ -191,6 +211,7 @@ export const useOffline = () => {
     getDataLocally,
     clearLocalData,
     updateSyncStatus,
+    updateSyncIssues,
     
     // Utilities
     isDataStaleCheck: isDataStale
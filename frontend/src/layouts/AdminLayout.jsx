@@ -16,6 +16,10 @@ import {
   UsersIcon,
   SpeakerWaveIcon,
   DocumentTextIcon,
+  DocumentCheckIcon,
+  CalendarDaysIcon,
+  ClockIcon,
+  BellAlertIcon,
 } from '@heroicons/react/24/outline'
 
 const AdminLayout = () => {
@@ -85,6 +89,30 @@ const AdminLayout = () => {
       icon: ClipboardDocumentListIcon,
       current: location.pathname.startsWith('/admin/attendance'),
     },
+    {
+      name: 'Leave Requests',
+      href: '/admin/leave-requests',
+      icon: DocumentCheckIcon,
+      current: location.pathname.startsWith('/admin/leave-requests'),
+    },
+    {
+      name: 'Holidays',
+      href: '/admin/holidays',
+      icon: CalendarDaysIcon,
+      current: location.pathname.startsWith('/admin/holidays'),
+    },
+    {
+      name: 'Audit Trail',
+      href: '/admin/audit',
+      icon: ClockIcon,
+      current: location.pathname.startsWith('/admin/audit'),
+    },
+    {
+      name: 'Absence Alerts',
+      href: '/admin/alerts',
+      icon: BellAlertIcon,
+      current: location.pathname.startsWith('/admin/alerts'),
+    },
     {
       name: 'Projects',
       href: '/admin/projects',
@@ -13,6 +13,8 @@ import {
   UserIcon,
   AcademicCapIcon,
   DocumentTextIcon,
+  CalendarDaysIcon,
+  DocumentCheckIcon,
 } from '@heroicons/react/24/outline'
 
 const TeacherLayout = () => {
@@ -59,6 +61,12 @@ const TeacherLayout = () => {
           icon: ClipboardDocumentListIcon,
           current: location.pathname.startsWith('/attendance'),
         },
+        {
+          name: 'Leave Requests',
+          href: '/leave-requests',
+          icon: DocumentCheckIcon,
+          current: location.pathname.startsWith('/leave-requests'),
+        },
         {
           name: 'Projects',
           href: '/projects',
@@ -83,6 +91,24 @@ const TeacherLayout = () => {
         icon: ClipboardDocumentListIcon,
         current: location.pathname.startsWith('/attendance'),
       },
+      {
+        name: 'My Lab Bookings',
+        href: '/lab-bookings',
+        icon: CalendarDaysIcon,
+        current: location.pathname.startsWith('/lab-bookings'),
+      },
+      {
+        name: 'My Leave',
+        href: '/leave',
+        icon: DocumentCheckIcon,
+        current: location.pathname.startsWith('/leave'),
+      },
+      {
+        name: 'My Certificates',
+        href: '/certificates',
+        icon: AcademicCapIcon,
+        current: location.pathname.startsWith('/certificates'),
+      },
       {
         name: 'My Projects',
         href: '/projects',
@@ -93,6 +119,7 @@ const TeacherLayout = () => {
   }
 
   const navigation = getNavigation()
+  const isStudent = user?.role === 'student'
 
   const handleLogout = async () => {
     await logout()
@@ -153,7 +180,7 @@ const TeacherLayout = () => {
                 </div>
               </div>
               <div className="text-center">
-                <h1 className="text-white text-lg font-bold mb-1">Teacher Portal</h1>
+                <h1 className="text-white text-lg font-bold mb-1">{isStudent ? 'Student Portal' : 'Teacher Portal'}</h1>
                 <p className="text-gray-400 text-sm">Education Management</p>
               </div>
             </div>
@@ -235,7 +262,7 @@ const TeacherLayout = () => {
                 </div>
               </div>
               <div className="text-center">
-                <h1 className="text-white text-lg font-bold mb-1">Teacher Portal</h1>
+                <h1 className="text-white text-lg font-bold mb-1">{isStudent ? 'Student Portal' : 'Teacher Portal'}</h1>
                 <p className="text-gray-400 text-sm">Education Management</p>
               </div>
             </div>
@@ -298,10 +325,10 @@ const TeacherLayout = () => {
         <div className="hidden md:block sticky top-0 z-10 bg-white shadow-sm border-b border-gray-200">
           <div className="flex items-center justify-between px-6 py-3">
             <div className="flex items-center space-x-4">
-              <h2 className="text-lg font-semibold text-gray-900">Teacher Dashboard</h2>
+              <h2 className="text-lg font-semibold text-gray-900">{isStudent ? 'Student Dashboard' : 'Teacher Dashboard'}</h2>
             </div>
             <div className="flex items-center space-x-4">
-              <TeacherNotifications />
+              {!isStudent && <TeacherNotifications />}
               <div className="flex items-center space-x-3">
                 <div className="h-8 w-8 rounded-full bg-gradient-to-br from-cadd-red to-cadd-pink flex items-center justify-center">
                   <span className="text-sm font-bold text-white">
@@ -344,10 +371,10 @@ const TeacherLayout = () => {
                 </div>
                 <div className="text-center">
                   <h1 className="text-lg font-bold bg-gradient-to-r from-cadd-red to-cadd-pink bg-clip-text text-transparent">CDC</h1>
-                  <p className="text-xs text-gray-500 font-medium">Teacher Portal</p>
+                  <p className="text-xs text-gray-500 font-medium">{isStudent ? 'Student Portal' : 'Teacher Portal'}</p>
                 </div>
               </div>
-              <TeacherNotifications />
+              {!isStudent && <TeacherNotifications />}
             </div>
           </div>
         </div>
@@ -5,6 +5,7 @@ import App from './App.jsx'
 import './index.css'
 import { AuthProvider } from './context/AuthContext'
 import { Toaster } from 'react-hot-toast'
+import { serviceWorkerService } from './services/serviceWorker'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -16,3 +17,6 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     </BrowserRouter>
   </React.StrictMode>
 )
+
+// Offline app shell, cached reads and Background Sync (production builds)
+serviceWorkerService.register()
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { Link } from 'react-router-dom'
 import {
   ComputerDesktopIcon,
@@ -24,17 +24,21 @@ import {
   FireIcon,
   SparklesIcon
 } from '@heroicons/react/24/outline'
-import { pcAPI, bookingAPI } from '../../services/labAPI'
+import { pcAPI, bookingAPI, seatHoldAPI } from '../../services/labAPI'
 import { teachersAPI, studentsAPI, batchesAPI } from '../../services/api'
 import api from '../../services/api'
+import { useAuth } from '../../context/AuthContext'
 import toast from 'react-hot-toast'
 import { showConfirm } from '../../utils/popup'
 import BackButton from '../../components/BackButton'
 import labUpdateService from '../../services/labUpdateService'
 import ApplyPreviousDateModal from '../../components/ApplyPreviousDateModal'
-import { TIME_SLOTS, getCurrentTimeSlot, getCurrentTimeSlotWithReason, getTimeSlotLabel } from '../../utils/timeSlots'
+import PCReliabilityStats from '../../components/PCReliabilityStats'
+import { loadTimeSlots, useTimeSlots, getCurrentTimeSlot, getCurrentTimeSlotWithReason, getTimeSlotLabel } from '../../utils/timeSlots'
 
 const LabOverview = () => {
+  const { user } = useAuth()
+
   // Booking System State
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0])
   const [selectedTimeSlot, setSelectedTimeSlot] = useState('')
@@ -54,6 +58,11 @@ const LabOverview = () => {
   const [filteredStudents, setFilteredStudents] = useState([])
   const [showApplyPreviousModal, setShowApplyPreviousModal] = useState(false)
 
+  // Seats held by users who have a booking form open, and our own hold
+  const [holds, setHolds] = useState([])
+  const [myHold, setMyHold] = useState(null)
+  const myHoldRef = useRef(null)
+
   // Enhanced state for better functionality
   const [labStats, setLabStats] = useState({
     totalPCs: 0,
@@ -62,7 +71,8 @@ const LabOverview = () => {
     availablePCs: 0,
     maintenancePCs: 0
   })
-  const [realTimeMode, setRealTimeMode] = useState(false)
+  const [realTimeMode, setRealTimeMode] = useState(true)
+  const [liveConnected, setLiveConnected] = useState(false)
   const [autoRefresh, setAutoRefresh] = useState(false)
   const [viewMode, setViewMode] = useState('grid') // 'grid', 'list', 'timeline'
   const [filterStatus, setFilterStatus] = useState('all') // 'all', 'available', 'booked', 'maintenance'
@@ -77,46 +87,48 @@ const LabOverview = () => {
   })
 
   // Time slots configuration - use centralized utility
-  const timeSlots = TIME_SLOTS.map(slot => slot.id)
+  const timeSlots = useTimeSlots().map(slot => slot.id)
 
   // Auto-select current time slot based on real-time
   const [autoSelected, setAutoSelected] = useState(false)
 
-  // Auto-select time slot on component mount
+  // Auto-select time slot once the institute slots have loaded
   useEffect(() => {
     if (!selectedTimeSlot) {
-      const currentSlot = getCurrentTimeSlot()
-      if (currentSlot) {
-        setSelectedTimeSlot(currentSlot.id)
-        setAutoSelected(true)
-
-        // Get detailed reason for selection
-        const { reason, scenario } = getCurrentTimeSlotWithReason()
-
-        // Show appropriate toast message based on scenario
-        let toastMessage = `🕒 Auto-selected: ${currentSlot.label}`
-        let toastIcon = '🕒'
-
-        switch (scenario) {
-          case 'active':
-            toastIcon = '✅'
-            toastMessage = `${toastIcon} Current time slot: ${currentSlot.label}`
-            break
-          case 'after-hours':
-            toastIcon = '🌙'
-            toastMessage = `${toastIcon} After hours - Selected: ${currentSlot.label}`
-            break
-          case 'before-hours':
-            toastIcon = '🌅'
-            toastMessage = `${toastIcon} Early morning - Selected: ${currentSlot.label}`
-            break
-          default:
-            toastIcon = '🕒'
-            toastMessage = `${toastIcon} Auto-selected: ${currentSlot.label}`
-        }
+      loadTimeSlots().then(() => {
+        const currentSlot = getCurrentTimeSlot()
+        if (currentSlot) {
+          setSelectedTimeSlot(currentSlot.id)
+          setAutoSelected(true)
+
+          // Get detailed reason for selection
+          const { reason, scenario } = getCurrentTimeSlotWithReason()
+
+          // Show appropriate toast message based on scenario
+          let toastMessage = `🕒 Auto-selected: ${currentSlot.label}`
+          let toastIcon = '🕒'
+
+          switch (scenario) {
+            case 'active':
+              toastIcon = '✅'
+              toastMessage = `${toastIcon} Current time slot: ${currentSlot.label}`
+              break
+            case 'after-hours':
+              toastIcon = '🌙'
+              toastMessage = `${toastIcon} After hours - Selected: ${currentSlot.label}`
+              break
+            case 'before-hours':
+              toastIcon = '🌅'
+              toastMessage = `${toastIcon} Early morning - Selected: ${currentSlot.label}`
+              break
+            default:
+              toastIcon = '🕒'
+              toastMessage = `${toastIcon} Auto-selected: ${currentSlot.label}`
+          }
 
-        toast.success(toastMessage)
-      }
+          toast.success(toastMessage)
+        }
+      })
     }
   }, [])
 
@@ -139,6 +151,7 @@ const LabOverview = () => {
   useEffect(() => {
     if (selectedDate && selectedTimeSlot) {
       fetchBookings()
+      fetchHolds()
     }
   }, [selectedDate, selectedTimeSlot])
 
@@ -161,32 +174,68 @@ const LabOverview = () => {
     }
   }, [studentSearch, students])
 
-  // Initialize lab update service
+  // Live updates pushed by the server for the selected date
   useEffect(() => {
     labUpdateService.init()
-    const unsubscribe = labUpdateService.subscribe(['lab_availability', 'booking', 'pc_status'], (update) => {
-      if (realTimeMode) {
-        fetchBookings()
-        fetchPCsByRow()
-        updateLabStats()
+
+    if (!realTimeMode) {
+      labUpdateService.disconnect()
+      setLiveConnected(false)
+      return
+    }
+
+    labUpdateService.connect(selectedDate)
+    setLiveConnected(labUpdateService.connected)
+
+    const unsubscribe = labUpdateService.subscribe(['booking', 'pc_status', 'seat_hold', 'connection'], (update) => {
+      switch (update.type) {
+        case 'connection':
+          setLiveConnected(update.connected)
+          // Catch up on anything missed while the stream was down
+          if (update.connected && selectedTimeSlot) {
+            fetchBookings()
+            fetchHolds()
+          }
+          break
+        case 'booking':
+          if (selectedTimeSlot && (!update.date || update.date === selectedDate)) {
+            fetchBookings()
+          }
+          break
+        case 'pc_status':
+          fetchPCsByRow()
+          break
+        case 'seat_hold':
+          if (update.timeSlot === selectedTimeSlot) {
+            applyHoldUpdate(update)
+          }
+          break
+        default:
+          break
       }
     })
     return () => unsubscribe()
-  }, [realTimeMode])
+  }, [realTimeMode, selectedDate, selectedTimeSlot])
+
+  // Close the stream when leaving the page
+  useEffect(() => {
+    return () => labUpdateService.disconnect()
+  }, [])
 
-  // Auto-refresh functionality
+  // Auto-refresh fallback while the live stream is unavailable
   useEffect(() => {
     let interval
-    if (autoRefresh && selectedDate && selectedTimeSlot) {
+    if (autoRefresh && !liveConnected && selectedDate && selectedTimeSlot) {
       interval = setInterval(() => {
         fetchBookings()
+        fetchHolds()
         updateLabStats()
       }, 30000) // Refresh every 30 seconds
     }
     return () => {
       if (interval) clearInterval(interval)
     }
-  }, [autoRefresh, selectedDate, selectedTimeSlot])
+  }, [autoRefresh, liveConnected, selectedDate, selectedTimeSlot])
 
   // Update lab statistics
   const updateLabStats = async () => {
@@ -414,8 +463,54 @@ const LabOverview = () => {
     }
   }
 
+  const fetchHolds = async () => {
+    try {
+      const data = await seatHoldAPI.getHolds({ date: selectedDate, timeSlot: selectedTimeSlot })
+      setHolds(Array.isArray(data) ? data : [])
+    } catch (error) {
+      console.error('❌ Error fetching seat holds:', error)
+      setHolds([])
+    }
+  }
+
+  const updateMyHold = (hold) => {
+    myHoldRef.current = hold
+    setMyHold(hold)
+  }
+
+  // Apply a hold placed, released or expired in any browser
+  const applyHoldUpdate = ({ action, hold }) => {
+    setHolds(prev => {
+      const others = prev.filter(item => item._id !== hold._id)
+      return action === 'hold_placed' ? [...others, hold] : others
+    })
+
+    if (action === 'hold_expired' && myHoldRef.current?._id === hold._id) {
+      updateMyHold(null)
+      toast('Your reservation on this PC has expired; book now or it may be taken', { icon: '⚠️', duration: 6000 })
+    }
+  }
+
+  // Live hold by another user on a PC in the selected slot
+  const getOtherHold = (pc) => holds.find(hold =>
+    hold.pc === pc._id &&
+    hold.heldBy !== user?._id &&
+    new Date(hold.expiresAt) > new Date()
+  )
+
+  const closeBookingModal = () => {
+    const hold = myHoldRef.current
+    if (hold) {
+      updateMyHold(null)
+      seatHoldAPI.releaseHold(hold._id).catch(() => {
+        // Already expired or released
+      })
+    }
+    setShowBookingModal(false)
+  }
+
   // Booking System Functions
-  const handlePCClick = (pc) => {
+  const handlePCClick = async (pc) => {
     console.log('🖱️ PC clicked:', pc.pcNumber, 'Status:', pc.status)
 
     // Validation: Check if date and time slot are selected
@@ -466,6 +561,27 @@ const LabOverview = () => {
         autoClose: 2000,
       })
     } else {
+      const otherHold = getOtherHold(pc)
+      if (otherHold) {
+        toast.error(`🔒 PC ${pc.pcNumber} is being booked by ${otherHold.heldByName || 'another user'}`)
+        return
+      }
+
+      // Reserve the seat while the form is open so nobody else can take it
+      try {
+        const hold = await seatHoldAPI.placeHold({
+          pc: pc._id,
+          date: selectedDate,
+          timeSlot: selectedTimeSlot
+        })
+        updateMyHold(hold)
+      } catch (error) {
+        toast.error(`❌ ${error.response?.data?.message || 'Could not reserve this PC'}`)
+        fetchBookings()
+        fetchHolds()
+        return
+      }
+
       // Open new booking form
       console.log('➕ Opening new booking form for PC:', pc.pcNumber)
       setSelectedPC(pc)
@@ -563,6 +679,11 @@ const LabOverview = () => {
         duration: 3000,
       })
 
+      // Timetable and capacity problems don't stop the booking
+      response.warnings?.forEach(warning => {
+        toast(warning.message, { icon: '⚠️', duration: 6000 })
+      })
+
       // Trigger real-time update if available
       if (response.updateEvent) {
         console.log('🔄 Triggering real-time update:', response.updateEvent)
@@ -573,7 +694,8 @@ const LabOverview = () => {
       // Refresh data to show updated booking status
       await fetchBookings()
 
-      // Close modal and reset form
+      // Close modal and reset form; the server released our hold
+      updateMyHold(null)
       setShowBookingModal(false)
       setSelectedPC(null)
       setSelectedStudent('')
@@ -679,6 +801,10 @@ const LabOverview = () => {
       b.timeSlot === selectedTimeSlot
     )
 
+    if (!booking && getOtherHold(pc)) {
+      return 'bg-purple-500 hover:bg-purple-600 text-white border-purple-600 shadow-purple-200' // Purple - Being booked elsewhere
+    }
+
     if (booking) {
       // Enhanced color based on attendance status
       switch (booking.attendanceStatus) {
@@ -723,6 +849,8 @@ const LabOverview = () => {
       b.timeSlot === selectedTimeSlot
     )
 
+    if (!booking && getOtherHold(pc)) return '🔒'
+
     if (booking) {
       switch (booking.attendanceStatus) {
         case 'present': return '👤'
@@ -751,6 +879,8 @@ const LabOverview = () => {
       b.timeSlot === selectedTimeSlot
     )
 
+    if (!booking && getOtherHold(pc)) return 'Being Booked'
+
     if (booking) {
       switch (booking.attendanceStatus) {
         case 'present':
@@ -1061,12 +1191,17 @@ const LabOverview = () => {
                 <h1 className="text-4xl font-bold text-white">
                   Smart Lab Control Center
                 </h1>
-                {realTimeMode && (
+                {realTimeMode && (liveConnected ? (
                   <div className="flex items-center space-x-2 px-3 py-1 bg-green-500/20 rounded-full">
                     <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
                     <span className="text-green-300 text-sm font-medium">LIVE</span>
                   </div>
-                )}
+                ) : (
+                  <div className="flex items-center space-x-2 px-3 py-1 bg-yellow-500/20 rounded-full">
+                    <div className="w-2 h-2 bg-yellow-400 rounded-full"></div>
+                    <span className="text-yellow-200 text-sm font-medium">RECONNECTING</span>
+                  </div>
+                ))}
               </div>
 
               <p className="text-xl text-white/90 mb-4">
@@ -1173,7 +1308,7 @@ const LabOverview = () => {
                     autoRefresh ? 'translate-x-6' : 'translate-x-1'
                   }`} />
                 </button>
-                <span className="text-sm font-medium text-gray-700">Auto-refresh</span>
+                <span className="text-sm font-medium text-gray-700" title="Polls every 30 seconds while live updates are unavailable">Auto-refresh</span>
               </div>
             </div>
           </div>
@@ -1380,6 +1515,9 @@ const LabOverview = () => {
 
 
 
+      {/* Per-PC downtime and MTBF from maintenance tickets */}
+      <PCReliabilityStats />
+
       {/* Enhanced Smart Color-Coded Status Legend */}
       <div className="bg-gradient-to-r from-gray-50 to-blue-50 rounded-2xl shadow-lg p-6 border border-gray-200">
         <div className="mb-5">
@@ -1489,6 +1627,7 @@ const LabOverview = () => {
                           b.pc._id === pc._id &&
                           b.timeSlot === selectedTimeSlot
                         )
+                        const otherHold = !booking && getOtherHold(pc)
 
                         return (
                           <div
@@ -1514,6 +1653,10 @@ const LabOverview = () => {
                               {getPCStatusText(pc)}
                             </div>
 
+                            {otherHold && (
+                              <div className="text-xs mt-2 truncate opacity-95">🔒 {otherHold.heldByName}</div>
+                            )}
+
                             {/* Enhanced Booking Information */}
                             {booking && (
                               <div className="text-xs mt-2 opacity-95">
@@ -1583,6 +1726,8 @@ const LabOverview = () => {
                                     '❌ Not available'
                                   ) : booking ? (
                                     '👁️ Click to view/edit'
+                                  ) : otherHold ? (
+                                    `🔒 ${otherHold.heldByName || 'Another user'} is booking`
                                   ) : (
                                     '➕ Click to book'
                                   )}
@@ -1617,7 +1762,7 @@ const LabOverview = () => {
                   </p>
                 </div>
                 <button
-                  onClick={() => setShowBookingModal(false)}
+                  onClick={closeBookingModal}
                   className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
                 >
                   <XMarkIcon className="h-5 w-5 text-gray-500" />
@@ -1667,7 +1812,7 @@ const LabOverview = () => {
                       Delete Booking
                     </button>
                     <button
-                      onClick={() => setShowBookingModal(false)}
+                      onClick={closeBookingModal}
                       className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors font-medium"
                     >
                       Close
@@ -1677,6 +1822,12 @@ const LabOverview = () => {
               ) : (
                 /* New Booking Form */
                 <div className="space-y-4">
+                  {myHold && (
+                    <div className="text-xs text-purple-700 bg-purple-50 border border-purple-200 rounded-lg px-3 py-2">
+                      🔒 Reserved for you until {new Date(myHold.expiresAt).toLocaleTimeString()}
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Search Student
@@ -1755,7 +1906,7 @@ const LabOverview = () => {
                       {bookingLoading ? 'Booking...' : 'Book PC'}
                     </button>
                     <button
-                      onClick={() => setShowBookingModal(false)}
+                      onClick={closeBookingModal}
                       className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors font-medium"
                     >
                       Cancel
@@ -0,0 +1,643 @@
+import { useState, useEffect } from 'react'
+import {
+  BellAlertIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  PlayIcon,
+  EyeIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { absenceAlertsAPI, batchesAPI } from '../../../services/api'
+import { showConfirm } from '../../../utils/popup'
+import BackButton from '../../../components/BackButton'
+
+const RULE_TYPES = {
+  consecutive_absences: 'Consecutive absences',
+  low_attendance: 'Low attendance',
+  absent_without_leave: 'Absent without leave',
+}
+
+const RECIPIENTS = { guardian: 'Guardian', teacher: 'Batch teacher' }
+const CHANNELS = { email: 'Email', sms: 'SMS' }
+
+const STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-800',
+  planned: 'bg-blue-100 text-blue-800',
+}
+
+const emptyForm = {
+  name: '',
+  type: 'consecutive_absences',
+  threshold: '3',
+  windowDays: '',
+  minSessions: '5',
+  repeatAfterDays: '7',
+  recipients: ['guardian', 'teacher'],
+  channels: ['email'],
+}
+
+const emptyFilters = {
+  rule: '',
+  batch: '',
+  status: '',
+  channel: '',
+  from: '',
+  to: '',
+}
+
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'consecutive_absences':
+      return `${rule.threshold} or more absences in a row`
+    case 'low_attendance':
+      return `Below ${rule.threshold}% over the last ${rule.windowDays} days (after ${rule.minSessions} sessions, repeated every ${rule.repeatAfterDays} days)`
+    case 'absent_without_leave':
+      return `Absent without a leave request, checked over the last ${rule.windowDays} day${rule.windowDays === 1 ? '' : 's'}`
+    default:
+      return rule.type
+  }
+}
+
+const AbsenceAlerts = () => {
+  const [rules, setRules] = useState([])
+  const [service, setService] = useState(null)
+  const [transports, setTransports] = useState({})
+  const [loadingRules, setLoadingRules] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+  const [submitting, setSubmitting] = useState(false)
+  const [running, setRunning] = useState(false)
+  const [preview, setPreview] = useState(null)
+
+  const [alerts, setAlerts] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+  const [page, setPage] = useState(1)
+  const [filters, setFilters] = useState(emptyFilters)
+  const [batches, setBatches] = useState([])
+  const [loadingAlerts, setLoadingAlerts] = useState(true)
+
+  useEffect(() => {
+    fetchRules()
+    batchesAPI.getBatches()
+      .then(response => setBatches(Array.isArray(response.data) ? response.data : []))
+      .catch(() => toast.error('Failed to fetch batches'))
+  }, [])
+
+  useEffect(() => {
+    fetchAlerts()
+  }, [filters, page])
+
+  const fetchRules = async () => {
+    try {
+      setLoadingRules(true)
+      const response = await absenceAlertsAPI.getRules()
+      setRules(response.data.rules || [])
+      setService(response.data.service || null)
+      setTransports(response.data.transports || {})
+    } catch (error) {
+      console.error('Error fetching alert rules:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch alert rules')
+    } finally {
+      setLoadingRules(false)
+    }
+  }
+
+  const fetchAlerts = async () => {
+    try {
+      setLoadingAlerts(true)
+      const params = { page, limit: 50 }
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value
+      })
+      const response = await absenceAlertsAPI.getAlerts(params)
+      setAlerts(response.data.alerts || [])
+      setPagination(response.data.pagination || { page: 1, pages: 1, total: 0 })
+    } catch (error) {
+      console.error('Error fetching alert log:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch alert log')
+    } finally {
+      setLoadingAlerts(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Thresholds mean different things per type, so start from that type's default
+      ...(name === 'type' ? {
+        threshold: value === 'low_attendance' ? '75' : value === 'consecutive_absences' ? '3' : '',
+        windowDays: value === 'low_attendance' ? '30' : value === 'absent_without_leave' ? '1' : '',
+      } : {}),
+    }))
+  }
+
+  const handleToggleOption = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value],
+    }))
+  }
+
+  const openForm = (rule = null) => {
+    setEditingId(rule?._id || null)
+    setFormData(rule ? {
+      name: rule.name,
+      type: rule.type,
+      threshold: rule.threshold === undefined ? '' : String(rule.threshold),
+      windowDays: rule.windowDays === undefined ? '' : String(rule.windowDays),
+      minSessions: String(rule.minSessions ?? 5),
+      repeatAfterDays: String(rule.repeatAfterDays ?? 7),
+      recipients: rule.recipients,
+      channels: rule.channels,
+    } : emptyForm)
+    setShowForm(true)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      name: formData.name,
+      type: formData.type,
+      recipients: formData.recipients,
+      channels: formData.channels,
+    }
+    if (formData.type !== 'absent_without_leave') payload.threshold = Number(formData.threshold)
+    if (formData.type !== 'consecutive_absences') payload.windowDays = Number(formData.windowDays)
+    if (formData.type === 'low_attendance') {
+      payload.minSessions = Number(formData.minSessions)
+      payload.repeatAfterDays = Number(formData.repeatAfterDays)
+    }
+
+    try {
+      setSubmitting(true)
+      if (editingId) {
+        await absenceAlertsAPI.updateRule(editingId, payload)
+        toast.success('Alert rule updated')
+      } else {
+        await absenceAlertsAPI.createRule(payload)
+        toast.success('Alert rule added')
+      }
+      setShowForm(false)
+      setEditingId(null)
+      setFormData(emptyForm)
+      fetchRules()
+    } catch (error) {
+      const errors = error.response?.data?.errors
+      toast.error(errors?.length ? errors.join(', ') : error.response?.data?.message || 'Failed to save alert rule')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleToggleActive = async (rule) => {
+    try {
+      await absenceAlertsAPI.updateRule(rule._id, { isActive: !rule.isActive })
+      toast.success(rule.isActive ? 'Alert rule paused' : 'Alert rule enabled')
+      fetchRules()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update alert rule')
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    const confirmed = await showConfirm(
+      `Delete "${rule.name}"? Alerts already sent stay in the log.`,
+      'Delete Alert Rule'
+    )
+    if (!confirmed) return
+
+    try {
+      await absenceAlertsAPI.deleteRule(rule._id)
+      toast.success('Alert rule deleted')
+      fetchRules()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete alert rule')
+    }
+  }
+
+  const handleRun = async (dryRun) => {
+    if (!dryRun) {
+      const confirmed = await showConfirm(
+        'Check all active rules now and send any new alerts to guardians and teachers?',
+        'Send Alerts'
+      )
+      if (!confirmed) return
+    }
+
+    try {
+      setRunning(true)
+      const response = await absenceAlertsAPI.runRules({ dryRun })
+      if (dryRun) {
+        setPreview(response.data.deliveries || [])
+      } else {
+        setPreview(null)
+        toast.success(response.data.message)
+        fetchRules()
+        fetchAlerts()
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to run alert rules')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const handleFilterChange = (e) => {
+    setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }))
+    setPage(1)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <div className="flex items-center">
+        <BackButton />
+      </div>
+
+      {/* Header */}
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <BellAlertIcon className="h-8 w-8 text-blue-500 mr-3" />
+            Absence Alerts
+          </h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Tell guardians and batch teachers when a student misses classes
+          </p>
+          {service && (
+            <p className="mt-1 text-xs text-gray-500">
+              Runs on schedule <span className="font-mono">{service.schedule}</span>
+              {service.lastRun && ` · last run ${format(new Date(service.lastRun), 'dd MMM yyyy, hh:mm a')}`}
+              {transports.email && ` · email via ${transports.email}, SMS via ${transports.sms}`}
+            </p>
+          )}
+        </div>
+        <div className="mt-4 sm:mt-0 flex flex-wrap gap-2">
+          <button onClick={() => handleRun(true)} disabled={running} className="btn-secondary inline-flex items-center">
+            <EyeIcon className="h-4 w-4 mr-1" />
+            Preview
+          </button>
+          <button onClick={() => handleRun(false)} disabled={running} className="btn-secondary inline-flex items-center">
+            <PlayIcon className="h-4 w-4 mr-1" />
+            {running ? 'Running...' : 'Run now'}
+          </button>
+          <button onClick={() => openForm()} className="btn-primary inline-flex items-center">
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add Rule
+          </button>
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder="e.g. Three absences in a row"
+              className="form-input"
+              maxLength={100}
+              required
+            />
+          </div>
+          <div>
+            <label className="form-label">Condition</label>
+            <select name="type" value={formData.type} onChange={handleChange} className="form-input">
+              {Object.entries(RULE_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {formData.type === 'consecutive_absences' && (
+            <div>
+              <label className="form-label">Absences in a row</label>
+              <input type="number" name="threshold" min="2" max="60" value={formData.threshold} onChange={handleChange} className="form-input" required />
+            </div>
+          )}
+          {formData.type === 'low_attendance' && (
+            <>
+              <div>
+                <label className="form-label">Attendance below (%)</label>
+                <input type="number" name="threshold" min="1" max="100" value={formData.threshold} onChange={handleChange} className="form-input" required />
+              </div>
+              <div>
+                <label className="form-label">Over the last (days)</label>
+                <input type="number" name="windowDays" min="1" max="365" value={formData.windowDays} onChange={handleChange} className="form-input" required />
+              </div>
+              <div>
+                <label className="form-label">Minimum sessions</label>
+                <input type="number" name="minSessions" min="1" max="365" value={formData.minSessions} onChange={handleChange} className="form-input" required />
+              </div>
+              <div>
+                <label className="form-label">Remind again after (days)</label>
+                <input type="number" name="repeatAfterDays" min="1" max="365" value={formData.repeatAfterDays} onChange={handleChange} className="form-input" required />
+              </div>
+            </>
+          )}
+          {formData.type === 'absent_without_leave' && (
+            <div>
+              <label className="form-label">Check the last (days)</label>
+              <input type="number" name="windowDays" min="1" max="365" value={formData.windowDays} onChange={handleChange} className="form-input" required />
+            </div>
+          )}
+
+          <div>
+            <label className="form-label">Notify</label>
+            <div className="flex flex-wrap gap-4 mt-2">
+              {Object.entries(RECIPIENTS).map(([value, label]) => (
+                <label key={value} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.recipients.includes(value)}
+                    onChange={() => handleToggleOption('recipients', value)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="form-label">Send by</label>
+            <div className="flex flex-wrap gap-4 mt-2">
+              {Object.entries(CHANNELS).map(([value, label]) => (
+                <label key={value} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.channels.includes(value)}
+                    onChange={() => handleToggleOption('channels', value)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="sm:col-span-3 flex justify-end gap-2">
+            <button type="button" onClick={() => { setShowForm(false); setEditingId(null) }} className="btn-secondary">Cancel</button>
+            <button
+              type="submit"
+              disabled={submitting || formData.recipients.length === 0 || formData.channels.length === 0}
+              className="btn-primary"
+            >
+              {submitting ? 'Saving...' : editingId ? 'Update Rule' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Rules */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Rules</h2>
+        </div>
+        {loadingRules ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+          </div>
+        ) : rules.length === 0 ? (
+          <p className="px-6 py-6 text-sm text-gray-500">No alert rules yet. Add one to start alerting on absences.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notifies</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rules.map(rule => (
+                <tr key={rule._id} className={rule.isActive ? '' : 'opacity-60'}>
+                  <td className="px-6 py-4 text-sm">
+                    <p className="font-medium text-gray-900">{rule.name}</p>
+                    <p className="text-xs text-gray-500">{describeRule(rule)}</p>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    <p>{rule.recipients.map(value => RECIPIENTS[value]).join(', ')}</p>
+                    <p className="text-xs text-gray-500">{rule.channels.map(value => CHANNELS[value]).join(', ')}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleToggleActive(rule)}
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${rule.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}
+                    >
+                      {rule.isActive ? 'Active' : 'Paused'}
+                    </button>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right space-x-3">
+                    <button type="button" onClick={() => openForm(rule)} className="text-blue-600 hover:text-blue-800" title="Edit">
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-800" title="Delete">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Dry-run preview */}
+      {preview && (
+        <div className="bg-white rounded-lg shadow-sm border border-blue-200 overflow-x-auto">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Preview: {preview.length} alert{preview.length === 1 ? '' : 's'} would be sent
+            </h2>
+            <button onClick={() => setPreview(null)} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+          </div>
+          {preview.length === 0 ? (
+            <p className="px-6 py-6 text-sm text-gray-500">No student matches a rule that has not already been alerted.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Message</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.map((delivery, index) => (
+                  <tr key={index}>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{delivery.studentName}</p>
+                      <p className="text-xs text-gray-500">{delivery.batchName}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{delivery.ruleName}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{delivery.recipientName} ({CHANNELS[delivery.channel]})</p>
+                      <p className="text-xs text-gray-500">{delivery.to || 'No contact on file'}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-pre-line">{delivery.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        <div>
+          <label className="form-label">Rule</label>
+          <select name="rule" value={filters.rule} onChange={handleFilterChange} className="form-input">
+            <option value="">All rules</option>
+            {rules.map(rule => (
+              <option key={rule._id} value={rule._id}>{rule.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Batch</label>
+          <select name="batch" value={filters.batch} onChange={handleFilterChange} className="form-input">
+            <option value="">All batches</option>
+            {batches.map(batch => (
+              <option key={batch._id} value={batch._id}>{batch.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Status</label>
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="form-input">
+            <option value="">Any status</option>
+            <option value="sent">Sent</option>
+            <option value="failed">Failed</option>
+            <option value="skipped">Skipped</option>
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Channel</label>
+          <select name="channel" value={filters.channel} onChange={handleFilterChange} className="form-input">
+            <option value="">Any channel</option>
+            {Object.entries(CHANNELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">From</label>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">To</label>
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="form-input" />
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={() => { setFilters(emptyFilters); setPage(1) }}
+            className="btn-secondary"
+          >
+            Clear filters
+          </button>
+        </div>
+      </div>
+
+      {/* Alert log */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loadingAlerts ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-cadd-red"></div>
+          </div>
+        ) : alerts.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-500">
+            No alerts match these filters
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sent to</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {alerts.map(alert => (
+                  <tr key={alert._id}>
+                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                      {format(new Date(alert.createdAt), 'dd MMM yyyy, hh:mm a')}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{alert.student?.name || '—'}</p>
+                      {alert.batch?.name && <p className="text-xs text-gray-500">{alert.batch.name}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{alert.ruleName}</p>
+                      <p className="text-xs text-gray-500 max-w-md">{alert.message?.split('\n')[0]}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{alert.recipientName || RECIPIENTS[alert.recipientType]}</p>
+                      <p className="text-xs text-gray-500">
+                        {[CHANNELS[alert.channel], alert.to, alert.transport].filter(Boolean).join(' · ')}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[alert.status] || ''}`}>
+                        {alert.status}
+                      </span>
+                      {alert.error && <p className="text-xs text-gray-500 mt-1">{alert.error}</p>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-700">
+            <span>
+              Page {pagination.page} of {pagination.pages} ({pagination.total} alerts)
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary flex items-center"
+              >
+                <ChevronLeftIcon className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="btn-secondary flex items-center"
+              >
+                <ChevronRightIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AbsenceAlerts
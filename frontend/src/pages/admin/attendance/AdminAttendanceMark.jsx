@@ -36,6 +36,9 @@ const AdminAttendanceMark = () => {
   const [students, setStudents] = useState([])
   const [attendance, setAttendance] = useState({})
   const [existingAttendance, setExistingAttendance] = useState({})
+  // Saved record versions, so edits made elsewhere since loading are
+  // reported as conflicts instead of being overwritten
+  const [versions, setVersions] = useState({})
   const [filteredStudents, setFilteredStudents] = useState([])
 
   useEffect(() => {
@@ -83,21 +86,25 @@ const AdminAttendanceMark = () => {
       
       const existingMap = {}
       const currentMap = {}
+      const versionMap = {}
       
       attendanceData.forEach(record => {
-        if (record.student && record.student._id) {
-          existingMap[record.student._id] = record.status
-          currentMap[record.student._id] = record.status
+        if (record.student && record.student._id && record.attendance) {
+          existingMap[record.student._id] = record.attendance.status
+          currentMap[record.student._id] = record.attendance.status
+          versionMap[record.student._id] = record.attendance.version ?? 1
         }
       })
       
       setExistingAttendance(existingMap)
       setAttendance(currentMap)
+      setVersions(versionMap)
     } catch (error) {
       console.error('Error fetching existing attendance:', error)
       // Don't show error for missing attendance data
       setExistingAttendance({})
       setAttendance({})
+      setVersions({})
     }
   }
 
@@ -144,7 +151,8 @@ const AdminAttendanceMark = () => {
     try {
       const attendanceRecords = students.map(student => ({
         studentId: student._id,
-        status: attendance[student._id] || 'absent'
+        status: attendance[student._id] || 'absent',
+        expectedVersion: versions[student._id] ?? 0
       }))
 
       const response = await attendanceAPI.markBulkAttendance({
@@ -153,6 +161,12 @@ const AdminAttendanceMark = () => {
         attendanceRecords
       })
 
+      if (response.data?.conflicts?.length > 0) {
+        // Conflicting records are queued for review; show what was saved
+        await fetchExistingAttendance(students)
+        return
+      }
+
       let successMessage = 'Attendance marked successfully!'
       if (response.data?.summary?.labBookingsUpdated > 0) {
         successMessage += ` Lab bookings automatically updated for ${response.data.summary.labBookingsUpdated} student(s).`
@@ -164,7 +178,7 @@ const AdminAttendanceMark = () => {
       await fetchExistingAttendance(students)
     } catch (error) {
       console.error('Error marking attendance:', error)
-      toast.error('Failed to mark attendance')
+      toast.error(error.response?.data?.message || 'Failed to mark attendance')
     } finally {
       setSubmitting(false)
     }
@@ -0,0 +1,367 @@
+import { useState, useEffect } from 'react'
+import { ClockIcon, FlagIcon, ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import {
+  auditAPI,
+  batchesAPI,
+  studentsAPI,
+  teachersAPI,
+  adminsAPI,
+  systemSettingsAPI,
+} from '../../../services/api'
+import BackButton from '../../../components/BackButton'
+
+const ENTITY_LABELS = {
+  attendance: 'Attendance',
+  submission: 'Grade',
+  feeSchedule: 'Fee schedule',
+  feePayment: 'Fee payment',
+}
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  void: 'bg-red-100 text-red-800',
+}
+
+const emptyFilters = {
+  batch: '',
+  student: '',
+  user: '',
+  entityType: '',
+  from: '',
+  to: '',
+  flagged: false,
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'string' && ISO_DATE.test(value)) return format(new Date(value), 'dd MMM yyyy')
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (!item || typeof item !== 'object') return String(item)
+      // Rubric criteria
+      if (item.title && item.level) return `${item.title}: ${item.level}`
+      return [item.dueDate && format(new Date(item.dueDate), 'dd MMM yyyy'), item.amount].filter(Boolean).join(': ')
+    }).join(', ')
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const AuditTrail = () => {
+  const [logs, setLogs] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+  const [flaggedCount, setFlaggedCount] = useState(0)
+  const [page, setPage] = useState(1)
+  const [filters, setFilters] = useState(emptyFilters)
+  const [batches, setBatches] = useState([])
+  const [students, setStudents] = useState([])
+  const [users, setUsers] = useState([])
+  const [lateEditDays, setLateEditDays] = useState('')
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    Promise.allSettled([
+      batchesAPI.getBatches(),
+      teachersAPI.getTeachers(),
+      adminsAPI.getAdmins(),
+      systemSettingsAPI.getSettingValue('attendance', 'lateEditDays'),
+    ]).then(([batchesRes, teachersRes, adminsRes, settingRes]) => {
+      if (batchesRes.status === 'fulfilled') {
+        setBatches(Array.isArray(batchesRes.value.data) ? batchesRes.value.data : [])
+      }
+      const staff = [teachersRes, adminsRes]
+        .filter(result => result.status === 'fulfilled' && Array.isArray(result.value.data))
+        .flatMap(result => result.value.data)
+      setUsers(staff.sort((a, b) => a.name.localeCompare(b.name)))
+      if (settingRes.status === 'fulfilled') {
+        setLateEditDays(String(settingRes.value.data?.value ?? ''))
+      }
+    })
+  }, [])
+
+  useEffect(() => {
+    setStudents([])
+    if (!filters.batch) return
+    studentsAPI.getStudentsByBatch(filters.batch)
+      .then(response => setStudents(Array.isArray(response.data) ? response.data : []))
+      .catch(() => toast.error('Failed to fetch students'))
+  }, [filters.batch])
+
+  useEffect(() => {
+    fetchLogs()
+  }, [filters, page])
+
+  const fetchLogs = async () => {
+    try {
+      setLoading(true)
+      const params = { page, limit: 50 }
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value
+      })
+      const response = await auditAPI.getAuditLogs(params)
+      setLogs(response.data.logs || [])
+      setFlaggedCount(response.data.flaggedCount || 0)
+      setPagination(response.data.pagination || { page: 1, pages: 1, total: 0 })
+    } catch (error) {
+      console.error('Error fetching audit trail:', error)
+      toast.error(error.response?.data?.message || 'Failed to fetch audit trail')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFilters(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      // A student belongs to the selected batch
+      ...(name === 'batch' ? { student: '' } : {}),
+    }))
+    setPage(1)
+  }
+
+  const handleLateEditDaysSave = async () => {
+    try {
+      await systemSettingsAPI.updateSettingValue('attendance', 'lateEditDays', {
+        value: Number(lateEditDays),
+        reason: 'Updated from audit trail page',
+      })
+      toast.success('Late edit limit updated')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update late edit limit')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <div className="flex items-center">
+        <BackButton />
+      </div>
+
+      {/* Header */}
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <ClockIcon className="h-8 w-8 text-blue-500 mr-3" />
+            Audit Trail
+          </h1>
+          <p className="mt-2 text-sm text-gray-700">
+            History of attendance, grade and fee changes
+          </p>
+        </div>
+        {flaggedCount > 0 && (
+          <span className="mt-4 sm:mt-0 inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-yellow-100 text-yellow-800">
+            <FlagIcon className="h-4 w-4 mr-1" />
+            {flaggedCount} flagged
+          </span>
+        )}
+      </div>
+
+      {/* Late edit limit */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-sm font-semibold text-gray-900">Late attendance edits</h2>
+          <p className="text-xs text-gray-500">Attendance changed more than this many days after the session is flagged</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            max="365"
+            value={lateEditDays}
+            onChange={(e) => setLateEditDays(e.target.value)}
+            className="form-input w-24"
+          />
+          <span className="text-sm text-gray-600">days</span>
+          <button onClick={handleLateEditDaysSave} disabled={lateEditDays === ''} className="btn-secondary">
+            Save
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        <div>
+          <label className="form-label">Batch</label>
+          <select name="batch" value={filters.batch} onChange={handleFilterChange} className="form-input">
+            <option value="">All batches</option>
+            {batches.map(batch => (
+              <option key={batch._id} value={batch._id}>{batch.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Student</label>
+          <select
+            name="student"
+            value={filters.student}
+            onChange={handleFilterChange}
+            className="form-input"
+            disabled={!filters.batch}
+          >
+            <option value="">{filters.batch ? 'All students' : 'Select a batch first'}</option>
+            {students.map(student => (
+              <option key={student._id} value={student._id}>{student.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Changed by</label>
+          <select name="user" value={filters.user} onChange={handleFilterChange} className="form-input">
+            <option value="">Anyone</option>
+            {users.map(user => (
+              <option key={user._id} value={user._id}>{user.name} ({user.role})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Record</label>
+          <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className="form-input">
+            <option value="">All records</option>
+            {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">From</label>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">To</label>
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="form-input" />
+        </div>
+        <div className="flex items-end">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="flagged"
+              checked={filters.flagged}
+              onChange={handleFilterChange}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+            />
+            Flagged only
+          </label>
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={() => { setFilters(emptyFilters); setPage(1) }}
+            className="btn-secondary"
+          >
+            Clear filters
+          </button>
+        </div>
+      </div>
+
+      {/* History */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-cadd-red"></div>
+          </div>
+        ) : logs.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-500">
+            No changes match these filters
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changed by</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {logs.map(log => (
+                  <tr key={log._id} className={log.flagged ? 'bg-yellow-50' : ''}>
+                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                      {format(new Date(log.createdAt), 'dd MMM yyyy, hh:mm a')}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900">{ENTITY_LABELS[log.entityType] || log.entityType}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[log.action] || ''}`}>
+                          {log.action}
+                        </span>
+                      </div>
+                      {log.sessionDate && (
+                        <p className="text-xs text-gray-500">Session {format(new Date(log.sessionDate), 'dd MMM yyyy')}</p>
+                      )}
+                      {log.flagged && (
+                        <p className="text-xs text-yellow-800 flex items-center mt-1">
+                          <FlagIcon className="h-3 w-3 mr-1" />
+                          {log.flagReason}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{log.student?.name || '—'}</p>
+                      {log.batch?.name && <p className="text-xs text-gray-500">{log.batch.name}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <ul className="space-y-1">
+                        {log.changes.map(change => (
+                          <li key={change.field}>
+                            <span className="font-medium">{change.field}:</span>{' '}
+                            <span className="text-red-600 line-through">{formatValue(change.before)}</span>
+                            {' → '}
+                            <span className="text-green-700">{formatValue(change.after)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                      {log.reason && <p className="text-xs text-gray-500 mt-1">{log.reason}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{log.user?.name || log.userName || '—'}</p>
+                      <p className="text-xs text-gray-500">
+                        {[log.userRole, log.ipAddress].filter(Boolean).join(' · ')}
+                      </p>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-700">
+            <span>
+              Page {pagination.page} of {pagination.pages} ({pagination.total} changes)
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary flex items-center"
+              >
+                <ChevronLeftIcon className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="btn-secondary flex items-center"
+              >
+                <ChevronRightIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AuditTrail
@@ -13,6 +13,9 @@ import {
 } from '@heroicons/react/24/outline'
 import BackButton from '../../../components/BackButton'
 import CourseDropdown from '../../../components/CourseDropdown'
+import WeekdayPicker from '../../../components/WeekdayPicker'
+import ScheduleConflicts from '../../../components/ScheduleConflicts'
+import { useTimeSlots } from '../../../utils/timeSlots'
 
 const AdminBatchForm = () => {
   const { id } = useParams()
@@ -30,6 +33,7 @@ const AdminBatchForm = () => {
     academicYear: new Date().getFullYear().toString(),
     section: '',
     timing: '',
+    weekdays: [1, 2, 3, 4, 5, 6],
     startDate: '',
     maxStudents: 20,
     assignedTeacher: ''
@@ -43,14 +47,15 @@ const AdminBatchForm = () => {
   const [loading, setLoading] = useState(false)
   const [fetchLoading, setFetchLoading] = useState(false)
   const [errors, setErrors] = useState({})
-
-  const timingOptions = [
-    '09:00 AM - 10:30 AM',
-    '10:30 AM - 12:00 PM',
-    '12:00 PM - 01:30 PM',
-    '02:00 PM - 03:30 PM',
-    '03:30 PM - 05:00 PM'
-  ]
+  const [conflicts, setConflicts] = useState(null)
+  const [checkingConflicts, setCheckingConflicts] = useState(false)
+
+  // Institute time slots; a retired slot stays selectable for batches still using it
+  const timeSlots = useTimeSlots()
+  const timingOptions = timeSlots.map(slot => slot.id)
+  if (formData.timing && !timingOptions.includes(formData.timing)) {
+    timingOptions.push(formData.timing)
+  }
 
   useEffect(() => {
     fetchInitialData()
@@ -62,6 +67,28 @@ const AdminBatchForm = () => {
     }
   }, [id, isEditMode])
 
+  // Check the timetable for clashes while the schedule is being edited
+  useEffect(() => {
+    if (!formData.timing || !formData.startDate || formData.weekdays.length === 0) {
+      setConflicts(null)
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setCheckingConflicts(true)
+        const res = await batchesAPI.checkBatchConflicts({ ...formData, batchId: id })
+        setConflicts(res.data)
+      } catch (error) {
+        console.error('Error checking schedule conflicts:', error)
+      } finally {
+        setCheckingConflicts(false)
+      }
+    }, 400)
+
+    return () => clearTimeout(timer)
+  }, [formData.timing, formData.weekdays, formData.startDate, formData.maxStudents, formData.assignedTeacher])
+
   useEffect(() => {
     // Filter courses by selected department
     if (selectedDepartment) {
@@ -116,6 +143,7 @@ const AdminBatchForm = () => {
         academicYear: batch.academicYear,
         section: batch.section,
         timing: batch.timing,
+        weekdays: batch.schedule?.weekdays?.length ? batch.schedule.weekdays : [1, 2, 3, 4, 5, 6],
         startDate: batch.startDate ? new Date(batch.startDate).toISOString().split('T')[0] : '',
         maxStudents: batch.maxStudents || 20,
         assignedTeacher: batch.createdBy?._id || ''
@@ -157,6 +185,10 @@ const AdminBatchForm = () => {
       newErrors.timing = 'Timing is required'
     }
 
+    if (formData.weekdays.length === 0) {
+      newErrors.weekdays = 'Select at least one class day'
+    }
+
     if (!formData.startDate) {
       newErrors.startDate = 'Start date is required'
     }
@@ -179,17 +211,20 @@ const AdminBatchForm = () => {
     setLoading(true)
 
     try {
-      if (isEditMode) {
-        await batchesAPI.updateBatch(id, formData)
-        toast.success('Batch updated successfully')
-      } else {
-        await batchesAPI.createBatch(formData)
-        toast.success('Batch created successfully')
-      }
+      const res = isEditMode
+        ? await batchesAPI.updateBatch(id, formData)
+        : await batchesAPI.createBatch(formData)
+      toast.success(isEditMode ? 'Batch updated successfully' : 'Batch created successfully')
+      res.data.conflicts?.warnings?.forEach(warning => {
+        toast(warning.message, { icon: '⚠️', duration: 6000 })
+      })
       navigate('/admin/batches')
     } catch (error) {
       console.error('Error saving batch:', error)
-      toast.error(isEditMode ? 'Failed to update batch' : 'Failed to create batch')
+      if (error.response?.status === 409) {
+        setConflicts(error.response.data.conflicts)
+      }
+      toast.error(error.response?.data?.message || (isEditMode ? 'Failed to update batch' : 'Failed to create batch'))
     } finally {
       setLoading(false)
     }
@@ -384,9 +419,14 @@ const AdminBatchForm = () => {
                     }`}
                   >
                     <option value="">Select timing</option>
-                    {timingOptions.map(timing => (
-                      <option key={timing} value={timing}>{timing}</option>
-                    ))}
+                    {timingOptions.map(timing => {
+                      const slot = timeSlots.find(s => s.id === timing)
+                      return (
+                        <option key={timing} value={timing}>
+                          {slot ? `${slot.name} (${timing})` : timing}
+                        </option>
+                      )
+                    })}
                   </select>
                 </div>
                 {errors.timing && (
@@ -418,6 +458,22 @@ const AdminBatchForm = () => {
               </div>
             </div>
 
+            {/* Class Days */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Class Days *
+              </label>
+              <WeekdayPicker
+                value={formData.weekdays}
+                onChange={(value) => handleInputChange('weekdays', value)}
+              />
+              {errors.weekdays && (
+                <p className="mt-1 text-sm text-red-600">{errors.weekdays}</p>
+              )}
+            </div>
+
+            <ScheduleConflicts conflicts={conflicts} checking={checkingConflicts} />
+
             {/* Max Students */}
             <div>
               <label htmlFor="maxStudents" className="block text-sm font-medium text-gray-700 mb-2">
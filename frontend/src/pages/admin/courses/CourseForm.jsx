@@ -49,6 +49,10 @@ const CourseForm = () => {
     maxStudentsPerBatch: 20,
     prerequisites: [''],
     software: [{ name: '', version: '', required: true }],
+    labRequirements: {
+      minRamGB: 0,
+      dedicatedGraphics: false
+    },
     certification: {
       provided: true,
       certificateName: '',
@@ -120,6 +124,10 @@ const CourseForm = () => {
         maxStudentsPerBatch: course.maxStudentsPerBatch || 20,
         prerequisites: course.prerequisites?.length > 0 ? course.prerequisites : [''],
         software: course.software?.length > 0 ? course.software : [{ name: '', version: '', required: true }],
+        labRequirements: {
+          minRamGB: course.labRequirements?.minRamGB || 0,
+          dedicatedGraphics: Boolean(course.labRequirements?.dedicatedGraphics)
+        },
         certification: {
           provided: course.certification?.provided !== false,
           certificateName: course.certification?.certificateName || '',
@@ -571,6 +579,101 @@ const CourseForm = () => {
             </div>
           </div>
 
+          {/* Lab Requirements */}
+          <div className="space-y-6">
+            <h3 className="text-lg font-medium text-gray-900 border-b pb-2">Lab Requirements</h3>
+            <p className="text-sm text-gray-500 -mt-4">
+              Students are only seated on lab PCs that meet these requirements
+            </p>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  <CodeBracketIcon className="h-4 w-4 inline mr-1" />
+                  Software
+                </label>
+                <button
+                  type="button"
+                  onClick={addSoftware}
+                  className="text-sm text-cadd-red hover:text-cadd-pink flex items-center"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Add Software
+                </button>
+              </div>
+              <div className="space-y-3">
+                {formData.software.map((item, index) => (
+                  <div key={index} className="flex items-center gap-3">
+                    <input
+                      type="text"
+                      value={item.name}
+                      onChange={(e) => updateSoftware(index, 'name', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent"
+                      placeholder="e.g., AutoCAD"
+                    />
+                    <input
+                      type="text"
+                      value={item.version}
+                      onChange={(e) => updateSoftware(index, 'version', e.target.value)}
+                      className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent"
+                      placeholder="Min. version"
+                    />
+                    <label className="flex items-center text-sm text-gray-700 whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        checked={item.required}
+                        onChange={(e) => updateSoftware(index, 'required', e.target.checked)}
+                        className="h-4 w-4 text-cadd-red focus:ring-cadd-red border-gray-300 rounded mr-2"
+                      />
+                      Required
+                    </label>
+                    {formData.software.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => removeSoftware(index)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Minimum RAM (GB)
+                </label>
+                <input
+                  type="number"
+                  name="labRequirements.minRamGB"
+                  value={formData.labRequirements.minRamGB}
+                  onChange={handleInputChange}
+                  min="0"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent"
+                  placeholder="0"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Graphics
+                </label>
+                <label className="flex items-center mt-3">
+                  <input
+                    type="checkbox"
+                    name="labRequirements.dedicatedGraphics"
+                    checked={formData.labRequirements.dedicatedGraphics}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-cadd-red focus:ring-cadd-red border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">Needs a dedicated graphics card</span>
+                </label>
+              </div>
+            </div>
+          </div>
+
           {/* Form Actions */}
           <div className="flex justify-end space-x-4 pt-6 border-t">
             <button
@@ -0,0 +1,327 @@
+import { useState, useEffect } from 'react'
+import { CalendarDaysIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { holidaysAPI, departmentsAPI } from '../../../services/api'
+import { showConfirm } from '../../../utils/popup'
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const emptyForm = {
+  type: 'closure',
+  name: '',
+  weekday: '0',
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: format(new Date(), 'yyyy-MM-dd'),
+  effectiveFrom: '',
+  effectiveUntil: '',
+  department: '',
+  description: '',
+}
+
+const HolidayCalendar = () => {
+  const [holidays, setHolidays] = useState([])
+  const [departments, setDepartments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [year, setYear] = useState(new Date().getFullYear())
+  const [departmentFilter, setDepartmentFilter] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    departmentsAPI.getDepartments({ active: true })
+      .then(response => setDepartments(response.data || []))
+      .catch(() => toast.error('Failed to fetch departments'))
+  }, [])
+
+  useEffect(() => {
+    fetchHolidays()
+  }, [year, departmentFilter])
+
+  const fetchHolidays = async () => {
+    try {
+      setLoading(true)
+      const params = { year }
+      if (departmentFilter) params.departmentId = departmentFilter
+      const response = await holidaysAPI.getHolidays(params)
+      setHolidays(response.data || [])
+    } catch (error) {
+      console.error('Error fetching holidays:', error)
+      toast.error('Failed to fetch holidays')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const isWeeklyOff = formData.type === 'weekly_off'
+    const payload = {
+      type: formData.type,
+      name: formData.name || (isWeeklyOff ? `${WEEKDAYS[formData.weekday]} off` : ''),
+      department: formData.department || null,
+      description: formData.description,
+      ...(isWeeklyOff
+        ? {
+          weekday: parseInt(formData.weekday),
+          effectiveFrom: formData.effectiveFrom,
+          effectiveUntil: formData.effectiveUntil,
+        }
+        : {
+          startDate: formData.startDate,
+          endDate: formData.endDate || formData.startDate,
+        }),
+    }
+
+    try {
+      setSubmitting(true)
+      await holidaysAPI.createHoliday(payload)
+      toast.success(isWeeklyOff ? 'Weekly off added' : 'Closure added')
+      setFormData(emptyForm)
+      setShowForm(false)
+      fetchHolidays()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save holiday')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleToggleActive = async (holiday) => {
+    try {
+      await holidaysAPI.updateHoliday(holiday._id, { isActive: !holiday.isActive })
+      toast.success(holiday.isActive ? 'Holiday disabled' : 'Holiday enabled')
+      fetchHolidays()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update holiday')
+    }
+  }
+
+  const handleDelete = async (holiday) => {
+    const confirmed = await showConfirm(`Delete "${holiday.name}"?`, 'Delete Holiday')
+    if (!confirmed) return
+
+    try {
+      await holidaysAPI.deleteHoliday(holiday._id)
+      toast.success('Holiday deleted')
+      fetchHolidays()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete holiday')
+    }
+  }
+
+  const describeDates = (holiday) => {
+    if (holiday.type === 'weekly_off') {
+      const period = [
+        holiday.effectiveFrom && `from ${format(new Date(holiday.effectiveFrom), 'MMM dd, yyyy')}`,
+        holiday.effectiveUntil && `until ${format(new Date(holiday.effectiveUntil), 'MMM dd, yyyy')}`,
+      ].filter(Boolean).join(' ')
+      return `Every ${WEEKDAYS[holiday.weekday]}${period ? ` ${period}` : ''}`
+    }
+    const start = new Date(holiday.startDate)
+    const end = new Date(holiday.endDate)
+    return format(start, 'yyyy-MM-dd') === format(end, 'yyyy-MM-dd')
+      ? format(start, 'EEE, MMM dd, yyyy')
+      : `${format(start, 'MMM dd')} – ${format(end, 'MMM dd, yyyy')}`
+  }
+
+  const weeklyOffs = holidays.filter(holiday => holiday.type === 'weekly_off')
+  const closures = holidays.filter(holiday => holiday.type === 'closure')
+
+  const renderTable = (items, emptyText) => (
+    items.length === 0 ? (
+      <p className="px-6 py-6 text-sm text-gray-500">{emptyText}</p>
+    ) : (
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {items.map(holiday => (
+            <tr key={holiday._id} className={holiday.isActive ? '' : 'opacity-60'}>
+              <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                {holiday.name}
+                {holiday.description && <p className="text-xs text-gray-500 font-normal">{holiday.description}</p>}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{describeDates(holiday)}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                {holiday.department?.name || 'Whole institute'}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <button
+                  type="button"
+                  onClick={() => handleToggleActive(holiday)}
+                  className={`px-2 py-1 rounded-full text-xs font-medium ${holiday.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}
+                >
+                  {holiday.isActive ? 'Active' : 'Disabled'}
+                </button>
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-right">
+                <button
+                  type="button"
+                  onClick={() => handleDelete(holiday)}
+                  className="text-red-600 hover:text-red-800"
+                  title="Delete"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )
+  )
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Holiday Calendar</h1>
+          <p className="text-gray-600 mt-1">
+            Closed days are excluded from attendance marking and statistics
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="btn-primary inline-flex items-center"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add Holiday
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">Type</label>
+            <select name="type" value={formData.type} onChange={handleChange} className="form-input">
+              <option value="closure">One-off closure</option>
+              <option value="weekly_off">Recurring weekly off</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder={formData.type === 'weekly_off' ? 'e.g. Sunday off' : 'e.g. Diwali'}
+              className="form-input"
+              required={formData.type === 'closure'}
+            />
+          </div>
+          <div>
+            <label className="form-label">Applies To</label>
+            <select name="department" value={formData.department} onChange={handleChange} className="form-input">
+              <option value="">Whole institute</option>
+              {departments.map(dept => (
+                <option key={dept._id} value={dept._id}>{dept.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {formData.type === 'weekly_off' ? (
+            <>
+              <div>
+                <label className="form-label">Weekday</label>
+                <select name="weekday" value={formData.weekday} onChange={handleChange} className="form-input">
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={index}>{day}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Effective From (optional)</label>
+                <input type="date" name="effectiveFrom" value={formData.effectiveFrom} onChange={handleChange} className="form-input" />
+              </div>
+              <div>
+                <label className="form-label">Effective Until (optional)</label>
+                <input type="date" name="effectiveUntil" value={formData.effectiveUntil} min={formData.effectiveFrom} onChange={handleChange} className="form-input" />
+              </div>
+            </>
+          ) : (
+            <>
+              <div>
+                <label className="form-label">From</label>
+                <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} className="form-input" required />
+              </div>
+              <div>
+                <label className="form-label">To</label>
+                <input type="date" name="endDate" value={formData.endDate} min={formData.startDate} onChange={handleChange} className="form-input" />
+              </div>
+              <div></div>
+            </>
+          )}
+
+          <div className="sm:col-span-3">
+            <label className="form-label">Description</label>
+            <input type="text" name="description" value={formData.description} onChange={handleChange} className="form-input" maxLength={500} />
+          </div>
+          <div className="sm:col-span-3 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">Cancel</button>
+            <button type="submit" disabled={submitting} className="btn-primary">
+              {submitting ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select value={year} onChange={(e) => setYear(parseInt(e.target.value))} className="form-input sm:w-32">
+          {[-1, 0, 1].map(offset => {
+            const optionYear = new Date().getFullYear() + offset
+            return <option key={optionYear} value={optionYear}>{optionYear}</option>
+          })}
+        </select>
+        <select value={departmentFilter} onChange={(e) => setDepartmentFilter(e.target.value)} className="form-input sm:w-64">
+          <option value="">All departments</option>
+          {departments.map(dept => (
+            <option key={dept._id} value={dept._id}>{dept.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+              <CalendarDaysIcon className="h-5 w-5 text-gray-400 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Weekly Offs</h2>
+            </div>
+            {renderTable(weeklyOffs, 'No recurring weekly offs configured.')}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+              <CalendarDaysIcon className="h-5 w-5 text-gray-400 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Closures in {year}</h2>
+            </div>
+            {renderTable(closures, 'No closures scheduled for this year.')}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default HolidayCalendar
@@ -11,13 +11,17 @@ import {
   CheckCircleIcon,
   XMarkIcon,
   ChevronLeftIcon,
-  ChevronRightIcon
+  ChevronRightIcon,
+  UserGroupIcon
 } from '@heroicons/react/24/outline'
 import { pcAPI, bookingAPI } from '../../../services/labAPI'
 import toast from 'react-hot-toast'
 import { showConfirm } from '../../../utils/popup'
 import BackButton from '../../../components/BackButton'
 import ApplyPreviousDateModal from '../../../components/ApplyPreviousDateModal'
+import BookingSeriesModal from '../../../components/BookingSeriesModal'
+import BatchAllocationModal from '../../../components/BatchAllocationModal'
+import { useTimeSlots } from '../../../utils/timeSlots'
 
 const LabBooking = () => {
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0])
@@ -27,14 +31,10 @@ const LabBooking = () => {
   const [loading, setLoading] = useState(true)
   const [bookingLoading, setBookingLoading] = useState(false)
   const [showApplyPreviousModal, setShowApplyPreviousModal] = useState(false)
+  const [showSeriesModal, setShowSeriesModal] = useState(false)
+  const [showAllocationModal, setShowAllocationModal] = useState(false)
 
-  const timeSlots = [
-    { id: '09:00 AM - 10:30 AM', label: '09:00 AM - 10:30 AM', start: '09:00', end: '10:30' },
-    { id: '10:30 AM - 12:00 PM', label: '10:30 AM - 12:00 PM', start: '10:30', end: '12:00' },
-    { id: '12:00 PM - 01:30 PM', label: '12:00 PM - 01:30 PM', start: '12:00', end: '13:30' },
-    { id: '02:00 PM - 03:30 PM', label: '02:00 PM - 03:30 PM', start: '14:00', end: '15:30' },
-    { id: '03:30 PM - 05:00 PM', label: '03:30 PM - 05:00 PM', start: '15:30', end: '17:00' },
-  ]
+  const timeSlots = useTimeSlots()
 
   useEffect(() => {
     fetchData()
@@ -274,6 +274,24 @@ const LabBooking = () => {
               <DocumentDuplicateIcon className="h-4 w-4 mr-2" />
               Apply Previous
             </button>
+
+            <button
+              onClick={() => setShowSeriesModal(true)}
+              disabled={bookingLoading}
+              className="flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <ArrowPathIcon className="h-4 w-4 mr-2" />
+              Recurring
+            </button>
+
+            <button
+              onClick={() => setShowAllocationModal(true)}
+              disabled={bookingLoading}
+              className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <UserGroupIcon className="h-4 w-4 mr-2" />
+              Allocate Batch
+            </button>
             
             <button
               onClick={clearAllSlots}
@@ -289,14 +307,23 @@ const LabBooking = () => {
 
       {/* Time Slots */}
       <div className="bg-white rounded-2xl shadow-lg p-6">
-        <div className="mb-6">
-          <h2 className="text-xl font-bold text-gray-900 mb-2">Time Slots</h2>
-          <p className="text-sm text-gray-600">
-            Click on a time slot to view PC availability for that period
-          </p>
+        <div className="mb-6 flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 mb-2">Time Slots</h2>
+            <p className="text-sm text-gray-600">
+              Click on a time slot to view PC availability for that period
+            </p>
+          </div>
+          <Link
+            to="/admin/lab/time-slots"
+            className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            <ClockIcon className="h-4 w-4 mr-1" />
+            Manage Time Slots
+          </Link>
         </div>
 
-        <div className="grid grid-cols-5 gap-4">
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
           {timeSlots.map((timeSlot) => {
             const occupiedCount = getOccupiedCount(timeSlot.id)
             const totalPCs = getTotalActivePCs()
@@ -544,6 +571,26 @@ const LabBooking = () => {
         targetDate={selectedDate}
         loading={bookingLoading}
       />
+
+      {/* Recurring Booking Series Modal */}
+      <BookingSeriesModal
+        isOpen={showSeriesModal}
+        onClose={() => setShowSeriesModal(false)}
+        pcs={Object.values(pcsByRow).flat()}
+        timeSlots={timeSlots}
+        defaultDate={selectedDate}
+        onChange={fetchData}
+      />
+
+      {/* Batch Seat Allocation Modal */}
+      <BatchAllocationModal
+        isOpen={showAllocationModal}
+        onClose={() => setShowAllocationModal(false)}
+        timeSlots={timeSlots}
+        defaultDate={selectedDate}
+        defaultTimeSlot={selectedTimeSlot}
+        onChange={fetchData}
+      />
     </div>
   )
 }
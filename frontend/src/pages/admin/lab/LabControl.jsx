@@ -11,7 +11,9 @@ import {
   XCircleIcon,
   ClockIcon,
   ChartBarIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  UserMinusIcon,
+  TableCellsIcon
 } from '@heroicons/react/24/outline'
 import { labAPI } from '../../../services/labAPI'
 import toast from 'react-hot-toast'
@@ -300,6 +302,20 @@ const LabControl = () => {
               <WrenchScrewdriverIcon className="h-6 w-6 text-yellow-500 mr-3" />
               <span className="text-sm font-medium text-gray-900">Maintenance Center</span>
             </Link>
+            <Link
+              to="/admin/lab/no-shows"
+              className="flex items-center p-3 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <UserMinusIcon className="h-6 w-6 text-red-500 mr-3" />
+              <span className="text-sm font-medium text-gray-900">No-Show Report</span>
+            </Link>
+            <Link
+              to="/admin/lab/utilization"
+              className="flex items-center p-3 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <TableCellsIcon className="h-6 w-6 text-indigo-500 mr-3" />
+              <span className="text-sm font-medium text-gray-900">Utilization Analytics</span>
+            </Link>
             <Link
               to="/admin/lab"
               className="flex items-center p-3 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
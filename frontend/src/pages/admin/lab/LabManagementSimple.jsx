@@ -3,6 +3,7 @@ import { toast } from 'react-hot-toast'
 import { ComputerDesktopIcon } from '@heroicons/react/24/outline'
 import BackButton from '../../../components/BackButton'
 import { pcAPI, bookingAPI } from '../../../services/labAPI'
+import { useTimeSlots } from '../../../utils/timeSlots'
 
 const LabManagementSimple = () => {
   const [loading, setLoading] = useState(true)
@@ -12,13 +13,7 @@ const LabManagementSimple = () => {
   const [selectedTimeSlot, setSelectedTimeSlot] = useState('')
 
   // Time slots
-  const timeSlots = [
-    { id: '09:00 AM - 10:30 AM', label: '09:00 AM - 10:30 AM' },
-    { id: '10:30 AM - 12:00 PM', label: '10:30 AM - 12:00 PM' },
-    { id: '12:00 PM - 01:30 PM', label: '12:00 PM - 01:30 PM' },
-    { id: '02:00 PM - 03:30 PM', label: '02:00 PM - 03:30 PM' },
-    { id: '03:30 PM - 05:00 PM', label: '03:30 PM - 05:00 PM' }
-  ]
+  const timeSlots = useTimeSlots()
 
   useEffect(() => {
     fetchData()
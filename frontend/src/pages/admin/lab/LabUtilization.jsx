@@ -0,0 +1,386 @@
+import { useState, useEffect } from 'react'
+import { TableCellsIcon, ArrowDownTrayIcon, ArrowTrendingUpIcon, ArrowTrendingDownIcon } from '@heroicons/react/24/outline'
+import { format, subDays } from 'date-fns'
+import ExcelJS from 'exceljs'
+import toast from 'react-hot-toast'
+import { labStatsAPI } from '../../../services/labAPI'
+import BackButton from '../../../components/BackButton'
+
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' }
+]
+
+// Heatmap cell colour by utilization
+const heatColor = (utilization, capacity) => {
+  if (!capacity) return 'bg-gray-100 text-gray-400'
+  if (utilization >= 90) return 'bg-red-500 text-white'
+  if (utilization >= 70) return 'bg-orange-400 text-white'
+  if (utilization >= 50) return 'bg-yellow-300 text-gray-900'
+  if (utilization >= 25) return 'bg-green-200 text-gray-900'
+  if (utilization > 0) return 'bg-green-50 text-gray-700'
+  return 'bg-white text-gray-400'
+}
+
+const LabUtilization = () => {
+  const [range, setRange] = useState({
+    from: format(subDays(new Date(), 29), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd')
+  })
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+
+  useEffect(() => {
+    fetchReport()
+  }, [range])
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      setReport(await labStatsAPI.getUtilization(range))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load utilization')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const applyPreset = (days) => {
+    setRange({
+      from: format(subDays(new Date(), days - 1), 'yyyy-MM-dd'),
+      to: format(new Date(), 'yyyy-MM-dd')
+    })
+  }
+
+  // Excel Export Function
+  const exportToExcel = async () => {
+    try {
+      setExporting(true)
+      const workbook = new ExcelJS.Workbook()
+      const period = `${report.from} to ${report.to}`
+
+      const summarySheet = workbook.addWorksheet('Summary')
+      summarySheet.addRows([
+        ['CADD Centre - Lab Utilization Report'],
+        ['Generated on:', format(new Date(), 'dd MMM yyyy, hh:mm a')],
+        ['Period:', period],
+        [''],
+        ['Seats (PCs in service)', report.summary.seats],
+        ['Working days', report.summary.workingDays],
+        ['Booked seats', report.summary.booked],
+        ['Seat capacity', report.summary.capacity],
+        ['Utilization', `${report.summary.utilization}%`],
+        ['Booked seat-hours', report.summary.bookedSeatHours],
+        ['No-shows', report.summary.noShows]
+      ])
+
+      const heatmapSheet = workbook.addWorksheet('Slot x Weekday')
+      heatmapSheet.addRows([
+        ['Utilization by Time Slot and Weekday'],
+        [''],
+        ['Time Slot', ...report.weekdays.map(day => day.name), 'Overall']
+      ])
+      report.heatmap.forEach(slot => {
+        heatmapSheet.addRow([
+          slot.timeSlot,
+          ...slot.days.map(day => day.capacity ? `${day.utilization}% (${day.booked}/${day.capacity})` : '—'),
+          `${slot.utilization}%`
+        ])
+      })
+
+      const rowsSheet = workbook.addWorksheet('Rows')
+      rowsSheet.addRows([
+        ['Utilization by Row'],
+        [''],
+        ['Row', 'PCs', 'Booked', 'Capacity', 'Utilization %', 'No-shows']
+      ])
+      report.rows.forEach(row => {
+        rowsSheet.addRow([row.row, row.pcs, row.booked, row.capacity, row.utilization, row.noShows])
+      })
+
+      const pcsSheet = workbook.addWorksheet('PCs')
+      pcsSheet.addRows([
+        ['Utilization by PC'],
+        [''],
+        ['PC', 'Row', 'Status', 'Booked', 'Capacity', 'Utilization %', 'No-shows']
+      ])
+      report.pcs.forEach(entry => {
+        pcsSheet.addRow([
+          entry.pc.pcNumber,
+          entry.pc.row,
+          entry.pc.status,
+          entry.booked,
+          entry.capacity,
+          entry.utilization,
+          entry.noShows
+        ])
+      })
+
+      const rankedSheet = workbook.addWorksheet('Peak & Idle')
+      rankedSheet.addRows([
+        ['Peak and Idle Slots'],
+        [''],
+        ['Type', 'Weekday', 'Time Slot', 'Booked', 'Capacity', 'Utilization %']
+      ])
+      report.peakSlots.forEach(slot => {
+        rankedSheet.addRow(['Peak', slot.weekdayName, slot.timeSlot, slot.booked, slot.capacity, slot.utilization])
+      })
+      report.idleSlots.forEach(slot => {
+        rankedSheet.addRow(['Idle', slot.weekdayName, slot.timeSlot, slot.booked, slot.capacity, slot.utilization])
+      })
+
+      // Style the sheets
+      [summarySheet, heatmapSheet, rowsSheet, pcsSheet, rankedSheet].forEach(sheet => {
+        sheet.columns.forEach(column => {
+          column.width = 18
+        })
+        sheet.getRow(1).font = { bold: true, size: 14 }
+        if (sheet.getRow(3).getCell(1).value) {
+          sheet.getRow(3).font = { bold: true }
+        }
+      })
+      heatmapSheet.getColumn(1).width = 26
+
+      const fileName = `CADD_Lab_Utilization_${report.from}_to_${report.to}.xlsx`
+      const buffer = await workbook.xlsx.writeBuffer()
+      const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName
+      link.click()
+      window.URL.revokeObjectURL(url)
+
+      toast.success('Excel report exported successfully!')
+    } catch (error) {
+      console.error('Error exporting utilization report:', error)
+      toast.error('Failed to export Excel report')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const summary = report?.summary
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <div className="flex items-center">
+        <BackButton />
+      </div>
+
+      {/* Header */}
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <TableCellsIcon className="h-8 w-8 text-indigo-500 mr-3" />
+            Lab Utilization
+          </h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Booked seats against lab capacity on working days
+          </p>
+        </div>
+        <button
+          onClick={exportToExcel}
+          disabled={!report || exporting}
+          className="mt-4 sm:mt-0 btn-primary inline-flex items-center disabled:opacity-50"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+          {exporting ? 'Exporting...' : 'Export Excel'}
+        </button>
+      </div>
+
+      {/* Period */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-col lg:flex-row lg:items-end gap-4">
+        <div className="grid grid-cols-2 gap-4 flex-1">
+          <div>
+            <label className="form-label">From</label>
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+              className="form-input"
+            />
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {PRESETS.map(preset => (
+            <button key={preset.days} onClick={() => applyPreset(preset.days)} className="btn-secondary text-sm">
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-cadd-red"></div>
+        </div>
+      ) : summary && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 gap-5 sm:grid-cols-4">
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Utilization</dt>
+              <dd className="text-2xl font-semibold text-gray-900">{summary.utilization}%</dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Booked seats</dt>
+              <dd className="text-2xl font-semibold text-gray-900">
+                {summary.booked}
+                <span className="ml-1 text-sm font-normal text-gray-500">/ {summary.capacity}</span>
+              </dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Booked seat-hours</dt>
+              <dd className="text-2xl font-semibold text-gray-900">{summary.bookedSeatHours}</dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Working days</dt>
+              <dd className="text-2xl font-semibold text-gray-900">
+                {summary.workingDays}
+                <span className="ml-1 text-sm font-normal text-gray-500">· {summary.seats} PCs</span>
+              </dd>
+            </div>
+          </div>
+
+          {/* Heatmap */}
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Time Slot × Weekday</h2>
+              <p className="text-xs text-gray-500">Share of seats booked; hover a cell for booked / capacity</p>
+            </div>
+            <div className="overflow-x-auto p-4">
+              <table className="min-w-full text-sm border-separate" style={{ borderSpacing: '4px' }}>
+                <thead>
+                  <tr>
+                    <th className="text-left font-medium text-gray-500 px-2">Time slot</th>
+                    {report.weekdays.map(day => (
+                      <th key={day.index} className="font-medium text-gray-500 px-2 text-center">
+                        {SHORT_WEEKDAYS[day.index]}
+                        <div className="text-xs font-normal text-gray-400">{day.workingDays}d</div>
+                      </th>
+                    ))}
+                    <th className="font-medium text-gray-500 px-2 text-center">All</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.heatmap.map(slot => (
+                    <tr key={slot.timeSlot}>
+                      <td className="px-2 py-1 whitespace-nowrap text-gray-900">
+                        {slot.timeSlot}
+                        {!slot.active && <span className="ml-1 text-xs text-gray-400">(retired)</span>}
+                      </td>
+                      {slot.days.map(day => (
+                        <td
+                          key={day.weekday}
+                          title={`${day.booked} / ${day.capacity} seats${day.noShows ? `, ${day.noShows} no-shows` : ''}`}
+                          className={`px-2 py-2 rounded text-center font-medium ${heatColor(day.utilization, day.capacity)}`}
+                        >
+                          {day.capacity ? `${Math.round(day.utilization)}%` : '—'}
+                        </td>
+                      ))}
+                      <td className="px-2 py-2 text-center font-semibold text-gray-900">{slot.utilization}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Peak slots */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+                <ArrowTrendingUpIcon className="h-5 w-5 text-red-500 mr-2" />
+                <h2 className="text-lg font-medium text-gray-900">Peak Slots</h2>
+              </div>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {report.peakSlots.map(slot => (
+                  <li key={`${slot.weekday}-${slot.timeSlot}`} className="px-6 py-2 flex justify-between">
+                    <span>{slot.weekdayName} · {slot.timeSlot}</span>
+                    <span className="font-medium text-gray-900">{slot.utilization}%</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Idle slots */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+                <ArrowTrendingDownIcon className="h-5 w-5 text-green-500 mr-2" />
+                <h2 className="text-lg font-medium text-gray-900">Idle Slots</h2>
+              </div>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {report.idleSlots.map(slot => (
+                  <li key={`${slot.weekday}-${slot.timeSlot}`} className="px-6 py-2 flex justify-between">
+                    <span>{slot.weekdayName} · {slot.timeSlot}</span>
+                    <span className="font-medium text-gray-900">{slot.utilization}%</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          {/* By row */}
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">By Row</h2>
+            <div className="space-y-3">
+              {report.rows.map(row => (
+                <div key={row.row} className="flex items-center space-x-4">
+                  <span className="w-16 text-sm font-medium text-gray-700">Row {row.row}</span>
+                  <div className="flex-1 bg-gray-200 rounded-full h-4">
+                    <div
+                      className="bg-indigo-500 h-4 rounded-full transition-all duration-300"
+                      style={{ width: `${Math.min(row.utilization, 100)}%` }}
+                    ></div>
+                  </div>
+                  <span className="w-40 text-right text-sm text-gray-900">
+                    {row.utilization}% <span className="text-gray-500">({row.booked} / {row.capacity})</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* By PC */}
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">By PC</h2>
+            </div>
+            <div className="p-4 grid grid-cols-3 sm:grid-cols-6 lg:grid-cols-10 gap-2">
+              {report.pcs.map(entry => (
+                <div
+                  key={entry.pc._id}
+                  title={`${entry.booked} / ${entry.capacity} slots${entry.noShows ? `, ${entry.noShows} no-shows` : ''}`}
+                  className={`rounded-lg p-2 text-center ${heatColor(entry.utilization, entry.capacity)}`}
+                >
+                  <div className="text-xs font-medium">{entry.pc.pcNumber}</div>
+                  <div className="text-sm font-semibold">{entry.utilization}%</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LabUtilization
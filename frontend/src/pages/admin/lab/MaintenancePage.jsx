@@ -3,83 +3,139 @@ import { Link } from 'react-router-dom'
 import {
   ComputerDesktopIcon,
   WrenchScrewdriverIcon,
-  PencilIcon,
   ClockIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
   MagnifyingGlassIcon,
-  FunnelIcon,
+  PlusIcon,
+  UserIcon,
   CalendarDaysIcon
 } from '@heroicons/react/24/outline'
-import { labAPI } from '../../../services/labAPI'
+import { labAPI, maintenanceAPI } from '../../../services/labAPI'
+import { teachersAPI, adminsAPI } from '../../../services/api'
 import toast from 'react-hot-toast'
 import { formatDateSimple } from '../../../utils/dateUtils'
 import BackButton from '../../../components/BackButton'
+import ReportIssueModal from '../../../components/ReportIssueModal'
+import CloseTicketModal from '../../../components/CloseTicketModal'
+
+const PRIORITY_STYLES = {
+  low: 'bg-gray-100 text-gray-700',
+  medium: 'bg-yellow-100 text-yellow-800',
+  high: 'bg-red-100 text-red-800'
+}
+
+const STATUS_STYLES = {
+  open: 'bg-yellow-100 text-yellow-800',
+  'in-progress': 'bg-blue-100 text-blue-800',
+  closed: 'bg-green-100 text-green-800'
+}
+
+const formatDuration = (from, to = new Date()) => {
+  const hours = Math.max(Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60)), 0)
+  if (hours < 1) return 'under an hour'
+  if (hours < 48) return `${hours}h`
+  return `${Math.round(hours / 24)} days`
+}
 
 const MaintenancePage = () => {
-  const [maintenancePCs, setMaintenancePCs] = useState([])
+  const [pcs, setPcs] = useState([])
+  const [staff, setStaff] = useState([])
+  const [activeTickets, setActiveTickets] = useState([])
+  const [history, setHistory] = useState({ items: [], pagination: { page: 1, pages: 1, total: 0 } })
+  const [historyPage, setHistoryPage] = useState(1)
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
-  const [rowFilter, setRowFilter] = useState('')
+  const [reportPcId, setReportPcId] = useState(null)
+  const [closingTicket, setClosingTicket] = useState(null)
+
+  useEffect(() => {
+    fetchData()
+    Promise.allSettled([teachersAPI.getTeachers(), adminsAPI.getAdmins()]).then(results => {
+      const users = results
+        .filter(result => result.status === 'fulfilled' && Array.isArray(result.value.data))
+        .flatMap(result => result.value.data)
+      setStaff(users.sort((a, b) => a.name.localeCompare(b.name)))
+    })
+  }, [])
 
   useEffect(() => {
-    fetchMaintenancePCs()
-  }, [rowFilter])
+    fetchHistory()
+  }, [historyPage])
 
-  const fetchMaintenancePCs = async () => {
+  const fetchData = async () => {
     setLoading(true)
     try {
-      const params = { status: 'maintenance' }
-      if (rowFilter) params.rowNumber = rowFilter
-
-      const response = await labAPI.pcs.getPCs(params)
-      // Handle response format - check if data is nested
-      const pcsData = response?.data || response || []
-      setMaintenancePCs(Array.isArray(pcsData) ? pcsData : [])
+      const [pcsData, ticketsData] = await Promise.all([
+        labAPI.pcs.getPCs(),
+        maintenanceAPI.getTickets({ status: 'active', limit: 100 })
+      ])
+      setPcs(Array.isArray(pcsData) ? pcsData : pcsData?.data || [])
+      setActiveTickets(ticketsData.items || [])
     } catch (error) {
-      console.error('Error fetching maintenance PCs:', error)
-      toast.error('Failed to fetch maintenance PCs')
-      setMaintenancePCs([])
+      console.error('Error fetching maintenance data:', error)
+      toast.error('Failed to fetch maintenance tickets')
     } finally {
       setLoading(false)
     }
   }
 
-  const handleStatusChange = async (pcId, newStatus) => {
+  const fetchHistory = async () => {
     try {
-      await labAPI.pcs.updatePC(pcId, {
-        status: newStatus,
-        ...(newStatus === 'active' && { lastMaintenance: new Date() })
-      })
-      toast.success(`PC status updated to ${newStatus}`)
+      setHistory(await maintenanceAPI.getTickets({ status: 'closed', page: historyPage, limit: 10 }))
+    } catch (error) {
+      console.error('Error fetching ticket history:', error)
+    }
+  }
 
-      // Remove from maintenance list if status changed to active/inactive
-      if (newStatus !== 'maintenance') {
-        setMaintenancePCs(prev => prev.filter(pc => pc._id !== pcId))
-      }
+  const refresh = () => {
+    fetchData()
+    fetchHistory()
+  }
+
+  const handleStartWork = async (ticket) => {
+    try {
+      await maintenanceAPI.updateTicket(ticket._id, { status: 'in-progress' })
+      toast.success(`${ticket.ticketNumber} marked in progress`)
+      fetchData()
     } catch (error) {
-      console.error('Error updating PC status:', error)
-      toast.error('Failed to update PC status')
+      toast.error(error.response?.data?.message || 'Failed to update ticket')
     }
   }
 
-  const filteredPCs = maintenancePCs.filter(pc =>
-    pc.pcNumber.toLowerCase().includes(searchTerm.toLowerCase())
-  )
+  const handleAssign = async (ticket, assignedTo) => {
+    try {
+      await maintenanceAPI.updateTicket(ticket._id, { assignedTo: assignedTo || null })
+      toast.success(`${ticket.ticketNumber} reassigned`)
+      fetchData()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update ticket')
+    }
+  }
 
-  const getMaintenanceDuration = (lastMaintenance) => {
-    if (!lastMaintenance) return 'Unknown'
+  // PCs put in maintenance by hand, before tickets existed
+  const handleMarkActive = async (pcId) => {
+    try {
+      await labAPI.pcs.updatePC(pcId, { status: 'active', lastMaintenance: new Date() })
+      toast.success('PC status updated to active')
+      fetchData()
+    } catch (error) {
+      console.error('Error updating PC status:', error)
+      toast.error('Failed to update PC status')
+    }
+  }
 
-    const now = new Date()
-    const maintenanceDate = new Date(lastMaintenance)
-    const diffTime = Math.abs(now - maintenanceDate)
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24))
+  const ticketedPcIds = new Set(activeTickets.map(ticket => ticket.pc?._id))
+  const untrackedPCs = pcs.filter(pc => pc.status === 'maintenance' && !ticketedPcIds.has(pc._id))
 
-    if (diffDays === 1) return '1 day'
-    if (diffDays < 30) return `${diffDays} days`
-    if (diffDays < 365) return `${Math.floor(diffDays / 30)} months`
-    return `${Math.floor(diffDays / 365)} years`
+  const matchesSearch = (ticket) => {
+    const term = searchTerm.toLowerCase()
+    return !term ||
+      ticket.ticketNumber.toLowerCase().includes(term) ||
+      ticket.pc?.pcNumber?.toLowerCase().includes(term) ||
+      ticket.issue.toLowerCase().includes(term)
   }
+  const filteredTickets = activeTickets.filter(matchesSearch)
 
   if (loading) {
     return (
@@ -104,7 +160,7 @@ const MaintenancePage = () => {
             PC Maintenance Center
           </h1>
           <p className="mt-2 text-sm text-gray-700">
-            Manage and monitor PCs currently under maintenance
+            Track repair tickets, parts and downtime for lab PCs
           </p>
         </div>
         <div className="mt-4 sm:mt-0 flex space-x-3">
@@ -115,13 +171,13 @@ const MaintenancePage = () => {
             <ComputerDesktopIcon className="h-4 w-4 mr-2" />
             All PCs
           </Link>
-          <Link
-            to="/admin/lab/pcs/new"
+          <button
+            onClick={() => setReportPcId('')}
             className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-cadd-red hover:bg-cadd-red/90"
           >
-            <ComputerDesktopIcon className="h-4 w-4 mr-2" />
-            Add PC
-          </Link>
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Report Issue
+          </button>
         </div>
       </div>
 
@@ -135,8 +191,10 @@ const MaintenancePage = () => {
               </div>
               <div className="ml-5 w-0 flex-1">
                 <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Total in Maintenance</dt>
-                  <dd className="text-lg font-medium text-gray-900">{maintenancePCs.length}</dd>
+                  <dt className="text-sm font-medium text-gray-500 truncate">PCs in Maintenance</dt>
+                  <dd className="text-lg font-medium text-gray-900">
+                    {pcs.filter(pc => pc.status === 'maintenance').length}
+                  </dd>
                 </dl>
               </div>
             </div>
@@ -151,13 +209,11 @@ const MaintenancePage = () => {
               </div>
               <div className="ml-5 w-0 flex-1">
                 <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Long-term Maintenance</dt>
+                  <dt className="text-sm font-medium text-gray-500 truncate">Open for over 7 days</dt>
                   <dd className="text-lg font-medium text-gray-900">
-                    {maintenancePCs.filter(pc => {
-                      if (!pc.lastMaintenance) return true
-                      const diffDays = Math.ceil(Math.abs(new Date() - new Date(pc.lastMaintenance)) / (1000 * 60 * 60 * 24))
-                      return diffDays > 7
-                    }).length}
+                    {activeTickets.filter(ticket =>
+                      new Date() - new Date(ticket.openedAt) > 7 * 24 * 60 * 60 * 1000
+                    ).length}
                   </dd>
                 </dl>
               </div>
@@ -169,18 +225,12 @@ const MaintenancePage = () => {
           <div className="p-5">
             <div className="flex items-center">
               <div className="flex-shrink-0">
-                <ClockIcon className="h-6 w-6 text-blue-400" />
+                <CheckCircleIcon className="h-6 w-6 text-green-400" />
               </div>
               <div className="ml-5 w-0 flex-1">
                 <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Recent Maintenance</dt>
-                  <dd className="text-lg font-medium text-gray-900">
-                    {maintenancePCs.filter(pc => {
-                      if (!pc.lastMaintenance) return false
-                      const diffDays = Math.ceil(Math.abs(new Date() - new Date(pc.lastMaintenance)) / (1000 * 60 * 60 * 24))
-                      return diffDays <= 7
-                    }).length}
-                  </dd>
+                  <dt className="text-sm font-medium text-gray-500 truncate">Tickets Closed</dt>
+                  <dd className="text-lg font-medium text-gray-900">{history.pagination.total}</dd>
                 </dl>
               </div>
             </div>
@@ -188,139 +238,109 @@ const MaintenancePage = () => {
         </div>
       </div>
 
-      {/* Filters */}
+      {/* Search */}
       <div className="bg-white shadow rounded-lg p-6">
-        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Search PCs
-            </label>
-            <div className="relative">
-              <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-3 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Search by PC number..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="pl-10 block w-full border-gray-300 rounded-md shadow-sm focus:ring-cadd-red focus:border-cadd-red sm:text-sm"
-              />
-            </div>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Row Number
-            </label>
-            <select
-              value={rowFilter}
-              onChange={(e) => setRowFilter(e.target.value)}
-              className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-cadd-red focus:border-cadd-red sm:text-sm"
-            >
-              <option value="">All Rows</option>
-              <option value="1">Row 1</option>
-              <option value="2">Row 2</option>
-              <option value="3">Row 3</option>
-              <option value="4">Row 4</option>
-            </select>
-          </div>
-          <div className="flex items-end">
-            <button
-              onClick={() => {
-                setRowFilter('')
-                setSearchTerm('')
-              }}
-              className="w-full inline-flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
-            >
-              <FunnelIcon className="h-4 w-4 mr-2" />
-              Clear Filters
-            </button>
-          </div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Search Tickets
+        </label>
+        <div className="relative">
+          <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-3 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by ticket, PC number or issue..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="pl-10 block w-full border-gray-300 rounded-md shadow-sm focus:ring-cadd-red focus:border-cadd-red sm:text-sm"
+          />
         </div>
       </div>
 
-      {/* Maintenance PCs List */}
+      {/* Open Tickets */}
       <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Open Tickets</h2>
+        </div>
         <div className="px-4 py-5 sm:p-6">
-          {filteredPCs.length === 0 ? (
+          {filteredTickets.length === 0 ? (
             <div className="text-center py-12">
               <WrenchScrewdriverIcon className="mx-auto h-12 w-12 text-gray-400" />
               <h3 className="mt-2 text-sm font-medium text-gray-900">
-                {maintenancePCs.length === 0 ? 'No PCs in Maintenance' : 'No PCs found'}
+                {activeTickets.length === 0 ? 'No Open Tickets' : 'No tickets found'}
               </h3>
               <p className="mt-1 text-sm text-gray-500">
-                {maintenancePCs.length === 0
-                  ? 'All PCs are currently active or inactive. Great job keeping the lab running!'
-                  : 'Try adjusting your search or filter criteria.'
+                {activeTickets.length === 0
+                  ? 'Every PC is in working order. Great job keeping the lab running!'
+                  : 'Try adjusting your search.'
                 }
               </p>
-              {maintenancePCs.length === 0 && (
-                <div className="mt-6">
-                  <Link
-                    to="/admin/lab/pcs"
-                    className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-cadd-red hover:bg-cadd-red/90"
-                  >
-                    <ComputerDesktopIcon className="h-4 w-4 mr-2" />
-                    View All PCs
-                  </Link>
-                </div>
-              )}
             </div>
           ) : (
             <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
-              {filteredPCs.map((pc) => (
-                <div key={pc._id} className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 hover:shadow-md transition-shadow">
-                  <div className="flex items-center justify-between mb-3">
+              {filteredTickets.map((ticket) => (
+                <div key={ticket._id} className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 hover:shadow-md transition-shadow">
+                  <div className="flex items-start justify-between mb-3">
                     <div className="flex items-center">
                       <WrenchScrewdriverIcon className="h-8 w-8 text-yellow-500 mr-3" />
                       <div>
-                        <h3 className="text-lg font-medium text-gray-900">{pc.pcNumber}</h3>
-                        <p className="text-sm text-gray-500">Row {pc.rowNumber}</p>
+                        <h3 className="text-lg font-medium text-gray-900">{ticket.pc?.pcNumber}</h3>
+                        <p className="text-xs text-gray-500">{ticket.ticketNumber} · {ticket.category}</p>
                       </div>
                     </div>
-                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                      Maintenance
-                    </span>
+                    <div className="flex flex-col items-end space-y-1">
+                      <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[ticket.status]}`}>
+                        {ticket.status}
+                      </span>
+                      <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${PRIORITY_STYLES[ticket.priority]}`}>
+                        {ticket.priority}
+                      </span>
+                    </div>
                   </div>
 
-                  <div className="mb-4 text-sm text-gray-600">
-                    <div className="flex items-center mb-2">
+                  <p className="text-sm text-gray-800 mb-3">{ticket.issue}</p>
+
+                  <div className="mb-4 text-sm text-gray-600 space-y-2">
+                    <div className="flex items-center">
                       <ClockIcon className="h-4 w-4 text-gray-400 mr-2" />
+                      <span>Down for {formatDuration(ticket.openedAt)}</span>
+                    </div>
+                    <div className="flex items-center">
+                      <CalendarDaysIcon className="h-4 w-4 text-gray-400 mr-2" />
                       <span>
-                        {pc.lastMaintenance
-                          ? `In maintenance for ${getMaintenanceDuration(pc.lastMaintenance)}`
-                          : 'Maintenance duration unknown'
-                        }
+                        Reported {formatDateSimple(ticket.openedAt)} by {ticket.reportedBy?.name || 'Unknown'}
                       </span>
                     </div>
-                    {pc.lastMaintenance && (
-                      <div className="flex items-center mb-2">
-                        <CalendarDaysIcon className="h-4 w-4 text-gray-400 mr-2" />
-                        <span>Since: {formatDateSimple(pc.lastMaintenance)}</span>
-                      </div>
-                    )}
-                    {pc.notes && (
-                      <div className="mt-2 p-2 bg-gray-100 rounded text-xs">
-                        <strong>Notes:</strong> {pc.notes}
-                      </div>
-                    )}
+                    <div className="flex items-center">
+                      <UserIcon className="h-4 w-4 text-gray-400 mr-2" />
+                      <select
+                        value={ticket.assignedTo?._id || ''}
+                        onChange={(e) => handleAssign(ticket, e.target.value)}
+                        className="text-xs border-gray-300 rounded-md py-1"
+                      >
+                        <option value="">Unassigned</option>
+                        {staff.map(user => (
+                          <option key={user._id} value={user._id}>{user.name}</option>
+                        ))}
+                      </select>
+                    </div>
                   </div>
 
-                  <div className="flex justify-between items-center">
-                    <div className="flex space-x-2">
+                  <div className="flex space-x-2">
+                    {ticket.status === 'open' && (
                       <button
-                        onClick={() => handleStatusChange(pc._id, 'active')}
-                        className="inline-flex items-center px-3 py-1 border border-green-300 rounded-md text-xs font-medium text-green-700 bg-white hover:bg-green-50"
+                        onClick={() => handleStartWork(ticket)}
+                        className="inline-flex items-center px-3 py-1 border border-blue-300 rounded-md text-xs font-medium text-blue-700 bg-white hover:bg-blue-50"
                       >
-                        <CheckCircleIcon className="h-3 w-3 mr-1" />
-                        Mark Active
+                        <WrenchScrewdriverIcon className="h-3 w-3 mr-1" />
+                        Start Work
                       </button>
-                      <Link
-                        to={`/admin/lab/pcs/${pc._id}/edit`}
-                        className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
-                      >
-                        <PencilIcon className="h-3 w-3 mr-1" />
-                        Edit
-                      </Link>
-                    </div>
+                    )}
+                    <button
+                      onClick={() => setClosingTicket(ticket)}
+                      className="inline-flex items-center px-3 py-1 border border-green-300 rounded-md text-xs font-medium text-green-700 bg-white hover:bg-green-50"
+                    >
+                      <CheckCircleIcon className="h-3 w-3 mr-1" />
+                      Close Ticket
+                    </button>
                   </div>
                 </div>
               ))}
@@ -328,6 +348,127 @@ const MaintenancePage = () => {
           )}
         </div>
       </div>
+
+      {/* PCs in maintenance without a ticket */}
+      {untrackedPCs.length > 0 && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">PCs in Maintenance without a Ticket</h2>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {untrackedPCs.map(pc => (
+              <li key={pc._id} className="px-6 py-3 flex items-center justify-between text-sm">
+                <span>
+                  <span className="font-medium text-gray-900">{pc.pcNumber}</span>
+                  <span className="text-gray-500"> · Row {pc.row}</span>
+                  {pc.notes && <span className="text-gray-500"> · {pc.notes}</span>}
+                </span>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setReportPcId(pc._id)}
+                    className="inline-flex items-center px-3 py-1 border border-yellow-300 rounded-md text-xs font-medium text-yellow-700 bg-white hover:bg-yellow-50"
+                  >
+                    <PlusIcon className="h-3 w-3 mr-1" />
+                    Open Ticket
+                  </button>
+                  <button
+                    onClick={() => handleMarkActive(pc._id)}
+                    className="inline-flex items-center px-3 py-1 border border-green-300 rounded-md text-xs font-medium text-green-700 bg-white hover:bg-green-50"
+                  >
+                    <CheckCircleIcon className="h-3 w-3 mr-1" />
+                    Mark Active
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Ticket History */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Maintenance History</h2>
+        </div>
+        {history.items.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No closed tickets yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Ticket</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">PC</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Issue / Resolution</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Parts</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Opened</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Downtime</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Closed By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {history.items.map(ticket => (
+                  <tr key={ticket._id} className="align-top">
+                    <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900">{ticket.ticketNumber}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">{ticket.pc?.pcNumber}</td>
+                    <td className="px-4 py-2">
+                      <p className="text-gray-900">{ticket.issue}</p>
+                      <p className="text-gray-500">{ticket.resolution}</p>
+                    </td>
+                    <td className="px-4 py-2">
+                      {ticket.partsReplaced?.length
+                        ? ticket.partsReplaced.map(part => `${part.name}${part.quantity > 1 ? ` ×${part.quantity}` : ''}`).join(', ')
+                        : '—'}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">{formatDateSimple(ticket.openedAt)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">{formatDuration(ticket.openedAt, ticket.closedAt)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">{ticket.closedBy?.name || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {history.pagination.pages > 1 && (
+          <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+            <span className="text-gray-500">
+              Page {history.pagination.page} of {history.pagination.pages}
+            </span>
+            <div className="space-x-2">
+              <button
+                onClick={() => setHistoryPage(page => page - 1)}
+                disabled={historyPage <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setHistoryPage(page => page + 1)}
+                disabled={historyPage >= history.pagination.pages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <ReportIssueModal
+        isOpen={reportPcId !== null}
+        onClose={() => setReportPcId(null)}
+        pcs={pcs}
+        staff={staff}
+        defaultPcId={reportPcId || ''}
+        onCreated={refresh}
+      />
+
+      <CloseTicketModal
+        isOpen={!!closingTicket}
+        onClose={() => setClosingTicket(null)}
+        ticket={closingTicket}
+        onClosed={refresh}
+      />
     </div>
   )
 }
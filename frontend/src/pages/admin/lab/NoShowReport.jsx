@@ -0,0 +1,333 @@
+import { useState, useEffect } from 'react'
+import { UserMinusIcon, ArrowPathIcon } from '@heroicons/react/24/outline'
+import { format, subDays } from 'date-fns'
+import toast from 'react-hot-toast'
+import { noShowAPI } from '../../../services/labAPI'
+import { batchesAPI, systemSettingsAPI } from '../../../services/api'
+import BackButton from '../../../components/BackButton'
+
+const rateColor = (rate) => {
+  if (rate >= 30) return 'text-red-600'
+  if (rate >= 15) return 'text-yellow-600'
+  return 'text-green-600'
+}
+
+const NoShowReport = () => {
+  const [filters, setFilters] = useState({
+    from: format(subDays(new Date(), 30), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd'),
+    batch: ''
+  })
+  const [report, setReport] = useState(null)
+  const [batches, setBatches] = useState([])
+  const [priority, setPriority] = useState({ threshold: '', windowDays: '' })
+  const [loading, setLoading] = useState(true)
+  const [reconciling, setReconciling] = useState(false)
+
+  useEffect(() => {
+    Promise.allSettled([
+      batchesAPI.getBatches(),
+      systemSettingsAPI.getSettingValue('lab', 'noShowPriorityThreshold'),
+      systemSettingsAPI.getSettingValue('lab', 'noShowWindowDays')
+    ]).then(([batchesRes, thresholdRes, windowRes]) => {
+      if (batchesRes.status === 'fulfilled') {
+        setBatches(Array.isArray(batchesRes.value.data) ? batchesRes.value.data : [])
+      }
+      setPriority({
+        threshold: thresholdRes.status === 'fulfilled' ? String(thresholdRes.value.data?.value ?? '') : '',
+        windowDays: windowRes.status === 'fulfilled' ? String(windowRes.value.data?.value ?? '') : ''
+      })
+    })
+  }, [])
+
+  useEffect(() => {
+    fetchReport()
+  }, [filters])
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      const params = {
+        from: filters.from,
+        to: `${filters.to}T23:59:59`
+      }
+      if (filters.batch) params.batch = filters.batch
+      setReport(await noShowAPI.getReport(params))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load no-show report')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleReconcile = async () => {
+    try {
+      setReconciling(true)
+      const result = await noShowAPI.reconcile()
+      toast.success(`${result.message}: ${result.completed} completed, ${result.noShows} no-shows`)
+      fetchReport()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Reconciliation failed')
+    } finally {
+      setReconciling(false)
+    }
+  }
+
+  const handlePrioritySave = async () => {
+    try {
+      await Promise.all([
+        systemSettingsAPI.updateSettingValue('lab', 'noShowPriorityThreshold', {
+          value: Number(priority.threshold),
+          reason: 'Updated from no-show report'
+        }),
+        systemSettingsAPI.updateSettingValue('lab', 'noShowWindowDays', {
+          value: Number(priority.windowDays),
+          reason: 'Updated from no-show report'
+        })
+      ])
+      toast.success('Booking priority rule updated')
+      fetchReport()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update booking priority rule')
+    }
+  }
+
+  const summary = report?.summary
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <div className="flex items-center">
+        <BackButton />
+      </div>
+
+      {/* Header */}
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <UserMinusIcon className="h-8 w-8 text-red-500 mr-3" />
+            Lab No-Show Report
+          </h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Bookings checked against attendance once their time slot is over
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 flex items-center gap-3">
+          {report?.service?.lastRun && (
+            <span className="text-xs text-gray-500">
+              Last run {format(new Date(report.service.lastRun), 'dd MMM, hh:mm a')}
+            </span>
+          )}
+          <button onClick={handleReconcile} disabled={reconciling} className="btn-secondary inline-flex items-center">
+            <ArrowPathIcon className={`h-4 w-4 mr-2 ${reconciling ? 'animate-spin' : ''}`} />
+            Reconcile Now
+          </button>
+        </div>
+      </div>
+
+      {/* Booking priority rule */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-sm font-semibold text-gray-900">Booking priority for repeat no-shows</h2>
+          <p className="text-xs text-gray-500">
+            Students with this many unexcused no-shows are seated last and flagged when booked (0 turns this off)
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            max="50"
+            value={priority.threshold}
+            onChange={(e) => setPriority(prev => ({ ...prev, threshold: e.target.value }))}
+            className="form-input w-20"
+          />
+          <span className="text-sm text-gray-600">no-shows in</span>
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={priority.windowDays}
+            onChange={(e) => setPriority(prev => ({ ...prev, windowDays: e.target.value }))}
+            className="form-input w-20"
+          />
+          <span className="text-sm text-gray-600">days</span>
+          <button
+            onClick={handlePrioritySave}
+            disabled={priority.threshold === '' || priority.windowDays === ''}
+            className="btn-secondary"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className="form-label">From</label>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">To</label>
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">Batch</label>
+          <select name="batch" value={filters.batch} onChange={handleFilterChange} className="form-input">
+            <option value="">All batches</option>
+            {batches.map(batch => (
+              <option key={batch._id} value={batch._id}>{batch.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-cadd-red"></div>
+        </div>
+      ) : summary && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 gap-5 sm:grid-cols-4">
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Reconciled bookings</dt>
+              <dd className="text-2xl font-semibold text-gray-900">{summary.bookings}</dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">No-shows</dt>
+              <dd className="text-2xl font-semibold text-gray-900">
+                {summary.noShows}
+                {summary.excused > 0 && (
+                  <span className="ml-2 text-sm font-normal text-gray-500">({summary.excused} excused)</span>
+                )}
+              </dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">No-show rate</dt>
+              <dd className={`text-2xl font-semibold ${rateColor(summary.noShowRate)}`}>{summary.noShowRate}%</dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Wasted seat-hours</dt>
+              <dd className="text-2xl font-semibold text-red-600">{summary.wastedSeatHours}</dd>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* By batch */}
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">By Batch</h2>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Batch</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Bookings</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">No-shows</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Rate</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Seat-hours lost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.batches.map(entry => (
+                    <tr key={entry.batch?._id || 'none'}>
+                      <td className="px-4 py-2 text-gray-900">{entry.batch?.name || 'No batch'}</td>
+                      <td className="px-4 py-2 text-right">{entry.bookings}</td>
+                      <td className="px-4 py-2 text-right">{entry.noShows}</td>
+                      <td className={`px-4 py-2 text-right font-medium ${rateColor(entry.noShowRate)}`}>{entry.noShowRate}%</td>
+                      <td className="px-4 py-2 text-right">{entry.wastedSeatHours}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {report.batches.length === 0 && (
+                <p className="px-6 py-6 text-center text-sm text-gray-500">No reconciled bookings in this period</p>
+              )}
+            </div>
+
+            {/* By time slot */}
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-medium text-gray-900">By Time Slot</h2>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Time slot</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Bookings</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Rate</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Seat-hours lost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.timeSlots.map(entry => (
+                    <tr key={entry.timeSlot}>
+                      <td className="px-4 py-2 text-gray-900">{entry.timeSlot}</td>
+                      <td className="px-4 py-2 text-right">{entry.bookings}</td>
+                      <td className={`px-4 py-2 text-right font-medium ${rateColor(entry.noShowRate)}`}>{entry.noShowRate}%</td>
+                      <td className="px-4 py-2 text-right">{entry.wastedSeatHours}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* By student */}
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">By Student</h2>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Student</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Batch</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Bookings</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">No-shows</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Excused</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Rate</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500">Seat-hours lost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.students.map(entry => (
+                    <tr key={entry.student._id}>
+                      <td className="px-4 py-2 text-gray-900">
+                        {entry.student.name}
+                        {entry.lowPriority && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-orange-100 text-orange-800">
+                            Low priority
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{entry.batch?.name || '—'}</td>
+                      <td className="px-4 py-2 text-right">{entry.bookings}</td>
+                      <td className="px-4 py-2 text-right">{entry.noShows}</td>
+                      <td className="px-4 py-2 text-right">{entry.excused}</td>
+                      <td className={`px-4 py-2 text-right font-medium ${rateColor(entry.noShowRate)}`}>{entry.noShowRate}%</td>
+                      <td className="px-4 py-2 text-right">{entry.wastedSeatHours}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {report.students.length === 0 && (
+              <p className="px-6 py-6 text-center text-sm text-gray-500">No reconciled bookings in this period</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default NoShowReport
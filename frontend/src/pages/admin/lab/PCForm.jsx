@@ -6,7 +6,9 @@ import toast from 'react-hot-toast'
 
 import {
   ComputerDesktopIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  PlusIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline'
 
 const PCForm = () => {
@@ -26,6 +28,7 @@ const PCForm = () => {
       graphics: '',
       monitor: ''
     },
+    installedSoftware: [],
     notes: ''
   })
   const [loading, setLoading] = useState(false)
@@ -54,6 +57,10 @@ const PCForm = () => {
           graphics: pcData.specifications?.graphics || '',
           monitor: pcData.specifications?.monitor || ''
         },
+        installedSoftware: (pcData.installedSoftware || []).map(item => ({
+          name: item.name || '',
+          version: item.version || ''
+        })),
         notes: pcData.notes || ''
       })
     } catch (error) {
@@ -69,12 +76,17 @@ const PCForm = () => {
     e.preventDefault()
     setLoading(true)
 
+    const submitData = {
+      ...formData,
+      installedSoftware: formData.installedSoftware.filter(item => item.name.trim())
+    }
+
     try {
       if (isEdit) {
-        await pcAPI.updatePC(id, formData)
+        await pcAPI.updatePC(id, submitData)
         toast.success('PC updated successfully')
       } else {
-        await pcAPI.createPC(formData)
+        await pcAPI.createPC(submitData)
         toast.success('PC created successfully')
       }
       navigate('/admin/lab/pcs')
@@ -86,6 +98,15 @@ const PCForm = () => {
     }
   }
 
+  const updateSoftware = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      installedSoftware: prev.installedSoftware.map((item, i) =>
+        i === index ? { ...item, [field]: value } : item
+      )
+    }))
+  }
+
   const handleInputChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -339,6 +360,62 @@ const PCForm = () => {
             </div>
           </div>
 
+          {/* Installed Software */}
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Installed Software</h3>
+                <p className="text-sm text-gray-500">Used to seat students on PCs that have their course software</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setFormData(prev => ({
+                  ...prev,
+                  installedSoftware: [...prev.installedSoftware, { name: '', version: '' }]
+                }))}
+                className="flex items-center px-3 py-2 text-sm border border-gray-300 rounded-xl hover:bg-gray-50 transition-colors"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add Software
+              </button>
+            </div>
+
+            {formData.installedSoftware.length === 0 ? (
+              <p className="text-sm text-gray-500">No software recorded for this PC</p>
+            ) : (
+              <div className="space-y-3">
+                {formData.installedSoftware.map((item, index) => (
+                  <div key={index} className="flex items-center gap-3">
+                    <input
+                      type="text"
+                      value={item.name}
+                      onChange={(e) => updateSoftware(index, 'name', e.target.value)}
+                      placeholder="e.g., AutoCAD"
+                      className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-cadd-red focus:border-cadd-red transition-colors duration-300"
+                    />
+                    <input
+                      type="text"
+                      value={item.version}
+                      onChange={(e) => updateSoftware(index, 'version', e.target.value)}
+                      placeholder="Version"
+                      className="w-32 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-cadd-red focus:border-cadd-red transition-colors duration-300"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setFormData(prev => ({
+                        ...prev,
+                        installedSoftware: prev.installedSoftware.filter((_, i) => i !== index)
+                      }))}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Notes */}
           <div>
             <label htmlFor="notes" className="block text-sm font-medium text-gray-700 mb-2">
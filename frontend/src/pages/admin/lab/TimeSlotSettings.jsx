@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react'
+import {
+  ClockIcon,
+  PlusIcon,
+  TrashIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline'
+import { timeSlotAPI } from '../../../services/labAPI'
+import { loadTimeSlots } from '../../../utils/timeSlots'
+import toast from 'react-hot-toast'
+import BackButton from '../../../components/BackButton'
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const TimeSlotSettings = () => {
+  const [slots, setSlots] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchSlots()
+  }, [])
+
+  const fetchSlots = async () => {
+    try {
+      setLoading(true)
+      const data = await timeSlotAPI.getTimeSlots({ includeInactive: true })
+      setSlots(data)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load time slots')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateSlot = (index, field, value) => {
+    setSlots(prev => prev.map((slot, i) => i === index ? { ...slot, [field]: value } : slot))
+  }
+
+  const addSlot = () => {
+    // Start the new slot where the last one ends
+    const last = slots[slots.length - 1]
+    const startTime = last?.endTime || '09:00'
+    const endMinutes = Math.min(toMinutes(startTime) + 90, 23 * 60 + 59)
+    const endTime = `${String(Math.floor(endMinutes / 60)).padStart(2, '0')}:${String(endMinutes % 60).padStart(2, '0')}`
+    setSlots(prev => [...prev, { name: '', startTime, endTime, isActive: true }])
+  }
+
+  const removeSlot = (index) => {
+    setSlots(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    const invalid = slots.find(slot => !slot.name.trim() || toMinutes(slot.endTime) <= toMinutes(slot.startTime))
+    if (invalid) {
+      toast.error('Every slot needs a name and must end after it starts')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const data = await timeSlotAPI.updateTimeSlots(slots.map(slot => ({
+        _id: slot._id,
+        name: slot.name,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        isActive: slot.isActive
+      })))
+      setSlots(data)
+      await loadTimeSlots(true)
+      toast.success('Time slots saved')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save time slots')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-cadd-red"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <div className="flex items-center">
+        <BackButton />
+      </div>
+
+      {/* Header */}
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <ClockIcon className="h-8 w-8 text-blue-500 mr-3" />
+            Institute Time Slots
+          </h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Class and lab booking slots used by batches, attendance and the lab screens
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 flex space-x-3">
+          <button onClick={addSlot} className="btn-secondary flex items-center">
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add Slot
+          </button>
+          <button onClick={handleSave} disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex text-sm text-yellow-800">
+        <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+        <span>
+          Changing the times of a slot moves its batches and upcoming bookings with it.
+          Slots used by a batch cannot be removed; mark them inactive instead.
+        </span>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Start</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">End</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Active</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {slots.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-sm text-gray-500">
+                  No time slots defined
+                </td>
+              </tr>
+            ) : slots.map((slot, index) => {
+              const duration = toMinutes(slot.endTime) - toMinutes(slot.startTime)
+              return (
+                <tr key={slot._id || `new-${index}`} className={slot.isActive ? '' : 'bg-gray-50'}>
+                  <td className="px-6 py-3">
+                    <input
+                      type="text"
+                      value={slot.name}
+                      onChange={(e) => updateSlot(index, 'name', e.target.value)}
+                      placeholder="e.g. Evening"
+                      className="form-input"
+                    />
+                  </td>
+                  <td className="px-6 py-3">
+                    <input
+                      type="time"
+                      value={slot.startTime}
+                      onChange={(e) => updateSlot(index, 'startTime', e.target.value)}
+                      className="form-input"
+                    />
+                  </td>
+                  <td className="px-6 py-3">
+                    <input
+                      type="time"
+                      value={slot.endTime}
+                      onChange={(e) => updateSlot(index, 'endTime', e.target.value)}
+                      className="form-input"
+                    />
+                  </td>
+                  <td className={`px-6 py-3 text-sm ${duration > 0 ? 'text-gray-700' : 'text-red-600'}`}>
+                    {duration > 0 ? `${duration} min` : 'Invalid'}
+                  </td>
+                  <td className="px-6 py-3">
+                    <input
+                      type="checkbox"
+                      checked={slot.isActive}
+                      onChange={(e) => updateSlot(index, 'isActive', e.target.checked)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                  </td>
+                  <td className="px-6 py-3 text-right">
+                    <button
+                      onClick={() => removeSlot(index)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove slot"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default TimeSlotSettings
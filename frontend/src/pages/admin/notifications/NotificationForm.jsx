@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import toast from 'react-hot-toast'
 import { useNavigate } from 'react-router-dom'
-import { notificationsAPI, departmentsAPI, teachersAPI } from '../../../services/api'
+import { notificationsAPI, departmentsAPI, teachersAPI, batchesAPI, coursesAPI } from '../../../services/api'
 import BackButton from '../../../components/BackButton'
 import {
   SpeakerWaveIcon,
@@ -12,14 +12,23 @@ import {
   EnvelopeIcon,
   UserGroupIcon,
   BuildingOfficeIcon,
-  UsersIcon
+  UsersIcon,
+  RectangleStackIcon,
+  AcademicCapIcon,
+  UserIcon,
+  ClockIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline'
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
 const NotificationForm = () => {
   const navigate = useNavigate()
   const [loading, setLoading] = useState(false)
   const [departments, setDepartments] = useState([])
   const [teachers, setTeachers] = useState([])
+  const [batches, setBatches] = useState([])
+  const [courses, setCourses] = useState([])
   const [formData, setFormData] = useState({
     title: '',
     message: '',
@@ -28,15 +37,40 @@ const NotificationForm = () => {
     targetAudience: 'all_teachers',
     targetTeachers: [],
     targetDepartment: '',
-    sendEmail: true
+    targetBatch: '',
+    targetCourse: '',
+    sendEmail: true,
+    delivery: 'now',
+    scheduledFor: '',
+    frequency: 'daily',
+    time: '17:00',
+    daysOfWeek: [1, 2, 3, 4, 5, 6],
+    dayOfMonth: '1',
+    startDate: '',
+    endDate: '',
+    skipHolidays: true
   })
   const [errors, setErrors] = useState({})
 
   useEffect(() => {
     fetchDepartments()
     fetchTeachers()
+    fetchBatchesAndCourses()
   }, [])
 
+  const fetchBatchesAndCourses = async () => {
+    try {
+      const [batchesResponse, coursesResponse] = await Promise.all([
+        batchesAPI.getBatches(),
+        coursesAPI.getCourses()
+      ])
+      setBatches(Array.isArray(batchesResponse.data) ? batchesResponse.data : [])
+      setCourses(Array.isArray(coursesResponse.data) ? coursesResponse.data : [])
+    } catch (error) {
+      console.error('Error fetching batches and courses:', error)
+    }
+  }
+
   const fetchDepartments = async () => {
     try {
       const response = await departmentsAPI.getDepartments({ active: true })
@@ -77,6 +111,15 @@ const NotificationForm = () => {
     }))
   }
 
+  const handleWeekdayToggle = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(item => item !== day)
+        : [...prev.daysOfWeek, day]
+    }))
+  }
+
   const validateForm = () => {
     const newErrors = {}
 
@@ -100,6 +143,32 @@ const NotificationForm = () => {
       newErrors.targetDepartment = 'Please select a department'
     }
 
+    if (formData.targetAudience.startsWith('batch_') && !formData.targetBatch) {
+      newErrors.targetBatch = 'Please select a batch'
+    }
+
+    if (formData.targetAudience.startsWith('course_') && !formData.targetCourse) {
+      newErrors.targetCourse = 'Please select a course'
+    }
+
+    if (formData.delivery === 'schedule' && !formData.scheduledFor) {
+      newErrors.scheduledFor = 'Please choose when to send it'
+    } else if (formData.delivery === 'schedule' && new Date(formData.scheduledFor) <= new Date()) {
+      newErrors.scheduledFor = 'Send time must be in the future'
+    }
+
+    if (formData.delivery === 'repeat') {
+      if (!formData.time) {
+        newErrors.time = 'Please choose a time'
+      }
+      if (formData.frequency === 'weekly' && formData.daysOfWeek.length === 0) {
+        newErrors.daysOfWeek = 'Please select at least one day'
+      }
+      if (formData.startDate && formData.endDate && formData.endDate < formData.startDate) {
+        newErrors.endDate = 'End date must be after the start date'
+      }
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -112,24 +181,34 @@ const NotificationForm = () => {
       return
     }
 
+    const { delivery, scheduledFor, frequency, time, daysOfWeek, dayOfMonth, startDate, endDate, skipHolidays, ...notification } = formData
+    const payload = { ...notification }
+    if (delivery === 'schedule') {
+      payload.scheduledFor = new Date(scheduledFor).toISOString()
+    } else if (delivery === 'repeat') {
+      payload.recurrence = {
+        frequency,
+        time,
+        daysOfWeek,
+        dayOfMonth: parseInt(dayOfMonth),
+        startDate: startDate || undefined,
+        endDate: endDate || undefined,
+        skipHolidays
+      }
+    }
+
     setLoading(true)
     try {
-      const response = await notificationsAPI.createNotification(formData)
+      const response = await notificationsAPI.createNotification(payload)
       
       if (response.data.success) {
-        const { emailResults } = response.data
-        if (formData.sendEmail) {
-          toast.success(
-            `Notification sent successfully! ${emailResults.sent}/${emailResults.total} emails delivered.`
-          )
-        } else {
-          toast.success('Notification created successfully!')
-        }
+        toast.success(response.data.message)
         navigate('/admin/notifications')
       }
     } catch (error) {
       console.error('Error creating notification:', error)
-      toast.error(error.response?.data?.message || 'Failed to create notification')
+      const serverErrors = error.response?.data?.errors
+      toast.error(serverErrors?.length ? serverErrors.join(', ') : error.response?.data?.message || 'Failed to create notification')
     } finally {
       setLoading(false)
     }
@@ -153,18 +232,32 @@ const NotificationForm = () => {
   const audienceOptions = [
     { value: 'all_teachers', label: 'All Teachers', icon: UserGroupIcon },
     { value: 'department', label: 'Specific Department', icon: BuildingOfficeIcon },
-    { value: 'specific_teachers', label: 'Specific Teachers', icon: UsersIcon }
+    { value: 'specific_teachers', label: 'Specific Teachers', icon: UsersIcon },
+    { value: 'batch_teachers', label: 'Teachers of a Batch', icon: RectangleStackIcon },
+    { value: 'course_teachers', label: 'Teachers of a Course', icon: AcademicCapIcon },
+    { value: 'batch_students', label: 'Students of a Batch (portal accounts)', icon: UserIcon },
+    { value: 'course_students', label: 'Students of a Course (portal accounts)', icon: UserIcon }
   ]
 
+  const deliveryOptions = [
+    { value: 'now', label: 'Send now', icon: SpeakerWaveIcon },
+    { value: 'schedule', label: 'Schedule for later', icon: ClockIcon },
+    { value: 'repeat', label: 'Repeat as a reminder', icon: ArrowPathIcon }
+  ]
+
+  const inputClass = (field) => `w-full px-3 py-2 text-sm md:text-base border rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent ${
+    errors[field] ? 'border-red-500' : 'border-gray-300'
+  }`
+
   return (
     <div className="space-y-4 md:space-y-6">
   {/* Header - Stacked on mobile */}
   <div className="flex items-start md:items-center space-x-3 md:space-x-4">
     <BackButton className="mt-1 md:mt-0" />
     <div>
-      <h1 className="text-xl md:text-2xl font-bold text-gray-900">Send Notification to Teachers</h1>
+      <h1 className="text-xl md:text-2xl font-bold text-gray-900">Send Notification</h1>
       <p className="text-sm md:text-base text-gray-600">
-        Create and send notifications to teachers via dashboard and email
+        Notify teachers or students via dashboard and email, now, later or on a schedule
       </p>
     </div>
   </div>
@@ -251,7 +344,7 @@ const NotificationForm = () => {
               className={`w-full px-3 py-2 text-sm md:text-base border rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent ${
                 errors.message ? 'border-red-500' : 'border-gray-300'
               }`}
-              placeholder="Enter the detailed message for teachers..."
+              placeholder="Enter the detailed message..."
               maxLength="2000"
             />
             {errors.message && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.message}</p>}
@@ -313,6 +406,48 @@ const NotificationForm = () => {
           </div>
         )}
 
+        {/* Batch Selection */}
+        {formData.targetAudience.startsWith('batch_') && (
+          <div>
+            <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">
+              Select Batch *
+            </label>
+            <select name="targetBatch" value={formData.targetBatch} onChange={handleChange} className={inputClass('targetBatch')}>
+              <option value="">Select Batch</option>
+              {batches.map(batch => (
+                <option key={batch._id} value={batch._id}>
+                  {batch.name}{batch.course?.name ? ` (${batch.course.name})` : ''}
+                </option>
+              ))}
+            </select>
+            {errors.targetBatch && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.targetBatch}</p>}
+          </div>
+        )}
+
+        {/* Course Selection */}
+        {formData.targetAudience.startsWith('course_') && (
+          <div>
+            <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">
+              Select Course *
+            </label>
+            <select name="targetCourse" value={formData.targetCourse} onChange={handleChange} className={inputClass('targetCourse')}>
+              <option value="">Select Course</option>
+              {courses.map(course => (
+                <option key={course._id} value={course._id}>
+                  {course.name}{course.code ? ` (${course.code})` : ''}
+                </option>
+              ))}
+            </select>
+            {errors.targetCourse && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.targetCourse}</p>}
+          </div>
+        )}
+
+        {formData.targetAudience.endsWith('_students') && (
+          <p className="text-xs md:text-sm text-gray-500">
+            Only students with a student portal account receive the notification.
+          </p>
+        )}
+
         {/* Teacher Selection - Scrollable container for mobile */}
         {formData.targetAudience === 'specific_teachers' && (
           <div>
@@ -346,6 +481,132 @@ const NotificationForm = () => {
         )}
       </div>
 
+      {/* Timing */}
+      <div className="space-y-4 md:space-y-6">
+        <h3 className="text-base md:text-lg font-medium text-gray-900 border-b pb-2">When</h3>
+
+        <div className="flex flex-col sm:flex-row gap-2 sm:gap-6">
+          {deliveryOptions.map(option => (
+            <label key={option.value} className="flex items-center">
+              <input
+                type="radio"
+                name="delivery"
+                value={option.value}
+                checked={formData.delivery === option.value}
+                onChange={handleChange}
+                className="h-4 w-4 text-cadd-red focus:ring-cadd-red border-gray-300"
+              />
+              <div className="ml-2 flex items-center">
+                <option.icon className="h-4 w-4 md:h-5 md:w-5 text-gray-400 mr-1 md:mr-2" />
+                <span className="text-xs md:text-sm font-medium text-gray-700">{option.label}</span>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {formData.delivery === 'schedule' && (
+          <div className="md:w-1/2">
+            <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">
+              Send At *
+            </label>
+            <input
+              type="datetime-local"
+              name="scheduledFor"
+              value={formData.scheduledFor}
+              onChange={handleChange}
+              className={inputClass('scheduledFor')}
+            />
+            {errors.scheduledFor && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.scheduledFor}</p>}
+          </div>
+        )}
+
+        {formData.delivery === 'repeat' && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">Repeat</label>
+              <select name="frequency" value={formData.frequency} onChange={handleChange} className={inputClass('frequency')}>
+                <option value="daily">Every day</option>
+                <option value="weekly">On selected weekdays</option>
+                <option value="monthly">Every month</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">At *</label>
+              <input type="time" name="time" value={formData.time} onChange={handleChange} className={inputClass('time')} />
+              {errors.time && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.time}</p>}
+            </div>
+            {formData.frequency === 'monthly' ? (
+              <div>
+                <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">Day of Month</label>
+                <input
+                  type="number"
+                  name="dayOfMonth"
+                  min="1"
+                  max="31"
+                  value={formData.dayOfMonth}
+                  onChange={handleChange}
+                  className={inputClass('dayOfMonth')}
+                />
+              </div>
+            ) : <div></div>}
+
+            {formData.frequency === 'weekly' && (
+              <div className="md:col-span-3">
+                <div className="flex flex-wrap gap-2">
+                  {WEEKDAYS.map((day, index) => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => handleWeekdayToggle(index)}
+                      className={`px-3 py-1 rounded-full text-xs md:text-sm font-medium border ${
+                        formData.daysOfWeek.includes(index)
+                          ? 'bg-cadd-red text-white border-cadd-red'
+                          : 'bg-white text-gray-700 border-gray-300'
+                      }`}
+                    >
+                      {day}
+                    </button>
+                  ))}
+                </div>
+                {errors.daysOfWeek && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.daysOfWeek}</p>}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">Starting (optional)</label>
+              <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} className={inputClass('startDate')} />
+            </div>
+            <div>
+              <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">Until (optional)</label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                min={formData.startDate}
+                onChange={handleChange}
+                className={inputClass('endDate')}
+              />
+              {errors.endDate && <p className="text-red-500 text-xs md:text-sm mt-1">{errors.endDate}</p>}
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-xs md:text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  name="skipHolidays"
+                  checked={formData.skipHolidays}
+                  onChange={handleChange}
+                  className="h-4 w-4 text-cadd-red focus:ring-cadd-red border-gray-300 rounded mr-2"
+                />
+                Skip holidays
+              </label>
+            </div>
+            <p className="md:col-span-3 text-xs md:text-sm text-gray-500">
+              Each reminder is sent as a new notification. Times are in institute time.
+            </p>
+          </div>
+        )}
+      </div>
+
       {/* Email Options */}
       <div className="space-y-4 md:space-y-6">
         <h3 className="text-base md:text-lg font-medium text-gray-900 border-b pb-2">Delivery Options</h3>
@@ -362,13 +623,13 @@ const NotificationForm = () => {
           <label htmlFor="sendEmail" className="ml-2 md:ml-3 flex items-start">
             <EnvelopeIcon className="h-4 w-4 md:h-5 md:w-5 text-gray-400 mr-1 md:mr-2 mt-0.5" />
             <span className="text-xs md:text-sm font-medium text-gray-700">
-              Send email notifications to teachers
+              Send email notifications to recipients
             </span>
           </label>
         </div>
         <p className="text-xs md:text-sm text-gray-500 ml-6 md:ml-7">
-          Teachers will receive the notification in their dashboard regardless of this setting.
-          Email notifications provide immediate alerts.
+          Recipients will receive the notification in their dashboard regardless of this setting.
+          Failed emails are retried automatically.
         </p>
       </div>
 
@@ -391,7 +652,11 @@ const NotificationForm = () => {
           ) : (
             <SpeakerWaveIcon className="h-3 w-3 md:h-4 md:w-4" />
           )}
-          <span>{loading ? 'Sending...' : 'Send Notification'}</span>
+          <span>
+            {loading
+              ? 'Saving...'
+              : formData.delivery === 'now' ? 'Send Notification' : formData.delivery === 'schedule' ? 'Schedule Notification' : 'Schedule Reminder'}
+          </span>
         </button>
       </div>
     </form>
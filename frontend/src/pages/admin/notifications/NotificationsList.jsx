@@ -13,16 +13,32 @@ import {
   EnvelopeIcon,
   UserGroupIcon,
   BuildingOfficeIcon,
-  UsersIcon
+  UsersIcon,
+  RectangleStackIcon,
+  AcademicCapIcon,
+  UserIcon,
+  ClockIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline'
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const EMAIL_STATUS_STYLES = {
+  pending: 'text-gray-600 bg-gray-100',
+  sent: 'text-green-700 bg-green-100',
+  failed: 'text-red-700 bg-red-100',
+  skipped: 'text-yellow-700 bg-yellow-100'
+}
+
 const NotificationsList = () => {
   const [notifications, setNotifications] = useState([])
   const [loading, setLoading] = useState(true)
   const [stats, setStats] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
   const [filters, setFilters] = useState({
     type: '',
-    priority: ''
+    priority: '',
+    status: ''
   })
 
   useEffect(() => {
@@ -52,14 +68,17 @@ const NotificationsList = () => {
     }
   }
 
-  const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this notification?')) {
+  const handleDelete = async (notification) => {
+    const isScheduled = notification.status === 'scheduled'
+    if (!window.confirm(isScheduled
+      ? 'Cancel this notification? It will not be sent.'
+      : 'Are you sure you want to delete this notification?')) {
       return
     }
 
     try {
-      await notificationsAPI.deleteNotification(id)
-      toast.success('Notification deleted successfully')
+      await notificationsAPI.deleteNotification(notification._id)
+      toast.success(isScheduled ? 'Notification cancelled' : 'Notification deleted successfully')
       fetchNotifications()
       fetchStats()
     } catch (error) {
@@ -104,11 +123,70 @@ const NotificationsList = () => {
     const icons = {
       all_teachers: UserGroupIcon,
       department: BuildingOfficeIcon,
-      specific_teachers: UsersIcon
+      specific_teachers: UsersIcon,
+      batch_teachers: RectangleStackIcon,
+      course_teachers: AcademicCapIcon,
+      batch_students: UserIcon,
+      course_students: UserIcon
     }
     return icons[audience] || UserGroupIcon
   }
 
+  const describeAudience = (notification) => {
+    switch (notification.targetAudience) {
+      case 'all_teachers':
+        return 'All Teachers'
+      case 'department':
+        return notification.targetDepartment?.name || 'Department'
+      case 'specific_teachers':
+        return `${notification.targetTeachers?.length || 0} Teachers`
+      case 'batch_teachers':
+        return `Teachers of ${notification.targetBatch?.name || 'batch'}`
+      case 'course_teachers':
+        return `Teachers of ${notification.targetCourse?.name || 'course'}`
+      case 'batch_students':
+        return `Students of ${notification.targetBatch?.name || 'batch'}`
+      case 'course_students':
+        return `Students of ${notification.targetCourse?.name || 'course'}`
+      default:
+        return notification.targetAudience
+    }
+  }
+
+  const describeRecurrence = ({ frequency, time, daysOfWeek, dayOfMonth }) => {
+    if (frequency === 'weekly') return `Every ${daysOfWeek.map(day => WEEKDAYS[day]).join(', ')} at ${time}`
+    if (frequency === 'monthly') return `Monthly on day ${dayOfMonth} at ${time}`
+    return `Every day at ${time}`
+  }
+
+  const describeStatus = (notification) => {
+    if (notification.recurrence) {
+      return {
+        icon: ArrowPathIcon,
+        text: notification.status === 'scheduled'
+          ? `${describeRecurrence(notification.recurrence)} · next ${formatDate(notification.scheduledFor)}`
+          : `${describeRecurrence(notification.recurrence)} · ended`
+      }
+    }
+    if (notification.status === 'scheduled') {
+      return { icon: ClockIcon, text: `Scheduled for ${formatDate(notification.scheduledFor)}` }
+    }
+    return null
+  }
+
+  const summarizeEmails = (recipients = []) => {
+    const counts = recipients.reduce((acc, recipient) => {
+      acc[recipient.status] = (acc[recipient.status] || 0) + 1
+      return acc
+    }, {})
+    return [
+      `${counts.sent || 0}/${recipients.length} emails sent`,
+      counts.pending && `${counts.pending} pending`,
+      counts.failed && `${counts.failed} failed`,
+      counts.skipped && `${counts.skipped} skipped`
+    ].filter(Boolean).join(', ')
+  }
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString('en-US', {
       year: 'numeric',
@@ -132,9 +210,9 @@ const NotificationsList = () => {
   {/* Header - Stacked on mobile, side-by-side on desktop */}
   <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
     <div>
-      <h1 className="text-xl md:text-2xl font-bold text-gray-900">Teacher Notifications</h1>
+      <h1 className="text-xl md:text-2xl font-bold text-gray-900">Notifications</h1>
       <p className="text-sm md:text-base text-gray-600">
-        Send announcements, leave notices, and important updates to teachers
+        Send announcements, leave notices, reminders and important updates to teachers and students
       </p>
     </div>
     <Link
@@ -186,7 +264,7 @@ const NotificationsList = () => {
 
   {/* Filters - Stacked on mobile, side-by-side on desktop */}
   <div className="bg-white rounded-xl shadow-lg p-4 md:p-6">
-    <div className="grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4">
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 md:gap-4">
       <div>
         <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">
           Filter by Type
@@ -221,6 +299,22 @@ const NotificationsList = () => {
           <option value="urgent">Urgent Priority</option>
         </select>
       </div>
+
+      <div>
+        <label className="block text-xs md:text-sm font-medium text-gray-700 mb-1 md:mb-2">
+          Filter by Status
+        </label>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+          className="w-full px-3 py-2 text-sm md:text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent"
+        >
+          <option value="">All</option>
+          <option value="sent">Sent</option>
+          <option value="scheduled">Scheduled</option>
+          <option value="completed">Ended reminders</option>
+        </select>
+      </div>
     </div>
   </div>
 
@@ -248,6 +342,8 @@ const NotificationsList = () => {
         {notifications.map((notification) => {
           const TypeIcon = getTypeIcon(notification.type)
           const AudienceIcon = getAudienceIcon(notification.targetAudience)
+          const schedule = describeStatus(notification)
+          const recipients = notification.emailRecipients || []
           
           return (
             <div key={notification._id} className="p-4 md:p-6 hover:bg-gray-50 transition-colors">
@@ -268,20 +364,36 @@ const NotificationsList = () => {
                   <p className="text-sm md:text-base text-gray-600 mb-3 line-clamp-2">
                     {notification.message}
                   </p>
+
+                  {schedule && (
+                    <div className="flex items-center text-xs md:text-sm text-blue-700 mb-2">
+                      <schedule.icon className="h-3 w-3 md:h-4 md:w-4 mr-1" />
+                      <span>{schedule.text}</span>
+                    </div>
+                  )}
+                  {notification.parent && (
+                    <p className="text-xs text-gray-500 mb-2">Sent by recurring reminder</p>
+                  )}
                   
                   <div className="flex flex-wrap gap-3 text-xs md:text-sm text-gray-500">
                     <div className="flex items-center">
                       <AudienceIcon className="h-3 w-3 md:h-4 md:w-4 mr-1" />
-                      <span>
-                        {notification.targetAudience === 'all_teachers' && 'All Teachers'}
-                        {notification.targetAudience === 'department' && `${notification.targetDepartment?.name || 'Department'}`}
-                        {notification.targetAudience === 'specific_teachers' && `${notification.targetTeachers?.length || 0} Teachers`}
-                      </span>
+                      <span>{describeAudience(notification)}</span>
                     </div>
                     
                     <div className="flex items-center">
                       <EnvelopeIcon className="h-3 w-3 md:h-4 md:w-4 mr-1" />
-                      <span>{notification.emailSent ? 'Email Sent' : 'No Email'}</span>
+                      {recipients.length > 0 ? (
+                        <button
+                          type="button"
+                          onClick={() => setExpandedId(expandedId === notification._id ? null : notification._id)}
+                          className="underline decoration-dotted hover:text-gray-700"
+                        >
+                          {summarizeEmails(recipients)}
+                        </button>
+                      ) : (
+                        <span>{notification.emailSent ? 'Email Sent' : 'No Email'}</span>
+                      )}
                     </div>
                     
                     <div>
@@ -289,16 +401,36 @@ const NotificationsList = () => {
                     </div>
                     
                     <div>
-                      <span>{formatDate(notification.createdAt)}</span>
+                      <span>{formatDate(notification.sentAt || notification.createdAt)}</span>
                     </div>
                   </div>
+
+                  {expandedId === notification._id && (
+                    <ul className="mt-3 border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-60 overflow-y-auto">
+                      {recipients.map(recipient => (
+                        <li key={recipient._id || recipient.email} className="px-3 py-2 flex items-center justify-between gap-3 text-xs md:text-sm">
+                          <div className="min-w-0">
+                            <p className="text-gray-900 truncate">{recipient.name}</p>
+                            <p className="text-gray-500 truncate">{recipient.email}</p>
+                          </div>
+                          <div className="text-right">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${EMAIL_STATUS_STYLES[recipient.status] || ''}`}>
+                              {recipient.status}
+                            </span>
+                            {recipient.error && <p className="text-xs text-gray-500 mt-1">{recipient.error}</p>}
+                            {recipient.attempts > 1 && <p className="text-xs text-gray-400">{recipient.attempts} attempts</p>}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
                 
                 <div className="flex justify-end sm:justify-normal sm:items-center gap-2 sm:ml-4">
                   <button
-                    onClick={() => handleDelete(notification._id)}
+                    onClick={() => handleDelete(notification)}
                     className="p-1.5 md:p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                    title="Delete notification"
+                    title={notification.status === 'scheduled' ? 'Cancel notification' : 'Delete notification'}
                   >
                     <TrashIcon className="h-3.5 w-3.5 md:h-4 md:w-4" />
                   </button>
@@ -209,6 +209,22 @@ const ProjectAnalytics = () => {
               <span className="text-sm font-medium text-gray-700">On-Time Rate</span>
               <span className="text-sm font-bold text-green-600">{analytics.onTimeSubmissionRate}%</span>
             </div>
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-sm font-medium text-gray-700">Average Timing Score</span>
+              <span className="text-sm font-bold text-gray-900">{analytics.submissionStats.averageTimingScore ?? 0}</span>
+            </div>
+            {analytics.submissionStats.extended > 0 && (
+              <div className="flex items-center justify-between mt-2">
+                <span className="text-sm font-medium text-gray-700">With Deadline Extension</span>
+                <span className="text-sm font-bold text-gray-900">{analytics.submissionStats.extended}</span>
+              </div>
+            )}
+            {analytics.submissionStats.pastCutoff > 0 && (
+              <div className="flex items-center justify-between mt-2">
+                <span className="text-sm font-medium text-gray-700">Recorded After Cutoff</span>
+                <span className="text-sm font-bold text-red-600">{analytics.submissionStats.pastCutoff}</span>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -277,6 +293,44 @@ const ProjectAnalytics = () => {
         </div>
       </div>
 
+      {/* Teams */}
+      {analytics.teamStats?.totalTeams > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+          <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+            <UserGroupIcon className="h-5 w-5 mr-2" />
+            Teams
+          </h2>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4 text-center">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Teams</p>
+              <p className="text-lg font-bold text-gray-900">{analytics.teamStats.totalTeams}</p>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-500">Submitted</p>
+              <p className="text-lg font-bold text-blue-600">{analytics.teamStats.submittedTeams}</p>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-500">Graded</p>
+              <p className="text-lg font-bold text-green-600">{analytics.teamStats.gradedTeams}</p>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-500">Avg. Team Score</p>
+              <p className="text-lg font-bold text-gray-900">{analytics.teamStats.averageTeamScore.toFixed(1)}</p>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-500">Peer Evaluation</p>
+              <p className="text-lg font-bold text-purple-600">{analytics.teamStats.peerEvaluationRate.toFixed(0)}%</p>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-500">Without Team</p>
+              <p className={`text-lg font-bold ${analytics.teamStats.unassignedStudents > 0 ? 'text-amber-600' : 'text-gray-900'}`}>
+                {analytics.teamStats.unassignedStudents}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Top Performers */}
       {analytics.topPerformers && analytics.topPerformers.length > 0 && (
         <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
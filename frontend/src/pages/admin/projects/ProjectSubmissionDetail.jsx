@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { Fragment, useState, useEffect } from 'react'
 import { useParams, useNavigate, Link } from 'react-router-dom'
 import {
   DocumentArrowDownIcon,
@@ -20,7 +20,9 @@ import {
 import { format } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI, studentsAPI } from '../../../services/api'
+import { downloadSubmissionFile } from '../../../utils/fileDownloads'
 import ProjectCompletionModal from '../../../components/projects/ProjectCompletionModal'
+import RubricBreakdown from '../../../components/projects/RubricBreakdown'
 
 const ProjectSubmissionDetail = () => {
   const { id: projectId } = useParams()
@@ -39,6 +41,7 @@ const ProjectSubmissionDetail = () => {
   const [showSubmissionModal, setShowSubmissionModal] = useState(false)
   const [selectedStudent, setSelectedStudent] = useState(null)
   const [submissionDate, setSubmissionDate] = useState('')
+  const [expandedSubmission, setExpandedSubmission] = useState(null)
 
   useEffect(() => {
     if (projectId) {
@@ -111,18 +114,10 @@ const ProjectSubmissionDetail = () => {
 
   const downloadFile = async (submission, file) => {
     try {
-      const response = await projectAPI.downloadSubmissionFile(submission._id, file.fileName)
-      const url = window.URL.createObjectURL(new Blob([response.data]))
-      const link = document.createElement('a')
-      link.href = url
-      link.setAttribute('download', file.originalName)
-      document.body.appendChild(link)
-      link.click()
-      link.remove()
-      window.URL.revokeObjectURL(url)
+      await downloadSubmissionFile(submission._id, file)
     } catch (error) {
       console.error('Error downloading file:', error)
-      toast.error('Failed to download file')
+      toast.error(error.response?.data?.message || 'Failed to download file')
     }
   }
 
@@ -307,6 +302,16 @@ const ProjectSubmissionDetail = () => {
             <ChartBarIcon className="h-4 w-4 mr-2" />
             View Analytics
           </Link>
+          {submissions.length > 0 && (
+            <a
+              href={projectAPI.getSubmissionArchiveUrl(projectId, filter.status)}
+              className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              title="ZIP of the listed submissions with a CSV manifest"
+            >
+              <DocumentArrowDownIcon className="h-4 w-4 mr-2" />
+              Download All ({submissions.length})
+            </a>
+          )}
           <Link
             to={`../edit`}
             className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
@@ -343,6 +348,7 @@ const ProjectSubmissionDetail = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 text-sm"
             >
               <option value="">All Statuses</option>
+              <option value="ungraded">Ungraded</option>
               <option value="submitted">Submitted</option>
               <option value="graded">Graded</option>
               <option value="returned">Returned</option>
@@ -416,7 +422,8 @@ const ProjectSubmissionDetail = () => {
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {getStudentSubmissionData().map((studentData) => (
-                  <tr key={studentData._id} className="hover:bg-gray-50">
+                  <Fragment key={studentData._id}>
+                  <tr className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <div className="flex-shrink-0 h-10 w-10">
@@ -487,7 +494,9 @@ const ProjectSubmissionDetail = () => {
                       {studentData.hasSubmitted ? (
                         <>
                           <button
-                            onClick={() => {/* View submission details */}}
+                            onClick={() => setExpandedSubmission(
+                              expandedSubmission === studentData.submission._id ? null : studentData.submission._id
+                            )}
                             className="text-blue-600 hover:text-blue-900"
                             title="View Details"
                           >
@@ -524,6 +533,28 @@ const ProjectSubmissionDetail = () => {
                       )}
                     </td>
                   </tr>
+                  {studentData.hasSubmitted && expandedSubmission === studentData.submission._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={7} className="px-6 py-4 space-y-4">
+                        {studentData.submission.rubricScores?.length > 0 ? (
+                          <RubricBreakdown rubricScores={studentData.submission.rubricScores} />
+                        ) : (
+                          <p className="text-sm text-gray-500">
+                            {studentData.submission.score !== null && studentData.submission.score !== undefined
+                              ? `Project score: ${studentData.submission.score} / ${project?.maxScore || 100} (graded without a rubric)`
+                              : 'Not graded yet'}
+                          </p>
+                        )}
+                        {studentData.submission.feedback && (
+                          <div>
+                            <h3 className="text-sm font-medium text-gray-900 mb-1">Teacher Feedback</h3>
+                            <p className="text-sm text-gray-700 whitespace-pre-wrap">{studentData.submission.feedback}</p>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                  </Fragment>
                 ))}
               </tbody>
             </table>
@@ -12,6 +12,9 @@ import {
 import { format } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI } from '../../../services/api'
+import RubricEditor from '../../../components/projects/RubricEditor'
+import SubmissionPolicyEditor, { DEFAULT_SUBMISSION_POLICY, toPolicyForm } from '../../../components/projects/SubmissionPolicyEditor'
+import TeamSettingsEditor, { DEFAULT_TEAM_SETTINGS, toTeamSettingsForm } from '../../../components/projects/TeamSettingsEditor'
 
 const SimpleAdminProjectEdit = () => {
   const { projectId } = useParams()
@@ -25,7 +28,10 @@ const SimpleAdminProjectEdit = () => {
     description: '',
     deadlineDate: '',
     maxScore: 100,
-    status: 'assigned'
+    status: 'assigned',
+    submissionPolicy: { ...DEFAULT_SUBMISSION_POLICY },
+    teamSettings: { ...DEFAULT_TEAM_SETTINGS },
+    rubric: []
   })
 
   useEffect(() => {
@@ -46,7 +52,10 @@ const SimpleAdminProjectEdit = () => {
         description: projectData.description || '',
         deadlineDate: projectData.deadlineDate ? format(new Date(projectData.deadlineDate), 'yyyy-MM-dd') : '',
         maxScore: projectData.maxScore || 100,
-        status: projectData.status || 'assigned'
+        status: projectData.status || 'assigned',
+        submissionPolicy: toPolicyForm(projectData.submissionPolicy),
+        teamSettings: toTeamSettingsForm(projectData.teamSettings),
+        rubric: projectData.rubric || []
       })
     } catch (error) {
       console.error('Error fetching project:', error)
@@ -257,6 +266,26 @@ const SimpleAdminProjectEdit = () => {
             </div>
           </div>
 
+          {/* Submission Policy */}
+          <SubmissionPolicyEditor
+            policy={formData.submissionPolicy}
+            onChange={(submissionPolicy) => setFormData(prev => ({ ...prev, submissionPolicy }))}
+          />
+
+          {/* Teams */}
+          <TeamSettingsEditor
+            settings={formData.teamSettings}
+            onChange={(teamSettings) => setFormData(prev => ({ ...prev, teamSettings }))}
+          />
+
+          {/* Rubric */}
+          <RubricEditor
+            rubric={formData.rubric}
+            onChange={(rubric) => setFormData(prev => ({ ...prev, rubric }))}
+            requirements={project.requirements || []}
+            maxScore={formData.maxScore}
+          />
+
           {/* Preview */}
           <div className="bg-gray-50 rounded-lg p-4">
             <h3 className="text-sm font-medium text-gray-900 mb-3 flex items-center">
@@ -24,6 +24,8 @@ import {
 import { showConfirm } from '../../../utils/popup'
 import { formatDateLong, formatDateSimple } from '../../../utils/dateUtils'
 import BackButton from '../../../components/BackButton'
+import StudentPortalAccount from '../../../components/StudentPortalAccount'
+import StudentFeeLedger from '../../../components/StudentFeeLedger'
 
 const StudentDetails = () => {
   const { id } = useParams()
@@ -64,6 +66,17 @@ const StudentDetails = () => {
     }
   }
 
+  // Keep the fee summary in sync with the ledger below
+  const handleFeesChange = (summary) => {
+    setStats(prev => ({
+      ...prev,
+      totalFees: summary.totalAmount,
+      paidFees: summary.totalPaid,
+      pendingFees: summary.balance
+    }))
+    setStudent(prev => ({ ...prev, paymentStatus: summary.paymentStatus }))
+  }
+
   const handleDelete = async () => {
     try {
       setActionLoading(true)
@@ -365,6 +378,12 @@ const StudentDetails = () => {
       </div>
     )}
 
+    {/* Student Portal Account */}
+    <StudentPortalAccount student={student} />
+
+    {/* Fee Ledger */}
+    <StudentFeeLedger student={student} onChange={handleFeesChange} />
+
     {/* Quick Actions - Stacked on mobile */}
     <div className="bg-white shadow-md md:shadow-lg rounded-xl md:rounded-2xl p-4 md:p-6">
       <h3 className="text-base md:text-lg font-semibold text-gray-900 mb-4 md:mb-6">Quick Actions</h3>
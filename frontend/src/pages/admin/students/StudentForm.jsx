@@ -39,9 +39,6 @@ const StudentForm = () => {
     batch: '',
     rollNumber: '',
     admissionDate: '',
-    feesPaid: 0,
-    totalFees: 0,
-    paymentStatus: 'pending',
     emergencyContact: '',
     qualification: '',
     isActive: true,
@@ -54,14 +51,10 @@ const StudentForm = () => {
   const [fetchLoading, setFetchLoading] = useState(isEditMode)
   const [errors, setErrors] = useState({})
   const [rollNumberLoading, setRollNumberLoading] = useState(false)
+  // Fee totals are derived from the fee ledger and shown read-only here
+  const [feeSummary, setFeeSummary] = useState(null)
 
   const genderOptions = ['Male', 'Female', 'Other']
-  const paymentStatusOptions = [
-    { value: 'pending', label: 'Pending' },
-    { value: 'partial', label: 'Partial' },
-    { value: 'completed', label: 'Completed' },
-    { value: 'overdue', label: 'Overdue' }
-  ]
 
   useEffect(() => {
     fetchDepartments()
@@ -138,13 +131,15 @@ const StudentForm = () => {
         batch: student.batch?._id || '',
         rollNumber: student.rollNumber || '',
         admissionDate: student.admissionDate ? student.admissionDate.split('T')[0] : '',
-        feesPaid: student.feesPaid || 0,
-        totalFees: student.totalFees || 0,
-        paymentStatus: student.paymentStatus || 'pending',
         emergencyContact: student.emergencyContact || '',
         qualification: student.qualification || '',
         isActive: student.isActive !== false,
       })
+      setFeeSummary({
+        feesPaid: student.feesPaid || 0,
+        totalFees: student.totalFees || 0,
+        paymentStatus: student.paymentStatus || 'pending'
+      })
     } catch (error) {
       toast.error('Failed to fetch student details')
       navigate('/admin/students')
@@ -241,18 +236,6 @@ const StudentForm = () => {
       newErrors.emergencyContact = 'Please enter a valid emergency contact number'
     }
 
-    if (formData.feesPaid < 0) {
-      newErrors.feesPaid = 'Fees paid cannot be negative'
-    }
-
-    if (formData.totalFees < 0) {
-      newErrors.totalFees = 'Total fees cannot be negative'
-    }
-
-    if (formData.feesPaid > formData.totalFees) {
-      newErrors.feesPaid = 'Fees paid cannot exceed total fees'
-    }
-
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -269,11 +252,17 @@ const StudentForm = () => {
 
     try {
       if (isEditMode) {
-        await studentsAPI.updateStudent(id, formData)
+        const response = await studentsAPI.updateStudent(id, formData)
         toast.success('Student updated successfully!')
+        if (response.data.feeScheduleError) {
+          toast(`Fee schedule could not be regenerated for the new course: ${response.data.feeScheduleError}. Generate it from the student's fee ledger.`, { icon: '⚠️', duration: 6000 })
+        }
       } else {
-        await studentsAPI.createStudent(formData)
+        const response = await studentsAPI.createStudent(formData)
         toast.success('Student created successfully!')
+        if (response.data.feeScheduleError) {
+          toast(`Fee schedule could not be created: ${response.data.feeScheduleError}. Generate it from the student's fee ledger.`, { icon: '⚠️', duration: 6000 })
+        }
       }
       navigate('/admin/students')
     } catch (error) {
@@ -284,6 +273,8 @@ const StudentForm = () => {
     }
   }
 
+  const selectedCourse = courses.find(course => course._id === formData.course)
+
   if (fetchLoading) {
     return (
       <div className="flex items-center justify-center min-h-64">
@@ -650,78 +641,59 @@ const StudentForm = () => {
           <div className="space-y-6">
             <h3 className="text-lg font-medium text-gray-900 border-b pb-2">Fee Information</h3>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  <CurrencyRupeeIcon className="h-4 w-4 inline mr-1" />
-                  Total Fees (₹)
-                </label>
-                <input
-                  type="number"
-                  name="totalFees"
-                  value={formData.totalFees}
-                  onChange={handleChange}
-                  min="0"
-                  className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent ${
-                    errors.totalFees ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="0"
-                />
-                {errors.totalFees && <p className="text-red-500 text-sm mt-1">{errors.totalFees}</p>}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Fees Paid (₹)
-                </label>
-                <input
-                  type="number"
-                  name="feesPaid"
-                  value={formData.feesPaid}
-                  onChange={handleChange}
-                  min="0"
-                  className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent ${
-                    errors.feesPaid ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="0"
-                />
-                {errors.feesPaid && <p className="text-red-500 text-sm mt-1">{errors.feesPaid}</p>}
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Payment Status
-                </label>
-                <select
-                  name="paymentStatus"
-                  value={formData.paymentStatus}
-                  onChange={handleChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-cadd-red focus:border-transparent"
-                >
-                  {paymentStatusOptions.map(status => (
-                    <option key={status.value} value={status.value}>{status.label}</option>
-                  ))}
-                </select>
-              </div>
-            </div>
-
-            {formData.totalFees > 0 && (
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <div className="flex items-center justify-between text-sm">
-                  <span>Fee Progress:</span>
-                  <span className="font-semibold">
-                    ₹{formData.feesPaid.toLocaleString()} / ₹{formData.totalFees.toLocaleString()}
-                  </span>
-                </div>
-                <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-gradient-to-r from-cadd-red to-cadd-pink h-2 rounded-full transition-all duration-300"
-                    style={{ width: `${Math.min((formData.feesPaid / formData.totalFees) * 100, 100)}%` }}
-                  ></div>
-                </div>
-                <div className="mt-1 text-xs text-gray-600">
-                  {formData.totalFees > 0 ? Math.round((formData.feesPaid / formData.totalFees) * 100) : 0}% completed
+            {isEditMode && feeSummary ? (
+              <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-500">
+                      <CurrencyRupeeIcon className="h-4 w-4 inline mr-1" />
+                      Total Fees
+                    </p>
+                    <p className="font-semibold text-gray-900">₹{feeSummary.totalFees.toLocaleString()}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Fees Paid</p>
+                    <p className="font-semibold text-gray-900">₹{feeSummary.feesPaid.toLocaleString()}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Payment Status</p>
+                    <p className="font-semibold text-gray-900 capitalize">{feeSummary.paymentStatus}</p>
+                  </div>
                 </div>
+                {feeSummary.totalFees > 0 && (
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-gradient-to-r from-cadd-red to-cadd-pink h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${Math.min((feeSummary.feesPaid / feeSummary.totalFees) * 100, 100)}%` }}
+                    ></div>
+                  </div>
+                )}
+                <p className="text-xs text-gray-600">
+                  Payments and installments are managed from the fee ledger on the{' '}
+                  <Link to={`/admin/students/${id}`} className="text-cadd-red hover:underline">student details</Link> page.
+                  Changing the course regenerates the installment schedule.
+                </p>
+              </div>
+            ) : (
+              <div className="bg-gray-50 p-4 rounded-lg text-sm">
+                {selectedCourse ? (
+                  <>
+                    <p className="font-semibold text-gray-900">
+                      <CurrencyRupeeIcon className="h-4 w-4 inline mr-1" />
+                      Course fee: {selectedCourse.fees?.currency || 'INR'} {(selectedCourse.fees?.amount || 0).toLocaleString()}
+                    </p>
+                    <p className="text-gray-600 mt-1">
+                      {selectedCourse.fees?.installments?.allowed && selectedCourse.fees.installments.numberOfInstallments > 1
+                        ? `Payable in ${selectedCourse.fees.installments.numberOfInstallments} installments, the first due on admission.`
+                        : 'Payable in full on admission.'}
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-gray-500">Select a course to see its fees.</p>
+                )}
+                <p className="text-xs text-gray-600 mt-2">
+                  An installment schedule is generated from the course fees when the student is created.
+                </p>
               </div>
             )}
           </div>
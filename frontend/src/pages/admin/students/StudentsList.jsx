@@ -20,17 +20,20 @@ import {
   MapPinIcon,
   PlusIcon,
   ChartBarIcon,
-  CurrencyRupeeIcon
+  CurrencyRupeeIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline'
 import { showConfirm } from '../../../utils/popup'
 import { formatDateSimple } from '../../../utils/dateUtils'
 import BackButton from '../../../components/BackButton'
+import StudentImportWizard from '../../../components/students/StudentImportWizard'
 
 const StudentsList = () => {
   const [students, setStudents] = useState([])
   const [filteredStudents, setFilteredStudents] = useState([])
   const [loading, setLoading] = useState(true)
   const [refreshKey, setRefreshKey] = useState(0)
+  const [showImport, setShowImport] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [departmentFilter, setDepartmentFilter] = useState('all')
@@ -193,6 +196,13 @@ const StudentsList = () => {
               <div className="text-2xl md:text-3xl font-bold text-white">{stats.total}</div>
               <div className="text-gray-300 text-xs md:text-sm">Total Students</div>
             </div>
+            <button
+              onClick={() => setShowImport(true)}
+              className="inline-flex items-center px-4 py-2 md:px-6 md:py-3 border border-white/30 rounded-lg md:rounded-xl text-xs md:text-sm font-medium text-white bg-white/10 hover:bg-white/20 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cadd-red transition-all duration-300"
+            >
+              <ArrowUpTrayIcon className="h-4 w-4 md:h-5 md:w-5 mr-1 md:mr-2" />
+              Import
+            </button>
             <Link
               to="/admin/students/new"
               className="inline-flex items-center px-4 py-2 md:px-6 md:py-3 border border-transparent rounded-lg md:rounded-xl shadow-sm text-xs md:text-sm font-medium text-white bg-gradient-to-r from-cadd-red to-cadd-pink hover:from-cadd-red/90 hover:to-cadd-pink/90 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cadd-red transition-all duration-300 transform hover:scale-105"
@@ -528,6 +538,13 @@ const StudentsList = () => {
       </div>
     )}
   </div>
+
+  <StudentImportWizard
+    isOpen={showImport}
+    onClose={() => setShowImport(false)}
+    batches={batches}
+    onImported={() => setRefreshKey(prev => prev + 1)}
+  />
 </div>
   )
 }
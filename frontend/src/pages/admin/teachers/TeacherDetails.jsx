@@ -198,8 +198,18 @@ const TeacherDetails = () => {
         worksheet.getCell('K4').value = 'Year'
         worksheet.getCell('L4').value = data.year
 
+        worksheet.getCell('A5').value = 'Working Days'
+        worksheet.getCell('B5').value = batchData.workingDays
+        if (batchData.closedDays?.length > 0) {
+          worksheet.getCell('G5').value = 'Closed'
+          worksheet.getCell('H5').value = batchData.closedDays
+            .filter(closed => closed.type === 'closure')
+            .map(closed => `${parseInt(closed.date.slice(8))} ${closed.name}`)
+            .join(', ')
+        }
+
         // Attendance legend
-        worksheet.getCell('A6').value = 'Enter: P = Present, A = Absent, L = Late'
+        worksheet.getCell('A6').value = 'Enter: P = Present, A = Absent, L = Late, E = Excused (holidays and weekly offs are omitted)'
         worksheet.getCell('A6').font = { italic: true, size: 10 }
 
         // Create header row for dates
@@ -244,6 +254,8 @@ const TeacherDetails = () => {
               cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEAEA' } }
             } else if (attendance.displayStatus === 'L') {
               cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF4E6' } }
+            } else if (attendance.displayStatus === 'E') {
+              cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6F0FF' } }
             }
           })
         })
@@ -2,10 +2,53 @@ import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../../context/AuthContext'
 import toast from 'react-hot-toast'
-import { EyeIcon, EyeSlashIcon, UserIcon, LockClosedIcon, AcademicCapIcon, ShieldCheckIcon } from '@heroicons/react/24/outline'
+import { EyeIcon, EyeSlashIcon, UserIcon, LockClosedIcon, AcademicCapIcon, ShieldCheckIcon, IdentificationIcon } from '@heroicons/react/24/outline'
 import BackButton from '../../components/BackButton'
 import ForgotPasswordModal from '../../components/ForgotPasswordModal'
 
+// Presentation for each login type
+const LOGIN_TYPES = {
+  teacher: {
+    title: 'Teacher Login',
+    subtitle: 'Access your teaching dashboard',
+    fieldLabel: 'Email or Employee ID',
+    placeholder: 'Enter email or Employee ID (e.g., CADD-001)',
+    hint: 'You can login using either your email address or Employee ID',
+    buttonLabel: 'Teacher',
+    icon: AcademicCapIcon,
+    iconBg: 'bg-gradient-to-r from-blue-500 to-blue-600',
+    titleColor: 'text-blue-700',
+    button: 'bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 focus:ring-blue-300',
+    switcher: 'text-blue-600 bg-blue-50 hover:bg-blue-100 border border-blue-200',
+  },
+  student: {
+    title: 'Student Login',
+    subtitle: 'View your attendance, lab bookings and projects',
+    fieldLabel: 'Email or Student ID',
+    placeholder: 'Enter email or Student ID (e.g., STU0001)',
+    hint: 'You can login using either your email address or Student ID',
+    buttonLabel: 'Student',
+    icon: IdentificationIcon,
+    iconBg: 'bg-gradient-to-r from-green-500 to-green-600',
+    titleColor: 'text-green-700',
+    button: 'bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 focus:ring-green-300',
+    switcher: 'text-green-600 bg-green-50 hover:bg-green-100 border border-green-200',
+  },
+  admin: {
+    title: 'Admin Login',
+    subtitle: 'Administrative access only',
+    fieldLabel: 'Email Address',
+    placeholder: 'Enter your admin email',
+    hint: null,
+    buttonLabel: 'Admin',
+    icon: ShieldCheckIcon,
+    iconBg: 'bg-gradient-to-r from-red-500 to-red-600',
+    titleColor: 'text-red-700',
+    button: 'bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 focus:ring-red-300',
+    switcher: 'text-red-600 bg-red-50 hover:bg-red-100 border border-red-200',
+  },
+}
+
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
@@ -13,10 +56,12 @@ const Login = () => {
   })
   const [loading, setLoading] = useState(false)
   const [showPassword, setShowPassword] = useState(false)
-  const [loginType, setLoginType] = useState('teacher') // 'teacher' or 'admin'
+  const [loginType, setLoginType] = useState('teacher') // 'teacher', 'student' or 'admin'
   const [showForgotPassword, setShowForgotPassword] = useState(false)
   const { login } = useAuth()
   const navigate = useNavigate()
+  const config = LOGIN_TYPES[loginType]
+  const LoginIcon = config.icon
 
   const handleChange = (e) => {
     setFormData({
@@ -70,34 +115,23 @@ const Login = () => {
 
       {/* Login Type Header */}
       <div className="text-center">
-        <div className={`inline-flex items-center justify-center w-16 h-16 rounded-full mb-4 ${loginType === 'teacher'
-          ? 'bg-gradient-to-r from-blue-500 to-blue-600'
-          : 'bg-gradient-to-r from-red-500 to-red-600'
-          }`}>
-          {loginType === 'teacher' ? (
-            <AcademicCapIcon className="h-8 w-8 text-white" />
-          ) : (
-            <ShieldCheckIcon className="h-8 w-8 text-white" />
-          )}
+        <div className={`inline-flex items-center justify-center w-16 h-16 rounded-full mb-4 ${config.iconBg}`}>
+          <LoginIcon className="h-8 w-8 text-white" />
         </div>
-        <h3 className={`text-xl font-semibold mb-2 ${loginType === 'teacher' ? 'text-blue-700' : 'text-red-700'
-          }`}>
-          {loginType === 'teacher' ? 'Teacher Login' : 'Admin Login'}
+        <h3 className={`text-xl font-semibold mb-2 ${config.titleColor}`}>
+          {config.title}
         </h3>
         <p className="text-gray-600 text-sm">
-          {loginType === 'teacher'
-            ? 'Access your teaching dashboard'
-            : 'Administrative access only'
-          }
+          {config.subtitle}
         </p>
       </div>
 
       <form className="form-grid space-y-6" onSubmit={handleSubmit}>
         <div className="space-y-4">
-          {/* Email or Employee ID Field */}
+          {/* Email, Employee ID or Student ID Field */}
           <div className="form-group">
             <label htmlFor="email" className="form-label">
-              {loginType === 'teacher' ? 'Email or Employee ID' : 'Email Address'}
+              {config.fieldLabel}
             </label>
             <div className="relative">
               <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -110,16 +144,14 @@ const Login = () => {
                 autoComplete="email"
                 required
                 className="form-input pl-10"
-                placeholder={loginType === 'teacher'
-                  ? 'Enter email or Employee ID (e.g., CADD-001)'
-                  : `Enter your ${loginType} email`}
+                placeholder={config.placeholder}
                 value={formData.email}
                 onChange={handleChange}
               />
             </div>
-            {loginType === 'teacher' && (
+            {config.hint && (
               <p className="text-xs text-gray-500 mt-1">
-                You can login using either your email address or Employee ID
+                {config.hint}
               </p>
             )}
           </div>
@@ -177,10 +209,7 @@ const Login = () => {
           <button
             type="submit"
             disabled={loading}
-            className={`form-button w-full relative overflow-hidden py-3 px-4 rounded-lg font-medium text-white transition-all duration-200 transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-opacity-50 touch-target ${loginType === 'teacher'
-              ? 'bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 focus:ring-blue-300'
-              : 'bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 focus:ring-red-300'
-              } ${loading ? 'opacity-75 cursor-not-allowed' : ''}`}
+            className={`form-button w-full relative overflow-hidden py-3 px-4 rounded-lg font-medium text-white transition-all duration-200 transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-opacity-50 touch-target ${config.button} ${loading ? 'opacity-75 cursor-not-allowed' : ''}`}
           >
             {loading ? (
               <div className="flex items-center justify-center">
@@ -188,7 +217,7 @@ const Login = () => {
                 Signing in...
               </div>
             ) : (
-              `Sign In as ${loginType === 'teacher' ? 'Teacher' : 'Admin'}`
+              `Sign In as ${config.buttonLabel}`
             )}
           </button>
         </div>
@@ -197,28 +226,26 @@ const Login = () => {
       {/* Login Type Switcher */}
       <div className="text-center pt-4 border-t border-gray-200">
         <p className="text-sm text-gray-600 mb-3">
-          {loginType === 'teacher' ? 'Need administrative access?' : 'Are you a teacher?'}
+          Signing in as someone else?
         </p>
-        <button
-          type="button"
-          onClick={() => handleLoginTypeSwitch(loginType === 'teacher' ? 'admin' : 'teacher')}
-          className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 hover:scale-105 ${loginType === 'teacher'
-            ? 'text-red-600 bg-red-50 hover:bg-red-100 border border-red-200'
-            : 'text-blue-600 bg-blue-50 hover:bg-blue-100 border border-blue-200'
-            }`}
-        >
-          {loginType === 'teacher' ? (
-            <>
-              <ShieldCheckIcon className="h-4 w-4 mr-2" />
-              Admin Login
-            </>
-          ) : (
-            <>
-              <AcademicCapIcon className="h-4 w-4 mr-2" />
-              Teacher Login
-            </>
-          )}
-        </button>
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          {Object.entries(LOGIN_TYPES)
+            .filter(([type]) => type !== loginType)
+            .map(([type, typeConfig]) => {
+              const TypeIcon = typeConfig.icon
+              return (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => handleLoginTypeSwitch(type)}
+                  className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 hover:scale-105 ${typeConfig.switcher}`}
+                >
+                  <TypeIcon className="h-4 w-4 mr-2" />
+                  {typeConfig.title}
+                </button>
+              )
+            })}
+        </div>
       </div>
 
       {/* Forgot Password Modal */}
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { CheckCircleIcon, XCircleIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import { certificatesAPI } from '../../services/api'
+
+// Public page for employers to confirm a certificate number
+const VerifyCertificate = () => {
+  const { serialNumber } = useParams()
+  const navigate = useNavigate()
+  const [input, setInput] = useState(serialNumber || '')
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (serialNumber) {
+      verify(serialNumber)
+    }
+  }, [serialNumber])
+
+  const verify = async (value) => {
+    try {
+      setLoading(true)
+      setError('')
+      setResult(null)
+      const response = await certificatesAPI.verifyCertificate(value.trim())
+      setResult(response.data)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Unable to verify this certificate right now')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (input.trim()) {
+      navigate(`/verify/${encodeURIComponent(input.trim().toUpperCase())}`)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h2 className="text-xl font-bold text-gray-900">Verify a Certificate</h2>
+        <p className="text-sm text-gray-600 mt-1">Enter the certificate number printed on the certificate</p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="CDC-2026-000001-XXXX"
+          className="form-input flex-1 font-mono uppercase"
+          required
+        />
+        <button type="submit" disabled={loading} className="btn-primary inline-flex items-center">
+          <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+          Verify
+        </button>
+      </form>
+
+      {loading && (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+          <XCircleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className={`rounded-lg border p-4 text-sm ${result.valid ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+          <div className={`flex items-center font-semibold mb-3 ${result.valid ? 'text-green-800' : 'text-red-800'}`}>
+            {result.valid ? <CheckCircleIcon className="h-5 w-5 mr-2" /> : <XCircleIcon className="h-5 w-5 mr-2" />}
+            {result.valid
+              ? 'This certificate is valid'
+              : `This certificate was revoked${result.revokedAt ? ` on ${format(new Date(result.revokedAt), 'MMM dd, yyyy')}` : ''}`}
+          </div>
+          <dl className="grid grid-cols-3 gap-y-2 text-gray-700">
+            <dt className="text-gray-500">Number</dt>
+            <dd className="col-span-2 font-mono">{result.serialNumber}</dd>
+            <dt className="text-gray-500">Awarded to</dt>
+            <dd className="col-span-2 font-medium">{result.studentName}</dd>
+            <dt className="text-gray-500">Course</dt>
+            <dd className="col-span-2">
+              {result.courseName}{result.courseCode ? ` (${result.courseCode})` : ''}
+            </dd>
+            {result.certificateName && (
+              <>
+                <dt className="text-gray-500">Certificate</dt>
+                <dd className="col-span-2">{result.certificateName}</dd>
+              </>
+            )}
+            <dt className="text-gray-500">Completed</dt>
+            <dd className="col-span-2">{format(new Date(result.completionDate), 'MMM dd, yyyy')}</dd>
+            <dt className="text-gray-500">Issued</dt>
+            <dd className="col-span-2">{format(new Date(result.issuedAt), 'MMM dd, yyyy')}</dd>
+            {result.issuingAuthority && (
+              <>
+                <dt className="text-gray-500">Issued by</dt>
+                <dd className="col-span-2">{result.issuingAuthority}</dd>
+              </>
+            )}
+          </dl>
+        </div>
+      )}
+
+      <p className="text-center text-xs text-gray-500">
+        <Link to="/login" className="hover:underline">Staff or student? Sign in</Link>
+      </p>
+    </div>
+  )
+}
+
+export default VerifyCertificate
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+import { CalendarDaysIcon } from '@heroicons/react/24/outline'
+import { format, subDays } from 'date-fns'
+import toast from 'react-hot-toast'
+import { studentPortalAPI } from '../../services/api'
+
+const STATUS_STYLES = {
+  present: 'bg-green-100 text-green-800',
+  late: 'bg-yellow-100 text-yellow-800',
+  absent: 'bg-red-100 text-red-800',
+  excused: 'bg-blue-100 text-blue-800',
+}
+
+const StudentAttendance = () => {
+  const [records, setRecords] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [dateRange, setDateRange] = useState({
+    startDate: format(subDays(new Date(), 30), 'yyyy-MM-dd'),
+    endDate: format(new Date(), 'yyyy-MM-dd'),
+  })
+
+  useEffect(() => {
+    fetchAttendance()
+  }, [dateRange])
+
+  const fetchAttendance = async () => {
+    try {
+      setLoading(true)
+      const response = await studentPortalAPI.getMyAttendance(dateRange)
+      setRecords(response.data?.records || [])
+      setSummary(response.data?.summary || null)
+    } catch (error) {
+      console.error('Error fetching attendance:', error)
+      toast.error('Failed to fetch attendance')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDateChange = (e) => {
+    setDateRange({ ...dateRange, [e.target.name]: e.target.value })
+  }
+
+  // Percentage comes from the server so excused days follow the configured policy
+  const percentage = summary?.percentage || 0
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Attendance</h1>
+          <p className="text-gray-600 mt-1">
+            {records.length} sessions · {percentage}% attended
+            {summary?.excused > 0 && ` · ${summary.excused} excused`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            name="startDate"
+            value={dateRange.startDate}
+            max={dateRange.endDate}
+            onChange={handleDateChange}
+            className="form-input"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            name="endDate"
+            value={dateRange.endDate}
+            min={dateRange.startDate}
+            onChange={handleDateChange}
+            className="form-input"
+          />
+        </div>
+      </div>
+
+      {/* Records */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+          </div>
+        ) : records.length === 0 ? (
+          <div className="text-center py-12">
+            <CalendarDaysIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No attendance records in this period.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batch</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Remarks</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {records.map((record) => (
+                <tr key={record._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {format(new Date(record.date), 'EEE, MMM dd, yyyy')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {record.batch?.name || '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[record.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {record.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {record.remarks || (record.leaveRequest ? `Approved ${record.leaveRequest.type} leave` : '—')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StudentAttendance
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react'
+import { AcademicCapIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { studentPortalAPI } from '../../services/api'
+
+const STATUS_STYLES = {
+  issued: 'bg-green-100 text-green-800',
+  revoked: 'bg-red-100 text-red-800',
+}
+
+const StudentCertificates = () => {
+  const [certificates, setCertificates] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchCertificates()
+  }, [])
+
+  const fetchCertificates = async () => {
+    try {
+      setLoading(true)
+      const response = await studentPortalAPI.getMyCertificates()
+      setCertificates(response.data || [])
+    } catch (error) {
+      console.error('Error fetching certificates:', error)
+      toast.error('Failed to fetch certificates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDownload = async (certificate) => {
+    try {
+      const response = await studentPortalAPI.downloadMyCertificate(certificate._id)
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${certificate.serialNumber}.pdf`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading certificate:', error)
+      toast.error('Failed to download certificate')
+    }
+  }
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">My Certificates</h1>
+        <p className="text-gray-600 mt-1">Download the certificates issued for your completed courses</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+          </div>
+        ) : certificates.length === 0 ? (
+          <div className="text-center py-12">
+            <AcademicCapIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No certificates yet.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Certificate No.</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issued</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {certificates.map((certificate) => (
+                <tr key={certificate._id}>
+                  <td className="px-6 py-4 text-sm text-gray-900">
+                    {certificate.certificateName || certificate.courseName}
+                    {certificate.batchName && (
+                      <p className="text-xs text-gray-500">{certificate.courseName} · {certificate.batchName}</p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{certificate.serialNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {format(new Date(certificate.issuedAt), 'MMM dd, yyyy')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[certificate.status]}`}>
+                      {certificate.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    {certificate.status === 'issued' && (
+                      <button
+                        type="button"
+                        onClick={() => handleDownload(certificate)}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-800"
+                      >
+                        <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                        PDF
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StudentCertificates
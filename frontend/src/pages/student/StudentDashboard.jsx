@@ -0,0 +1,237 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  ClipboardDocumentListIcon,
+  CalendarDaysIcon,
+  DocumentTextIcon,
+  AcademicCapIcon,
+  ComputerDesktopIcon,
+  ClockIcon,
+  BellIcon,
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { studentPortalAPI } from '../../services/api'
+
+const StudentDashboard = () => {
+  const [dashboard, setDashboard] = useState(null)
+  const [notifications, setNotifications] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchDashboard()
+    fetchNotifications()
+  }, [])
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await studentPortalAPI.getMyNotifications({ limit: 10 })
+      setNotifications(response.data.notifications || [])
+    } catch (error) {
+      console.error('Error fetching notifications:', error)
+    }
+  }
+
+  const handleMarkRead = async (notification) => {
+    if (notification.isRead) return
+    try {
+      await studentPortalAPI.markNotificationRead(notification._id)
+      setNotifications(prev => prev.map(item => (
+        item._id === notification._id ? { ...item, isRead: true } : item
+      )))
+    } catch (error) {
+      console.error('Error marking notification as read:', error)
+    }
+  }
+
+  const fetchDashboard = async () => {
+    try {
+      setLoading(true)
+      const response = await studentPortalAPI.getDashboard()
+      setDashboard(response.data)
+    } catch (error) {
+      console.error('Error fetching dashboard:', error)
+      toast.error('Failed to load dashboard')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-64">
+        <div className="flex flex-col items-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mb-4"></div>
+          <p className="text-gray-600">Loading your dashboard...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!dashboard) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-600">Dashboard data is not available right now.</p>
+      </div>
+    )
+  }
+
+  const { student, attendance, upcomingBookings, projects } = dashboard
+
+  const attendanceColor = attendance.percentage >= 75
+    ? 'text-green-600'
+    : attendance.percentage >= 50 ? 'text-yellow-600' : 'text-red-600'
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Welcome, {student.name}</h1>
+        <p className="text-gray-600 mt-1">
+          {student.studentId} · Roll No {student.rollNo}
+          {student.batch && ` · ${student.batch.name} (${student.batch.timing})`}
+        </p>
+      </div>
+
+      {/* Notifications */}
+      {notifications.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center mb-4">
+            <BellIcon className="h-5 w-5 text-gray-500 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Notifications</h2>
+            {notifications.some(notification => !notification.isRead) && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                {notifications.filter(notification => !notification.isRead).length} new
+              </span>
+            )}
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {notifications.map((notification) => (
+              <li
+                key={notification._id}
+                onClick={() => handleMarkRead(notification)}
+                className={`py-3 ${notification.isRead ? '' : 'cursor-pointer'}`}
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <p className={`text-sm ${notification.isRead ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                    {notification.title}
+                  </p>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {format(new Date(notification.sentAt || notification.createdAt), 'MMM dd, hh:mm a')}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{notification.message}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Stats Cards */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center">
+            <ClipboardDocumentListIcon className="h-8 w-8 text-gray-600" />
+            <div className="ml-3">
+              <p className="text-sm font-medium text-gray-500">Attendance</p>
+              <p className={`text-2xl font-bold ${attendanceColor}`}>{attendance.percentage}%</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center">
+            <CalendarDaysIcon className="h-8 w-8 text-blue-600" />
+            <div className="ml-3">
+              <p className="text-sm font-medium text-gray-500">Sessions</p>
+              <p className="text-2xl font-bold text-blue-600">{attendance.total}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center">
+            <DocumentTextIcon className="h-8 w-8 text-yellow-600" />
+            <div className="ml-3">
+              <p className="text-sm font-medium text-gray-500">Pending Projects</p>
+              <p className="text-2xl font-bold text-yellow-600">{projects.pending}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center">
+            <AcademicCapIcon className="h-8 w-8 text-green-600" />
+            <div className="ml-3">
+              <p className="text-sm font-medium text-gray-500">Submitted</p>
+              <p className="text-2xl font-bold text-green-600">{projects.submitted}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Attendance breakdown */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Attendance Summary</h2>
+            <Link to="/attendance" className="text-sm text-red-600 hover:text-red-700">
+              View all
+            </Link>
+          </div>
+          <dl className="grid grid-cols-3 gap-4 text-center">
+            <div className="rounded-lg bg-green-50 p-3">
+              <dt className="text-xs font-medium text-green-700">Present</dt>
+              <dd className="text-xl font-bold text-green-700">{attendance.present}</dd>
+            </div>
+            <div className="rounded-lg bg-yellow-50 p-3">
+              <dt className="text-xs font-medium text-yellow-700">Late</dt>
+              <dd className="text-xl font-bold text-yellow-700">{attendance.late}</dd>
+            </div>
+            <div className="rounded-lg bg-red-50 p-3">
+              <dt className="text-xs font-medium text-red-700">Absent</dt>
+              <dd className="text-xl font-bold text-red-700">{attendance.absent}</dd>
+            </div>
+          </dl>
+          {projects.nextDeadline && (
+            <div className="mt-4 flex items-center text-sm text-gray-600">
+              <ClockIcon className="h-4 w-4 mr-2" />
+              Next project deadline: {format(new Date(projects.nextDeadline), 'MMM dd, yyyy')}
+            </div>
+          )}
+        </div>
+
+        {/* Upcoming lab bookings */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Upcoming Lab Sessions</h2>
+            <Link to="/lab-bookings" className="text-sm text-red-600 hover:text-red-700">
+              View all
+            </Link>
+          </div>
+          {upcomingBookings.length === 0 ? (
+            <p className="text-sm text-gray-500">No upcoming lab sessions booked.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {upcomingBookings.map((booking) => (
+                <li key={booking._id} className="py-3 flex items-center">
+                  <ComputerDesktopIcon className="h-5 w-5 text-gray-400 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {format(new Date(booking.date), 'EEE, MMM dd')} · {booking.timeSlot}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      PC {booking.pc?.pcNumber || '—'} · {booking.purpose}
+                    </p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StudentDashboard
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react'
+import { ComputerDesktopIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { studentPortalAPI } from '../../services/api'
+
+const STATUS_STYLES = {
+  booked: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  'no-show': 'bg-red-100 text-red-800',
+}
+
+const StudentLabBookings = () => {
+  const [bookings, setBookings] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [status, setStatus] = useState('')
+
+  useEffect(() => {
+    fetchBookings()
+  }, [status])
+
+  const fetchBookings = async () => {
+    try {
+      setLoading(true)
+      const response = await studentPortalAPI.getMyLabBookings(status ? { status } : {})
+      setBookings(response.data || [])
+    } catch (error) {
+      console.error('Error fetching lab bookings:', error)
+      toast.error('Failed to fetch lab bookings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Lab Bookings</h1>
+          <p className="text-gray-600 mt-1">Your booked computer lab sessions</p>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="form-input sm:w-48"
+        >
+          <option value="">All statuses</option>
+          <option value="booked">Booked</option>
+          <option value="completed">Completed</option>
+          <option value="no-show">No-show</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+          </div>
+        ) : bookings.length === 0 ? (
+          <div className="text-center py-12">
+            <ComputerDesktopIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No lab bookings found.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time Slot</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PC</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Purpose</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {bookings.map((booking) => (
+                <tr key={booking._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {format(new Date(booking.date), 'EEE, MMM dd, yyyy')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{booking.timeSlot}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {booking.pc ? `${booking.pc.pcNumber} (Row ${booking.pc.row})` : '—'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{booking.purpose}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[booking.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {booking.status}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StudentLabBookings
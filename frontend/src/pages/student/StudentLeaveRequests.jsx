@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react'
+import { DocumentCheckIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { leaveRequestsAPI } from '../../services/api'
+import { showConfirm } from '../../utils/popup'
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+}
+
+const LEAVE_TYPES = ['medical', 'personal', 'family', 'academic', 'other']
+
+const emptyForm = {
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: format(new Date(), 'yyyy-MM-dd'),
+  type: 'medical',
+  reason: '',
+}
+
+const StudentLeaveRequests = () => {
+  const [leaveRequests, setLeaveRequests] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    fetchLeaveRequests()
+  }, [])
+
+  const fetchLeaveRequests = async () => {
+    try {
+      setLoading(true)
+      const response = await leaveRequestsAPI.getLeaveRequests()
+      setLeaveRequests(response.data || [])
+    } catch (error) {
+      console.error('Error fetching leave requests:', error)
+      toast.error('Failed to fetch leave requests')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSubmitting(true)
+      await leaveRequestsAPI.createLeaveRequest(formData)
+      toast.success('Leave request submitted')
+      setFormData(emptyForm)
+      setShowForm(false)
+      fetchLeaveRequests()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit leave request')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleCancel = async (leaveRequest) => {
+    const confirmed = await showConfirm('Cancel this leave request?', 'Cancel Leave Request')
+    if (!confirmed) return
+
+    try {
+      await leaveRequestsAPI.cancelLeaveRequest(leaveRequest._id)
+      toast.success('Leave request cancelled')
+      fetchLeaveRequests()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel leave request')
+    }
+  }
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Leave</h1>
+          <p className="text-gray-600 mt-1">Request leave and track its approval</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="btn-primary inline-flex items-center"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Request Leave
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">From</label>
+            <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} className="form-input" required />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input type="date" name="endDate" value={formData.endDate} min={formData.startDate} onChange={handleChange} className="form-input" required />
+          </div>
+          <div>
+            <label className="form-label">Type</label>
+            <select name="type" value={formData.type} onChange={handleChange} className="form-input capitalize">
+              {LEAVE_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div className="sm:col-span-3">
+            <label className="form-label">Reason</label>
+            <textarea
+              name="reason"
+              value={formData.reason}
+              onChange={handleChange}
+              rows={3}
+              maxLength={1000}
+              className="form-input"
+              required
+            />
+          </div>
+          <div className="sm:col-span-3 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">Cancel</button>
+            <button type="submit" disabled={submitting} className="btn-primary">
+              {submitting ? 'Submitting...' : 'Submit'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+          </div>
+        ) : leaveRequests.length === 0 ? (
+          <div className="text-center py-12">
+            <DocumentCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No leave requests yet.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {leaveRequests.map((leaveRequest) => (
+                <tr key={leaveRequest._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {format(new Date(leaveRequest.startDate), 'MMM dd')} – {format(new Date(leaveRequest.endDate), 'MMM dd, yyyy')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{leaveRequest.type}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {leaveRequest.reason}
+                    {leaveRequest.reviewNotes && (
+                      <p className="text-xs text-gray-400 mt-1">Note: {leaveRequest.reviewNotes}</p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[leaveRequest.status]}`}>
+                      {leaveRequest.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    {leaveRequest.status === 'pending' && (
+                      <button
+                        type="button"
+                        onClick={() => handleCancel(leaveRequest)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default StudentLeaveRequests
@@ -43,6 +43,9 @@ const StudentProjectDashboard = () => {
 
     if (hasSubmission) {
       const submission = project.submissions[0]
+      if (submission.status === 'returned') {
+        return { status: 'returned', color: 'orange', text: 'Returned' }
+      }
       if (submission.grade !== null && submission.grade !== undefined) {
         return { status: 'graded', color: 'green', text: 'Graded' }
       }
@@ -76,6 +79,7 @@ const StudentProjectDashboard = () => {
       case 'submitted':
         return <CheckCircleIcon className="h-5 w-5" />
       case 'overdue':
+      case 'returned':
         return <ExclamationTriangleIcon className="h-5 w-5" />
       case 'due_soon':
         return <ClockIcon className="h-5 w-5" />
@@ -231,6 +235,7 @@ const StudentProjectDashboard = () => {
                     color === 'blue' ? 'bg-blue-100 text-blue-800' :
                     color === 'yellow' ? 'bg-yellow-100 text-yellow-800' :
                     color === 'red' ? 'bg-red-100 text-red-800' :
+                    color === 'orange' ? 'bg-orange-100 text-orange-800' :
                     'bg-gray-100 text-gray-800'
                   }`}>
                     {getStatusIcon(status)}
@@ -282,6 +287,16 @@ const StudentProjectDashboard = () => {
                       Submit
                     </Link>
                   )}
+
+                  {status === 'returned' && (
+                    <Link
+                      to={`/projects/${project._id}/submit`}
+                      className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                    >
+                      <PlusIcon className="h-4 w-4 mr-2" />
+                      Resubmit
+                    </Link>
+                  )}
                 </div>
               </div>
             )
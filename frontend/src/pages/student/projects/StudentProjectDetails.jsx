@@ -15,6 +15,10 @@ import {
 import { format, isAfter, differenceInDays } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI } from '../../../services/api'
+import { downloadSubmissionFile } from '../../../utils/fileDownloads'
+import RubricBreakdown from '../../../components/projects/RubricBreakdown'
+import StudentTeamPanel from '../../../components/projects/StudentTeamPanel'
+import PeerEvaluationForm from '../../../components/projects/PeerEvaluationForm'
 
 const StudentProjectDetails = () => {
   const { projectId } = useParams()
@@ -43,20 +47,12 @@ const StudentProjectDetails = () => {
     }
   }
 
-  const downloadFile = async (submissionId, fileName) => {
+  const downloadFile = async (submissionId, file) => {
     try {
-      const response = await projectAPI.downloadSubmissionFile(submissionId, fileName)
-      const url = window.URL.createObjectURL(new Blob([response.data]))
-      const link = document.createElement('a')
-      link.href = url
-      link.setAttribute('download', fileName)
-      document.body.appendChild(link)
-      link.click()
-      link.remove()
-      window.URL.revokeObjectURL(url)
+      await downloadSubmissionFile(submissionId, file)
     } catch (error) {
       console.error('Error downloading file:', error)
-      toast.error('Failed to download file')
+      toast.error(error.response?.data?.message || 'Failed to download file')
     }
   }
 
@@ -78,12 +74,20 @@ const StudentProjectDetails = () => {
     )
   }
 
-  const deadline = new Date(project.deadlineDate)
+  // An extension granted to this student replaces the project deadline
+  const deadline = new Date(project.myDeadline?.deadline || project.deadlineDate)
+  const extended = !!project.myDeadline?.extended
+  const closesAt = project.myDeadline?.closesAt ? new Date(project.myDeadline.closesAt) : null
   const now = new Date()
   const isOverdue = isAfter(now, deadline)
   const daysLeft = differenceInDays(deadline, now)
   const hasSubmission = project.submissions && project.submissions.length > 0
   const submission = hasSubmission ? project.submissions[0] : null
+  // Returned by the teacher for revision; the student can resubmit a new version
+  const isReturned = submission?.status === 'returned'
+  // Team projects are submitted once the student's team is big enough
+  const isTeamProject = !!project.teamSettings?.enabled
+  const needsTeam = isTeamProject && (project.myTeam?.members?.length || 0) < project.teamSettings.minSize
 
   return (
     <div className="max-w-4xl mx-auto space-y-6 px-4 sm:px-0">
@@ -105,7 +109,9 @@ const StudentProjectDetails = () => {
 
       {/* Status Banner */}
       <div className={`rounded-lg p-4 ${
-        hasSubmission && submission.grade !== null && submission.grade !== undefined
+        isReturned
+          ? 'bg-orange-50 border border-orange-200'
+          : hasSubmission && submission.grade !== null && submission.grade !== undefined
           ? 'bg-green-50 border border-green-200'
           : hasSubmission
           ? 'bg-blue-50 border border-blue-200'
@@ -116,7 +122,18 @@ const StudentProjectDetails = () => {
           : 'bg-gray-50 border border-gray-200'
       }`}>
         <div className="flex items-center">
-          {hasSubmission && submission.grade !== null && submission.grade !== undefined ? (
+          {isReturned ? (
+            <>
+              <ExclamationTriangleIcon className="h-6 w-6 text-orange-600 mr-3" />
+              <div>
+                <h3 className="text-lg font-medium text-orange-900">Returned for Revision</h3>
+                <p className="text-orange-700">
+                  Your teacher returned {submission.version > 1 ? `version ${submission.version} of ` : ''}your submission.
+                  Read the feedback below and resubmit.
+                </p>
+              </div>
+            </>
+          ) : hasSubmission && submission.grade !== null && submission.grade !== undefined ? (
             <>
               <TrophyIcon className="h-6 w-6 text-green-600 mr-3" />
               <div>
@@ -142,7 +159,10 @@ const StudentProjectDetails = () => {
               <div>
                 <h3 className="text-lg font-medium text-red-900">Submission Overdue</h3>
                 <p className="text-red-700">
-                  The deadline was {format(deadline, 'MMMM dd, yyyy')}
+                  The {extended ? 'extended ' : ''}deadline was {format(deadline, 'MMMM dd, yyyy HH:mm')}.
+                  {closesAt && (isAfter(now, closesAt)
+                    ? ' Submissions are closed.'
+                    : ` Late submissions are accepted until ${format(closesAt, 'MMMM dd, yyyy HH:mm')} with a penalty.`)}
                 </p>
               </div>
             </>
@@ -154,7 +174,8 @@ const StudentProjectDetails = () => {
                   {daysLeft <= 3 ? 'Due Soon' : 'Pending Submission'}
                 </h3>
                 <p className="text-yellow-700">
-                  Due {format(deadline, 'MMMM dd, yyyy')} 
+                  Due {format(deadline, 'MMMM dd, yyyy HH:mm')}
+                  {extended && ' (extended for you)'}
                   {daysLeft > 0 && ` (${daysLeft} days left)`}
                 </p>
               </div>
@@ -205,7 +226,9 @@ const StudentProjectDetails = () => {
           {/* My Submission */}
           {hasSubmission && (
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-              <h2 className="text-lg font-semibold text-gray-900 mb-4">My Submission</h2>
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                {isTeamProject ? 'Team Submission' : 'My Submission'}{submission.version > 1 && ` (version ${submission.version})`}
+              </h2>
               
               <div className="space-y-4">
                 <div>
@@ -229,9 +252,12 @@ const StudentProjectDetails = () => {
                           <div className="flex items-center">
                             <DocumentTextIcon className="h-5 w-5 text-gray-400 mr-2" />
                             <span className="text-sm text-gray-900">{file.originalName}</span>
+                            {file.uploadedBy?.name && (
+                              <span className="text-xs text-gray-500 ml-2">by {file.uploadedBy.name}</span>
+                            )}
                           </div>
                           <button
-                            onClick={() => downloadFile(submission._id, file.originalName)}
+                            onClick={() => downloadFile(submission._id, file)}
                             className="text-blue-600 hover:text-blue-800 text-sm font-medium"
                           >
                             <ArrowDownTrayIcon className="h-4 w-4 inline mr-1" />
@@ -243,6 +269,16 @@ const StudentProjectDetails = () => {
                   </div>
                 )}
 
+                {submission.rubricScores?.length > 0 && (
+                  <RubricBreakdown rubricScores={submission.rubricScores} />
+                )}
+
+                {submission.peerAdjustment ? (
+                  <p className="text-sm text-gray-600">
+                    Team grade {submission.teamScore}/{project.maxScore}, adjusted {submission.peerAdjustment > 0 ? '+' : ''}{submission.peerAdjustment}% from peer evaluation
+                  </p>
+                ) : null}
+
                 {submission.feedback && (
                   <div>
                     <h4 className="font-medium text-gray-900 mb-2">Teacher Feedback</h4>
@@ -254,6 +290,11 @@ const StudentProjectDetails = () => {
               </div>
             </div>
           )}
+
+          {/* Peer Evaluation */}
+          {isTeamProject && project.teamSettings.peerEvaluation && hasSubmission && (
+            <PeerEvaluationForm projectId={project._id} />
+          )}
         </div>
 
         {/* Sidebar */}
@@ -280,11 +321,22 @@ const StudentProjectDetails = () => {
             </div>
           </div>
 
+          {/* Team */}
+          {isTeamProject && (
+            <StudentTeamPanel project={project} submission={submission} onChanged={fetchProject} />
+          )}
+
           {/* Actions */}
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Actions</h3>
             <div className="space-y-3">
-              {!hasSubmission && !isOverdue && (
+              {!hasSubmission && !isOverdue && needsTeam && (
+                <p className="text-sm text-gray-600 text-center">
+                  Your team needs at least {project.teamSettings.minSize} members to submit.
+                </p>
+              )}
+
+              {!hasSubmission && !isOverdue && !needsTeam && (
                 <Link
                   to={`/projects/${project._id}/submit`}
                   className="w-full inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
@@ -294,7 +346,17 @@ const StudentProjectDetails = () => {
                 </Link>
               )}
               
-              {hasSubmission && (
+              {isReturned && (
+                <Link
+                  to={`/projects/${project._id}/submit`}
+                  className="w-full inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                >
+                  <PlusIcon className="h-4 w-4 mr-2" />
+                  Resubmit Project
+                </Link>
+              )}
+
+              {hasSubmission && !isReturned && (
                 <div className="text-center p-4 bg-green-50 rounded-md">
                   <CheckCircleIcon className="h-8 w-8 text-green-600 mx-auto mb-2" />
                   <p className="text-sm text-green-800 font-medium">Project Submitted</p>
@@ -26,6 +26,9 @@ const StudentProjectSubmit = () => {
     notes: ''
   })
 
+  // The current version, when the teacher returned it for revision
+  const previousSubmission = project?.submissions?.[0]?.status === 'returned' ? project.submissions[0] : null
+
   useEffect(() => {
     if (projectId) {
       fetchProject()
@@ -37,6 +40,12 @@ const StudentProjectSubmit = () => {
       setLoading(true)
       const response = await projectAPI.getProject(projectId)
       setProject(response.data)
+
+      // A returned submission starts the new version from the old description
+      const previous = response.data.submissions?.[0]
+      if (previous?.status === 'returned') {
+        setFormData({ description: previous.description || '', notes: '' })
+      }
     } catch (error) {
       console.error('Error fetching project:', error)
       toast.error('Failed to fetch project details')
@@ -105,7 +114,7 @@ const StudentProjectSubmit = () => {
       })
 
       await projectAPI.submitProject(projectId, submitData)
-      toast.success('Project submitted successfully!')
+      toast.success(previousSubmission ? 'Project resubmitted successfully!' : 'Project submitted successfully!')
       navigate('/projects')
     } catch (error) {
       console.error('Error submitting project:', error)
@@ -141,12 +150,16 @@ const StudentProjectSubmit = () => {
     )
   }
 
-  const deadline = new Date(project.deadlineDate)
+  // The student's own deadline (after any extension) and the policy cutoff
+  const deadline = new Date(project.myDeadline?.deadline || project.deadlineDate)
+  const closesAt = project.myDeadline?.closesAt ? new Date(project.myDeadline.closesAt) : null
   const now = new Date()
   const isOverdue = isAfter(now, deadline)
+  // Resubmissions were asked for by the teacher, so the cutoff does not apply
+  const isClosed = closesAt && isAfter(now, closesAt) && !previousSubmission
   const daysLeft = differenceInDays(deadline, now)
 
-  if (isOverdue) {
+  if (isClosed) {
     return (
       <div className="max-w-2xl mx-auto space-y-6 px-4 sm:px-0">
         <div className="flex items-center space-x-4">
@@ -165,7 +178,8 @@ const StudentProjectSubmit = () => {
           <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-red-600 mb-4" />
           <h3 className="text-lg font-medium text-red-900 mb-2">Submission Deadline Passed</h3>
           <p className="text-red-700">
-            The deadline for this project was {format(deadline, 'MMMM dd, yyyy')}. 
+            The deadline for this project was {format(deadline, 'MMMM dd, yyyy HH:mm')} and
+            late submissions closed on {format(closesAt, 'MMMM dd, yyyy HH:mm')}.
             Submissions are no longer accepted.
           </p>
           <button
@@ -190,13 +204,29 @@ const StudentProjectSubmit = () => {
           <ArrowLeftIcon className="h-5 w-5" />
         </button>
         <div>
-          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Submit Project</h1>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            {previousSubmission ? 'Resubmit Project' : 'Submit Project'}
+          </h1>
           <p className="text-sm sm:text-base text-gray-600 mt-1">
-            Upload your project files and provide details
+            {previousSubmission
+              ? `This will be version ${(previousSubmission.version || 1) + 1} of your submission`
+              : 'Upload your project files and provide details'}
           </p>
         </div>
       </div>
 
+      {previousSubmission && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-orange-900 mb-1">Teacher feedback</h3>
+          <p className="text-sm text-orange-800 whitespace-pre-wrap">
+            {previousSubmission.feedback || 'Your submission was returned for revision.'}
+          </p>
+          <p className="text-xs text-orange-700 mt-2">
+            Upload all files again. Your earlier version is kept for your teacher to compare.
+          </p>
+        </div>
+      )}
+
       {/* Project Info */}
       <div className="bg-blue-50 rounded-lg p-4 sm:p-6">
         <h2 className="text-lg font-semibold text-blue-900 mb-3">{project.title}</h2>
@@ -205,16 +235,39 @@ const StudentProjectSubmit = () => {
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
           <div className="flex items-center text-blue-700">
             <CalendarIcon className="h-4 w-4 mr-2" />
-            <span>Due: {format(deadline, 'MMMM dd, yyyy')}</span>
+            <span>
+              Due: {format(deadline, 'MMMM dd, yyyy HH:mm')}
+              {project.myDeadline?.extended && ' (extended)'}
+            </span>
           </div>
           <div className="flex items-center text-blue-700">
             <ClockIcon className="h-4 w-4 mr-2" />
             <span>
-              {daysLeft > 0 ? `${daysLeft} days left` : 'Due today'}
+              {isOverdue ? 'Overdue' : daysLeft > 0 ? `${daysLeft} days left` : 'Due today'}
             </span>
           </div>
         </div>
 
+        {project.myTeam && (
+          <div className="mt-4 p-3 bg-white border border-blue-200 rounded-md text-sm text-blue-800">
+            Submitting for team <span className="font-medium">{project.myTeam.name}</span>:{' '}
+            {project.myTeam.members.map(member => member.name).join(', ')}.
+            Every member shares this submission and its grade.
+          </div>
+        )}
+
+        {isOverdue && (
+          <div className="mt-4 p-3 bg-red-100 border border-red-300 rounded-md">
+            <div className="flex items-center">
+              <ExclamationTriangleIcon className="h-5 w-5 text-red-600 mr-2" />
+              <span className="text-red-800 text-sm font-medium">
+                This submission will be marked late and the late penalty applies
+                {closesAt && `. Submissions close on ${format(closesAt, 'MMMM dd, yyyy HH:mm')}`}.
+              </span>
+            </div>
+          </div>
+        )}
+
         {daysLeft <= 3 && daysLeft > 0 && (
           <div className="mt-4 p-3 bg-yellow-100 border border-yellow-300 rounded-md">
             <div className="flex items-center">
@@ -337,7 +390,7 @@ const StudentProjectSubmit = () => {
               ) : (
                 <div className="flex items-center justify-center">
                   <CheckCircleIcon className="h-4 w-4 mr-2" />
-                  Submit Project
+                  {previousSubmission ? 'Resubmit Project' : 'Submit Project'}
                 </div>
               )}
             </button>
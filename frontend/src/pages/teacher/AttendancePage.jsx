@@ -31,6 +31,7 @@ import {
   canMarkAttendance,
   getTodaysBatches
 } from '../../utils/batchTimeUtils'
+import { loadTimeSlots } from '../../utils/timeSlots'
 
 const AttendancePage = () => {
   const { user } = useAuth()
@@ -39,6 +40,9 @@ const AttendancePage = () => {
   const [activeBatch, setActiveBatch] = useState(null)
   const [students, setStudents] = useState([])
   const [attendance, setAttendance] = useState({})
+  // Version of each student's saved record, sent back so edits made
+  // elsewhere in the meantime are reported as conflicts
+  const [versions, setVersions] = useState({})
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [currentTime, setCurrentTime] = useState(getCurrentTimeFormatted())
@@ -74,7 +78,8 @@ const AttendancePage = () => {
 
   const fetchBatches = async () => {
     try {
-      const res = await batchesAPI.getBatches()
+      // Batch status is worked out from the institute time slots
+      const [res] = await Promise.all([batchesAPI.getBatches(), loadTimeSlots()])
       const batchesData = validateApiResponse(res, 'array', [])
 
       // Filter today's batches and sort by priority
@@ -116,16 +121,20 @@ const AttendancePage = () => {
       const res = await attendanceAPI.getBatchAttendance(activeBatch._id, selectedDate)
       const attendanceData = validateApiResponse(res, 'array', [])
       const attendanceMap = {}
+      const versionMap = {}
       attendanceData.forEach(record => {
         if (record.attendance) {
           attendanceMap[record.student._id] = record.attendance.status
+          versionMap[record.student._id] = record.attendance.version ?? 1
         }
       })
       setAttendance(attendanceMap)
+      setVersions(versionMap)
     } catch (error) {
       console.error('Error fetching attendance:', error)
       // Don't show error for missing attendance data
       setAttendance({})
+      setVersions({})
     }
   }
 
@@ -154,7 +163,8 @@ const AttendancePage = () => {
     try {
       const attendanceData = students.map(student => ({
         studentId: student._id,
-        status: attendance[student._id] || 'absent'
+        status: attendance[student._id] || 'absent',
+        expectedVersion: versions[student._id] ?? 0
       }))
 
       // Mark attendance for each student
@@ -164,6 +174,19 @@ const AttendancePage = () => {
         attendanceRecords: attendanceData
       })
 
+      // Saved records carry their new versions
+      const saved = response.data?.attendanceResults || []
+      setVersions(prev => ({
+        ...prev,
+        ...Object.fromEntries(saved.map(record => [record.student, record.version]))
+      }))
+
+      if (response.data?.conflicts?.length > 0) {
+        // The conflicting records are queued for review by the API layer
+        setQuickMarkMode(false)
+        return
+      }
+
       // Show success message with lab booking updates if any
       let successMessage = 'Attendance marked successfully!'
       if (response.summary?.labBookingsUpdated > 0) {
@@ -184,7 +207,7 @@ const AttendancePage = () => {
       setQuickMarkMode(false)
     } catch (error) {
       console.error('Error marking attendance:', error)
-      toast.error('Failed to mark attendance')
+      toast.error(error.response?.data?.message || 'Failed to mark attendance')
     } finally {
       setSubmitting(false)
     }
@@ -16,9 +16,11 @@ import {
   ChartBarIcon,
   PlayIcon,
   PauseIcon,
-  StopIcon
+  StopIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline'
-import { pcAPI, bookingAPI, labAPI } from '../../services/labAPI'
+import { pcAPI, bookingAPI, labAPI, seatHoldAPI } from '../../services/labAPI'
+import labUpdateService from '../../services/labUpdateService'
 import api from '../../services/api'
 import { useAuth } from '../../context/AuthContext'
 import toast from 'react-hot-toast'
@@ -27,7 +29,9 @@ import {
   getCurrentDateFormatted,
   getTimeSlotStatus
 } from '../../utils/batchTimeUtils'
-import { TIME_SLOTS, getCurrentTimeSlot as getCentralizedCurrentTimeSlot, getCurrentTimeSlotWithReason, getTimeSlotLabel } from '../../utils/timeSlots'
+import BookingSeriesModal from '../../components/BookingSeriesModal'
+import BatchAllocationModal from '../../components/BatchAllocationModal'
+import { TIME_SLOTS, loadTimeSlots, useTimeSlots, getCurrentTimeSlot as getCentralizedCurrentTimeSlot, getCurrentTimeSlotWithReason, getTimeSlotLabel } from '../../utils/timeSlots'
 
 const LabAvailability = () => {
   const { user } = useAuth()
@@ -52,47 +56,53 @@ const LabAvailability = () => {
   const [selectedBatch, setSelectedBatch] = useState('all')
   const [selectedStatus, setSelectedStatus] = useState('all')
   const [viewMode, setViewMode] = useState('grid') // 'grid' or 'list'
+  const [showSeriesModal, setShowSeriesModal] = useState(false)
+  const [showAllocationModal, setShowAllocationModal] = useState(false)
+  const [holds, setHolds] = useState([])
+  const [liveConnected, setLiveConnected] = useState(false)
 
-  const timeSlots = TIME_SLOTS
+  const timeSlots = useTimeSlots()
 
   useEffect(() => {
-    // Auto-select current time slot on first load
+    // Auto-select current time slot once the institute slots have loaded
     if (!autoSelected) {
-      const currentSlot = getCentralizedCurrentTimeSlot()
-      if (currentSlot) {
-        setSelectedTimeSlot(currentSlot.id)
-        setAutoSelected(true)
-
-        // Get detailed reason for selection
-        const { reason, scenario } = getCurrentTimeSlotWithReason()
-
-        // Show appropriate toast message based on scenario
-        let toastMessage = `🕒 Auto-selected: ${currentSlot.label}`
-        let toastIcon = '🕒'
-
-        switch (scenario) {
-          case 'active':
-            toastIcon = '✅'
-            toastMessage = `${toastIcon} Current time slot: ${currentSlot.label}`
-            break
-          case 'after-hours':
-            toastIcon = '🌙'
-            toastMessage = `${toastIcon} After hours - Selected: ${currentSlot.label}`
-            break
-          case 'before-hours':
-            toastIcon = '🌅'
-            toastMessage = `${toastIcon} Early morning - Selected: ${currentSlot.label}`
-            break
-          default:
-            toastIcon = '🕒'
-            toastMessage = `${toastIcon} Auto-selected: ${currentSlot.label}`
-        }
+      loadTimeSlots().then(() => {
+        const currentSlot = getCentralizedCurrentTimeSlot()
+        if (currentSlot) {
+          setSelectedTimeSlot(currentSlot.id)
+          setAutoSelected(true)
+
+          // Get detailed reason for selection
+          const { reason, scenario } = getCurrentTimeSlotWithReason()
+
+          // Show appropriate toast message based on scenario
+          let toastMessage = `🕒 Auto-selected: ${currentSlot.label}`
+          let toastIcon = '🕒'
+
+          switch (scenario) {
+            case 'active':
+              toastIcon = '✅'
+              toastMessage = `${toastIcon} Current time slot: ${currentSlot.label}`
+              break
+            case 'after-hours':
+              toastIcon = '🌙'
+              toastMessage = `${toastIcon} After hours - Selected: ${currentSlot.label}`
+              break
+            case 'before-hours':
+              toastIcon = '🌅'
+              toastMessage = `${toastIcon} Early morning - Selected: ${currentSlot.label}`
+              break
+            default:
+              toastIcon = '🕒'
+              toastMessage = `${toastIcon} Auto-selected: ${currentSlot.label}`
+          }
 
-        toast.success(toastMessage)
-      } else {
-        setSelectedTimeSlot('10:30 AM - 12:00 PM') // Default fallback
-        setAutoSelected(true)
-      }
+          toast.success(toastMessage)
+        } else {
+          setSelectedTimeSlot(TIME_SLOTS[0]?.id || null) // Default fallback
+          setAutoSelected(true)
+        }
+      })
     }
 
     fetchLabInfo()
@@ -121,16 +131,57 @@ const LabAvailability = () => {
     }
   }, [selectedTimeSlot])
 
-  // Auto-refresh data every 30 seconds to stay in sync with admin changes
+  // Live updates from other browsers for today's lab grid
+  useEffect(() => {
+    if (!selectedTimeSlot) return
+
+    labUpdateService.init()
+    labUpdateService.connect(getTodayKey())
+    setLiveConnected(labUpdateService.connected)
+
+    const unsubscribe = labUpdateService.subscribe(['booking', 'pc_status', 'seat_hold', 'connection'], (update) => {
+      switch (update.type) {
+        case 'connection':
+          setLiveConnected(update.connected)
+          if (update.connected) refreshLiveData()
+          break
+        case 'booking':
+          refreshBookings()
+          break
+        case 'pc_status':
+          pcAPI.getPCsByRow()
+            .then(response => setPcsByRow(response?.data || response || {}))
+            .catch(error => console.error('Error refreshing PCs:', error))
+          break
+        case 'seat_hold':
+          if (update.timeSlot === selectedTimeSlot) {
+            setHolds(prev => {
+              const others = prev.filter(hold => hold._id !== update.hold._id)
+              return update.action === 'hold_placed' ? [...others, update.hold] : others
+            })
+          }
+          break
+        default:
+          break
+      }
+    })
+    return () => unsubscribe()
+  }, [selectedTimeSlot])
+
   useEffect(() => {
-    if (selectedTimeSlot) {
+    return () => labUpdateService.disconnect()
+  }, [])
+
+  // Fall back to refreshing every 30 seconds while the live stream is down
+  useEffect(() => {
+    if (selectedTimeSlot && !liveConnected) {
       const interval = setInterval(() => {
         fetchData()
       }, 30000) // Refresh every 30 seconds
 
       return () => clearInterval(interval)
     }
-  }, [selectedTimeSlot])
+  }, [selectedTimeSlot, liveConnected])
 
   // Filter PCs based on search and filters
   useEffect(() => {
@@ -176,10 +227,40 @@ const LabAvailability = () => {
     }
   }
 
+  const getTodayKey = () => new Date().toISOString().split('T')[0]
+
+  // Bookings and seat holds only, for live updates
+  const refreshBookings = async (timeSlot = selectedTimeSlot) => {
+    try {
+      const bookingsRes = await bookingAPI.getBookingsWithAttendance({ date: getTodayKey(), timeSlot })
+      const bookingsData = bookingsRes?.data || bookingsRes || []
+      setBookings(Array.isArray(bookingsData) ? bookingsData : [])
+    } catch (error) {
+      console.error('Error refreshing bookings:', error)
+    }
+  }
+
+  const fetchHolds = async (timeSlot = selectedTimeSlot) => {
+    if (!timeSlot) return
+    try {
+      const data = await seatHoldAPI.getHolds({ date: getTodayKey(), timeSlot })
+      setHolds(Array.isArray(data) ? data : [])
+    } catch (error) {
+      console.error('Error fetching seat holds:', error)
+      setHolds([])
+    }
+  }
+
+  const refreshLiveData = () => {
+    refreshBookings()
+    fetchHolds()
+  }
+
   const fetchData = async (timeSlot = selectedTimeSlot) => {
     try {
       setLoading(true)
-      const today = new Date().toISOString().split('T')[0]
+      const today = getTodayKey()
+      fetchHolds(timeSlot)
 
       // Fetch data with time slot context for better filtering
       const [pcsRes, bookingsRes, departmentsRes, batchesRes] = await Promise.all([
@@ -344,6 +425,16 @@ const LabAvailability = () => {
       }
     }
 
+    // Another teacher has the booking form for this PC open
+    const hold = holds.find(item =>
+      item.pc === pc._id &&
+      item.heldBy !== user?._id &&
+      new Date(item.expiresAt) > new Date()
+    )
+    if (hold && pc.status === 'active') {
+      return { status: 'held', bookedFor: hold.heldByName, booking: null, hold }
+    }
+
     return {
       status: pc.status === 'active' ? 'available' : pc.status,
       bookedFor: null,
@@ -373,6 +464,8 @@ const LabAvailability = () => {
         return 'bg-red-500 hover:bg-red-600 text-white shadow-red-200'      // Default occupied
       case 'recently-freed':
         return 'bg-cyan-500 hover:bg-cyan-600 text-white shadow-cyan-200'    // Cyan for recently freed slots
+      case 'held':
+        return 'bg-purple-500 hover:bg-purple-600 text-white shadow-purple-200' // Purple while being booked elsewhere
       case 'maintenance':
         return 'bg-amber-500 hover:bg-amber-600 text-white shadow-amber-200'  // Amber for maintenance
       case 'inactive':
@@ -399,6 +492,8 @@ const LabAvailability = () => {
         return '🔴'
       case 'recently-freed':
         return '🔄'
+      case 'held':
+        return '🔒'
       case 'maintenance':
         return '🔧'
       case 'inactive':
@@ -490,7 +585,7 @@ const LabAvailability = () => {
       </div>
       <div className="flex items-center space-x-1 sm:space-x-2 bg-white/10 rounded-lg sm:rounded-xl px-3 py-1 sm:px-4 sm:py-2">
         <ClockIcon className="h-4 w-4 sm:h-5 sm:w-5 text-primary-200" />
-        <span className="text-xs sm:text-sm font-medium text-white">Live Status</span>
+        <span className="text-xs sm:text-sm font-medium text-white">{liveConnected ? 'Live Status' : 'Reconnecting...'}</span>
       </div>
     </div>
   </div>
@@ -577,6 +672,20 @@ const LabAvailability = () => {
           <FunnelIcon className="h-3 w-3 sm:h-4 sm:w-4 mr-1" />
           {viewMode === 'grid' ? 'List' : 'Grid'}
         </button>
+        <button
+          onClick={() => setShowSeriesModal(true)}
+          className="inline-flex items-center px-2 py-1 sm:px-3 sm:py-2 border border-gray-300 rounded-lg sm:rounded-xl text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cadd-red transition-all duration-200"
+        >
+          <ArrowPathIcon className="h-3 w-3 sm:h-4 sm:w-4 mr-1" />
+          Recurring
+        </button>
+        <button
+          onClick={() => setShowAllocationModal(true)}
+          className="inline-flex items-center px-2 py-1 sm:px-3 sm:py-2 border border-gray-300 rounded-lg sm:rounded-xl text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cadd-red transition-all duration-200"
+        >
+          <UserGroupIcon className="h-3 w-3 sm:h-4 sm:w-4 mr-1" />
+          Allocate
+        </button>
       </div>
     </div>
   </div>
@@ -916,6 +1025,10 @@ const LabAvailability = () => {
                     <div className="w-5 h-5 bg-cyan-500 rounded-lg mr-3 shadow-sm flex items-center justify-center text-white text-xs font-bold">🔄</div>
                     <span className="font-medium text-gray-700">Recently Freed</span>
                   </div>
+                  <div className="flex items-center p-2 bg-white rounded-lg shadow-sm border border-gray-100">
+                    <div className="w-5 h-5 bg-purple-500 rounded-lg mr-3 shadow-sm flex items-center justify-center text-white text-xs font-bold">🔒</div>
+                    <span className="font-medium text-gray-700">Being Booked</span>
+                  </div>
                   <div className="flex items-center p-2 bg-white rounded-lg shadow-sm border border-gray-100">
                     <div className="w-5 h-5 bg-amber-500 rounded-lg mr-3 shadow-sm flex items-center justify-center text-white text-xs font-bold">🔧</div>
                     <span className="font-medium text-gray-700">Maintenance</span>
@@ -971,7 +1084,9 @@ const LabAvailability = () => {
                                     ? `${pc.pcNumber} - Under Maintenance`
                                     : pcAvailability.status === 'recently-freed'
                                       ? `${pc.pcNumber} - Recently freed (${pcAvailability.bookedFor} left)`
-                                      : `${pc.pcNumber} - Occupied by ${pcAvailability.bookedFor}`
+                                      : pcAvailability.status === 'held'
+                                        ? `${pc.pcNumber} - Being booked by ${pcAvailability.bookedFor}`
+                                        : `${pc.pcNumber} - Occupied by ${pcAvailability.bookedFor}`
                               }
                             >
                               {/* Status Icon Badge */}
@@ -1057,6 +1172,14 @@ const LabAvailability = () => {
                                   </div>
                                 </div>
                               )}
+                              {pcAvailability.status === 'held' && (
+                                <div className="text-xs mt-1 opacity-95 font-medium">
+                                  <div className="truncate text-white/95 font-semibold">{pcAvailability.bookedFor}</div>
+                                  <div className="text-[10px] opacity-90 mt-0.5">
+                                    <span className="bg-white/20 px-1.5 py-0.5 rounded-full">🔒 Being Booked</span>
+                                  </div>
+                                </div>
+                              )}
                               {pcAvailability.status === 'inactive' && (
                                 <div className="text-xs mt-1 opacity-95 font-medium">
                                   <div className="text-white/95 font-semibold">Inactive</div>
@@ -1167,7 +1290,9 @@ const LabAvailability = () => {
                         ? 'text-yellow-600'
                         : getPCAvailability(selectedPC.pcNumber, selectedPC.rowNumber).status === 'recently-freed'
                           ? 'text-blue-600'
-                          : 'text-red-600'
+                          : getPCAvailability(selectedPC.pcNumber, selectedPC.rowNumber).status === 'held'
+                            ? 'text-purple-600'
+                            : 'text-red-600'
                       }`}>
                       {getPCAvailability(selectedPC.pcNumber, selectedPC.rowNumber).status === 'available'
                         ? '✅ Available'
@@ -1175,7 +1300,9 @@ const LabAvailability = () => {
                           ? '🔧 Maintenance'
                           : getPCAvailability(selectedPC.pcNumber, selectedPC.rowNumber).status === 'recently-freed'
                             ? '🔵 Recently Freed'
-                            : '🔴 Occupied'}
+                            : getPCAvailability(selectedPC.pcNumber, selectedPC.rowNumber).status === 'held'
+                              ? `🔒 Being booked by ${getPCAvailability(selectedPC.pcNumber, selectedPC.rowNumber).bookedFor}`
+                              : '🔴 Occupied'}
                     </div>
                   </div>
                 </div>
@@ -1289,7 +1416,25 @@ const LabAvailability = () => {
         </div>
       )}
 
+      {/* Recurring Booking Series Modal */}
+      <BookingSeriesModal
+        isOpen={showSeriesModal}
+        onClose={() => setShowSeriesModal(false)}
+        pcs={Object.values(pcsByRow).flat()}
+        timeSlots={timeSlots}
+        defaultDate={new Date().toISOString().split('T')[0]}
+        onChange={() => fetchData()}
+      />
 
+      {/* Batch Seat Allocation Modal */}
+      <BatchAllocationModal
+        isOpen={showAllocationModal}
+        onClose={() => setShowAllocationModal(false)}
+        timeSlots={timeSlots}
+        defaultDate={new Date().toISOString().split('T')[0]}
+        defaultTimeSlot={selectedTimeSlot}
+        onChange={() => fetchData()}
+      />
     </div>
   )
 }
@@ -304,11 +304,11 @@ const TeacherProfile = () => {
               <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-4 space-y-2 sm:space-y-0 mt-2">
                 <span className="flex items-center justify-center sm:justify-start text-white/80">
                   <IdentificationIcon className="h-5 w-5 mr-2" />
-                  {profile?.employeeId}
+                  {profile?.employeeId || profile?.student?.studentId}
                 </span>
                 <span className="flex items-center justify-center sm:justify-start text-white/80">
                   <BuildingOfficeIcon className="h-5 w-5 mr-2" />
-                  {profile?.department?.name}
+                  {(profile?.department || profile?.student?.department)?.name}
                 </span>
               </div>
             </div>
@@ -748,12 +748,16 @@ const TeacherProfile = () => {
                   <p className="text-gray-900">{profile?.email || 'Not specified'}</p>
                 </div>
                 <div>
-                  <label className="text-sm font-medium text-gray-500">Employee ID</label>
-                  <p className="text-gray-900 font-mono">{profile?.employeeId || 'Not assigned'}</p>
+                  <label className="text-sm font-medium text-gray-500">
+                    {profile?.role === 'student' ? 'Student ID' : 'Employee ID'}
+                  </label>
+                  <p className="text-gray-900 font-mono">
+                    {(profile?.role === 'student' ? profile?.student?.studentId : profile?.employeeId) || 'Not assigned'}
+                  </p>
                 </div>
                 <div>
                   <label className="text-sm font-medium text-gray-500">Department</label>
-                  <p className="text-gray-900">{profile?.department?.name || 'Not assigned'}</p>
+                  <p className="text-gray-900">{(profile?.department || profile?.student?.department)?.name || 'Not assigned'}</p>
                 </div>
                 <div>
                   <label className="text-sm font-medium text-gray-500">Phone Number</label>
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { Link, useLocation } from 'react-router-dom'
-import { batchesAPI, attendanceAPI } from '../../../services/api'
+import { batchesAPI, attendanceAPI, holidaysAPI } from '../../../services/api'
 import api from '../../../services/api'
 import toast from 'react-hot-toast'
 import { useAuth } from '../../../context/AuthContext'
@@ -37,6 +37,7 @@ const AttendanceCalendar = () => {
   const [selectedBatch, setSelectedBatch] = useState('')
   const [selectedDepartment, setSelectedDepartment] = useState('all')
   const [attendanceData, setAttendanceData] = useState({})
+  const [monthCalendar, setMonthCalendar] = useState({ closedDays: {}, workingDays: 0 })
   const [loading, setLoading] = useState(true)
 
   // Determine the correct back route based on user role and current location
@@ -109,15 +110,27 @@ const AttendanceCalendar = () => {
       const startDate = format(startOfMonth(currentDate), 'yyyy-MM-dd')
       const endDate = format(endOfMonth(currentDate), 'yyyy-MM-dd')
 
+      // Closed days for this batch's department
+      const calendarRes = await holidaysAPI.getCalendar({ startDate, endDate, batchId: selectedBatch })
+      const closedDays = {}
+      calendarRes.data.closedDays.forEach(day => {
+        closedDays[day.date] = day
+      })
+      setMonthCalendar({ closedDays, workingDays: calendarRes.data.workingDays })
+
       // Get daily attendance data for the month
       const dailyAttendance = {}
       const monthStart = startOfMonth(currentDate)
       const monthEnd = endOfMonth(currentDate)
 
-      // Fetch attendance for each day in the month
+      // Fetch attendance for each working day in the month
       let currentDay = monthStart
       while (currentDay <= monthEnd) {
         const dayStr = format(currentDay, 'yyyy-MM-dd')
+        if (closedDays[dayStr]) {
+          currentDay = addDays(currentDay, 1)
+          continue
+        }
         try {
           const dayAttendance = await attendanceAPI.getBatchAttendance(selectedBatch, dayStr)
           if (dayAttendance.data && dayAttendance.data.length > 0) {
@@ -261,7 +274,7 @@ const AttendanceCalendar = () => {
                   <div className="flex items-center space-x-2 text-white/90">
                     <div className="w-2 h-2 bg-cadd-yellow rounded-full"></div>
                     <p className="text-sm font-medium">
-                      {selectedBatchData.name} • {selectedBatchData.academicYear} • {selectedBatchData.section}
+                      {selectedBatchData.name} • {selectedBatchData.academicYear} • {selectedBatchData.section} • {monthCalendar.workingDays} working days
                     </p>
                   </div>
                 )}
@@ -307,6 +320,7 @@ const AttendanceCalendar = () => {
                 const attendance = getAttendanceForDate(date)
                 const isCurrentMonth = isSameMonth(date, currentDate)
                 const isCurrentDay = isToday(date)
+                const closedDay = isCurrentMonth ? monthCalendar.closedDays[format(date, 'yyyy-MM-dd')] : null
                 const hasData = attendance.total > 0
                 const percentage = hasData ? (attendance.present / attendance.total) * 100 : 0
 
@@ -314,6 +328,8 @@ const AttendanceCalendar = () => {
 
                 if (!isCurrentMonth) {
                   dayClasses += " border-gray-100 bg-gray-50 text-gray-300"
+                } else if (closedDay) {
+                  dayClasses += " border-gray-200 bg-gray-100 text-gray-400"
                 } else if (isCurrentDay) {
                   dayClasses += " border-cadd-red bg-gradient-to-br from-cadd-red to-cadd-pink text-white shadow-lg"
                 } else if (hasData) {
@@ -348,6 +364,12 @@ const AttendanceCalendar = () => {
                       )}
                     </div>
 
+                    {closedDay && (
+                      <div className="text-xs font-medium text-gray-500 truncate" title={closedDay.name}>
+                        {closedDay.name}
+                      </div>
+                    )}
+
                     {isCurrentMonth && hasData && (
                       <div className="space-y-1">
                         <div className={`text-xs font-medium ${isCurrentDay ? 'text-white/90' : ''}`}>
@@ -394,6 +416,10 @@ const AttendanceCalendar = () => {
                     <div className="w-4 h-4 bg-gradient-to-br from-cadd-red to-cadd-pink rounded-lg"></div>
                     <span className="text-sm font-medium text-gray-700">Today</span>
                   </div>
+                  <div className="flex items-center space-x-3">
+                    <div className="w-4 h-4 bg-gray-100 border-2 border-gray-200 rounded-lg"></div>
+                    <span className="text-sm font-medium text-gray-700">Closed</span>
+                  </div>
                 </div>
               </div>
               <div className="flex flex-col sm:flex-row gap-3">
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useParams, Link, useLocation } from 'react-router-dom'
-import { batchesAPI, attendanceAPI } from '../../../services/api'
+import { batchesAPI, attendanceAPI, holidaysAPI } from '../../../services/api'
 import toast from 'react-hot-toast'
 import { format, isToday, parseISO } from 'date-fns'
 import { formatDateLong } from '../../../utils/dateUtils'
@@ -14,7 +14,8 @@ import {
   ArrowLeftIcon,
   ExclamationTriangleIcon,
   CheckIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  DocumentCheckIcon
 } from '@heroicons/react/24/outline'
 
 const AttendanceForm = () => {
@@ -30,6 +31,7 @@ const AttendanceForm = () => {
   const [bulkAction, setBulkAction] = useState('')
   const [selectedStudents, setSelectedStudents] = useState(new Set())
   const [showSummary, setShowSummary] = useState(true)
+  const [closedDay, setClosedDay] = useState(null)
 
   // Determine if we're in admin context
   const isAdminContext = location.pathname.startsWith('/admin')
@@ -39,12 +41,14 @@ const AttendanceForm = () => {
     const fetchBatchAndStudents = async () => {
       try {
         setLoading(true)
-        const [batchRes, attendanceRes] = await Promise.all([
+        const [batchRes, attendanceRes, calendarRes] = await Promise.all([
           batchesAPI.getBatch(batchId),
           attendanceAPI.getBatchAttendance(batchId, attendanceDate),
+          holidaysAPI.getCalendar({ startDate: attendanceDate, endDate: attendanceDate, batchId }),
         ])
 
         setBatch(batchRes.data)
+        setClosedDay(calendarRes.data.closedDays[0] || null)
 
         // Map attendance data to students
         setAttendanceData(attendanceRes.data)
@@ -100,8 +104,9 @@ const AttendanceForm = () => {
     const present = attendanceData.filter(item => item.attendance?.status === 'present').length
     const absent = attendanceData.filter(item => item.attendance?.status === 'absent').length
     const late = attendanceData.filter(item => item.attendance?.status === 'late').length
-    const notMarked = total - present - absent - late
-    return { total, present, absent, late, notMarked }
+    const excused = attendanceData.filter(item => item.attendance?.status === 'excused').length
+    const notMarked = total - present - absent - late - excused
+    return { total, present, absent, late, excused, notMarked }
   }
 
   const filteredData = attendanceData.filter(item => {
@@ -186,7 +191,8 @@ const AttendanceForm = () => {
       ...item,
       attendance: {
         ...item.attendance,
-        status: 'absent'
+        // Students on approved leave are excused rather than absent
+        status: item.leave ? 'excused' : 'absent'
       }
     }))
     setAttendanceData(updatedData)
@@ -217,6 +223,9 @@ const AttendanceForm = () => {
           studentId: item.student._id,
           status: item.attendance.status,
           remarks: item.attendance.remarks || '',
+          // Records never saved have no _id; the server rejects the write
+          // if anyone saved a different version in the meantime
+          expectedVersion: item.attendance._id ? item.attendance.version ?? 1 : 0,
         }))
 
       if (attendanceRecords.length === 0) {
@@ -230,6 +239,28 @@ const AttendanceForm = () => {
         date: attendanceDate,
       })
 
+      // Keep the saved versions so the next save from this form isn't
+      // reported as a conflict with itself
+      const saved = new Map((response.data?.attendanceResults || []).map(record => [record.student, record]))
+      setAttendanceData((prevData) =>
+        prevData.map((item) =>
+          saved.has(item.student._id)
+            ? {
+              ...item,
+              attendance: {
+                ...item.attendance,
+                _id: saved.get(item.student._id)._id,
+                version: saved.get(item.student._id).version,
+              },
+            }
+            : item
+        )
+      )
+
+      if (response.data?.conflicts?.length > 0) {
+        return
+      }
+
       // Show success message with lab booking updates if any
       let successMessage = 'Attendance saved successfully'
       if (response.summary?.labBookingsUpdated > 0) {
@@ -265,7 +296,7 @@ const AttendanceForm = () => {
         }
       }))
     } catch (error) {
-      toast.error('Failed to save attendance')
+      toast.error(error.response?.data?.message || 'Failed to save attendance')
     } finally {
       setSubmitting(false)
     }
@@ -340,6 +371,13 @@ const AttendanceForm = () => {
           </div>
         </div>
 
+        {closedDay && (
+          <div className="px-6 py-3 bg-gray-100 border-b border-gray-200 flex items-center text-sm text-gray-700">
+            <ExclamationTriangleIcon className="h-5 w-5 text-gray-500 mr-2" />
+            {closedDay.name} – the institute is closed on this day, so attendance cannot be marked.
+          </div>
+        )}
+
         {/* Summary Stats */}
         {showSummary && attendanceData.length > 0 && (
           <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
@@ -352,7 +390,7 @@ const AttendanceForm = () => {
                 Hide
               </button>
             </div>
-            <div className="grid grid-cols-2 gap-4 sm:grid-cols-5">
+            <div className="grid grid-cols-2 gap-4 sm:grid-cols-6">
               <div className="text-center">
                 <div className="flex items-center justify-center">
                   <UserGroupIcon className="h-5 w-5 text-gray-400 mr-1" />
@@ -381,6 +419,13 @@ const AttendanceForm = () => {
                 </div>
                 <p className="text-xs text-gray-500">Late</p>
               </div>
+              <div className="text-center">
+                <div className="flex items-center justify-center">
+                  <DocumentCheckIcon className="h-5 w-5 text-blue-500 mr-1" />
+                  <span className="text-2xl font-bold text-blue-600">{summary.excused}</span>
+                </div>
+                <p className="text-xs text-gray-500">Excused</p>
+              </div>
               <div className="text-center">
                 <div className="flex items-center justify-center">
                   <ExclamationTriangleIcon className="h-5 w-5 text-gray-500 mr-1" />
@@ -457,6 +502,7 @@ const AttendanceForm = () => {
                     <option value="present">Present</option>
                     <option value="absent">Absent</option>
                     <option value="late">Late</option>
+                    <option value="excused">Excused</option>
                     <option value="not-marked">Not Marked</option>
                   </select>
 
@@ -599,7 +645,8 @@ const AttendanceForm = () => {
                       const isSelected = selectedStudents.has(item.student._id)
                       const statusColor = item.attendance?.status === 'present' ? 'bg-green-50' :
                         item.attendance?.status === 'absent' ? 'bg-red-50' :
-                          item.attendance?.status === 'late' ? 'bg-yellow-50' : ''
+                          item.attendance?.status === 'late' ? 'bg-yellow-50' :
+                            item.attendance?.status === 'excused' ? 'bg-blue-50' : ''
 
                       return (
                         <tr key={item.student._id} className={`${isSelected ? 'bg-primary-50' : statusColor} hover:bg-gray-50`}>
@@ -625,6 +672,14 @@ const AttendanceForm = () => {
                               </div>
                               <div className="ml-3">
                                 <div className="text-sm font-medium text-gray-900">{item.student.name}</div>
+                                {item.leave && (
+                                  <div
+                                    className="mt-0.5 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800 capitalize"
+                                    title={item.leave.reason}
+                                  >
+                                    On {item.leave.type} leave
+                                  </div>
+                                )}
                               </div>
                             </div>
                           </td>
@@ -663,6 +718,19 @@ const AttendanceForm = () => {
                                 <ClockIcon className="h-3 w-3 mr-1" />
                                 Late
                               </button>
+                              {item.leave && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleStatusChange(item.student._id, 'excused')}
+                                  className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium transition-colors ${item.attendance?.status === 'excused'
+                                    ? 'bg-blue-100 text-blue-800 ring-2 ring-blue-500'
+                                    : 'bg-gray-100 text-gray-600 hover:bg-blue-50 hover:text-blue-700'
+                                    }`}
+                                >
+                                  <DocumentCheckIcon className="h-3 w-3 mr-1" />
+                                  Excused
+                                </button>
+                              )}
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
@@ -689,7 +757,7 @@ const AttendanceForm = () => {
                 <button
                   type="submit"
                   className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                  disabled={submitting}
+                  disabled={submitting || !!closedDay}
                 >
                   {submitting ? (
                     <>
@@ -211,6 +211,10 @@ const AttendanceReport = () => {
                     <dt className="text-sm font-medium text-gray-500">Days Recorded</dt>
                     <dd className="mt-1 text-sm text-gray-900">{stats.uniqueDatesCount}</dd>
                   </div>
+                  <div className="sm:col-span-1">
+                    <dt className="text-sm font-medium text-gray-500">Class Days</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{stats.classDaysCount}</dd>
+                  </div>
                   <div className="sm:col-span-1">
                     <dt className="text-sm font-medium text-gray-500">Total Records</dt>
                     <dd className="mt-1 text-sm text-gray-900">{stats.totalRecords}</dd>
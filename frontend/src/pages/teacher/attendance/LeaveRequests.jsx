@@ -0,0 +1,402 @@
+import { useState, useEffect } from 'react'
+import {
+  DocumentCheckIcon,
+  CheckIcon,
+  XMarkIcon,
+  PlusIcon,
+} from '@heroicons/react/24/outline'
+import { format } from 'date-fns'
+import toast from 'react-hot-toast'
+import { useAuth } from '../../../context/AuthContext'
+import { leaveRequestsAPI, batchesAPI, studentsAPI, systemSettingsAPI } from '../../../services/api'
+import { showConfirm } from '../../../utils/popup'
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+}
+
+const LEAVE_TYPES = ['medical', 'personal', 'family', 'academic', 'other']
+
+const EXCUSED_POLICY_OPTIONS = [
+  { value: 'exclude', label: 'Exclude excused days from percentages' },
+  { value: 'present', label: 'Count excused days as present' },
+  { value: 'absent', label: 'Count excused days as absent' },
+]
+
+const emptyForm = {
+  batchId: '',
+  studentId: '',
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: format(new Date(), 'yyyy-MM-dd'),
+  type: 'medical',
+  reason: '',
+}
+
+const LeaveRequests = () => {
+  const { user } = useAuth()
+  const isAdmin = user?.role === 'admin'
+
+  const [leaveRequests, setLeaveRequests] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [batches, setBatches] = useState([])
+  const [filters, setFilters] = useState({ status: 'pending', batchId: '' })
+  const [reviewingId, setReviewingId] = useState(null)
+  const [excusedPolicy, setExcusedPolicy] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+  const [batchStudents, setBatchStudents] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    fetchBatches()
+    if (isAdmin) {
+      fetchExcusedPolicy()
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchLeaveRequests()
+  }, [filters])
+
+  useEffect(() => {
+    if (!formData.batchId) {
+      setBatchStudents([])
+      return
+    }
+    studentsAPI.getStudentsByBatch(formData.batchId)
+      .then(response => setBatchStudents(response.data || []))
+      .catch(() => toast.error('Failed to fetch students'))
+  }, [formData.batchId])
+
+  const fetchBatches = async () => {
+    try {
+      const response = await batchesAPI.getBatches()
+      setBatches(response.data || [])
+    } catch (error) {
+      console.error('Error fetching batches:', error)
+    }
+  }
+
+  const fetchExcusedPolicy = async () => {
+    try {
+      const response = await systemSettingsAPI.getSettingValue('attendance', 'excusedPolicy')
+      setExcusedPolicy(response.data?.value || 'exclude')
+    } catch (error) {
+      console.error('Error fetching excused policy:', error)
+    }
+  }
+
+  const fetchLeaveRequests = async () => {
+    try {
+      setLoading(true)
+      const params = {}
+      if (filters.status) params.status = filters.status
+      if (filters.batchId) params.batchId = filters.batchId
+      const response = await leaveRequestsAPI.getLeaveRequests(params)
+      setLeaveRequests(response.data || [])
+    } catch (error) {
+      console.error('Error fetching leave requests:', error)
+      toast.error('Failed to fetch leave requests')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handlePolicyChange = async (e) => {
+    const value = e.target.value
+    try {
+      await systemSettingsAPI.updateSettingValue('attendance', 'excusedPolicy', {
+        value,
+        reason: 'Updated from leave requests page',
+      })
+      setExcusedPolicy(value)
+      toast.success('Excused attendance policy updated')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update policy')
+    }
+  }
+
+  const handleReview = async (leaveRequest, status) => {
+    const confirmed = await showConfirm(
+      `${status === 'approved' ? 'Approve' : 'Reject'} leave for ${leaveRequest.student?.name}?`,
+      status === 'approved' ? 'Approve Leave' : 'Reject Leave'
+    )
+    if (!confirmed) return
+
+    try {
+      setReviewingId(leaveRequest._id)
+      const response = await leaveRequestsAPI.reviewLeaveRequest(leaveRequest._id, { status })
+      const { attendanceUpdated } = response.data
+      toast.success(
+        attendanceUpdated > 0
+          ? `${response.data.message} · ${attendanceUpdated} attendance record(s) updated`
+          : response.data.message
+      )
+      fetchLeaveRequests()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review leave request')
+    } finally {
+      setReviewingId(null)
+    }
+  }
+
+  const handleCancel = async (leaveRequest) => {
+    const confirmed = await showConfirm(
+      `Cancel leave for ${leaveRequest.student?.name}? Excused sessions will be marked absent again.`,
+      'Cancel Leave'
+    )
+    if (!confirmed) return
+
+    try {
+      setReviewingId(leaveRequest._id)
+      await leaveRequestsAPI.cancelLeaveRequest(leaveRequest._id)
+      toast.success('Leave request cancelled')
+      fetchLeaveRequests()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel leave request')
+    } finally {
+      setReviewingId(null)
+    }
+  }
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      ...(name === 'batchId' ? { studentId: '' } : {}),
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    try {
+      setSubmitting(true)
+      const { batchId, ...data } = formData
+      await leaveRequestsAPI.createLeaveRequest(data)
+      toast.success('Leave request created')
+      setFormData(emptyForm)
+      setShowForm(false)
+      fetchLeaveRequests()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create leave request')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Leave Requests</h1>
+          <p className="text-gray-600 mt-1">
+            Approved leave marks absences in the date range as excused
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="btn-primary inline-flex items-center"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          New Leave Request
+        </button>
+      </div>
+
+      {/* Excused policy (admin only) */}
+      {isAdmin && excusedPolicy && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <h2 className="text-sm font-semibold text-gray-900">Excused attendance policy</h2>
+            <p className="text-xs text-gray-500">Applies to every attendance percentage and project attendance score</p>
+          </div>
+          <select
+            value={excusedPolicy}
+            onChange={handlePolicyChange}
+            className="form-input sm:w-80"
+          >
+            {EXCUSED_POLICY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* New leave request */}
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">Batch</label>
+            <select name="batchId" value={formData.batchId} onChange={handleFormChange} className="form-input" required>
+              <option value="">Select batch</option>
+              {batches.map(batch => (
+                <option key={batch._id} value={batch._id}>{batch.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Student</label>
+            <select name="studentId" value={formData.studentId} onChange={handleFormChange} className="form-input" required>
+              <option value="">Select student</option>
+              {batchStudents.map(student => (
+                <option key={student._id} value={student._id}>{student.rollNo} - {student.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Type</label>
+            <select name="type" value={formData.type} onChange={handleFormChange} className="form-input capitalize">
+              {LEAVE_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">From</label>
+            <input type="date" name="startDate" value={formData.startDate} onChange={handleFormChange} className="form-input" required />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input type="date" name="endDate" value={formData.endDate} min={formData.startDate} onChange={handleFormChange} className="form-input" required />
+          </div>
+          <div>
+            <label className="form-label">Reason</label>
+            <input type="text" name="reason" value={formData.reason} onChange={handleFormChange} className="form-input" maxLength={1000} required />
+          </div>
+          <div className="sm:col-span-3 flex justify-end gap-2">
+            <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">Cancel</button>
+            <button type="submit" disabled={submitting} className="btn-primary">
+              {submitting ? 'Saving...' : 'Create'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+          className="form-input sm:w-48"
+        >
+          <option value="">All statuses</option>
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <select
+          value={filters.batchId}
+          onChange={(e) => setFilters({ ...filters, batchId: e.target.value })}
+          className="form-input sm:w-64"
+        >
+          <option value="">All batches</option>
+          {batches.map(batch => (
+            <option key={batch._id} value={batch._id}>{batch.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Requests */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-red-600"></div>
+          </div>
+        ) : leaveRequests.length === 0 ? (
+          <div className="text-center py-12">
+            <DocumentCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No leave requests found.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {leaveRequests.map((leaveRequest) => (
+                <tr key={leaveRequest._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{leaveRequest.student?.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {leaveRequest.student?.rollNo} · {leaveRequest.batch?.name}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {format(new Date(leaveRequest.startDate), 'MMM dd')} – {format(new Date(leaveRequest.endDate), 'MMM dd, yyyy')}
+                    <div className="text-xs text-gray-500">{leaveRequest.days} day(s)</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">{leaveRequest.type}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500 max-w-xs">
+                    <p className="truncate" title={leaveRequest.reason}>{leaveRequest.reason}</p>
+                    {leaveRequest.requestedBy?.role !== 'student' && (
+                      <p className="text-xs text-gray-400">Added by {leaveRequest.requestedBy?.name}</p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[leaveRequest.status]}`}>
+                      {leaveRequest.status}
+                    </span>
+                    {leaveRequest.reviewedBy && (
+                      <div className="text-xs text-gray-400 mt-1">by {leaveRequest.reviewedBy.name}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    <div className="flex justify-end gap-2">
+                      {leaveRequest.status === 'pending' && (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => handleReview(leaveRequest, 'approved')}
+                            disabled={reviewingId === leaveRequest._id}
+                            className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 hover:bg-green-200 disabled:opacity-50"
+                          >
+                            <CheckIcon className="h-3 w-3 mr-1" />
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleReview(leaveRequest, 'rejected')}
+                            disabled={reviewingId === leaveRequest._id}
+                            className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 hover:bg-red-200 disabled:opacity-50"
+                          >
+                            <XMarkIcon className="h-3 w-3 mr-1" />
+                            Reject
+                          </button>
+                        </>
+                      )}
+                      {leaveRequest.status === 'approved' && (
+                        <button
+                          type="button"
+                          onClick={() => handleCancel(leaveRequest)}
+                          disabled={reviewingId === leaveRequest._id}
+                          className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LeaveRequests
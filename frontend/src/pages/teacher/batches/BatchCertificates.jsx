@@ -0,0 +1,348 @@
+import { useState, useEffect } from 'react'
+import { useParams, useLocation } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import {
+  AcademicCapIcon,
+  ArrowDownTrayIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline'
+import { certificatesAPI, systemSettingsAPI } from '../../../services/api'
+import { useAuth } from '../../../context/AuthContext'
+import { showConfirm } from '../../../utils/popup'
+import { formatDateSimple } from '../../../utils/dateUtils'
+import BackButton from '../../../components/BackButton'
+
+// Eligibility, issuance and download of course certificates for one batch
+const BatchCertificates = () => {
+  const { id } = useParams()
+  const location = useLocation()
+  const { user } = useAuth()
+  const isAdmin = user?.role === 'admin'
+  const baseRoute = location.pathname.startsWith('/admin') ? '/admin/batches' : '/batches'
+
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [issuing, setIssuing] = useState(false)
+  const [selected, setSelected] = useState([])
+  const [criteriaForm, setCriteriaForm] = useState(null)
+  const [revoking, setRevoking] = useState(null)
+
+  useEffect(() => {
+    fetchEligibility()
+  }, [id])
+
+  const fetchEligibility = async () => {
+    try {
+      setLoading(true)
+      const response = await certificatesAPI.getBatchEligibility(id)
+      setData(response.data)
+      setCriteriaForm(response.data.criteria)
+      setSelected(
+        response.data.students
+          .filter(entry => entry.eligible && !entry.certificate)
+          .map(entry => entry.student._id)
+      )
+    } catch (error) {
+      console.error('Error fetching certificate eligibility:', error)
+      toast.error(error.response?.data?.message || 'Failed to load certificate eligibility')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaveCriteria = async (e) => {
+    e.preventDefault()
+    try {
+      for (const key of ['minAttendance', 'minProjectScore']) {
+        if (Number(criteriaForm[key]) !== data.criteria[key]) {
+          await systemSettingsAPI.updateSettingValue('certificates', key, {
+            value: Number(criteriaForm[key]),
+            reason: 'Updated from batch certificates page',
+          })
+        }
+      }
+      toast.success('Eligibility rules updated')
+      fetchEligibility()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update eligibility rules')
+    }
+  }
+
+  const toggleSelected = (studentId) => {
+    setSelected(prev => prev.includes(studentId)
+      ? prev.filter(item => item !== studentId)
+      : [...prev, studentId])
+  }
+
+  const handleIssue = async () => {
+    const confirmed = await showConfirm(
+      `Issue certificates to ${selected.length} student${selected.length === 1 ? '' : 's'}?`,
+      'Issue Certificates'
+    )
+    if (!confirmed) return
+
+    try {
+      setIssuing(true)
+      const response = await certificatesAPI.issueBatchCertificates(id, { studentIds: selected })
+      toast.success(response.data.message)
+      if (response.data.skipped?.length > 0) {
+        toast(`${response.data.skipped.length} skipped: ${response.data.skipped[0].reason}`, { icon: '⚠️' })
+      }
+      fetchEligibility()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to issue certificates')
+    } finally {
+      setIssuing(false)
+    }
+  }
+
+  const handleDownload = async (certificate) => {
+    try {
+      const response = await certificatesAPI.downloadCertificate(certificate._id)
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${certificate.serialNumber}.pdf`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading certificate:', error)
+      toast.error('Failed to download certificate')
+    }
+  }
+
+  const handleRevoke = async (e) => {
+    e.preventDefault()
+    try {
+      await certificatesAPI.revokeCertificate(revoking.id, { reason: revoking.reason })
+      toast.success('Certificate revoked')
+      setRevoking(null)
+      fetchEligibility()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke certificate')
+    }
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="flex items-center justify-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-cadd-red"></div>
+      </div>
+    )
+  }
+
+  if (!data) {
+    return (
+      <div className="space-y-6">
+        <BackButton customText="Batch" customPath={`${baseRoute}/${id}`} />
+        <p className="text-gray-500">Certificate information is not available for this batch.</p>
+      </div>
+    )
+  }
+
+  const eligibleCount = data.students.filter(entry => entry.eligible).length
+  const issuedCount = data.students.filter(entry => entry.certificate).length
+  const canIssue = data.batch.isFinished && data.certificationProvided
+
+  return (
+    <div className="space-y-6 px-4 sm:px-0">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div className="flex items-center space-x-4">
+          <BackButton customText="Batch" customPath={`${baseRoute}/${id}`} />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Certificates</h1>
+            <p className="text-gray-600 mt-1">
+              {data.batch.name} · {data.batch.course?.name}
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={handleIssue}
+          disabled={!canIssue || selected.length === 0 || issuing}
+          className="btn-primary inline-flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <AcademicCapIcon className="h-4 w-4 mr-1" />
+          {issuing ? 'Issuing...' : `Issue ${selected.length} Certificate${selected.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+
+      {!data.certificationProvided && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 text-sm">
+          This course is set up without a certificate. Enable certification on the course to issue certificates.
+        </div>
+      )}
+      {data.certificationProvided && !data.batch.isFinished && (
+        <div className="bg-blue-50 border border-blue-200 text-blue-800 rounded-lg p-4 text-sm">
+          Certificates can be issued once the batch is marked as finished. The list below shows current eligibility.
+        </div>
+      )}
+
+      {/* Eligibility rules */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h2 className="text-sm font-semibold text-gray-900">Eligibility rules</h2>
+            <p className="text-xs text-gray-500">
+              Attendance of at least {data.criteria.minAttendance}%
+              {data.finalProject
+                ? ` and a score of at least ${data.criteria.minProjectScore}% on the final project "${data.finalProject.title}"`
+                : ' (this batch has no project, so no project score is required)'}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {eligibleCount} of {data.students.length} students eligible · {issuedCount} issued
+            </p>
+          </div>
+          {isAdmin && criteriaForm && (
+            <form onSubmit={handleSaveCriteria} className="flex items-end gap-2">
+              <div>
+                <label className="form-label text-xs">Min attendance %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={criteriaForm.minAttendance}
+                  onChange={(e) => setCriteriaForm({ ...criteriaForm, minAttendance: e.target.value })}
+                  className="form-input w-28"
+                  required
+                />
+              </div>
+              <div>
+                <label className="form-label text-xs">Min project score %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={criteriaForm.minProjectScore}
+                  onChange={(e) => setCriteriaForm({ ...criteriaForm, minProjectScore: e.target.value })}
+                  className="form-input w-28"
+                  required
+                />
+              </div>
+              <button type="submit" className="btn-secondary">Save</button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      {/* Students */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {data.students.length === 0 ? (
+          <div className="text-center py-12">
+            <AcademicCapIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-gray-500">No active students in this batch</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3"></th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Student</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Attendance</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Project Score</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Eligibility</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Certificate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {data.students.map(entry => (
+                  <tr key={entry.student._id}>
+                    <td className="px-4 py-3">
+                      {entry.eligible && !entry.certificate && (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(entry.student._id)}
+                          onChange={() => toggleSelected(entry.student._id)}
+                          disabled={!canIssue}
+                          className="h-4 w-4 text-cadd-red focus:ring-cadd-red border-gray-300 rounded"
+                        />
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="font-medium text-gray-900">{entry.student.name}</div>
+                      <div className="text-xs text-gray-500">{entry.student.studentId || entry.student.rollNo}</div>
+                    </td>
+                    <td className="px-4 py-3 text-right text-gray-900">{entry.attendancePercentage}%</td>
+                    <td className="px-4 py-3 text-right text-gray-900">
+                      {entry.projectScore !== null && entry.projectScore !== undefined
+                        ? `${entry.projectScore}/${data.finalProject.maxScore} (${entry.projectPercentage}%)`
+                        : '-'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {entry.eligible ? (
+                        <span className="inline-flex items-center text-green-700">
+                          <CheckCircleIcon className="h-4 w-4 mr-1" />
+                          Eligible
+                        </span>
+                      ) : (
+                        <div className="text-red-700">
+                          <span className="inline-flex items-center">
+                            <XCircleIcon className="h-4 w-4 mr-1" />
+                            Not eligible
+                          </span>
+                          <p className="text-xs text-gray-500 mt-0.5">{entry.reasons.join('; ')}</p>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      {entry.certificate ? (
+                        revoking?.id === entry.certificate._id ? (
+                          <form onSubmit={handleRevoke} className="flex items-center gap-2">
+                            <input
+                              type="text"
+                              value={revoking.reason}
+                              onChange={(e) => setRevoking({ ...revoking, reason: e.target.value })}
+                              className="form-input py-1"
+                              placeholder="Reason"
+                              required
+                              autoFocus
+                            />
+                            <button type="submit" className="text-red-600 hover:text-red-800 font-medium">Revoke</button>
+                            <button type="button" onClick={() => setRevoking(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                          </form>
+                        ) : (
+                          <div className="flex items-center gap-3">
+                            <div>
+                              <div className="font-mono text-gray-900">{entry.certificate.serialNumber}</div>
+                              <div className="text-xs text-gray-500">Issued {formatDateSimple(entry.certificate.issuedAt)}</div>
+                            </div>
+                            <button
+                              onClick={() => handleDownload(entry.certificate)}
+                              className="text-blue-600 hover:text-blue-800"
+                              title="Download PDF"
+                            >
+                              <ArrowDownTrayIcon className="h-4 w-4" />
+                            </button>
+                            {isAdmin && (
+                              <button
+                                onClick={() => setRevoking({ id: entry.certificate._id, reason: '' })}
+                                className="text-red-500 hover:text-red-700"
+                                title="Revoke certificate"
+                              >
+                                <NoSymbolIcon className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        )
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BatchCertificates
@@ -319,7 +319,7 @@ const BatchDetails = () => {
       {/* Quick Actions */}
       <div className="bg-white rounded-2xl shadow-lg p-6">
         <h3 className="text-lg font-bold text-gray-900 mb-6">Quick Actions</h3>
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 xl:grid-cols-7 gap-4">
           <Link
             to={`${baseRoute}/${id}/students`}
             className="inline-flex items-center justify-center px-6 py-3 border border-transparent text-sm font-semibold rounded-xl text-white bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-105"
@@ -348,6 +348,13 @@ const BatchDetails = () => {
             <ChartBarIcon className="h-5 w-5 mr-2" />
             View Reports
           </Link>
+          <Link
+            to={`${baseRoute}/${id}/certificates`}
+            className="inline-flex items-center justify-center px-6 py-3 border border-transparent text-sm font-semibold rounded-xl text-white bg-gradient-to-r from-amber-500 to-amber-600 hover:from-amber-600 hover:to-amber-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-500 shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-105"
+          >
+            <AcademicCapIcon className="h-5 w-5 mr-2" />
+            Certificates
+          </Link>
           <button
             onClick={handleToggleFinished}
             className={`inline-flex items-center justify-center px-6 py-3 border border-transparent text-sm font-semibold rounded-xl text-white shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-105 ${batch.isFinished
@@ -5,6 +5,9 @@ import api from '../../../services/api'
 import toast from 'react-hot-toast'
 import { ClockIcon } from '@heroicons/react/24/outline'
 import CourseDropdown from '../../../components/CourseDropdown'
+import WeekdayPicker from '../../../components/WeekdayPicker'
+import ScheduleConflicts from '../../../components/ScheduleConflicts'
+import { useTimeSlots } from '../../../utils/timeSlots'
 
 const BatchForm = () => {
   const { id } = useParams()
@@ -12,13 +15,7 @@ const BatchForm = () => {
   const isEditMode = Boolean(id)
 
   // Institute time slots (same as lab time slots)
-  const timeSlots = [
-    { id: '09:00 AM - 10:30 AM', label: '09:00 AM - 10:30 AM', icon: '🌅' },
-    { id: '10:30 AM - 12:00 PM', label: '10:30 AM - 12:00 PM', icon: '☀️' },
-    { id: '12:00 PM - 01:30 PM', label: '12:00 PM - 01:30 PM', icon: '🌞' },
-    { id: '02:00 PM - 03:30 PM', label: '02:00 PM - 03:30 PM', icon: '🌤️' },
-    { id: '03:30 PM - 05:00 PM', label: '03:30 PM - 05:00 PM', icon: '🌇' },
-  ]
+  const activeTimeSlots = useTimeSlots()
 
   const [formData, setFormData] = useState({
     name: '',
@@ -27,6 +24,7 @@ const BatchForm = () => {
     academicYear: '',
     section: '',
     timing: '',
+    weekdays: [1, 2, 3, 4, 5, 6],
     startDate: '',
     maxStudents: 20,
     isArchived: false,
@@ -36,6 +34,13 @@ const BatchForm = () => {
   const [fetchLoading, setFetchLoading] = useState(isEditMode)
   const [courses, setCourses] = useState([])
   const [departments, setDepartments] = useState([])
+  const [conflicts, setConflicts] = useState(null)
+  const [checkingConflicts, setCheckingConflicts] = useState(false)
+
+  // A retired slot stays selectable for batches still using it
+  const timeSlots = formData.timing && !activeTimeSlots.some(slot => slot.id === formData.timing)
+    ? [...activeTimeSlots, { id: formData.timing, label: formData.timing, name: 'No longer offered', icon: '🕒' }]
+    : activeTimeSlots
 
   // Fixed departments as per requirements (CADD, LIVEWIRE, DREAMZONE, SYNERGY)
   // These will be fetched from backend but should only include these 4 departments
@@ -74,6 +79,7 @@ const BatchForm = () => {
             academicYear: batch.academicYear || '',
             section: batch.section || '',
             timing: batch.timing || '',
+            weekdays: batch.schedule?.weekdays?.length ? batch.schedule.weekdays : [1, 2, 3, 4, 5, 6],
             startDate: batch.startDate ? new Date(batch.startDate).toISOString().split('T')[0] : '',
             maxStudents: batch.maxStudents || 20,
             isArchived: batch.isArchived || false,
@@ -96,6 +102,28 @@ const BatchForm = () => {
     fetchData();
   }, [id, isEditMode, navigate]);
 
+  // Check the timetable for clashes while the schedule is being edited
+  useEffect(() => {
+    if (!formData.timing || !formData.startDate || formData.weekdays.length === 0) {
+      setConflicts(null)
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setCheckingConflicts(true)
+        const res = await batchesAPI.checkBatchConflicts({ ...formData, batchId: id })
+        setConflicts(res.data)
+      } catch (error) {
+        console.error('Error checking schedule conflicts:', error)
+      } finally {
+        setCheckingConflicts(false)
+      }
+    }, 400)
+
+    return () => clearTimeout(timer)
+  }, [formData.timing, formData.weekdays, formData.startDate, formData.maxStudents])
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target
 
@@ -116,19 +144,28 @@ const BatchForm = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault()
+
+    if (formData.weekdays.length === 0) {
+      toast.error('Select at least one class day')
+      return
+    }
+
     setLoading(true)
 
     try {
-      if (isEditMode) {
-        await batchesAPI.updateBatch(id, formData)
-        toast.success('Batch updated successfully')
-      } else {
-        await batchesAPI.createBatch(formData)
-        toast.success('Batch created successfully')
-      }
+      const res = isEditMode
+        ? await batchesAPI.updateBatch(id, formData)
+        : await batchesAPI.createBatch(formData)
+      toast.success(isEditMode ? 'Batch updated successfully' : 'Batch created successfully')
+      res.data.conflicts?.warnings?.forEach(warning => {
+        toast(warning.message, { icon: '⚠️', duration: 6000 })
+      })
       navigate('/batches')
     } catch (error) {
-      toast.error(isEditMode ? 'Failed to update batch' : 'Failed to create batch')
+      if (error.response?.status === 409) {
+        setConflicts(error.response.data.conflicts)
+      }
+      toast.error(error.response?.data?.message || (isEditMode ? 'Failed to update batch' : 'Failed to create batch'))
     } finally {
       setLoading(false)
     }
@@ -297,7 +334,7 @@ const BatchForm = () => {
                           {slot.label}
                         </div>
                         <div className="text-xs text-gray-500">
-                          {slot.id === '12:00-13:30' ? 'Lunch Break Included' : 'Regular Class Time'}
+                          {slot.name}
                         </div>
                       </div>
                     </div>
@@ -309,6 +346,24 @@ const BatchForm = () => {
               </div>
             </div>
 
+            {/* Class Days */}
+            <div className="sm:col-span-2">
+              <label className="form-label">Class Days</label>
+              <p className="text-sm text-gray-500 mb-3">
+                Attendance can only be marked on the days this batch meets.
+              </p>
+              <WeekdayPicker
+                value={formData.weekdays}
+                onChange={(value) => setFormData({ ...formData, weekdays: value })}
+              />
+            </div>
+
+            {(conflicts || checkingConflicts) && (
+              <div className="sm:col-span-2">
+                <ScheduleConflicts conflicts={conflicts} checking={checkingConflicts} />
+              </div>
+            )}
+
             {isEditMode && (
               <div className="sm:col-span-2">
                 <div className="flex items-center">
@@ -10,6 +10,9 @@ import {
 import { format, addDays } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI, batchesAPI } from '../../../services/api'
+import RubricEditor from '../../../components/projects/RubricEditor'
+import SubmissionPolicyEditor, { DEFAULT_SUBMISSION_POLICY, toPolicyForm } from '../../../components/projects/SubmissionPolicyEditor'
+import TeamSettingsEditor, { DEFAULT_TEAM_SETTINGS } from '../../../components/projects/TeamSettingsEditor'
 
 const SimpleProjectAssign = () => {
   const { batchId } = useParams()
@@ -22,7 +25,10 @@ const SimpleProjectAssign = () => {
     title: '',
     description: '',
     deadlineDate: format(addDays(new Date(), 14), 'yyyy-MM-dd'), // Default 2 weeks
-    maxScore: 100
+    maxScore: 100,
+    submissionPolicy: { ...DEFAULT_SUBMISSION_POLICY },
+    teamSettings: { ...DEFAULT_TEAM_SETTINGS },
+    rubric: []
   })
 
   useEffect(() => {
@@ -233,6 +239,25 @@ const SimpleProjectAssign = () => {
             </div>
           </div>
 
+          {/* Submission Policy */}
+          <SubmissionPolicyEditor
+            policy={formData.submissionPolicy}
+            onChange={(submissionPolicy) => setFormData(prev => ({ ...prev, submissionPolicy }))}
+          />
+
+          {/* Teams */}
+          <TeamSettingsEditor
+            settings={formData.teamSettings}
+            onChange={(teamSettings) => setFormData(prev => ({ ...prev, teamSettings }))}
+          />
+
+          {/* Rubric */}
+          <RubricEditor
+            rubric={formData.rubric}
+            onChange={(rubric) => setFormData(prev => ({ ...prev, rubric }))}
+            maxScore={formData.maxScore}
+          />
+
           {/* Preview */}
           <div className="bg-gray-50 rounded-lg p-4">
             <h3 className="text-sm font-medium text-gray-900 mb-3 flex items-center">
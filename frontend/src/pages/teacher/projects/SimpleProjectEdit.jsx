@@ -11,6 +11,9 @@ import {
 import { format, addDays } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI } from '../../../services/api'
+import RubricEditor from '../../../components/projects/RubricEditor'
+import SubmissionPolicyEditor, { DEFAULT_SUBMISSION_POLICY, toPolicyForm } from '../../../components/projects/SubmissionPolicyEditor'
+import TeamSettingsEditor, { DEFAULT_TEAM_SETTINGS, toTeamSettingsForm } from '../../../components/projects/TeamSettingsEditor'
 
 const SimpleProjectEdit = () => {
   const { projectId } = useParams()
@@ -23,7 +26,10 @@ const SimpleProjectEdit = () => {
     title: '',
     description: '',
     deadlineDate: '',
-    maxScore: 100
+    maxScore: 100,
+    submissionPolicy: { ...DEFAULT_SUBMISSION_POLICY },
+    teamSettings: { ...DEFAULT_TEAM_SETTINGS },
+    rubric: []
   })
 
   useEffect(() => {
@@ -43,7 +49,10 @@ const SimpleProjectEdit = () => {
         title: projectData.title || '',
         description: projectData.description || '',
         deadlineDate: projectData.deadlineDate ? format(new Date(projectData.deadlineDate), 'yyyy-MM-dd') : '',
-        maxScore: projectData.maxScore || 100
+        maxScore: projectData.maxScore || 100,
+        submissionPolicy: toPolicyForm(projectData.submissionPolicy),
+        teamSettings: toTeamSettingsForm(projectData.teamSettings),
+        rubric: projectData.rubric || []
       })
     } catch (error) {
       console.error('Error fetching project:', error)
@@ -232,6 +241,26 @@ const SimpleProjectEdit = () => {
             </div>
           </div>
 
+          {/* Submission Policy */}
+          <SubmissionPolicyEditor
+            policy={formData.submissionPolicy}
+            onChange={(submissionPolicy) => setFormData(prev => ({ ...prev, submissionPolicy }))}
+          />
+
+          {/* Teams */}
+          <TeamSettingsEditor
+            settings={formData.teamSettings}
+            onChange={(teamSettings) => setFormData(prev => ({ ...prev, teamSettings }))}
+          />
+
+          {/* Rubric */}
+          <RubricEditor
+            rubric={formData.rubric}
+            onChange={(rubric) => setFormData(prev => ({ ...prev, rubric }))}
+            requirements={project.requirements || []}
+            maxScore={formData.maxScore}
+          />
+
           {/* Preview */}
           <div className="bg-gray-50 rounded-lg p-4">
             <h3 className="text-sm font-medium text-gray-900 mb-3 flex items-center">
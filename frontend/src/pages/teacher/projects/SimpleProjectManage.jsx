@@ -14,6 +14,8 @@ import toast from 'react-hot-toast'
 import { projectAPI, studentsAPI } from '../../../services/api'
 import ConfirmationModal from '../../../components/modals/ConfirmationModal'
 import SimpleGradingModal from '../../../components/modals/SimpleGradingModal'
+import ExtensionModal from '../../../components/projects/ExtensionModal'
+import ProjectTeamsManager from '../../../components/projects/ProjectTeamsManager'
 
 const SimpleProjectManage = () => {
   const { projectId } = useParams()
@@ -36,6 +38,7 @@ const SimpleProjectManage = () => {
     student: null,
     submission: null
   })
+  const [extensionStudent, setExtensionStudent] = useState(null)
 
   useEffect(() => {
     if (projectId) {
@@ -70,9 +73,11 @@ const SimpleProjectManage = () => {
   const getStudentSubmissionData = () => {
     return students.map(student => {
       const submission = submissions.find(sub => sub.student?._id === student._id)
+      const extension = project?.extensions?.find(entry => (entry.student?._id || entry.student) === student._id)
       return {
         ...student,
         submission,
+        extension,
         hasSubmitted: !!submission
       }
     })
@@ -269,6 +274,11 @@ const SimpleProjectManage = () => {
         </div>
       </div>
 
+      {/* Teams */}
+      {project?.teamSettings?.enabled && (
+        <ProjectTeamsManager project={project} onChanged={fetchData} />
+      )}
+
       {/* Student List */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200">
         <div className="px-4 sm:px-6 py-4 border-b border-gray-200">
@@ -290,6 +300,21 @@ const SimpleProjectManage = () => {
                 <div className="ml-4 flex-1">
                   <div className="text-sm font-medium text-gray-900">{student.name}</div>
                   <div className="text-sm text-gray-500">{student.rollNo} • {student.studentId}</div>
+                  {student.submission?.team && (
+                    <div className="text-xs text-gray-600 mt-0.5">Team {student.submission.team.name}</div>
+                  )}
+                  {student.extension && (
+                    <div className="text-xs text-blue-700 mt-0.5">
+                      Extended to {format(new Date(student.extension.deadline), 'MMM dd, yyyy HH:mm')}
+                      {student.extension.reason && ` • ${student.extension.reason}`}
+                    </div>
+                  )}
+                  {student.submission?.submissionTiming === 'late' && (
+                    <div className="text-xs text-red-600 mt-0.5">
+                      {student.submission.timingAnalysis}
+                      {student.submission.timingScore !== null && student.submission.timingScore !== undefined && ` • timing score ${student.submission.timingScore}`}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -322,6 +347,20 @@ const SimpleProjectManage = () => {
                       {student.submission?.grade ? 'Edit Grade' : 'Grade'}
                     </button>
                   )}
+                  <button
+                    onClick={() => setExtensionStudent(student)}
+                    className="px-3 py-1 rounded-md text-xs font-medium bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition-colors"
+                  >
+                    {student.extension ? 'Extension' : 'Extend'}
+                  </button>
+                  {student.submission?._id && (
+                    <button
+                      onClick={() => navigate(`/projects/${projectId}/submissions/${student.submission._id}`)}
+                      className="px-3 py-1 rounded-md text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                    >
+                      Details
+                    </button>
+                  )}
                   <button
                     onClick={() => toggleSubmission(student)}
                     disabled={updating}
@@ -399,8 +438,18 @@ const SimpleProjectManage = () => {
         student={gradingModal.student}
         submission={gradingModal.submission}
         maxScore={project?.maxScore || 100}
+        rubric={project?.rubric || []}
         onGradeSubmitted={handleGradeSubmission}
       />
+
+      <ExtensionModal
+        isOpen={!!extensionStudent}
+        onClose={() => setExtensionStudent(null)}
+        project={project}
+        student={extensionStudent}
+        extension={extensionStudent?.extension}
+        onSaved={fetchData}
+      />
     </div>
   )
 }
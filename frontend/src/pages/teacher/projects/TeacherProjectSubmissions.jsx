@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, useNavigate, Link } from 'react-router-dom'
 import { 
   DocumentArrowDownIcon,
   EyeIcon,
@@ -15,6 +15,7 @@ import { projectAPI } from '../../../services/api'
 
 const TeacherProjectSubmissions = () => {
   const { id } = useParams()
+  const navigate = useNavigate()
   const [project, setProject] = useState(null)
   const [submissions, setSubmissions] = useState([])
   const [loading, setLoading] = useState(true)
@@ -141,6 +142,17 @@ const TeacherProjectSubmissions = () => {
             </div>
           </div>
           <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2 flex-shrink-0">
+            {submissions.length > 0 && (
+              <a
+                href={projectAPI.getSubmissionArchiveUrl(project._id, filter.status)}
+                className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 w-full sm:w-auto"
+                title="ZIP of the listed submissions with a CSV manifest"
+              >
+                <DocumentArrowDownIcon className="h-4 w-4 mr-2" />
+                <span className="hidden sm:inline">Download All ({submissions.length})</span>
+                <span className="sm:hidden">Download All</span>
+              </a>
+            )}
             <Link
               to={`../projects/${project._id}/analytics`}
               className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 w-full sm:w-auto"
@@ -174,6 +186,7 @@ const TeacherProjectSubmissions = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
             >
               <option value="">All Statuses</option>
+              <option value="ungraded">Ungraded</option>
               <option value="submitted">Submitted</option>
               <option value="under_review">Under Review</option>
               <option value="graded">Graded</option>
@@ -260,6 +273,9 @@ const TeacherProjectSubmissions = () => {
                           <div className="text-sm text-gray-500">
                             {submission.student?.rollNo} | {submission.student?.studentId}
                           </div>
+                          {submission.team?.name && (
+                            <div className="text-xs text-indigo-600">Team {submission.team.name}</div>
+                          )}
                         </div>
                       </div>
                     </td>
@@ -306,6 +322,11 @@ const TeacherProjectSubmissions = () => {
                       <div className="flex space-x-2">
                         <button
                           onClick={() => {
+                            // Rubric grading lives on the submission page
+                            if (project.rubric?.length > 0) {
+                              navigate(`/projects/${project._id}/submissions/${submission._id}`)
+                              return
+                            }
                             setGradingSubmission(submission._id)
                             setGradeForm({
                               score: submission.score || '',
@@ -316,9 +337,12 @@ const TeacherProjectSubmissions = () => {
                         >
                           {submission.score !== null ? 'Edit Grade' : 'Grade'}
                         </button>
-                        <button className="text-blue-600 hover:text-blue-900">
+                        <Link
+                          to={`/projects/${project._id}/submissions/${submission._id}`}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
                           <EyeIcon className="h-4 w-4" />
-                        </button>
+                        </Link>
                       </div>
                     </td>
                   </tr>
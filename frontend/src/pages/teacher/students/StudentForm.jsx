@@ -181,11 +181,17 @@ const StudentForm = () => {
       }
 
       if (isEditMode) {
-        await studentsAPI.updateStudent(studentId, submitData)
+        const response = await studentsAPI.updateStudent(studentId, submitData)
         toast.success('Student updated successfully')
+        if (response.data.feeScheduleError) {
+          toast(`Fee schedule could not be regenerated for the new course: ${response.data.feeScheduleError}. An admin can generate it from the fee ledger.`, { icon: '⚠️', duration: 6000 })
+        }
       } else {
-        await studentsAPI.createStudent(submitData)
+        const response = await studentsAPI.createStudent(submitData)
         toast.success('Student created successfully')
+        if (response.data.feeScheduleError) {
+          toast(`Fee schedule could not be created: ${response.data.feeScheduleError}. An admin can generate it from the fee ledger.`, { icon: '⚠️', duration: 6000 })
+        }
       }
       navigate(`/batches/${batchId}/students`)
     } catch (error) {
@@ -17,11 +17,13 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   UserGroupIcon,
+  ArrowUpTrayIcon,
 } from '@heroicons/react/24/outline'
 import toast from 'react-hot-toast'
 import { useAuth } from '../../../context/AuthContext'
 import { formatDateSimple } from '../../../utils/dateUtils'
 import BackButton from '../../../components/BackButton'
+import StudentImportWizard from '../../../components/students/StudentImportWizard'
 
 const TeacherStudentsList = () => {
   const { user } = useAuth()
@@ -37,6 +39,8 @@ const TeacherStudentsList = () => {
   const [selectedCourse, setSelectedCourse] = useState('all')
   const [selectedStatus, setSelectedStatus] = useState('all')
   const [viewMode, setViewMode] = useState('grid') // 'grid' or 'table'
+  const [showImport, setShowImport] = useState(false)
+  const [refreshKey, setRefreshKey] = useState(0)
 
   // Helper function to format timing display
   const formatTiming = (timing) => {
@@ -85,7 +89,7 @@ const TeacherStudentsList = () => {
     }
 
     fetchData()
-  }, [])
+  }, [refreshKey])
 
   useEffect(() => {
     let filtered = students
@@ -188,9 +192,16 @@ const TeacherStudentsList = () => {
             </span>
           </div>
         </div>
-        <div className="hidden lg:block mt-4 sm:mt-0">
+        <div className="flex items-center gap-4 mt-4 sm:mt-0">
+          <button
+            onClick={() => setShowImport(true)}
+            className="inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium text-white bg-cadd-red hover:bg-cadd-red/90 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cadd-red transition-colors"
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            Import Students
+          </button>
           <img
-            className="h-16 sm:h-20 w-auto opacity-80"
+            className="hidden lg:block h-16 sm:h-20 w-auto opacity-80"
             src="/logos/cadd_logo.png"
             alt="CADD Centre"
             onError={(e) => {
@@ -628,6 +639,13 @@ const TeacherStudentsList = () => {
       </div>
     </div>
   )}
+
+  <StudentImportWizard
+    isOpen={showImport}
+    onClose={() => setShowImport(false)}
+    batches={batches}
+    onImported={() => setRefreshKey(prev => prev + 1)}
+  />
 </div>
   )
 }
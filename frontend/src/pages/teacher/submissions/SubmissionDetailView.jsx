@@ -18,6 +18,11 @@ import {
 import { format, formatDistanceToNow } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI } from '../../../services/api'
+import { downloadSubmissionFile } from '../../../utils/fileDownloads'
+import SimpleGradingModal from '../../../components/modals/SimpleGradingModal'
+import RubricBreakdown from '../../../components/projects/RubricBreakdown'
+import ReturnSubmissionModal from '../../../components/projects/ReturnSubmissionModal'
+import SubmissionVersions from '../../../components/projects/SubmissionVersions'
 
 const SubmissionDetailView = () => {
   const { submissionId } = useParams()
@@ -26,6 +31,8 @@ const SubmissionDetailView = () => {
   const [submission, setSubmission] = useState(null)
   const [loading, setLoading] = useState(true)
   const [updating, setUpdating] = useState(false)
+  const [gradingOpen, setGradingOpen] = useState(false)
+  const [returnOpen, setReturnOpen] = useState(false)
 
   useEffect(() => {
     if (submissionId) {
@@ -61,21 +68,18 @@ const SubmissionDetailView = () => {
     }
   }
 
+  const handleGradeSubmission = async (id, gradeData) => {
+    await projectAPI.gradeSubmission(id, gradeData)
+    fetchSubmissionDetails()
+  }
+
   const downloadFile = async (file) => {
     try {
-      const response = await projectAPI.downloadSubmissionFile(submissionId, file.fileName)
-      const url = window.URL.createObjectURL(new Blob([response.data]))
-      const link = document.createElement('a')
-      link.href = url
-      link.setAttribute('download', file.originalName)
-      document.body.appendChild(link)
-      link.click()
-      link.remove()
-      window.URL.revokeObjectURL(url)
+      await downloadSubmissionFile(submissionId, file)
       toast.success('File downloaded successfully')
     } catch (error) {
       console.error('Error downloading file:', error)
-      toast.error('Failed to download file')
+      toast.error(error.response?.data?.message || 'Failed to download file')
     }
   }
 
@@ -84,7 +88,8 @@ const SubmissionDetailView = () => {
       submitted: { color: 'bg-blue-100 text-blue-800', text: 'New Submission', icon: DocumentTextIcon },
       under_review: { color: 'bg-yellow-100 text-yellow-800', text: 'Under Review', icon: ClockIcon },
       graded: { color: 'bg-green-100 text-green-800', text: 'Graded', icon: CheckCircleIcon },
-      returned: { color: 'bg-orange-100 text-orange-800', text: 'Returned', icon: ExclamationTriangleIcon }
+      returned: { color: 'bg-orange-100 text-orange-800', text: 'Returned', icon: ExclamationTriangleIcon },
+      resubmitted: { color: 'bg-gray-100 text-gray-800', text: 'Resubmitted', icon: DocumentTextIcon }
     }
     
     const config = statusConfig[status] || { color: 'bg-gray-100 text-gray-800', text: status, icon: DocumentTextIcon }
@@ -147,6 +152,7 @@ const SubmissionDetailView = () => {
             <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Submission Details</h1>
             <p className="text-sm sm:text-base text-gray-600 mt-1">
               {submission.project.title} - {submission.student.name}
+              {submission.version > 1 && ` • Version ${submission.version}`}
             </p>
           </div>
           <div className="flex space-x-2">
@@ -167,6 +173,14 @@ const SubmissionDetailView = () => {
               <div><span className="font-medium">Roll No:</span> {submission.student.rollNo}</div>
               <div><span className="font-medium">Student ID:</span> {submission.student.studentId}</div>
               <div><span className="font-medium">Email:</span> {submission.student.email}</div>
+              {submission.team && (
+                <div>
+                  <span className="font-medium">Team:</span> {submission.team.name}
+                  {submission.team.members?.length > 0 && (
+                    <span className="text-gray-500"> ({submission.team.members.map(member => member.name).join(', ')})</span>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
@@ -185,6 +199,27 @@ const SubmissionDetailView = () => {
         </div>
       </div>
 
+      {submission.isLatest === false && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+          The student has resubmitted this project. This is an earlier version.
+        </div>
+      )}
+
+      {submission.status === 'returned' && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-orange-900 mb-1">Returned for revision</h3>
+          {submission.feedback && (
+            <p className="text-sm text-orange-800 whitespace-pre-wrap">{submission.feedback}</p>
+          )}
+          {submission.returnedDate && (
+            <p className="text-xs text-orange-700 mt-2">
+              Returned{submission.returnedBy ? ` by ${submission.returnedBy.name}` : ''} on {format(new Date(submission.returnedDate), 'MMM dd, yyyy HH:mm')}
+              {' '}• waiting for the student to resubmit
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Submission Details */}
       <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border border-gray-200">
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Submission Details</h2>
@@ -216,6 +251,15 @@ const SubmissionDetailView = () => {
                 <p className="text-xs text-purple-700">
                   {submission.timingAnalysis}
                 </p>
+                {submission.timingScore !== null && submission.timingScore !== undefined && (
+                  <p className="text-xs text-purple-700">Timing score: {submission.timingScore}</p>
+                )}
+                {submission.effectiveDeadline && submission.project?.deadlineDate &&
+                  new Date(submission.effectiveDeadline).getTime() !== new Date(submission.project.deadlineDate).getTime() && (
+                  <p className="text-xs text-purple-700">
+                    Extended to {format(new Date(submission.effectiveDeadline), 'MMM dd, yyyy HH:mm')}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -272,6 +316,7 @@ const SubmissionDetailView = () => {
                     <p className="text-xs text-gray-500">
                       {(file.fileSize / (1024 * 1024)).toFixed(2)} MB •
                       Uploaded {format(new Date(file.uploadedAt), 'MMM dd, yyyy HH:mm')}
+                      {file.uploadedBy?.name && ` by ${file.uploadedBy.name}`}
                     </p>
                   </div>
                 </div>
@@ -298,7 +343,7 @@ const SubmissionDetailView = () => {
                 <StarIcon className="h-8 w-8 text-green-600" />
                 <div className="ml-3">
                   <p className="text-sm font-medium text-green-900">Project Score</p>
-                  <p className="text-2xl font-bold text-green-600">{submission.score}/100</p>
+                  <p className="text-2xl font-bold text-green-600">{submission.score}/{submission.project?.maxScore || 100}</p>
                 </div>
               </div>
             </div>
@@ -326,6 +371,21 @@ const SubmissionDetailView = () => {
             )}
           </div>
 
+          {submission.team && submission.teamScore !== null && submission.teamScore !== undefined && (
+            <p className="mt-4 text-sm text-gray-600">
+              Team grade {submission.teamScore}/{submission.project?.maxScore || 100}
+              {submission.peerAdjustment
+                ? `, adjusted ${submission.peerAdjustment > 0 ? '+' : ''}${submission.peerAdjustment}% for this member from peer evaluation`
+                : ', no peer adjustment'}
+            </p>
+          )}
+
+          {submission.rubricScores?.length > 0 && (
+            <div className="mt-6">
+              <RubricBreakdown rubricScores={submission.rubricScores} />
+            </div>
+          )}
+
           {submission.feedback && (
             <div className="mt-6">
               <h3 className="text-sm font-medium text-gray-900 mb-2">Teacher Feedback</h3>
@@ -356,19 +416,19 @@ const SubmissionDetailView = () => {
             </button>
           )}
 
-          {(submission.status === 'submitted' || submission.status === 'under_review') && (
-            <Link
-              to={`/projects/${submission.project._id}/submissions/${submission._id}/grade`}
+          {['submitted', 'under_review', 'graded'].includes(submission.status) && (
+            <button
+              onClick={() => setGradingOpen(true)}
               className="inline-flex items-center justify-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
             >
               <PencilIcon className="h-4 w-4 mr-2" />
-              Grade Submission
-            </Link>
+              {submission.status === 'graded' ? 'Update Grade' : 'Grade Submission'}
+            </button>
           )}
 
-          {submission.status === 'graded' && (
+          {['submitted', 'under_review', 'graded'].includes(submission.status) && submission.isLatest !== false && (
             <button
-              onClick={() => updateStatus('returned')}
+              onClick={() => setReturnOpen(true)}
               disabled={updating}
               className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
             >
@@ -385,6 +445,25 @@ const SubmissionDetailView = () => {
           </Link>
         </div>
       </div>
+
+      <SubmissionVersions submissionId={submissionId} projectId={submission.project._id} />
+
+      <ReturnSubmissionModal
+        isOpen={returnOpen}
+        onClose={() => setReturnOpen(false)}
+        submission={submission}
+        onReturned={fetchSubmissionDetails}
+      />
+
+      <SimpleGradingModal
+        isOpen={gradingOpen}
+        onClose={() => setGradingOpen(false)}
+        student={submission.student}
+        submission={submission}
+        maxScore={submission.project?.maxScore || 100}
+        rubric={submission.project?.rubric || []}
+        onGradeSubmitted={handleGradeSubmission}
+      />
     </div>
   )
 }
@@ -19,6 +19,7 @@ import {
 import { format, formatDistanceToNow } from 'date-fns'
 import toast from 'react-hot-toast'
 import { projectAPI } from '../../../services/api'
+import { downloadSubmissionFile } from '../../../utils/fileDownloads'
 
 const SubmissionInbox = () => {
   const navigate = useNavigate()
@@ -129,24 +130,15 @@ const SubmissionInbox = () => {
       if (submission.files && submission.files.length > 0) {
         // Download first file or create a zip if multiple files
         const file = submission.files[0]
-        const response = await projectAPI.downloadSubmissionFile(submission._id, file.fileName)
-        
-        const url = window.URL.createObjectURL(new Blob([response.data]))
-        const link = document.createElement('a')
-        link.href = url
-        link.setAttribute('download', file.originalName)
-        document.body.appendChild(link)
-        link.click()
-        link.remove()
-        window.URL.revokeObjectURL(url)
-        
+        await downloadSubmissionFile(submission._id, file)
+
         toast.success('File downloaded successfully')
       } else {
         toast.error('No files available for download')
       }
     } catch (error) {
       console.error('Error downloading file:', error)
-      toast.error('Failed to download file')
+      toast.error(error.response?.data?.message || 'Failed to download file')
     }
   }
 
@@ -356,6 +348,9 @@ const SubmissionInbox = () => {
                           <div className="text-xs text-gray-400">
                             {submission.student?.rollNo} • {submission.student?.studentId}
                           </div>
+                          {submission.team?.name && (
+                            <div className="text-xs text-indigo-600">Team {submission.team.name}</div>
+                          )}
                         </div>
                       </div>
                     </td>
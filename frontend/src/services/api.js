@@ -140,7 +140,7 @@ api.interceptors.response.use(
         }
       }
 
-      toast.warning('You are offline. Some data may not be available.')
+      toast('You are offline. Some data may not be available.', { icon: '⚠️' })
       return Promise.reject(error)
     }
 
@@ -229,20 +229,35 @@ function getDataTypeFromUrl(url) {
   return null
 }
 
-// Offline-aware API wrapper
-async function offlineAwareRequest(requestFn, fallbackData = null, operationType = null) {
+// Unique key for a write, sent as Idempotency-Key so the server runs it at
+// most once even when the sync queue replays it
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+}
+
+// Offline-aware API wrapper. Writes carry an idempotency key that is queued
+// with the operation, so a request that reached the server before the
+// connection dropped is not applied a second time on replay.
+async function offlineAwareRequest({ method, url, data }, fallbackData = null, operationType = null) {
+  const idempotencyKey = createIdempotencyKey()
   try {
-    const response = await requestFn()
+    const response = await api.request({
+      method,
+      url,
+      data,
+      headers: { 'Idempotency-Key': idempotencyKey }
+    })
     return response
   } catch (error) {
-    if (offlineService.isOffline() && operationType) {
+    if (!error.response && offlineService.isOffline() && operationType) {
       // Queue the operation for later sync
-      const config = error.config || {}
       await offlineService.queueOperation(
         operationType,
-        config.method?.toUpperCase() || 'GET',
-        config.data,
-        config.url
+        method.toUpperCase(),
+        data,
+        url,
+        { idempotencyKey }
       )
 
       if (fallbackData) {
@@ -372,13 +387,38 @@ export const projectAPI = {
     })
   },
   getProjectSubmissions: (projectId, params) => api.get(`/projects/${projectId}/submissions`, { params }),
+  // Plain link rather than a request, so the browser streams the ZIP to disk
+  getSubmissionArchiveUrl: (projectId, status) => api.getUri({
+    url: `/projects/${projectId}/submissions/archive`,
+    params: status ? { status } : {}
+  }),
   gradeSubmission: (submissionId, data) => api.put(`/projects/submissions/${submissionId}/grade`, data),
+  grantExtension: (projectId, data) => api.put(`/projects/${projectId}/extensions`, data),
+  revokeExtension: (projectId, studentId) => api.delete(`/projects/${projectId}/extensions/${studentId}`),
+  getProjectTeams: (projectId) => api.get(`/projects/${projectId}/teams`),
+  createTeam: (projectId, data) => api.post(`/projects/${projectId}/teams`, data),
+  updateTeam: (projectId, teamId, data) => api.put(`/projects/${projectId}/teams/${teamId}`, data),
+  deleteTeam: (projectId, teamId) => api.delete(`/projects/${projectId}/teams/${teamId}`),
+  joinTeam: (projectId, teamId) => api.put(`/projects/${projectId}/teams/${teamId}/join`),
+  leaveTeam: (projectId, teamId) => api.put(`/projects/${projectId}/teams/${teamId}/leave`),
+  getTeamPeerEvaluations: (projectId, teamId) => api.get(`/projects/${projectId}/teams/${teamId}/peer-evaluations`),
+  addTeamFiles: (projectId, formData) => {
+    return api.post(`/projects/${projectId}/team-files`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    })
+  },
+  getMyPeerEvaluation: (projectId) => api.get(`/projects/${projectId}/peer-evaluation`),
+  submitPeerEvaluation: (projectId, data) => api.put(`/projects/${projectId}/peer-evaluation`, data),
   downloadSubmissionFile: (submissionId, fileName) => api.get(`/projects/submissions/${submissionId}/download/${fileName}`, { responseType: 'blob' }),
+  getSubmissionFileUrl: (submissionId, fileName) => api.get(`/projects/submissions/${submissionId}/files/${encodeURIComponent(fileName)}/url`),
   completeProject: (projectId, data) => api.put(`/projects/${projectId}/complete`, data),
   getProjectCompletionStatus: (projectId) => api.get(`/projects/${projectId}/completion-status`),
   getAllSubmissions: (params) => api.get('/projects/submissions/all', { params }),
   updateSubmissionStatus: (submissionId, data) => api.put(`/projects/submissions/${submissionId}/status`, data),
   getSubmissionDetails: (submissionId) => api.get(`/projects/submissions/${submissionId}`),
+  getSubmissionVersions: (submissionId) => api.get(`/projects/submissions/${submissionId}/versions`),
   removeSubmission: (submissionId) => api.delete(`/projects/submissions/${submissionId}`),
   getProjectAnalytics: (projectId) => api.get(`/projects/${projectId}/analytics`),
   getBatchProjectComparison: (batchIds) => api.get('/projects/analytics/batch-comparison', { params: { batchIds } }),
@@ -467,9 +507,79 @@ export const studentsAPI = {
   getStudentsByBatch: (batchId, params) => api.get(`/students/batch/${batchId}`, { params }),
   getStudentsByDepartment: (departmentId, params) => api.get(`/students/department/${departmentId}`, { params }),
   bulkCreateStudents: (data) => api.post('/students/bulk', data),
+  // Large files plus fee schedules can take longer than the default timeout
+  importStudents: (data) => api.post('/students/import', data, { timeout: 120000 }),
   getStudentStats: (id) => api.get(`/students/${id}/stats`),
   getStudentsOverview: () => api.get('/students/overview'),
   getNextRollNumber: (batchId) => api.get(`/students/batch/${batchId}/next-roll-number`),
+  getStudentAccount: (id) => api.get(`/students/${id}/account`),
+  createStudentAccount: (id, data) => api.post(`/students/${id}/account`, data),
+  updateStudentAccount: (id, data) => api.put(`/students/${id}/account`, data),
+}
+
+// Student portal API (for logged-in students)
+export const studentPortalAPI = {
+  getDashboard: () => api.get('/student-portal/dashboard'),
+  getMyAttendance: (params) => api.get('/student-portal/attendance', { params }),
+  getMyLabBookings: (params) => api.get('/student-portal/lab-bookings', { params }),
+  getMyCertificates: () => api.get('/student-portal/certificates'),
+  downloadMyCertificate: (id) => api.get(`/student-portal/certificates/${id}/pdf`, { responseType: 'blob' }),
+  getMyNotifications: (params) => api.get('/student-portal/notifications', { params }),
+  markNotificationRead: (id) => api.put(`/student-portal/notifications/${id}/read`),
+}
+
+// Leave Requests API
+export const leaveRequestsAPI = {
+  getLeaveRequests: (params) => api.get('/leave-requests', { params }),
+  getLeaveRequest: (id) => api.get(`/leave-requests/${id}`),
+  createLeaveRequest: (data) => api.post('/leave-requests', data),
+  reviewLeaveRequest: (id, data) => api.put(`/leave-requests/${id}/review`, data),
+  cancelLeaveRequest: (id) => api.put(`/leave-requests/${id}/cancel`),
+}
+
+// Holidays API
+export const holidaysAPI = {
+  getHolidays: (params) => api.get('/holidays', { params }),
+  createHoliday: (data) => api.post('/holidays', data),
+  updateHoliday: (id, data) => api.put(`/holidays/${id}`, data),
+  deleteHoliday: (id) => api.delete(`/holidays/${id}`),
+  getCalendar: (params) => api.get('/holidays/calendar', { params }),
+}
+
+// Fees API
+export const feesAPI = {
+  getStudentLedger: (studentId) => api.get(`/fees/students/${studentId}`),
+  generateSchedule: (studentId) => api.post(`/fees/students/${studentId}/schedule`),
+  updateSchedule: (studentId, data) => api.put(`/fees/students/${studentId}/schedule`, data),
+  recordPayment: (studentId, data) => api.post(`/fees/students/${studentId}/payments`, data),
+  voidPayment: (paymentId, data) => api.put(`/fees/payments/${paymentId}/void`, data),
+  downloadReceipt: (paymentId) => api.get(`/fees/payments/${paymentId}/receipt`, { responseType: 'blob' }),
+}
+
+// Certificates API
+export const certificatesAPI = {
+  getCertificates: (params) => api.get('/certificates', { params }),
+  getBatchEligibility: (batchId) => api.get(`/certificates/batches/${batchId}/eligibility`),
+  issueBatchCertificates: (batchId, data) => api.post(`/certificates/batches/${batchId}/issue`, data),
+  downloadCertificate: (id) => api.get(`/certificates/${id}/pdf`, { responseType: 'blob' }),
+  revokeCertificate: (id, data) => api.put(`/certificates/${id}/revoke`, data),
+  verifyCertificate: (serialNumber) => api.get(`/certificates/verify/${encodeURIComponent(serialNumber)}`),
+}
+
+// Audit API
+export const auditAPI = {
+  getAuditLogs: (params) => api.get('/audit', { params }),
+}
+
+// Absence Alerts API
+export const absenceAlertsAPI = {
+  getRules: () => api.get('/absence-alerts/rules'),
+  createRule: (data) => api.post('/absence-alerts/rules', data),
+  updateRule: (id, data) => api.put(`/absence-alerts/rules/${id}`, data),
+  deleteRule: (id) => api.delete(`/absence-alerts/rules/${id}`),
+  getAlerts: (params) => api.get('/absence-alerts', { params }),
+  runRules: (data) => api.post('/absence-alerts/run', data),
+  getOutbox: () => api.get('/absence-alerts/outbox'),
 }
 
 // Batches API
@@ -478,6 +588,7 @@ export const batchesAPI = {
   getBatchById: (id) => api.get(`/batches/${id}`),
   getBatch: (id) => api.get(`/batches/${id}`),
   createBatch: (batch) => api.post('/batches', batch),
+  checkBatchConflicts: (batch) => api.post('/batches/conflicts', batch),
   updateBatch: (id, batch) => api.put(`/batches/${id}`, batch),
   deleteBatch: (id) => api.delete(`/batches/${id}`),
   getBatchesByCourse: (courseId, params) => api.get(`/batches/course/${courseId}`, { params }),
@@ -492,19 +603,40 @@ export const batchesAPI = {
 
 // Attendance API with offline support
 export const attendanceAPI = {
+  // Records may carry expectedVersion, the version the user last saw (0 for
+  // none); changes made by someone else since then come back as conflicts
+  // and are kept for the user to resolve
   markAttendance: async (attendance) => {
-    return offlineAwareRequest(
-      () => api.post('/attendance', attendance),
-      null,
-      'attendance'
-    )
+    try {
+      return await offlineAwareRequest(
+        { method: 'post', url: '/attendance', data: attendance },
+        null,
+        'attendance'
+      )
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.conflict) {
+        await offlineService.recordConflicts(
+          {
+            batchId: attendance.batchId,
+            date: attendance.date,
+            attendanceRecords: [attendance]
+          },
+          [error.response.data.conflict]
+        )
+      }
+      throw error
+    }
   },
   markBulkAttendance: async (data) => {
-    return offlineAwareRequest(
-      () => api.post('/attendance/bulk', data),
+    const response = await offlineAwareRequest(
+      { method: 'post', url: '/attendance/bulk', data },
       null,
       'attendance'
     )
+    if (response.data?.conflicts?.length > 0) {
+      await offlineService.recordConflicts(data, response.data.conflicts)
+    }
+    return response
   },
   getBatchAttendance: async (batchId, date) => {
     try {
@@ -586,15 +718,8 @@ export const notificationsAPI = {
     }
   },
 
-  createNotification: async (notification) => {
-    try {
-      const response = await api.post('/notifications', notification);
-      return response;
-    } catch (error) {
-      console.warn('Create notification API not available, using fallback');
-      return { data: { ...notification, _id: Date.now().toString() } };
-    }
-  },
+  // No fallback: the form shows validation errors from the server
+  createNotification: (notification) => api.post('/notifications', notification),
 
   // Teacher specific endpoints
   getTeacherNotifications: async (params = {}) => {
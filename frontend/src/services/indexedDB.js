@@ -358,6 +358,34 @@ class IndexedDBService {
     }
   }
 
+  // Writes the server rejected because someone else changed the record;
+  // they wait here until the user picks a version. A newer conflict for
+  // the same student and day replaces the older one, so the page and the
+  // service worker replaying the same write leave a single entry.
+  async addSyncConflict(conflict) {
+    const [record] = conflict.data.attendanceRecords
+    const existing = (await this.getSyncConflicts()).find(item =>
+      item.data.batchId === conflict.data.batchId &&
+      item.data.date === conflict.data.date &&
+      String(item.data.attendanceRecords[0].studentId) === String(record.studentId)
+    )
+
+    return this.put(STORES.SYNC_QUEUE, {
+      ...conflict,
+      ...(existing && { id: existing.id }),
+      timestamp: Date.now(),
+      status: 'conflict'
+    })
+  }
+
+  async getSyncConflicts() {
+    return this.getByIndex(STORES.SYNC_QUEUE, 'status', 'conflict')
+  }
+
+  async getFailedSync() {
+    return this.getByIndex(STORES.SYNC_QUEUE, 'status', 'failed')
+  }
+
   async clearCompletedSync() {
     const completed = await this.getByIndex(STORES.SYNC_QUEUE, 'status', 'completed')
     const promises = completed.map(item => this.delete(STORES.SYNC_QUEUE, item.id))
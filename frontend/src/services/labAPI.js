@@ -202,6 +202,325 @@ export const bookingAPI = {
   }
 }
 
+// Recurring Booking Series API
+export const bookingSeriesAPI = {
+  // Get booking series
+  getSeries: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/bookings/series', params)
+      const response = await api.get('/lab/bookings/series', { params })
+      console.log('✅ API Response: GET /lab/bookings/series', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/bookings/series', error)
+      throw error
+    }
+  },
+
+  // Get a series with its bookings
+  getSeriesById: async (seriesId) => {
+    try {
+      console.log('📡 API Request: GET /lab/bookings/series/' + seriesId)
+      const response = await api.get(`/lab/bookings/series/${seriesId}`)
+      console.log('✅ API Response: GET /lab/bookings/series/' + seriesId, response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/bookings/series/' + seriesId, error)
+      throw error
+    }
+  },
+
+  // Preview the bookings a series would create
+  previewSeries: async (seriesData) => {
+    try {
+      console.log('📡 API Request: POST /lab/bookings/series/preview', seriesData)
+      const response = await api.post('/lab/bookings/series/preview', seriesData)
+      console.log('✅ API Response: POST /lab/bookings/series/preview', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/bookings/series/preview', error)
+      throw error
+    }
+  },
+
+  // Create a series and its bookings
+  createSeries: async (seriesData) => {
+    try {
+      console.log('📡 API Request: POST /lab/bookings/series', seriesData)
+      const response = await api.post('/lab/bookings/series', seriesData)
+      console.log('✅ API Response: POST /lab/bookings/series', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/bookings/series', error)
+      throw error
+    }
+  },
+
+  // Change this and future occurrences (data.fromDate)
+  updateSeries: async (seriesId, data) => {
+    try {
+      console.log('📡 API Request: PUT /lab/bookings/series/' + seriesId, data)
+      const response = await api.put(`/lab/bookings/series/${seriesId}`, data)
+      console.log('✅ API Response: PUT /lab/bookings/series/' + seriesId, response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: PUT /lab/bookings/series/' + seriesId, error)
+      throw error
+    }
+  },
+
+  // Cancel this and future occurrences (data.fromDate)
+  cancelSeries: async (seriesId, data = {}) => {
+    try {
+      console.log('📡 API Request: PUT /lab/bookings/series/' + seriesId + '/cancel', data)
+      const response = await api.put(`/lab/bookings/series/${seriesId}/cancel`, data)
+      console.log('✅ API Response: PUT /lab/bookings/series/' + seriesId + '/cancel', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: PUT /lab/bookings/series/' + seriesId + '/cancel', error)
+      throw error
+    }
+  },
+
+  // Create any missing bookings, e.g. after PC maintenance
+  expandSeries: async (seriesId) => {
+    try {
+      console.log('📡 API Request: POST /lab/bookings/series/' + seriesId + '/expand')
+      const response = await api.post(`/lab/bookings/series/${seriesId}/expand`)
+      console.log('✅ API Response: POST /lab/bookings/series/' + seriesId + '/expand', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/bookings/series/' + seriesId + '/expand', error)
+      throw error
+    }
+  }
+}
+
+// Batch Seat Allocation API
+export const allocationAPI = {
+  // Preview a seating plan for a batch in a time slot
+  previewAllocation: async (data) => {
+    try {
+      console.log('📡 API Request: POST /lab/allocations/preview', data)
+      const response = await api.post('/lab/allocations/preview', data)
+      console.log('✅ API Response: POST /lab/allocations/preview', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/allocations/preview', error)
+      throw error
+    }
+  },
+
+  // Book the seats of a seating plan
+  commitAllocation: async (data) => {
+    try {
+      console.log('📡 API Request: POST /lab/allocations', data)
+      const response = await api.post('/lab/allocations', data)
+      console.log('✅ API Response: POST /lab/allocations', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/allocations', error)
+      throw error
+    }
+  }
+}
+
+// Institute Time Slot API
+export const timeSlotAPI = {
+  // Institute time slots, optionally including retired ones
+  getTimeSlots: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/time-slots', params)
+      const response = await api.get('/lab/time-slots', { params })
+      console.log('✅ API Response: GET /lab/time-slots', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/time-slots', error)
+      throw error
+    }
+  },
+
+  // Replace the institute time slots (admin)
+  updateTimeSlots: async (timeSlots) => {
+    try {
+      console.log('📡 API Request: PUT /lab/time-slots', timeSlots)
+      const response = await api.put('/lab/time-slots', { timeSlots })
+      console.log('✅ API Response: PUT /lab/time-slots', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: PUT /lab/time-slots', error)
+      throw error
+    }
+  }
+}
+
+// Seat Hold API
+export const seatHoldAPI = {
+  // Live holds for a date, optionally in one time slot
+  getHolds: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/holds', params)
+      const response = await api.get('/lab/holds', { params })
+      console.log('✅ API Response: GET /lab/holds', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/holds', error)
+      throw error
+    }
+  },
+
+  // Hold a PC while its booking form is open; calling again renews the hold
+  placeHold: async (holdData) => {
+    try {
+      console.log('📡 API Request: POST /lab/holds', holdData)
+      const response = await api.post('/lab/holds', holdData)
+      console.log('✅ API Response: POST /lab/holds', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/holds', error)
+      throw error
+    }
+  },
+
+  // Release a hold before it expires
+  releaseHold: async (holdId) => {
+    try {
+      console.log('📡 API Request: DELETE /lab/holds/' + holdId)
+      const response = await api.delete(`/lab/holds/${holdId}`)
+      console.log('✅ API Response: DELETE /lab/holds/' + holdId, response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: DELETE /lab/holds/' + holdId, error)
+      throw error
+    }
+  }
+}
+
+// PC Maintenance Ticket API
+export const maintenanceAPI = {
+  // Tickets, filtered by pc, status ('active' for open + in-progress) and page
+  getTickets: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/maintenance/tickets', params)
+      const response = await api.get('/lab/maintenance/tickets', { params })
+      console.log('✅ API Response: GET /lab/maintenance/tickets', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/maintenance/tickets', error)
+      throw error
+    }
+  },
+
+  getTicket: async (ticketId) => {
+    try {
+      console.log('📡 API Request: GET /lab/maintenance/tickets/' + ticketId)
+      const response = await api.get(`/lab/maintenance/tickets/${ticketId}`)
+      console.log('✅ API Response: GET /lab/maintenance/tickets/' + ticketId, response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/maintenance/tickets/' + ticketId, error)
+      throw error
+    }
+  },
+
+  // Upcoming bookings that opening a ticket on this PC would affect
+  getUpcomingBookings: async (pcId) => {
+    try {
+      console.log('📡 API Request: GET /lab/maintenance/pcs/' + pcId + '/upcoming-bookings')
+      const response = await api.get(`/lab/maintenance/pcs/${pcId}/upcoming-bookings`)
+      console.log('✅ API Response: GET /lab/maintenance/pcs/' + pcId + '/upcoming-bookings', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/maintenance/pcs/' + pcId + '/upcoming-bookings', error)
+      throw error
+    }
+  },
+
+  // Opens a ticket, moves the PC to maintenance and cancels or keeps its bookings
+  createTicket: async (ticketData) => {
+    try {
+      console.log('📡 API Request: POST /lab/maintenance/tickets', ticketData)
+      const response = await api.post('/lab/maintenance/tickets', ticketData)
+      console.log('✅ API Response: POST /lab/maintenance/tickets', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/maintenance/tickets', error)
+      throw error
+    }
+  },
+
+  updateTicket: async (ticketId, ticketData) => {
+    try {
+      console.log('📡 API Request: PUT /lab/maintenance/tickets/' + ticketId, ticketData)
+      const response = await api.put(`/lab/maintenance/tickets/${ticketId}`, ticketData)
+      console.log('✅ API Response: PUT /lab/maintenance/tickets/' + ticketId, response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: PUT /lab/maintenance/tickets/' + ticketId, error)
+      throw error
+    }
+  },
+
+  // Closes a ticket; the PC returns to service once no other ticket is open
+  closeTicket: async (ticketId, closeData) => {
+    try {
+      console.log('📡 API Request: PUT /lab/maintenance/tickets/' + ticketId + '/close', closeData)
+      const response = await api.put(`/lab/maintenance/tickets/${ticketId}/close`, closeData)
+      console.log('✅ API Response: PUT /lab/maintenance/tickets/' + ticketId + '/close', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: PUT /lab/maintenance/tickets/' + ticketId + '/close', error)
+      throw error
+    }
+  },
+
+  // Per-PC downtime, MTBF and MTTR (defaults to the last 90 days)
+  getStats: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/maintenance/stats', params)
+      const response = await api.get('/lab/maintenance/stats', { params })
+      console.log('✅ API Response: GET /lab/maintenance/stats', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/maintenance/stats', error)
+      throw error
+    }
+  }
+}
+
+// Lab No-Show API
+export const noShowAPI = {
+  // No-show rates per student, batch and time slot, with wasted seat-hours
+  getReport: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/no-shows', params)
+      const response = await api.get('/lab/no-shows', { params })
+      console.log('✅ API Response: GET /lab/no-shows', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/no-shows', error)
+      throw error
+    }
+  },
+
+  // Reconcile finished bookings with attendance without waiting for the schedule
+  reconcile: async () => {
+    try {
+      console.log('📡 API Request: POST /lab/no-shows/reconcile')
+      const response = await api.post('/lab/no-shows/reconcile')
+      console.log('✅ API Response: POST /lab/no-shows/reconcile', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: POST /lab/no-shows/reconcile', error)
+      throw error
+    }
+  }
+}
+
+// Server-Sent Events stream of booking, PC and hold changes for a date
+export const getLabEventsUrl = (date) =>
+  `${api.defaults.baseURL}/lab/events${date ? `?date=${encodeURIComponent(date)}` : ''}`
+
 // Lab Information API
 export const labAPI = {
   pcs: pcAPI,
@@ -228,6 +547,19 @@ export const labStatsAPI = {
       console.error('Error fetching lab stats:', error)
       throw error
     }
+  },
+
+  // Booked seats against capacity by slot and weekday, row and PC for a date range
+  getUtilization: async (params = {}) => {
+    try {
+      console.log('📡 API Request: GET /lab/stats/utilization', params)
+      const response = await api.get('/lab/stats/utilization', { params })
+      console.log('✅ API Response: GET /lab/stats/utilization', response.data)
+      return response.data
+    } catch (error) {
+      console.error('❌ API Error: GET /lab/stats/utilization', error)
+      throw error
+    }
   }
 }
 
@@ -247,6 +579,12 @@ export const labInfoAPI = {
 export default {
   pcAPI,
   bookingAPI,
+  bookingSeriesAPI,
+  allocationAPI,
+  timeSlotAPI,
+  seatHoldAPI,
+  maintenanceAPI,
+  noShowAPI,
   labAPI,
   labStatsAPI,
   labInfoAPI
@@ -1,4 +1,19 @@
 import toast from 'react-hot-toast'
+import { getLabEventsUrl } from './labAPI'
+
+// Server event types and the update type listeners subscribe to
+const SERVER_EVENT_TYPES = {
+  booking_created: 'booking',
+  booking_updated: 'booking',
+  booking_deleted: 'booking',
+  bookings_changed: 'booking',
+  pc_updated: 'pc_status',
+  pc_deleted: 'pc_status',
+  pcs_changed: 'pc_status',
+  hold_placed: 'seat_hold',
+  hold_released: 'seat_hold',
+  hold_expired: 'seat_hold'
+}
 
 // Lab Update Service - Handles real-time lab availability updates
 class LabUpdateService {
@@ -7,6 +22,9 @@ class LabUpdateService {
     this.isInitialized = false
     this.updateQueue = []
     this.processingQueue = false
+    this.eventSource = null
+    this.connectedDate = null
+    this.connected = false
   }
 
   // Initialize the service
@@ -32,6 +50,62 @@ class LabUpdateService {
     console.log('✅ Lab update event listeners registered')
   }
 
+  // Open the server push stream for the lab grid of a date (YYYY-MM-DD).
+  // Changes made in other browsers arrive as 'booking', 'pc_status' and
+  // 'seat_hold' updates; 'connection' updates report the stream state.
+  connect(date) {
+    if (typeof EventSource === 'undefined') return
+    if (this.eventSource && this.connectedDate === date) return
+
+    this.disconnect()
+    console.log('📡 Connecting to lab event stream for', date)
+
+    this.connectedDate = date
+    this.eventSource = new EventSource(getLabEventsUrl(date), { withCredentials: true })
+
+    this.eventSource.addEventListener('lab', (event) => {
+      let message
+      try {
+        message = JSON.parse(event.data)
+      } catch (error) {
+        console.error('❌ Invalid lab event:', event.data)
+        return
+      }
+
+      if (message.type === 'connected') {
+        this.setConnected(true)
+        return
+      }
+
+      const type = SERVER_EVENT_TYPES[message.type]
+      if (type) {
+        this.queueUpdate({ ...message, type, action: message.type, source: 'server', timestamp: Date.now() })
+      }
+    })
+
+    // EventSource reconnects by itself; listeners fall back to polling meanwhile
+    this.eventSource.onerror = () => {
+      this.setConnected(false)
+    }
+  }
+
+  // Close the server push stream
+  disconnect() {
+    if (!this.eventSource) return
+
+    console.log('🔌 Disconnecting lab event stream')
+    this.eventSource.close()
+    this.eventSource = null
+    this.connectedDate = null
+    this.setConnected(false)
+  }
+
+  setConnected(connected) {
+    if (this.connected === connected) return
+    this.connected = connected
+    this.notifyListeners('connection', { type: 'connection', connected, timestamp: Date.now() })
+  }
+
   // Handle lab availability updates
   handleLabUpdate(event) {
     const { date, updates, type } = event.detail
@@ -209,6 +283,8 @@ class LabUpdateService {
   getStatus() {
     return {
       initialized: this.isInitialized,
+      connected: this.connected,
+      connectedDate: this.connectedDate,
       queueLength: this.updateQueue.length,
       processingQueue: this.processingQueue,
       listenerCount: Array.from(this.listeners.values()).reduce((sum, arr) => sum + arr.length, 0)
@@ -218,6 +294,8 @@ class LabUpdateService {
   // Cleanup
   destroy() {
     console.log('🧹 Destroying Lab Update Service')
+
+    this.disconnect()
     
     window.removeEventListener('labAvailabilityUpdate', this.handleLabUpdate.bind(this))
     window.removeEventListener('bookingUpdate', this.handleBookingUpdate.bind(this))
@@ -1,5 +1,6 @@
 // Offline service for managing offline state and data synchronization
 import { indexedDBService } from './indexedDB.js'
+import { buildConflictItems } from './syncQueue.js'
 import toast from 'react-hot-toast'
 
 class OfflineService {
@@ -13,6 +14,11 @@ class OfflineService {
     window.addEventListener('online', this.handleOnline.bind(this))
     window.addEventListener('offline', this.handleOffline.bind(this))
 
+    // Background Sync runs in the service worker (see sw.js)
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', this.handleWorkerMessage.bind(this))
+    }
+
     // Initialize service
     this.init()
   }
@@ -67,12 +73,32 @@ class OfflineService {
     this.isOnline = false
     this.notifyListeners({ type: 'offline' })
 
-    toast.warning('You are now offline. Changes will be saved locally and synced when connection is restored.', {
+    toast('You are now offline. Changes will be saved locally and synced when connection is restored.', {
+      icon: '⚠️',
       position: 'top-center',
-      autoClose: 5000
+      duration: 5000
     })
   }
 
+  handleWorkerMessage(event) {
+    const { type, ...counts } = event.data || {}
+    switch (type) {
+      // A visible tab replays the queue itself so the user sees progress
+      case 'SYNC_REQUESTED':
+        this.startSync()
+        break
+      // The worker replayed the queue while this tab was in the background
+      case 'SYNC_COMPLETE':
+        this.notifyListeners({ type: 'syncComplete', success: counts.failureCount === 0, ...counts })
+        if (counts.conflictCount > 0) {
+          this.notifyListeners({ type: 'conflictsDetected', count: counts.conflictCount })
+        }
+        break
+      default:
+        break
+    }
+  }
+
   // Sync management
   async startSync() {
     if (this.syncInProgress) {
@@ -84,67 +110,24 @@ class OfflineService {
       this.syncInProgress = true
       this.notifyListeners({ type: 'syncStart' })
 
-      const pendingOperations = await indexedDBService.getSyncQueue()
-      console.log(`OfflineService: Found ${pendingOperations.length} pending operations`)
-
-      if (pendingOperations.length === 0) {
-        this.syncInProgress = false
-        this.notifyListeners({ type: 'syncComplete', success: true })
-        return
-      }
-
-      let successCount = 0
-      let failureCount = 0
-
-      for (const operation of pendingOperations) {
-        try {
-          await this.processSyncOperation(operation)
-          await indexedDBService.markSyncComplete(operation.id)
-          successCount++
-        } catch (error) {
-          console.error('OfflineService: Sync operation failed:', error)
-          failureCount++
-        }
-      }
-
-      // Clean up completed operations
-      await indexedDBService.clearCompletedSync()
+      // Import syncService dynamically to avoid circular dependency
+      const { syncService } = await import('./syncService.js')
+      const result = await syncService.processPendingOperations()
 
       this.syncInProgress = false
       this.notifyListeners({
         type: 'syncComplete',
-        success: failureCount === 0,
-        successCount,
-        failureCount
+        success: result.failureCount === 0,
+        ...result
       })
 
-      if (successCount > 0) {
-        toast.success(`Successfully synced ${successCount} operations`, {
-          position: 'top-center',
-          autoClose: 3000
-        })
-      }
-
-      if (failureCount > 0) {
-        toast.error(`Failed to sync ${failureCount} operations. Will retry later.`, {
-          position: 'top-center',
-          autoClose: 5000
-        })
-      }
-
     } catch (error) {
       console.error('OfflineService: Sync process failed:', error)
       this.syncInProgress = false
-      this.notifyListeners({ type: 'syncComplete', success: false, error })
+      this.notifyListeners({ type: 'syncComplete', success: false, error: error.message })
     }
   }
 
-  async processSyncOperation(operation) {
-    // Import syncService dynamically to avoid circular dependency
-    const { syncService } = await import('./syncService.js')
-    return await syncService.processOperation(operation)
-  }
-
   // Schedule periodic sync checks
   scheduleSyncCheck() {
     setTimeout(() => {
@@ -156,12 +139,13 @@ class OfflineService {
   }
 
   // Queue operations for offline sync
-  async queueOperation(type, method, data, endpoint) {
+  async queueOperation(type, method, data, endpoint, { idempotencyKey } = {}) {
     const operation = {
       type,
       method,
       data,
       endpoint,
+      idempotencyKey,
       timestamp: Date.now(),
       retryCount: 0
     }
@@ -174,9 +158,41 @@ class OfflineService {
       operation: { type, method, endpoint }
     })
 
+    // Let the service worker flush the queue even if the tab gets closed
+    const { serviceWorkerService } = await import('./serviceWorker.js')
+    serviceWorkerService.requestBackgroundSync()
+
     return operation
   }
 
+  // Keep attendance writes the server rejected as conflicting, one entry
+  // per student, until the user chooses between their value and the
+  // server's (see SyncConflictsModal)
+  async recordConflicts(request, conflicts) {
+    for (const item of buildConflictItems(request, conflicts)) {
+      await indexedDBService.addSyncConflict(item)
+    }
+
+    this.notifyListeners({ type: 'conflictsDetected', count: conflicts.length })
+    toast.error(
+      `${conflicts.length} attendance record${conflicts.length > 1 ? 's were' : ' was'} changed by someone else. Open the sync status to choose which to keep.`,
+      { duration: 6000 }
+    )
+  }
+
+  async getSyncIssues() {
+    try {
+      const [conflicts, failed] = await Promise.all([
+        indexedDBService.getSyncConflicts(),
+        indexedDBService.getFailedSync()
+      ])
+      return { conflicts, failed }
+    } catch (error) {
+      console.error('OfflineService: Failed to get sync issues:', error)
+      return { conflicts: [], failed: [] }
+    }
+  }
+
   // Data management methods
   async saveDataLocally(type, data) {
     try {
@@ -313,12 +329,12 @@ class OfflineService {
   // Force sync (manual trigger)
   async forceSync() {
     if (!this.isOnline) {
-      toast.warning('Cannot sync while offline')
+      toast.error('Cannot sync while offline')
       return false
     }
 
     if (this.syncInProgress) {
-      toast.info('Sync already in progress')
+      toast('Sync already in progress')
       return false
     }
 
@@ -0,0 +1,120 @@
+// Service worker registration, update detection and Background Sync
+import api from './api.js'
+import { SYNC_QUEUE_TAG } from './syncQueue.js'
+
+// How often an open tab checks for a new deployment
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+class ServiceWorkerService {
+  constructor() {
+    this.registration = null
+    this.waitingWorker = null
+    this.listeners = new Set()
+  }
+
+  isSupported() {
+    return 'serviceWorker' in navigator
+  }
+
+  // Listen for { type: 'updateAvailable' } when a new version is installed
+  addListener(callback) {
+    this.listeners.add(callback)
+    if (this.waitingWorker) {
+      callback({ type: 'updateAvailable' })
+    }
+    return () => this.listeners.delete(callback)
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(event)
+      } catch (error) {
+        console.error('ServiceWorkerService: Listener error:', error)
+      }
+    })
+  }
+
+  // The worker is only built for production (see vite.config.js)
+  async register() {
+    if (!this.isSupported() || !import.meta.env.PROD) return null
+
+    try {
+      const apiBase = new URL(api.defaults.baseURL, window.location.origin).href
+      this.registration = await navigator.serviceWorker.register(`/sw.js?api=${encodeURIComponent(apiBase)}`)
+      console.log('ServiceWorkerService: Registered with scope', this.registration.scope)
+
+      // A version installed on an earlier visit may already be waiting
+      if (this.registration.waiting && navigator.serviceWorker.controller) {
+        this.setWaiting(this.registration.waiting)
+      }
+
+      this.registration.addEventListener('updatefound', () => {
+        const installing = this.registration.installing
+        installing?.addEventListener('statechange', () => {
+          // With no controller this is the first install, not an update
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            this.setWaiting(installing)
+          }
+        })
+      })
+
+      // Reload once the new version has taken over
+      let reloading = false
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return
+        reloading = true
+        window.location.reload()
+      })
+
+      setInterval(() => this.checkForUpdate(), UPDATE_CHECK_INTERVAL)
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.checkForUpdate()
+      })
+
+      return this.registration
+    } catch (error) {
+      console.error('ServiceWorkerService: Registration failed:', error)
+      return null
+    }
+  }
+
+  setWaiting(worker) {
+    this.waitingWorker = worker
+    this.notifyListeners({ type: 'updateAvailable' })
+  }
+
+  async checkForUpdate() {
+    try {
+      await this.registration?.update()
+    } catch (error) {
+      // Offline or the server is unreachable; try again later
+    }
+  }
+
+  // Switch to the waiting version; the page reloads on controllerchange
+  applyUpdate() {
+    this.waitingWorker?.postMessage({ type: 'SKIP_WAITING' })
+  }
+
+  // Ask the browser to flush the syncQueue once it is online, even if the
+  // tab has been closed by then. Returns false where Background Sync is
+  // not available; the page's own sync loop still covers open tabs.
+  async requestBackgroundSync() {
+    if (!this.isSupported() || !import.meta.env.PROD) return false
+
+    try {
+      const registration = await navigator.serviceWorker.ready
+      if (!('sync' in registration)) return false
+      await registration.sync.register(SYNC_QUEUE_TAG)
+      return true
+    } catch (error) {
+      console.error('ServiceWorkerService: Background sync registration failed:', error)
+      return false
+    }
+  }
+}
+
+// Export singleton instance
+export const serviceWorkerService = new ServiceWorkerService()
+export default serviceWorkerService
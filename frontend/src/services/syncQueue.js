@@ -0,0 +1,83 @@
+// Replay rules for operations in the IndexedDB syncQueue. Kept free of
+// axios, toasts and window so the page (syncService) and the service
+// worker (Background Sync) replay operations the same way.
+
+export const MAX_SYNC_RETRIES = 3
+
+// Background Sync tag the service worker flushes the queue under
+export const SYNC_QUEUE_TAG = 'sync-queue'
+
+// Client errors will fail the same way every time, so retrying is
+// pointless - except timeouts, rate limits and anything the server asks
+// to be retried (a replay racing the original request gets a 409 with
+// Retry-After)
+export const isPermanentSyncFailure = (status, retryAfter) => {
+  if (!status || retryAfter) return false
+  return status >= 400 && status < 500 && ![408, 429].includes(status)
+}
+
+// Operations queued by older versions stored the request body as JSON text
+export const getOperationData = (operation) => {
+  return typeof operation.data === 'string' ? JSON.parse(operation.data) : operation.data
+}
+
+// The request that replays a queued operation, relative to the API base
+export const getOperationRequest = (operation) => {
+  const { type, method, idempotencyKey } = operation
+  const data = getOperationData(operation)
+  const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+
+  switch (`${type} ${method}`) {
+    case 'attendance POST':
+      return { method, url: data.attendanceRecords ? '/attendance/bulk' : '/attendance', data, headers }
+
+    case 'labBooking POST':
+      return { method, url: '/lab/bookings', data, headers }
+    case 'labBooking PUT':
+      return { method, url: `/lab/bookings/${data.id}`, data, headers }
+    case 'labBooking DELETE':
+      return { method, url: `/lab/bookings/${data.id}`, headers }
+
+    case 'student POST':
+      return { method, url: '/students', data, headers }
+    case 'student PUT':
+      return { method, url: `/students/${data.id}`, data, headers }
+    case 'student DELETE':
+      return { method, url: `/students/${data.id}`, headers }
+
+    default:
+      throw new Error(`Unsupported ${type} operation: ${method}`)
+  }
+}
+
+// Turn the conflicts an attendance write came back with into syncQueue
+// entries, one per student, holding the user's value until they choose
+// between it and the server's (see SyncConflictsModal)
+export const buildConflictItems = (request, conflicts) => conflicts.map(conflict => {
+  const record = request.attendanceRecords.find(item =>
+    String(item.studentId) === String(conflict.student._id)
+  )
+  return {
+    type: 'attendance',
+    method: 'POST',
+    endpoint: '/attendance/bulk',
+    data: {
+      batchId: request.batchId,
+      date: request.date,
+      attendanceRecords: [{
+        studentId: conflict.student._id,
+        status: record?.status ?? conflict.local.status,
+        remarks: record?.remarks ?? conflict.local.remarks
+      }]
+    },
+    conflict
+  }
+})
+
+// The attendance request a single-record 409 conflict belongs to
+export const conflictRequestFor = (operation) => {
+  const data = getOperationData(operation)
+  return data.attendanceRecords
+    ? data
+    : { batchId: data.batchId, date: data.date, attendanceRecords: [data] }
+}
@@ -1,7 +1,14 @@
 // Sync service for handling data synchronization between local and remote storage
-import api, { attendanceAPI, studentsAPI, batchesAPI, teachersAPI } from './api.js'
+import api, { attendanceAPI, studentsAPI, batchesAPI, teachersAPI, createIdempotencyKey } from './api.js'
 import { pcAPI, bookingAPI } from './labAPI.js'
-import { indexedDBService } from './indexedDB.js'
+import { indexedDBService, STORES } from './indexedDB.js'
+import { offlineService } from './offlineService.js'
+import {
+  MAX_SYNC_RETRIES,
+  isPermanentSyncFailure,
+  getOperationRequest,
+  conflictRequestFor
+} from './syncQueue.js'
 import toast from 'react-hot-toast'
 
 class SyncService {
@@ -158,135 +165,124 @@ class SyncService {
     }
   }
 
-  // Process pending operations from sync queue
+  // Process pending operations from sync queue. Operations are replayed
+  // with the idempotency key they were queued with; attendance the server
+  // reports as changed by someone else becomes a conflict for the user to
+  // resolve, and operations that cannot succeed are marked failed.
   async processPendingOperations() {
     console.log('SyncService: Processing pending operations')
 
+    const counts = { successCount: 0, failureCount: 0, conflictCount: 0 }
+
     try {
       const pendingOps = await indexedDBService.getSyncQueue()
 
       if (pendingOps.length === 0) {
         console.log('SyncService: No pending operations')
-        return
+        return counts
       }
 
       console.log(`SyncService: Processing ${pendingOps.length} pending operations`)
 
-      let successCount = 0
-      let failureCount = 0
-
       for (const operation of pendingOps) {
         try {
-          await this.processOperation(operation)
+          const response = await this.processOperation(operation)
+          const conflicts = response?.data?.conflicts || []
+          if (conflicts.length > 0) {
+            await offlineService.recordConflicts(conflictRequestFor(operation), conflicts)
+            counts.conflictCount += conflicts.length
+          }
           await indexedDBService.markSyncComplete(operation.id)
-          successCount++
+          counts.successCount++
         } catch (error) {
+          if (error.response?.status === 409 && error.response.data?.conflict) {
+            await offlineService.recordConflicts(conflictRequestFor(operation), [error.response.data.conflict])
+            await indexedDBService.markSyncComplete(operation.id)
+            counts.conflictCount++
+            continue
+          }
+
           console.error('SyncService: Operation failed:', error)
-          failureCount++
+          counts.failureCount++
 
-          // Increment retry count
           operation.retryCount = (operation.retryCount || 0) + 1
-          operation.lastError = error.message
+          operation.lastError = error.response?.data?.message || error.message
           operation.lastRetry = Date.now()
 
-          // If too many retries, mark as failed
-          if (operation.retryCount >= 3) {
+          const permanent = isPermanentSyncFailure(error.response?.status, error.response?.headers?.['retry-after'])
+          if (permanent || operation.retryCount >= MAX_SYNC_RETRIES) {
             operation.status = 'failed'
-            await indexedDBService.put('syncQueue', operation)
           }
+          await indexedDBService.put(STORES.SYNC_QUEUE, operation)
         }
       }
 
       // Clean up completed operations
       await indexedDBService.clearCompletedSync()
 
-      console.log(`SyncService: Processed operations - Success: ${successCount}, Failed: ${failureCount}`)
+      console.log(`SyncService: Processed operations - Success: ${counts.successCount}, Failed: ${counts.failureCount}, Conflicts: ${counts.conflictCount}`)
 
-      if (successCount > 0) {
-        toast.success(`Synced ${successCount} offline changes`)
+      if (counts.successCount > 0) {
+        toast.success(`Synced ${counts.successCount} offline changes`)
       }
 
-      if (failureCount > 0) {
-        toast.warning(`${failureCount} changes failed to sync and will be retried`)
+      if (counts.failureCount > 0) {
+        toast.error(`${counts.failureCount} changes failed to sync. Open the sync status to retry or discard them.`)
       }
 
+      return counts
+
     } catch (error) {
       console.error('SyncService: Failed to process pending operations:', error)
       throw error
     }
   }
 
-  // Process individual operation
+  // Replay one queued operation with the idempotency key it was queued with
   async processOperation(operation) {
-    const { type, method, data, endpoint } = operation
+    const { method, url, data, headers } = getOperationRequest(operation)
 
-    console.log(`SyncService: Processing ${type} operation: ${method} ${endpoint}`)
+    console.log(`SyncService: Processing ${operation.type} operation: ${method} ${url}`)
 
-    switch (type) {
-      case 'attendance':
-        return await this.syncAttendanceOperation(method, data, endpoint)
-
-      case 'labBooking':
-        return await this.syncLabBookingOperation(method, data, endpoint)
-
-      case 'student':
-        return await this.syncStudentOperation(method, data, endpoint)
-
-      default:
-        throw new Error(`Unknown operation type: ${type}`)
-    }
+    // Use direct API call to avoid offline wrapper during sync
+    return await api.request({ method, url, data, headers })
   }
 
-  // Sync attendance operations
-  async syncAttendanceOperation(method, data, endpoint) {
-    switch (method) {
-      case 'POST':
-        if (data.bulk) {
-          // Use direct API call to avoid offline wrapper during sync
-          return await api.post('/attendance/bulk', data)
-        } else {
-          return await api.post('/attendance', data)
-        }
-
-      default:
-        throw new Error(`Unsupported attendance method: ${method}`)
+  // Settle an attendance conflict. 'server' keeps what is on the server;
+  // 'local' writes the user's value over the server version they were
+  // shown, which conflicts again if it changed once more meanwhile.
+  async resolveConflict(item, choice) {
+    if (choice === 'local') {
+      const [record] = item.data.attendanceRecords
+      const response = await api.post('/attendance/bulk', {
+        batchId: item.data.batchId,
+        date: item.data.date,
+        attendanceRecords: [{ ...record, expectedVersion: item.conflict.server?.version ?? 0 }]
+      }, { headers: { 'Idempotency-Key': createIdempotencyKey() } })
+
+      const [conflict] = response.data?.conflicts || []
+      if (conflict) {
+        await indexedDBService.put(STORES.SYNC_QUEUE, { ...item, conflict })
+        return { resolved: false, conflict }
+      }
     }
-  }
-
-  // Sync lab booking operations
-  async syncLabBookingOperation(method, data, endpoint) {
-    switch (method) {
-      case 'POST':
-        // Use direct API call to avoid offline wrapper during sync
-        return await api.post('/lab/bookings', data)
-
-      case 'PUT':
-        return await api.put(`/lab/bookings/${data.id}`, data)
-
-      case 'DELETE':
-        return await api.delete(`/lab/bookings/${data.id}`)
 
-      default:
-        throw new Error(`Unsupported booking method: ${method}`)
-    }
+    await indexedDBService.delete(STORES.SYNC_QUEUE, item.id)
+    return { resolved: true }
   }
 
-  // Sync student operations
-  async syncStudentOperation(method, data, endpoint) {
-    switch (method) {
-      case 'POST':
-        // Use direct API call to avoid offline wrapper during sync
-        return await api.post('/students', data)
-
-      case 'PUT':
-        return await api.put(`/students/${data.id}`, data)
-
-      case 'DELETE':
-        return await api.delete(`/students/${data.id}`)
+  // Put a failed operation back in the queue for the next sync
+  async retryOperation(item) {
+    await indexedDBService.put(STORES.SYNC_QUEUE, {
+      ...item,
+      status: 'pending',
+      retryCount: 0,
+      lastError: null
+    })
+  }
 
-      default:
-        throw new Error(`Unsupported student method: ${method}`)
-    }
+  async discardOperation(item) {
+    await indexedDBService.delete(STORES.SYNC_QUEUE, item.id)
   }
 
   // Utility methods
@@ -0,0 +1,300 @@
+// Service Worker for CDC Attendance Management System
+// Bundled separately from the app at build time (see vite.config.js), which
+// fills in the precache list and build id below.
+//
+// - Precaches the app shell so the app opens with no network
+// - Answers API reads for batches, students and PCs from the same
+//   IndexedDB STORES the app uses offline when the network is unavailable
+// - Flushes the syncQueue through Background Sync, even with the tab closed
+// - Waits for the page to accept a new version (see serviceWorker.js)
+
+import { indexedDBService, STORES } from './services/indexedDB.js'
+import {
+  MAX_SYNC_RETRIES,
+  SYNC_QUEUE_TAG,
+  isPermanentSyncFailure,
+  getOperationRequest,
+  buildConflictItems,
+  conflictRequestFor
+} from './services/syncQueue.js'
+
+/* global __PRECACHE_MANIFEST__, __BUILD_ID__ */
+const PRECACHE_URLS = __PRECACHE_MANIFEST__
+const SHELL_CACHE = `cdc-shell-${__BUILD_ID__}`
+const RUNTIME_CACHE = 'cdc-runtime'
+
+// Give up on a slow network and answer from IndexedDB before the app's
+// own 10 second request timeout
+const NETWORK_TIMEOUT = 8000
+
+// Registered as /sw.js?api=<API base URL> so the worker talks to the same
+// API as the page
+const API_BASE = new URL(new URL(self.location).searchParams.get('api') || '/api', self.location.origin)
+const API_PATH = API_BASE.pathname.replace(/\/$/, '')
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', 'X-Offline-Cache': 'true' }
+})
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('Network timeout')), ms)
+  promise.then(
+    (value) => { clearTimeout(timer); resolve(value) },
+    (error) => { clearTimeout(timer); reject(error) }
+  )
+})
+
+const batchIdOf = (student) => String(student.batch?._id || student.batch || '')
+
+// Store records, dropping those in the same scope the server no longer returns
+const replaceRecords = async (storeName, records, inScope = () => true) => {
+  const ids = new Set(records.map(record => record._id))
+  const stale = (await indexedDBService.getAll(storeName))
+    .filter(record => inScope(record) && !ids.has(record._id))
+  await Promise.all(stale.map(record => indexedDBService.delete(storeName, record._id)))
+  await indexedDBService.bulkPut(storeName, records)
+}
+
+const groupPCsByRow = (pcs) => {
+  const byRow = {}
+  ;[...pcs]
+    .sort((a, b) => a.row - b.row || a.position - b.position)
+    .forEach(pc => {
+      if (!byRow[pc.row]) byRow[pc.row] = []
+      byRow[pc.row].push(pc)
+    })
+  return byRow
+}
+
+// API reads served from IndexedDB when offline. save() mirrors a fresh
+// response into the store; read() rebuilds the response from it.
+const API_READS = [
+  {
+    pattern: /^\/batches$/,
+    save: (data) => replaceRecords(STORES.BATCHES, data),
+    read: () => indexedDBService.getAll(STORES.BATCHES)
+  },
+  {
+    pattern: /^\/batches\/([a-f0-9]{24})$/,
+    save: (data) => indexedDBService.put(STORES.BATCHES, data),
+    read: ([id]) => indexedDBService.get(STORES.BATCHES, id)
+  },
+  {
+    pattern: /^\/students\/batch\/([a-f0-9]{24})$/,
+    save: (data, [batchId]) => replaceRecords(STORES.STUDENTS, data, student => batchIdOf(student) === batchId),
+    read: async ([batchId], params) => {
+      const active = params.get('active')
+      return (await indexedDBService.getAll(STORES.STUDENTS)).filter(student =>
+        batchIdOf(student) === batchId &&
+        (active === null || student.isActive === (active === 'true'))
+      )
+    }
+  },
+  {
+    pattern: /^\/students$/,
+    save: (data) => indexedDBService.bulkPut(STORES.STUDENTS, data.students),
+    read: async (match, params) => {
+      const batch = params.get('batch')
+      const active = params.get('active')
+      const search = params.get('search')?.toLowerCase()
+      const students = (await indexedDBService.getAll(STORES.STUDENTS)).filter(student =>
+        (!batch || batchIdOf(student) === batch) &&
+        (active === null || student.isActive === (active === 'true')) &&
+        (!search || [student.name, student.rollNo, student.studentId, student.email, student.phone]
+          .some(value => value?.toLowerCase().includes(search)))
+      )
+      return {
+        students,
+        pagination: { page: 1, limit: students.length, total: students.length, pages: 1 }
+      }
+    }
+  },
+  {
+    pattern: /^\/lab\/pcs$/,
+    save: (data) => replaceRecords(STORES.PCS, data),
+    read: () => indexedDBService.getAll(STORES.PCS)
+  },
+  {
+    pattern: /^\/lab\/pcs\/by-row$/,
+    save: (data) => replaceRecords(STORES.PCS, Object.values(data).flat()),
+    read: async () => groupPCsByRow(await indexedDBService.getAll(STORES.PCS))
+  }
+]
+
+const matchApiRead = (url) => {
+  if (url.origin !== API_BASE.origin || !url.pathname.startsWith(`${API_PATH}/`)) return null
+  const path = url.pathname.slice(API_PATH.length)
+  for (const route of API_READS) {
+    const match = path.match(route.pattern)
+    if (match) return { route, match: match.slice(1) }
+  }
+  return null
+}
+
+// Install event - precache the app shell. The new version waits until the
+// page tells it to take over, so an open tab is never switched mid-use.
+self.addEventListener('install', (event) => {
+  console.log('Service Worker: Installing build', __BUILD_ID__)
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  )
+})
+
+// Activate event - drop the shells of earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name !== SHELL_CACHE && name !== RUNTIME_CACHE)
+        .map(name => {
+          console.log('Service Worker: Deleting old cache:', name)
+          return caches.delete(name)
+        })))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+
+  const apiRead = matchApiRead(url)
+  if (apiRead) {
+    event.respondWith(handleApiRead(request, url, apiRead))
+    return
+  }
+
+  if (url.origin !== self.location.origin || url.pathname.startsWith(`${API_PATH}/`)) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+    return
+  }
+
+  event.respondWith(handleStatic(request))
+})
+
+// Network first; the stores are refreshed from every successful read
+async function handleApiRead(request, url, { route, match }) {
+  try {
+    const response = await withTimeout(fetch(request), NETWORK_TIMEOUT)
+    if (response.ok) {
+      response.clone().json()
+        .then(data => route.save(data, match))
+        .catch(error => console.error('Service Worker: Failed to store API response:', error))
+    }
+    return response
+  } catch (error) {
+    const data = await route.read(match, url.searchParams).catch(() => null)
+    if (data) {
+      console.log('Service Worker: Serving from IndexedDB:', url.pathname)
+      return json(data)
+    }
+    return json({
+      message: 'This data is not available offline. Please check your connection.',
+      offline: true
+    }, 503)
+  }
+}
+
+// Pages are all the same index.html; fall back to the cached shell
+async function handleNavigation(request) {
+  try {
+    return await withTimeout(fetch(request), NETWORK_TIMEOUT)
+  } catch (error) {
+    return (await caches.match('/index.html', { cacheName: SHELL_CACHE })) || Response.error()
+  }
+}
+
+// Hashed build assets never change, so cache first
+async function handleStatic(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok && response.type === 'basic') {
+    const cache = await caches.open(RUNTIME_CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_QUEUE_TAG) {
+    event.waitUntil(flushSyncQueue())
+  }
+})
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window' })
+  clients.forEach(client => client.postMessage(message))
+}
+
+// Replay queued operations the way syncService does. An open, visible tab
+// does the replay itself so the user sees its progress; otherwise it runs
+// here. A network failure rejects so the browser schedules another try.
+async function flushSyncQueue() {
+  const clients = await self.clients.matchAll({ type: 'window' })
+  if (clients.some(client => client.visibilityState === 'visible')) {
+    clients.forEach(client => client.postMessage({ type: 'SYNC_REQUESTED' }))
+    return
+  }
+
+  const counts = { successCount: 0, failureCount: 0, conflictCount: 0 }
+  const operations = await indexedDBService.getSyncQueue()
+
+  for (const operation of operations) {
+    let response
+    let body
+    try {
+      const { method, url, data, headers } = getOperationRequest(operation)
+      response = await fetch(`${API_BASE.href.replace(/\/$/, '')}${url}`, {
+        method,
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: data === undefined ? undefined : JSON.stringify(data)
+      })
+      body = await response.json().catch(() => ({}))
+    } catch (error) {
+      await notifyClients({ type: 'SYNC_COMPLETE', ...counts })
+      throw error
+    }
+
+    const conflicts = response.ok
+      ? body.conflicts || []
+      : response.status === 409 && body.conflict ? [body.conflict] : null
+
+    if (conflicts) {
+      for (const item of buildConflictItems(conflictRequestFor(operation), conflicts)) {
+        await indexedDBService.addSyncConflict(item)
+      }
+      await indexedDBService.markSyncComplete(operation.id)
+      counts.successCount += response.ok ? 1 : 0
+      counts.conflictCount += conflicts.length
+      continue
+    }
+
+    counts.failureCount++
+    operation.retryCount = (operation.retryCount || 0) + 1
+    operation.lastError = body.message || response.statusText
+    operation.lastRetry = Date.now()
+    if (isPermanentSyncFailure(response.status, response.headers.get('Retry-After')) ||
+        operation.retryCount >= MAX_SYNC_RETRIES) {
+      operation.status = 'failed'
+    }
+    await indexedDBService.put(STORES.SYNC_QUEUE, operation)
+  }
+
+  await indexedDBService.clearCompletedSync()
+  console.log('Service Worker: Background sync finished', counts)
+  await notifyClients({ type: 'SYNC_COMPLETE', ...counts })
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
@@ -1,5 +1,7 @@
 // Utility functions for time-based batch filtering and status determination
 
+import { findTimeSlot } from './timeSlots';
+
 /**
  * Parse time string (e.g., "09:00 AM") to minutes from midnight
  */
@@ -30,6 +32,34 @@ export const parseBatchTiming = (timing) => {
   };
 };
 
+/**
+ * Start and end minutes of a batch, read from its institute time slot
+ * (see loadTimeSlots) and falling back to the timing label
+ */
+export const getBatchTiming = (batch) => {
+  const slot = findTimeSlot(batch.schedule?.slot) || findTimeSlot(batch.timing);
+  if (!slot) return parseBatchTiming(batch.timing);
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return {
+    start: toMinutes(slot.startTime24),
+    end: toMinutes(slot.endTime24)
+  };
+};
+
+/**
+ * Check if a batch meets on a date (weekdays 0 = Sunday ... 6 = Saturday).
+ * Batches without a weekday schedule meet every day.
+ */
+export const meetsOnDate = (batch, date = new Date()) => {
+  const weekdays = batch.schedule?.weekdays;
+  if (!weekdays || weekdays.length === 0) return true;
+  return weekdays.includes(date.getDay());
+};
+
 /**
  * Get current time in minutes from midnight
  */
@@ -54,8 +84,17 @@ export const formatMinutesToTime = (minutes) => {
  * Determine batch status based on current time
  */
 export const getBatchStatus = (batch) => {
+  if (!meetsOnDate(batch)) {
+    return {
+      status: 'no-class',
+      label: 'No Class Today',
+      color: 'gray',
+      priority: 6
+    };
+  }
+
   const currentMinutes = getCurrentTimeInMinutes();
-  const { start, end } = parseBatchTiming(batch.timing);
+  const { start, end } = getBatchTiming(batch);
   
   const bufferMinutes = 15; // 15 minutes buffer for "starting soon" and "recently ended"
   
@@ -111,8 +150,8 @@ export const sortBatchesByPriority = (batches) => {
     }
     
     // Then sort by start time
-    const timingA = parseBatchTiming(a.timing);
-    const timingB = parseBatchTiming(b.timing);
+    const timingA = getBatchTiming(a);
+    const timingB = getBatchTiming(b);
     return timingA.start - timingB.start;
   });
 };
@@ -122,7 +161,7 @@ export const sortBatchesByPriority = (batches) => {
  */
 export const getTimeUntilBatch = (batch) => {
   const currentMinutes = getCurrentTimeInMinutes();
-  const { start, end } = parseBatchTiming(batch.timing);
+  const { start, end } = getBatchTiming(batch);
   const status = getBatchStatus(batch);
   
   if (status.status === 'active') {
@@ -185,8 +224,8 @@ export const canMarkAttendance = (batch) => {
  * Get batches filtered by today's schedule
  */
 export const getTodaysBatches = (batches) => {
-  // For now, return all batches. In a more advanced system,
-  // you might filter by day of week or specific date schedules
+  // Batches that do not meet today are kept; getBatchStatus reports them
+  // as 'no-class' so they sort last and cannot take attendance
   return batches;
 };
 
@@ -205,6 +244,8 @@ export const getBatchPriorityMessage = (batch) => {
       return '🟠 Just ended - Last chance to mark attendance';
     case 'upcoming':
       return '🔵 Upcoming class';
+    case 'no-class':
+      return '⚪ No class scheduled today';
     default:
       return '⚪ Class ended';
   }
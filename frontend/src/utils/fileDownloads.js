@@ -0,0 +1,19 @@
+import { projectAPI } from '../services/api'
+
+/**
+ * Download a submission file through a short-lived signed link
+ * The browser fetches the file straight from storage, so large files are not
+ * buffered in memory first
+ * @param {string} submissionId
+ * @param {Object} file - Entry of the submission's files
+ */
+export const downloadSubmissionFile = async (submissionId, file) => {
+  const response = await projectAPI.getSubmissionFileUrl(submissionId, file.fileName)
+  const link = document.createElement('a')
+  link.href = response.data.url
+  link.setAttribute('download', file.originalName)
+  link.rel = 'noopener'
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+}
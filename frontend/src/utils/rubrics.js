@@ -0,0 +1,64 @@
+/**
+ * Grading rubric helpers
+ * Mirrors backend/utils/rubrics.js so graders see the score before saving
+ */
+
+export const DEFAULT_LEVELS = [
+  { label: 'Excellent', description: 'Fully meets the criterion', score: 100 },
+  { label: 'Good', description: 'Meets the criterion with minor gaps', score: 75 },
+  { label: 'Satisfactory', description: 'Partly meets the criterion', score: 50 },
+  { label: 'Needs work', description: 'Attempted but mostly incomplete', score: 25 },
+  { label: 'Missing', description: 'Not attempted', score: 0 }
+]
+
+export const newCriterion = () => ({
+  title: '',
+  description: '',
+  weight: 1,
+  requirement: '',
+  levels: DEFAULT_LEVELS.map(level => ({ ...level }))
+})
+
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * Points each criterion is worth out of maxScore
+ * @param {Array} rubric - Project rubric criteria
+ * @param {number} maxScore - Project maximum score
+ * @returns {Object} { [criterionId]: maxPoints }
+ */
+const criterionPoints = (rubric, maxScore) => {
+  const totalWeight = rubric.reduce((sum, criterion) => sum + Number(criterion.weight || 0), 0)
+  return Object.fromEntries(rubric.map(criterion => [
+    criterion._id,
+    totalWeight > 0 ? (maxScore * Number(criterion.weight || 0)) / totalWeight : 0
+  ]))
+}
+
+export const getCriterionPoints = (rubric = [], maxScore = 100) => Object.fromEntries(
+  Object.entries(criterionPoints(rubric, maxScore)).map(([id, points]) => [id, round(points)])
+)
+
+/**
+ * Score for the levels picked so far
+ * @param {Array} rubric - Project rubric criteria
+ * @param {Object} picks - { [criterionId]: { level, comment } }
+ * @param {number} maxScore - Project maximum score
+ * @returns {Object} { score, complete }
+ */
+export const previewRubricScore = (rubric = [], picks = {}, maxScore = 100) => {
+  const points = criterionPoints(rubric, maxScore)
+  let score = 0
+  let complete = true
+
+  rubric.forEach(criterion => {
+    const level = criterion.levels.find(option => option.label === picks[criterion._id]?.level)
+    if (!level) {
+      complete = false
+      return
+    }
+    score += round((points[criterion._id] * level.score) / 100)
+  })
+
+  return { score: round(score), complete }
+}
@@ -0,0 +1,177 @@
+import ExcelJS from 'exceljs'
+import { format } from 'date-fns'
+
+// Student fields an import can fill, with header names recognised when
+// guessing the column mapping
+export const IMPORT_COLUMNS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'student name', 'full name'] },
+  { key: 'rollNo', label: 'Roll No', required: true, aliases: ['roll no', 'roll number', 'rollno', 'roll'] },
+  { key: 'studentId', label: 'Student ID', adminOnly: true, aliases: ['student id', 'studentid', 'id'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'email address', 'e-mail'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'mobile', 'mobile number', 'contact'] },
+  { key: 'address', label: 'Address', aliases: ['address'] },
+  { key: 'dateOfBirth', label: 'Date of Birth', aliases: ['date of birth', 'dob', 'birth date'] },
+  { key: 'gender', label: 'Gender', aliases: ['gender', 'sex'] },
+  { key: 'guardianName', label: 'Guardian Name', aliases: ['guardian name', 'guardian', 'parent name'] },
+  { key: 'guardianPhone', label: 'Guardian Phone', aliases: ['guardian phone', 'parent phone', 'guardian mobile'] },
+  { key: 'emergencyContact', label: 'Emergency Contact', aliases: ['emergency contact', 'emergency phone'] },
+  { key: 'qualification', label: 'Qualification', aliases: ['qualification', 'education'] },
+  { key: 'admissionDate', label: 'Admission Date', aliases: ['admission date', 'date of admission', 'joined'] }
+]
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+const cellText = (cell) => {
+  if (cell.value instanceof Date) return format(cell.value, 'yyyy-MM-dd')
+  return cell.text || ''
+}
+
+const readXlsx = async (file) => {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(await file.arrayBuffer())
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) return []
+
+  const rows = []
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = []
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      values.push(cellText(row.getCell(col)))
+    }
+    rows.push({ line: row.number, values })
+  })
+  return rows
+}
+
+/**
+ * Read the first sheet of an .xlsx or .csv file. The first non-empty row
+ * is the header; blank rows are dropped. lines[i] is the line rows[i] came
+ * from, for pointing users back at the file.
+ *
+ * @returns {Promise<{ headers: string[], rows: string[][], lines: number[] }>}
+ */
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase()
+  let table
+  if (name.endsWith('.csv')) {
+    table = parseCsv((await file.text()).replace(/^\uFEFF/, ''))
+      .map((values, index) => ({ line: index + 1, values }))
+  } else if (name.endsWith('.xlsx')) {
+    table = await readXlsx(file)
+  } else {
+    throw new Error('Please choose an .xlsx or .csv file')
+  }
+
+  const nonEmpty = table
+    .map(({ line, values }) => ({ line, values: values.map(value => String(value ?? '').trim()) }))
+    .filter(({ values }) => values.some(Boolean))
+  if (nonEmpty.length < 2) {
+    throw new Error('The file needs a header row and at least one student')
+  }
+
+  const [header, ...body] = nonEmpty
+  return {
+    headers: header.values.map((value, index) => value || `Column ${index + 1}`),
+    rows: body.map(row => row.values),
+    lines: body.map(row => row.line)
+  }
+}
+
+/**
+ * Best guess of which column holds each field, by header name.
+ *
+ * @returns {Object} field key -> column index
+ */
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader)
+  const mapping = {}
+  IMPORT_COLUMNS.forEach(column => {
+    const index = normalized.findIndex((header, i) =>
+      column.aliases.includes(header) && !Object.values(mapping).includes(i)
+    )
+    if (index !== -1) mapping[column.key] = index
+  })
+  return mapping
+}
+
+/**
+ * Spreadsheet rows as objects keyed by student field, ready to send.
+ */
+export const buildImportRows = (rows, mapping) => rows.map(row => {
+  const data = {}
+  Object.entries(mapping).forEach(([key, index]) => {
+    if (index !== undefined && index !== '') data[key] = row[index] ?? ''
+  })
+  return data
+})
+
+/**
+ * Download the rejected rows as they appeared in the file, with the row
+ * number and the reasons they were rejected, so they can be fixed and
+ * imported again.
+ */
+export const downloadErrorSheet = async ({ headers, rows, lines, results, fileName }) => {
+  const rejected = results.filter(result => result.status === 'rejected')
+
+  const workbook = new ExcelJS.Workbook()
+  const worksheet = workbook.addWorksheet('Rejected Rows')
+  worksheet.addRow(['Sheet Row', ...headers, 'Errors'])
+  worksheet.getRow(1).font = { bold: true }
+
+  rejected.forEach(result => {
+    const added = worksheet.addRow([lines[result.row - 1], ...rows[result.row - 1], result.errors.join('; ')])
+    added.getCell(headers.length + 2).font = { color: { argb: 'FFDC2626' } }
+  })
+
+  worksheet.columns.forEach(column => { column.width = 18 })
+  worksheet.getColumn(headers.length + 2).width = 60
+
+  const buffer = await workbook.xlsx.writeBuffer()
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${fileName.replace(/\.(xlsx|csv)$/i, '')}_errors.xlsx`
+  link.click()
+  window.URL.revokeObjectURL(url)
+}
@@ -0,0 +1,41 @@
+/**
+ * Submission version helpers
+ * Used to compare two versions of a resubmitted project
+ */
+
+// Checksums catch edits that keep the size; older files only have a size
+const isChanged = (previous, file) => (previous.checksum && file.checksum
+  ? previous.checksum !== file.checksum
+  : previous.fileSize !== file.fileSize)
+
+/**
+ * Compare the file lists of two versions by original file name
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} { added, removed, changed, unchanged } lists of files from `to` (removed from `from`)
+ */
+export const compareVersionFiles = (from, to) => {
+  const fromFiles = new Map((from?.files || []).map(file => [file.originalName, file]))
+  const toFiles = new Map((to?.files || []).map(file => [file.originalName, file]))
+
+  const result = { added: [], removed: [], changed: [], unchanged: [] }
+
+  toFiles.forEach((file, name) => {
+    const previous = fromFiles.get(name)
+    if (!previous) {
+      result.added.push(file)
+    } else if (isChanged(previous, file)) {
+      result.changed.push({ ...file, previousSize: previous.fileSize })
+    } else {
+      result.unchanged.push(file)
+    }
+  })
+
+  fromFiles.forEach((file, name) => {
+    if (!toFiles.has(name)) result.removed.push(file)
+  })
+
+  return result
+}
+
+export const formatFileSize = (bytes) => `${((bytes || 0) / (1024 * 1024)).toFixed(2)} MB`
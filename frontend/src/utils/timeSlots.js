@@ -1,72 +1,66 @@
 /**
  * Time Slots Configuration
- * Centralized configuration for all institute time slots
+ * Centralized access to the institute time slots, which are defined in
+ * LabInfo and served by the API
  * Used across classes, lab bookings, and scheduling
  */
 
-// Institute standard time slots (5 slots only)
-export const TIME_SLOTS = [
-  {
-    id: '09:00 AM - 10:30 AM',
-    label: '09:00 AM - 10:30 AM',
-    start: '09:00',
-    end: '10:30',
-    startTime24: '09:00',
-    endTime24: '10:30',
-    duration: 90, // minutes
-    icon: '🌅',
-    period: 'Morning'
-  },
-  {
-    id: '10:30 AM - 12:00 PM',
-    label: '10:30 AM - 12:00 PM',
-    start: '10:30',
-    end: '12:00',
-    startTime24: '10:30',
-    endTime24: '12:00',
-    duration: 90, // minutes
-    icon: '☀️',
-    period: 'Morning'
-  },
-  {
-    id: '12:00 PM - 01:30 PM',
-    label: '12:00 PM - 01:30 PM',
-    start: '12:00',
-    end: '13:30',
-    startTime24: '12:00',
-    endTime24: '13:30',
-    duration: 90, // minutes
-    icon: '🌞',
-    period: 'Afternoon'
-  },
-  {
-    id: '02:00 PM - 03:30 PM',
-    label: '02:00 PM - 03:30 PM',
-    start: '14:00',
-    end: '15:30',
-    startTime24: '14:00',
-    endTime24: '15:30',
-    duration: 90, // minutes
-    icon: '🌤️',
-    period: 'Afternoon'
-  },
-  {
-    id: '03:30 PM - 05:00 PM',
-    label: '03:30 PM - 05:00 PM',
-    start: '15:30',
-    end: '17:00',
-    startTime24: '15:30',
-    endTime24: '17:00',
-    duration: 90, // minutes
-    icon: '🌇',
-    period: 'Evening'
+import { useEffect, useState } from 'react'
+import { timeSlotAPI } from '../services/labAPI'
+
+const PERIOD_ICONS = {
+  Morning: '🌅',
+  Afternoon: '🌤️',
+  Evening: '🌇'
+}
+
+const getPeriod = (startTime24) => {
+  const hours = Number(startTime24.split(':')[0])
+  if (hours < 12) return 'Morning'
+  if (hours < 15) return 'Afternoon'
+  return 'Evening'
+}
+
+/**
+ * Client shape of a time slot as served by GET /lab/time-slots
+ * @param {Object} slot - { _id, label, name, startTime, endTime, duration, isActive }
+ * @returns {Object} Time slot object
+ */
+const toClientSlot = (slot) => {
+  const period = getPeriod(slot.startTime)
+  return {
+    _id: slot._id,
+    id: slot.label,
+    label: slot.label,
+    name: slot.name,
+    start: slot.startTime,
+    end: slot.endTime,
+    startTime24: slot.startTime,
+    endTime24: slot.endTime,
+    duration: slot.duration, // minutes
+    icon: PERIOD_ICONS[period],
+    period,
+    isActive: slot.isActive !== false
   }
-]
+}
+
+// Used until the institute's own slots have loaded
+const DEFAULT_TIME_SLOTS = [
+  { label: '09:00 AM - 10:30 AM', name: 'Morning 1', startTime: '09:00', endTime: '10:30', duration: 90 },
+  { label: '10:30 AM - 12:00 PM', name: 'Morning 2', startTime: '10:30', endTime: '12:00', duration: 90 },
+  { label: '12:00 PM - 01:30 PM', name: 'Midday', startTime: '12:00', endTime: '13:30', duration: 90 },
+  { label: '02:00 PM - 03:30 PM', name: 'Afternoon', startTime: '14:00', endTime: '15:30', duration: 90 },
+  { label: '03:30 PM - 05:00 PM', name: 'Late Afternoon', startTime: '15:30', endTime: '17:00', duration: 90 }
+].map(toClientSlot)
+
+// Institute time slots. The arrays below are filled in place by
+// loadTimeSlots(), so modules holding a reference see the loaded slots.
+export const TIME_SLOTS = [...DEFAULT_TIME_SLOTS]
 
 // Simple array of time slot IDs for dropdowns
 export const TIME_SLOT_OPTIONS = TIME_SLOTS.map(slot => slot.id)
 
-// Time slots for batch timing (backend enum values)
+// Time slots for batch timing
 export const BATCH_TIMING_OPTIONS = TIME_SLOT_OPTIONS
 
 // Time slots for lab booking
@@ -81,6 +75,81 @@ export const CLEAR_BOOKING_TIME_SLOTS = [
   }))
 ]
 
+// Every slot including inactive ones, which still label older batches
+const ALL_TIME_SLOTS = [...DEFAULT_TIME_SLOTS]
+
+let loadPromise = null
+const listeners = new Set()
+
+const replaceContents = (target, items) => {
+  target.splice(0, target.length, ...items)
+}
+
+const setTimeSlots = (slots) => {
+  const all = slots.map(toClientSlot)
+  const active = all.filter(slot => slot.isActive)
+
+  replaceContents(ALL_TIME_SLOTS, all)
+  replaceContents(TIME_SLOTS, active)
+  replaceContents(TIME_SLOT_OPTIONS, active.map(slot => slot.id))
+  replaceContents(CLEAR_BOOKING_TIME_SLOTS, [
+    { value: 'all', label: 'All Time Slots' },
+    ...active.map(slot => ({ value: slot.id, label: slot.label }))
+  ])
+
+  listeners.forEach(listener => listener(TIME_SLOTS))
+}
+
+/**
+ * Load the institute time slots from the server. The request is made once
+ * per page load unless `force` is set (e.g. after the slots were edited).
+ * @param {boolean} force - Fetch again even if already loaded
+ * @returns {Promise<Array>} Active time slots
+ */
+export const loadTimeSlots = (force = false) => {
+  if (!loadPromise || force) {
+    loadPromise = timeSlotAPI.getTimeSlots({ includeInactive: true })
+      .then(slots => {
+        if (slots.some(slot => slot.isActive !== false)) setTimeSlots(slots)
+        return TIME_SLOTS
+      })
+      .catch(error => {
+        console.error('Failed to load time slots, using defaults:', error)
+        loadPromise = null
+        return TIME_SLOTS
+      })
+  }
+  return loadPromise
+}
+
+/**
+ * React hook returning the active institute time slots; re-renders once
+ * they have loaded or whenever they are reloaded.
+ * @returns {Array} Active time slots
+ */
+export const useTimeSlots = () => {
+  const [slots, setSlots] = useState(() => [...TIME_SLOTS])
+
+  useEffect(() => {
+    const listener = (updated) => setSlots([...updated])
+    listeners.add(listener)
+    loadTimeSlots().then(listener)
+    return () => listeners.delete(listener)
+  }, [])
+
+  return slots
+}
+
+/**
+ * Find a slot, active or not, by its database id or label
+ * @param {string} value - Slot _id or label
+ * @returns {Object|null} Time slot object or null if not found
+ */
+export const findTimeSlot = (value) => {
+  if (!value) return null
+  return ALL_TIME_SLOTS.find(slot => slot._id === value || slot.id === value) || null
+}
+
 /**
  * Get time slot by ID
  * @param {string} id - Time slot ID
@@ -140,21 +209,21 @@ export const getCurrentTimeSlot = () => {
   }
 
   // If no active slot found, handle special cases
-  const firstSlot = TIME_SLOTS[0] // 09:00 AM - 10:30 AM
-  const lastSlot = TIME_SLOTS[TIME_SLOTS.length - 1] // 03:30 PM - 05:00 PM
+  const firstSlot = TIME_SLOTS[0]
+  const lastSlot = TIME_SLOTS[TIME_SLOTS.length - 1]
 
   const [firstStartHour, firstStartMin] = firstSlot.startTime24.split(':').map(Number)
   const [lastEndHour, lastEndMin] = lastSlot.endTime24.split(':').map(Number)
 
-  const firstSlotStart = firstStartHour * 60 + firstStartMin // 09:00 = 540 minutes
-  const lastSlotEnd = lastEndHour * 60 + lastEndMin // 17:00 = 1020 minutes
+  const firstSlotStart = firstStartHour * 60 + firstStartMin
+  const lastSlotEnd = lastEndHour * 60 + lastEndMin
 
-  // Case 1: After 05:00 PM - select the last slot (03:30 PM - 05:00 PM)
+  // Case 1: After the last slot has ended - select the last slot
   if (currentTime >= lastSlotEnd) {
     return lastSlot
   }
 
-  // Case 2: Before 09:00 AM (next day scenario) - select the first slot (09:00 AM - 10:30 AM)
+  // Case 2: Before the first slot (next day scenario) - select the first slot
   if (currentTime < firstSlotStart) {
     return firstSlot
   }
@@ -219,7 +288,7 @@ export const getCurrentTimeSlotWithReason = () => {
   if (currentTime >= lastSlotEnd) {
     return {
       slot: lastSlot,
-      reason: `Current time ${timeStr} is after 05:00 PM, selecting last slot ${lastSlot.label}`,
+      reason: `Current time ${timeStr} is after ${lastSlot.label.split(' - ')[1]}, selecting last slot ${lastSlot.label}`,
       scenario: 'after-hours'
     }
   }
@@ -227,7 +296,7 @@ export const getCurrentTimeSlotWithReason = () => {
   if (currentTime < firstSlotStart) {
     return {
       slot: firstSlot,
-      reason: `Current time ${timeStr} is before 09:00 AM, selecting first slot ${firstSlot.label}`,
+      reason: `Current time ${timeStr} is before ${firstSlot.label.split(' - ')[0]}, selecting first slot ${firstSlot.label}`,
       scenario: 'before-hours'
     }
   }
@@ -289,6 +358,9 @@ export default {
   BATCH_TIMING_OPTIONS,
   LAB_TIME_SLOTS,
   CLEAR_BOOKING_TIME_SLOTS,
+  loadTimeSlots,
+  useTimeSlots,
+  findTimeSlot,
   getTimeSlotById,
   getTimeSlotLabel,
   isValidTimeSlot,
@@ -1,6 +1,69 @@
-import { defineConfig, loadEnv } from 'vite'
+import { defineConfig, loadEnv, build } from 'vite'
 import react from '@vitejs/plugin-react'
 import { resolve } from 'path'
+import { createHash } from 'crypto'
+
+// Files from public/ the app shell needs offline
+const PUBLIC_SHELL_ASSETS = [
+  '/manifest.json',
+  '/icons/icon.svg',
+  '/icons/icon-192x192.png',
+  '/icons/icon-512x512.png',
+  '/logos/cdc_logo.png',
+  '/logos/cadd_logo.png'
+]
+
+// Builds src/sw.js into dist/sw.js once the app is written, with the
+// emitted files to precache and a build id that changes whenever they do,
+// so browsers see a new service worker for every new deployment
+const serviceWorker = () => {
+  let config
+  let emittedFiles = []
+
+  return {
+    name: 'cdc-service-worker',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    generateBundle(_options, bundle) {
+      emittedFiles = Object.keys(bundle)
+        .filter(file => !file.endsWith('.map'))
+        .map(file => `/${file}`)
+    },
+    async closeBundle() {
+      if (emittedFiles.length === 0) return
+
+      const precache = [...emittedFiles, ...PUBLIC_SHELL_ASSETS].sort()
+      const buildId = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12)
+
+      await build({
+        configFile: false,
+        root: config.root,
+        mode: config.mode,
+        logLevel: 'warn',
+        publicDir: false,
+        define: {
+          __PRECACHE_MANIFEST__: JSON.stringify(precache),
+          __BUILD_ID__: JSON.stringify(buildId)
+        },
+        build: {
+          outDir: config.build.outDir,
+          emptyOutDir: false,
+          copyPublicDir: false,
+          sourcemap: false,
+          minify: config.build.minify,
+          lib: {
+            entry: resolve(__dirname, 'src/sw.js'),
+            formats: ['iife'],
+            name: 'serviceWorker',
+            fileName: () => 'sw.js'
+          }
+        }
+      })
+    }
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig(({ command, mode }) => {
@@ -27,7 +90,9 @@ export default defineConfig(({ command, mode }) => {
         fastRefresh: isDev,
         // Ensure React is properly handled in production
         jsxRuntime: 'automatic'
-      })
+      }),
+      // Offline support for the installed app
+      serviceWorker()
     ],
     server: {
       port: 5173,